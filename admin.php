@@ -13,6 +13,14 @@ require_once __DIR__ . '/includes/lightning_address.php';
 require_once __DIR__ . '/includes/background.php';
 require_once __DIR__ . '/includes/security.php';
 require_once __DIR__ . '/includes/urls.php';
+require_once __DIR__ . '/includes/mint_health.php';
+require_once __DIR__ . '/includes/vouchers.php';
+require_once __DIR__ . '/includes/webhook_sender.php';
+require_once __DIR__ . '/includes/branding.php';
+require_once __DIR__ . '/includes/proof_inventory.php';
+require_once __DIR__ . '/includes/refunds.php';
+require_once __DIR__ . '/includes/api_keys.php';
+require_once __DIR__ . '/includes/nostr_notifier.php';
 
 use Cashu\ProofState;
 
@@ -59,6 +67,115 @@ function checkDataDirectoryProtection(): ?string {
     return null;
 }
 
+/**
+ * Read invoice browser filters from the query string
+ *
+ * Amounts are in the store's smallest unit, dates are unix timestamps.
+ */
+function getInvoiceFilters(): array {
+    $filters = [];
+
+    if (!empty($_GET['status'])) {
+        $filters['status'] = explode(',', $_GET['status']);
+    }
+    foreach (['from' => 'from', 'to' => 'to', 'min_amount' => 'minAmount', 'max_amount' => 'maxAmount'] as $param => $key) {
+        if (isset($_GET[$param]) && $_GET[$param] !== '' && is_numeric($_GET[$param])) {
+            $filters[$key] = (int)$_GET[$param];
+        }
+    }
+    if (!empty($_GET['q'])) {
+        $filters['query'] = (string)$_GET['q'];
+    }
+
+    return $filters;
+}
+
+const INVOICE_EXPORT_COLUMNS = [
+    'id', 'created', 'status', 'additionalStatus', 'orderId', 'description',
+    'amount', 'currency', 'amountMintUnit', 'mintUnit', 'amountSats', 'exchangeRate',
+];
+
+/**
+ * Flatten an invoice into an export row (amounts in store unit and in sats)
+ */
+function formatInvoiceExportRow(array $invoice, string $mintUnit): array {
+    $metadata = $invoice['metadata'] ? json_decode($invoice['metadata'], true) : [];
+    $isFiatMint = !in_array(strtolower($mintUnit), ['sat', 'sats', 'msat']);
+    $amountMintUnit = $invoice['amount_sats'] !== null
+        ? ($isFiatMint ? number_format($invoice['amount_sats'] / 100, 2, '.', '') : (string)$invoice['amount_sats'])
+        : '';
+
+    return [
+        'id' => $invoice['id'],
+        'created' => gmdate('Y-m-d\TH:i:s\Z', (int)$invoice['created_at']),
+        'status' => $invoice['status'],
+        'additionalStatus' => $invoice['additional_status'],
+        'orderId' => (string)($metadata['orderId'] ?? ''),
+        'description' => (string)($metadata['itemDesc'] ?? ''),
+        'amount' => $invoice['amount'],
+        'currency' => $invoice['currency'],
+        'amountMintUnit' => $amountMintUnit,
+        'mintUnit' => $mintUnit,
+        'amountSats' => Invoice::getAmountInSats($invoice),
+        'exchangeRate' => $invoice['exchange_rate'],
+    ];
+}
+
+/**
+ * Keep spreadsheets from evaluating a CSV cell as a formula
+ */
+function csvSafeCell($value) {
+    if (is_string($value) && $value !== '' && strpbrk($value[0], "=+-@\t\r") !== false) {
+        return "'" . $value;
+    }
+    return $value;
+}
+
+/**
+ * Read API key settings posted by the key form
+ *
+ * Permissions are a JSON list, expiry is a unix timestamp (empty for
+ * none), IPs and origins are one per line.
+ */
+function getApiKeySettings(): array {
+    $lines = fn(string $field) => preg_split('/[\s,]+/', $_POST[$field] ?? '', -1, PREG_SPLIT_NO_EMPTY);
+
+    $permissions = json_decode($_POST['permissions'] ?? '[]', true);
+    if ($permissions === null && json_last_error() !== JSON_ERROR_NONE) {
+        $permissions = json_decode(stripslashes($_POST['permissions']), true);
+    }
+
+    return [
+        'label' => $_POST['label'] ?? '',
+        'permissions' => is_array($permissions) ? $permissions : [],
+        'expiresAt' => ($_POST['expires_at'] ?? '') !== '' ? (int)$_POST['expires_at'] : null,
+        'allowedIps' => $lines('allowed_ips'),
+        'allowedOrigins' => $lines('allowed_origins'),
+    ];
+}
+
+/**
+ * Webhook for the admin webhook list (secret is never included)
+ */
+function formatWebhookForAdmin(array $webhook): array {
+    $last = Database::fetchOne(
+        "SELECT status_code, created_at FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1",
+        [$webhook['id']]
+    );
+
+    return [
+        'id' => $webhook['id'],
+        'url' => $webhook['url'],
+        'events' => json_decode($webhook['events'], true) ?? [],
+        'enabled' => (bool)$webhook['enabled'],
+        'createdTime' => (int)$webhook['created_at'],
+        'lastDelivery' => $last ? [
+            'statusCode' => $last['status_code'] !== null ? (int)$last['status_code'] : null,
+            'time' => (int)$last['created_at'],
+        ] : null,
+    ];
+}
+
 // Handle API-style requests from the SPA
 if (isset($_GET['api'])) {
     header('Content-Type: application/json');
@@ -77,8 +194,12 @@ if (isset($_GET['api'])) {
         case 'dashboard':
             $storeId = $_GET['store_id'] ?? null;
 
-            // Get all stores for selector
-            $stores = Database::fetchAll("SELECT * FROM stores ORDER BY created_at DESC");
+            // Get all stores for selector (never the seed phrase; the response is kept for offline use)
+            $stores = Database::fetchAll(
+                "SELECT id, name, mint_url, mint_unit, exchange_fee_percent, price_provider_primary,
+                        price_provider_secondary, auto_melt_enabled, auto_melt_address, auto_melt_threshold, created_at
+                 FROM stores ORDER BY created_at DESC"
+            );
 
             // Ensure each store has an internal API key
             foreach ($stores as &$store) {
@@ -174,39 +295,105 @@ if (isset($_GET['api'])) {
                 'invoices' => array_map([Invoice::class, 'formatForApi'], $recentInvoices),
                 'stores' => $stores,
                 'autoMelt' => $autoMelt,
+                'mintHealthAlerts' => MintHealth::getAlerts(),
             ]);
             break;
 
         case 'invoices':
-            $status = $_GET['status'] ?? null;
             $storeId = $_GET['store_id'] ?? null;
-            $limit = min((int)($_GET['limit'] ?? 50), 100);
-            $offset = (int)($_GET['offset'] ?? 0);
+            $limit = max(1, min((int)($_GET['limit'] ?? 50), 100));
+
+            if (!$storeId) {
+                echo json_encode(['invoices' => [], 'nextCursor' => null]);
+                break;
+            }
 
-            $sql = "SELECT * FROM invoices";
-            $params = [];
-            $conditions = [];
+            try {
+                $page = Invoice::search($storeId, getInvoiceFilters(), $limit, $_GET['cursor'] ?? null);
+                $refunded = Refunds::getTotals(array_column($page['invoices'], 'id'));
+                echo json_encode([
+                    'invoices' => array_map(fn($invoice) => Invoice::formatForApi($invoice) + [
+                        'refunded' => $refunded[$invoice['id']] ?? 0,
+                    ], $page['invoices']),
+                    'nextCursor' => $page['nextCursor'],
+                ]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
 
-            if ($status) {
-                $conditions[] = "status = ?";
-                $params[] = $status;
+        case 'invoice':
+            $invoice = Invoice::getById($_GET['id'] ?? '');
+            if (!$invoice) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Invoice not found']);
+                break;
             }
 
-            if ($storeId) {
-                $conditions[] = "store_id = ?";
-                $params[] = $storeId;
+            echo json_encode([
+                'invoice' => Invoice::formatForApi($invoice) + [
+                    'amountSats' => Invoice::getAmountInSats($invoice),
+                ],
+                'history' => array_map(fn($h) => [
+                    'status' => $h['status'],
+                    'additionalStatus' => $h['additional_status'],
+                    'time' => (int)$h['created_at'],
+                ], Invoice::getStatusHistory($invoice['id'])),
+                'refunds' => Refunds::getForInvoice($invoice['id']),
+                'refundable' => $invoice['status'] === 'Settled' ? Refunds::getRefundable($invoice) : 0,
+            ]);
+            break;
+
+        case 'invoices_export':
+            $storeId = $_GET['store_id'] ?? null;
+            $store = $storeId ? Config::getStore($storeId) : null;
+            if (!$store) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
             }
 
-            if (count($conditions) > 0) {
-                $sql .= " WHERE " . implode(" AND ", $conditions);
+            $format = ($_GET['format'] ?? 'csv') === 'json' ? 'json' : 'csv';
+            $mintUnit = Config::getStoreMintUnit($storeId);
+            $filters = getInvoiceFilters();
+
+            $filename = 'invoices-' . preg_replace('/[^A-Za-z0-9_-]/', '', $store['name'] ?: $storeId) . '-' . date('Y-m-d') . '.' . $format;
+            header('Content-Disposition: attachment; filename="' . $filename . '"');
+            if ($format === 'csv') {
+                header('Content-Type: text/csv; charset=utf-8');
             }
 
-            $sql .= " ORDER BY created_at DESC LIMIT ? OFFSET ?";
-            $params[] = $limit;
-            $params[] = $offset;
+            // Walk the filtered set page by page, writing each row straight out to keep memory flat
+            $out = fopen('php://output', 'w');
+            if ($format === 'json') {
+                fwrite($out, '[');
+            } else {
+                fputcsv($out, INVOICE_EXPORT_COLUMNS);
+            }
+            $first = true;
+            $cursor = null;
+            do {
+                $page = Invoice::search($storeId, $filters, 500, $cursor);
+                foreach ($page['invoices'] as $invoice) {
+                    $row = formatInvoiceExportRow($invoice, $mintUnit);
+                    if ($format === 'json') {
+                        fwrite($out, ($first ? "\n" : ",\n") . json_encode($row, JSON_UNESCAPED_SLASHES));
+                    } else {
+                        fputcsv($out, array_map('csvSafeCell', $row));
+                    }
+                    $first = false;
+                }
+                $cursor = $page['nextCursor'];
+            } while ($cursor !== null);
+            if ($format === 'json') {
+                fwrite($out, $first ? ']' : "\n]");
+            }
+            fclose($out);
+            break;
 
-            $invoices = Database::fetchAll($sql, $params);
-            echo json_encode(array_map([Invoice::class, 'formatForApi'], $invoices));
+        case 'passkeys':
+            echo json_encode(Auth::getWebauthnCredentials());
             break;
 
         case 'stores':
@@ -220,8 +407,13 @@ if (isset($_GET['api'])) {
                 echo json_encode([]);
                 break;
             }
-            $keys = Auth::getApiKeys($storeId);
-            echo json_encode($keys);
+            echo json_encode(ApiKeys::getForStore($storeId));
+            break;
+
+        case 'api_key_rejections':
+            $storeId = $_GET['store_id'] ?? '';
+            $keyId = ($_GET['key_id'] ?? '') !== '' ? $_GET['key_id'] : null;
+            echo json_encode(ApiKeys::getRejections($storeId, $keyId));
             break;
 
         case 'export_info':
@@ -295,6 +487,162 @@ if (isset($_GET['api'])) {
             ]);
             break;
 
+        case 'analytics':
+            require_once __DIR__ . '/includes/analytics.php';
+
+            $storeId = $_GET['store_id'] ?? 'all';
+            if ($storeId !== 'all' && !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            try {
+                echo json_encode(Analytics::getReport(
+                    $storeId === 'all' ? null : $storeId,
+                    $_GET['bucket'] ?? 'day',
+                    $_GET['currency'] ?? 'sat',
+                    (int)($_GET['tz'] ?? 0)
+                ));
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'mint_health':
+            $storeId = $_GET['store_id'] ?? null;
+            if (!$storeId || !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            echo json_encode([
+                'mints' => MintHealth::getHistory($storeId, (int)($_GET['days'] ?? 7)),
+                'checkInterval' => MintHealth::CHECK_INTERVAL,
+            ]);
+            break;
+
+        case 'voucher_batches':
+            $storeId = $_GET['store_id'] ?? null;
+            if (!$storeId || !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            try {
+                echo json_encode(['batches' => Vouchers::getBatches($storeId)]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'webhooks':
+            $storeId = $_GET['store_id'] ?? '';
+            $webhooks = Database::fetchAll(
+                "SELECT * FROM webhooks WHERE store_id = ? ORDER BY created_at DESC",
+                [$storeId]
+            );
+            echo json_encode([
+                'webhooks' => array_map('formatWebhookForAdmin', $webhooks),
+                'events' => WebhookSender::EVENTS,
+            ]);
+            break;
+
+        case 'branding':
+            $storeId = $_GET['store_id'] ?? null;
+            if (!$storeId || !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            echo json_encode([
+                'branding' => Branding::get($storeId),
+                'themes' => Branding::THEME_COLORS,
+                'languages' => I18n::NAMES,
+                'maxLogoBytes' => Branding::MAX_LOGO_BYTES,
+            ]);
+            break;
+
+        case 'nostr_notifications':
+            $storeId = $_GET['store_id'] ?? null;
+            if (!$storeId || !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            try {
+                echo json_encode([
+                    'settings' => NostrNotifier::get($storeId),
+                    'events' => NostrNotifier::EVENTS,
+                ]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'webhook_deliveries':
+            $webhookId = $_GET['webhook_id'] ?? '';
+            if (!Database::fetchOne("SELECT id FROM webhooks WHERE id = ?", [$webhookId])) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Webhook not found']);
+                break;
+            }
+            echo json_encode([
+                'deliveries' => array_map(
+                    [WebhookSender::class, 'formatDelivery'],
+                    WebhookSender::getDeliveries($webhookId, 50)
+                ),
+            ]);
+            break;
+
+        case 'pos_rates':
+            // BTC prices for the POS keypad's live conversion (cached server-side)
+            $storeId = $_GET['store_id'] ?? null;
+            $store = $storeId ? Config::getStore($storeId) : null;
+            if (!$store) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+
+            require_once __DIR__ . '/includes/rates.php';
+
+            $mintUnit = strtolower($store['mint_unit'] ?? 'sat');
+            $currencies = [$mintUnit];
+            $currency = strtolower(trim($_GET['currency'] ?? ''));
+            if (preg_match('/^[a-z]{3,4}$/', $currency)) {
+                $currencies[] = $currency;
+            }
+
+            $prices = [];
+            $stale = false;
+            foreach (array_unique($currencies) as $cur) {
+                if (in_array($cur, ['sat', 'sats', 'msat', 'btc'])) {
+                    continue;
+                }
+                $prices[$cur] = ExchangeRates::getBtcPrice(
+                    $cur,
+                    $store['price_provider_primary'] ?? null,
+                    $store['price_provider_secondary'] ?? null
+                );
+                $stale = $stale || ExchangeRates::isStale($cur);
+            }
+
+            echo json_encode([
+                'mintUnit' => $mintUnit,
+                'exchangeFeePercent' => (float)($store['exchange_fee_percent'] ?? 0),
+                'prices' => $prices,
+                'stale' => $stale,
+            ]);
+            break;
+
         case 'proofs':
             $storeId = $_GET['store_id'] ?? null;
             if (!$storeId || !Config::isStoreConfigured($storeId)) {
@@ -306,6 +654,25 @@ if (isset($_GET['api'])) {
             echo json_encode($rows);
             break;
 
+        case 'proof_inventory':
+            // Proofs by mint, keyset and denomination (asks each mint for its keysets)
+            $storeId = $_GET['store_id'] ?? null;
+            if (!$storeId || !Config::getStore($storeId)) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Store not found']);
+                break;
+            }
+            try {
+                echo json_encode([
+                    'unit' => Config::getStoreMintUnit($storeId),
+                    'mints' => ProofInventory::getInventory($storeId),
+                ]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
         default:
             http_response_code(404);
             echo json_encode(['error' => 'Unknown action']);
@@ -359,6 +726,47 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         exit;
     }
 
+    // Passkey login (same lockout rules as password login)
+    if ($action === 'webauthn_login_options' || $action === 'webauthn_login') {
+        $clientIp = Security::getClientIp();
+
+        if (Security::isLockedOut($clientIp)) {
+            $remaining = Security::getLockoutRemaining($clientIp);
+            http_response_code(429);
+            echo json_encode(['error' => "Too many failed attempts. Try again in {$remaining} seconds."]);
+            exit;
+        }
+
+        if ($action === 'webauthn_login_options') {
+            if (!Auth::hasWebauthnCredentials()) {
+                http_response_code(404);
+                echo json_encode(['error' => 'No passkeys registered']);
+                exit;
+            }
+            echo json_encode(Auth::getWebauthnLoginOptions());
+            exit;
+        }
+
+        $assertion = json_decode($_POST['credential'] ?? '', true);
+        if (is_array($assertion) && Auth::loginWithWebauthn($assertion)) {
+            Security::clearLoginAttempts($clientIp);
+
+            if (Background::shouldSync()) {
+                Background::trigger();
+            }
+
+            echo json_encode([
+                'success' => true,
+                'csrfToken' => Auth::generateCsrfToken()
+            ]);
+        } else {
+            Security::recordFailedLogin($clientIp);
+            http_response_code(401);
+            echo json_encode(['error' => 'Passkey verification failed']);
+        }
+        exit;
+    }
+
     // All other actions require authentication
     Auth::initSession();
     if (!Auth::isLoggedIn()) {
@@ -381,6 +789,29 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             echo json_encode(['success' => true]);
             break;
 
+        case 'webauthn_register_options':
+            echo json_encode(Auth::getWebauthnRegistrationOptions());
+            break;
+
+        case 'webauthn_register':
+            try {
+                $credential = json_decode($_POST['credential'] ?? '', true);
+                if (!is_array($credential)) {
+                    throw new Exception('Passkey data required');
+                }
+                $passkey = Auth::registerWebauthnCredential($credential, $_POST['label'] ?? '');
+                echo json_encode(['success' => true, 'passkey' => $passkey]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'webauthn_delete':
+            $deleted = Auth::deleteWebauthnCredential($_POST['id'] ?? '');
+            echo json_encode(['success' => $deleted]);
+            break;
+
         case 'save_url_mode':
             $mode = $_POST['mode'] ?? 'router';
             if (in_array($mode, ['direct', 'router'])) {
@@ -396,6 +827,24 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             }
             break;
 
+        case 'save_nostr_relays':
+            try {
+                $relays = [];
+                foreach (preg_split('/[\s,]+/', $_POST['relays'] ?? '', -1, PREG_SPLIT_NO_EMPTY) as $relay) {
+                    if (!preg_match('#^wss?://#i', $relay) || filter_var($relay, FILTER_VALIDATE_URL) === false) {
+                        throw new Exception("Invalid relay URL: {$relay}");
+                    }
+                    $relays[] = $relay;
+                }
+                $relays = array_values(array_unique($relays));
+                Config::set('nostr_relays', $relays);
+                echo json_encode(['success' => true, 'relays' => $relays]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
         case 'create_store':
             try {
                 $name = trim($_POST['name'] ?? 'New Store');
@@ -561,11 +1010,15 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
 
         case 'create_api_key':
             $storeId = $_POST['store_id'] ?? '';
-            $label = $_POST['label'] ?? 'API Key';
-            $apiKey = Auth::createApiKey($storeId, $label);
+            $apiKey = ApiKeys::create($storeId, getApiKeySettings());
             echo json_encode($apiKey);
             break;
 
+        case 'update_api_key':
+            ApiKeys::update($_POST['key_id'] ?? '', getApiKeySettings());
+            echo json_encode(['success' => true]);
+            break;
+
         case 'delete_api_key':
             $keyId = $_POST['key_id'] ?? '';
             Auth::deleteApiKey($keyId);
@@ -574,32 +1027,43 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
 
         case 'check_proofs_spent':
             // Check if specific proofs have been spent (for detecting token claims)
+            // Optional `groups` (JSON array of secret lists, e.g. one per voucher) reports each group separately
             try {
                 $storeId = $_POST['store_id'] ?? '';
-                $secretsRaw = $_POST['secrets'] ?? '[]';
-                $secrets = json_decode($secretsRaw, true);
-                if ($secrets === null && json_last_error() !== JSON_ERROR_NONE) {
-                    // JSON parse failed - likely WordPress magic quotes escaping
-                    $secrets = json_decode(stripslashes($secretsRaw), true);
-                }
+                $decodeList = function (string $raw) {
+                    $list = json_decode($raw, true);
+                    if ($list === null && json_last_error() !== JSON_ERROR_NONE) {
+                        // JSON parse failed - likely WordPress magic quotes escaping
+                        $list = json_decode(stripslashes($raw), true);
+                    }
+                    return is_array($list) ? $list : [];
+                };
+
+                $groups = isset($_POST['groups']) ? array_values(array_filter($decodeList($_POST['groups']), 'is_array')) : null;
+                $secrets = $groups !== null ? array_merge(...$groups) : $decodeList($_POST['secrets'] ?? '[]');
+                // Optional ecash refund the secrets belong to, completed once claimed
+                $refundId = $_POST['refund_id'] ?? '';
 
                 if (empty($storeId)) {
                     throw new Exception('Store ID required');
                 }
                 if (empty($secrets)) {
-                    echo json_encode(['spent' => false]);
+                    echo json_encode(['spent' => false] + ($groups !== null ? ['groups' => array_fill(0, count($groups), false)] : []));
                     break;
                 }
 
                 // Check database state first using library storage (quick check)
                 $wallet = Invoice::getWalletInstance($storeId);
                 $spentProofs = $wallet->getStorage()->getProofs(ProofState::SPENT);
-                $spentSecrets = array_column($spentProofs, 'secret');
-                $spentCount = count(array_intersect($secrets, $spentSecrets));
+                $spentSet = array_flip(array_column($spentProofs, 'secret'));
+                $spentCount = count(array_filter($secrets, fn($s) => isset($spentSet[$s])));
 
                 if ($spentCount == count($secrets)) {
                     // All spent in database
-                    echo json_encode(['spent' => true, 'source' => 'db']);
+                    if ($refundId !== '') {
+                        Refunds::markClaimed($refundId);
+                    }
+                    echo json_encode(['spent' => true, 'source' => 'db'] + ($groups !== null ? ['groups' => array_fill(0, count($groups), true)] : []));
                     break;
                 }
 
@@ -614,23 +1078,33 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 $client = new \Cashu\MintClient($store['mint_url']);
                 $response = $client->post('checkstate', ['Ys' => $Ys]);
 
-
-                $allSpent = true;
-                foreach ($response['states'] ?? [] as $state) {
+                $mintSpent = [];
+                foreach ($response['states'] ?? [] as $i => $state) {
                     // Normalize case - mints may return lowercase states
-                    $mintState = strtoupper($state['state'] ?? ProofState::UNSPENT);
-                    if ($mintState !== ProofState::SPENT) {
-                        $allSpent = false;
-                        break;
+                    if (isset($secrets[$i]) && strtoupper($state['state'] ?? ProofState::UNSPENT) === ProofState::SPENT) {
+                        $mintSpent[$secrets[$i]] = true;
                     }
                 }
+                $allSpent = count($mintSpent) === count($secrets);
+
+                // If spent at mint but not in DB, update DB
+                $newlySpent = array_keys(array_diff_key($mintSpent, $spentSet));
+                if (!empty($newlySpent)) {
+                    Invoice::markProofsSpent($storeId, $newlySpent);
+                }
 
-                // If all spent at mint but not in DB, update DB
-                if ($allSpent && $spentCount < count($secrets)) {
-                    Invoice::markProofsSpent($storeId, $secrets);
+                if ($allSpent && $refundId !== '') {
+                    Refunds::markClaimed($refundId);
                 }
 
-                echo json_encode(['spent' => $allSpent, 'source' => 'mint']);
+                $result = ['spent' => $allSpent, 'source' => 'mint'];
+                if ($groups !== null) {
+                    $result['groups'] = array_map(
+                        fn($group) => !empty($group) && !array_diff_key(array_flip($group), $mintSpent),
+                        $groups
+                    );
+                }
+                echo json_encode($result);
             } catch (Exception $e) {
                 error_log("CashuPayServer: check_proofs_spent error: " . $e->getMessage());
                 echo json_encode(['spent' => false, 'error' => $e->getMessage()]);
@@ -661,13 +1135,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 $wallet = Invoice::getWalletInstance($storeId);
                 $balance = Invoice::getBalance($storeId);
 
-                // Check if it's a BOLT-11 invoice or Lightning address
-                $isBolt11 = LightningAddress::isBolt11Invoice($destination);
-                $isLightningAddress = !$isBolt11 && strpos($destination, '@') !== false;
-
-                if (!$isBolt11 && !$isLightningAddress) {
-                    throw new Exception('Invalid destination');
-                }
+                // BOLT-11 invoice, or Lightning address / LNURL-pay (URI prefixes stripped)
+                $parsed = LightningAddress::parseDestination($destination);
+                $destination = $parsed['value'];
+                $isBolt11 = $parsed['type'] === 'bolt11';
 
                 // Get invoice for the amount
                 if ($isBolt11) {
@@ -678,8 +1149,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                     }
                     $bolt11 = $destination;
                 } else {
-                    // Get invoice from Lightning address
-                    $bolt11 = \Cashu\LightningAddress::getInvoice($destination, $amountSats, null);
+                    // Get invoice from Lightning address or LNURL-pay
+                    $bolt11 = LightningAddress::getInvoice($destination, $amountSats, null);
                 }
 
                 // Request melt quote to get actual cost in mint units
@@ -753,11 +1224,13 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             break;
 
         case 'manual_melt':
+            $withdrawing = false;
             try {
                 $storeId = $_POST['store_id'] ?? '';
                 $destination = $_POST['address'] ?? '';
                 $amount = (int)($_POST['amount'] ?? 0);
                 $donate = isset($_POST['donate']) && $_POST['donate'] === '1';
+                $comment = trim($_POST['comment'] ?? '') ?: 'CashuPayServer withdrawal';
                 // For ALL Lightning destinations with fiat mints, amount is in SATS (from frontend)
                 $amountIsSats = isset($_POST['amount_is_sats']) && $_POST['amount_is_sats'] === '1';
 
@@ -768,12 +1241,12 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                     throw new Exception('Store not configured');
                 }
                 if (empty($destination)) {
-                    throw new Exception('Destination (Lightning address or BOLT-11 invoice) required');
+                    throw new Exception('Destination (Lightning address, LNURL or BOLT-11 invoice) required');
                 }
 
-                $isBolt11 = LightningAddress::isBolt11Invoice($destination);
-                $isLightningAddress = !$isBolt11 && strpos($destination, '@') !== false;
-                $isLightningDestination = $isBolt11 || $isLightningAddress;
+                $parsed = LightningAddress::parseDestination($destination);
+                $destination = $parsed['value'];
+                $isBolt11 = $parsed['type'] === 'bolt11';
                 $mintUnit = Config::getStoreMintUnit($storeId);
                 $isFiatMint = !in_array(strtolower($mintUnit), ['sat', 'sats', 'msat']);
 
@@ -791,13 +1264,14 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 if ($amount < 1) {
                     throw new Exception('Amount required');
                 }
+                $withdrawing = true;
 
                 // For ALL Lightning destinations with fiat mints, amount is in SATS
                 // We need to handle donation calculations differently
                 $donationAmount = 0;
                 $donationSuccess = false;
 
-                if ($isLightningDestination && $isFiatMint && $amountIsSats) {
+                if ($isFiatMint && $amountIsSats) {
                     // Amount is in SATS - need to estimate equivalent mint units for donation
                     $withdrawAmountSats = $amount;
 
@@ -805,8 +1279,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                     if ($isBolt11) {
                         $bolt11ForQuote = $destination;
                     } else {
-                        // Get invoice from Lightning address
-                        $bolt11ForQuote = LightningAddress::getInvoice($destination, $withdrawAmountSats, 'CashuPayServer withdrawal');
+                        // Get invoice from Lightning address or LNURL-pay
+                        $bolt11ForQuote = LightningAddress::getInvoice($destination, $withdrawAmountSats, $comment);
                     }
 
                     // Get melt quote to know the cost in mint units BEFORE doing anything
@@ -872,11 +1346,13 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                     if ($isBolt11) {
                         $result = LightningAddress::meltToBolt11($storeId, $destination, $withdrawAmount);
                     } else {
-                        // For Lightning address with sat mint, amount is already in sats
-                        $result = LightningAddress::meltToAddress($storeId, $destination, $withdrawAmount, 'CashuPayServer withdrawal');
+                        // For Lightning address / LNURL-pay with sat mint, amount is already in sats
+                        $result = LightningAddress::meltToAddress($storeId, $destination, $withdrawAmount, $comment);
                     }
                 }
 
+                NostrNotifier::withdrawalSent($storeId, (int)($result['amountPaid'] ?? 0), Config::getStoreMintUnit($storeId), $destination);
+
                 // Include donation info in response
                 $result['donated'] = $donationAmount;
                 $result['donationSuccess'] = $donationSuccess;
@@ -886,6 +1362,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
 
                 echo json_encode($result);
             } catch (Exception $e) {
+                if ($withdrawing) {
+                    NostrNotifier::withdrawalFailed($storeId, $destination, $e->getMessage());
+                }
+
                 // If melt failed due to "already spent", sync proof states
                 if (stripos($e->getMessage(), 'already spent') !== false ||
                     stripos($e->getMessage(), 'proof already spent') !== false) {
@@ -910,6 +1390,30 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             }
             break;
 
+        case 'resolve_destination':
+            // Normalize a withdrawal destination and fetch LNURL-pay limits for addresses/LNURLs
+            try {
+                $parsed = LightningAddress::parseDestination($_POST['destination'] ?? '');
+                $response = ['type' => $parsed['type'], 'value' => $parsed['value']];
+
+                if ($parsed['type'] !== 'bolt11') {
+                    $params = LightningAddress::resolvePayDestination($parsed);
+                    $response += [
+                        'minSats' => (int)ceil($params['minSendable'] / 1000),
+                        'maxSats' => intdiv($params['maxSendable'], 1000),
+                        'commentAllowed' => $params['commentAllowed'],
+                        'description' => $params['description'],
+                        'domain' => $params['domain'],
+                    ];
+                }
+
+                echo json_encode($response);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
         case 'get_bolt11_amount':
             try {
                 $bolt11 = $_POST['bolt11'] ?? '';
@@ -1273,7 +1777,287 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             }
             break;
 
-        case 'get_backup_mints':
+        case 'cancel_invoice':
+            // Cancelled point-of-sale sale: the customer must no longer be able to pay it
+            try {
+                $invoice = Invoice::getById($_POST['invoice_id'] ?? '');
+                if (!$invoice) {
+                    throw new Exception('Invoice not found');
+                }
+                $invoice = Invoice::cancel($invoice['id']);
+                echo json_encode(['success' => true, 'status' => $invoice['status']]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'refund_invoice':
+            // Refund a settled invoice as an ecash token or a Lightning payout
+            try {
+                $amount = trim($_POST['amount'] ?? '');
+                if ($amount !== '' && !ctype_digit($amount)) {
+                    throw new Exception('Invalid refund amount');
+                }
+
+                $refund = Refunds::create(
+                    $_POST['invoice_id'] ?? '',
+                    $_POST['method'] ?? '',
+                    $amount === '' ? null : (int)$amount,
+                    $_POST['destination'] ?? '',
+                    $_POST['memo'] ?? ''
+                );
+                echo json_encode(['success' => true, 'refund' => $refund]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                $errorMsg = ($e instanceof \Cashu\CashuProtocolException)
+                    ? 'Mint returned error: ' . $e->getMessage()
+                    : $e->getMessage();
+                echo json_encode(['error' => $errorMsg]);
+            }
+            break;
+
+        case 'create_vouchers':
+            // Batch export: one token per voucher, swapped from the store balance in one go
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                $amountsRaw = $_POST['amounts'] ?? '[]';
+                $amounts = json_decode($amountsRaw, true);
+                if ($amounts === null && json_last_error() !== JSON_ERROR_NONE) {
+                    $amounts = json_decode(stripslashes($amountsRaw), true);
+                }
+                if (!is_array($amounts)) {
+                    throw new Exception('Invalid voucher amounts');
+                }
+
+                $batch = Vouchers::createBatch(
+                    $storeId,
+                    array_map(fn($a) => is_numeric($a) ? (int)$a : 0, $amounts),
+                    $_POST['memo'] ?? '',
+                    $_POST['expiry_note'] ?? ''
+                );
+                echo json_encode(['success' => true, 'batch' => $batch]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                $errorMsg = Invoice::isMintUnreachable($e)
+                    ? 'Mint unreachable - vouchers need the mint to split exact amounts'
+                    : $e->getMessage();
+                echo json_encode(['error' => $errorMsg]);
+            }
+            break;
+
+        case 'reclaim_vouchers':
+            try {
+                $batchId = $_POST['batch_id'] ?? '';
+                if (empty($batchId)) {
+                    throw new Exception('Batch ID required');
+                }
+                echo json_encode(['success' => true] + Vouchers::reclaimBatch($batchId));
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'preview_consolidation':
+            // Fee and resulting denominations of a consolidation swap, nothing is swapped
+            try {
+                $plan = ProofInventory::planConsolidation($_POST['store_id'] ?? '', $_POST['mint_url'] ?? '');
+                echo json_encode(['success' => true, 'plan' => $plan]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                $errorMsg = Invoice::isMintUnreachable($e)
+                    ? 'Mint unreachable - consolidation needs the mint'
+                    : $e->getMessage();
+                echo json_encode(['error' => $errorMsg]);
+            }
+            break;
+
+        case 'consolidate_proofs':
+            try {
+                $result = ProofInventory::consolidate(
+                    $_POST['store_id'] ?? '',
+                    $_POST['mint_url'] ?? '',
+                    (int)($_POST['expected_fee'] ?? -1)
+                );
+                echo json_encode(['success' => true, 'result' => $result]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                $errorMsg = Invoice::isMintUnreachable($e)
+                    ? 'Mint unreachable - consolidation needs the mint'
+                    : $e->getMessage();
+                echo json_encode(['error' => $errorMsg]);
+            }
+            break;
+
+        case 'save_webhook':
+            // Create (returns the signing secret once) or update a store webhook
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                $webhookId = $_POST['webhook_id'] ?? '';
+                $url = trim($_POST['url'] ?? '');
+                $eventsRaw = $_POST['events'] ?? '[]';
+                $events = json_decode($eventsRaw, true);
+                if ($events === null && json_last_error() !== JSON_ERROR_NONE) {
+                    $events = json_decode(stripslashes($eventsRaw), true);
+                }
+
+                if (!filter_var($url, FILTER_VALIDATE_URL) || !preg_match('#^https?://#i', $url)) {
+                    throw new Exception('Invalid webhook URL');
+                }
+                // Empty list means every event
+                $events = array_values(array_intersect(WebhookSender::EVENTS, is_array($events) ? $events : []));
+                $enabled = ($_POST['enabled'] ?? '1') === '1' ? 1 : 0;
+
+                if ($webhookId !== '') {
+                    if (!Database::fetchOne("SELECT id FROM webhooks WHERE id = ? AND store_id = ?", [$webhookId, $storeId])) {
+                        throw new Exception('Webhook not found');
+                    }
+                    Database::update('webhooks', [
+                        'url' => $url,
+                        'events' => json_encode($events),
+                        'enabled' => $enabled,
+                    ], 'id = ?', [$webhookId]);
+                    echo json_encode(['success' => true, 'id' => $webhookId]);
+                    break;
+                }
+
+                if (!Config::getStore($storeId)) {
+                    throw new Exception('Store not found');
+                }
+                $webhookId = Database::generateId('wh');
+                $secret = bin2hex(random_bytes(32));
+                Database::insert('webhooks', [
+                    'id' => $webhookId,
+                    'store_id' => $storeId,
+                    'url' => $url,
+                    'secret' => $secret,
+                    'events' => json_encode($events),
+                    'enabled' => $enabled,
+                    'created_at' => Database::timestamp(),
+                ]);
+                echo json_encode(['success' => true, 'id' => $webhookId, 'secret' => $secret]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'save_branding':
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                if (!Config::getStore($storeId)) {
+                    throw new Exception('Store not found');
+                }
+                $raw = $_POST['branding'] ?? '';
+                $branding = json_decode($raw, true);
+                if ($branding === null && json_last_error() !== JSON_ERROR_NONE) {
+                    $branding = json_decode(stripslashes($raw), true);
+                }
+                if (!is_array($branding)) {
+                    throw new Exception('Invalid branding data');
+                }
+                echo json_encode(['success' => true, 'branding' => Branding::save($storeId, $branding)]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'save_nostr_notifications':
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                if (!Config::getStore($storeId)) {
+                    throw new Exception('Store not found');
+                }
+                $raw = $_POST['settings'] ?? '';
+                $settings = json_decode($raw, true);
+                if ($settings === null && json_last_error() !== JSON_ERROR_NONE) {
+                    $settings = json_decode(stripslashes($raw), true);
+                }
+                if (!is_array($settings)) {
+                    throw new Exception('Invalid notification settings');
+                }
+                echo json_encode(['success' => true, 'settings' => NostrNotifier::save($storeId, $settings)]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'test_nostr_notification':
+            try {
+                $relays = NostrNotifier::sendTest($_POST['store_id'] ?? '');
+                echo json_encode(['success' => true, 'relays' => $relays]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'delete_webhook':
+            Database::delete('webhooks', 'id = ?', [$_POST['webhook_id'] ?? '']);
+            echo json_encode(['success' => true]);
+            break;
+
+        case 'rotate_webhook_secret':
+            $webhookId = $_POST['webhook_id'] ?? '';
+            if (!Database::fetchOne("SELECT id FROM webhooks WHERE id = ?", [$webhookId])) {
+                http_response_code(404);
+                echo json_encode(['error' => 'Webhook not found']);
+                break;
+            }
+            echo json_encode(['success' => true, 'secret' => WebhookSender::rotateSecret($webhookId)]);
+            break;
+
+        case 'test_webhook':
+            try {
+                $deliveryId = WebhookSender::sendTest($_POST['webhook_id'] ?? '', $_POST['event'] ?? 'InvoiceSettled');
+                $delivery = Database::fetchOne("SELECT * FROM webhook_deliveries WHERE id = ?", [$deliveryId]);
+                echo json_encode(['success' => true, 'delivery' => WebhookSender::formatDelivery($delivery)]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'redeliver_webhook':
+            $delivered = WebhookSender::redeliver($_POST['delivery_id'] ?? '');
+            echo json_encode(['success' => $delivered]);
+            break;
+
+        case 'receive_token':
+            // Receive a scanned or pasted token into the store's wallet (swaps proofs at the mint)
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                $token = trim($_POST['token'] ?? '');
+
+                if (empty($storeId)) {
+                    throw new Exception('Store ID required');
+                }
+                if (!Config::isStoreConfigured($storeId)) {
+                    throw new Exception('Store not configured');
+                }
+                if (empty($token)) {
+                    throw new Exception('Token required');
+                }
+
+                $wallet = Invoice::getWalletInstance($storeId);
+                $proofs = $wallet->receive($token);
+
+                echo json_encode([
+                    'success' => true,
+                    'amount' => \Cashu\Wallet::sumProofs($proofs),
+                    'unit' => Config::getStoreMintUnit($storeId),
+                    'proofs_count' => count($proofs),
+                ]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'get_backup_mints':
             $storeId = $_GET['store_id'] ?? $_POST['store_id'] ?? null;
             if (!$storeId) {
                 http_response_code(400);
@@ -1374,6 +2158,19 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             }
             break;
 
+        case 'check_mint_health':
+            try {
+                $storeId = $_POST['store_id'] ?? '';
+                if (!Config::getStore($storeId)) {
+                    throw new Exception('Store not found');
+                }
+                echo json_encode(['success' => true, 'results' => MintHealth::checkStore($storeId, true)]);
+            } catch (Exception $e) {
+                http_response_code(400);
+                echo json_encode(['error' => $e->getMessage()]);
+            }
+            break;
+
         default:
             http_response_code(400);
             echo json_encode(['error' => 'Unknown action']);
@@ -1893,6 +2690,115 @@ $isWp = Urls::isWordPress();
         .list-amount-status.new { background: rgba(247, 147, 26, 0.2); color: var(--accent); }
         .list-amount-status.expired { background: rgba(229, 62, 62, 0.2); color: var(--error); }
 
+        /* Point of Sale */
+        .pos {
+            max-width: 420px;
+            margin: 0 auto;
+        }
+
+        .pos-display {
+            text-align: center;
+            padding: 1rem 0;
+        }
+
+        .pos-currency {
+            padding: 0.375rem 0.75rem;
+            background: var(--bg-card);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            color: var(--text-primary);
+            font-size: 0.875rem;
+        }
+
+        .pos-amount {
+            font-size: 3rem;
+            font-weight: 700;
+            margin: 0.5rem 0 0.25rem;
+            word-break: break-all;
+        }
+
+        .pos-conversion,
+        .pos-total {
+            font-size: 0.875rem;
+            color: var(--text-secondary);
+            min-height: 1.25rem;
+        }
+
+        .pos-tips {
+            display: flex;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .pos-tip {
+            flex: 1;
+            padding: 0.625rem 0;
+            background: var(--bg-card);
+            border: 1px solid var(--border);
+            border-radius: 10px;
+            color: var(--text-primary);
+            font-size: 0.875rem;
+            cursor: pointer;
+        }
+
+        .pos-tip.active {
+            border-color: var(--accent);
+            color: var(--accent);
+        }
+
+        .pos-keypad {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 0.75rem;
+            margin-bottom: 1rem;
+        }
+
+        .pos-key {
+            height: 64px;
+            border-radius: 14px;
+            background: var(--bg-card);
+            border: 1px solid var(--border);
+            color: var(--text-primary);
+            font-size: 1.5rem;
+            font-weight: 500;
+            cursor: pointer;
+            touch-action: manipulation;
+            user-select: none;
+        }
+
+        .pos-key:active {
+            background: var(--bg-card-hover);
+            transform: scale(0.97);
+        }
+
+        .pos-key:disabled {
+            opacity: 0.3;
+            cursor: default;
+        }
+
+        .pos-sale {
+            text-align: center;
+        }
+
+        .pos-sale .modal-qr {
+            max-width: 320px;
+            margin: 1rem auto;
+        }
+
+        .pos-status {
+            margin: 1rem 0;
+            font-weight: 500;
+        }
+
+        .pos-status.paid { color: var(--success); }
+        .pos-status.expired { color: var(--error); }
+
+        .pos-paid-icon {
+            font-size: 4rem;
+            color: var(--success);
+            margin: 1.5rem 0 0.5rem;
+        }
+
         /* Forms */
         .form-group {
             margin-bottom: 1rem;
@@ -2139,30 +3045,450 @@ $isWp = Urls::isWordPress();
             max-width: 60%;
         }
 
-        /* Empty State */
-        .empty-state {
-            text-align: center;
-            padding: 3rem 1rem;
-            color: var(--text-secondary);
+        /* Mint Health */
+        .mint-health-mint {
+            padding: 0.75rem 0;
+            border-bottom: 1px solid var(--border);
         }
 
-        .empty-state-icon {
-            font-size: 3rem;
-            margin-bottom: 1rem;
-            opacity: 0.5;
+        .mint-health-mint:last-child {
+            border-bottom: none;
         }
 
-        /* Toast */
-        .toast {
-            position: fixed;
-            bottom: calc(5rem + env(safe-area-inset-bottom) + 1rem);
-            left: 50%;
-            transform: translateX(-50%) translateY(100px);
-            background: var(--bg-secondary);
-            border: 1px solid var(--border);
-            padding: 0.75rem 1.5rem;
-            border-radius: 12px;
-            font-size: 0.875rem;
+        .mint-health-header {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            font-size: 0.875rem;
+            word-break: break-all;
+        }
+
+        .mint-health-status {
+            flex-shrink: 0;
+            font-size: 0.7rem;
+            font-weight: 600;
+            text-transform: uppercase;
+            padding: 0.125rem 0.5rem;
+            border-radius: 999px;
+        }
+
+        .mint-health-status.ok { background: rgba(72, 187, 120, 0.2); color: var(--success); }
+        .mint-health-status.degraded { background: rgba(237, 137, 54, 0.2); color: var(--warning); }
+        .mint-health-status.down { background: rgba(229, 62, 62, 0.2); color: var(--error); }
+        .mint-health-status.unknown { background: var(--border); color: var(--text-secondary); }
+
+        .mint-health-details {
+            font-size: 0.8rem;
+            color: var(--text-secondary);
+            margin-top: 0.375rem;
+        }
+
+        .mint-health-alert {
+            padding: 0.75rem 1rem;
+            margin-bottom: 0.75rem;
+            border-radius: 12px;
+            font-size: 0.875rem;
+            cursor: pointer;
+            background: rgba(237, 137, 54, 0.1);
+            border: 1px solid rgba(237, 137, 54, 0.4);
+        }
+
+        .mint-health-alert.down {
+            background: rgba(229, 62, 62, 0.1);
+            border-color: rgba(229, 62, 62, 0.4);
+        }
+
+        /* Proof inventory */
+        .proof-keyset {
+            margin-top: 0.5rem;
+            padding: 0.5rem 0.75rem;
+            border-radius: 8px;
+            background: var(--bg-secondary);
+            font-size: 0.8rem;
+        }
+
+        .proof-keyset-id {
+            font-family: monospace;
+            word-break: break-all;
+        }
+
+        .proof-denominations {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem;
+            margin-top: 0.375rem;
+        }
+
+        .proof-denomination {
+            padding: 0.125rem 0.5rem;
+            border-radius: 999px;
+            background: var(--border);
+            font-size: 0.75rem;
+        }
+
+        .proof-flag {
+            font-size: 0.8rem;
+            color: var(--warning);
+            margin-top: 0.375rem;
+        }
+
+        /* API key scopes */
+        .api-key-scopes {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem;
+            margin: 0.25rem 0;
+        }
+
+        .api-key-scope {
+            padding: 0.125rem 0.5rem;
+            border-radius: 999px;
+            background: var(--border);
+            font-size: 0.75rem;
+        }
+
+        .api-key-scope-full {
+            background: rgba(247, 147, 26, 0.2);
+            color: var(--accent);
+        }
+
+        .api-key-rejected {
+            font-size: 0.8rem;
+            color: var(--warning);
+        }
+
+        /* Voucher batches */
+        .voucher-batch-actions {
+            display: flex;
+            gap: 0.5rem;
+            padding: 0 0 0.75rem 3.25rem;
+            border-bottom: 1px solid var(--border);
+        }
+
+        .voucher-batch-actions .btn {
+            padding: 0.25rem 0.5rem;
+            font-size: 0.75rem;
+        }
+
+        /* Webhook delivery log */
+        .webhook-delivery {
+            border-bottom: 1px solid var(--border);
+            padding: 0.5rem 0;
+            font-size: 0.875rem;
+        }
+
+        .webhook-delivery summary {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            cursor: pointer;
+        }
+
+        .webhook-status {
+            min-width: 3rem;
+            padding: 0.1rem 0.4rem;
+            border-radius: 6px;
+            font-size: 0.75rem;
+            font-weight: 600;
+            text-align: center;
+            background: rgba(229, 62, 62, 0.2);
+            color: var(--error);
+        }
+
+        .webhook-status.success {
+            background: rgba(72, 187, 120, 0.2);
+            color: var(--success);
+        }
+
+        .webhook-payload {
+            max-height: 200px;
+            overflow: auto;
+            margin: 0.25rem 0 0.5rem;
+            padding: 0.5rem;
+            border-radius: 8px;
+            background: rgba(0, 0, 0, 0.2);
+            font-size: 0.75rem;
+            white-space: pre-wrap;
+            word-break: break-all;
+        }
+
+        /* Checkout branding preview (colors come from the branding form) */
+        .branding-preview {
+            padding: 1.25rem;
+            border-radius: 12px;
+            background: linear-gradient(135deg, var(--bg-primary) 0%, var(--bg-secondary) 100%);
+            color: var(--text-primary);
+            text-align: center;
+            margin-bottom: 1rem;
+        }
+
+        .branding-preview-card {
+            max-width: 260px;
+            margin: 0 auto;
+            padding: 1.25rem;
+            border-radius: 16px;
+            background: var(--bg-card);
+            border: 1px solid var(--border);
+        }
+
+        .branding-preview-logo {
+            font-size: 1.75rem;
+            margin-bottom: 0.25rem;
+        }
+
+        .branding-preview-logo img {
+            display: block;
+            max-width: 140px;
+            max-height: 48px;
+            margin: 0 auto;
+        }
+
+        .branding-preview-amount {
+            font-size: 1.35rem;
+            font-weight: 700;
+            margin: 0.25rem 0 0.5rem;
+        }
+
+        .branding-preview-badge {
+            display: inline-block;
+            padding: 0.25rem 0.75rem;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            background: var(--accent-soft);
+            color: var(--accent);
+        }
+
+        .branding-preview-qr {
+            width: 96px;
+            height: 96px;
+            margin: 0.75rem auto;
+            border-radius: 8px;
+            background: repeating-conic-gradient(#000 0% 25%, #fff 0% 50%) 0 0 / 16px 16px;
+            border: 6px solid #fff;
+        }
+
+        .branding-preview-btn {
+            padding: 0.6rem;
+            border-radius: 10px;
+            font-size: 0.85rem;
+            font-weight: 600;
+            background: var(--accent);
+            color: var(--accent-text);
+        }
+
+        .branding-preview-footer {
+            margin-top: 0.75rem;
+            font-size: 0.75rem;
+            color: var(--text-secondary);
+        }
+
+        .branding-preview-footer a {
+            color: var(--accent);
+        }
+
+        /* Offline mode */
+        .offline-banner {
+            display: none;
+            padding: 0.75rem 1rem;
+            margin-bottom: 1rem;
+            border-radius: 12px;
+            font-size: 0.875rem;
+            background: rgba(237, 137, 54, 0.1);
+            border: 1px solid rgba(237, 137, 54, 0.4);
+        }
+
+        body.offline .offline-banner {
+            display: block;
+        }
+
+        body.offline .balance-btn,
+        body.offline .btn:not([onclick^="closeModal"]):not(.offline-ok) {
+            opacity: 0.5;
+            cursor: not-allowed;
+        }
+
+        /* Voucher print sheet (only rendered while printing) */
+        #voucher-sheet {
+            display: none;
+        }
+
+        @media print {
+            @page {
+                margin: 1cm;
+            }
+
+            body.printing-vouchers {
+                background: #ffffff !important;
+                color: #000000 !important;
+                padding: 0 !important;
+            }
+
+            body.printing-vouchers > *:not(#voucher-sheet) {
+                display: none !important;
+            }
+
+            body.printing-vouchers #voucher-sheet {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+            }
+
+            .voucher-card {
+                break-inside: avoid;
+                border: 1px dashed #999999;
+                padding: 0.4cm;
+                text-align: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .voucher-card img {
+                width: 4.2cm;
+                height: 4.2cm;
+            }
+
+            .voucher-card .voucher-amount {
+                font-size: 18pt;
+                font-weight: 700;
+            }
+
+            .voucher-card .voucher-memo {
+                font-size: 10pt;
+                margin-top: 0.1cm;
+            }
+
+            .voucher-card .voucher-meta {
+                font-size: 7pt;
+                color: #444444;
+                margin-top: 0.1cm;
+                word-break: break-all;
+            }
+        }
+
+        /* Analytics */
+        .analytics-controls {
+            display: grid;
+            grid-template-columns: 1fr 1fr 1fr;
+            gap: 0.5rem;
+        }
+
+        .analytics-stats {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 0.75rem;
+            margin-bottom: 1rem;
+        }
+
+        .analytics-stat {
+            background: var(--bg-card);
+            border: 1px solid var(--border);
+            border-radius: 16px;
+            padding: 0.875rem;
+            min-width: 0;
+        }
+
+        .analytics-stat-label {
+            font-size: 0.75rem;
+            color: var(--text-secondary);
+            margin-bottom: 0.25rem;
+        }
+
+        .analytics-stat-value {
+            font-size: 1.125rem;
+            font-weight: 600;
+            word-break: break-word;
+        }
+
+        @media (max-width: 500px) {
+            .analytics-controls,
+            .analytics-stats {
+                grid-template-columns: 1fr;
+            }
+
+            .nav-item {
+                padding: 0.5rem 0.5rem;
+            }
+        }
+
+        /* Invoice Browser */
+        .invoice-filters {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 0 0.75rem;
+        }
+
+        .invoice-filters .form-group:first-child {
+            grid-column: 1 / -1;
+        }
+
+        .invoice-filter-actions {
+            display: flex;
+            gap: 0.5rem;
+            flex-wrap: wrap;
+        }
+
+        .invoice-filter-actions .btn {
+            flex: 1;
+        }
+
+        .invoice-metadata {
+            background: rgba(0, 0, 0, 0.2);
+            border-radius: 12px;
+            padding: 0.75rem;
+            font-family: monospace;
+            font-size: 0.75rem;
+            white-space: pre-wrap;
+            word-break: break-all;
+            max-height: 200px;
+            overflow-y: auto;
+        }
+
+        .invoice-history {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+        }
+
+        .invoice-history li {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 0.5rem 0;
+            border-bottom: 1px solid var(--border);
+            font-size: 0.875rem;
+        }
+
+        .invoice-history li:last-child {
+            border-bottom: none;
+        }
+
+        .invoice-section-title {
+            font-weight: 600;
+            margin: 1.25rem 0 0.5rem;
+        }
+
+        /* Empty State */
+        .empty-state {
+            text-align: center;
+            padding: 3rem 1rem;
+            color: var(--text-secondary);
+        }
+
+        .empty-state-icon {
+            font-size: 3rem;
+            margin-bottom: 1rem;
+            opacity: 0.5;
+        }
+
+        /* Toast */
+        .toast {
+            position: fixed;
+            bottom: calc(5rem + env(safe-area-inset-bottom) + 1rem);
+            left: 50%;
+            transform: translateX(-50%) translateY(100px);
+            background: var(--bg-secondary);
+            border: 1px solid var(--border);
+            padding: 0.75rem 1.5rem;
+            border-radius: 12px;
+            font-size: 0.875rem;
             z-index: 300;
             transition: transform 0.3s;
         }
@@ -2265,6 +3591,7 @@ $isWp = Urls::isWordPress();
         </div>
 
         <div class="password-fallback" id="password-fallback">
+            <button class="btn btn-full" id="passkey-unlock" style="display: none; margin-bottom: 1rem;">Unlock with passkey</button>
             <input type="password" id="password-input" placeholder="Or enter password">
             <button class="btn btn-full" id="password-submit">Unlock</button>
         </div>
@@ -2302,6 +3629,8 @@ $isWp = Urls::isWordPress();
         </header>
 
         <main class="main">
+            <div class="offline-banner" id="offline-banner" role="status"></div>
+
             <!-- Dashboard View -->
             <div class="view active" id="view-dashboard">
                 <div class="balance-card">
@@ -2327,9 +3656,17 @@ $isWp = Urls::isWordPress();
                             </svg>
                             Request
                         </button>
+                        <button class="balance-btn" id="btn-receive">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M3 7V5a2 2 0 0 1 2-2h2M17 3h2a2 2 0 0 1 2 2v2M21 17v2a2 2 0 0 1-2 2h-2M7 21H5a2 2 0 0 1-2-2v-2M7 12h10"></path>
+                            </svg>
+                            Receive
+                        </button>
                     </div>
                 </div>
 
+                <div id="mint-health-alerts"></div>
+
                 <div class="card">
                     <div class="card-header">
                         <div class="card-title">Recent Invoices</div>
@@ -2340,8 +3677,175 @@ $isWp = Urls::isWordPress();
                 </div>
             </div>
 
+            <!-- Point of Sale View -->
+            <div class="view" id="view-pos">
+                <div class="pos">
+                    <div id="pos-entry">
+                        <div class="pos-display">
+                            <select class="pos-currency" id="pos-currency" aria-label="Currency"></select>
+                            <div class="pos-amount" id="pos-amount">0</div>
+                            <div class="pos-conversion" id="pos-conversion"></div>
+                            <div class="pos-total" id="pos-total"></div>
+                        </div>
+
+                        <div class="pos-tips" id="pos-tips">
+                            <button class="pos-tip active" data-tip="0">No tip</button>
+                            <button class="pos-tip" data-tip="5">5%</button>
+                            <button class="pos-tip" data-tip="10">10%</button>
+                            <button class="pos-tip" data-tip="15">15%</button>
+                        </div>
+
+                        <div class="pos-keypad" id="pos-keypad">
+                            <button class="pos-key" data-key="1">1</button>
+                            <button class="pos-key" data-key="2">2</button>
+                            <button class="pos-key" data-key="3">3</button>
+                            <button class="pos-key" data-key="4">4</button>
+                            <button class="pos-key" data-key="5">5</button>
+                            <button class="pos-key" data-key="6">6</button>
+                            <button class="pos-key" data-key="7">7</button>
+                            <button class="pos-key" data-key="8">8</button>
+                            <button class="pos-key" data-key="9">9</button>
+                            <button class="pos-key" data-key="." id="pos-key-decimal">.</button>
+                            <button class="pos-key" data-key="0">0</button>
+                            <button class="pos-key" data-key="back">&#8592;</button>
+                        </div>
+
+                        <div class="form-group">
+                            <input type="text" class="form-input" id="pos-memo" placeholder="Description (optional)">
+                        </div>
+
+                        <button class="btn btn-full" id="btn-pos-charge" disabled>Charge</button>
+                    </div>
+
+                    <div class="pos-sale" id="pos-sale" style="display: none;">
+                        <div class="pos-amount" id="pos-sale-amount"></div>
+                        <div class="pos-conversion" id="pos-sale-conversion"></div>
+                        <div id="pos-sale-pending">
+                            <div class="modal-qr" id="pos-qr"></div>
+                            <div class="pos-status" id="pos-status">Waiting for payment...</div>
+                            <button class="btn btn-secondary btn-full" id="btn-pos-cancel">Cancel Sale</button>
+                        </div>
+                        <div id="pos-sale-paid" style="display: none;">
+                            <div class="pos-paid-icon">&#10003;</div>
+                            <div class="pos-status paid">Payment received</div>
+                            <button class="btn btn-full" id="btn-pos-new">New Sale</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Analytics View -->
+            <div class="view" id="view-analytics">
+                <div class="card">
+                    <div class="card-body">
+                        <div class="analytics-controls">
+                            <select class="form-input" id="analytics-scope" aria-label="Stores">
+                                <option value="store">This store</option>
+                                <option value="all">All stores</option>
+                            </select>
+                            <select class="form-input" id="analytics-bucket" aria-label="Period">
+                                <option value="day">Daily (30 days)</option>
+                                <option value="week">Weekly (12 weeks)</option>
+                                <option value="month">Monthly (12 months)</option>
+                            </select>
+                            <select class="form-input" id="analytics-currency" aria-label="Display currency"></select>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="analytics-stats">
+                    <div class="analytics-stat">
+                        <div class="analytics-stat-label">Settled volume</div>
+                        <div class="analytics-stat-value" id="analytics-volume">-</div>
+                    </div>
+                    <div class="analytics-stat">
+                        <div class="analytics-stat-label">Conversion</div>
+                        <div class="analytics-stat-value" id="analytics-conversion">-</div>
+                    </div>
+                    <div class="analytics-stat">
+                        <div class="analytics-stat-label">Average ticket</div>
+                        <div class="analytics-stat-value" id="analytics-ticket">-</div>
+                    </div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">Settled volume</div>
+                    </div>
+                    <div class="card-body" id="analytics-volume-chart"></div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">Conversion rate (settled vs expired)</div>
+                    </div>
+                    <div class="card-body" id="analytics-conversion-chart"></div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">Average ticket size</div>
+                    </div>
+                    <div class="card-body" id="analytics-ticket-chart"></div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">By store</div>
+                    </div>
+                    <div class="card-body" id="analytics-stores"></div>
+                </div>
+
+                <p class="form-help" style="text-align: center;">
+                    Amounts in other units are converted at their invoice-time value and today's rate.
+                    Finished invoices older than 90 days are removed by cleanup.
+                </p>
+            </div>
+
             <!-- Invoices View -->
             <div class="view" id="view-invoices">
+                <div class="card">
+                    <div class="card-body">
+                        <div class="form-group">
+                            <input type="search" class="form-input" id="invoice-search" placeholder="Search order ID, description or invoice ID">
+                        </div>
+                        <div class="invoice-filters">
+                            <div class="form-group">
+                                <label class="form-label">Status</label>
+                                <select class="form-input" id="invoice-status">
+                                    <option value="">All</option>
+                                    <option value="New">New</option>
+                                    <option value="Processing">Processing</option>
+                                    <option value="Settled">Settled</option>
+                                    <option value="Expired">Expired</option>
+                                    <option value="Invalid">Invalid</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">From</label>
+                                <input type="date" class="form-input" id="invoice-from">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">To</label>
+                                <input type="date" class="form-input" id="invoice-to">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Min amount (<span class="unit-label">SAT</span>)</label>
+                                <input type="number" class="form-input" id="invoice-min-amount" min="0">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Max amount (<span class="unit-label">SAT</span>)</label>
+                                <input type="number" class="form-input" id="invoice-max-amount" min="0">
+                            </div>
+                        </div>
+                        <div class="invoice-filter-actions">
+                            <button class="btn btn-secondary" id="btn-invoices-clear">Clear</button>
+                            <button class="btn btn-secondary" id="btn-invoices-csv">Export CSV</button>
+                            <button class="btn btn-secondary" id="btn-invoices-json">Export JSON</button>
+                        </div>
+                    </div>
+                </div>
+
                 <div class="card">
                     <div class="card-header">
                         <div class="card-title">All Invoices</div>
@@ -2349,6 +3853,9 @@ $isWp = Urls::isWordPress();
                     <div id="all-invoices">
                         <div class="loading"><div class="spinner"></div></div>
                     </div>
+                    <div class="card-body" id="invoices-more" style="display: none;">
+                        <button class="btn btn-secondary btn-full" id="btn-invoices-more">Load more</button>
+                    </div>
                 </div>
             </div>
 
@@ -2380,16 +3887,147 @@ $isWp = Urls::isWordPress();
                         </div>
                     </div>
 
+                    <div class="card">
+                        <div class="card-header">
+                            <div class="card-title">Mint Health</div>
+                            <button class="btn btn-secondary" id="btn-check-mint-health">Check Now</button>
+                        </div>
+                        <div class="card-body">
+                            <div id="mint-health-chart"></div>
+                            <div id="mint-health-mints">
+                                <div class="loading"><div class="spinner"></div></div>
+                            </div>
+                            <p class="form-help">Primary and backup mints are checked by cron every <?= (int)(MintHealth::CHECK_INTERVAL / 60) ?> minutes; mint and melt quotes are tested once a day and on Check Now. Chart shows the last 7 days of response times.</p>
+                        </div>
+                    </div>
+
+                    <div class="card">
+                        <div class="card-header">
+                            <div class="card-title">Proof Inventory</div>
+                            <button class="btn btn-secondary" id="btn-load-proof-inventory">Load</button>
+                        </div>
+                        <div class="card-body">
+                            <div id="proof-inventory">
+                                <p style="color: var(--text-secondary);">Lists the wallet's proofs by mint, keyset and denomination. Loading asks each mint for its keysets.</p>
+                            </div>
+                            <p class="form-help">Consolidating swaps a mint's proofs into a couple of proofs of every denomination (exact change, fewer input fees) and moves proofs off inactive keysets. The mint's swap fee is shown before anything is swapped.</p>
+                        </div>
+                    </div>
+
                     <div class="card">
                         <div class="card-header">
                             <div class="card-title">API Keys</div>
-                            <button class="btn" id="btn-create-api-key">+ New</button>
+                            <div style="display: flex; gap: 0.5rem;">
+                                <button class="btn btn-secondary" id="btn-api-key-rejections">Rejected</button>
+                                <button class="btn" id="btn-create-api-key">+ New</button>
+                            </div>
                         </div>
                         <div id="store-api-keys">
                             <div class="loading"><div class="spinner"></div></div>
                         </div>
                     </div>
 
+                    <div class="card">
+                        <div class="card-header">
+                            <div class="card-title">Webhooks</div>
+                            <button class="btn" id="btn-create-webhook">+ New</button>
+                        </div>
+                        <div id="store-webhooks">
+                            <div class="loading"><div class="spinner"></div></div>
+                        </div>
+                    </div>
+
+                    <div class="card">
+                        <div class="card-header">
+                            <div class="card-title">Nostr Notifications</div>
+                        </div>
+                        <div class="card-body">
+                            <div class="form-group">
+                                <div class="toggle-container">
+                                    <span>Send me encrypted DMs</span>
+                                    <label class="toggle">
+                                        <input type="checkbox" id="nostr-notify-enabled">
+                                        <span class="toggle-slider"></span>
+                                    </label>
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Your npub</label>
+                                <input type="text" class="form-input" id="nostr-notify-recipient" placeholder="npub1...">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Relays</label>
+                                <textarea class="form-input" id="nostr-notify-relays" rows="3"
+                                          placeholder="wss://relay.example.com (one per line)"></textarea>
+                                <p class="form-help">Relays your Nostr client reads your DMs from. For NIP-17, use your DM inbox relays.</p>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Message Format</label>
+                                <select class="form-input" id="nostr-notify-protocol">
+                                    <option value="nip17">NIP-17 private message (recommended)</option>
+                                    <option value="nip04">NIP-04 encrypted DM (older clients)</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Notify On</label>
+                                <div id="nostr-notify-events" style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem 1rem;"></div>
+                            </div>
+                            <p class="form-help" id="nostr-notify-status"></p>
+                            <button class="btn btn-full" id="btn-save-nostr-notify">Save Notifications</button>
+                            <button class="btn btn-secondary btn-full" id="btn-test-nostr-notify" style="margin-top: 0.5rem;">Send Test DM</button>
+                        </div>
+                    </div>
+
+                    <div class="card">
+                        <div class="card-header">
+                            <div class="card-title">Checkout Branding</div>
+                        </div>
+                        <div class="card-body">
+                            <div class="branding-preview" id="branding-preview">
+                                <div class="branding-preview-card">
+                                    <div class="branding-preview-logo" id="branding-preview-logo">&#9889;</div>
+                                    <div class="branding-preview-amount">21,000 sats</div>
+                                    <div class="branding-preview-badge">Waiting for payment</div>
+                                    <div class="branding-preview-qr"></div>
+                                    <div class="branding-preview-btn">Open in Wallet</div>
+                                </div>
+                                <div class="branding-preview-footer" id="branding-preview-footer"></div>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label">Logo</label>
+                                <input type="file" class="form-input" id="branding-logo-file" accept="image/png,image/jpeg,image/gif,image/webp,image/svg+xml">
+                                <input type="url" class="form-input" id="branding-logo-url" placeholder="or https://example.com/logo.png" style="margin-top: 0.5rem;">
+                                <p class="form-help">Upload up to <?= (int)(Branding::MAX_LOGO_BYTES / 1000) ?> KB or link an https image. <a href="#" id="btn-remove-logo">Remove logo</a></p>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Accent Color</label>
+                                <input type="color" class="form-input" id="branding-accent" value="#f7931a" style="height: 2.75rem; padding: 0.25rem;">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Theme</label>
+                                <select class="form-input" id="branding-theme">
+                                    <option value="dark">Dark</option>
+                                    <option value="light">Light</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Footer Text</label>
+                                <input type="text" class="form-input" id="branding-footer" maxlength="200" placeholder="Powered by CashuPayServer">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Support Link</label>
+                                <input type="text" class="form-input" id="branding-support" placeholder="https://example.com/help or help@example.com">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Default Language</label>
+                                <select class="form-input" id="branding-language"></select>
+                                <p class="form-help">Used when neither the invoice nor the customer's browser asks for a supported language</p>
+                            </div>
+                            <button class="btn btn-full" id="btn-save-branding">Save Branding</button>
+                        </div>
+                    </div>
+
                     <div class="card">
                         <div class="card-header">
                             <div class="card-title">Auto-Withdraw to Lightning Address</div>
@@ -2526,13 +4164,79 @@ $isWp = Urls::isWordPress();
                         </div>
                     </div>
                 </div>
-                <?php endif; ?>
+                <?php endif; ?>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">Nostr Relays</div>
+                    </div>
+                    <div class="card-body">
+                        <div class="form-group">
+                            <textarea class="form-input" id="nostr-relays" rows="3"
+                                      placeholder="wss://relay.example.com (one per line)"><?= htmlspecialchars(implode("\n", Config::getNostrRelays())) ?></textarea>
+                            <p class="form-help">Used for mint discovery and publishing mint reviews. Leave empty for the default relays.</p>
+                        </div>
+                        <button class="btn btn-full" id="btn-save-nostr-relays">Save Relays</button>
+                    </div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-title">Notifications</div>
+                    </div>
+                    <div class="card-body">
+                        <div class="form-group">
+                            <div class="toggle-container">
+                                <span>Notify when an invoice settles or expires</span>
+                                <label class="toggle">
+                                    <input type="checkbox" id="notify-invoices">
+                                    <span class="toggle-slider"></span>
+                                </label>
+                            </div>
+                            <p class="form-help">For the selected store, while the app is open on this device (also in the background).</p>
+                        </div>
+                    </div>
+                </div>
 
                 <div class="card">
                     <div class="card-header">
                         <div class="card-title">Security</div>
                     </div>
                     <div class="card-body">
+                        <?php if (!$isWp): ?>
+                        <div class="form-group">
+                            <label class="form-label">Passkeys</label>
+                            <div id="passkey-list"></div>
+                            <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                                <input type="text" class="form-input" id="passkey-label" placeholder="Name (e.g. Laptop)" maxlength="64" style="flex: 1;">
+                                <button class="btn btn-secondary" id="btn-add-passkey">Add Passkey</button>
+                            </div>
+                            <div class="form-help">Unlock with Face ID, Touch ID, Windows Hello or a security key instead of the password.</div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label">Auto-lock after inactivity</label>
+                            <select class="form-input" id="idle-lock-minutes">
+                                <option value="0">Never</option>
+                                <option value="1">1 minute</option>
+                                <option value="5">5 minutes</option>
+                                <option value="15">15 minutes</option>
+                                <option value="30">30 minutes</option>
+                                <option value="60">1 hour</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <div class="toggle-container">
+                                <span>Lock when the app is hidden</span>
+                                <label class="toggle">
+                                    <input type="checkbox" id="lock-on-hide">
+                                    <span class="toggle-slider"></span>
+                                </label>
+                            </div>
+                        </div>
+                        <?php endif; ?>
+
                         <button class="btn btn-secondary btn-full" id="btn-set-pin">
                             Set/Change PIN
                         </button>
@@ -2559,6 +4263,28 @@ $isWp = Urls::isWordPress();
                 </svg>
                 Home
             </button>
+            <button class="nav-item" data-view="pos">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="4" y="2" width="16" height="20" rx="2"></rect>
+                    <line x1="8" y1="6" x2="16" y2="6"></line>
+                    <line x1="8" y1="11" x2="8" y2="11"></line>
+                    <line x1="12" y1="11" x2="12" y2="11"></line>
+                    <line x1="16" y1="11" x2="16" y2="11"></line>
+                    <line x1="8" y1="15" x2="8" y2="15"></line>
+                    <line x1="12" y1="15" x2="12" y2="15"></line>
+                    <line x1="16" y1="15" x2="16" y2="15"></line>
+                    <line x1="8" y1="18" x2="16" y2="18"></line>
+                </svg>
+                POS
+            </button>
+            <button class="nav-item" data-view="analytics">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="20" x2="18" y2="10"></line>
+                    <line x1="12" y1="20" x2="12" y2="4"></line>
+                    <line x1="6" y1="20" x2="6" y2="14"></line>
+                </svg>
+                Stats
+            </button>
             <button class="nav-item" data-view="invoices">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
@@ -2593,9 +4319,19 @@ $isWp = Urls::isWordPress();
 
             <div class="form-group">
                 <label class="form-label">Destination</label>
-                <input type="text" class="form-input" id="withdraw-address"
-                       placeholder="user@wallet.com or lnbc1..." oninput="handleDestinationInput()">
-                <p class="form-help" id="withdraw-destination-help">Lightning address or BOLT-11 invoice</p>
+                <div style="display: flex; gap: 0.5rem;">
+                    <input type="text" class="form-input" id="withdraw-address" style="flex: 1;"
+                           placeholder="user@wallet.com, lnurl1... or lnbc1..." oninput="handleDestinationInput()">
+                    <button type="button" class="btn btn-secondary" id="btn-withdraw-scan" onclick="startWithdrawScanner()">Scan</button>
+                </div>
+                <div id="withdraw-scanner" style="margin-top: 0.5rem;"></div>
+                <p class="form-help" id="withdraw-destination-help">Lightning address, LNURL or BOLT-11 invoice</p>
+            </div>
+
+            <div class="form-group" id="withdraw-comment-group" style="display: none;">
+                <label class="form-label">Comment (optional)</label>
+                <input type="text" class="form-input" id="withdraw-comment" placeholder="Note for the recipient">
+                <p class="form-help" id="withdraw-comment-help"></p>
             </div>
 
             <div class="form-group" id="withdraw-amount-group">
@@ -2655,11 +4391,13 @@ $isWp = Urls::isWordPress();
                 </div>
 
                 <button class="btn btn-full" id="btn-confirm-export">Generate Token</button>
+                <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="openVouchers()">Batch Vouchers...</button>
             </div>
 
             <div id="export-result" style="display: none;">
                 <div class="modal-qr" id="export-qr"></div>
                 <div class="token-display" id="export-token"></div>
+                <div id="export-token-info" style="margin-bottom: 1rem;"></div>
                 <button class="btn btn-full" id="btn-copy-token">Copy Token</button>
             </div>
 
@@ -2667,6 +4405,71 @@ $isWp = Urls::isWordPress();
         </div>
     </div>
 
+    <div class="modal-overlay" id="modal-vouchers">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title">Ecash Vouchers</div>
+
+            <div style="display: flex; gap: 0.5rem;">
+                <div class="form-group" style="flex: 1;">
+                    <label class="form-label">Vouchers</label>
+                    <input type="number" class="form-input" id="voucher-count" value="10" min="1" max="<?= Vouchers::MAX_VOUCHERS ?>" step="1" oninput="updateVoucherTotal()">
+                </div>
+                <div class="form-group" style="flex: 1;">
+                    <label class="form-label">Amount each (<span class="unit-label">SAT</span>)</label>
+                    <input type="number" class="form-input" id="voucher-amount" placeholder="0" min="1" step="1" oninput="updateVoucherTotal()">
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Mixed denominations (optional)</label>
+                <input type="text" class="form-input" id="voucher-mix" placeholder="e.g. 10x100, 5x500" oninput="updateVoucherTotal()">
+                <p class="form-help">Overrides the count and amount above</p>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Memo (optional)</label>
+                <input type="text" class="form-input" id="voucher-memo" maxlength="120" placeholder="Thanks for visiting!">
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Expiry note (optional)</label>
+                <input type="text" class="form-input" id="voucher-expiry" maxlength="60" placeholder="Redeem by 31 December">
+                <p class="form-help">Printed only - tokens don't expire. Reclaim unredeemed vouchers below when the promotion ends.</p>
+            </div>
+
+            <p class="form-help" id="voucher-total" style="margin-bottom: 1rem;"></p>
+            <button class="btn btn-full" id="btn-create-vouchers" onclick="createVouchers()" disabled>Create Vouchers</button>
+
+            <div class="card-title" style="margin: 1.5rem 0 0.5rem;">Batches</div>
+            <div id="voucher-batches"></div>
+
+            <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-vouchers')">Close</button>
+        </div>
+    </div>
+
+    <div class="modal-overlay" id="modal-receive">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title">Receive ecash</div>
+
+            <div id="receive-scanner" style="margin-bottom: 1rem;"></div>
+            <button class="btn btn-secondary btn-full" id="btn-receive-scan">Scan QR Code</button>
+
+            <div class="form-group" style="margin-top: 1rem;">
+                <label class="form-label">Token</label>
+                <textarea class="form-input" id="receive-token" rows="3"
+                          placeholder="cashuA... or cashuB..." style="font-family: monospace; font-size: 0.75rem; resize: vertical;"></textarea>
+                <p class="form-help">Scan a static or animated (NUT-16) QR code, or paste the token</p>
+            </div>
+
+            <div id="receive-token-info" style="margin-bottom: 1rem;"></div>
+
+            <button class="btn btn-full" id="btn-confirm-receive">Receive</button>
+            <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-receive')">Cancel</button>
+        </div>
+    </div>
+
     <div class="modal-overlay" id="modal-apikey">
         <div class="modal">
             <div class="modal-handle"></div>
@@ -2675,6 +4478,14 @@ $isWp = Urls::isWordPress();
         </div>
     </div>
 
+    <div class="modal-overlay" id="modal-webhook">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title" id="modal-webhook-title">Webhook</div>
+            <div id="modal-webhook-content"></div>
+        </div>
+    </div>
+
     <div class="modal-overlay" id="modal-request">
         <div class="modal">
             <div class="modal-handle"></div>
@@ -2700,6 +4511,60 @@ $isWp = Urls::isWordPress();
         </div>
     </div>
 
+    <div class="modal-overlay" id="modal-invoice">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title">Invoice</div>
+            <div id="invoice-detail-content"></div>
+            <button class="btn btn-secondary btn-full" style="margin-top: 1rem;" onclick="closeModal('modal-invoice')">Close</button>
+        </div>
+    </div>
+
+    <div class="modal-overlay" id="modal-refund">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title">Refund Invoice</div>
+
+            <div id="refund-form">
+                <div class="form-group">
+                    <label class="form-label">Amount (<span class="unit-label">SAT</span>)</label>
+                    <input type="number" class="form-input" id="refund-amount" placeholder="0" min="0" step="1">
+                    <p class="form-help">Refundable: <span id="refund-available">0</span> <span class="unit-label">SAT</span></p>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label">Pay out as</label>
+                    <select class="form-input" id="refund-method" onchange="updateRefundMethod()">
+                        <option value="ecash">Ecash token (customer scans or pastes it)</option>
+                        <option value="lightning">Lightning (address, LNURL or invoice)</option>
+                    </select>
+                </div>
+
+                <div class="form-group" id="refund-destination-group" style="display: none;">
+                    <label class="form-label">Customer's Lightning destination</label>
+                    <input type="text" class="form-input" id="refund-destination" placeholder="user@wallet.com, lnurl1... or lnbc1...">
+                    <p class="form-help">A BOLT-11 invoice with an amount sets the refund amount. Lightning fees are paid from the store balance.</p>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label">Note (optional)</label>
+                    <input type="text" class="form-input" id="refund-memo" maxlength="120" placeholder="Returned goods">
+                </div>
+
+                <button class="btn btn-full" id="btn-confirm-refund">Refund</button>
+            </div>
+
+            <div id="refund-result" style="display: none;">
+                <div class="modal-qr" id="refund-qr"></div>
+                <div class="token-display" id="refund-token"></div>
+                <p class="form-help" id="refund-claim-status" style="text-align: center; margin-bottom: 1rem;"></p>
+                <button class="btn btn-full" id="btn-copy-refund-token">Copy Token</button>
+            </div>
+
+            <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-refund')">Close</button>
+        </div>
+    </div>
+
     <div class="modal-overlay" id="modal-store">
         <div class="modal">
             <div class="modal-handle"></div>
@@ -2731,9 +4596,41 @@ $isWp = Urls::isWordPress();
         </div>
     </div>
 
+    <!-- Mint Review Modal -->
+    <div class="modal-overlay" id="modal-mint-review">
+        <div class="modal">
+            <div class="modal-handle"></div>
+            <div class="modal-title">Review Mint</div>
+            <p style="color: var(--text-secondary); margin-bottom: 1rem; word-break: break-all;" id="mint-review-url"></p>
+
+            <div class="form-group">
+                <label class="form-label">Rating</label>
+                <select class="form-input" id="mint-review-rating">
+                    <option value="5">&#9733;&#9733;&#9733;&#9733;&#9733;</option>
+                    <option value="4">&#9733;&#9733;&#9733;&#9733;</option>
+                    <option value="3">&#9733;&#9733;&#9733;</option>
+                    <option value="2">&#9733;&#9733;</option>
+                    <option value="1">&#9733;</option>
+                </select>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Review</label>
+                <textarea class="form-input" id="mint-review-comment" rows="3" maxlength="1000"
+                          placeholder="How was your experience with this mint?"></textarea>
+                <p class="form-help">Published to Nostr as a mint recommendation, signed with your browser extension (NIP-07).</p>
+            </div>
+
+            <button class="btn btn-full" id="btn-publish-mint-review">Publish Review</button>
+            <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-mint-review')">Cancel</button>
+        </div>
+    </div>
+
     <!-- Toast -->
     <div class="toast" id="toast"></div>
 
+    <div id="voucher-sheet"></div>
+
     <!-- Mint Discovery Modal -->
     <div id="mint-discovery-modal" class="modal" style="display: none; position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.7); z-index: 1100; justify-content: center; align-items: center;">
         <div class="modal-content" style="max-width: 700px; max-height: 85vh; overflow: hidden; display: flex; flex-direction: column; background: var(--card-bg); border-radius: 12px; padding: 1.5rem;">
@@ -2742,54 +4639,22 @@ $isWp = Urls::isWordPress();
                 <button type="button" onclick="closeMintDiscoveryModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: var(--text);">&times;</button>
             </div>
 
-            <div style="background: rgba(237, 137, 54, 0.15); border: 1px solid rgba(237, 137, 54, 0.4); border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
-                <p style="font-size: 0.85rem; color: var(--warning); margin: 0 0 0.75rem 0; line-height: 1.5;">
-                    Audit data is provided by independent third parties to help assess a mint's reliability over time. However, these results are informational only and do not guarantee the safety, solvency, or trustworthiness of any mint. Always conduct your own research and ensure you trust the mint operator before using their services. To be sure, run your own mint, this is the Bitcoin way!
-                </p>
-                <label style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
-                    <input type="checkbox" id="mint-disclaimer-checkbox" onchange="onMintDisclaimerChange(this)" style="width: 18px; height: 18px;">
-                    <span style="font-size: 0.85rem; color: var(--warning);">I understand the above</span>
-                </label>
-            </div>
-
-            <div id="mint-discovery-status" style="font-size: 0.85rem; color: var(--text-secondary); margin-bottom: 1rem;">
-                Loading mints from Nostr...
-            </div>
-
-            <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
-                <input type="text" id="mint-discovery-search" class="form-input" placeholder="Search mints..." style="flex: 1;" onkeyup="filterDiscoveredMints()">
-                <select id="mint-discovery-unit-filter" class="form-input" style="width: auto;" onchange="filterDiscoveredMints()">
-                    <option value="">All units</option>
-                    <option value="sat">SAT</option>
-                    <option value="eur">EUR</option>
-                    <option value="usd">USD</option>
-                </select>
-                <button type="button" class="btn btn-secondary" onclick="startMintDiscovery()" style="white-space: nowrap;">Refresh</button>
-            </div>
-
-            <div id="mint-discovery-list" style="flex: 1; overflow-y: auto; max-height: 400px;">
-                <p style="color: var(--text-secondary); font-size: 0.9rem; text-align: center; padding: 2rem;">
-                    Loading...
-                </p>
-            </div>
-
-            <div id="mint-discovery-loading" style="display: none; text-align: center; padding: 2rem;">
-                <div class="spinner" style="width: 40px; height: 40px; border: 3px solid var(--border); border-top-color: var(--accent); border-radius: 50%; animation: spin 1s linear infinite; margin: 0 auto;"></div>
-                <p style="margin-top: 1rem; color: var(--text-secondary);">Connecting to Nostr relays...</p>
-            </div>
+            <cashu-mint-picker id="mint-picker" relays="<?= htmlspecialchars(implode(',', Config::getNostrRelays())) ?>" style="flex: 1; min-height: 0;"></cashu-mint-picker>
         </div>
     </div>
 
     <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-discovery.bundle.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/qrious@4.0.2/dist/qrious.min.js"></script>
-    <script type="module">
-        // Import bc-ur library as ES module
-        import { UR, UREncoder } from 'https://cdn.skypack.dev/@gandlaf21/bc-ur@1.1.12';
-
-        // Expose to global scope for AnimatedQR class
-        window.bcur = { UR, UREncoder };
-    </script>
-    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>animated-qr.js?v=4"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-ui.js?v=5"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-picker.js?v=5"></script>
+    <!-- bc-ur decoder (window.bcur, animated QR scanning only) and jsQR, bundled so the scanner works offline -->
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>bc-ur.bundle.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>jsqr.min.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>qr-code.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>ur-encoder.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>animated-qr.js?v=5"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>animated-qr-scanner.js?v=3"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>cashu-token.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mini-chart.js?v=1"></script>
     <script>
         // WordPress mode - skip lock screen
         const isWordPressMode = <?= Urls::isWordPress() ? 'true' : 'false' ?>;
@@ -2809,8 +4674,20 @@ $isWp = Urls::isWordPress();
         let dashboardData = null;
 
         // Local Storage Keys
-        const STORAGE_PIN = 'cashupay_pin';
+        const STORAGE_PIN = 'cashupay_pin'; // Legacy plaintext PIN, migrated on load
+        const STORAGE_PIN_HASH = 'cashupay_pin_hash';
         const STORAGE_AUTH = 'cashupay_auth';
+        const STORAGE_IDLE_LOCK = 'cashupay_idle_lock_minutes';
+        const STORAGE_LOCK_ON_HIDE = 'cashupay_lock_on_hide';
+
+        // PIN key derivation (PBKDF2-SHA256) and brute-force limit
+        const PIN_ITERATIONS = 310000;
+        const PIN_MAX_ATTEMPTS = 5;
+
+        // Passkey unlock is offered when at least one passkey is registered
+        let hasPasskeys = <?= json_encode(!$isWp && Auth::hasWebauthnCredentials()) ?>;
+        let pinChecking = false;
+        let lastActivity = Date.now();
 
         // M2: CSRF token helper - reads from meta tag dynamically
         function getCsrfToken() {
@@ -2819,6 +4696,7 @@ $isWp = Urls::isWordPress();
 
         // Server URL for e-commerce integration
         let serverUrl = <?= json_encode(Urls::server()) ?>;
+        const apiKeyPermissions = <?= json_encode(ApiKeys::PERMISSIONS) ?>;
 
         // Helper for POST requests with CSRF token
         async function postWithCsrf(url, body) {
@@ -2856,46 +4734,337 @@ $isWp = Urls::isWordPress();
             return Math.round(num * 100);
         }
 
-        // Check if unit is fiat (needs decimal display)
-        function isFiatUnit(unit) {
-            const u = (unit || 'sat').toLowerCase();
-            return u !== 'sat' && u !== 'msat';
+        // Check if unit is fiat (needs decimal display)
+        function isFiatUnit(unit) {
+            const u = (unit || 'sat').toLowerCase();
+            return u !== 'sat' && u !== 'msat';
+        }
+
+        // Initialize
+        document.addEventListener('DOMContentLoaded', () => {
+            checkAuth();
+            setupEventListeners();
+            setupAutoLock();
+            setupOfflineMode();
+            setupInvoiceNotifications();
+        });
+
+        // Check authentication state
+        async function checkAuth() {
+            if (isWordPressMode) {
+                showApp();
+                return;
+            }
+
+            await migrateLegacyPin();
+
+            const storedAuth = localStorage.getItem(STORAGE_AUTH);
+            updateLockScreenMethods(storedAuth === 'true' && hasPin());
+            showLockScreen();
+        }
+
+        // Show PIN pad or password entry, plus the passkey button if available
+        function updateLockScreenMethods(usePin) {
+            document.getElementById('pin-pad').style.display = usePin ? 'grid' : 'none';
+            document.getElementById('pin-dots').style.display = usePin ? 'flex' : 'none';
+            document.querySelector('.lock-subtitle').textContent = usePin ? 'Enter PIN to unlock' : 'Enter your password';
+            document.getElementById('passkey-unlock').style.display = hasPasskeys && window.PublicKeyCredential ? 'block' : 'none';
+        }
+
+        // ===============================
+        // PIN storage (salted PBKDF2 hash, never the PIN itself)
+        // ===============================
+        function bytesToBase64Url(bytes) {
+            let binary = '';
+            new Uint8Array(bytes).forEach(b => binary += String.fromCharCode(b));
+            return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        }
+
+        function base64UrlToBytes(value) {
+            const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            return Uint8Array.from(binary, c => c.charCodeAt(0));
+        }
+
+        async function derivePinKey(pinValue, salt, iterations) {
+            const material = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(pinValue), 'PBKDF2', false, ['deriveBits']
+            );
+            const bits = await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                material,
+                256
+            );
+            return bytesToBase64Url(bits);
+        }
+
+        async function storePin(pinValue) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const hash = await derivePinKey(pinValue, salt, PIN_ITERATIONS);
+            localStorage.setItem(STORAGE_PIN_HASH, JSON.stringify({
+                salt: bytesToBase64Url(salt),
+                iterations: PIN_ITERATIONS,
+                hash,
+                failures: 0
+            }));
+            localStorage.removeItem(STORAGE_PIN);
+        }
+
+        function hasPin() {
+            return localStorage.getItem(STORAGE_PIN_HASH) !== null;
+        }
+
+        // Returns true if the PIN matches. Too many wrong PINs forget the PIN,
+        // so the password (or a passkey) is needed again.
+        async function verifyPin(pinValue) {
+            let record;
+            try {
+                record = JSON.parse(localStorage.getItem(STORAGE_PIN_HASH));
+            } catch (e) {
+                record = null;
+            }
+            if (!record || !record.hash || !record.salt) return false;
+
+            const hash = await derivePinKey(pinValue, base64UrlToBytes(record.salt), record.iterations || PIN_ITERATIONS);
+            if (hash === record.hash) {
+                record.failures = 0;
+                localStorage.setItem(STORAGE_PIN_HASH, JSON.stringify(record));
+                return true;
+            }
+
+            record.failures = (record.failures || 0) + 1;
+            if (record.failures >= PIN_MAX_ATTEMPTS) {
+                localStorage.removeItem(STORAGE_PIN_HASH);
+                localStorage.removeItem(STORAGE_AUTH);
+                await postWithCsrf(adminUrl, 'action=logout').catch(() => {});
+                showToast('Too many wrong PINs. Please log in with your password.', 'error');
+                updateLockScreenMethods(false);
+            } else {
+                localStorage.setItem(STORAGE_PIN_HASH, JSON.stringify(record));
+            }
+            return false;
+        }
+
+        // Replace a plaintext PIN left by older versions with its hash
+        async function migrateLegacyPin() {
+            const legacyPin = localStorage.getItem(STORAGE_PIN);
+            if (!legacyPin) return;
+            if (window.crypto?.subtle) {
+                await storePin(legacyPin);
+            } else {
+                localStorage.removeItem(STORAGE_PIN);
+            }
+        }
+
+        // ===============================
+        // Passkeys
+        // ===============================
+        async function unlockWithPasskey() {
+            try {
+                const optionsResponse = await fetch(adminUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: 'action=webauthn_login_options'
+                });
+                const options = await optionsResponse.json();
+                if (!optionsResponse.ok) {
+                    showToast(options.error || 'Passkey unlock unavailable', 'error');
+                    return;
+                }
+
+                const credential = await navigator.credentials.get({
+                    publicKey: {
+                        challenge: base64UrlToBytes(options.challenge),
+                        rpId: options.rpId,
+                        allowCredentials: options.allowCredentials.map(c => ({ type: c.type, id: base64UrlToBytes(c.id) })),
+                        userVerification: options.userVerification,
+                        timeout: options.timeout
+                    }
+                });
+
+                const assertion = {
+                    id: credential.id,
+                    clientDataJSON: bytesToBase64Url(credential.response.clientDataJSON),
+                    authenticatorData: bytesToBase64Url(credential.response.authenticatorData),
+                    signature: bytesToBase64Url(credential.response.signature)
+                };
+
+                const response = await fetch(adminUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: `action=webauthn_login&credential=${encodeURIComponent(JSON.stringify(assertion))}`
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    showToast(data.error || 'Passkey unlock failed', 'error');
+                    return;
+                }
+
+                if (data.csrfToken) {
+                    const metaTag = document.querySelector('meta[name="csrf-token"]');
+                    if (metaTag) {
+                        metaTag.content = data.csrfToken;
+                    }
+                }
+
+                showApp();
+            } catch (e) {
+                if (e.name !== 'NotAllowedError' && e.name !== 'AbortError') {
+                    showToast('Passkey unlock failed', 'error');
+                }
+            }
+        }
+
+        async function addPasskey() {
+            if (!window.PublicKeyCredential) {
+                showToast('Passkeys are not supported in this browser', 'error');
+                return;
+            }
+
+            try {
+                const optionsResponse = await postWithCsrf(adminUrl, 'action=webauthn_register_options');
+                const options = await optionsResponse.json();
+                if (!optionsResponse.ok) {
+                    showToast(options.error || 'Failed to start passkey setup', 'error');
+                    return;
+                }
+
+                const credential = await navigator.credentials.create({
+                    publicKey: {
+                        ...options,
+                        challenge: base64UrlToBytes(options.challenge),
+                        user: { ...options.user, id: base64UrlToBytes(options.user.id) },
+                        excludeCredentials: options.excludeCredentials.map(c => ({ type: c.type, id: base64UrlToBytes(c.id) }))
+                    }
+                });
+
+                const publicKey = credential.response.getPublicKey?.();
+                if (!publicKey) {
+                    showToast('This browser cannot register passkeys here', 'error');
+                    return;
+                }
+
+                const data = {
+                    id: credential.id,
+                    clientDataJSON: bytesToBase64Url(credential.response.clientDataJSON),
+                    authenticatorData: bytesToBase64Url(credential.response.getAuthenticatorData()),
+                    publicKey: bytesToBase64Url(publicKey),
+                    publicKeyAlgorithm: credential.response.getPublicKeyAlgorithm()
+                };
+                const label = document.getElementById('passkey-label').value.trim();
+
+                const response = await postWithCsrf(adminUrl,
+                    `action=webauthn_register&credential=${encodeURIComponent(JSON.stringify(data))}&label=${encodeURIComponent(label)}`
+                );
+                const result = await response.json();
+
+                if (result.success) {
+                    hasPasskeys = true;
+                    document.getElementById('passkey-label').value = '';
+                    showToast('Passkey added!', 'success');
+                    loadPasskeys();
+                } else {
+                    showToast(result.error || 'Failed to add passkey', 'error');
+                }
+            } catch (e) {
+                if (e.name === 'InvalidStateError') {
+                    showToast('This passkey is already registered', 'error');
+                } else if (e.name !== 'NotAllowedError' && e.name !== 'AbortError') {
+                    showToast('Failed to add passkey', 'error');
+                }
+            }
+        }
+
+        async function loadPasskeys() {
+            const container = document.getElementById('passkey-list');
+            if (!container) return;
+
+            try {
+                const response = await fetch(`${adminUrl}?api=passkeys`);
+                const passkeys = await response.json();
+                hasPasskeys = passkeys.length > 0;
+
+                if (passkeys.length === 0) {
+                    container.innerHTML = '<div class="form-help">No passkeys registered</div>';
+                    return;
+                }
+
+                container.innerHTML = passkeys.map(p => `
+                    <div class="toggle-container">
+                        <span>
+                            ${escapeHtml(p.label)}
+                            <span class="form-help" style="display: block;">
+                                Added ${new Date(p.created_at * 1000).toLocaleDateString()}${p.last_used_at ? ' · Last used ' + new Date(p.last_used_at * 1000).toLocaleString() : ''}
+                            </span>
+                        </span>
+                        <button class="btn btn-danger" data-passkey-id="${escapeHtml(p.id)}" style="padding: 0.5rem 0.75rem;">Remove</button>
+                    </div>
+                `).join('');
+
+                container.querySelectorAll('[data-passkey-id]').forEach(btn => {
+                    btn.addEventListener('click', () => deletePasskey(btn.dataset.passkeyId));
+                });
+            } catch (e) {
+                container.innerHTML = '<div class="form-help">Failed to load passkeys</div>';
+            }
+        }
+
+        async function deletePasskey(id) {
+            if (!confirm('Remove this passkey? It will no longer unlock the admin.')) return;
+
+            try {
+                const response = await postWithCsrf(adminUrl, `action=webauthn_delete&id=${encodeURIComponent(id)}`);
+                const result = await response.json();
+                if (result.success) {
+                    showToast('Passkey removed', 'success');
+                } else {
+                    showToast('Failed to remove passkey', 'error');
+                }
+            } catch (e) {
+                showToast('Failed to remove passkey', 'error');
+            }
+            loadPasskeys();
         }
 
-        // Initialize
-        document.addEventListener('DOMContentLoaded', () => {
-            checkAuth();
-            setupEventListeners();
-        });
+        // ===============================
+        // Auto-lock
+        // ===============================
+        function setupAutoLock() {
+            if (isWordPressMode) return;
 
-        // Check authentication state
-        function checkAuth() {
-            if (isWordPressMode) {
-                showApp();
-                return;
-            }
+            const idleSelect = document.getElementById('idle-lock-minutes');
+            const lockOnHide = document.getElementById('lock-on-hide');
+            idleSelect.value = localStorage.getItem(STORAGE_IDLE_LOCK) ?? '15';
+            lockOnHide.checked = localStorage.getItem(STORAGE_LOCK_ON_HIDE) !== 'false';
 
-            const storedAuth = localStorage.getItem(STORAGE_AUTH);
-            const storedPin = localStorage.getItem(STORAGE_PIN);
+            idleSelect.addEventListener('change', () => {
+                localStorage.setItem(STORAGE_IDLE_LOCK, idleSelect.value);
+            });
+            lockOnHide.addEventListener('change', () => {
+                localStorage.setItem(STORAGE_LOCK_ON_HIDE, lockOnHide.checked ? 'true' : 'false');
+            });
 
-            if (storedAuth === 'true') {
-                // Check if we have a PIN set
-                if (storedPin) {
-                    showLockScreen();
-                } else {
-                    // No PIN, show password entry
-                    document.getElementById('pin-pad').style.display = 'none';
-                    document.getElementById('pin-dots').style.display = 'none';
-                    document.querySelector('.lock-subtitle').textContent = 'Enter your password';
-                    showLockScreen();
+            ['pointerdown', 'keydown', 'scroll'].forEach(type => {
+                document.addEventListener(type, () => { lastActivity = Date.now(); }, { passive: true, capture: true });
+            });
+
+            setInterval(() => {
+                const minutes = parseInt(localStorage.getItem(STORAGE_IDLE_LOCK) ?? '15', 10);
+                if (minutes > 0 && isAppUnlocked() && Date.now() - lastActivity > minutes * 60000) {
+                    lock();
                 }
-            } else {
-                // Not authenticated, show password entry
-                document.getElementById('pin-pad').style.display = 'none';
-                document.getElementById('pin-dots').style.display = 'none';
-                document.querySelector('.lock-subtitle').textContent = 'Enter your password';
-                showLockScreen();
-            }
+            }, 15000);
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden && isAppUnlocked() && localStorage.getItem(STORAGE_LOCK_ON_HIDE) !== 'false') {
+                    lock();
+                }
+            });
+        }
+
+        function isAppUnlocked() {
+            return isAuthenticated && document.getElementById('app').classList.contains('visible');
         }
 
         function showLockScreen() {
@@ -2907,6 +5076,7 @@ $isWp = Urls::isWordPress();
             document.getElementById('lock-screen').classList.add('hidden');
             document.getElementById('app').classList.add('visible');
             isAuthenticated = true;
+            lastActivity = Date.now();
             localStorage.setItem(STORAGE_AUTH, 'true');
 
             // Check for store_created parameter from setup.php redirect
@@ -2931,7 +5101,8 @@ $isWp = Urls::isWordPress();
         }
 
         // PIN handling
-        function handlePinInput(key) {
+        async function handlePinInput(key) {
+            if (pinChecking) return;
             const dots = document.querySelectorAll('.pin-dot');
 
             if (key === 'back') {
@@ -2948,8 +5119,12 @@ $isWp = Urls::isWordPress();
 
             // Check PIN when complete
             if (pin.length === 4) {
-                const storedPin = localStorage.getItem(STORAGE_PIN);
-                if (pin === storedPin) {
+                pinChecking = true;
+                const valid = await verifyPin(pin).catch(() => false);
+                pinChecking = false;
+                if (valid) {
+                    pin = '';
+                    dots.forEach(dot => dot.classList.remove('filled'));
                     showApp();
                 } else {
                     // Wrong PIN
@@ -3010,6 +5185,9 @@ $isWp = Urls::isWordPress();
                 }
             });
 
+            // Passkey unlock
+            document.getElementById('passkey-unlock').addEventListener('click', unlockWithPasskey);
+
             // Navigation
             document.querySelectorAll('.nav-item').forEach(item => {
                 item.addEventListener('click', () => {
@@ -3029,6 +5207,7 @@ $isWp = Urls::isWordPress();
             document.getElementById('btn-withdraw').addEventListener('click', () => openModal('modal-withdraw'));
             document.getElementById('btn-export').addEventListener('click', () => openModal('modal-export'));
             document.getElementById('btn-request').addEventListener('click', () => openModal('modal-request'));
+            document.getElementById('btn-receive').addEventListener('click', () => openModal('modal-receive'));
 
             // Withdraw modal
             document.getElementById('btn-confirm-withdraw').addEventListener('click', handleWithdraw);
@@ -3041,11 +5220,51 @@ $isWp = Urls::isWordPress();
             // Request modal
             document.getElementById('btn-generate-request').addEventListener('click', handleGenerateRequest);
 
+            // Point of sale
+            document.querySelectorAll('.pos-key').forEach(key => {
+                key.addEventListener('click', () => handlePosKey(key.dataset.key));
+            });
+            document.querySelectorAll('.pos-tip').forEach(btn => {
+                btn.addEventListener('click', () => handlePosTip(parseFloat(btn.dataset.tip)));
+            });
+            document.getElementById('pos-currency').addEventListener('change', onPosCurrencyChange);
+            document.getElementById('btn-pos-charge').addEventListener('click', handlePosCharge);
+            document.getElementById('btn-pos-cancel').addEventListener('click', cancelPosSale);
+            document.getElementById('btn-pos-new').addEventListener('click', resetPos);
+            document.addEventListener('keydown', handlePosKeydown);
+
+            // Invoice browser
+            document.getElementById('invoice-search').addEventListener('input', scheduleInvoiceSearch);
+            ['invoice-status', 'invoice-from', 'invoice-to', 'invoice-min-amount', 'invoice-max-amount'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => loadInvoices());
+            });
+            document.getElementById('btn-invoices-clear').addEventListener('click', clearInvoiceFilters);
+            document.getElementById('btn-invoices-more').addEventListener('click', () => loadInvoices(true));
+            document.getElementById('btn-invoices-csv').addEventListener('click', () => exportInvoices('csv'));
+            document.getElementById('btn-invoices-json').addEventListener('click', () => exportInvoices('json'));
+
+            // Analytics
+            ['analytics-scope', 'analytics-bucket', 'analytics-currency'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => loadAnalytics());
+            });
+
+            // Receive modal
+            document.getElementById('btn-receive-scan').addEventListener('click', startReceiveScanner);
+            document.getElementById('btn-confirm-receive').addEventListener('click', handleReceive);
+            document.getElementById('receive-token').addEventListener('input', inspectReceiveToken);
+
             // Settings
             document.getElementById('btn-save-auto-melt').addEventListener('click', saveAutoMelt);
             document.getElementById('btn-save-exchange-settings').addEventListener('click', saveExchangeSettings);
+            document.getElementById('btn-check-mint-health').addEventListener('click', checkMintHealth);
+            document.getElementById('btn-confirm-refund').addEventListener('click', handleRefund);
+            document.getElementById('btn-copy-refund-token').addEventListener('click', copyRefundToken);
+            document.getElementById('btn-load-proof-inventory').addEventListener('click', loadProofInventory);
             document.getElementById('btn-set-pin').addEventListener('click', () => openModal('modal-pin-setup'));
+            document.getElementById('btn-add-passkey')?.addEventListener('click', addPasskey);
             document.getElementById('btn-save-pin').addEventListener('click', savePin);
+            document.getElementById('btn-publish-mint-review').addEventListener('click', submitMintReview);
+            document.getElementById('btn-save-nostr-relays').addEventListener('click', saveNostrRelays);
             document.getElementById('btn-logout').addEventListener('click', logout);
 
             // URL Mode settings (standalone only)
@@ -3068,11 +5287,39 @@ $isWp = Urls::isWordPress();
                     if (store) showStoreDetails(currentStoreId, store.name);
                 }
             });
+            document.getElementById('btn-api-key-rejections').addEventListener('click', () => {
+                if (currentStoreId) {
+                    showApiKeyRejections();
+                }
+            });
             document.getElementById('btn-create-api-key').addEventListener('click', () => {
                 if (currentStoreId) {
                     createApiKey(currentStoreId);
                 }
             });
+            document.getElementById('btn-save-nostr-notify').addEventListener('click', saveNostrNotifications);
+            document.getElementById('btn-test-nostr-notify').addEventListener('click', testNostrNotification);
+            document.getElementById('btn-create-webhook').addEventListener('click', () => {
+                if (currentStoreId) {
+                    openWebhookEditor(null);
+                }
+            });
+            ['branding-accent', 'branding-theme', 'branding-footer', 'branding-support'].forEach(id => {
+                document.getElementById(id).addEventListener('input', updateBrandingPreview);
+            });
+            document.getElementById('branding-logo-file').addEventListener('change', readBrandingLogo);
+            document.getElementById('branding-logo-url').addEventListener('input', (e) => {
+                brandingLogo = e.target.value.trim() || null;
+                updateBrandingPreview();
+            });
+            document.getElementById('btn-remove-logo').addEventListener('click', (e) => {
+                e.preventDefault();
+                brandingLogo = null;
+                document.getElementById('branding-logo-file').value = '';
+                document.getElementById('branding-logo-url').value = '';
+                updateBrandingPreview();
+            });
+            document.getElementById('btn-save-branding').addEventListener('click', saveBranding);
             document.getElementById('btn-delete-store').addEventListener('click', () => {
                 if (currentStoreId) {
                     deleteStore(currentStoreId);
@@ -3083,7 +5330,7 @@ $isWp = Urls::isWordPress();
             document.querySelectorAll('.modal-overlay').forEach(overlay => {
                 overlay.addEventListener('click', (e) => {
                     if (e.target === overlay) {
-                        overlay.classList.remove('visible');
+                        closeModal(overlay.id);
                     }
                 });
             });
@@ -3099,6 +5346,8 @@ $isWp = Urls::isWordPress();
 
             const titles = {
                 dashboard: 'Dashboard',
+                pos: 'Point of Sale',
+                analytics: 'Analytics',
                 invoices: 'Invoices',
                 stores: 'Store Settings',
                 settings: 'Settings'
@@ -3115,8 +5364,17 @@ $isWp = Urls::isWordPress();
 
             if (view === 'invoices') loadInvoices();
             if (view === 'stores') loadStoreSettings();
+            if (view === 'analytics') loadAnalytics();
+            if (view === 'settings') loadPasskeys();
+            if (view === 'pos') {
+                enterPos();
+            } else {
+                leavePos();
+            }
         }
 
+        const VOUCHER_MAX = <?= Vouchers::MAX_VOUCHERS ?>;
+
         // Track currently selected store
         let currentStoreId = localStorage.getItem('selectedStoreId') || null;
 
@@ -3154,6 +5412,15 @@ $isWp = Urls::isWordPress();
             if (document.getElementById('view-invoices').classList.contains('active')) {
                 loadInvoices();
             }
+            // If on analytics view, reload for the new store
+            if (document.getElementById('view-analytics').classList.contains('active')) {
+                loadAnalytics();
+            }
+            // If on POS view, start a fresh sale for the new store
+            if (isPosActive()) {
+                resetPos();
+                enterPos();
+            }
         }
 
         // Populate store selector dropdown
@@ -3214,6 +5481,7 @@ $isWp = Urls::isWordPress();
                 }
 
                 if (!response.ok) throw new Error('Failed to load');
+                updateOfflineState(response);
 
                 dashboardData = await response.json();
 
@@ -3305,26 +5573,416 @@ $isWp = Urls::isWordPress();
                 // Render recent invoices
                 renderInvoices('recent-invoices', dashboardData.invoices || []);
 
+                renderMintHealthAlerts(dashboardData.mintHealthAlerts || []);
+
             } catch (e) {
                 console.error(e);
                 showToast('Failed to load dashboard', 'error');
             }
         }
 
-        async function loadInvoices() {
+        // Invoice browser state
+        let invoicesCursor = null;
+        let invoiceDetail = null;
+        let invoiceSearchTimeout = null;
+
+        // Build the invoice filter query string from the filter form
+        function getInvoiceFilterParams() {
+            const mintUnit = dashboardData?.mintUnit || 'sat';
+            const params = new URLSearchParams();
+            if (currentStoreId) params.set('store_id', currentStoreId);
+
+            const query = document.getElementById('invoice-search').value.trim();
+            const status = document.getElementById('invoice-status').value;
+            const from = document.getElementById('invoice-from').value;
+            const to = document.getElementById('invoice-to').value;
+            const minAmount = document.getElementById('invoice-min-amount').value;
+            const maxAmount = document.getElementById('invoice-max-amount').value;
+
+            if (query) params.set('q', query);
+            if (status) params.set('status', status);
+            // Dates are local days; "to" includes the whole day
+            if (from) params.set('from', Math.floor(new Date(from + 'T00:00:00').getTime() / 1000));
+            if (to) params.set('to', Math.floor(new Date(to + 'T23:59:59').getTime() / 1000));
+            if (minAmount !== '') params.set('min_amount', parseAmount(minAmount, mintUnit));
+            if (maxAmount !== '') params.set('max_amount', parseAmount(maxAmount, mintUnit));
+
+            return params;
+        }
+
+        async function loadInvoices(append = false) {
+            const container = document.getElementById('all-invoices');
+            const moreBtn = document.getElementById('btn-invoices-more');
+
+            if (!append) {
+                invoicesCursor = null;
+                container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+            }
+
             try {
-                let url = adminUrl + '?api=invoices&limit=100';
-                if (currentStoreId) {
-                    url += `&store_id=${encodeURIComponent(currentStoreId)}`;
-                }
-                const response = await fetch(url);
-                const invoices = await response.json();
-                renderInvoices('all-invoices', invoices);
+                const params = getInvoiceFilterParams();
+                params.set('api', 'invoices');
+                params.set('limit', '50');
+                if (append && invoicesCursor) params.set('cursor', invoicesCursor);
+
+                moreBtn.disabled = true;
+                const response = await fetch(adminUrl + '?' + params.toString());
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load invoices');
+                updateOfflineState(response);
+
+                renderInvoices('all-invoices', data.invoices, append);
+                invoicesCursor = data.nextCursor;
+                document.getElementById('invoices-more').style.display = invoicesCursor ? 'block' : 'none';
             } catch (e) {
                 showToast('Failed to load invoices', 'error');
+            } finally {
+                moreBtn.disabled = false;
+            }
+        }
+
+        // Reload with a short delay while the user is typing
+        function scheduleInvoiceSearch() {
+            clearTimeout(invoiceSearchTimeout);
+            invoiceSearchTimeout = setTimeout(() => loadInvoices(), 300);
+        }
+
+        function clearInvoiceFilters() {
+            ['invoice-search', 'invoice-status', 'invoice-from', 'invoice-to', 'invoice-min-amount', 'invoice-max-amount']
+                .forEach(id => document.getElementById(id).value = '');
+            loadInvoices();
+        }
+
+        // Download the filtered set (all pages) as CSV or JSON
+        function exportInvoices(format) {
+            if (!currentStoreId) {
+                showToast('Please select a store first', 'error');
+                return;
+            }
+            const params = getInvoiceFilterParams();
+            params.set('api', 'invoices_export');
+            params.set('format', format);
+            window.location.href = adminUrl + '?' + params.toString();
+        }
+
+        async function showInvoiceDetails(invoiceId) {
+            const content = document.getElementById('invoice-detail-content');
+            content.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+            openModal('modal-invoice');
+
+            try {
+                const response = await fetch(`${adminUrl}?api=invoice&id=${encodeURIComponent(invoiceId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load invoice');
+
+                const inv = data.invoice;
+                invoiceDetail = data;
+                const formatTime = (ts) => new Date(ts * 1000).toLocaleString();
+                const item = (label, value) => `
+                    <div class="store-info-item">
+                        <span class="store-info-label">${label}</span>
+                        <span class="store-info-value">${value}</span>
+                    </div>`;
+
+                // Invoices created before history tracking only know their creation time
+                const history = data.history.length > 0
+                    ? data.history
+                    : [{ status: 'New', additionalStatus: null, time: inv.createdTime }];
+
+                let html = item('Invoice ID', escapeHtml(inv.id)) +
+                    item('Status', escapeHtml(inv.status) + (inv.additionalStatus && inv.additionalStatus !== 'None' ? ' (' + escapeHtml(inv.additionalStatus) + ')' : '')) +
+                    item('Amount', escapeHtml(inv.amount + ' ' + inv.currency));
+
+                if (inv.amountInMintUnit !== undefined) {
+                    html += item('Amount (' + escapeHtml(inv.mintUnit.toUpperCase()) + ')', formatAmount(inv.amountInMintUnit, inv.mintUnit));
+                }
+                if (inv.amountSats !== null) {
+                    html += item('Amount (SAT)', inv.amountSats.toLocaleString());
+                }
+                if (inv.exchangeRate) {
+                    html += item('Rate', escapeHtml(Number(inv.exchangeRate.rate).toLocaleString() + ' ' + inv.exchangeRate.currency + '/BTC'));
+                }
+                html += item('Created', formatTime(inv.createdTime)) +
+                    item('Expires', formatTime(inv.expirationTime)) +
+                    item('Checkout', `<a href="${escapeHtml(inv.checkoutLink)}" target="_blank" rel="noopener" style="color: var(--accent);">Open</a>`);
+
+                html += '<div class="invoice-section-title">Status history</div><ul class="invoice-history">' +
+                    history.map(h => `
+                        <li>
+                            <span>${escapeHtml(h.status)}${h.additionalStatus && h.additionalStatus !== 'None' ? ' · ' + escapeHtml(h.additionalStatus) : ''}</span>
+                            <span style="color: var(--text-secondary);">${formatTime(h.time)}</span>
+                        </li>`).join('') +
+                    '</ul>';
+
+                if (data.refunds.length > 0) {
+                    html += '<div class="invoice-section-title">Refunds</div><ul class="invoice-history">' +
+                        data.refunds.map(r => `
+                            <li>
+                                <span>
+                                    ${formatAmount(r.amount, r.unit)} ${escapeHtml(r.unit.toUpperCase())} · ${r.method === 'ecash' ? 'Ecash' : 'Lightning'}
+                                    · ${r.status === 'completed' ? (r.method === 'ecash' ? 'claimed' : 'paid') : 'pending'}
+                                    ${r.destination ? `<br><span style="color: var(--text-secondary); word-break: break-all;">${escapeHtml(r.destination)}</span>` : ''}
+                                    ${r.memo ? `<br><span style="color: var(--text-secondary);">${escapeHtml(r.memo)}</span>` : ''}
+                                    ${r.method === 'ecash' && r.status === 'pending' ? `<br><a href="#" style="color: var(--accent);" onclick="event.preventDefault(); showRefundToken('${escapeHtml(r.id)}')">Show token</a>` : ''}
+                                </span>
+                                <span style="color: var(--text-secondary);">${formatTime(r.createdTime)}</span>
+                            </li>`).join('') +
+                        '</ul>';
+                }
+
+                if (inv.metadata && Object.keys(inv.metadata).length > 0) {
+                    html += '<div class="invoice-section-title">Metadata</div>' +
+                        `<div class="invoice-metadata">${escapeHtml(JSON.stringify(inv.metadata, null, 2))}</div>`;
+                }
+
+                if (data.refundable > 0) {
+                    html += '<button class="btn btn-full" style="margin-top: 1rem;" onclick="openRefund()">Refund...</button>';
+                }
+
+                content.innerHTML = html;
+            } catch (e) {
+                content.innerHTML = `<p style="color: var(--error);">${escapeHtml(e.message)}</p>`;
+            }
+        }
+
+        // Refunds (from the invoice detail view)
+        let refundCheckInterval = null;
+        let refundShown = null;
+        let refundQr = null;
+
+        function openRefund() {
+            if (!invoiceDetail) return;
+            const unit = invoiceDetail.invoice.mintUnit || dashboardData?.mintUnit || 'sat';
+            const amountInput = document.getElementById('refund-amount');
+
+            document.getElementById('refund-form').style.display = 'block';
+            document.getElementById('refund-result').style.display = 'none';
+            document.getElementById('refund-available').textContent = formatAmount(invoiceDetail.refundable, unit);
+            amountInput.step = isFiatUnit(unit) ? '0.01' : '1';
+            amountInput.value = isFiatUnit(unit) ? (invoiceDetail.refundable / 100).toFixed(2) : invoiceDetail.refundable;
+            document.getElementById('refund-method').value = 'ecash';
+            document.getElementById('refund-destination').value = '';
+            document.getElementById('refund-memo').value = '';
+            updateRefundMethod();
+
+            closeModal('modal-invoice');
+            openModal('modal-refund');
+        }
+
+        function updateRefundMethod() {
+            const lightning = document.getElementById('refund-method').value === 'lightning';
+            document.getElementById('refund-destination-group').style.display = lightning ? 'block' : 'none';
+        }
+
+        async function handleRefund() {
+            if (!invoiceDetail) return;
+            const inv = invoiceDetail.invoice;
+            const unit = inv.mintUnit || dashboardData?.mintUnit || 'sat';
+            const method = document.getElementById('refund-method').value;
+            const destination = document.getElementById('refund-destination').value.trim();
+            const amount = parseAmount(document.getElementById('refund-amount').value, unit);
+            const isBolt11 = /^(lightning:)?ln(bc|tb|tbs|bcrt)[0-9]/i.test(destination);
+
+            if (method === 'lightning' && !destination) {
+                showToast('Enter the customer\'s Lightning destination', 'error');
+                return;
+            }
+            if (!(method === 'lightning' && isBolt11) && (amount < 1 || amount > invoiceDetail.refundable)) {
+                showToast('Amount must be between 1 and the refundable amount', 'error');
+                return;
+            }
+
+            const amountLabel = method === 'lightning' && isBolt11
+                ? 'the invoice amount'
+                : `${formatAmount(amount, unit)} ${unit.toUpperCase()}`;
+            if (method === 'lightning' && !confirm(`Pay ${amountLabel} to ${destination}?\n\nLightning payments cannot be reversed.`)) {
+                return;
+            }
+
+            const btn = document.getElementById('btn-confirm-refund');
+            btn.disabled = true;
+            btn.textContent = method === 'lightning' ? 'Paying...' : 'Creating token...';
+
+            try {
+                let body = `action=refund_invoice&invoice_id=${encodeURIComponent(inv.id)}&method=${method}` +
+                    `&memo=${encodeURIComponent(document.getElementById('refund-memo').value.trim())}`;
+                if (!(method === 'lightning' && isBolt11)) body += `&amount=${amount}`;
+                if (method === 'lightning') body += `&destination=${encodeURIComponent(destination)}`;
+
+                const response = await postWithCsrf(adminUrl, body);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Refund failed');
+
+                const refund = result.refund;
+                loadDashboard();
+                if (refund.method === 'ecash') {
+                    displayRefundToken(refund);
+                } else if (refund.status === 'pending') {
+                    showToast('Lightning payment pending - check the refund later', 'info');
+                    closeModal('modal-refund');
+                } else {
+                    showToast(`Refunded ${formatAmount(refund.amount, refund.unit)} ${refund.unit.toUpperCase()}`, 'success');
+                    closeModal('modal-refund');
+                }
+            } catch (e) {
+                showToast(e.message || 'Refund failed', 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Refund';
+            }
+        }
+
+        // Re-show the token of a pending ecash refund
+        function showRefundToken(refundId) {
+            const refund = invoiceDetail?.refunds.find(r => r.id === refundId);
+            if (!refund) return;
+            closeModal('modal-invoice');
+            openModal('modal-refund');
+            displayRefundToken(refund);
+        }
+
+        function displayRefundToken(refund) {
+            refundShown = refund;
+            document.getElementById('refund-form').style.display = 'none';
+            document.getElementById('refund-result').style.display = 'block';
+            document.getElementById('refund-token').textContent = refund.token;
+            document.getElementById('refund-claim-status').textContent =
+                `${formatAmount(refund.amount, refund.unit)} ${refund.unit.toUpperCase()} · waiting for the customer to claim the token...`;
+            refundQr?.destroy();
+            refundQr = renderTokenQr(document.getElementById('refund-qr'), refund.token);
+
+            if (refundCheckInterval) clearInterval(refundCheckInterval);
+            refundCheckInterval = setInterval(checkRefundClaimed, 5000);
+        }
+
+        async function checkRefundClaimed() {
+            if (!refundShown || !currentStoreId) return;
+
+            try {
+                const response = await postWithCsrf(adminUrl,
+                    `action=check_proofs_spent&store_id=${encodeURIComponent(currentStoreId)}` +
+                    `&secrets=${encodeURIComponent(JSON.stringify(refundShown.secrets))}&refund_id=${encodeURIComponent(refundShown.id)}`
+                );
+                const result = await response.json();
+
+                if (result.spent) {
+                    clearInterval(refundCheckInterval);
+                    refundCheckInterval = null;
+                    document.getElementById('refund-claim-status').textContent = 'Claimed by the customer ✓';
+                    showToast('Refund claimed', 'success');
+                }
+            } catch (e) {
+                console.error('Failed to check if refund claimed:', e);
+            }
+        }
+
+        function copyRefundToken() {
+            navigator.clipboard.writeText(document.getElementById('refund-token').textContent).then(() => {
+                showToast('Token copied!', 'success');
+            });
+        }
+
+        // Analytics
+        const ANALYTICS_FIAT_CURRENCIES = ['eur', 'usd', 'gbp', 'chf'];
+        let analyticsCharts = null;
+
+        // Display currencies: SAT, the stores' units and common fiat
+        function updateAnalyticsCurrencies() {
+            const select = document.getElementById('analytics-currency');
+            const storeUnits = (dashboardData?.stores || []).map(s => (s.mint_unit || 'sat').toLowerCase());
+            const currencies = [...new Set(['sat', ...storeUnits, ...ANALYTICS_FIAT_CURRENCIES])]
+                .filter(c => c !== 'msat');
+            const previous = select.value || localStorage.getItem('analyticsCurrency') || (dashboardData?.mintUnit || 'sat').toLowerCase();
+
+            select.innerHTML = currencies.map(c => `<option value="${c}">${c.toUpperCase()}</option>`).join('');
+            select.value = currencies.includes(previous) ? previous : 'sat';
+        }
+
+        async function loadAnalytics() {
+            if (!analyticsCharts) {
+                analyticsCharts = {
+                    volume: new MiniChart('analytics-volume-chart', { type: 'bar' }),
+                    conversion: new MiniChart('analytics-conversion-chart', {
+                        type: 'line',
+                        max: 100,
+                        color: 'var(--success)',
+                        formatValue: v => v + '%'
+                    }),
+                    ticket: new MiniChart('analytics-ticket-chart', { type: 'bar', color: 'var(--warning)' })
+                };
+            }
+
+            updateAnalyticsCurrencies();
+
+            const scope = document.getElementById('analytics-scope').value;
+            const currency = document.getElementById('analytics-currency').value;
+            localStorage.setItem('analyticsCurrency', currency);
+
+            if (scope === 'store' && !currentStoreId) {
+                showToast('Please select a store first', 'error');
+                return;
+            }
+
+            const params = new URLSearchParams({
+                api: 'analytics',
+                store_id: scope === 'all' ? 'all' : currentStoreId,
+                bucket: document.getElementById('analytics-bucket').value,
+                currency: currency,
+                tz: new Date().getTimezoneOffset()
+            });
+
+            try {
+                const response = await fetch(adminUrl + '?' + params.toString());
+                const report = await response.json();
+                if (!response.ok) throw new Error(report.error || 'Failed to load analytics');
+                renderAnalytics(report);
+            } catch (e) {
+                showToast(e.message || 'Failed to load analytics', 'error');
             }
         }
 
+        function renderAnalytics(report) {
+            const unit = report.displayCurrency;
+            const format = (v) => formatAmount(v, unit) + ' ' + unit.toUpperCase();
+            const labels = report.buckets.map(b => b.label);
+            const { totals } = report;
+
+            const volumeEl = document.getElementById('analytics-volume');
+            volumeEl.textContent = format(totals.volume);
+            volumeEl.title = report.rateStale ? 'Exchange rate may be outdated' : '';
+            document.getElementById('analytics-conversion').textContent =
+                totals.conversionRate !== null ? totals.conversionRate + '%' : '-';
+            document.getElementById('analytics-ticket').textContent =
+                totals.averageTicket !== null ? format(totals.averageTicket) : '-';
+
+            analyticsCharts.volume.options.formatValue = format;
+            analyticsCharts.ticket.options.formatValue = format;
+            analyticsCharts.volume.render(labels, report.buckets.map(b => b.volume));
+            analyticsCharts.conversion.render(labels, report.buckets.map(b => b.conversionRate));
+            analyticsCharts.ticket.render(labels, report.buckets.map(b => b.averageTicket));
+
+            const storesEl = document.getElementById('analytics-stores');
+            if (report.stores.length === 0) {
+                storesEl.innerHTML = '<p style="color: var(--text-secondary);">No stores</p>';
+                return;
+            }
+
+            storesEl.innerHTML = report.stores.map(store => {
+                const native = store.mintUnit.toLowerCase() !== unit
+                    ? ` <span style="color: var(--text-secondary);">(${formatAmount(store.volumeMintUnit, store.mintUnit)} ${escapeHtml(store.mintUnit.toUpperCase())})</span>`
+                    : '';
+                return `
+                    <div class="store-info-item">
+                        <span class="store-info-label">${escapeHtml(store.name)} · ${store.settledCount} settled</span>
+                        <span class="store-info-value">${format(store.volume)}${native}</span>
+                    </div>`;
+            }).join('') + (report.stores.length > 1 ? `
+                    <div class="store-info-item">
+                        <span class="store-info-label"><strong>Total</strong></span>
+                        <span class="store-info-value">${format(totals.volume)}</span>
+                    </div>` : '');
+        }
+
         async function loadStoreSettings() {
             const contentEl = document.getElementById('store-settings-content');
             const emptyEl = document.getElementById('store-settings-empty');
@@ -3384,15 +6042,303 @@ $isWp = Urls::isWordPress();
                 document.getElementById('price-provider-secondary').value = store.price_provider_secondary || 'binance';
                 document.getElementById('exchange-fee-percent').value = store.exchange_fee_percent || 0;
 
-                // Load API keys
-                loadStoreApiKeys();
+                // Load API keys
+                loadStoreApiKeys();
+                loadStoreWebhooks();
+                loadNostrNotifications();
+                loadBranding();
+                loadMintHealth();
+                resetProofInventory();
+
+            } catch (e) {
+                console.error(e);
+                showToast('Failed to load store settings', 'error');
+            }
+        }
+
+        // Mint health panel: latest check per mint plus a latency chart
+        async function loadMintHealth() {
+            const container = document.getElementById('mint-health-mints');
+            const chartEl = document.getElementById('mint-health-chart');
+            if (!currentStoreId) return;
+
+            try {
+                const response = await fetch(`${adminUrl}?api=mint_health&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load mint health');
+
+                if (data.mints.length === 0) {
+                    chartEl.innerHTML = '';
+                    container.innerHTML = '<p style="color: var(--text-secondary);">No mints configured</p>';
+                    return;
+                }
+
+                container.innerHTML = data.mints.map((mint, i) => renderMintHealth(mint, i)).join('');
+                chartEl.innerHTML = '';
+
+                data.mints.forEach((mint, i) => {
+                    const el = document.getElementById(`mint-health-chart-${i}`);
+                    if (!el || mint.checks.length === 0) return;
+                    const chart = new MiniChart(el, {
+                        type: 'line',
+                        height: 120,
+                        maxLabels: 4,
+                        color: mint.latest?.status === 'ok' ? 'var(--success)' : 'var(--warning)',
+                        formatValue: v => v + ' ms'
+                    });
+                    chart.render(
+                        mint.checks.map(c => new Date(c.checkedAt * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+                            + ' ' + new Date(c.checkedAt * 1000).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })),
+                        mint.checks.map(c => c.status === 'down' ? null : c.latencyMs)
+                    );
+                });
+            } catch (e) {
+                container.innerHTML = `<p style="color: var(--error);">${escapeHtml(e.message)}</p>`;
+            }
+        }
+
+        function renderMintHealth(mint, index) {
+            const latest = mint.latest;
+            const status = latest ? latest.status : 'unknown';
+            const details = [];
+
+            if (latest) {
+                // Quotes are only probed daily or on "Check Now": show the most recent probe
+                const quoteCheck = [...mint.checks].reverse().find(c => c.mintQuoteOk !== null);
+                details.push('Checked ' + new Date(latest.checkedAt * 1000).toLocaleString());
+                if (latest.latencyMs !== null) details.push(latest.latencyMs + ' ms');
+                if (latest.inputFeePpk !== null) details.push('Fee ' + latest.inputFeePpk + ' ppk');
+                if (quoteCheck) {
+                    if (quoteCheck.quoteExpirySeconds !== null) details.push('Quote expiry ' + Math.round(quoteCheck.quoteExpirySeconds / 60) + ' min');
+                    details.push('Mint quote ' + (quoteCheck.mintQuoteOk ? '✓' : '✗'));
+                    if (quoteCheck.meltQuoteOk !== null) details.push('Melt quote ' + (quoteCheck.meltQuoteOk ? '✓' : '✗'));
+                }
+            } else {
+                details.push('Not checked yet');
+            }
+
+            // Most recent changes first (info/keyset/fee/status)
+            const changes = [];
+            for (let i = mint.checks.length - 1; i >= 0 && changes.length < 5; i--) {
+                mint.checks[i].changes.forEach(change => {
+                    changes.push(`${new Date(mint.checks[i].checkedAt * 1000).toLocaleString()}: ${change}`);
+                });
+            }
+
+            const failures = mint.checks.filter(c => c.status !== 'ok').length;
+            const uptime = mint.checks.length > 0
+                ? ` · ${Math.round((mint.checks.length - failures) / mint.checks.length * 100)}% healthy over ${mint.checks.length} checks`
+                : '';
+
+            return `
+                <div class="mint-health-mint">
+                    <div class="mint-health-header">
+                        <span class="mint-health-status ${status}">${status}</span>
+                        <span>${escapeHtml(mint.url)}${mint.primary ? ' <span style="color: var(--text-secondary);">(primary)</span>' : ''}</span>
+                    </div>
+                    <div class="mint-health-details">${escapeHtml(details.join(' · ') + uptime)}</div>
+                    ${latest?.error ? `<div class="mint-health-details" style="color: ${status === 'down' ? 'var(--error)' : 'var(--warning)'};">${escapeHtml(latest.error)}</div>` : ''}
+                    ${changes.length ? `<div class="mint-health-details">${changes.map(c => escapeHtml(c)).join('<br>')}</div>` : ''}
+                    <div id="mint-health-chart-${index}" style="margin-top: 0.5rem;"></div>
+                </div>`;
+        }
+
+        async function checkMintHealth() {
+            if (!currentStoreId) {
+                showToast('No store selected', 'error');
+                return;
+            }
+
+            const btn = document.getElementById('btn-check-mint-health');
+            btn.disabled = true;
+            btn.textContent = 'Checking...';
+
+            try {
+                const response = await postWithCsrf(adminUrl, `action=check_mint_health&store_id=${encodeURIComponent(currentStoreId)}`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Health check failed');
+
+                const unhealthy = result.results.filter(r => r.status !== 'ok').length;
+                showToast(unhealthy ? `${unhealthy} mint(s) degraded or down` : 'All mints healthy', unhealthy ? 'error' : 'success');
+                await loadMintHealth();
+                loadDashboard();
+            } catch (e) {
+                showToast(e.message || 'Health check failed', 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Check Now';
+            }
+        }
+
+        // Proof inventory: loaded on demand since it contacts every mint
+        let proofInventory = null;
+
+        function resetProofInventory() {
+            proofInventory = null;
+            document.getElementById('proof-inventory').innerHTML =
+                '<p style="color: var(--text-secondary);">Lists the wallet\'s proofs by mint, keyset and denomination. Loading asks each mint for its keysets.</p>';
+            document.getElementById('btn-load-proof-inventory').textContent = 'Load';
+        }
+
+        async function loadProofInventory() {
+            const container = document.getElementById('proof-inventory');
+            const btn = document.getElementById('btn-load-proof-inventory');
+            if (!currentStoreId) return;
+
+            btn.disabled = true;
+            container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+
+            try {
+                const response = await fetch(`${adminUrl}?api=proof_inventory&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load proofs');
+
+                proofInventory = data;
+                container.innerHTML = data.mints.map((mint, i) => renderProofInventoryMint(mint, i, data.unit)).join('');
+                btn.textContent = 'Refresh';
+            } catch (e) {
+                container.innerHTML = `<p style="color: var(--error);">${escapeHtml(e.message)}</p>`;
+            } finally {
+                btn.disabled = false;
+            }
+        }
+
+        function renderProofDenominations(denominations) {
+            const entries = Object.entries(denominations);
+            if (entries.length === 0) return '';
+            return `<div class="proof-denominations">${entries.map(([amount, count]) =>
+                `<span class="proof-denomination">${escapeHtml(amount)} × ${count}</span>`).join('')}</div>`;
+        }
+
+        function renderProofInventoryMint(mint, index, unit) {
+            const unitLabel = unit.toUpperCase();
+            const status = !mint.reachable ? 'down' : (mint.flags.length ? 'degraded' : 'ok');
+            const summary = [
+                `${formatAmount(mint.balance, unit)} ${unitLabel}`,
+                `${mint.proofCount} proof${mint.proofCount === 1 ? '' : 's'}`
+            ];
+            if (mint.reachable) summary.push(`Fee to spend all: ${formatAmount(mint.fee, unit)} ${unitLabel}`);
+
+            const keysets = mint.keysets.map(keyset => {
+                const state = keyset.active === null ? 'unknown' : (keyset.active ? 'active' : 'inactive');
+                const details = [
+                    `${formatAmount(keyset.balance, unit)} ${unitLabel}`,
+                    `${keyset.proofCount} proof${keyset.proofCount === 1 ? '' : 's'}`,
+                    keyset.inputFeePpk === null ? 'fee unknown' : `fee ${keyset.inputFeePpk} ppk`
+                ];
+                return `
+                    <div class="proof-keyset">
+                        <div class="mint-health-header">
+                            <span class="mint-health-status ${keyset.active === false ? 'degraded' : (keyset.active ? 'ok' : 'unknown')}">${state}</span>
+                            <span class="proof-keyset-id">${escapeHtml(keyset.id)}</span>
+                        </div>
+                        <div class="mint-health-details">${escapeHtml(details.join(' · '))}</div>
+                        ${renderProofDenominations(keyset.denominations)}
+                        ${keyset.flags.map(flag => `<div class="proof-flag">${escapeHtml(flag)}</div>`).join('')}
+                    </div>`;
+            }).join('');
+
+            return `
+                <div class="mint-health-mint">
+                    <div class="mint-health-header">
+                        <span class="mint-health-status ${status}">${mint.primary ? 'primary' : 'backup'}</span>
+                        <span>${escapeHtml(mint.url)}</span>
+                    </div>
+                    <div class="mint-health-details">${escapeHtml(summary.join(' · '))}</div>
+                    ${mint.flags.map(flag => `<div class="proof-flag">${escapeHtml(flag)}</div>`).join('')}
+                    ${keysets || '<p class="mint-health-details">No proofs</p>'}
+                    ${mint.proofCount > 0 && mint.reachable
+                        ? `<button class="btn btn-secondary" style="margin-top: 0.75rem;" id="btn-consolidate-${index}" onclick="consolidateProofs(${index})">Consolidate</button>`
+                        : ''}
+                </div>`;
+        }
+
+        async function consolidateProofs(index) {
+            const mint = proofInventory?.mints[index];
+            if (!mint || !currentStoreId) return;
+
+            const unit = proofInventory.unit;
+            const unitLabel = unit.toUpperCase();
+            const btn = document.getElementById(`btn-consolidate-${index}`);
+            btn.disabled = true;
+            btn.textContent = 'Checking...';
+
+            const describe = denominations => Object.entries(denominations)
+                .map(([amount, count]) => `${amount}×${count}`).join(', ') || '-';
+
+            try {
+                const body = `store_id=${encodeURIComponent(currentStoreId)}&mint_url=${encodeURIComponent(mint.url)}`;
+                const previewResponse = await postWithCsrf(adminUrl, `action=preview_consolidation&${body}`);
+                const preview = await previewResponse.json();
+                if (!previewResponse.ok) throw new Error(preview.error || 'Preview failed');
+
+                const plan = preview.plan;
+                if (plan.inputCount === 0) {
+                    showToast('No unspent proofs on this mint', 'info');
+                    await loadProofInventory();
+                    return;
+                }
+                if (plan.outputAmount < 1) {
+                    showToast('Balance does not cover the swap fee', 'error');
+                    return;
+                }
+
+                const confirmed = confirm(
+                    `Consolidate proofs\n\n${mint.url}\n\n` +
+                    (plan.reasons.length ? plan.reasons.join('\n') + '\n\n' : 'The current spread is already healthy.\n\n') +
+                    `Swap ${plan.inputCount} proofs (${formatAmount(plan.inputAmount, unit)} ${unitLabel}) into ${plan.outputs.length}\n` +
+                    `Mint fee: ${formatAmount(plan.fee, unit)} ${unitLabel}\n` +
+                    `Balance after: ${formatAmount(plan.outputAmount, unit)} ${unitLabel}\n\n` +
+                    `Before: ${describe(plan.before)}\n` +
+                    `After: ${describe(plan.after)}\n\n` +
+                    `Continue?`
+                );
+                if (!confirmed) return;
+
+                btn.textContent = 'Swapping...';
+                const response = await postWithCsrf(adminUrl, `action=consolidate_proofs&${body}&expected_fee=${plan.fee}`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Consolidation failed');
+
+                showToast(`Consolidated into ${result.result.proofCount} proofs`, 'success');
+                await loadProofInventory();
+                loadDashboard();
+            } catch (e) {
+                showToast(e.message || 'Consolidation failed', 'error');
+            } finally {
+                if (btn.isConnected) {
+                    btn.disabled = false;
+                    btn.textContent = 'Consolidate';
+                }
+            }
+        }
+
+        // Dashboard alerts for degraded or unreachable mints (all stores)
+        function renderMintHealthAlerts(alerts) {
+            const container = document.getElementById('mint-health-alerts');
+            container.innerHTML = alerts.map(alert => {
+                const role = alert.primary ? 'Primary mint' : 'Backup mint';
+                const store = dashboardData?.stores?.length > 1 ? ` (${alert.storeName})` : '';
+                const title = alert.status === 'down' ? `${role} unreachable${store}` : `${role} degraded${store}`;
+                return `
+                    <div class="mint-health-alert ${alert.status}" onclick="openMintHealth('${escapeHtml(alert.storeId)}')">
+                        <strong>${escapeHtml(title)}</strong>
+                        <div class="mint-health-details">${escapeHtml(alert.mintUrl)}${alert.error ? ' — ' + escapeHtml(alert.error) : ''}</div>
+                    </div>`;
+            }).join('');
+        }
 
-            } catch (e) {
-                console.error(e);
-                showToast('Failed to load store settings', 'error');
+        function openMintHealth(storeId) {
+            if (storeId !== currentStoreId) {
+                const select = document.getElementById('store-select');
+                select.value = storeId;
+                onStoreSelectChange();
             }
+            switchView('stores');
         }
 
+        let storeApiKeys = [];
+
         async function loadStoreApiKeys() {
             const container = document.getElementById('store-api-keys');
             if (!currentStoreId) {
@@ -3403,8 +6349,9 @@ $isWp = Urls::isWordPress();
             try {
                 const response = await fetch(`${adminUrl}?api=api_keys&store_id=${encodeURIComponent(currentStoreId)}`);
                 const keys = await response.json();
+                storeApiKeys = Array.isArray(keys) ? keys : [];
 
-                if (!keys || keys.length === 0) {
+                if (storeApiKeys.length === 0) {
                     container.innerHTML = `
                         <div class="empty-state">
                             <div class="empty-state-icon">🔑</div>
@@ -3414,25 +6361,116 @@ $isWp = Urls::isWordPress();
                     return;
                 }
 
-                container.innerHTML = keys.map(key => `
-                    <div class="list-item">
-                        <div class="list-icon" style="background: rgba(247, 147, 26, 0.2);">🔑</div>
-                        <div class="list-content">
-                            <div class="list-title">${key.label || 'API Key'}</div>
-                            <div class="list-subtitle">ID: ${key.id.substring(0, 8)}...</div>
+                const now = Date.now() / 1000;
+                container.innerHTML = storeApiKeys.map(key => {
+                    const expired = key.expiresAt !== null && key.expiresAt <= now;
+                    const details = [
+                        key.expiresAt !== null
+                            ? (expired ? 'Expired ' : 'Expires ') + new Date(key.expiresAt * 1000).toLocaleDateString()
+                            : 'No expiry',
+                        key.lastUsedAt !== null ? 'Last used ' + new Date(key.lastUsedAt * 1000).toLocaleString() : 'Never used',
+                        `${key.requestCount} request${key.requestCount === 1 ? '' : 's'}`
+                    ];
+                    const restrictions = [
+                        key.allowedIps.length ? 'IP: ' + key.allowedIps.join(', ') : '',
+                        key.allowedOrigins.length ? 'Origin: ' + key.allowedOrigins.join(', ') : ''
+                    ].filter(Boolean);
+
+                    return `
+                        <div class="list-item" style="align-items: flex-start;">
+                            <div class="list-icon" style="background: rgba(247, 147, 26, 0.2);">🔑</div>
+                            <div class="list-content">
+                                <div class="list-title">${escapeHtml(key.label || 'API Key')}${expired ? ' <span style="color: var(--error);">(expired)</span>' : ''}</div>
+                                <div class="api-key-scopes">${renderApiKeyScopes(key.permissions)}</div>
+                                <div class="list-subtitle">${escapeHtml(details.join(' · '))}</div>
+                                ${restrictions.length ? `<div class="list-subtitle">${escapeHtml(restrictions.join(' · '))}</div>` : ''}
+                                ${key.rejectedCount > 0 ? `
+                                    <a href="#" class="api-key-rejected" onclick="showApiKeyRejections('${key.id}'); return false;">
+                                        ${key.rejectedCount} rejected request${key.rejectedCount === 1 ? '' : 's'}
+                                    </a>
+                                ` : ''}
+                            </div>
+                            <div style="display: flex; gap: 0.25rem;">
+                                ${key.internal ? '' : `<button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="editApiKey('${key.id}')">Edit</button>`}
+                                <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="deleteApiKeyFromSettings('${key.id}')">Delete</button>
+                            </div>
                         </div>
-                        <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="deleteApiKeyFromSettings('${key.id}')">Delete</button>
-                    </div>
-                `).join('');
+                    `;
+                }).join('');
             } catch (e) {
                 container.innerHTML = '<div class="empty-state"><p>Failed to load API keys</p></div>';
             }
         }
 
+        function renderApiKeyScopes(permissions) {
+            if (permissions.includes('*')) {
+                return '<span class="api-key-scope api-key-scope-full">Full access</span>';
+            }
+            return permissions.map(permission =>
+                `<span class="api-key-scope">${escapeHtml(apiKeyPermissions[permission] || permission)}</span>`
+            ).join('');
+        }
+
+        async function showApiKeyRejections(keyId = null) {
+            const key = storeApiKeys.find(k => k.id === keyId);
+            document.getElementById('modal-apikey-title').textContent = key ? `Rejected: ${key.label || 'API Key'}` : 'Rejected API Requests';
+            const content = document.getElementById('modal-apikey-content');
+            content.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+            openModal('modal-apikey');
+
+            const reasons = {
+                invalid_key: 'Unknown or deleted key',
+                expired: 'Key expired',
+                ip_not_allowed: 'IP not allowed',
+                origin_not_allowed: 'Origin not allowed',
+                missing_permission: 'Missing permission',
+                wrong_store: 'Other store'
+            };
+
+            try {
+                const params = new URLSearchParams({ api: 'api_key_rejections', store_id: currentStoreId, key_id: keyId || '' });
+                const response = await fetch(`${adminUrl}?${params}`);
+                const rejections = await response.json();
+
+                const list = rejections.length === 0
+                    ? '<div class="empty-state"><p>No rejected requests in the last 30 days</p></div>'
+                    : rejections.map(r => `
+                        <div class="list-item" style="align-items: flex-start;">
+                            <div class="list-content">
+                                <div class="list-title">${escapeHtml(reasons[r.reason] || r.reason)}</div>
+                                <div class="list-subtitle">${escapeHtml(r.method + ' ' + r.path)}</div>
+                                <div class="list-subtitle">
+                                    ${escapeHtml([
+                                        new Date(r.time * 1000).toLocaleString(),
+                                        keyId ? '' : (r.keyLabel || (r.keyId ? 'Deleted key' : 'Unknown key')),
+                                        r.ip ? 'IP ' + r.ip : '',
+                                        r.origin ? 'Origin ' + r.origin : ''
+                                    ].filter(Boolean).join(' · '))}
+                                </div>
+                            </div>
+                        </div>
+                    `).join('');
+
+                content.innerHTML = `
+                    <div style="max-height: 60vh; overflow-y: auto;">${list}</div>
+                    <button class="btn btn-secondary btn-full" style="margin-top: 1rem;" onclick="closeModal('modal-apikey')">Close</button>
+                `;
+            } catch (e) {
+                content.innerHTML = '<div class="empty-state"><p>Failed to load rejected requests</p></div>';
+            }
+        }
+
         // Rendering
-        function renderInvoices(containerId, invoices) {
+        function renderInvoices(containerId, invoices, append = false) {
             const container = document.getElementById(containerId);
 
+            if (append) {
+                if (invoices && invoices.length > 0) {
+                    container.insertAdjacentHTML('beforeend', invoices.map(renderInvoiceItem).join(''));
+                }
+                return;
+            }
+
             if (!invoices || invoices.length === 0) {
                 container.innerHTML = `
                     <div class="empty-state">
@@ -3443,27 +6481,32 @@ $isWp = Urls::isWordPress();
                 return;
             }
 
-            container.innerHTML = invoices.map(inv => {
-                const statusClass = inv.status.toLowerCase();
-                const icon = inv.status === 'Settled' ? '✓' :
-                             inv.status === 'New' ? '⏳' : '✕';
-                const date = new Date(inv.createdTime * 1000).toLocaleDateString();
-                const description = inv.metadata?.itemDesc || '';
+            container.innerHTML = invoices.map(renderInvoiceItem).join('');
+        }
 
-                return `
-                    <div class="list-item">
-                        <div class="list-icon ${statusClass}">${icon}</div>
-                        <div class="list-content">
-                            <div class="list-title">${description ? escapeHtml(description) : inv.id}</div>
-                            <div class="list-subtitle">${date}${description ? ' · ' + inv.id : ''}</div>
-                        </div>
-                        <div class="list-amount">
-                            <div class="list-amount-value">${inv.amount} ${inv.currency}</div>
-                            <div class="list-amount-status ${statusClass}">${inv.status}</div>
-                        </div>
+        function renderInvoiceItem(inv) {
+            const statusClass = inv.status.toLowerCase();
+            const icon = inv.status === 'Settled' ? '✓' :
+                         inv.status === 'New' ? '⏳' : '✕';
+            const date = new Date(inv.createdTime * 1000).toLocaleDateString();
+            const description = inv.metadata?.itemDesc || '';
+            const refunded = inv.refunded > 0
+                ? (inv.refunded >= inv.amountInMintUnit ? ' · Refunded' : ' · Partly refunded')
+                : '';
+
+            return `
+                <div class="list-item" onclick="showInvoiceDetails('${escapeHtml(inv.id)}')">
+                    <div class="list-icon ${statusClass}">${icon}</div>
+                    <div class="list-content">
+                        <div class="list-title">${description ? escapeHtml(description) : inv.id}</div>
+                        <div class="list-subtitle">${date}${description ? ' · ' + inv.id : ''}</div>
                     </div>
-                `;
-            }).join('');
+                    <div class="list-amount">
+                        <div class="list-amount-value">${inv.amount} ${inv.currency}</div>
+                        <div class="list-amount-status ${statusClass}">${inv.status}${refunded}</div>
+                    </div>
+                </div>
+            `;
         }
 
         function renderStores(stores) {
@@ -3488,12 +6531,12 @@ $isWp = Urls::isWordPress();
 
         // Actions
         async function handleWithdraw() {
-            const address = document.getElementById('withdraw-address').value;
+            const destination = parseWithdrawDestination(document.getElementById('withdraw-address').value);
+            const address = destination.value;
+            const comment = document.getElementById('withdraw-comment').value.trim();
             const mintUnit = dashboardData?.mintUnit || 'sat';
             const isFiatMint = isFiatUnit(mintUnit);
-            const isBolt11 = /^ln(bc|tb|tbs|bcrt)[0-9]/i.test(address);
-            const isLnAddress = !isBolt11 && address.includes('@');
-            const isLightningDestination = isBolt11 || isLnAddress;
+            const isLightningDestination = ['bolt11', 'address', 'lnurl'].includes(destination.type);
 
             // For ALL Lightning destinations with fiat mints, amount is in SATS
             // For sat mints or non-Lightning destinations, amount is in mint units
@@ -3516,6 +6559,11 @@ $isWp = Urls::isWordPress();
                 return;
             }
 
+            if (!isLightningDestination) {
+                showToast('Enter a Lightning address, LNURL or BOLT-11 invoice', 'error');
+                return;
+            }
+
             if (!currentStoreId) {
                 showToast('No store selected', 'error');
                 return;
@@ -3528,7 +6576,7 @@ $isWp = Urls::isWordPress();
 
             try {
                 const response = await postWithCsrf(adminUrl,
-                    `action=manual_melt&store_id=${encodeURIComponent(currentStoreId)}&address=${encodeURIComponent(address)}&amount=${amount}&donate=${donate}&amount_is_sats=${amountIsSats}`
+                    `action=manual_melt&store_id=${encodeURIComponent(currentStoreId)}&address=${encodeURIComponent(address)}&amount=${amount}&donate=${donate}&amount_is_sats=${amountIsSats}&comment=${encodeURIComponent(comment)}`
                 );
 
                 const result = await response.json();
@@ -3581,23 +6629,62 @@ $isWp = Urls::isWordPress();
         let bolt11MeltError = false;
         let bolt11FetchTimeout = null;
 
-        // Handle destination input (detect bolt-11 and auto-fill amount)
+        // LNURL-pay limits for the current Lightning address / LNURL (amounts in sats)
+        let lnurlPayParams = null;
+
+        // Normalize a pasted or scanned destination (mirrors LightningAddress::parseDestination)
+        function parseWithdrawDestination(raw) {
+            let value = (raw || '').replace(/\s+/g, '');
+
+            // BIP21: use the lightning= fallback, on-chain payments aren't possible
+            if (/^bitcoin:/i.test(value)) {
+                const params = new URLSearchParams(value.split('?')[1] || '');
+                let lightning = null;
+                params.forEach((v, key) => {
+                    if (key.toLowerCase() === 'lightning') lightning = v;
+                });
+                if (!lightning) return { type: 'onchain', value };
+                value = lightning;
+            }
+
+            value = value.replace(/^lightning:(\/\/)?/i, '');
+
+            if (/^ln(bc|tb|tbs|bcrt)[0-9]/i.test(value)) return { type: 'bolt11', value: value.toLowerCase() };
+            if (/^lnurl1[02-9ac-hj-np-z]+$/i.test(value)) return { type: 'lnurl', value: value.toLowerCase() };
+            if (/^lnurlp:\/\//i.test(value)) return { type: 'lnurl', value };
+            if (/^[a-z0-9._+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i.test(value)) return { type: 'address', value: value.toLowerCase() };
+            return { type: null, value };
+        }
+
+        // Show the comment field when the LNURL service accepts comments (LUD-12)
+        function setWithdrawComment(maxLength) {
+            const group = document.getElementById('withdraw-comment-group');
+            const input = document.getElementById('withdraw-comment');
+            group.style.display = maxLength > 0 ? 'block' : 'none';
+            if (maxLength > 0) {
+                input.maxLength = maxLength;
+                document.getElementById('withdraw-comment-help').textContent = `Up to ${maxLength} characters, shown to the recipient`;
+            } else {
+                input.removeAttribute('maxlength');
+            }
+        }
+
+        // Handle destination input (detect bolt-11 and auto-fill amount, resolve LNURL-pay limits)
         function handleDestinationInput() {
             const input = document.getElementById('withdraw-address').value.trim();
             const helpText = document.getElementById('withdraw-destination-help');
             const amountInput = document.getElementById('withdraw-amount');
+            const destination = parseWithdrawDestination(input);
 
             // Clear any pending timeout
             if (bolt11FetchTimeout) {
                 clearTimeout(bolt11FetchTimeout);
                 bolt11FetchTimeout = null;
             }
+            lnurlPayParams = null;
+            setWithdrawComment(0);
 
-            // Check if it looks like a bolt-11 invoice
-            const isBolt11 = /^ln(bc|tb|tbs|bcrt)[0-9]/i.test(input);
-            const isLightningAddress = !isBolt11 && input.includes('@');
-
-            if (isBolt11 && input.length > 20) {
+            if (destination.type === 'bolt11' && destination.value.length > 20) {
                 helpText.textContent = 'Checking invoice amount...';
                 helpText.style.color = 'var(--accent)';
 
@@ -3605,7 +6692,7 @@ $isWp = Urls::isWordPress();
                 bolt11FetchTimeout = setTimeout(async () => {
                     try {
                         const response = await postWithCsrf(adminUrl,
-                            `action=get_bolt11_amount&bolt11=${encodeURIComponent(input)}&store_id=${encodeURIComponent(currentStoreId || '')}`
+                            `action=get_bolt11_amount&bolt11=${encodeURIComponent(destination.value)}&store_id=${encodeURIComponent(currentStoreId || '')}`
                         );
                         const result = await response.json();
 
@@ -3652,15 +6739,52 @@ $isWp = Urls::isWordPress();
                         helpText.style.color = 'var(--error)';
                     }
                 }, 300);
-            } else if (isLightningAddress) {
-                // Lightning address detected
+            } else if (destination.type === 'address' || destination.type === 'lnurl') {
+                // Lightning address or LNURL-pay: look up amount limits and comment support
                 bolt11FixedAmount = null;
                 bolt11FeeEstimate = null;
                 bolt11MeltError = false;
                 amountInput.disabled = false;
                 document.getElementById('btn-withdraw-max').disabled = false;
-                helpText.textContent = 'Lightning address detected';
+                helpText.textContent = destination.type === 'address' ? 'Looking up Lightning address...' : 'Resolving LNURL...';
                 helpText.style.color = 'var(--accent)';
+
+                bolt11FetchTimeout = setTimeout(async () => {
+                    try {
+                        const response = await postWithCsrf(adminUrl,
+                            `action=resolve_destination&destination=${encodeURIComponent(destination.value)}`
+                        );
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.error || 'Could not resolve destination');
+
+                        // Input changed while resolving
+                        if (parseWithdrawDestination(document.getElementById('withdraw-address').value).value !== destination.value) return;
+
+                        lnurlPayParams = result;
+                        setWithdrawComment(result.commentAllowed);
+                        if (result.minSats === result.maxSats) {
+                            amountInput.value = result.minSats;
+                        }
+                        const limits = result.minSats === result.maxSats
+                            ? `${result.minSats.toLocaleString()} SAT (fixed)`
+                            : `${result.minSats.toLocaleString()} - ${result.maxSats.toLocaleString()} SAT`;
+                        helpText.textContent = `${result.description || result.domain} · ${limits}`;
+                        helpText.style.color = 'var(--success)';
+                    } catch (e) {
+                        lnurlPayParams = null;
+                        helpText.textContent = e.message || 'Could not resolve destination';
+                        helpText.style.color = 'var(--error)';
+                    }
+                    updateWithdrawInfo();
+                }, 500);
+            } else if (destination.type === 'onchain') {
+                bolt11FixedAmount = null;
+                bolt11FeeEstimate = null;
+                bolt11MeltError = false;
+                amountInput.disabled = false;
+                document.getElementById('btn-withdraw-max').disabled = false;
+                helpText.textContent = 'On-chain addresses are not supported - this bitcoin: URI has no Lightning invoice';
+                helpText.style.color = 'var(--error)';
             } else {
                 // Incomplete input or unknown format
                 bolt11FixedAmount = null;
@@ -3668,13 +6792,45 @@ $isWp = Urls::isWordPress();
                 bolt11MeltError = false;
                 amountInput.disabled = false;
                 document.getElementById('btn-withdraw-max').disabled = false;
-                helpText.textContent = 'Lightning address or BOLT-11 invoice';
+                helpText.textContent = 'Lightning address, LNURL or BOLT-11 invoice';
                 helpText.style.color = 'var(--text-secondary)';
             }
 
             updateWithdrawInfo();
         }
 
+        // Camera scan of a customer's invoice, LNURL or Lightning address QR
+        let withdrawScanner = null;
+
+        async function startWithdrawScanner() {
+            stopWithdrawScanner();
+
+            const scanBtn = document.getElementById('btn-withdraw-scan');
+            withdrawScanner = new AnimatedQRScanner('withdraw-scanner', {
+                extract: (text) => ['bolt11', 'address', 'lnurl'].includes(parseWithdrawDestination(text).type) ? text : null,
+                invalidMessage: 'Not a Lightning invoice or address - keep scanning',
+                onResult: (text) => {
+                    document.getElementById('withdraw-address').value = text;
+                    stopWithdrawScanner();
+                    handleDestinationInput();
+                    showToast('Destination scanned', 'success');
+                },
+                onError: (message) => showToast(message, 'error')
+            });
+
+            if (await withdrawScanner.start()) {
+                scanBtn.disabled = true;
+            }
+        }
+
+        function stopWithdrawScanner() {
+            if (withdrawScanner) {
+                withdrawScanner.destroy();
+                withdrawScanner = null;
+            }
+            document.getElementById('btn-withdraw-scan').disabled = false;
+        }
+
         // Track last estimate for display
         let lastWithdrawEstimate = null;
         let withdrawEstimateTimeout = null;
@@ -3779,6 +6935,9 @@ $isWp = Urls::isWordPress();
             if (bolt11MeltError) {
                 // Mint rejected the invoice - disable withdraw
                 withdrawBtn.disabled = true;
+            } else if (lnurlPayParams && (amountSats < lnurlPayParams.minSats || amountSats > lnurlPayParams.maxSats)) {
+                // Outside the LNURL-pay service's sendable range
+                withdrawBtn.disabled = true;
             } else if (isFiatMint) {
                 // For fiat mint, validate against actual cost if we have estimate
                 if (lastWithdrawEstimate && lastWithdrawEstimate.amountSats === amountSats) {
@@ -3989,6 +7148,12 @@ $isWp = Urls::isWordPress();
                     document.getElementById('export-form').style.display = 'none';
                     document.getElementById('export-result').style.display = 'block';
                     document.getElementById('export-token').textContent = result.token;
+                    try {
+                        document.getElementById('export-token-info').innerHTML =
+                            renderTokenInfo(CashuToken.parse(result.token), []);
+                    } catch (e) {
+                        console.error('Token preview failed:', e);
+                    }
 
                     // Store secrets for claim detection
                     exportSecrets = result.secrets;
@@ -4019,51 +7184,7 @@ $isWp = Urls::isWordPress();
                     }
 
                     // Generate QR code (single or animated based on size)
-                    const qrContainer = document.getElementById('export-qr');
-                    qrContainer.innerHTML = '';
-
-                    try {
-                        // Check if we need animated QR based on token size
-                        if (AnimatedQR.needsAnimation(result.token)) {
-                            // Large token - use NUT-16 animated QR with UR encoding
-                            const animatedQr = new AnimatedQR(qrContainer, {
-                                frameRate: 200,
-                                maxFragmentLen: 200,
-                                qrSize: 280,
-                                errorCorrection: 'M'
-                            });
-
-                            if (!animatedQr.encode(result.token)) {
-                                throw new Error('Failed to encode animated QR');
-                            }
-                        } else {
-                            // Small token - use single static QR
-                            if (typeof QRious !== 'undefined') {
-                                const canvas = document.createElement('canvas');
-                                qrContainer.appendChild(canvas);
-
-                                const maxSize = Math.min(280, window.innerWidth - 80);
-
-                                new QRious({
-                                    element: canvas,
-                                    value: result.token,
-                                    size: maxSize,
-                                    backgroundAlpha: 1,
-                                    foreground: '#000000',
-                                    background: '#ffffff',
-                                    level: 'L'
-                                });
-                            } else {
-                                throw new Error('QR library not loaded');
-                            }
-                        }
-                    } catch (e) {
-                        console.error('QR generation failed:', e);
-                        const warning = document.createElement('div');
-                        warning.style.cssText = 'color: #888; text-align: center; padding: 2rem; font-size: 0.9rem;';
-                        warning.textContent = 'QR code generation failed. Please copy the token below.';
-                        qrContainer.appendChild(warning);
-                    }
+                    renderTokenQr(document.getElementById('export-qr'), result.token);
 
                     loadDashboard();
                 } else {
@@ -4077,17 +7198,452 @@ $isWp = Urls::isWordPress();
                     }
                 }
             } catch (e) {
-                showToast('Export failed', 'error');
-                exportBtn.textContent = exportBtnOrigText;
-                exportBtn.disabled = false;
+                showToast('Export failed', 'error');
+                exportBtn.textContent = exportBtnOrigText;
+                exportBtn.disabled = false;
+            }
+        }
+
+        // Token QR: static when it fits, NUT-16 animated (UR) when it is too dense.
+        // Returns the AnimatedQR (to destroy() when hidden) or null.
+        function renderTokenQr(qrContainer, token) {
+            qrContainer.innerHTML = '';
+
+            try {
+                // Check if we need animated QR based on token size
+                const maxSize = Math.min(280, window.innerWidth - 80);
+                if (AnimatedQR.needsAnimation(token, { qrSize: maxSize, errorCorrection: 'L' })) {
+                    // Large token - use NUT-16 animated QR with UR encoding
+                    const animatedQr = new AnimatedQR(qrContainer, {
+                        frameRate: 200,
+                        maxFragmentLen: 200,
+                        qrSize: maxSize,
+                        errorCorrection: 'M'
+                    });
+
+                    if (!animatedQr.encode(token)) {
+                        throw new Error('Failed to encode animated QR');
+                    }
+                    return animatedQr;
+                } else {
+                    // Small token - use single static QR
+                    const canvas = document.createElement('canvas');
+                    QRCode.create(token, { level: 'L' })
+                        .drawCanvas(canvas, Math.round(maxSize * (window.devicePixelRatio || 1)));
+                    canvas.style.width = maxSize + 'px';
+                    canvas.style.height = maxSize + 'px';
+                    qrContainer.appendChild(canvas);
+                }
+            } catch (e) {
+                console.error('QR generation failed:', e);
+                const warning = document.createElement('div');
+                warning.style.cssText = 'color: #888; text-align: center; padding: 2rem; font-size: 0.9rem;';
+                warning.textContent = 'QR code generation failed. Please copy the token below.';
+                qrContainer.appendChild(warning);
+            }
+            return null;
+        }
+
+        function copyToken() {
+            const token = document.getElementById('export-token').textContent;
+            navigator.clipboard.writeText(token).then(() => {
+                showToast('Token copied!', 'success');
+            });
+        }
+
+        // Receive token (camera scan or paste)
+        let receiveScanner = null;
+
+        async function startReceiveScanner() {
+            stopReceiveScanner();
+
+            const scanBtn = document.getElementById('btn-receive-scan');
+            receiveScanner = new AnimatedQRScanner('receive-scanner', {
+                onResult: (token) => {
+                    document.getElementById('receive-token').value = token;
+                    inspectReceiveToken();
+                    scanBtn.style.display = 'block';
+                    showToast('Token scanned', 'success');
+                },
+                onError: (message) => showToast(message, 'error')
+            });
+
+            if (await receiveScanner.start()) {
+                scanBtn.style.display = 'none';
+            }
+        }
+
+        function stopReceiveScanner() {
+            if (receiveScanner) {
+                receiveScanner.destroy();
+                receiveScanner = null;
+            }
+            document.getElementById('btn-receive-scan').style.display = 'block';
+        }
+
+        // Ecash voucher batches (promotions / giveaways)
+        let voucherBatches = [];
+
+        function openVouchers() {
+            closeModal('modal-export');
+            openModal('modal-vouchers');
+            updateVoucherTotal();
+            loadVoucherBatches();
+        }
+
+        // Voucher amounts in the smallest unit, from "10x100, 5x500" or count x amount
+        function parseVoucherAmounts() {
+            const mintUnit = dashboardData?.mintUnit || 'sat';
+            const mix = document.getElementById('voucher-mix').value.trim();
+            const amounts = [];
+
+            if (mix) {
+                for (const part of mix.split(/[,;\n]+/).map(p => p.trim()).filter(Boolean)) {
+                    const match = part.match(/^(?:(\d+)\s*[x×*]\s*)?(\d+(?:[.,]\d+)?)$/i);
+                    if (!match) throw new Error(`Cannot read "${part}" - use e.g. 10x100`);
+                    const amount = parseAmount(match[2].replace(',', '.'), mintUnit);
+                    const count = match[1] ? parseInt(match[1], 10) : 1;
+                    if (amount < 1 || count < 1) throw new Error(`Invalid entry "${part}"`);
+                    for (let i = 0; i < count && amounts.length <= VOUCHER_MAX; i++) amounts.push(amount);
+                }
+            } else {
+                const count = parseInt(document.getElementById('voucher-count').value, 10) || 0;
+                const amount = parseAmount(document.getElementById('voucher-amount').value, mintUnit);
+                if (count < 1 || amount < 1) return [];
+                for (let i = 0; i < count && amounts.length <= VOUCHER_MAX; i++) amounts.push(amount);
+            }
+
+            if (amounts.length > VOUCHER_MAX) throw new Error(`At most ${VOUCHER_MAX} vouchers per batch`);
+            return amounts;
+        }
+
+        function updateVoucherTotal() {
+            const mintUnit = dashboardData?.mintUnit || 'sat';
+            const totalEl = document.getElementById('voucher-total');
+            const createBtn = document.getElementById('btn-create-vouchers');
+
+            try {
+                const amounts = parseVoucherAmounts();
+                const total = amounts.reduce((sum, a) => sum + a, 0);
+                const available = dashboardData?.exportAvailable || 0;
+                if (amounts.length === 0) {
+                    totalEl.textContent = `Available: ${formatAmount(available, mintUnit)} ${mintUnit.toUpperCase()}`;
+                    totalEl.style.color = 'var(--text-secondary)';
+                    createBtn.disabled = true;
+                    return;
+                }
+                totalEl.textContent = `${amounts.length} voucher(s), total ${formatAmount(total, mintUnit)} ${mintUnit.toUpperCase()} (+ mint fees) of ${formatAmount(available, mintUnit)} available`;
+                totalEl.style.color = total > available ? 'var(--error)' : 'var(--text-secondary)';
+                createBtn.disabled = total > available;
+            } catch (e) {
+                totalEl.textContent = e.message;
+                totalEl.style.color = 'var(--error)';
+                createBtn.disabled = true;
+            }
+        }
+
+        async function createVouchers() {
+            if (!currentStoreId) {
+                showToast('No store selected', 'error');
+                return;
+            }
+
+            let amounts;
+            try {
+                amounts = parseVoucherAmounts();
+            } catch (e) {
+                showToast(e.message, 'error');
+                return;
+            }
+            if (amounts.length === 0) {
+                showToast('Please enter a count and amount', 'error');
+                return;
+            }
+
+            const createBtn = document.getElementById('btn-create-vouchers');
+            createBtn.disabled = true;
+            createBtn.textContent = 'Creating vouchers...';
+
+            try {
+                const response = await postWithCsrf(adminUrl,
+                    `action=create_vouchers&store_id=${encodeURIComponent(currentStoreId)}` +
+                    `&amounts=${encodeURIComponent(JSON.stringify(amounts))}` +
+                    `&memo=${encodeURIComponent(document.getElementById('voucher-memo').value)}` +
+                    `&expiry_note=${encodeURIComponent(document.getElementById('voucher-expiry').value)}`
+                );
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to create vouchers');
+
+                showToast(`${result.batch.vouchers.length} vouchers created - use Print to get the sheet`, 'success');
+                document.getElementById('voucher-mix').value = '';
+                await loadVoucherBatches();
+                loadDashboard();
+            } catch (e) {
+                showToast(e.message || 'Failed to create vouchers', 'error');
+            } finally {
+                createBtn.textContent = 'Create Vouchers';
+                updateVoucherTotal();
+            }
+        }
+
+        async function loadVoucherBatches() {
+            const container = document.getElementById('voucher-batches');
+            if (!currentStoreId) return;
+
+            try {
+                const response = await fetch(`${adminUrl}?api=voucher_batches&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load vouchers');
+                voucherBatches = data.batches;
+                renderVoucherBatches();
+            } catch (e) {
+                container.innerHTML = `<div class="empty-state"><p>${escapeHtml(e.message)}</p></div>`;
+            }
+        }
+
+        function renderVoucherBatches() {
+            const container = document.getElementById('voucher-batches');
+            if (voucherBatches.length === 0) {
+                container.innerHTML = '<div class="empty-state"><p>No voucher batches yet</p></div>';
+                return;
+            }
+
+            container.innerHTML = voucherBatches.map(batch => {
+                const count = batch.vouchers.length;
+                const outstanding = count - batch.redeemedCount - batch.reclaimedCount;
+                const status = [`${batch.redeemedCount}/${count} redeemed`];
+                if (batch.reclaimedCount > 0) status.push(`${batch.reclaimedCount} reclaimed`);
+                return `
+                    <div class="list-item" style="border-bottom: none;">
+                        <div class="list-icon" style="background: rgba(247, 147, 26, 0.2);">🎟️</div>
+                        <div class="list-content">
+                            <div class="list-title">${count} vouchers · ${formatAmount(batch.totalAmount, batch.unit)} ${escapeHtml(batch.unit.toUpperCase())}</div>
+                            <div class="list-subtitle">${new Date(batch.createdAt * 1000).toLocaleDateString()}${batch.memo ? ' · ' + escapeHtml(batch.memo) : ''} · ${status.join(', ')}</div>
+                        </div>
+                    </div>
+                    <div class="voucher-batch-actions">
+                        <button class="btn btn-secondary" onclick="printVoucherBatch('${batch.id}')" ${outstanding ? '' : 'disabled'}>Print</button>
+                        <button class="btn btn-secondary" onclick="checkVoucherBatch('${batch.id}')" ${outstanding ? '' : 'disabled'}>Check redeemed</button>
+                        <button class="btn btn-secondary" onclick="reclaimVoucherBatch('${batch.id}')" ${outstanding ? '' : 'disabled'}>Reclaim</button>
+                    </div>`;
+            }).join('');
+        }
+
+        // Claim tracking: one secret group per outstanding voucher
+        async function checkVoucherBatch(batchId) {
+            const batch = voucherBatches.find(b => b.id === batchId);
+            if (!batch) return;
+
+            const pending = batch.vouchers.filter(v => !v.redeemed && !v.reclaimed);
+            try {
+                const response = await postWithCsrf(adminUrl,
+                    `action=check_proofs_spent&store_id=${encodeURIComponent(currentStoreId)}&groups=${encodeURIComponent(JSON.stringify(pending.map(v => v.secrets)))}`
+                );
+                const result = await response.json();
+                if (result.error) throw new Error(result.error);
+
+                const newlyRedeemed = (result.groups || []).filter(Boolean).length;
+                showToast(newlyRedeemed ? `${newlyRedeemed} more voucher(s) redeemed` : 'No new redemptions', 'success');
+                await loadVoucherBatches();
+            } catch (e) {
+                showToast(e.message || 'Failed to check vouchers', 'error');
+            }
+        }
+
+        async function reclaimVoucherBatch(batchId) {
+            if (!confirm('Reclaim all unredeemed vouchers of this batch back into the store balance?\n\nPrinted copies will stop working.')) {
+                return;
+            }
+
+            try {
+                const response = await postWithCsrf(adminUrl, `action=reclaim_vouchers&batch_id=${encodeURIComponent(batchId)}`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to reclaim vouchers');
+
+                const mintUnit = dashboardData?.mintUnit || 'sat';
+                let msg = `Reclaimed ${result.reclaimed} voucher(s), ${formatAmount(result.amount, mintUnit)} ${mintUnit.toUpperCase()}`;
+                if (result.redeemed > 0) msg += ` (${result.redeemed} were already redeemed)`;
+                showToast(msg, 'success');
+                await loadVoucherBatches();
+                loadDashboard();
+            } catch (e) {
+                showToast(e.message || 'Failed to reclaim vouchers', 'error');
+            }
+        }
+
+        // Lay out the outstanding vouchers of a batch on a print-only sheet
+        function printVoucherBatch(batchId) {
+            const batch = voucherBatches.find(b => b.id === batchId);
+            if (!batch) return;
+
+            const vouchers = batch.vouchers.filter(v => !v.redeemed && !v.reclaimed);
+            if (vouchers.length === 0) {
+                showToast('No unredeemed vouchers to print', 'error');
+                return;
+            }
+            let mintHost = batch.mintUrl;
+            try { mintHost = new URL(batch.mintUrl).host; } catch (e) {}
+
+            const sheet = document.getElementById('voucher-sheet');
+            sheet.innerHTML = vouchers.map(v => {
+                let qr;
+                try {
+                    qr = `<img src="${QRCode.create(v.token, { level: 'L' }).toDataURL(400)}" alt="">`;
+                } catch (e) {
+                    qr = '<p class="voucher-meta">Token too large for a printed QR code</p>';
+                }
+                return `
+                    <div class="voucher-card">
+                        ${qr}
+                        <div class="voucher-amount">${formatAmount(v.amount, batch.unit)} ${escapeHtml(batch.unit.toUpperCase())}</div>
+                        ${batch.memo ? `<div class="voucher-memo">${escapeHtml(batch.memo)}</div>` : ''}
+                        ${batch.expiryNote ? `<div class="voucher-meta">${escapeHtml(batch.expiryNote)}</div>` : ''}
+                        <div class="voucher-meta">Cashu ecash · ${escapeHtml(mintHost)} · scan with a Cashu wallet</div>
+                    </div>`;
+            }).join('');
+
+            document.body.classList.add('printing-vouchers');
+            window.addEventListener('afterprint', () => {
+                document.body.classList.remove('printing-vouchers');
+                sheet.innerHTML = '';
+            }, { once: true });
+            window.print();
+        }
+
+        async function handleReceive() {
+            const token = document.getElementById('receive-token').value.trim();
+            if (!token) {
+                showToast('Please scan or paste a token', 'error');
+                return;
+            }
+            if (!currentStoreId) {
+                showToast('No store selected', 'error');
+                return;
+            }
+
+            // Make the user acknowledge foreign mint / unit mismatch before submitting
+            const warnings = inspectReceiveToken();
+            if (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\nReceive anyway?`)) {
+                return;
+            }
+
+            const receiveBtn = document.getElementById('btn-confirm-receive');
+            receiveBtn.textContent = 'Receiving...';
+            receiveBtn.disabled = true;
+
+            try {
+                const response = await postWithCsrf(adminUrl,
+                    `action=receive_token&store_id=${encodeURIComponent(currentStoreId)}&token=${encodeURIComponent(token)}`
+                );
+                const result = await response.json();
+
+                if (response.ok && result.success) {
+                    showToast(`Received ${formatAmount(result.amount, result.unit)} ${result.unit.toUpperCase()}`, 'success');
+                    closeModal('modal-receive');
+                    loadDashboard();
+                } else {
+                    showToast(result.error || 'Receive failed', 'error');
+                    receiveBtn.textContent = 'Receive';
+                    receiveBtn.disabled = false;
+                }
+            } catch (e) {
+                showToast('Receive failed', 'error');
+                receiveBtn.textContent = 'Receive';
+                receiveBtn.disabled = false;
             }
         }
 
-        function copyToken() {
-            const token = document.getElementById('export-token').textContent;
-            navigator.clipboard.writeText(token).then(() => {
-                showToast('Token copied!', 'success');
+        // Decode the pasted/scanned token and show its contents; returns warnings
+        function inspectReceiveToken() {
+            const container = document.getElementById('receive-token-info');
+            const value = document.getElementById('receive-token').value.trim();
+            if (!value) {
+                container.innerHTML = '';
+                return [];
+            }
+
+            let info;
+            try {
+                info = CashuToken.parse(value);
+            } catch (e) {
+                container.innerHTML = `<p class="form-help" style="color: var(--error);">${escapeHtml(e.message)}</p>`;
+                return [];
+            }
+
+            const store = dashboardData?.stores?.find(s => s.id === currentStoreId);
+            const warnings = getTokenWarnings(info, store);
+            container.innerHTML = renderTokenInfo(info, warnings);
+            return warnings;
+        }
+
+        // Compare a parsed token against the store's mint and unit
+        function getTokenWarnings(info, store) {
+            const warnings = [];
+            if (!store) return warnings;
+
+            const normalizeMint = (url) => (url || '').trim().replace(/\/+$/, '').toLowerCase();
+            const foreign = info.mints.filter(m => normalizeMint(m) !== normalizeMint(store.mint_url));
+            if (foreign.length > 0) {
+                warnings.push(`Token is from a different mint (${foreign.join(', ')}) than this store uses (${store.mint_url}).`);
+            }
+
+            const storeUnit = (store.mint_unit || 'sat').toLowerCase();
+            if (info.unit.toLowerCase() !== storeUnit) {
+                warnings.push(`Token unit is ${info.unit.toUpperCase()} but this store uses ${storeUnit.toUpperCase()}.`);
+            }
+
+            if (info.spendingConditions.length > 0) {
+                warnings.push('Token is locked by spending conditions and may not be redeemable by this store.');
+            }
+
+            return warnings;
+        }
+
+        // Render parsed token details (mint, unit, amount, proofs, keysets, memo, spending conditions)
+        function renderTokenInfo(info, warnings) {
+            const row = (label, value) => `
+                <div class="store-info-item">
+                    <span class="store-info-label">${label}</span>
+                    <span class="store-info-value">${value}</span>
+                </div>`;
+
+            let html = warnings.map(w => `
+                <p class="form-help" style="color: var(--warning); margin: 0 0 0.5rem 0;">&#9888; ${escapeHtml(w)}</p>`
+            ).join('');
+
+            html += row('Amount', `${formatAmount(info.amount, info.unit)} ${escapeHtml(info.unit.toUpperCase())}`);
+            html += row(info.mints.length > 1 ? 'Mints' : 'Mint', info.mints.map(escapeHtml).join('<br>'));
+            html += row('Proofs', info.proofs.length);
+            html += row(info.keysets.length > 1 ? 'Keysets' : 'Keyset', info.keysets.map(escapeHtml).join('<br>'));
+            html += row('Format', info.version === 'B' ? 'cashuB (V4)' : 'cashuA (V3)');
+            if (info.memo) {
+                html += row('Memo', escapeHtml(info.memo));
+            }
+
+            // Proofs of one token usually share their condition: show each distinct one once
+            const conditions = new Map();
+            info.spendingConditions.forEach(sc => {
+                const parts = [escapeHtml(sc.kind)];
+                if (sc.kind === 'P2PK') {
+                    parts.push(`key ${escapeHtml((sc.data || '').slice(0, 16))}&hellip;`);
+                    if (sc.pubkeys.length > 0) parts.push(`+${sc.pubkeys.length} keys`);
+                    if (sc.nSigs) parts.push(`${sc.nSigs} sigs`);
+                } else if (sc.kind === 'HTLC') {
+                    parts.push(`hash ${escapeHtml((sc.data || '').slice(0, 16))}&hellip;`);
+                }
+                if (sc.locktime) parts.push(`until ${new Date(sc.locktime * 1000).toLocaleString()}`);
+                if (sc.refund.length > 0) parts.push('refundable');
+                const key = JSON.stringify([sc.kind, sc.data, sc.pubkeys, sc.nSigs, sc.locktime, sc.refund]);
+                const entry = conditions.get(key) || { text: parts.join(' · '), count: 0 };
+                entry.count++;
+                conditions.set(key, entry);
+            });
+            [...conditions.values()].forEach(({ text, count }, i) => {
+                const proofs = count < info.proofs.length ? ` · ${count} ${count === 1 ? 'proof' : 'proofs'}` : '';
+                html += row(i === 0 ? 'Conditions' : '', text + proofs);
             });
+
+            return html;
         }
 
         // Update amount input based on selected store's mint unit
@@ -4136,9 +7692,6 @@ $isWp = Urls::isWordPress();
             }
 
             try {
-                // Use Greenfield API to create invoice
-                const apiUrl = API_BASE_URL + '/api/v1/stores/' + encodeURIComponent(storeId) + '/invoices';
-
                 const invoiceData = {
                     amount: amount,
                     currency: mintUnit,
@@ -4152,27 +7705,427 @@ $isWp = Urls::isWordPress();
                     invoiceData.metadata = { itemDesc: memo };
                 }
 
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'token ' + apiKey
-                    },
-                    body: JSON.stringify(invoiceData)
+                const result = await createStoreInvoice(store, invoiceData);
+
+                // Redirect to checkout page
+                window.location.href = result.checkoutLink;
+            } catch (e) {
+                console.error('Invoice creation failed:', e);
+                showToast(e.message || 'Failed to create invoice', 'error');
+            }
+        }
+
+        // Create an invoice via the Greenfield API using the store's internal key
+        async function createStoreInvoice(store, invoiceData) {
+            const apiUrl = API_BASE_URL + '/api/v1/stores/' + encodeURIComponent(store.id) + '/invoices';
+
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': 'token ' + store.internalApiKey
+                },
+                body: JSON.stringify(invoiceData)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.checkoutLink) {
+                throw new Error(result.message || result.error || 'Failed to create invoice');
+            }
+            return result;
+        }
+
+        // Point of Sale
+        const POS_FIAT_CURRENCIES = ['eur', 'usd', 'gbp', 'chf', 'cad', 'aud', 'brl', 'czk', 'pln'];
+        const POS_MAX_DIGITS = 9;
+        const POS_POLL_INTERVAL = 2000;
+        const POS_RESET_DELAY = 5000;
+        const POS_RATES_REFRESH = 5 * 60 * 1000;
+
+        let posInput = '';
+        let posTipPercent = 0;
+        let posRates = null;
+        let posRatesInterval = null;
+        let posSale = null;
+        let posPollTimeout = null;
+        let posResetTimeout = null;
+
+        function getPosStore() {
+            return dashboardData?.stores?.find(s => s.id === currentStoreId) || null;
+        }
+
+        function isPosActive() {
+            return document.getElementById('view-pos').classList.contains('active');
+        }
+
+        // Called when the POS view is shown
+        function enterPos() {
+            const store = getPosStore();
+            if (!store) {
+                showToast('Please select a store first', 'error');
+                return;
+            }
+
+            setupPosCurrencies(store);
+            loadPosRates();
+            if (!posRatesInterval) {
+                posRatesInterval = setInterval(loadPosRates, POS_RATES_REFRESH);
+            }
+
+            // Resume a sale left running when switching views
+            if (posSale && !posSale.paid) {
+                pollPosSale();
+            } else {
+                updatePosDisplay();
+            }
+        }
+
+        // Called when another view is shown (sale is kept, polling stops)
+        function leavePos() {
+            if (posRatesInterval) {
+                clearInterval(posRatesInterval);
+                posRatesInterval = null;
+            }
+            if (posPollTimeout) {
+                clearTimeout(posPollTimeout);
+                posPollTimeout = null;
+            }
+        }
+
+        function setupPosCurrencies(store) {
+            const select = document.getElementById('pos-currency');
+            const mintUnit = (store.mint_unit || 'sat').toLowerCase();
+            const currencies = [...new Set([mintUnit, 'sat', ...POS_FIAT_CURRENCIES])];
+            const saved = localStorage.getItem('posCurrency_' + store.id);
+
+            select.innerHTML = currencies
+                .map(c => `<option value="${c}">${c.toUpperCase()}</option>`)
+                .join('');
+            select.value = currencies.includes(saved) ? saved : mintUnit;
+        }
+
+        function getPosCurrency() {
+            return document.getElementById('pos-currency').value || 'sat';
+        }
+
+        function onPosCurrencyChange() {
+            const store = getPosStore();
+            if (store) {
+                localStorage.setItem('posCurrency_' + store.id, getPosCurrency());
+            }
+            posInput = '';
+            loadPosRates();
+            updatePosDisplay();
+        }
+
+        async function loadPosRates() {
+            const store = getPosStore();
+            if (!store) return;
+
+            try {
+                const response = await fetch(adminUrl + '?api=pos_rates&store_id=' + encodeURIComponent(store.id) +
+                    '&currency=' + encodeURIComponent(getPosCurrency()));
+                if (!response.ok) throw new Error('Failed to load rates');
+                posRates = await response.json();
+            } catch (e) {
+                console.error('Failed to load POS rates:', e);
+                posRates = null;
+            }
+            updatePosDisplay();
+        }
+
+        // Convert an amount (smallest unit) between units through BTC, like ExchangeRates::convertToMintUnit
+        function convertPosAmount(amount, from, to) {
+            if (from === to) return amount;
+
+            const price = (unit) => posRates?.prices?.[unit] || null;
+
+            let btc;
+            if (from === 'sat') btc = amount / 1e8;
+            else if (from === 'msat') btc = amount / 1e11;
+            else if (price(from)) btc = amount / 100 / price(from);
+            else return null;
+
+            if (to === 'sat') return Math.round(btc * 1e8);
+            if (to === 'msat') return Math.round(btc * 1e11);
+            if (price(to)) return Math.round(btc * price(to) * 100);
+            return null;
+        }
+
+        function getPosTotals() {
+            const subtotal = parseAmount(posInput, getPosCurrency());
+            const tip = Math.round(subtotal * posTipPercent / 100);
+            return { subtotal, tip, total: subtotal + tip };
+        }
+
+        function handlePosKey(key) {
+            const currency = getPosCurrency();
+            const [whole, decimals] = posInput.split('.');
+
+            if (key === 'back') {
+                posInput = posInput.slice(0, -1);
+            } else if (key === '.') {
+                if (!isFiatUnit(currency) || decimals !== undefined) return;
+                posInput = (posInput || '0') + '.';
+            } else {
+                if (decimals !== undefined && decimals.length >= 2) return;
+                if (decimals === undefined && whole.length >= POS_MAX_DIGITS) return;
+                posInput = posInput === '0' ? key : posInput + key;
+            }
+
+            updatePosDisplay();
+        }
+
+        function handlePosTip(percent) {
+            posTipPercent = percent;
+            document.querySelectorAll('.pos-tip').forEach(btn => {
+                btn.classList.toggle('active', parseFloat(btn.dataset.tip) === percent);
+            });
+            updatePosDisplay();
+        }
+
+        function updatePosDisplay() {
+            const store = getPosStore();
+            const currency = getPosCurrency();
+            const mintUnit = (store?.mint_unit || 'sat').toLowerCase();
+            const { subtotal, tip, total } = getPosTotals();
+
+            document.getElementById('pos-amount').textContent = (posInput || '0') + ' ' + currency.toUpperCase();
+            document.getElementById('pos-key-decimal').disabled = !isFiatUnit(currency);
+
+            // Live conversion to the mint unit (or to sats for fiat mints)
+            const target = currency !== mintUnit ? mintUnit : (isFiatUnit(mintUnit) ? 'sat' : null);
+            let conversion = '';
+            if (target && total > 0) {
+                const converted = convertPosAmount(total, currency, target);
+                if (converted === null) {
+                    conversion = 'Exchange rate unavailable';
+                } else {
+                    // The store's exchange fee applies when converting into the mint unit
+                    const fee = target === mintUnit ? 1 + (posRates?.exchangeFeePercent || 0) / 100 : 1;
+                    conversion = '≈ ' + formatAmount(Math.round(converted * fee), target) + ' ' + target.toUpperCase() +
+                        (posRates?.stale ? ' (rate may be outdated)' : '');
+                }
+            }
+            document.getElementById('pos-conversion').textContent = conversion;
+
+            document.getElementById('pos-total').textContent = tip > 0
+                ? `${formatAmount(subtotal, currency)} + ${formatAmount(tip, currency)} tip = ${formatAmount(total, currency)} ${currency.toUpperCase()}`
+                : '';
+
+            const chargeBtn = document.getElementById('btn-pos-charge');
+            chargeBtn.disabled = total <= 0 || !store?.isConfigured;
+            chargeBtn.textContent = total > 0 ? `Charge ${formatAmount(total, currency)} ${currency.toUpperCase()}` : 'Charge';
+        }
+
+        async function handlePosCharge() {
+            const store = getPosStore();
+            const currency = getPosCurrency();
+            const { subtotal, tip, total } = getPosTotals();
+
+            if (!store) {
+                showToast('Please select a store first', 'error');
+                return;
+            }
+            if (total <= 0) return;
+
+            const toMain = (amount) => isFiatUnit(currency) ? amount / 100 : amount;
+            const memo = document.getElementById('pos-memo').value.trim();
+
+            const chargeBtn = document.getElementById('btn-pos-charge');
+            chargeBtn.disabled = true;
+            chargeBtn.textContent = 'Creating invoice...';
+
+            try {
+                const invoice = await createStoreInvoice(store, {
+                    amount: toMain(total),
+                    currency: currency,
+                    metadata: {
+                        itemDesc: memo || 'Point of sale',
+                        posData: {
+                            subtotal: toMain(subtotal),
+                            tip: toMain(tip),
+                            tipPercent: posTipPercent
+                        }
+                    }
+                });
+
+                posSale = { storeId: store.id, invoice, total, currency };
+                showPosSale();
+                pollPosSale();
+            } catch (e) {
+                console.error('POS invoice creation failed:', e);
+                showToast(e.message || 'Failed to create invoice', 'error');
+                updatePosDisplay();
+            }
+        }
+
+        function showPosSale() {
+            const { invoice, total, currency } = posSale;
+
+            document.getElementById('pos-entry').style.display = 'none';
+            document.getElementById('pos-sale').style.display = 'block';
+            document.getElementById('pos-sale-pending').style.display = 'block';
+            document.getElementById('pos-sale-paid').style.display = 'none';
+
+            document.getElementById('pos-sale-amount').textContent = formatAmount(total, currency) + ' ' + currency.toUpperCase();
+            document.getElementById('pos-sale-conversion').textContent =
+                invoice.mintUnit && invoice.mintUnit.toLowerCase() !== currency
+                    ? formatAmount(invoice.amountInMintUnit, invoice.mintUnit) + ' ' + invoice.mintUnit.toUpperCase()
+                    : '';
+
+            setPosStatus('Waiting for payment...');
+            document.getElementById('btn-pos-cancel').textContent = 'Cancel Sale';
+
+            const qrContainer = document.getElementById('pos-qr');
+            qrContainer.innerHTML = '';
+            const lightning = invoice.checkout?.paymentMethods?.['BTC-LightningNetwork'];
+            if (lightning) {
+                const size = Math.min(280, window.innerWidth - 80);
+                const canvas = document.createElement('canvas');
+                QRCode.create(lightning.paymentLink.toUpperCase(), { level: 'L' })
+                    .drawCanvas(canvas, Math.round(size * (window.devicePixelRatio || 1)));
+                canvas.style.width = size + 'px';
+                canvas.style.height = size + 'px';
+                qrContainer.appendChild(canvas);
+            }
+        }
+
+        function setPosStatus(text, className = '') {
+            const status = document.getElementById('pos-status');
+            status.textContent = text;
+            status.className = 'pos-status' + (className ? ' ' + className : '');
+        }
+
+        async function pollPosSale() {
+            if (posPollTimeout) {
+                clearTimeout(posPollTimeout);
+                posPollTimeout = null;
+            }
+            if (!posSale || !isPosActive()) return;
+
+            const sale = posSale;
+            const store = dashboardData?.stores?.find(s => s.id === sale.storeId);
+            let delay = POS_POLL_INTERVAL;
+
+            try {
+                const response = await fetch(API_BASE_URL + '/api/v1/stores/' + encodeURIComponent(sale.storeId) +
+                    '/invoices/' + encodeURIComponent(sale.invoice.id), {
+                    headers: { 'Authorization': 'token ' + store?.internalApiKey }
                 });
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const invoice = await response.json();
+
+                // Sale was cancelled or replaced while the request was in flight
+                if (posSale !== sale) return;
+
+                if (invoice.status === 'Settled') {
+                    showPosPaid();
+                    return;
+                }
+                if (invoice.status === 'Expired' || invoice.status === 'Invalid') {
+                    setPosStatus(invoice.status === 'Expired' ? 'Invoice expired' : 'Invoice invalid', 'expired');
+                    sale.closed = true;
+                    document.getElementById('pos-qr').innerHTML = '';
+                    document.getElementById('btn-pos-cancel').textContent = 'New Sale';
+                    return;
+                }
+                if (invoice.status === 'Processing') {
+                    setPosStatus('Payment detected, confirming...');
+                }
+            } catch (e) {
+                console.error('POS status check failed:', e);
+                delay = POS_POLL_INTERVAL * 3;
+            }
+
+            if (posSale === sale && isPosActive()) {
+                posPollTimeout = setTimeout(pollPosSale, delay);
+            }
+        }
+
+        function showPosPaid() {
+            document.getElementById('pos-sale-pending').style.display = 'none';
+            document.getElementById('pos-sale-paid').style.display = 'block';
+            document.getElementById('pos-qr').innerHTML = '';
+
+            posSale.paid = true;
+            clearTimeout(posResetTimeout);
+            posResetTimeout = setTimeout(resetPos, POS_RESET_DELAY);
+            loadDashboard(); // Refresh balance
+        }
+
+        // Cancel the pending sale: invalidate its invoice so it can't be paid later
+        async function cancelPosSale() {
+            const sale = posSale;
+            if (!sale || sale.paid || sale.closed) {
+                resetPos();
+                return;
+            }
 
+            const cancelBtn = document.getElementById('btn-pos-cancel');
+            cancelBtn.disabled = true;
+            try {
+                const response = await postWithCsrf(adminUrl,
+                    `action=cancel_invoice&invoice_id=${encodeURIComponent(sale.invoice.id)}`);
                 const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'HTTP ' + response.status);
 
-                if (response.ok && result.checkoutLink) {
-                    // Redirect to checkout page
-                    window.location.href = result.checkoutLink;
-                } else {
-                    showToast(result.message || result.error || 'Failed to create invoice', 'error');
+                // The customer paid just before the sale was cancelled
+                if (result.status === 'Settled' && posSale === sale) {
+                    showPosPaid();
+                    return;
+                }
+                if (result.status === 'Processing' && posSale === sale) {
+                    setPosStatus('Payment detected, confirming...');
+                    showToast('Payment is already in progress, the sale cannot be cancelled', 'error');
+                    return;
                 }
+                if (posSale === sale) resetPos();
             } catch (e) {
-                console.error('Invoice creation failed:', e);
-                showToast('Failed to create invoice', 'error');
+                console.error('POS cancel failed:', e);
+                showToast('Could not cancel the invoice: ' + e.message, 'error');
+            } finally {
+                cancelBtn.disabled = false;
+            }
+        }
+
+        // Start a new sale
+        function resetPos() {
+            if (posPollTimeout) {
+                clearTimeout(posPollTimeout);
+                posPollTimeout = null;
+            }
+            if (posResetTimeout) {
+                clearTimeout(posResetTimeout);
+                posResetTimeout = null;
+            }
+
+            posSale = null;
+            posInput = '';
+            document.getElementById('pos-memo').value = '';
+            document.getElementById('pos-qr').innerHTML = '';
+            document.getElementById('pos-sale').style.display = 'none';
+            document.getElementById('pos-entry').style.display = 'block';
+            handlePosTip(0);
+        }
+
+        // Hardware keyboard support on the POS view
+        function handlePosKeydown(e) {
+            if (!isPosActive() || posSale || e.target.closest('input, select, textarea')) return;
+
+            if (/^[0-9]$/.test(e.key)) {
+                handlePosKey(e.key);
+            } else if (e.key === '.' || e.key === ',') {
+                handlePosKey('.');
+            } else if (e.key === 'Backspace') {
+                handlePosKey('back');
+            } else if (e.key === 'Enter') {
+                if (!document.getElementById('btn-pos-charge').disabled) handlePosCharge();
+            } else {
+                return;
             }
+            e.preventDefault();
         }
 
         async function saveAutoMelt() {
@@ -4331,7 +8284,26 @@ $isWp = Urls::isWordPress();
             }
         }
 
-        function savePin() {
+        async function saveNostrRelays() {
+            const relays = document.getElementById('nostr-relays').value;
+
+            try {
+                const response = await postWithCsrf(adminUrl, `action=save_nostr_relays&relays=${encodeURIComponent(relays)}`);
+                const result = await response.json();
+
+                if (response.ok && result.success) {
+                    document.getElementById('nostr-relays').value = result.relays.join('\n');
+                    document.getElementById('mint-picker').setAttribute('relays', result.relays.join(','));
+                    showToast('Relays saved!', 'success');
+                } else {
+                    showToast(result.error || 'Failed to save relays', 'error');
+                }
+            } catch (e) {
+                showToast('Failed to save relays', 'error');
+            }
+        }
+
+        async function savePin() {
             const newPin = document.getElementById('new-pin').value;
             const confirmPin = document.getElementById('confirm-pin').value;
 
@@ -4345,20 +8317,29 @@ $isWp = Urls::isWordPress();
                 return;
             }
 
-            localStorage.setItem(STORAGE_PIN, newPin);
+            if (!window.crypto?.subtle) {
+                showToast('PIN requires a secure (HTTPS) connection', 'error');
+                return;
+            }
+
+            await storePin(newPin);
             showToast('PIN saved!', 'success');
             closeModal('modal-pin-setup');
         }
 
         async function logout() {
             await postWithCsrf(adminUrl, 'action=logout');
+            navigator.serviceWorker?.controller?.postMessage({ type: 'clear-data' });
 
             localStorage.removeItem(STORAGE_AUTH);
             localStorage.removeItem(STORAGE_PIN);
+            localStorage.removeItem(STORAGE_PIN_HASH);
             location.reload();
         }
 
         function lock() {
+            if (isWordPressMode) return;
+
             document.getElementById('app').classList.remove('visible');
             document.getElementById('lock-screen').classList.remove('hidden');
             pin = '';
@@ -4366,189 +8347,226 @@ $isWp = Urls::isWordPress();
                 dot.classList.remove('filled');
             });
 
-            // Check if PIN is set
-            const storedPin = localStorage.getItem(STORAGE_PIN);
-            if (storedPin) {
-                document.getElementById('pin-pad').style.display = 'grid';
-                document.getElementById('pin-dots').style.display = 'flex';
-                document.querySelector('.lock-subtitle').textContent = 'Enter PIN to unlock';
-            }
+            document.getElementById('password-input').value = '';
+            updateLockScreenMethods(hasPin());
         }
 
         // ===============================
-        // Mint Discovery Functions
+        // Offline Mode
         // ===============================
-        let mintDiscoveryInstance = null;
-        let discoveredMints = [];
-        let discoveryCallback = null;
-        let discoveryContext = null;
+        let offlineSince = null;
+
+        // Register the service worker and watch connectivity
+        function setupOfflineMode() {
+            if ('serviceWorker' in navigator && !isWordPressMode) {
+                navigator.serviceWorker.register(<?= json_encode(Urls::serviceWorker()) ?>).then(() => navigator.serviceWorker.ready).then(registration => {
+                    // Assets of this page were loaded before the worker could cache them
+                    const urls = [...document.querySelectorAll('script[src], link[rel="manifest"]')]
+                        .map(el => el.src || el.href);
+                    registration.active?.postMessage({ type: 'cache-urls', urls });
+                }).catch(e => console.warn('Service worker registration failed:', e));
+            }
 
-        function openBackupMintDiscovery(storeId, storeName) {
-            discoveryContext = 'backup';
-            discoveryCallback = (url) => {
-                document.getElementById('backup-mint-url').value = url;
-            };
-            openMintDiscoveryModal();
+            window.addEventListener('offline', () => setOfflineState(true));
+            window.addEventListener('online', () => {
+                setOfflineState(false);
+                if (isAppUnlocked()) loadDashboard();
+            });
+            setOfflineState(!navigator.onLine);
+
+            // Anything that talks to the server is blocked while offline
+            document.addEventListener('click', (e) => {
+                if (!document.body.classList.contains('offline')) return;
+                const target = e.target.closest('.balance-btn, .btn:not([onclick^="closeModal"]):not(.offline-ok)');
+                if (target && target.closest('#app, .modal-overlay')) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    showToast('You are offline', 'error');
+                }
+            }, true);
         }
 
-        let mintDisclaimerAcknowledged = false;
-
-        function openMintDiscoveryModal() {
-            document.getElementById('mint-discovery-modal').style.display = 'flex';
-            // Reset disclaimer checkbox state when opening
-            const checkbox = document.getElementById('mint-disclaimer-checkbox');
-            if (checkbox) {
-                checkbox.checked = false;
-                mintDisclaimerAcknowledged = false;
-            }
-            // Auto-start discovery
-            startMintDiscovery();
+        // Offline if the browser says so or a response came from the service worker cache
+        function updateOfflineState(response) {
+            const cachedAt = response.headers.get('X-Offline-Cache');
+            setOfflineState(!navigator.onLine || cachedAt !== null, cachedAt ? parseInt(cachedAt, 10) : null);
         }
 
-        function onMintDisclaimerChange(checkbox) {
-            mintDisclaimerAcknowledged = checkbox.checked;
-            updateMintSelectButtons();
+        function setOfflineState(offline, cachedAt = null) {
+            if (offline && cachedAt) offlineSince = cachedAt;
+            if (!offline) offlineSince = null;
+
+            document.body.classList.toggle('offline', offline);
+            document.getElementById('offline-banner').textContent = offline
+                ? 'Offline' + (offlineSince ? ' - showing data from ' + new Date(offlineSince).toLocaleString() : '') + '. Actions that need the server are disabled.'
+                : '';
         }
 
-        function updateMintSelectButtons() {
-            const buttons = document.querySelectorAll('#mint-discovery-list button');
-            buttons.forEach(btn => {
-                btn.disabled = !mintDisclaimerAcknowledged;
-                btn.style.opacity = mintDisclaimerAcknowledged ? '1' : '0.5';
-                btn.style.cursor = mintDisclaimerAcknowledged ? 'pointer' : 'not-allowed';
+        // ===============================
+        // Invoice Notifications
+        // ===============================
+        const STORAGE_NOTIFY = 'cashupay_notify_invoices';
+        const INVOICE_WATCH_INTERVAL = 15000;
+
+        // Last seen status per invoice of the watched store
+        let invoiceWatch = { storeId: null, statuses: null };
+
+        function setupInvoiceNotifications() {
+            const toggle = document.getElementById('notify-invoices');
+            toggle.checked = localStorage.getItem(STORAGE_NOTIFY) === 'true'
+                && 'Notification' in window && Notification.permission === 'granted';
+
+            toggle.addEventListener('change', async () => {
+                if (toggle.checked) {
+                    if (!('Notification' in window)) {
+                        toggle.checked = false;
+                        showToast('Notifications are not supported in this browser', 'error');
+                        return;
+                    }
+                    if (await Notification.requestPermission() !== 'granted') {
+                        toggle.checked = false;
+                        showToast('Notification permission denied', 'error');
+                        return;
+                    }
+                }
+                localStorage.setItem(STORAGE_NOTIFY, toggle.checked ? 'true' : 'false');
+                invoiceWatch = { storeId: null, statuses: null };
             });
-        }
 
-        function closeMintDiscoveryModal() {
-            document.getElementById('mint-discovery-modal').style.display = 'none';
-            if (mintDiscoveryInstance) {
-                mintDiscoveryInstance.close();
-                mintDiscoveryInstance = null;
-            }
+            setInterval(watchInvoices, INVOICE_WATCH_INTERVAL);
         }
 
-        async function startMintDiscovery() {
-            const listEl = document.getElementById('mint-discovery-list');
-            const loadingEl = document.getElementById('mint-discovery-loading');
-            const statusEl = document.getElementById('mint-discovery-status');
-
-            loadingEl.style.display = 'block';
-            listEl.innerHTML = '';
-            statusEl.textContent = 'Connecting to Nostr relays...';
-
-            if (typeof MintDiscovery === 'undefined') {
-                statusEl.textContent = 'Error: MintDiscovery library not loaded';
-                loadingEl.style.display = 'none';
-                return;
-            }
+        // Poll the selected store's latest invoices and notify on Settled/Expired transitions
+        async function watchInvoices() {
+            if (localStorage.getItem(STORAGE_NOTIFY) !== 'true' || !isAuthenticated || !currentStoreId) return;
+            if (!navigator.onLine || !('Notification' in window) || Notification.permission !== 'granted') return;
 
+            const storeId = currentStoreId;
             try {
-                mintDiscoveryInstance = MintDiscovery.create({
-                    httpTimeout: 8000,
-                    nostrTimeout: 15000
-                });
+                const response = await fetch(`${adminUrl}?api=invoices&limit=20&store_id=${encodeURIComponent(storeId)}`);
+                if (!response.ok || response.headers.get('X-Offline-Cache') !== null) return;
+                const data = await response.json();
 
-                discoveredMints = await mintDiscoveryInstance.discover({
-                    onProgress: (progress) => {
-                        if (progress.phase === 'nostr' && progress.step === 'mint-info') {
-                            statusEl.textContent = 'Fetching mint announcements...';
-                        } else if (progress.phase === 'nostr' && progress.step === 'reviews') {
-                            statusEl.textContent = 'Fetching reviews...';
-                        } else if (progress.phase === 'http') {
-                            statusEl.textContent = 'Checking mint status...';
-                        }
+                // First poll (or store switched) only records the current state
+                const firstPoll = invoiceWatch.storeId !== storeId || invoiceWatch.statuses === null;
+                const statuses = new Map();
+                const changed = [];
+                (data.invoices || []).forEach(inv => {
+                    statuses.set(inv.id, inv.status);
+                    const previous = firstPoll ? inv.status : invoiceWatch.statuses.get(inv.id);
+                    if (previous !== inv.status && (inv.status === 'Settled' || inv.status === 'Expired')) {
+                        changed.push(inv);
                     }
                 });
+                invoiceWatch = { storeId, statuses };
 
-                loadingEl.style.display = 'none';
-                statusEl.textContent = `Found ${discoveredMints.length} mints`;
-                renderDiscoveredMints();
-            } catch (error) {
-                loadingEl.style.display = 'none';
-                statusEl.textContent = 'Error: ' + error.message;
+                for (const inv of changed) {
+                    await notifyInvoice(inv);
+                }
+                if (changed.length > 0 && isAppUnlocked() && document.getElementById('view-dashboard').classList.contains('active')) {
+                    loadDashboard();
+                }
+            } catch (e) {
+                // Connection problems show up in the offline banner
             }
         }
 
-        function getUnitsFromMintInfo(info) {
-            if (!info?.nuts?.[4]?.methods) return [];
-            return [...new Set(info.nuts[4].methods.map(m => m.unit).filter(Boolean))];
-        }
-
-        function renderDiscoveryStars(rating) {
-            if (rating === null || rating === undefined) return '---';
-            const full = Math.floor(rating);
-            let html = '<span style="color: #FFC107;">';
-            for (let i = 0; i < full; i++) html += '\u2605';
-            for (let i = full; i < 5; i++) html += '\u2606';
-            html += '</span> ' + rating.toFixed(1);
-            return html;
-        }
-
-        function filterDiscoveredMints() {
-            renderDiscoveredMints();
-        }
-
-        function renderDiscoveredMints() {
-            const listEl = document.getElementById('mint-discovery-list');
-            const filterUnit = document.getElementById('mint-discovery-unit-filter').value;
-            const searchText = document.getElementById('mint-discovery-search').value.toLowerCase().trim();
-
-            let filtered = discoveredMints.filter(m => {
-                if (filterUnit) {
-                    const units = getUnitsFromMintInfo(m.info);
-                    if (!units.includes(filterUnit)) return false;
-                }
-                if (searchText) {
-                    const name = (m.info?.name || '').toLowerCase();
-                    const url = m.url.toLowerCase();
-                    if (!name.includes(searchText) && !url.includes(searchText)) return false;
-                }
-                return true;
-            });
+        async function notifyInvoice(inv) {
+            const settled = inv.status === 'Settled';
+            const storeName = dashboardData?.stores?.find(s => s.id === inv.storeId)?.name || '';
+            const title = (settled ? 'Payment received' : 'Invoice expired') + (storeName ? ' - ' + storeName : '');
+            const options = {
+                body: `${inv.amount} ${inv.currency}` + (inv.metadata?.itemDesc ? ' · ' + inv.metadata.itemDesc : '') + ' · ' + inv.id,
+                tag: 'invoice-' + inv.id,
+                icon: <?= json_encode(Urls::images('cashupayserver-icon.png')) ?>,
+                data: { url: location.href.split('?')[0] }
+            };
 
-            if (filtered.length === 0) {
-                listEl.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">No mints found</p>';
-                return;
+            // Service worker notifications also work on mobile and when the app is in the background
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
             }
+        }
 
-            listEl.innerHTML = filtered.map(m => {
-                const name = m.info?.name || 'Unknown Mint';
-                const isOnline = !m.error && m.info;
-                const units = getUnitsFromMintInfo(m.info);
+        // ===============================
+        // Mint Discovery Functions
+        // ===============================
+        let discoveryCallback = null;
 
-                return `
-                    <div style="background: var(--card-bg); border: 1px solid var(--border); border-radius: 8px; padding: 1rem; margin-bottom: 0.75rem;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
-                            <div style="font-size: 0.9rem;">
-                                ${renderDiscoveryStars(m.averageRating)}
-                                <span style="color: var(--text-secondary); font-size: 0.8rem; margin-left: 0.25rem;">(${m.reviewsCount || 0})</span>
-                            </div>
-                            <span style="font-size: 0.8rem; color: ${isOnline ? 'var(--accent)' : 'var(--danger)'};">
-                                ${isOnline ? '\u25CF Online' : '\u25CB Offline'}
-                            </span>
-                        </div>
-                        <h4 style="margin: 0 0 0.25rem 0; font-size: 1rem;">${escapeHtml(name)}</h4>
-                        <p style="font-size: 0.8rem; color: var(--text-secondary); margin: 0 0 0.5rem 0; word-break: break-all;">${escapeHtml(m.url)}</p>
-                        <div style="font-size: 0.8rem; color: var(--text-secondary); margin-bottom: 0.75rem;">
-                            ${units.length > 0 ? units.map(u => u.toUpperCase()).join(' \u2022 ') : 'Unknown units'}
-                        </div>
-                        <button type="button" class="btn btn-full" style="font-size: 0.85rem;" onclick="selectDiscoveredMint('${escapeHtml(m.url)}')">Select</button>
-                    </div>
-                `;
-            }).join('');
+        function openBackupMintDiscovery(storeId, storeName) {
+            const store = dashboardData?.stores?.find(s => s.id === storeId);
+            discoveryCallback = (url) => {
+                document.getElementById('backup-mint-url').value = url;
+            };
+            openMintDiscoveryModal(store?.mint_unit);
+        }
 
-            const statusEl = document.getElementById('mint-discovery-status');
-            statusEl.textContent = `Showing ${filtered.length} of ${discoveredMints.length} mints`;
+        // Open the shared <cashu-mint-picker>, optionally pre-filtered to a unit
+        function openMintDiscoveryModal(unit) {
+            const picker = document.getElementById('mint-picker');
+            if (unit) {
+                picker.setAttribute('unit', unit);
+            } else {
+                picker.removeAttribute('unit');
+            }
+            document.getElementById('mint-discovery-modal').style.display = 'flex';
+            picker.reset();
+            picker.start();
+        }
 
-            // Update button states based on disclaimer checkbox
-            updateMintSelectButtons();
+        function closeMintDiscoveryModal() {
+            document.getElementById('mint-discovery-modal').style.display = 'none';
+            document.getElementById('mint-picker').stop();
         }
 
-        function selectDiscoveredMint(url) {
+        document.getElementById('mint-picker').addEventListener('mint-selected', (e) => {
             if (discoveryCallback) {
-                discoveryCallback(url);
+                discoveryCallback(e.detail.url);
             }
             closeMintDiscoveryModal();
+        });
+
+        // ===============================
+        // Mint Reviews (Nostr)
+        // ===============================
+        let reviewMintUrl = null;
+
+        function openMintReview(mintUrl) {
+            reviewMintUrl = mintUrl;
+            document.getElementById('mint-review-url').textContent = mintUrl;
+            document.getElementById('mint-review-rating').value = '5';
+            document.getElementById('mint-review-comment').value = '';
+            openModal('modal-mint-review');
+        }
+
+        async function submitMintReview() {
+            const btn = document.getElementById('btn-publish-mint-review');
+            btn.disabled = true;
+            btn.textContent = 'Waiting for signature...';
+
+            try {
+                const result = await publishMintReview({
+                    mintUrl: reviewMintUrl,
+                    rating: document.getElementById('mint-review-rating').value,
+                    comment: document.getElementById('mint-review-comment').value,
+                    relays: CashuMintPicker.parseRelays(document.getElementById('mint-picker').getAttribute('relays'))
+                });
+
+                if (result.accepted.length === 0) {
+                    showToast('No relay accepted the review', 'error');
+                } else {
+                    showToast(`Review published to ${result.accepted.length} relays`, 'success');
+                    closeModal('modal-mint-review');
+                }
+            } catch (e) {
+                showToast(e.message || 'Failed to publish review', 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Publish Review';
+            }
         }
 
         async function showStoreDetails(storeId, storeName) {
@@ -4593,6 +8611,11 @@ $isWp = Urls::isWordPress();
                             <span style="color: var(--text-secondary); font-size: 0.85rem;">Unit:</span>
                             <span style="font-weight: 500; margin-left: 0.5rem;">${mintUnit}</span>
                         </div>
+                        ${store?.mint_url ? `
+                            <button class="btn btn-secondary btn-full" style="margin-top: 0.75rem; font-size: 0.85rem;" id="btn-review-store-mint" data-mint-url="${escapeHtml(store.mint_url)}">
+                                Review this mint on Nostr
+                            </button>
+                        ` : ''}
                     </div>
 
                     <!-- Backup Mints -->
@@ -4669,6 +8692,9 @@ $isWp = Urls::isWordPress();
             `;
 
             document.getElementById('store-modal-content').innerHTML = content;
+            document.getElementById('btn-review-store-mint')?.addEventListener('click', (e) => {
+                openMintReview(e.currentTarget.dataset.mintUrl);
+            });
             openModal('modal-store');
         }
 
@@ -4714,32 +8740,121 @@ $isWp = Urls::isWordPress();
         }
 
         function createApiKey(storeId) {
-            document.getElementById('modal-apikey-title').textContent = 'Create API Key';
+            openApiKeyEditor(storeId, null);
+        }
+
+        function editApiKey(keyId) {
+            const key = storeApiKeys.find(k => k.id === keyId);
+            if (key) openApiKeyEditor(currentStoreId, key);
+        }
+
+        // Scopes of new keys: what e-commerce plugins need
+        const DEFAULT_API_KEY_PERMISSIONS = [
+            'btcpay.store.cancreateinvoice',
+            'btcpay.store.canviewinvoices',
+            'btcpay.store.webhooks.canmodifywebhooks'
+        ];
+
+        function openApiKeyEditor(storeId, key) {
+            const permissions = key ? key.permissions : DEFAULT_API_KEY_PERMISSIONS;
+            const fullAccess = permissions.includes('*');
+            const expiry = key?.expiresAt ? new Date(key.expiresAt * 1000) : null;
+            const pad = n => String(n).padStart(2, '0');
+
+            document.getElementById('modal-apikey-title').textContent = key ? 'Edit API Key' : 'Create API Key';
             document.getElementById('modal-apikey-content').innerHTML = `
                 <div class="form-group">
                     <label class="form-label">Label (optional)</label>
-                    <input type="text" class="form-input" id="apikey-label" placeholder="My API Key">
+                    <input type="text" class="form-input" id="apikey-label" placeholder="My API Key" maxlength="60">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Permissions</label>
+                    <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
+                        <input type="checkbox" id="apikey-full-access" ${fullAccess ? 'checked' : ''} onchange="updateApiKeyPermissionInputs()">
+                        <span>Full access (all stores, create and delete stores)</span>
+                    </label>
+                    <div id="apikey-permissions" style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem 1rem;">
+                        ${Object.entries(apiKeyPermissions).map(([permission, description]) => `
+                            <label style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem;">
+                                <input type="checkbox" value="${permission}" ${permissions.includes(permission) ? 'checked' : ''}>
+                                <span>${escapeHtml(description)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="form-help">Modify store settings includes every other store permission; modify invoices includes viewing and creating them.</p>
                 </div>
-                <button class="btn btn-full" onclick="submitCreateApiKey('${storeId}')">Create Key</button>
+                <div class="form-group">
+                    <label class="form-label">Expires (optional)</label>
+                    <input type="date" class="form-input" id="apikey-expires"
+                           value="${expiry ? `${expiry.getFullYear()}-${pad(expiry.getMonth() + 1)}-${pad(expiry.getDate())}` : ''}">
+                    <p class="form-help">The key stops working at the end of this day.</p>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Allowed IP addresses (optional)</label>
+                    <textarea class="form-input" id="apikey-ips" rows="2" placeholder="203.0.113.5&#10;2001:db8::/32"></textarea>
+                    <p class="form-help">One address or CIDR range per line. Empty allows any address.</p>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Allowed origins (optional)</label>
+                    <textarea class="form-input" id="apikey-origins" rows="2" placeholder="https://shop.example.com"></textarea>
+                    <p class="form-help">For keys used from a browser. When set, requests without a matching Origin header are rejected.</p>
+                </div>
+                <button class="btn btn-full" id="btn-save-api-key" onclick="submitApiKey('${storeId}', ${key ? `'${key.id}'` : 'null'})">${key ? 'Save' : 'Create Key'}</button>
                 <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-apikey')">Cancel</button>
             `;
+            document.getElementById('apikey-label').value = key?.label || '';
+            document.getElementById('apikey-ips').value = (key?.allowedIps || []).join('\n');
+            document.getElementById('apikey-origins').value = (key?.allowedOrigins || []).join('\n');
+            updateApiKeyPermissionInputs();
             openModal('modal-apikey');
             document.getElementById('apikey-label').focus();
         }
 
-        async function submitCreateApiKey(storeId) {
-            const label = document.getElementById('apikey-label').value || 'API Key';
+        function updateApiKeyPermissionInputs() {
+            const full = document.getElementById('apikey-full-access').checked;
+            document.querySelectorAll('#apikey-permissions input').forEach(input => {
+                input.disabled = full;
+            });
+            document.getElementById('apikey-permissions').style.opacity = full ? '0.5' : '1';
+        }
 
-            const response = await postWithCsrf(adminUrl,
-                `action=create_api_key&store_id=${storeId}&label=${encodeURIComponent(label)}`
-            );
+        async function submitApiKey(storeId, keyId) {
+            const full = document.getElementById('apikey-full-access').checked;
+            const permissions = full ? ['*'] : [...document.querySelectorAll('#apikey-permissions input:checked')].map(input => input.value);
+            const expires = document.getElementById('apikey-expires').value;
 
-            const result = await response.json();
+            if (permissions.length === 0) {
+                showToast('Select at least one permission', 'error');
+                return;
+            }
 
-            if (response.ok) {
-                showApiKeyResult(result.key, storeId);
-            } else {
-                showToast(result.error || 'Failed to create API key', 'error');
+            const btn = document.getElementById('btn-save-api-key');
+            btn.disabled = true;
+            try {
+                const params = new URLSearchParams({
+                    action: keyId ? 'update_api_key' : 'create_api_key',
+                    store_id: storeId,
+                    key_id: keyId || '',
+                    label: document.getElementById('apikey-label').value || 'API Key',
+                    permissions: JSON.stringify(permissions),
+                    expires_at: expires ? Math.floor(new Date(expires + 'T23:59:59').getTime() / 1000) : '',
+                    allowed_ips: document.getElementById('apikey-ips').value,
+                    allowed_origins: document.getElementById('apikey-origins').value
+                });
+                const response = await postWithCsrf(adminUrl, params.toString());
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to save API key');
+
+                if (keyId) {
+                    closeModal('modal-apikey');
+                    showToast('API key saved', 'success');
+                    loadStoreApiKeys();
+                } else {
+                    showApiKeyResult(result.key, storeId);
+                }
+            } catch (e) {
+                showToast(e.message, 'error');
+                btn.disabled = false;
             }
         }
 
@@ -4788,6 +8903,527 @@ $isWp = Urls::isWordPress();
             loadStoreApiKeys();
         }
 
+        // ===============================
+        // Webhooks
+        // ===============================
+        let storeWebhooks = [];
+        let webhookEvents = [];
+
+        async function loadStoreWebhooks() {
+            const container = document.getElementById('store-webhooks');
+            if (!currentStoreId) {
+                container.innerHTML = '<div class="empty-state"><p>No store selected</p></div>';
+                return;
+            }
+
+            try {
+                const response = await fetch(`${adminUrl}?api=webhooks&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load webhooks');
+                storeWebhooks = data.webhooks;
+                webhookEvents = data.events;
+
+                if (storeWebhooks.length === 0) {
+                    container.innerHTML = `
+                        <div class="empty-state">
+                            <div class="empty-state-icon">🔗</div>
+                            <p>No webhooks yet</p>
+                        </div>
+                    `;
+                    return;
+                }
+
+                container.innerHTML = storeWebhooks.map(hook => {
+                    const last = hook.lastDelivery;
+                    const lastOk = last && last.statusCode >= 200 && last.statusCode < 300;
+                    const lastText = !last ? 'No deliveries yet'
+                        : (lastOk ? 'Last delivery OK' : `Last delivery failed (${last.statusCode ? 'HTTP ' + last.statusCode : 'no response'})`)
+                          + ' · ' + new Date(last.time * 1000).toLocaleString();
+                    const iconBg = !hook.enabled || !last ? 'rgba(255, 255, 255, 0.1)'
+                        : (lastOk ? 'rgba(72, 187, 120, 0.2)' : 'rgba(229, 62, 62, 0.2)');
+
+                    return `
+                        <div class="list-item">
+                            <div class="list-icon" style="background: ${iconBg};">🔗</div>
+                            <div class="list-content">
+                                <div class="list-title" style="word-break: break-all;">${escapeHtml(hook.url)}</div>
+                                <div class="list-subtitle">
+                                    ${hook.enabled ? '' : 'Disabled · '}${hook.events.length ? escapeHtml(hook.events.join(', ')) : 'All events'}<br>
+                                    ${lastText}
+                                </div>
+                            </div>
+                            <div style="display: flex; flex-direction: column; gap: 0.25rem;">
+                                <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="openWebhookLog('${hook.id}')">Log</button>
+                                <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="openWebhookEditor('${hook.id}')">Edit</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            } catch (e) {
+                container.innerHTML = '<div class="empty-state"><p>Failed to load webhooks</p></div>';
+            }
+        }
+
+        function openWebhookEditor(webhookId) {
+            const hook = storeWebhooks.find(h => h.id === webhookId) || null;
+            const allEvents = !hook || hook.events.length === 0;
+
+            document.getElementById('modal-webhook-title').textContent = hook ? 'Edit Webhook' : 'New Webhook';
+            document.getElementById('modal-webhook-content').innerHTML = `
+                <div class="form-group">
+                    <label class="form-label">Payload URL</label>
+                    <input type="url" class="form-input" id="webhook-url" placeholder="https://shop.example.com/btcpay-webhook">
+                </div>
+                <div class="form-group">
+                    <div class="toggle-container">
+                        <span>Enabled</span>
+                        <label class="toggle">
+                            <input type="checkbox" id="webhook-enabled" ${!hook || hook.enabled ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
+                        </label>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Events</label>
+                    <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
+                        <input type="checkbox" id="webhook-all-events" ${allEvents ? 'checked' : ''} onchange="updateWebhookEventInputs()">
+                        <span>Send me everything</span>
+                    </label>
+                    <div id="webhook-events" style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem 1rem;">
+                        ${webhookEvents.map(event => `
+                            <label style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem;">
+                                <input type="checkbox" value="${event}" ${hook && hook.events.includes(event) ? 'checked' : ''}>
+                                <span>${event}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <button class="btn btn-full" id="btn-save-webhook" onclick="saveWebhook(${hook ? `'${hook.id}'` : 'null'})">${hook ? 'Save' : 'Create Webhook'}</button>
+                ${hook ? `
+                    <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                        <button class="btn btn-secondary" style="flex: 1;" onclick="rotateWebhookSecret('${hook.id}')">Rotate Secret</button>
+                        <button class="btn btn-danger" style="flex: 1;" onclick="deleteWebhook('${hook.id}')">Delete</button>
+                    </div>
+                ` : ''}
+                <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-webhook')">Cancel</button>
+            `;
+            document.getElementById('webhook-url').value = hook?.url || '';
+            updateWebhookEventInputs();
+            openModal('modal-webhook');
+        }
+
+        function updateWebhookEventInputs() {
+            const all = document.getElementById('webhook-all-events').checked;
+            document.querySelectorAll('#webhook-events input').forEach(input => {
+                input.disabled = all;
+            });
+            document.getElementById('webhook-events').style.opacity = all ? '0.5' : '1';
+        }
+
+        async function saveWebhook(webhookId) {
+            const url = document.getElementById('webhook-url').value.trim();
+            const all = document.getElementById('webhook-all-events').checked;
+            const events = all ? [] : [...document.querySelectorAll('#webhook-events input:checked')].map(input => input.value);
+
+            if (!url) {
+                showToast('Enter the payload URL', 'error');
+                return;
+            }
+            if (!all && events.length === 0) {
+                showToast('Select at least one event', 'error');
+                return;
+            }
+
+            const btn = document.getElementById('btn-save-webhook');
+            btn.disabled = true;
+            try {
+                const params = new URLSearchParams({
+                    action: 'save_webhook',
+                    store_id: currentStoreId,
+                    webhook_id: webhookId || '',
+                    url,
+                    events: JSON.stringify(events),
+                    enabled: document.getElementById('webhook-enabled').checked ? '1' : '0'
+                });
+                const response = await postWithCsrf(adminUrl, params.toString());
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to save webhook');
+
+                loadStoreWebhooks();
+                if (result.secret) {
+                    showWebhookSecret(result.secret, 'Webhook created. Configure this secret in your shop to verify the BTCPay-Sig header - it won\'t be shown again!');
+                } else {
+                    closeModal('modal-webhook');
+                    showToast('Webhook saved', 'success');
+                }
+            } catch (e) {
+                showToast(e.message, 'error');
+            } finally {
+                btn.disabled = false;
+            }
+        }
+
+        function showWebhookSecret(secret, message) {
+            document.getElementById('modal-webhook-title').textContent = 'Webhook Secret';
+            document.getElementById('modal-webhook-content').innerHTML = `
+                <p style="color: var(--text-secondary); margin-bottom: 1rem;">${message}</p>
+                <div class="token-display" style="user-select: all; cursor: text;">${escapeHtml(secret)}</div>
+                <button class="btn btn-full" onclick="copyWebhookSecret('${escapeHtml(secret)}')">Copy to Clipboard</button>
+                <button class="btn btn-secondary btn-full" style="margin-top: 0.5rem;" onclick="closeModal('modal-webhook')">Close</button>
+            `;
+        }
+
+        function copyWebhookSecret(secret) {
+            navigator.clipboard.writeText(secret).then(() => {
+                showToast('Secret copied to clipboard', 'success');
+            }).catch(() => {
+                showToast('Failed to copy', 'error');
+            });
+        }
+
+        async function rotateWebhookSecret(webhookId) {
+            if (!confirm('Generate a new secret? Deliveries will be signed with the new secret immediately, so update your shop right away.')) return;
+
+            const response = await postWithCsrf(adminUrl, `action=rotate_webhook_secret&webhook_id=${encodeURIComponent(webhookId)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                showToast(result.error || 'Failed to rotate secret', 'error');
+                return;
+            }
+            showWebhookSecret(result.secret, 'New secret generated. The old secret no longer works - it won\'t be shown again!');
+        }
+
+        async function deleteWebhook(webhookId) {
+            if (!confirm('Delete this webhook and its delivery log?')) return;
+
+            await postWithCsrf(adminUrl, `action=delete_webhook&webhook_id=${encodeURIComponent(webhookId)}`);
+            closeModal('modal-webhook');
+            loadStoreWebhooks();
+        }
+
+        async function openWebhookLog(webhookId) {
+            const hook = storeWebhooks.find(h => h.id === webhookId);
+            document.getElementById('modal-webhook-title').textContent = 'Webhook Deliveries';
+            document.getElementById('modal-webhook-content').innerHTML = `
+                <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem; word-break: break-all;">${escapeHtml(hook?.url || '')}</p>
+                <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+                    <select class="form-input" id="webhook-test-event" style="flex: 1;">
+                        ${webhookEvents.map(event => `<option value="${event}" ${event === 'InvoiceSettled' ? 'selected' : ''}>${event}</option>`).join('')}
+                    </select>
+                    <button class="btn" id="btn-webhook-test" onclick="sendWebhookTest('${webhookId}')">Send Test</button>
+                </div>
+                <div id="webhook-deliveries">
+                    <div class="loading"><div class="spinner"></div></div>
+                </div>
+                <button class="btn btn-secondary btn-full" style="margin-top: 1rem;" onclick="closeModal('modal-webhook')">Close</button>
+            `;
+            openModal('modal-webhook');
+            loadWebhookDeliveries(webhookId);
+        }
+
+        async function loadWebhookDeliveries(webhookId) {
+            const container = document.getElementById('webhook-deliveries');
+            try {
+                const response = await fetch(`${adminUrl}?api=webhook_deliveries&webhook_id=${encodeURIComponent(webhookId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load deliveries');
+
+                if (data.deliveries.length === 0) {
+                    container.innerHTML = '<div class="empty-state"><p>No deliveries yet</p></div>';
+                    return;
+                }
+
+                container.innerHTML = data.deliveries.map(delivery => {
+                    let request = delivery.request;
+                    try {
+                        request = JSON.stringify(JSON.parse(delivery.request), null, 2);
+                    } catch (e) {
+                        // Show as stored
+                    }
+                    const tags = [delivery.isTest ? 'test' : '', delivery.isRedelivery ? 'redelivery' : ''].filter(Boolean).join(', ');
+
+                    return `
+                        <details class="webhook-delivery">
+                            <summary>
+                                <span class="webhook-status ${delivery.success ? 'success' : ''}">${delivery.statusCode || 'ERR'}</span>
+                                <span style="flex: 1;">${escapeHtml(delivery.eventType)}${tags ? ` <span style="color: var(--text-muted);">(${tags})</span>` : ''}</span>
+                                <span style="color: var(--text-secondary); font-size: 0.75rem;">${new Date(delivery.createdAt * 1000).toLocaleString()}</span>
+                            </summary>
+                            <div style="margin-top: 0.5rem;">
+                                <div class="form-label">Request</div>
+                                <pre class="webhook-payload">${escapeHtml(request)}</pre>
+                                <div class="form-label">Response${delivery.statusCode ? ' (HTTP ' + delivery.statusCode + ')' : ''}</div>
+                                <pre class="webhook-payload">${escapeHtml(delivery.response || '(empty)')}</pre>
+                                ${delivery.success ? '' : `<button class="btn btn-secondary" style="padding: 0.25rem 0.75rem; font-size: 0.8rem;" onclick="redeliverWebhook('${delivery.id}', '${webhookId}', this)">Redeliver</button>`}
+                            </div>
+                        </details>
+                    `;
+                }).join('');
+            } catch (e) {
+                container.innerHTML = `<div class="empty-state"><p>${escapeHtml(e.message)}</p></div>`;
+            }
+        }
+
+        async function sendWebhookTest(webhookId) {
+            const btn = document.getElementById('btn-webhook-test');
+            btn.disabled = true;
+            try {
+                const event = document.getElementById('webhook-test-event').value;
+                const response = await postWithCsrf(adminUrl,
+                    `action=test_webhook&webhook_id=${encodeURIComponent(webhookId)}&event=${encodeURIComponent(event)}`
+                );
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to send test event');
+
+                const delivery = result.delivery;
+                showToast(delivery.success ? 'Test event delivered' : `Test event failed (${delivery.statusCode ? 'HTTP ' + delivery.statusCode : 'no response'})`,
+                    delivery.success ? 'success' : 'error');
+                loadWebhookDeliveries(webhookId);
+                loadStoreWebhooks();
+            } catch (e) {
+                showToast(e.message, 'error');
+            } finally {
+                btn.disabled = false;
+            }
+        }
+
+        async function redeliverWebhook(deliveryId, webhookId, btn) {
+            btn.disabled = true;
+            try {
+                const response = await postWithCsrf(adminUrl, `action=redeliver_webhook&delivery_id=${encodeURIComponent(deliveryId)}`);
+                const result = await response.json();
+                showToast(result.success ? 'Redelivered' : 'Redelivery failed - see the log', result.success ? 'success' : 'error');
+                loadWebhookDeliveries(webhookId);
+                loadStoreWebhooks();
+            } catch (e) {
+                showToast('Redelivery failed', 'error');
+                btn.disabled = false;
+            }
+        }
+
+        // Checkout branding: form state, live preview and save
+        let brandingThemes = {};
+        let brandingMaxLogoBytes = 0;
+        let brandingLogo = null;
+
+        async function loadBranding() {
+            try {
+                const response = await fetch(`${adminUrl}?api=branding&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load branding');
+                brandingThemes = data.themes;
+                brandingMaxLogoBytes = data.maxLogoBytes;
+
+                const b = data.branding;
+                brandingLogo = b.logo;
+                document.getElementById('branding-logo-file').value = '';
+                document.getElementById('branding-logo-url').value = b.logo && !b.logo.startsWith('data:') ? b.logo : '';
+                document.getElementById('branding-accent').value = b.accentColor;
+                document.getElementById('branding-theme').value = b.theme;
+                document.getElementById('branding-footer').value = b.footerText || '';
+                document.getElementById('branding-support').value = (b.supportUrl || '').replace(/^mailto:/, '');
+
+                const languageSelect = document.getElementById('branding-language');
+                languageSelect.innerHTML = '<option value="">Browser language (English fallback)</option>'
+                    + Object.entries(data.languages).map(([code, name]) =>
+                        `<option value="${code}">${escapeHtml(name)}</option>`).join('');
+                languageSelect.value = b.defaultLanguage || '';
+
+                updateBrandingPreview();
+            } catch (e) {
+                console.error(e);
+                showToast('Failed to load checkout branding', 'error');
+            }
+        }
+
+        function readBrandingLogo(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+            if (file.size > brandingMaxLogoBytes) {
+                showToast(`Logo is too large (max ${Math.floor(brandingMaxLogoBytes / 1000)} KB)`, 'error');
+                e.target.value = '';
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                brandingLogo = reader.result;
+                document.getElementById('branding-logo-url').value = '';
+                updateBrandingPreview();
+            };
+            reader.readAsDataURL(file);
+        }
+
+        // Same variables as Branding::cssVariables()
+        function brandingCssVariables(accent, theme) {
+            const [r, g, b] = [1, 3, 5].map(i => parseInt(accent.slice(i, i + 2), 16));
+            const hex = v => Math.floor(v * 0.9).toString(16).padStart(2, '0');
+            return {
+                ...(brandingThemes[theme] || brandingThemes.dark),
+                'accent': accent,
+                'accent-hover': `#${hex(r)}${hex(g)}${hex(b)}`,
+                'accent-soft': `rgba(${r}, ${g}, ${b}, 0.2)`,
+                'accent-text': (0.299 * r + 0.587 * g + 0.114 * b) > 170 ? '#1a1a2e' : '#ffffff'
+            };
+        }
+
+        function updateBrandingPreview() {
+            const preview = document.getElementById('branding-preview');
+            const vars = brandingCssVariables(
+                document.getElementById('branding-accent').value,
+                document.getElementById('branding-theme').value
+            );
+            Object.entries(vars).forEach(([name, value]) => preview.style.setProperty('--' + name, value));
+
+            const logoEl = document.getElementById('branding-preview-logo');
+            logoEl.innerHTML = '';
+            if (brandingLogo) {
+                const img = document.createElement('img');
+                img.src = brandingLogo;
+                img.alt = '';
+                logoEl.appendChild(img);
+            } else {
+                logoEl.innerHTML = '&#9889;';
+            }
+
+            const footerText = document.getElementById('branding-footer').value.trim();
+            const support = document.getElementById('branding-support').value.trim();
+            document.getElementById('branding-preview-footer').innerHTML =
+                (support ? '<a>Need help? Contact support</a><br>' : '')
+                + (footerText ? escapeHtml(footerText) : 'Powered by <a>CashuPayServer</a>');
+        }
+
+        async function saveBranding() {
+            if (!currentStoreId) {
+                showToast('No store selected', 'error');
+                return;
+            }
+
+            const branding = {
+                logo: brandingLogo || '',
+                accentColor: document.getElementById('branding-accent').value,
+                theme: document.getElementById('branding-theme').value,
+                footerText: document.getElementById('branding-footer').value,
+                supportUrl: document.getElementById('branding-support').value,
+                defaultLanguage: document.getElementById('branding-language').value
+            };
+
+            try {
+                const response = await postWithCsrf(adminUrl, new URLSearchParams({
+                    action: 'save_branding',
+                    store_id: currentStoreId,
+                    branding: JSON.stringify(branding)
+                }).toString());
+                const result = await response.json();
+
+                if (response.ok) {
+                    showToast('Checkout branding saved!', 'success');
+                } else {
+                    showToast(result.error || 'Failed to save', 'error');
+                }
+            } catch (e) {
+                showToast('Failed to save checkout branding', 'error');
+            }
+        }
+
+        // ===============================
+        // Nostr Notifications
+        // ===============================
+
+        async function loadNostrNotifications() {
+            const status = document.getElementById('nostr-notify-status');
+            try {
+                const response = await fetch(`${adminUrl}?api=nostr_notifications&store_id=${encodeURIComponent(currentStoreId)}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load Nostr notifications');
+
+                const settings = data.settings;
+                document.getElementById('nostr-notify-enabled').checked = settings.enabled;
+                document.getElementById('nostr-notify-recipient').value = settings.recipient;
+                document.getElementById('nostr-notify-relays').value = settings.relays.join('\n');
+                document.getElementById('nostr-notify-protocol').value = settings.protocol;
+                document.getElementById('nostr-notify-events').innerHTML = Object.entries(data.events).map(([event, label]) => `
+                    <label style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem;">
+                        <input type="checkbox" value="${event}" ${settings.events.includes(event) ? 'checked' : ''}>
+                        <span>${escapeHtml(label)}</span>
+                    </label>
+                `).join('');
+                renderNostrNotificationStatus(settings);
+            } catch (e) {
+                status.textContent = e.message;
+            }
+        }
+
+        function renderNostrNotificationStatus(settings) {
+            const status = document.getElementById('nostr-notify-status');
+            const parts = [];
+            if (settings.senderNpub) {
+                parts.push(`Sent from ${escapeHtml(settings.senderNpub)}`);
+            }
+            if (settings.lastError) {
+                parts.push(`<span style="color: var(--error);">Last attempt failed: ${escapeHtml(settings.lastError)}</span>`);
+            } else if (settings.lastSentAt) {
+                parts.push('Last sent ' + new Date(settings.lastSentAt * 1000).toLocaleString());
+            }
+            status.innerHTML = parts.join('<br>');
+        }
+
+        async function saveNostrNotifications() {
+            if (!currentStoreId) {
+                showToast('No store selected', 'error');
+                return false;
+            }
+
+            const settings = {
+                enabled: document.getElementById('nostr-notify-enabled').checked,
+                recipient: document.getElementById('nostr-notify-recipient').value.trim(),
+                relays: document.getElementById('nostr-notify-relays').value.split(/[\s,]+/).filter(Boolean),
+                protocol: document.getElementById('nostr-notify-protocol').value,
+                events: [...document.querySelectorAll('#nostr-notify-events input:checked')].map(input => input.value)
+            };
+
+            try {
+                const response = await postWithCsrf(adminUrl, new URLSearchParams({
+                    action: 'save_nostr_notifications',
+                    store_id: currentStoreId,
+                    settings: JSON.stringify(settings)
+                }).toString());
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to save');
+
+                document.getElementById('nostr-notify-relays').value = result.settings.relays.join('\n');
+                renderNostrNotificationStatus(result.settings);
+                showToast('Nostr notifications saved', 'success');
+                return true;
+            } catch (e) {
+                showToast(e.message, 'error');
+                return false;
+            }
+        }
+
+        async function testNostrNotification() {
+            // Test what is on screen, not what was saved before
+            if (!await saveNostrNotifications()) return;
+
+            const btn = document.getElementById('btn-test-nostr-notify');
+            btn.disabled = true;
+            btn.textContent = 'Sending...';
+            try {
+                const response = await postWithCsrf(adminUrl, `action=test_nostr_notification&store_id=${encodeURIComponent(currentStoreId)}`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to send test DM');
+
+                const relays = Object.entries(result.relays);
+                const accepted = relays.filter(([, r]) => r.ok).length;
+                showToast(`Test DM accepted by ${accepted} of ${relays.length} relay${relays.length === 1 ? '' : 's'}`, 'success');
+            } catch (e) {
+                showToast(e.message, 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Send Test DM';
+                loadNostrNotifications();
+            }
+        }
+
         async function deleteStore(storeId) {
             if (!confirm('Delete this store and all its data? This action cannot be undone.')) return;
 
@@ -4860,6 +9496,7 @@ $isWp = Urls::isWordPress();
                 document.getElementById('export-result').style.display = 'none';
                 document.getElementById('export-amount').value = '';
                 document.getElementById('export-qr').innerHTML = '';
+                document.getElementById('export-token-info').innerHTML = '';
                 document.getElementById('export-donate').checked = true;
                 document.getElementById('export-donate-amount').textContent = '0';
 
@@ -4874,6 +9511,12 @@ $isWp = Urls::isWordPress();
                 exportBtn.textContent = 'Generate Token';
                 exportBtn.disabled = true; // Will be enabled by updateExportDonation() when amount entered
             }
+            if (id === 'modal-vouchers') {
+                const voucherInput = document.getElementById('voucher-amount');
+                voucherInput.step = isFiat ? '0.01' : '1';
+                voucherInput.min = isFiat ? '0.01' : '1';
+                voucherInput.placeholder = isFiat ? '0.00' : '0';
+            }
             if (id === 'modal-withdraw') {
                 document.getElementById('withdraw-address').value = '';
                 document.getElementById('withdraw-amount').value = '';
@@ -4881,13 +9524,16 @@ $isWp = Urls::isWordPress();
                 document.getElementById('btn-withdraw-max').disabled = false;
                 document.getElementById('withdraw-donate').checked = true;
                 document.getElementById('donate-amount').textContent = '0';
-                document.getElementById('withdraw-destination-help').textContent = 'Lightning address or BOLT-11 invoice';
+                document.getElementById('withdraw-destination-help').textContent = 'Lightning address, LNURL or BOLT-11 invoice';
                 document.getElementById('withdraw-destination-help').style.color = 'var(--text-secondary)';
                 document.getElementById('withdraw-max-with-donation').textContent = '';
                 document.getElementById('withdraw-amount-fiat-equiv').style.display = 'none';
+                document.getElementById('withdraw-comment').value = '';
+                setWithdrawComment(0);
                 bolt11FixedAmount = null;
                 bolt11FeeEstimate = null;
                 bolt11MeltError = false;
+                lnurlPayParams = null;
 
                 // Reset withdraw button state
                 const withdrawBtn = document.getElementById('btn-confirm-withdraw');
@@ -4935,6 +9581,20 @@ $isWp = Urls::isWordPress();
                 const mintUnit = store?.mint_unit || 'sat';
                 updateAmountInputForStore(mintUnit);
             }
+            if (id === 'modal-receive') {
+                if (!currentStoreId) {
+                    showToast('Please select a store first', 'error');
+                    return;
+                }
+
+                document.getElementById('receive-token').value = '';
+                document.getElementById('receive-token-info').innerHTML = '';
+                document.getElementById('receive-scanner').innerHTML = '';
+                document.getElementById('btn-receive-scan').style.display = 'block';
+                const receiveBtn = document.getElementById('btn-confirm-receive');
+                receiveBtn.textContent = 'Receive';
+                receiveBtn.disabled = false;
+            }
 
             document.getElementById(id).classList.add('visible');
         }
@@ -4953,6 +9613,30 @@ $isWp = Urls::isWordPress();
 
                 loadDashboard();
             }
+
+            // Release the camera when closing receive modal
+            if (id === 'modal-receive') {
+                stopReceiveScanner();
+            }
+            if (id === 'modal-withdraw') {
+                stopWithdrawScanner();
+            }
+
+            // Back to the invoice, which now lists the refund
+            if (id === 'modal-refund') {
+                if (refundCheckInterval) {
+                    clearInterval(refundCheckInterval);
+                    refundCheckInterval = null;
+                }
+                refundShown = null;
+                refundQr?.destroy();
+                refundQr = null;
+                document.getElementById('refund-qr').innerHTML = '';
+                if (invoiceDetail) {
+                    showInvoiceDetails(invoiceDetail.invoice.id);
+                    if (document.getElementById('view-invoices').classList.contains('active')) loadInvoices();
+                }
+            }
         }
 
         // Check if exported token has been claimed
@@ -19,6 +19,7 @@
 require_once __DIR__ . '/../includes/database.php';
 require_once __DIR__ . '/../includes/config.php';
 require_once __DIR__ . '/../includes/auth.php';
+require_once __DIR__ . '/../includes/api_keys.php';
 require_once __DIR__ . '/../includes/security.php';
 require_once __DIR__ . '/../includes/urls.php';
 
@@ -74,6 +75,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         // Get selected store and permissions
         $selectedStoreId = $_POST['store_id'] ?? null;
         $approvedPermissions = $_POST['approved_permissions'] ?? $permissions;
+        if (!isset($_POST['approved_permissions'])) {
+            // Payout permissions are only granted when the admin ticked them
+            $approvedPermissions = array_values(array_diff($approvedPermissions, ApiKeys::PAYOUT_PERMISSIONS));
+        }
 
         if (empty($selectedStoreId)) {
             $error = 'Please select a store';
@@ -158,6 +163,7 @@ $permissionDescriptions = [
     'btcpay.store.canviewstoresettings' => 'View store settings',
     'btcpay.store.canmodifystoresettings' => 'Modify store settings',
     'btcpay.store.cancreatenonapprovedpullpayments' => 'Create pull payments',
+    'cashupay.store.canrefundinvoices' => 'Refund invoices (pays out from your balance immediately)',
 ];
 
 /**
@@ -517,7 +523,10 @@ $baseUrl = Config::getBaseUrl();
                             <div class="permissions-title">Requested Permissions</div>
                             <?php foreach ($permissions as $perm): ?>
                                 <div class="permission-item">
-                                    <?php if (!$strict): ?>
+                                    <?php if (in_array($perm, ApiKeys::PAYOUT_PERMISSIONS, true)): ?>
+                                        <input type="checkbox" name="approved_permissions[]"
+                                               value="<?= htmlspecialchars($perm) ?>">
+                                    <?php elseif (!$strict): ?>
                                         <input type="checkbox" name="approved_permissions[]"
                                                value="<?= htmlspecialchars($perm) ?>" checked>
                                     <?php else: ?>
@@ -9,6 +9,7 @@ require_once __DIR__ . '/includes/database.php';
 require_once __DIR__ . '/includes/config.php';
 require_once __DIR__ . '/includes/auth.php';
 require_once __DIR__ . '/includes/security.php';
+require_once __DIR__ . '/includes/api_keys.php';
 
 // Set JSON content type
 header('Content-Type: application/json');
@@ -107,6 +108,8 @@ $routes = [
     'GET /stores/{storeId}/invoices' => 'handleGetInvoices',
     'GET /stores/{storeId}/invoices/{invoiceId}' => 'handleGetInvoice',
     'POST /stores/{storeId}/invoices/{invoiceId}/status' => 'handleUpdateInvoiceStatus',
+    'POST /stores/{storeId}/invoices/{invoiceId}/refund' => 'handleRefundInvoice',
+    'GET /stores/{storeId}/invoices/{invoiceId}/refunds' => 'handleGetInvoiceRefunds',
 
     // Webhooks
     'POST /stores/{storeId}/webhooks' => 'handleCreateWebhook',
@@ -116,6 +119,28 @@ $routes = [
     'DELETE /stores/{storeId}/webhooks/{webhookId}' => 'handleDeleteWebhook',
 ];
 
+// Permissions per handler: a key needs one of them (null: any valid key, '*': full-access keys only).
+// Viewing a single invoice is also allowed to keys that may create invoices, so checkouts can poll.
+$routePermissions = [
+    'handleGetStores' => null,
+    'handleCreateStore' => ['*'],
+    'handleGetStore' => ['btcpay.store.canviewstoresettings'],
+    'handleDeleteStore' => ['*'],
+
+    'handleCreateInvoice' => ['btcpay.store.cancreateinvoice'],
+    'handleGetInvoices' => ['btcpay.store.canviewinvoices'],
+    'handleGetInvoice' => ['btcpay.store.canviewinvoices', 'btcpay.store.cancreateinvoice'],
+    'handleUpdateInvoiceStatus' => ['btcpay.store.canmodifyinvoices'],
+    'handleRefundInvoice' => ['cashupay.store.canrefundinvoices'],
+    'handleGetInvoiceRefunds' => ['btcpay.store.canviewinvoices'],
+
+    'handleCreateWebhook' => ['btcpay.store.webhooks.canmodifywebhooks'],
+    'handleGetWebhooks' => ['btcpay.store.webhooks.canmodifywebhooks'],
+    'handleGetWebhook' => ['btcpay.store.webhooks.canmodifywebhooks'],
+    'handleUpdateWebhook' => ['btcpay.store.webhooks.canmodifywebhooks'],
+    'handleDeleteWebhook' => ['btcpay.store.webhooks.canmodifywebhooks'],
+];
+
 /**
  * Match route and extract parameters
  */
@@ -193,13 +218,13 @@ if ($match['handler'] === 'handleServerInfo') {
     handleServerInfo();
 }
 
-// All other endpoints require authentication
-$auth = Auth::requireApiAuth();
-
 // Call handler
 $handler = $match['handler'];
 $params = $match['params'];
 
+// All other endpoints require an API key allowed to call them
+$auth = ApiKeys::authorize($routePermissions[$handler] ?? ['*'], $params['storeId'] ?? null);
+
 if (function_exists($handler)) {
     $handler($auth, $params, getRequestBody());
 } else {
@@ -0,0 +1,439 @@
+/**
+ * NUT-16 Animated QR Code Scanner for Cashu Tokens
+ *
+ * Counterpart to AnimatedQR: reads camera frames, collects fountain-coded
+ * ur:bytes fragments until the UR decoder completes, then unwraps the CBOR
+ * text string to recover the cashuA.../cashuB... token.
+ * Plain single-frame QR codes containing a token are accepted as well.
+ * With the `extract` option it scans other single-frame payloads instead
+ * (e.g. Lightning invoices for withdrawals).
+ *
+ * Requires:
+ * - BarcodeDetector (native) or jsQR library (for QR detection)
+ * - @gandlaf21/bc-ur library (for UR decoding, only needed for animated QRs)
+ */
+class AnimatedQRScanner {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        this.options = {
+            scanInterval: options.scanInterval || 100, // ms between frame scans
+            facingMode: options.facingMode || 'environment',
+            onResult: options.onResult || null, // (tokenString) => void
+            onProgress: options.onProgress || null, // (percent, received, expected) => void
+            onError: options.onError || null, // (message) => void
+            extract: options.extract || null, // (text) => value|null, accept non-token payloads instead
+            invalidMessage: options.invalidMessage || 'Not a Cashu token - keep scanning',
+            ...options
+        };
+
+        this.decoder = null;
+        this.lastPart = null;
+        this.stream = null;
+        this.video = null;
+        this.canvas = null;
+        this.detector = null;
+        this.timeoutId = null;
+        this.running = false;
+        this.progressBar = null;
+        this.statusText = null;
+    }
+
+    /**
+     * Open the camera and start scanning
+     * @returns {Promise<boolean>} Success
+     */
+    async start() {
+        if (this.running) return true;
+
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.reportError('Camera not available in this browser');
+            return false;
+        }
+
+        if (!this.initDetector()) {
+            this.reportError('QR scanning not supported in this browser');
+            return false;
+        }
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: this.options.facingMode },
+                audio: false
+            });
+        } catch (e) {
+            console.error('[AnimatedQRScanner] Camera access failed:', e);
+            this.reportError('Camera access denied');
+            return false;
+        }
+
+        this.reset();
+        this.createUI();
+
+        this.video.srcObject = this.stream;
+        await this.video.play().catch(() => {});
+
+        this.running = true;
+        this.scheduleScan();
+        return true;
+    }
+
+    /**
+     * Stop scanning and release the camera
+     */
+    stop() {
+        this.running = false;
+
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+    }
+
+    /**
+     * Check if scanner is running
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Destroy and cleanup
+     */
+    destroy() {
+        this.stop();
+        this.container.innerHTML = '';
+        this.video = null;
+        this.canvas = null;
+        this.progressBar = null;
+        this.statusText = null;
+        this.reset();
+    }
+
+    /**
+     * Discard collected UR fragments
+     */
+    reset() {
+        this.decoder = null;
+        this.lastPart = null;
+        this.updateProgress(0);
+    }
+
+    /**
+     * Pick a QR detection backend: native BarcodeDetector, else jsQR
+     * @returns {boolean} Whether a backend is available
+     */
+    initDetector() {
+        if (this.detector) return true;
+
+        if (typeof window.BarcodeDetector !== 'undefined') {
+            try {
+                const native = new window.BarcodeDetector({ formats: ['qr_code'] });
+                this.detector = async (video) => {
+                    const codes = await native.detect(video);
+                    return codes.length > 0 ? codes[0].rawValue : null;
+                };
+                return true;
+            } catch (e) {
+                console.warn('[AnimatedQRScanner] BarcodeDetector unavailable:', e);
+            }
+        }
+
+        if (typeof window.jsQR === 'function') {
+            this.detector = async (video) => {
+                if (!this.canvas) {
+                    this.canvas = document.createElement('canvas');
+                }
+                const width = video.videoWidth;
+                const height = video.videoHeight;
+                if (!width || !height) return null;
+
+                this.canvas.width = width;
+                this.canvas.height = height;
+                const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(video, 0, 0, width, height);
+                const image = ctx.getImageData(0, 0, width, height);
+                const code = window.jsQR(image.data, width, height, { inversionAttempts: 'dontInvert' });
+                return code ? code.data : null;
+            };
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Create the UI elements for the camera view
+     */
+    createUI() {
+        // Clear container
+        this.container.innerHTML = '';
+
+        // Create wrapper
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 0.75rem; width: 100%;';
+
+        // Camera preview
+        this.video = document.createElement('video');
+        this.video.setAttribute('playsinline', '');
+        this.video.muted = true;
+        this.video.style.cssText = 'width: 100%; max-width: 320px; border-radius: 12px; background: #000;';
+        wrapper.appendChild(this.video);
+
+        // Progress bar (only meaningful for animated QRs)
+        const track = document.createElement('div');
+        track.style.cssText = 'width: 100%; max-width: 320px; height: 6px; background: rgba(255,255,255,0.1); border-radius: 3px; overflow: hidden;';
+        this.progressBar = document.createElement('div');
+        this.progressBar.style.cssText = 'width: 0%; height: 100%; background: var(--accent, #f7931a); transition: width 0.2s;';
+        track.appendChild(this.progressBar);
+        wrapper.appendChild(track);
+
+        // Status text
+        this.statusText = document.createElement('div');
+        this.statusText.style.cssText = 'font-size: 0.85rem; color: var(--text-secondary, #888); text-align: center; max-width: 320px;';
+        this.statusText.textContent = 'Point the camera at a Cashu token QR code';
+        wrapper.appendChild(this.statusText);
+
+        this.container.appendChild(wrapper);
+    }
+
+    /**
+     * Queue the next frame scan
+     */
+    scheduleScan() {
+        if (!this.running) return;
+        this.timeoutId = setTimeout(() => this.scanFrame(), this.options.scanInterval);
+    }
+
+    /**
+     * Grab the current camera frame and feed any QR content to the decoder
+     */
+    async scanFrame() {
+        if (!this.running || !this.video) return;
+
+        try {
+            if (this.video.readyState >= 2) {
+                const text = await this.detector(this.video);
+                if (text && this.processText(text)) {
+                    return; // Token complete - scanning stopped
+                }
+            }
+        } catch (e) {
+            console.error('[AnimatedQRScanner] Frame scan failed:', e);
+        }
+
+        this.scheduleScan();
+    }
+
+    /**
+     * Process the text content of one scanned QR code
+     * @param {string} text - Raw QR payload (ur:bytes/... fragment or token)
+     * @returns {boolean} True if a complete token was produced
+     */
+    processText(text) {
+        const value = text.trim();
+
+        if (this.options.extract) {
+            const result = this.options.extract(value);
+            if (result) {
+                this.finish(result);
+                return true;
+            }
+            this.setStatus(this.options.invalidMessage);
+            return false;
+        }
+
+        if (/^ur:/i.test(value)) {
+            return this.receivePart(value);
+        }
+
+        const token = AnimatedQRScanner.extractToken(value);
+        if (token) {
+            this.finish(token);
+            return true;
+        }
+
+        this.setStatus(this.options.invalidMessage);
+        return false;
+    }
+
+    /**
+     * Add a UR fragment to the fountain decoder
+     * @param {string} part - ur:bytes/... fragment
+     * @returns {boolean} True if a complete token was produced
+     */
+    receivePart(part) {
+        // Same frame seen again while the QR is still on screen
+        const normalized = part.toLowerCase();
+        if (normalized === this.lastPart) return false;
+        this.lastPart = normalized;
+
+        if (typeof window.bcur === 'undefined' || !window.bcur.URDecoder) {
+            this.reportError('bc-ur library not loaded');
+            return false;
+        }
+
+        if (!this.decoder) {
+            this.decoder = new window.bcur.URDecoder();
+        }
+
+        try {
+            this.decoder.receivePart(normalized);
+        } catch (e) {
+            console.warn('[AnimatedQRScanner] Invalid UR fragment:', e);
+            return false;
+        }
+
+        if (!this.decoder.isComplete()) {
+            const percent = Math.round(this.decoder.estimatedPercentComplete() * 100);
+            this.updateProgress(
+                percent,
+                this.decoder.receivedPartIndexes().length,
+                this.decoder.expectedPartCount()
+            );
+            return false;
+        }
+
+        if (!this.decoder.isSuccess()) {
+            console.error('[AnimatedQRScanner] UR decode failed:', this.decoder.resultError());
+            this.reset();
+            this.setStatus('Decoding failed - scanning again');
+            return false;
+        }
+
+        const ur = this.decoder.resultUR();
+        if (ur.type !== 'bytes') {
+            this.reset();
+            this.setStatus(`Unsupported UR type: ${ur.type}`);
+            return false;
+        }
+
+        try {
+            const token = AnimatedQRScanner.extractToken(AnimatedQRScanner.decodeCborString(ur.cbor));
+            if (!token) {
+                throw new Error('Decoded data is not a Cashu token');
+            }
+            this.updateProgress(100);
+            this.finish(token);
+            return true;
+        } catch (e) {
+            console.error('[AnimatedQRScanner] Failed to unwrap token:', e);
+            this.reset();
+            this.reportError(e.message);
+            return false;
+        }
+    }
+
+    /**
+     * Stop scanning and hand the token to the caller
+     */
+    finish(token) {
+        this.stop();
+        this.setStatus(this.options.extract ? 'Scanned' : 'Token scanned');
+        if (this.options.onResult) {
+            this.options.onResult(token);
+        }
+    }
+
+    /**
+     * Update progress bar and status text
+     */
+    updateProgress(percent, received = 0, expected = 0) {
+        if (this.progressBar) {
+            this.progressBar.style.width = `${percent}%`;
+        }
+        if (percent > 0 && percent < 100) {
+            this.setStatus(`Collecting frames... ${percent}% (${received}/${expected} parts)`);
+        }
+        if (this.options.onProgress) {
+            this.options.onProgress(percent, received, expected);
+        }
+    }
+
+    setStatus(message) {
+        if (this.statusText) {
+            this.statusText.textContent = message;
+        }
+    }
+
+    reportError(message) {
+        this.setStatus(message);
+        if (this.options.onError) {
+            this.options.onError(message);
+        }
+    }
+
+    /**
+     * Unwrap a CBOR text string (inverse of AnimatedQR.encode()).
+     * Byte strings are accepted too, since some wallets wrap the token that way.
+     *
+     * @param {Uint8Array} cbor - CBOR-encoded data
+     * @returns {string} Decoded string
+     */
+    static decodeCborString(cbor) {
+        const bytes = cbor instanceof Uint8Array ? cbor : new Uint8Array(cbor);
+        if (bytes.length === 0) {
+            throw new Error('Empty CBOR data');
+        }
+
+        const majorType = bytes[0] >> 5;
+        const info = bytes[0] & 0x1F;
+        if (majorType !== 3 && majorType !== 2) {
+            throw new Error('Expected CBOR text or byte string');
+        }
+
+        let length;
+        let offset;
+        if (info < 24) {
+            length = info;
+            offset = 1;
+        } else if (info === 24) {
+            length = bytes[1];
+            offset = 2;
+        } else if (info === 25) {
+            length = (bytes[1] << 8) | bytes[2];
+            offset = 3;
+        } else if (info === 26) {
+            length = ((bytes[1] << 24) >>> 0) + ((bytes[2] << 16) | (bytes[3] << 8) | bytes[4]);
+            offset = 5;
+        } else if (info === 27) {
+            length = Number(new DataView(bytes.buffer, bytes.byteOffset + 1, 8).getBigUint64(0));
+            offset = 9;
+        } else {
+            throw new Error('Unsupported CBOR string length');
+        }
+
+        if (offset + length > bytes.length) {
+            throw new Error('Truncated CBOR data');
+        }
+
+        return new TextDecoder().decode(bytes.slice(offset, offset + length));
+    }
+
+    /**
+     * Extract a Cashu token from scanned text (strips cashu: URI prefix)
+     * @param {string} text - Scanned text
+     * @returns {string|null} cashuA.../cashuB... token or null
+     */
+    static extractToken(text) {
+        const value = text.trim().replace(/^cashu:(\/\/)?/i, '');
+        return /^cashu[AB][A-Za-z0-9_\-+/=]+$/.test(value) ? value : null;
+    }
+
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimatedQRScanner;
+}
@@ -1,15 +1,19 @@
 /**
- * NUT-16 Animated QR Code Generator for Cashu Tokens
+ * NUT-16 Animated QR Code Generator
  *
  * Implements Blockchain Commons Uniform Resources (UR) encoding with fountain codes
- * for splitting large Cashu tokens into scannable QR code fragments.
+ * for splitting large payloads (Cashu tokens, NUT-18 payment requests, long
+ * BOLT11 invoices) into scannable QR code fragments.
  *
- * Format: ur:bytes/1-50/lpqzs5d...
+ * Format: UR:BYTES/1-50/LPQZS5D... (uppercase for compact alphanumeric QR codes)
  * (Uses generic ur:bytes type, not ur:cashu, as per Cashu wallet implementations)
  *
- * Requires:
- * - QRious library (for QR rendering)
- * - @gandlaf21/bc-ur library (for UR encoding)
+ * Playback can be paused, slowed down or sped up, and the fragment density
+ * changed for cameras that struggle with dense codes.
+ *
+ * Requires (both in this repository, no CDN):
+ * - qr-code.js (QR encoding and rendering)
+ * - ur-encoder.js (UR and fountain encoding)
  */
 class AnimatedQR {
     constructor(container, options = {}) {
@@ -22,84 +26,37 @@ class AnimatedQR {
             maxFragmentLen: options.maxFragmentLen || 200, // max bytes per fragment
             qrSize: options.qrSize || 280,
             errorCorrection: options.errorCorrection || 'M',
+            renderer: options.renderer || 'canvas', // 'canvas' or 'svg'
+            controls: options.controls !== false,
             ...options
         };
+        this.labels = { ...AnimatedQR.LABELS, ...(options.labels || {}) };
 
+        this.payload = null;
         this.encoder = null;
         this.currentFrame = 0;
         this.intervalId = null;
-        this.canvas = null;
-        this.frameCounter = null;
+        this.paused = false;
+        this.display = null;
+        this.pauseButton = null;
     }
 
     /**
-     * Encode token string as UR and start animation
-     * @param {string} tokenString - Complete Cashu token string (cashuA... or cashuB...)
+     * Encode a payload as UR and start animation
+     * @param {string|Uint8Array} payload - Text (CBOR text string) or bytes (CBOR byte string)
      * @returns {boolean} Success
      */
-    encode(tokenString) {
-        // Check if bc-ur library is loaded
-        if (typeof window.bcur === 'undefined') {
-            console.error('bc-ur library not loaded');
-            return false;
-        }
-
+    encode(payload) {
         try {
-            // Encode the token string as CBOR
-            // CBOR text string: major type 3
-            // For strings < 256 bytes: 0x78 (major type 3, additional info 24) + length byte + string bytes
-            // For strings >= 256 bytes: 0x79 (major type 3, additional info 25) + 2 length bytes + string bytes
-            const textEncoder = new TextEncoder();
-            const stringBytes = textEncoder.encode(tokenString);
-
-            let cborData;
-            if (stringBytes.length < 24) {
-                // Tiny string: major type 3 (0x60) + length in additional info
-                cborData = new Uint8Array(1 + stringBytes.length);
-                cborData[0] = 0x60 | stringBytes.length;  // major type 3, length in low 5 bits
-                cborData.set(stringBytes, 1);
-            } else if (stringBytes.length < 256) {
-                // 1-byte length
-                cborData = new Uint8Array(2 + stringBytes.length);
-                cborData[0] = 0x78;  // major type 3, additional info 24
-                cborData[1] = stringBytes.length;
-                cborData.set(stringBytes, 2);
-            } else if (stringBytes.length < 65536) {
-                // 2-byte length (big-endian)
-                cborData = new Uint8Array(3 + stringBytes.length);
-                cborData[0] = 0x79;  // major type 3, additional info 25
-                cborData[1] = (stringBytes.length >> 8) & 0xFF;  // high byte
-                cborData[2] = stringBytes.length & 0xFF;  // low byte
-                cborData.set(stringBytes, 3);
-            } else {
-                throw new Error('Token too large for CBOR encoding');
-            }
-
-            console.log('[AnimatedQR] Encoding token:');
-            console.log('  Token length:', tokenString.length, 'chars');
-            console.log('  Token prefix:', tokenString.substring(0, 10));
-            console.log('  String bytes:', stringBytes.length);
-            console.log('  CBOR bytes:', cborData.length);
-            console.log('  CBOR header:', Array.from(cborData.slice(0, 5)));
-
-            // Create UR with CBOR-encoded data
-            console.log('[AnimatedQR] Creating UR with CBOR-encoded token');
-            const ur = new window.bcur.UR(cborData, 'bytes');
-
-            // Create encoder with max fragment length
-            this.encoder = new window.bcur.UREncoder(ur, this.options.maxFragmentLen);
-
-            // Log first part for debugging
-            const firstPart = this.encoder.nextPart();
-            console.log('[AnimatedQR] First UR part:', firstPart.substring(0, 50) + '...');
-
-            // Reset encoder to start from beginning
-            this.encoder = new window.bcur.UREncoder(ur, this.options.maxFragmentLen);
-
-            // Create UI
-            this.createUI();
+            this.payload = payload;
+            this.encoder = new UREncoder(payload, {
+                type: this.options.urType || 'bytes',
+                maxFragmentLen: this.options.maxFragmentLen
+            });
+            this.currentFrame = 0;
+            this.paused = false;
 
-            // Start animation
+            this.createUI();
             this.start();
 
             return true;
@@ -120,46 +77,85 @@ class AnimatedQR {
         const wrapper = document.createElement('div');
         wrapper.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 0.75rem;';
 
-        // Create canvas (QR code)
-        this.canvas = document.createElement('canvas');
-        wrapper.appendChild(this.canvas);
+        // QR code display (canvas, or a box the SVG is written into)
+        const size = this.options.qrSize;
+        this.display = document.createElement(this.options.renderer === 'svg' ? 'div' : 'canvas');
+        this.display.style.cssText = `width: ${size}px; height: ${size}px; max-width: 100%;`;
+        wrapper.appendChild(this.display);
 
         // Add info text (no frame counter - wallet shows that)
         const info = document.createElement('div');
-        info.style.cssText = 'font-size: 0.85rem; color: var(--text-secondary, #888); text-align: center; max-width: 280px; margin-top: 0.5rem;';
-        info.textContent = 'Keep scanning - wallet will collect frames automatically';
+        info.style.cssText = `font-size: 0.85rem; color: var(--text-secondary, #888); text-align: center; max-width: ${size}px; margin-top: 0.5rem;`;
+        info.textContent = this.labels.hint;
         wrapper.appendChild(info);
 
+        if (this.options.controls && !this.encoder.isSinglePart()) {
+            wrapper.appendChild(this.createControls());
+        }
+
         this.container.appendChild(wrapper);
     }
 
+    /**
+     * Pause/resume button plus speed and density selectors
+     */
+    createControls() {
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; gap: 0.5rem; align-items: center; justify-content: center; flex-wrap: wrap; font-size: 0.8rem; color: var(--text-secondary, #888);';
+        const controlStyle = 'padding: 0.3rem 0.6rem; border-radius: 8px; border: 1px solid rgba(128, 128, 128, 0.4); background: transparent; color: inherit; font-size: 0.8rem; cursor: pointer;';
+
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.type = 'button';
+        this.pauseButton.style.cssText = controlStyle;
+        this.pauseButton.textContent = this.labels.pause;
+        this.pauseButton.addEventListener('click', () => {
+            this.paused ? this.resume() : this.pause();
+        });
+        controls.appendChild(this.pauseButton);
+
+        const select = (label, choices, current, onChange) => {
+            const element = document.createElement('select');
+            element.style.cssText = controlStyle;
+            element.setAttribute('aria-label', label);
+            choices.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `${label}: ${text}`;
+                option.selected = value === current;
+                element.appendChild(option);
+            });
+            element.addEventListener('change', () => onChange(Number(element.value)));
+            controls.appendChild(element);
+        };
+
+        // Speed as a multiple of the configured frame rate
+        const baseRate = this.options.frameRate;
+        select(this.labels.speed, [[baseRate * 2, '0.5×'], [baseRate, '1×'], [Math.round(baseRate / 2), '2×']],
+            baseRate, rate => this.setFrameRate(rate));
+
+        const baseLen = this.options.maxFragmentLen;
+        select(this.labels.density, [[Math.round(baseLen / 2), this.labels.low], [baseLen, this.labels.medium], [Math.round(baseLen * 1.75), this.labels.high]],
+            baseLen, len => this.setFragmentLen(len));
+
+        return controls;
+    }
+
     /**
      * Render next frame
      */
     renderNextFrame() {
         if (!this.encoder) return;
 
-        // Get next part from fountain encoder
-        const part = this.encoder.nextPart();
-        // UREncoder returns uppercase string
-        const urString = part;
+        // Uppercase keeps the QR code in alphanumeric mode (decoders accept either case)
+        const urString = this.encoder.nextPart().toUpperCase();
+        const qr = QRCode.create(urString, { level: this.options.errorCorrection });
+        const size = this.options.qrSize;
 
-        // Debug log (remove in production)
-        if (this.currentFrame === 0) {
-            console.log('First UR frame:', urString.substring(0, 50));
-        }
-
-        // Render QR code
-        if (typeof QRious !== 'undefined') {
-            new QRious({
-                element: this.canvas,
-                value: urString,
-                size: this.options.qrSize,
-                backgroundAlpha: 1,
-                foreground: '#000000',
-                background: '#ffffff',
-                level: this.options.errorCorrection
-            });
+        if (this.options.renderer === 'svg') {
+            this.display.innerHTML = qr.toSvg({ size });
+        } else {
+            // Draw at device resolution so modules stay sharp on high-DPI screens
+            qr.drawCanvas(this.display, Math.round(size * (window.devicePixelRatio || 1)));
         }
 
         this.currentFrame++;
@@ -172,10 +168,15 @@ class AnimatedQR {
         if (!this.encoder) return;
 
         this.stop(); // Clear any existing interval
+        this.paused = false;
+        this.updatePauseButton();
 
         // Render first frame immediately
         this.renderNextFrame();
 
+        // Single-part payloads need no animation
+        if (this.encoder.isSinglePart()) return;
+
         // Start animation loop
         this.intervalId = setInterval(() => {
             this.renderNextFrame();
@@ -192,6 +193,65 @@ class AnimatedQR {
         }
     }
 
+    /**
+     * Hold the current frame
+     */
+    pause() {
+        this.stop();
+        this.paused = true;
+        this.updatePauseButton();
+    }
+
+    /**
+     * Continue from the next fragment
+     */
+    resume() {
+        if (!this.encoder || !this.paused) return;
+        this.paused = false;
+        this.updatePauseButton();
+        if (this.encoder.isSinglePart()) return;
+        this.intervalId = setInterval(() => {
+            this.renderNextFrame();
+        }, this.options.frameRate);
+    }
+
+    /**
+     * Change playback speed
+     * @param {number} frameRate - ms per frame
+     */
+    setFrameRate(frameRate) {
+        this.options.frameRate = Math.max(50, frameRate);
+        if (this.intervalId) {
+            this.stop();
+            this.intervalId = setInterval(() => {
+                this.renderNextFrame();
+            }, this.options.frameRate);
+        }
+    }
+
+    /**
+     * Change fragment density (restarts the fragment sequence)
+     * @param {number} maxFragmentLen - max bytes per fragment
+     */
+    setFragmentLen(maxFragmentLen) {
+        this.options.maxFragmentLen = maxFragmentLen;
+        if (!this.encoder) return;
+
+        const wasPaused = this.paused;
+        this.encoder = new UREncoder(this.payload, {
+            type: this.options.urType || 'bytes',
+            maxFragmentLen
+        });
+        this.start();
+        if (wasPaused) this.pause();
+    }
+
+    updatePauseButton() {
+        if (this.pauseButton) {
+            this.pauseButton.textContent = this.paused ? this.labels.resume : this.labels.pause;
+        }
+    }
+
     /**
      * Check if animation is running
      */
@@ -206,24 +266,43 @@ class AnimatedQR {
         this.stop();
         this.container.innerHTML = '';
         this.encoder = null;
+        this.payload = null;
         this.currentFrame = 0;
     }
 
     /**
-     * Check if token needs animated QR (is too large for single QR)
-     * At 280px, QR Version 12 (65x65 modules, ~4.3px per module) is the practical
-     * limit for reliable screen scanning. That's ~367 bytes in byte mode with L correction.
-     * Use 350 as threshold to stay within scannable density.
+     * Check if a payload needs animated QR, by measuring the QR version a
+     * static code would need. Modules narrower than MIN_MODULE_PX do not scan
+     * reliably from a screen (at 280px that is version 12, 65x65 modules).
      *
-     * @param {string} tokenString - Complete Cashu token string
+     * @param {string} payload - Text the static QR code would contain
+     * @param {Object} options - qrSize (280), errorCorrection ('L') of the static code
      * @returns {boolean}
      */
-    static needsAnimation(tokenString) {
-        return tokenString.length > 350;
+    static needsAnimation(payload, options = {}) {
+        const version = QRCode.versionFor(payload, options.errorCorrection || 'L');
+        if (version === null) {
+            return true;
+        }
+        return version * 4 + 17 > (options.qrSize || 280) / AnimatedQR.MIN_MODULE_PX;
     }
 
 }
 
+AnimatedQR.MIN_MODULE_PX = 4.3;
+
+// Default (English) control texts, override with options.labels
+AnimatedQR.LABELS = {
+    hint: 'Keep scanning - wallet will collect frames automatically',
+    pause: 'Pause',
+    resume: 'Resume',
+    speed: 'Speed',
+    density: 'Density',
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High'
+};
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AnimatedQR;
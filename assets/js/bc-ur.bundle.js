@@ -0,0 +1,4 @@
+/*! @gandlaf21/bc-ur 1.1.12 (URDecoder only) | MIT License | https://github.com/gandlafbtc/bc-ur
+ *  Bundled with esbuild as an IIFE that sets window.bcur = { URDecoder } */
+(()=>{var Yi=Object.create;var Xr=Object.defineProperty;var Ji=Object.getOwnPropertyDescriptor;var Ki=Object.getOwnPropertyNames;var Qi=Object.getPrototypeOf,Zi=Object.prototype.hasOwnProperty;var ut=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var eo=(t,e,r,i)=>{if(e&&typeof e=="object"||typeof e=="function")for(let u of Ki(e))!Zi.call(t,u)&&u!==r&&Xr(t,u,{get:()=>e[u],enumerable:!(i=Ji(e,u))||i.enumerable});return t};var Ae=(t,e,r)=>(r=t!=null?Yi(Qi(t)):{},eo(e||!t||!t.__esModule?Xr(r,"default",{value:t,enumerable:!0}):r,t));var Qr=ut(At=>{"use strict";At.byteLength=ro;At.toByteArray=io;At.fromByteArray=so;var Ie=[],de=[],to=typeof Uint8Array!="undefined"?Uint8Array:Array,ar="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";for(ze=0,Jr=ar.length;ze<Jr;++ze)Ie[ze]=ar[ze],de[ar.charCodeAt(ze)]=ze;var ze,Jr;de[45]=62;de[95]=63;function Kr(t){var e=t.length;if(e%4>0)throw new Error("Invalid string. Length must be a multiple of 4");var r=t.indexOf("=");r===-1&&(r=e);var i=r===e?0:4-r%4;return[r,i]}function ro(t){var e=Kr(t),r=e[0],i=e[1];return(r+i)*3/4-i}function no(t,e,r){return(e+r)*3/4-r}function io(t){var e,r=Kr(t),i=r[0],u=r[1],c=new to(no(t,i,u)),d=0,w=u>0?i-4:i,A;for(A=0;A<w;A+=4)e=de[t.charCodeAt(A)]<<18|de[t.charCodeAt(A+1)]<<12|de[t.charCodeAt(A+2)]<<6|de[t.charCodeAt(A+3)],c[d++]=e>>16&255,c[d++]=e>>8&255,c[d++]=e&255;return u===2&&(e=de[t.charCodeAt(A)]<<2|de[t.charCodeAt(A+1)]>>4,c[d++]=e&255),u===1&&(e=de[t.charCodeAt(A)]<<10|de[t.charCodeAt(A+1)]<<4|de[t.charCodeAt(A+2)]>>2,c[d++]=e>>8&255,c[d++]=e&255),c}function oo(t){return Ie[t>>18&63]+Ie[t>>12&63]+Ie[t>>6&63]+Ie[t&63]}function uo(t,e,r){for(var i,u=[],c=e;c<r;c+=3)i=(t[c]<<16&16711680)+(t[c+1]<<8&65280)+(t[c+2]&255),u.push(oo(i));return u.join("")}function so(t){for(var e,r=t.length,i=r%3,u=[],c=16383,d=0,w=r-i;d<w;d+=c)u.push(uo(t,d,d+c>w?w:d+c));return i===1?(e=t[r-1],u.push(Ie[e>>2]+Ie[e<<4&63]+"==")):i===2&&(e=(t[r-2]<<8)+t[r-1],u.push(Ie[e>>10]+Ie[e>>4&63]+Ie[e<<2&63]+"=")),u.join("")}});var Zr=ut(cr=>{cr.read=function(t,e,r,i,u){var c,d,w=u*8-i-1,A=(1<<w)-1,I=A>>1,C=-7,S=r?u-1:0,G=r?-1:1,W=t[e+S];for(S+=G,c=W&(1<<-C)-1,W>>=-C,C+=w;C>0;c=c*256+t[e+S],S+=G,C-=8);for(d=c&(1<<-C)-1,c>>=-C,C+=i;C>0;d=d*256+t[e+S],S+=G,C-=8);if(c===0)c=1-I;else{if(c===A)return d?NaN:(W?-1:1)*(1/0);d=d+Math.pow(2,i),c=c-I}return(W?-1:1)*d*Math.pow(2,c-i)};cr.write=function(t,e,r,i,u,c){var d,w,A,I=c*8-u-1,C=(1<<I)-1,S=C>>1,G=u===23?Math.pow(2,-24)-Math.pow(2,-77):0,W=i?0:c-1,Q=i?1:-1,ye=e<0||e===0&&1/e<0?1:0;for(e=Math.abs(e),isNaN(e)||e===1/0?(w=isNaN(e)?1:0,d=C):(d=Math.floor(Math.log(e)/Math.LN2),e*(A=Math.pow(2,-d))<1&&(d--,A*=2),d+S>=1?e+=G/A:e+=G*Math.pow(2,1-S),e*A>=2&&(d++,A/=2),d+S>=C?(w=0,d=C):d+S>=1?(w=(e*A-1)*Math.pow(2,u),d=d+S):(w=e*Math.pow(2,S-1)*Math.pow(2,u),d=0));u>=8;t[r+W]=w&255,W+=Q,w/=256,u-=8);for(d=d<<u|w,I+=u;I>0;t[r+W]=d&255,W+=Q,d/=256,I-=8);t[r+W-Q]|=ye*128}});var Fe=ut(Qe=>{"use strict";var lr=Qr(),Je=Zr(),en=typeof Symbol=="function"&&typeof Symbol.for=="function"?Symbol.for("nodejs.util.inspect.custom"):null;Qe.Buffer=E;Qe.SlowBuffer=po;Qe.INSPECT_MAX_BYTES=50;var It=2147483647;Qe.kMaxLength=It;E.TYPED_ARRAY_SUPPORT=fo();!E.TYPED_ARRAY_SUPPORT&&typeof console!="undefined"&&typeof console.error=="function"&&console.error("This browser lacks typed array (Uint8Array) support which is required by `buffer` v5.x. Use `buffer` v4.x if you require old browser support.");function fo(){try{let t=new Uint8Array(1),e={foo:function(){return 42}};return Object.setPrototypeOf(e,Uint8Array.prototype),Object.setPrototypeOf(t,e),t.foo()===42}catch{return!1}}Object.defineProperty(E.prototype,"parent",{enumerable:!0,get:function(){if(E.isBuffer(this))return this.buffer}});Object.defineProperty(E.prototype,"offset",{enumerable:!0,get:function(){if(E.isBuffer(this))return this.byteOffset}});function Ne(t){if(t>It)throw new RangeError('The value "'+t+'" is invalid for option "size"');let e=new Uint8Array(t);return Object.setPrototypeOf(e,E.prototype),e}function E(t,e,r){if(typeof t=="number"){if(typeof e=="string")throw new TypeError('The "string" argument must be of type string. Received type number');return gr(t)}return on(t,e,r)}E.poolSize=8192;function on(t,e,r){if(typeof t=="string")return co(t,e);if(ArrayBuffer.isView(t))return lo(t);if(t==null)throw new TypeError("The first argument must be one of type string, Buffer, ArrayBuffer, Array, or Array-like Object. Received type "+typeof t);if(ke(t,ArrayBuffer)||t&&ke(t.buffer,ArrayBuffer)||typeof SharedArrayBuffer!="undefined"&&(ke(t,SharedArrayBuffer)||t&&ke(t.buffer,SharedArrayBuffer)))return dr(t,e,r);if(typeof t=="number")throw new TypeError('The "value" argument must not be of type number. Received type number');let i=t.valueOf&&t.valueOf();if(i!=null&&i!==t)return E.from(i,e,r);let u=ho(t);if(u)return u;if(typeof Symbol!="undefined"&&Symbol.toPrimitive!=null&&typeof t[Symbol.toPrimitive]=="function")return E.from(t[Symbol.toPrimitive]("string"),e,r);throw new TypeError("The first argument must be one of type string, Buffer, ArrayBuffer, Array, or Array-like Object. Received type "+typeof t)}E.from=function(t,e,r){return on(t,e,r)};Object.setPrototypeOf(E.prototype,Uint8Array.prototype);Object.setPrototypeOf(E,Uint8Array);function un(t){if(typeof t!="number")throw new TypeError('"size" argument must be of type number');if(t<0)throw new RangeError('The value "'+t+'" is invalid for option "size"')}function ao(t,e,r){return un(t),t<=0?Ne(t):e!==void 0?typeof r=="string"?Ne(t).fill(e,r):Ne(t).fill(e):Ne(t)}E.alloc=function(t,e,r){return ao(t,e,r)};function gr(t){return un(t),Ne(t<0?0:_r(t)|0)}E.allocUnsafe=function(t){return gr(t)};E.allocUnsafeSlow=function(t){return gr(t)};function co(t,e){if((typeof e!="string"||e==="")&&(e="utf8"),!E.isEncoding(e))throw new TypeError("Unknown encoding: "+e);let r=sn(t,e)|0,i=Ne(r),u=i.write(t,e);return u!==r&&(i=i.slice(0,u)),i}function hr(t){let e=t.length<0?0:_r(t.length)|0,r=Ne(e);for(let i=0;i<e;i+=1)r[i]=t[i]&255;return r}function lo(t){if(ke(t,Uint8Array)){let e=new Uint8Array(t);return dr(e.buffer,e.byteOffset,e.byteLength)}return hr(t)}function dr(t,e,r){if(e<0||t.byteLength<e)throw new RangeError('"offset" is outside of buffer bounds');if(t.byteLength<e+(r||0))throw new RangeError('"length" is outside of buffer bounds');let i;return e===void 0&&r===void 0?i=new Uint8Array(t):r===void 0?i=new Uint8Array(t,e):i=new Uint8Array(t,e,r),Object.setPrototypeOf(i,E.prototype),i}function ho(t){if(E.isBuffer(t)){let e=_r(t.length)|0,r=Ne(e);return r.length===0||t.copy(r,0,0,e),r}if(t.length!==void 0)return typeof t.length!="number"||xr(t.length)?Ne(0):hr(t);if(t.type==="Buffer"&&Array.isArray(t.data))return hr(t.data)}function _r(t){if(t>=It)throw new RangeError("Attempt to allocate Buffer larger than maximum size: 0x"+It.toString(16)+" bytes");return t|0}function po(t){return+t!=t&&(t=0),E.alloc(+t)}E.isBuffer=function(e){return e!=null&&e._isBuffer===!0&&e!==E.prototype};E.compare=function(e,r){if(ke(e,Uint8Array)&&(e=E.from(e,e.offset,e.byteLength)),ke(r,Uint8Array)&&(r=E.from(r,r.offset,r.byteLength)),!E.isBuffer(e)||!E.isBuffer(r))throw new TypeError('The "buf1", "buf2" arguments must be one of type Buffer or Uint8Array');if(e===r)return 0;let i=e.length,u=r.length;for(let c=0,d=Math.min(i,u);c<d;++c)if(e[c]!==r[c]){i=e[c],u=r[c];break}return i<u?-1:u<i?1:0};E.isEncoding=function(e){switch(String(e).toLowerCase()){case"hex":case"utf8":case"utf-8":case"ascii":case"latin1":case"binary":case"base64":case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return!0;default:return!1}};E.concat=function(e,r){if(!Array.isArray(e))throw new TypeError('"list" argument must be an Array of Buffers');if(e.length===0)return E.alloc(0);let i;if(r===void 0)for(r=0,i=0;i<e.length;++i)r+=e[i].length;let u=E.allocUnsafe(r),c=0;for(i=0;i<e.length;++i){let d=e[i];if(ke(d,Uint8Array))c+d.length>u.length?(E.isBuffer(d)||(d=E.from(d)),d.copy(u,c)):Uint8Array.prototype.set.call(u,d,c);else if(E.isBuffer(d))d.copy(u,c);else throw new TypeError('"list" argument must be an Array of Buffers');c+=d.length}return u};function sn(t,e){if(E.isBuffer(t))return t.length;if(ArrayBuffer.isView(t)||ke(t,ArrayBuffer))return t.byteLength;if(typeof t!="string")throw new TypeError('The "string" argument must be one of type string, Buffer, or ArrayBuffer. Received type '+typeof t);let r=t.length,i=arguments.length>2&&arguments[2]===!0;if(!i&&r===0)return 0;let u=!1;for(;;)switch(e){case"ascii":case"latin1":case"binary":return r;case"utf8":case"utf-8":return pr(t).length;case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return r*2;case"hex":return r>>>1;case"base64":return _n(t).length;default:if(u)return i?-1:pr(t).length;e=(""+e).toLowerCase(),u=!0}}E.byteLength=sn;function go(t,e,r){let i=!1;if((e===void 0||e<0)&&(e=0),e>this.length||((r===void 0||r>this.length)&&(r=this.length),r<=0)||(r>>>=0,e>>>=0,r<=e))return"";for(t||(t="utf8");;)switch(t){case"hex":return Ao(this,e,r);case"utf8":case"utf-8":return an(this,e,r);case"ascii":return Eo(this,e,r);case"latin1":case"binary":return Bo(this,e,r);case"base64":return bo(this,e,r);case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return Io(this,e,r);default:if(i)throw new TypeError("Unknown encoding: "+t);t=(t+"").toLowerCase(),i=!0}}E.prototype._isBuffer=!0;function He(t,e,r){let i=t[e];t[e]=t[r],t[r]=i}E.prototype.swap16=function(){let e=this.length;if(e%2!==0)throw new RangeError("Buffer size must be a multiple of 16-bits");for(let r=0;r<e;r+=2)He(this,r,r+1);return this};E.prototype.swap32=function(){let e=this.length;if(e%4!==0)throw new RangeError("Buffer size must be a multiple of 32-bits");for(let r=0;r<e;r+=4)He(this,r,r+3),He(this,r+1,r+2);return this};E.prototype.swap64=function(){let e=this.length;if(e%8!==0)throw new RangeError("Buffer size must be a multiple of 64-bits");for(let r=0;r<e;r+=8)He(this,r,r+7),He(this,r+1,r+6),He(this,r+2,r+5),He(this,r+3,r+4);return this};E.prototype.toString=function(){let e=this.length;return e===0?"":arguments.length===0?an(this,0,e):go.apply(this,arguments)};E.prototype.toLocaleString=E.prototype.toString;E.prototype.equals=function(e){if(!E.isBuffer(e))throw new TypeError("Argument must be a Buffer");return this===e?!0:E.compare(this,e)===0};E.prototype.inspect=function(){let e="",r=Qe.INSPECT_MAX_BYTES;return e=this.toString("hex",0,r).replace(/(.{2})/g,"$1 ").trim(),this.length>r&&(e+=" ... "),"<Buffer "+e+">"};en&&(E.prototype[en]=E.prototype.inspect);E.prototype.compare=function(e,r,i,u,c){if(ke(e,Uint8Array)&&(e=E.from(e,e.offset,e.byteLength)),!E.isBuffer(e))throw new TypeError('The "target" argument must be one of type Buffer or Uint8Array. Received type '+typeof e);if(r===void 0&&(r=0),i===void 0&&(i=e?e.length:0),u===void 0&&(u=0),c===void 0&&(c=this.length),r<0||i>e.length||u<0||c>this.length)throw new RangeError("out of range index");if(u>=c&&r>=i)return 0;if(u>=c)return-1;if(r>=i)return 1;if(r>>>=0,i>>>=0,u>>>=0,c>>>=0,this===e)return 0;let d=c-u,w=i-r,A=Math.min(d,w),I=this.slice(u,c),C=e.slice(r,i);for(let S=0;S<A;++S)if(I[S]!==C[S]){d=I[S],w=C[S];break}return d<w?-1:w<d?1:0};function fn(t,e,r,i,u){if(t.length===0)return-1;if(typeof r=="string"?(i=r,r=0):r>2147483647?r=2147483647:r<-2147483648&&(r=-2147483648),r=+r,xr(r)&&(r=u?0:t.length-1),r<0&&(r=t.length+r),r>=t.length){if(u)return-1;r=t.length-1}else if(r<0)if(u)r=0;else return-1;if(typeof e=="string"&&(e=E.from(e,i)),E.isBuffer(e))return e.length===0?-1:tn(t,e,r,i,u);if(typeof e=="number")return e=e&255,typeof Uint8Array.prototype.indexOf=="function"?u?Uint8Array.prototype.indexOf.call(t,e,r):Uint8Array.prototype.lastIndexOf.call(t,e,r):tn(t,[e],r,i,u);throw new TypeError("val must be string, number or Buffer")}function tn(t,e,r,i,u){let c=1,d=t.length,w=e.length;if(i!==void 0&&(i=String(i).toLowerCase(),i==="ucs2"||i==="ucs-2"||i==="utf16le"||i==="utf-16le")){if(t.length<2||e.length<2)return-1;c=2,d/=2,w/=2,r/=2}function A(C,S){return c===1?C[S]:C.readUInt16BE(S*c)}let I;if(u){let C=-1;for(I=r;I<d;I++)if(A(t,I)===A(e,C===-1?0:I-C)){if(C===-1&&(C=I),I-C+1===w)return C*c}else C!==-1&&(I-=I-C),C=-1}else for(r+w>d&&(r=d-w),I=r;I>=0;I--){let C=!0;for(let S=0;S<w;S++)if(A(t,I+S)!==A(e,S)){C=!1;break}if(C)return I}return-1}E.prototype.includes=function(e,r,i){return this.indexOf(e,r,i)!==-1};E.prototype.indexOf=function(e,r,i){return fn(this,e,r,i,!0)};E.prototype.lastIndexOf=function(e,r,i){return fn(this,e,r,i,!1)};function _o(t,e,r,i){r=Number(r)||0;let u=t.length-r;i?(i=Number(i),i>u&&(i=u)):i=u;let c=e.length;i>c/2&&(i=c/2);let d;for(d=0;d<i;++d){let w=parseInt(e.substr(d*2,2),16);if(xr(w))return d;t[r+d]=w}return d}function mo(t,e,r,i){return kt(pr(e,t.length-r),t,r,i)}function xo(t,e,r,i){return kt(To(e),t,r,i)}function yo(t,e,r,i){return kt(_n(e),t,r,i)}function wo(t,e,r,i){return kt(Co(e,t.length-r),t,r,i)}E.prototype.write=function(e,r,i,u){if(r===void 0)u="utf8",i=this.length,r=0;else if(i===void 0&&typeof r=="string")u=r,i=this.length,r=0;else if(isFinite(r))r=r>>>0,isFinite(i)?(i=i>>>0,u===void 0&&(u="utf8")):(u=i,i=void 0);else throw new Error("Buffer.write(string, encoding, offset[, length]) is no longer supported");let c=this.length-r;if((i===void 0||i>c)&&(i=c),e.length>0&&(i<0||r<0)||r>this.length)throw new RangeError("Attempt to write outside buffer bounds");u||(u="utf8");let d=!1;for(;;)switch(u){case"hex":return _o(this,e,r,i);case"utf8":case"utf-8":return mo(this,e,r,i);case"ascii":case"latin1":case"binary":return xo(this,e,r,i);case"base64":return yo(this,e,r,i);case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return wo(this,e,r,i);default:if(d)throw new TypeError("Unknown encoding: "+u);u=(""+u).toLowerCase(),d=!0}};E.prototype.toJSON=function(){return{type:"Buffer",data:Array.prototype.slice.call(this._arr||this,0)}};function bo(t,e,r){return e===0&&r===t.length?lr.fromByteArray(t):lr.fromByteArray(t.slice(e,r))}function an(t,e,r){r=Math.min(t.length,r);let i=[],u=e;for(;u<r;){let c=t[u],d=null,w=c>239?4:c>223?3:c>191?2:1;if(u+w<=r){let A,I,C,S;switch(w){case 1:c<128&&(d=c);break;case 2:A=t[u+1],(A&192)===128&&(S=(c&31)<<6|A&63,S>127&&(d=S));break;case 3:A=t[u+1],I=t[u+2],(A&192)===128&&(I&192)===128&&(S=(c&15)<<12|(A&63)<<6|I&63,S>2047&&(S<55296||S>57343)&&(d=S));break;case 4:A=t[u+1],I=t[u+2],C=t[u+3],(A&192)===128&&(I&192)===128&&(C&192)===128&&(S=(c&15)<<18|(A&63)<<12|(I&63)<<6|C&63,S>65535&&S<1114112&&(d=S))}}d===null?(d=65533,w=1):d>65535&&(d-=65536,i.push(d>>>10&1023|55296),d=56320|d&1023),i.push(d),u+=w}return vo(i)}var rn=4096;function vo(t){let e=t.length;if(e<=rn)return String.fromCharCode.apply(String,t);let r="",i=0;for(;i<e;)r+=String.fromCharCode.apply(String,t.slice(i,i+=rn));return r}function Eo(t,e,r){let i="";r=Math.min(t.length,r);for(let u=e;u<r;++u)i+=String.fromCharCode(t[u]&127);return i}function Bo(t,e,r){let i="";r=Math.min(t.length,r);for(let u=e;u<r;++u)i+=String.fromCharCode(t[u]);return i}function Ao(t,e,r){let i=t.length;(!e||e<0)&&(e=0),(!r||r<0||r>i)&&(r=i);let u="";for(let c=e;c<r;++c)u+=Do[t[c]];return u}function Io(t,e,r){let i=t.slice(e,r),u="";for(let c=0;c<i.length-1;c+=2)u+=String.fromCharCode(i[c]+i[c+1]*256);return u}E.prototype.slice=function(e,r){let i=this.length;e=~~e,r=r===void 0?i:~~r,e<0?(e+=i,e<0&&(e=0)):e>i&&(e=i),r<0?(r+=i,r<0&&(r=0)):r>i&&(r=i),r<e&&(r=e);let u=this.subarray(e,r);return Object.setPrototypeOf(u,E.prototype),u};function ee(t,e,r){if(t%1!==0||t<0)throw new RangeError("offset is not uint");if(t+e>r)throw new RangeError("Trying to access beyond buffer length")}E.prototype.readUintLE=E.prototype.readUIntLE=function(e,r,i){e=e>>>0,r=r>>>0,i||ee(e,r,this.length);let u=this[e],c=1,d=0;for(;++d<r&&(c*=256);)u+=this[e+d]*c;return u};E.prototype.readUintBE=E.prototype.readUIntBE=function(e,r,i){e=e>>>0,r=r>>>0,i||ee(e,r,this.length);let u=this[e+--r],c=1;for(;r>0&&(c*=256);)u+=this[e+--r]*c;return u};E.prototype.readUint8=E.prototype.readUInt8=function(e,r){return e=e>>>0,r||ee(e,1,this.length),this[e]};E.prototype.readUint16LE=E.prototype.readUInt16LE=function(e,r){return e=e>>>0,r||ee(e,2,this.length),this[e]|this[e+1]<<8};E.prototype.readUint16BE=E.prototype.readUInt16BE=function(e,r){return e=e>>>0,r||ee(e,2,this.length),this[e]<<8|this[e+1]};E.prototype.readUint32LE=E.prototype.readUInt32LE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),(this[e]|this[e+1]<<8|this[e+2]<<16)+this[e+3]*16777216};E.prototype.readUint32BE=E.prototype.readUInt32BE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),this[e]*16777216+(this[e+1]<<16|this[e+2]<<8|this[e+3])};E.prototype.readBigUInt64LE=Me(function(e){e=e>>>0,Ke(e,"offset");let r=this[e],i=this[e+7];(r===void 0||i===void 0)&&ft(e,this.length-8);let u=r+this[++e]*2**8+this[++e]*2**16+this[++e]*2**24,c=this[++e]+this[++e]*2**8+this[++e]*2**16+i*2**24;return BigInt(u)+(BigInt(c)<<BigInt(32))});E.prototype.readBigUInt64BE=Me(function(e){e=e>>>0,Ke(e,"offset");let r=this[e],i=this[e+7];(r===void 0||i===void 0)&&ft(e,this.length-8);let u=r*2**24+this[++e]*2**16+this[++e]*2**8+this[++e],c=this[++e]*2**24+this[++e]*2**16+this[++e]*2**8+i;return(BigInt(u)<<BigInt(32))+BigInt(c)});E.prototype.readIntLE=function(e,r,i){e=e>>>0,r=r>>>0,i||ee(e,r,this.length);let u=this[e],c=1,d=0;for(;++d<r&&(c*=256);)u+=this[e+d]*c;return c*=128,u>=c&&(u-=Math.pow(2,8*r)),u};E.prototype.readIntBE=function(e,r,i){e=e>>>0,r=r>>>0,i||ee(e,r,this.length);let u=r,c=1,d=this[e+--u];for(;u>0&&(c*=256);)d+=this[e+--u]*c;return c*=128,d>=c&&(d-=Math.pow(2,8*r)),d};E.prototype.readInt8=function(e,r){return e=e>>>0,r||ee(e,1,this.length),this[e]&128?(255-this[e]+1)*-1:this[e]};E.prototype.readInt16LE=function(e,r){e=e>>>0,r||ee(e,2,this.length);let i=this[e]|this[e+1]<<8;return i&32768?i|4294901760:i};E.prototype.readInt16BE=function(e,r){e=e>>>0,r||ee(e,2,this.length);let i=this[e+1]|this[e]<<8;return i&32768?i|4294901760:i};E.prototype.readInt32LE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),this[e]|this[e+1]<<8|this[e+2]<<16|this[e+3]<<24};E.prototype.readInt32BE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),this[e]<<24|this[e+1]<<16|this[e+2]<<8|this[e+3]};E.prototype.readBigInt64LE=Me(function(e){e=e>>>0,Ke(e,"offset");let r=this[e],i=this[e+7];(r===void 0||i===void 0)&&ft(e,this.length-8);let u=this[e+4]+this[e+5]*2**8+this[e+6]*2**16+(i<<24);return(BigInt(u)<<BigInt(32))+BigInt(r+this[++e]*2**8+this[++e]*2**16+this[++e]*2**24)});E.prototype.readBigInt64BE=Me(function(e){e=e>>>0,Ke(e,"offset");let r=this[e],i=this[e+7];(r===void 0||i===void 0)&&ft(e,this.length-8);let u=(r<<24)+this[++e]*2**16+this[++e]*2**8+this[++e];return(BigInt(u)<<BigInt(32))+BigInt(this[++e]*2**24+this[++e]*2**16+this[++e]*2**8+i)});E.prototype.readFloatLE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),Je.read(this,e,!0,23,4)};E.prototype.readFloatBE=function(e,r){return e=e>>>0,r||ee(e,4,this.length),Je.read(this,e,!1,23,4)};E.prototype.readDoubleLE=function(e,r){return e=e>>>0,r||ee(e,8,this.length),Je.read(this,e,!0,52,8)};E.prototype.readDoubleBE=function(e,r){return e=e>>>0,r||ee(e,8,this.length),Je.read(this,e,!1,52,8)};function ue(t,e,r,i,u,c){if(!E.isBuffer(t))throw new TypeError('"buffer" argument must be a Buffer instance');if(e>u||e<c)throw new RangeError('"value" argument is out of bounds');if(r+i>t.length)throw new RangeError("Index out of range")}E.prototype.writeUintLE=E.prototype.writeUIntLE=function(e,r,i,u){if(e=+e,r=r>>>0,i=i>>>0,!u){let w=Math.pow(2,8*i)-1;ue(this,e,r,i,w,0)}let c=1,d=0;for(this[r]=e&255;++d<i&&(c*=256);)this[r+d]=e/c&255;return r+i};E.prototype.writeUintBE=E.prototype.writeUIntBE=function(e,r,i,u){if(e=+e,r=r>>>0,i=i>>>0,!u){let w=Math.pow(2,8*i)-1;ue(this,e,r,i,w,0)}let c=i-1,d=1;for(this[r+c]=e&255;--c>=0&&(d*=256);)this[r+c]=e/d&255;return r+i};E.prototype.writeUint8=E.prototype.writeUInt8=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,1,255,0),this[r]=e&255,r+1};E.prototype.writeUint16LE=E.prototype.writeUInt16LE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,2,65535,0),this[r]=e&255,this[r+1]=e>>>8,r+2};E.prototype.writeUint16BE=E.prototype.writeUInt16BE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,2,65535,0),this[r]=e>>>8,this[r+1]=e&255,r+2};E.prototype.writeUint32LE=E.prototype.writeUInt32LE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,4,4294967295,0),this[r+3]=e>>>24,this[r+2]=e>>>16,this[r+1]=e>>>8,this[r]=e&255,r+4};E.prototype.writeUint32BE=E.prototype.writeUInt32BE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,4,4294967295,0),this[r]=e>>>24,this[r+1]=e>>>16,this[r+2]=e>>>8,this[r+3]=e&255,r+4};function cn(t,e,r,i,u){gn(e,i,u,t,r,7);let c=Number(e&BigInt(4294967295));t[r++]=c,c=c>>8,t[r++]=c,c=c>>8,t[r++]=c,c=c>>8,t[r++]=c;let d=Number(e>>BigInt(32)&BigInt(4294967295));return t[r++]=d,d=d>>8,t[r++]=d,d=d>>8,t[r++]=d,d=d>>8,t[r++]=d,r}function ln(t,e,r,i,u){gn(e,i,u,t,r,7);let c=Number(e&BigInt(4294967295));t[r+7]=c,c=c>>8,t[r+6]=c,c=c>>8,t[r+5]=c,c=c>>8,t[r+4]=c;let d=Number(e>>BigInt(32)&BigInt(4294967295));return t[r+3]=d,d=d>>8,t[r+2]=d,d=d>>8,t[r+1]=d,d=d>>8,t[r]=d,r+8}E.prototype.writeBigUInt64LE=Me(function(e,r=0){return cn(this,e,r,BigInt(0),BigInt("0xffffffffffffffff"))});E.prototype.writeBigUInt64BE=Me(function(e,r=0){return ln(this,e,r,BigInt(0),BigInt("0xffffffffffffffff"))});E.prototype.writeIntLE=function(e,r,i,u){if(e=+e,r=r>>>0,!u){let A=Math.pow(2,8*i-1);ue(this,e,r,i,A-1,-A)}let c=0,d=1,w=0;for(this[r]=e&255;++c<i&&(d*=256);)e<0&&w===0&&this[r+c-1]!==0&&(w=1),this[r+c]=(e/d>>0)-w&255;return r+i};E.prototype.writeIntBE=function(e,r,i,u){if(e=+e,r=r>>>0,!u){let A=Math.pow(2,8*i-1);ue(this,e,r,i,A-1,-A)}let c=i-1,d=1,w=0;for(this[r+c]=e&255;--c>=0&&(d*=256);)e<0&&w===0&&this[r+c+1]!==0&&(w=1),this[r+c]=(e/d>>0)-w&255;return r+i};E.prototype.writeInt8=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,1,127,-128),e<0&&(e=255+e+1),this[r]=e&255,r+1};E.prototype.writeInt16LE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,2,32767,-32768),this[r]=e&255,this[r+1]=e>>>8,r+2};E.prototype.writeInt16BE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,2,32767,-32768),this[r]=e>>>8,this[r+1]=e&255,r+2};E.prototype.writeInt32LE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,4,2147483647,-2147483648),this[r]=e&255,this[r+1]=e>>>8,this[r+2]=e>>>16,this[r+3]=e>>>24,r+4};E.prototype.writeInt32BE=function(e,r,i){return e=+e,r=r>>>0,i||ue(this,e,r,4,2147483647,-2147483648),e<0&&(e=4294967295+e+1),this[r]=e>>>24,this[r+1]=e>>>16,this[r+2]=e>>>8,this[r+3]=e&255,r+4};E.prototype.writeBigInt64LE=Me(function(e,r=0){return cn(this,e,r,-BigInt("0x8000000000000000"),BigInt("0x7fffffffffffffff"))});E.prototype.writeBigInt64BE=Me(function(e,r=0){return ln(this,e,r,-BigInt("0x8000000000000000"),BigInt("0x7fffffffffffffff"))});function hn(t,e,r,i,u,c){if(r+i>t.length)throw new RangeError("Index out of range");if(r<0)throw new RangeError("Index out of range")}function dn(t,e,r,i,u){return e=+e,r=r>>>0,u||hn(t,e,r,4,34028234663852886e22,-34028234663852886e22),Je.write(t,e,r,i,23,4),r+4}E.prototype.writeFloatLE=function(e,r,i){return dn(this,e,r,!0,i)};E.prototype.writeFloatBE=function(e,r,i){return dn(this,e,r,!1,i)};function pn(t,e,r,i,u){return e=+e,r=r>>>0,u||hn(t,e,r,8,17976931348623157e292,-17976931348623157e292),Je.write(t,e,r,i,52,8),r+8}E.prototype.writeDoubleLE=function(e,r,i){return pn(this,e,r,!0,i)};E.prototype.writeDoubleBE=function(e,r,i){return pn(this,e,r,!1,i)};E.prototype.copy=function(e,r,i,u){if(!E.isBuffer(e))throw new TypeError("argument should be a Buffer");if(i||(i=0),!u&&u!==0&&(u=this.length),r>=e.length&&(r=e.length),r||(r=0),u>0&&u<i&&(u=i),u===i||e.length===0||this.length===0)return 0;if(r<0)throw new RangeError("targetStart out of bounds");if(i<0||i>=this.length)throw new RangeError("Index out of range");if(u<0)throw new RangeError("sourceEnd out of bounds");u>this.length&&(u=this.length),e.length-r<u-i&&(u=e.length-r+i);let c=u-i;return this===e&&typeof Uint8Array.prototype.copyWithin=="function"?this.copyWithin(r,i,u):Uint8Array.prototype.set.call(e,this.subarray(i,u),r),c};E.prototype.fill=function(e,r,i,u){if(typeof e=="string"){if(typeof r=="string"?(u=r,r=0,i=this.length):typeof i=="string"&&(u=i,i=this.length),u!==void 0&&typeof u!="string")throw new TypeError("encoding must be a string");if(typeof u=="string"&&!E.isEncoding(u))throw new TypeError("Unknown encoding: "+u);if(e.length===1){let d=e.charCodeAt(0);(u==="utf8"&&d<128||u==="latin1")&&(e=d)}}else typeof e=="number"?e=e&255:typeof e=="boolean"&&(e=Number(e));if(r<0||this.length<r||this.length<i)throw new RangeError("Out of range index");if(i<=r)return this;r=r>>>0,i=i===void 0?this.length:i>>>0,e||(e=0);let c;if(typeof e=="number")for(c=r;c<i;++c)this[c]=e;else{let d=E.isBuffer(e)?e:E.from(e,u),w=d.length;if(w===0)throw new TypeError('The value "'+e+'" is invalid for argument "value"');for(c=0;c<i-r;++c)this[c+r]=d[c%w]}return this};var Ye={};function mr(t,e,r){Ye[t]=class extends r{constructor(){super(),Object.defineProperty(this,"message",{value:e.apply(this,arguments),writable:!0,configurable:!0}),this.name=`${this.name} [${t}]`,this.stack,delete this.name}get code(){return t}set code(u){Object.defineProperty(this,"code",{configurable:!0,enumerable:!0,value:u,writable:!0})}toString(){return`${this.name} [${t}]: ${this.message}`}}}mr("ERR_BUFFER_OUT_OF_BOUNDS",function(t){return t?`${t} is outside of buffer bounds`:"Attempt to access memory outside buffer bounds"},RangeError);mr("ERR_INVALID_ARG_TYPE",function(t,e){return`The "${t}" argument must be of type number. Received type ${typeof e}`},TypeError);mr("ERR_OUT_OF_RANGE",function(t,e,r){let i=`The value of "${t}" is out of range.`,u=r;return Number.isInteger(r)&&Math.abs(r)>2**32?u=nn(String(r)):typeof r=="bigint"&&(u=String(r),(r>BigInt(2)**BigInt(32)||r<-(BigInt(2)**BigInt(32)))&&(u=nn(u)),u+="n"),i+=` It must be ${e}. Received ${u}`,i},RangeError);function nn(t){let e="",r=t.length,i=t[0]==="-"?1:0;for(;r>=i+4;r-=3)e=`_${t.slice(r-3,r)}${e}`;return`${t.slice(0,r)}${e}`}function ko(t,e,r){Ke(e,"offset"),(t[e]===void 0||t[e+r]===void 0)&&ft(e,t.length-(r+1))}function gn(t,e,r,i,u,c){if(t>r||t<e){let d=typeof e=="bigint"?"n":"",w;throw c>3?e===0||e===BigInt(0)?w=`>= 0${d} and < 2${d} ** ${(c+1)*8}${d}`:w=`>= -(2${d} ** ${(c+1)*8-1}${d}) and < 2 ** ${(c+1)*8-1}${d}`:w=`>= ${e}${d} and <= ${r}${d}`,new Ye.ERR_OUT_OF_RANGE("value",w,t)}ko(i,u,c)}function Ke(t,e){if(typeof t!="number")throw new Ye.ERR_INVALID_ARG_TYPE(e,"number",t)}function ft(t,e,r){throw Math.floor(t)!==t?(Ke(t,r),new Ye.ERR_OUT_OF_RANGE(r||"offset","an integer",t)):e<0?new Ye.ERR_BUFFER_OUT_OF_BOUNDS:new Ye.ERR_OUT_OF_RANGE(r||"offset",`>= ${r?1:0} and <= ${e}`,t)}var So=/[^+/0-9A-Za-z-_]/g;function Uo(t){if(t=t.split("=")[0],t=t.trim().replace(So,""),t.length<2)return"";for(;t.length%4!==0;)t=t+"=";return t}function pr(t,e){e=e||1/0;let r,i=t.length,u=null,c=[];for(let d=0;d<i;++d){if(r=t.charCodeAt(d),r>55295&&r<57344){if(!u){if(r>56319){(e-=3)>-1&&c.push(239,191,189);continue}else if(d+1===i){(e-=3)>-1&&c.push(239,191,189);continue}u=r;continue}if(r<56320){(e-=3)>-1&&c.push(239,191,189),u=r;continue}r=(u-55296<<10|r-56320)+65536}else u&&(e-=3)>-1&&c.push(239,191,189);if(u=null,r<128){if((e-=1)<0)break;c.push(r)}else if(r<2048){if((e-=2)<0)break;c.push(r>>6|192,r&63|128)}else if(r<65536){if((e-=3)<0)break;c.push(r>>12|224,r>>6&63|128,r&63|128)}else if(r<1114112){if((e-=4)<0)break;c.push(r>>18|240,r>>12&63|128,r>>6&63|128,r&63|128)}else throw new Error("Invalid code point")}return c}function To(t){let e=[];for(let r=0;r<t.length;++r)e.push(t.charCodeAt(r)&255);return e}function Co(t,e){let r,i,u,c=[];for(let d=0;d<t.length&&!((e-=2)<0);++d)r=t.charCodeAt(d),i=r>>8,u=r%256,c.push(u),c.push(i);return c}function _n(t){return lr.toByteArray(Uo(t))}function kt(t,e,r,i){let u;for(u=0;u<i&&!(u+r>=e.length||u>=t.length);++u)e[u+r]=t[u];return u}function ke(t,e){return t instanceof e||t!=null&&t.constructor!=null&&t.constructor.name!=null&&t.constructor.name===e.name}function xr(t){return t!==t}var Do=function(){let t="0123456789abcdef",e=new Array(256);for(let r=0;r<16;++r){let i=r*16;for(let u=0;u<16;++u)e[i+u]=t[r]+t[u]}return e}();function Me(t){return typeof BigInt=="undefined"?No:t}function No(){throw new Error("BigInt not supported")}});var Oi=ut(($r,qr)=>{(function(t,e){typeof $r=="object"&&typeof qr!="undefined"?qr.exports=e():typeof define=="function"&&define.amd?define(e):(t=t||self,t.JSBI=e())})($r,function(){"use strict";var t=Math.imul,e=Math.clz32;function r(O){"@babel/helpers - typeof";return r=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(L){return typeof L}:function(L){return L&&typeof Symbol=="function"&&L.constructor===Symbol&&L!==Symbol.prototype?"symbol":typeof L},r(O)}function i(O,L){if(!(O instanceof L))throw new TypeError("Cannot call a class as a function")}function u(O,L){for(var D,_=0;_<L.length;_++)D=L[_],D.enumerable=D.enumerable||!1,D.configurable=!0,"value"in D&&(D.writable=!0),Object.defineProperty(O,D.key,D)}function c(O,L,D){return L&&u(O.prototype,L),D&&u(O,D),O}function d(O,L){if(typeof L!="function"&&L!==null)throw new TypeError("Super expression must either be null or a function");O.prototype=Object.create(L&&L.prototype,{constructor:{value:O,writable:!0,configurable:!0}}),L&&A(O,L)}function w(O){return w=Object.setPrototypeOf?Object.getPrototypeOf:function(L){return L.__proto__||Object.getPrototypeOf(L)},w(O)}function A(O,L){return A=Object.setPrototypeOf||function(D,_){return D.__proto__=_,D},A(O,L)}function I(){if(typeof Reflect=="undefined"||!Reflect.construct||Reflect.construct.sham)return!1;if(typeof Proxy=="function")return!0;try{return Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){})),!0}catch{return!1}}function C(){return C=I()?Reflect.construct:function(O,L,D){var _=[null];_.push.apply(_,L);var p=Function.bind.apply(O,_),n=new p;return D&&A(n,D.prototype),n},C.apply(null,arguments)}function S(O){return Function.toString.call(O).indexOf("[native code]")!==-1}function G(O){var L=typeof Map=="function"?new Map:void 0;return G=function(D){function _(){return C(D,arguments,w(this).constructor)}if(D===null||!S(D))return D;if(typeof D!="function")throw new TypeError("Super expression must either be null or a function");if(typeof L!="undefined"){if(L.has(D))return L.get(D);L.set(D,_)}return _.prototype=Object.create(D.prototype,{constructor:{value:_,enumerable:!1,writable:!0,configurable:!0}}),A(_,D)},G(O)}function W(O){if(O===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return O}function Q(O,L){return L&&(typeof L=="object"||typeof L=="function")?L:W(O)}function ye(O){var L=I();return function(){var D,_=w(O);if(L){var p=w(this).constructor;D=Reflect.construct(_,arguments,p)}else D=_.apply(this,arguments);return Q(this,D)}}function Ce(O,L){if(O){if(typeof O=="string")return Xe(O,L);var D=Object.prototype.toString.call(O).slice(8,-1);return D==="Object"&&O.constructor&&(D=O.constructor.name),D==="Map"||D==="Set"?Array.from(O):D==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(D)?Xe(O,L):void 0}}function Xe(O,L){(L==null||L>O.length)&&(L=O.length);for(var D=0,_=Array(L);D<L;D++)_[D]=O[D];return _}function U(O,L){var D=typeof Symbol!="undefined"&&O[Symbol.iterator]||O["@@iterator"];if(!D){if(Array.isArray(O)||(D=Ce(O))||L&&O&&typeof O.length=="number"){D&&(O=D);var _=0,p=function(){};return{s:p,n:function(){return _>=O.length?{done:!0}:{done:!1,value:O[_++]}},e:function(s){throw s},f:p}}throw new TypeError(`Invalid attempt to iterate non-iterable instance.
+In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}var n,o=!0,f=!1;return{s:function(){D=D.call(O)},n:function(){var s=D.next();return o=s.done,s},e:function(s){f=!0,n=s},f:function(){try{o||D.return==null||D.return()}finally{if(f)throw n}}}}var K=function(O){var L=Math.abs,D=Math.max;function _(n,o){var f;if(i(this,_),n>_.__kMaxLength)throw new RangeError("Maximum BigInt size exceeded");return f=p.call(this,n),f.sign=o,f}d(_,O);var p=ye(_);return c(_,[{key:"toDebugString",value:function(){var n,o=["BigInt["],f=U(this);try{for(f.s();!(n=f.n()).done;){var s=n.value;o.push((s&&(s>>>0).toString(16))+", ")}}catch(a){f.e(a)}finally{f.f()}return o.push("]"),o.join("")}},{key:"toString",value:function(){var n=0<arguments.length&&arguments[0]!==void 0?arguments[0]:10;if(2>n||36<n)throw new RangeError("toString() radix argument must be between 2 and 36");return this.length===0?"0":n&n-1?_.__toStringGeneric(this,n,!1):_.__toStringBasePowerOfTwo(this,n)}},{key:"__copy",value:function(){for(var n=new _(this.length,this.sign),o=0;o<this.length;o++)n[o]=this[o];return n}},{key:"__trim",value:function(){for(var n=this.length,o=this[n-1];o===0;)n--,o=this[n-1],this.pop();return n===0&&(this.sign=!1),this}},{key:"__initializeDigits",value:function(){for(var n=0;n<this.length;n++)this[n]=0}},{key:"__clzmsd",value:function(){return _.__clz32(this[this.length-1])}},{key:"__inplaceMultiplyAdd",value:function(n,o,f){f>this.length&&(f=this.length);for(var s=65535&n,a=n>>>16,l=0,h=65535&o,g=o>>>16,m=0;m<f;m++){var x=this.__digit(m),y=65535&x,v=x>>>16,B=_.__imul(y,s),k=_.__imul(y,a),N=_.__imul(v,s),R=_.__imul(v,a),F=h+(65535&B),M=g+l+(F>>>16)+(B>>>16)+(65535&k)+(65535&N);h=(k>>>16)+(N>>>16)+(65535&R)+(M>>>16),l=h>>>16,h&=65535,g=R>>>16,this.__setDigit(m,65535&F|M<<16)}if(l!==0||h!==0||g!==0)throw new Error("implementation bug")}},{key:"__inplaceAdd",value:function(n,o,f){for(var s,a=0,l=0;l<f;l++)s=this.__halfDigit(o+l)+n.__halfDigit(l)+a,a=s>>>16,this.__setHalfDigit(o+l,s);return a}},{key:"__inplaceSub",value:function(n,o,f){var s=0;if(1&o){o>>=1;for(var a=this.__digit(o),l=65535&a,h=0;h<f-1>>>1;h++){var g=n.__digit(h),m=(a>>>16)-(65535&g)-s;s=1&m>>>16,this.__setDigit(o+h,m<<16|65535&l),a=this.__digit(o+h+1),l=(65535&a)-(g>>>16)-s,s=1&l>>>16}var x=n.__digit(h),y=(a>>>16)-(65535&x)-s;if(s=1&y>>>16,this.__setDigit(o+h,y<<16|65535&l),o+h+1>=this.length)throw new RangeError("out of bounds");!(1&f)&&(a=this.__digit(o+h+1),l=(65535&a)-(x>>>16)-s,s=1&l>>>16,this.__setDigit(o+n.length,4294901760&a|65535&l))}else{o>>=1;for(var v=0;v<n.length-1;v++){var B=this.__digit(o+v),k=n.__digit(v),N=(65535&B)-(65535&k)-s;s=1&N>>>16;var R=(B>>>16)-(k>>>16)-s;s=1&R>>>16,this.__setDigit(o+v,R<<16|65535&N)}var F=this.__digit(o+v),M=n.__digit(v),z=(65535&F)-(65535&M)-s;s=1&z>>>16;var V=0;!(1&f)&&(V=(F>>>16)-(M>>>16)-s,s=1&V>>>16),this.__setDigit(o+v,V<<16|65535&z)}return s}},{key:"__inplaceRightShift",value:function(n){if(n!==0){for(var o,f=this.__digit(0)>>>n,s=this.length-1,a=0;a<s;a++)o=this.__digit(a+1),this.__setDigit(a,o<<32-n|f),f=o>>>n;this.__setDigit(s,f)}}},{key:"__digit",value:function(n){return this[n]}},{key:"__unsignedDigit",value:function(n){return this[n]>>>0}},{key:"__setDigit",value:function(n,o){this[n]=0|o}},{key:"__setDigitGrow",value:function(n,o){this[n]=0|o}},{key:"__halfDigitLength",value:function(){var n=this.length;return 65535>=this.__unsignedDigit(n-1)?2*n-1:2*n}},{key:"__halfDigit",value:function(n){return 65535&this[n>>>1]>>>((1&n)<<4)}},{key:"__setHalfDigit",value:function(n,o){var f=n>>>1,s=this.__digit(f),a=1&n?65535&s|o<<16:4294901760&s|65535&o;this.__setDigit(f,a)}}],[{key:"BigInt",value:function(n){var o=Math.floor,f=Number.isFinite;if(typeof n=="number"){if(n===0)return _.__zero();if((0|n)===n)return 0>n?_.__oneDigit(-n,!0):_.__oneDigit(n,!1);if(!f(n)||o(n)!==n)throw new RangeError("The number "+n+" cannot be converted to BigInt because it is not an integer");return _.__fromDouble(n)}if(typeof n=="string"){var s=_.__fromString(n);if(s===null)throw new SyntaxError("Cannot convert "+n+" to a BigInt");return s}if(typeof n=="boolean")return n===!0?_.__oneDigit(1,!1):_.__zero();if(r(n)==="object"){if(n.constructor===_)return n;var a=_.__toPrimitive(n);return _.BigInt(a)}throw new TypeError("Cannot convert "+n+" to a BigInt")}},{key:"toNumber",value:function(n){var o=n.length;if(o===0)return 0;if(o===1){var f=n.__unsignedDigit(0);return n.sign?-f:f}var s=n.__digit(o-1),a=_.__clz32(s),l=32*o-a;if(1024<l)return n.sign?-1/0:1/0;var h=l-1,g=s,m=o-1,x=a+1,y=x===32?0:g<<x;y>>>=12;var v=x-12,B=12<=x?0:g<<20+x,k=20+x;0<v&&0<m&&(m--,g=n.__digit(m),y|=g>>>32-v,B=g<<v,k=v),0<k&&0<m&&(m--,g=n.__digit(m),B|=g>>>32-k,k-=32);var N=_.__decideRounding(n,k,m,g);if((N===1||N===0&&(1&B)==1)&&(B=B+1>>>0,B===0&&(y++,y>>>20!=0&&(y=0,h++,1023<h))))return n.sign?-1/0:1/0;var R=n.sign?-2147483648:0;return h=h+1023<<20,_.__kBitConversionInts[1]=R|h|y,_.__kBitConversionInts[0]=B,_.__kBitConversionDouble[0]}},{key:"unaryMinus",value:function(n){if(n.length===0)return n;var o=n.__copy();return o.sign=!n.sign,o}},{key:"bitwiseNot",value:function(n){return n.sign?_.__absoluteSubOne(n).__trim():_.__absoluteAddOne(n,!0)}},{key:"exponentiate",value:function(n,o){if(o.sign)throw new RangeError("Exponent must be positive");if(o.length===0)return _.__oneDigit(1,!1);if(n.length===0)return n;if(n.length===1&&n.__digit(0)===1)return n.sign&&!(1&o.__digit(0))?_.unaryMinus(n):n;if(1<o.length)throw new RangeError("BigInt too big");var f=o.__unsignedDigit(0);if(f===1)return n;if(f>=_.__kMaxLengthBits)throw new RangeError("BigInt too big");if(n.length===1&&n.__digit(0)===2){var s=1+(f>>>5),a=n.sign&&(1&f)!=0,l=new _(s,a);l.__initializeDigits();var h=1<<(31&f);return l.__setDigit(s-1,h),l}var g=null,m=n;for(1&f&&(g=n),f>>=1;f!==0;f>>=1)m=_.multiply(m,m),1&f&&(g===null?g=m:g=_.multiply(g,m));return g}},{key:"multiply",value:function(n,o){if(n.length===0)return n;if(o.length===0)return o;var f=n.length+o.length;32<=n.__clzmsd()+o.__clzmsd()&&f--;var s=new _(f,n.sign!==o.sign);s.__initializeDigits();for(var a=0;a<n.length;a++)_.__multiplyAccumulate(o,n.__digit(a),s,a);return s.__trim()}},{key:"divide",value:function(n,o){if(o.length===0)throw new RangeError("Division by zero");if(0>_.__absoluteCompare(n,o))return _.__zero();var f,s=n.sign!==o.sign,a=o.__unsignedDigit(0);if(o.length===1&&65535>=a){if(a===1)return s===n.sign?n:_.unaryMinus(n);f=_.__absoluteDivSmall(n,a,null)}else f=_.__absoluteDivLarge(n,o,!0,!1);return f.sign=s,f.__trim()}},{key:"remainder",value:function(o,f){if(f.length===0)throw new RangeError("Division by zero");if(0>_.__absoluteCompare(o,f))return o;var s=f.__unsignedDigit(0);if(f.length===1&&65535>=s){if(s===1)return _.__zero();var a=_.__absoluteModSmall(o,s);return a===0?_.__zero():_.__oneDigit(a,o.sign)}var l=_.__absoluteDivLarge(o,f,!1,!0);return l.sign=o.sign,l.__trim()}},{key:"add",value:function(n,o){var f=n.sign;return f===o.sign?_.__absoluteAdd(n,o,f):0<=_.__absoluteCompare(n,o)?_.__absoluteSub(n,o,f):_.__absoluteSub(o,n,!f)}},{key:"subtract",value:function(n,o){var f=n.sign;return f===o.sign?0<=_.__absoluteCompare(n,o)?_.__absoluteSub(n,o,f):_.__absoluteSub(o,n,!f):_.__absoluteAdd(n,o,f)}},{key:"leftShift",value:function(n,o){return o.length===0||n.length===0?n:o.sign?_.__rightShiftByAbsolute(n,o):_.__leftShiftByAbsolute(n,o)}},{key:"signedRightShift",value:function(n,o){return o.length===0||n.length===0?n:o.sign?_.__leftShiftByAbsolute(n,o):_.__rightShiftByAbsolute(n,o)}},{key:"unsignedRightShift",value:function(){throw new TypeError("BigInts have no unsigned right shift; use >> instead")}},{key:"lessThan",value:function(n,o){return 0>_.__compareToBigInt(n,o)}},{key:"lessThanOrEqual",value:function(n,o){return 0>=_.__compareToBigInt(n,o)}},{key:"greaterThan",value:function(n,o){return 0<_.__compareToBigInt(n,o)}},{key:"greaterThanOrEqual",value:function(n,o){return 0<=_.__compareToBigInt(n,o)}},{key:"equal",value:function(n,o){if(n.sign!==o.sign||n.length!==o.length)return!1;for(var f=0;f<n.length;f++)if(n.__digit(f)!==o.__digit(f))return!1;return!0}},{key:"notEqual",value:function(n,o){return!_.equal(n,o)}},{key:"bitwiseAnd",value:function(n,o){if(!n.sign&&!o.sign)return _.__absoluteAnd(n,o).__trim();if(n.sign&&o.sign){var f=D(n.length,o.length)+1,s=_.__absoluteSubOne(n,f),a=_.__absoluteSubOne(o);return s=_.__absoluteOr(s,a,s),_.__absoluteAddOne(s,!0,s).__trim()}if(n.sign){var l=[o,n];n=l[0],o=l[1]}return _.__absoluteAndNot(n,_.__absoluteSubOne(o)).__trim()}},{key:"bitwiseXor",value:function(n,o){if(!n.sign&&!o.sign)return _.__absoluteXor(n,o).__trim();if(n.sign&&o.sign){var f=D(n.length,o.length),s=_.__absoluteSubOne(n,f),a=_.__absoluteSubOne(o);return _.__absoluteXor(s,a,s).__trim()}var l=D(n.length,o.length)+1;if(n.sign){var h=[o,n];n=h[0],o=h[1]}var g=_.__absoluteSubOne(o,l);return g=_.__absoluteXor(g,n,g),_.__absoluteAddOne(g,!0,g).__trim()}},{key:"bitwiseOr",value:function(n,o){var f=D(n.length,o.length);if(!n.sign&&!o.sign)return _.__absoluteOr(n,o).__trim();if(n.sign&&o.sign){var s=_.__absoluteSubOne(n,f),a=_.__absoluteSubOne(o);return s=_.__absoluteAnd(s,a,s),_.__absoluteAddOne(s,!0,s).__trim()}if(n.sign){var l=[o,n];n=l[0],o=l[1]}var h=_.__absoluteSubOne(o,f);return h=_.__absoluteAndNot(h,n,h),_.__absoluteAddOne(h,!0,h).__trim()}},{key:"asIntN",value:function(n,o){if(o.length===0)return o;if(n===0)return _.__zero();if(n>=_.__kMaxLengthBits)return o;var f=n+31>>>5;if(o.length<f)return o;var s=o.__unsignedDigit(f-1),a=1<<(31&n-1);if(o.length===f&&s<a)return o;if((s&a)!==a)return _.__truncateToNBits(n,o);if(!o.sign)return _.__truncateAndSubFromPowerOfTwo(n,o,!0);if(!(s&a-1)){for(var l=f-2;0<=l;l--)if(o.__digit(l)!==0)return _.__truncateAndSubFromPowerOfTwo(n,o,!1);return o.length===f&&s===a?o:_.__truncateToNBits(n,o)}return _.__truncateAndSubFromPowerOfTwo(n,o,!1)}},{key:"asUintN",value:function(n,o){if(o.length===0)return o;if(n===0)return _.__zero();if(o.sign){if(n>_.__kMaxLengthBits)throw new RangeError("BigInt too big");return _.__truncateAndSubFromPowerOfTwo(n,o,!1)}if(n>=_.__kMaxLengthBits)return o;var f=n+31>>>5;if(o.length<f)return o;var s=31&n;if(o.length==f){if(s===0)return o;var a=o.__digit(f-1);if(!(a>>>s))return o}return _.__truncateToNBits(n,o)}},{key:"ADD",value:function(n,o){if(n=_.__toPrimitive(n),o=_.__toPrimitive(o),typeof n=="string")return typeof o!="string"&&(o=o.toString()),n+o;if(typeof o=="string")return n.toString()+o;if(n=_.__toNumeric(n),o=_.__toNumeric(o),_.__isBigInt(n)&&_.__isBigInt(o))return _.add(n,o);if(typeof n=="number"&&typeof o=="number")return n+o;throw new TypeError("Cannot mix BigInt and other types, use explicit conversions")}},{key:"LT",value:function(n,o){return _.__compare(n,o,0)}},{key:"LE",value:function(n,o){return _.__compare(n,o,1)}},{key:"GT",value:function(n,o){return _.__compare(n,o,2)}},{key:"GE",value:function(n,o){return _.__compare(n,o,3)}},{key:"EQ",value:function(n,o){for(;;){if(_.__isBigInt(n))return _.__isBigInt(o)?_.equal(n,o):_.EQ(o,n);if(typeof n=="number"){if(_.__isBigInt(o))return _.__equalToNumber(o,n);if(r(o)!=="object")return n==o;o=_.__toPrimitive(o)}else if(typeof n=="string"){if(_.__isBigInt(o))return n=_.__fromString(n),n!==null&&_.equal(n,o);if(r(o)!=="object")return n==o;o=_.__toPrimitive(o)}else if(typeof n=="boolean"){if(_.__isBigInt(o))return _.__equalToNumber(o,+n);if(r(o)!=="object")return n==o;o=_.__toPrimitive(o)}else if(r(n)==="symbol"){if(_.__isBigInt(o))return!1;if(r(o)!=="object")return n==o;o=_.__toPrimitive(o)}else if(r(n)==="object"){if(r(o)==="object"&&o.constructor!==_)return n==o;n=_.__toPrimitive(n)}else return n==o}}},{key:"NE",value:function(n,o){return!_.EQ(n,o)}},{key:"__zero",value:function(){return new _(0,!1)}},{key:"__oneDigit",value:function(n,o){var f=new _(1,o);return f.__setDigit(0,n),f}},{key:"__decideRounding",value:function(n,o,f,s){if(0<o)return-1;var a;if(0>o)a=-o-1;else{if(f===0)return-1;f--,s=n.__digit(f),a=31}var l=1<<a;if(!(s&l))return-1;if(l-=1,(s&l)!=0)return 1;for(;0<f;)if(f--,n.__digit(f)!==0)return 1;return 0}},{key:"__fromDouble",value:function(n){_.__kBitConversionDouble[0]=n;var o,f=2047&_.__kBitConversionInts[1]>>>20,s=f-1023,a=(s>>>5)+1,l=new _(a,0>n),h=1048575&_.__kBitConversionInts[1]|1048576,g=_.__kBitConversionInts[0],m=20,x=31&s,y=0;if(x<m){var v=m-x;y=v+32,o=h>>>v,h=h<<32-v|g>>>v,g<<=32-v}else if(x===m)y=32,o=h,h=g;else{var B=x-m;y=32-B,o=h<<B|g>>>32-B,h=g<<B}l.__setDigit(a-1,o);for(var k=a-2;0<=k;k--)0<y?(y-=32,o=h,h=g):o=0,l.__setDigit(k,o);return l.__trim()}},{key:"__isWhitespace",value:function(n){return 13>=n&&9<=n||(159>=n?n==32:131071>=n?n==160||n==5760:196607>=n?(n&=131071,10>=n||n==40||n==41||n==47||n==95||n==4096):n==65279)}},{key:"__fromString",value:function(n){var o=1<arguments.length&&arguments[1]!==void 0?arguments[1]:0,f=0,s=n.length,a=0;if(a===s)return _.__zero();for(var l=n.charCodeAt(a);_.__isWhitespace(l);){if(++a===s)return _.__zero();l=n.charCodeAt(a)}if(l===43){if(++a===s)return null;l=n.charCodeAt(a),f=1}else if(l===45){if(++a===s)return null;l=n.charCodeAt(a),f=-1}if(o===0){if(o=10,l===48){if(++a===s)return _.__zero();if(l=n.charCodeAt(a),l===88||l===120){if(o=16,++a===s)return null;l=n.charCodeAt(a)}else if(l===79||l===111){if(o=8,++a===s)return null;l=n.charCodeAt(a)}else if(l===66||l===98){if(o=2,++a===s)return null;l=n.charCodeAt(a)}}}else if(o===16&&l===48){if(++a===s)return _.__zero();if(l=n.charCodeAt(a),l===88||l===120){if(++a===s)return null;l=n.charCodeAt(a)}}for(;l===48;){if(++a===s)return _.__zero();l=n.charCodeAt(a)}var h=s-a,g=_.__kMaxBitsPerChar[o],m=_.__kBitsPerCharTableMultiplier-1;if(h>1073741824/g)return null;var x=g*h+m>>>_.__kBitsPerCharTableShift,y=new _(x+31>>>5,!1),v=10>o?o:10,B=10<o?o-10:0;if(o&o-1){y.__initializeDigits();var V=!1,Z=0;do{for(var fe,ne=0,De=1;;){if(fe=void 0,l-48>>>0<v)fe=l-48;else if((32|l)-97>>>0<B)fe=(32|l)-87;else{V=!0;break}var oe=De*o;if(4294967295<oe)break;if(De=oe,ne=ne*o+fe,Z++,++a===s){V=!0;break}l=n.charCodeAt(a)}m=32*_.__kBitsPerCharTableMultiplier-1;var ie=g*Z+m>>>_.__kBitsPerCharTableShift+5;y.__inplaceMultiplyAdd(De,ne,ie)}while(!V)}else{g>>=_.__kBitsPerCharTableShift;var k=[],N=[],R=!1;do{for(var F,M=0,z=0;;){if(F=void 0,l-48>>>0<v)F=l-48;else if((32|l)-97>>>0<B)F=(32|l)-87;else{R=!0;break}if(z+=g,M=M<<g|F,++a===s){R=!0;break}if(l=n.charCodeAt(a),32<z+g)break}k.push(M),N.push(z)}while(!R);_.__fillFromParts(y,k,N)}if(a!==s){if(!_.__isWhitespace(l))return null;for(a++;a<s;a++)if(l=n.charCodeAt(a),!_.__isWhitespace(l))return null}return f!==0&&o!==10?null:(y.sign=f===-1,y.__trim())}},{key:"__fillFromParts",value:function(n,o,f){for(var s=0,a=0,l=0,h=o.length-1;0<=h;h--){var g=o[h],m=f[h];a|=g<<l,l+=m,l===32?(n.__setDigit(s++,a),l=0,a=0):32<l&&(n.__setDigit(s++,a),l-=32,a=g>>>m-l)}if(a!==0){if(s>=n.length)throw new Error("implementation bug");n.__setDigit(s++,a)}for(;s<n.length;s++)n.__setDigit(s,0)}},{key:"__toStringBasePowerOfTwo",value:function(n,o){var f=n.length,s=o-1;s=(85&s>>>1)+(85&s),s=(51&s>>>2)+(51&s),s=(15&s>>>4)+(15&s);var a=s,l=o-1,h=n.__digit(f-1),g=_.__clz32(h),m=0|(32*f-g+a-1)/a;if(n.sign&&m++,268435456<m)throw new Error("string too long");for(var x=Array(m),y=m-1,v=0,B=0,k=0;k<f-1;k++){var N=n.__digit(k),R=(v|N<<B)&l;x[y--]=_.__kConversionChars[R];var F=a-B;for(v=N>>>F,B=32-F;B>=a;)x[y--]=_.__kConversionChars[v&l],v>>>=a,B-=a}var M=(v|h<<B)&l;for(x[y--]=_.__kConversionChars[M],v=h>>>a-B;v!==0;)x[y--]=_.__kConversionChars[v&l],v>>>=a;if(n.sign&&(x[y--]="-"),y!==-1)throw new Error("implementation bug");return x.join("")}},{key:"__toStringGeneric",value:function(n,o,f){var s=n.length;if(s===0)return"";if(s===1){var a=n.__unsignedDigit(0).toString(o);return f===!1&&n.sign&&(a="-"+a),a}var l=32*s-_.__clz32(n.__digit(s-1)),h=_.__kMaxBitsPerChar[o],g=h-1,m=l*_.__kBitsPerCharTableMultiplier;m+=g-1,m=0|m/g;var x,y,v=m+1>>1,B=_.exponentiate(_.__oneDigit(o,!1),_.__oneDigit(v,!1)),k=B.__unsignedDigit(0);if(B.length===1&&65535>=k){x=new _(n.length,!1),x.__initializeDigits();for(var N,R=0,F=2*n.length-1;0<=F;F--)N=R<<16|n.__halfDigit(F),x.__setHalfDigit(F,0|N/k),R=0|N%k;y=R.toString(o)}else{var M=_.__absoluteDivLarge(n,B,!0,!0);x=M.quotient;var z=M.remainder.__trim();y=_.__toStringGeneric(z,o,!0)}x.__trim();for(var V=_.__toStringGeneric(x,o,!0);y.length<v;)y="0"+y;return f===!1&&n.sign&&(V="-"+V),V+y}},{key:"__unequalSign",value:function(n){return n?-1:1}},{key:"__absoluteGreater",value:function(n){return n?-1:1}},{key:"__absoluteLess",value:function(n){return n?1:-1}},{key:"__compareToBigInt",value:function(n,o){var f=n.sign;if(f!==o.sign)return _.__unequalSign(f);var s=_.__absoluteCompare(n,o);return 0<s?_.__absoluteGreater(f):0>s?_.__absoluteLess(f):0}},{key:"__compareToNumber",value:function(n,o){if(!0|o){var f=n.sign,s=0>o;if(f!==s)return _.__unequalSign(f);if(n.length===0){if(s)throw new Error("implementation bug");return o===0?0:-1}if(1<n.length)return _.__absoluteGreater(f);var a=L(o),l=n.__unsignedDigit(0);return l>a?_.__absoluteGreater(f):l<a?_.__absoluteLess(f):0}return _.__compareToDouble(n,o)}},{key:"__compareToDouble",value:function(n,o){if(o!==o)return o;if(o===1/0)return-1;if(o===-1/0)return 1;var f=n.sign;if(f!==0>o)return _.__unequalSign(f);if(o===0)throw new Error("implementation bug: should be handled elsewhere");if(n.length===0)return-1;_.__kBitConversionDouble[0]=o;var s=2047&_.__kBitConversionInts[1]>>>20;if(s==2047)throw new Error("implementation bug: handled elsewhere");var a=s-1023;if(0>a)return _.__absoluteGreater(f);var l=n.length,h=n.__digit(l-1),g=_.__clz32(h),m=32*l-g,x=a+1;if(m<x)return _.__absoluteLess(f);if(m>x)return _.__absoluteGreater(f);var y=1048576|1048575&_.__kBitConversionInts[1],v=_.__kBitConversionInts[0],B=20,k=31-g;if(k!==(m-1)%31)throw new Error("implementation bug");var N,R=0;if(k<B){var F=B-k;R=F+32,N=y>>>F,y=y<<32-F|v>>>F,v<<=32-F}else if(k===B)R=32,N=y,y=v;else{var M=k-B;R=32-M,N=y<<M|v>>>32-M,y=v<<M}if(h>>>=0,N>>>=0,h>N)return _.__absoluteGreater(f);if(h<N)return _.__absoluteLess(f);for(var z=l-2;0<=z;z--){0<R?(R-=32,N=y>>>0,y=v,v=0):N=0;var V=n.__unsignedDigit(z);if(V>N)return _.__absoluteGreater(f);if(V<N)return _.__absoluteLess(f)}if(y!==0||v!==0){if(R===0)throw new Error("implementation bug");return _.__absoluteLess(f)}return 0}},{key:"__equalToNumber",value:function(n,o){return o|o===0?o===0?n.length===0:n.length===1&&n.sign===0>o&&n.__unsignedDigit(0)===L(o):_.__compareToDouble(n,o)===0}},{key:"__comparisonResultToBool",value:function(n,o){switch(o){case 0:return 0>n;case 1:return 0>=n;case 2:return 0<n;case 3:return 0<=n}throw new Error("unreachable")}},{key:"__compare",value:function(n,o,f){if(n=_.__toPrimitive(n),o=_.__toPrimitive(o),typeof n=="string"&&typeof o=="string")switch(f){case 0:return n<o;case 1:return n<=o;case 2:return n>o;case 3:return n>=o}if(_.__isBigInt(n)&&typeof o=="string")return o=_.__fromString(o),o!==null&&_.__comparisonResultToBool(_.__compareToBigInt(n,o),f);if(typeof n=="string"&&_.__isBigInt(o))return n=_.__fromString(n),n!==null&&_.__comparisonResultToBool(_.__compareToBigInt(n,o),f);if(n=_.__toNumeric(n),o=_.__toNumeric(o),_.__isBigInt(n)){if(_.__isBigInt(o))return _.__comparisonResultToBool(_.__compareToBigInt(n,o),f);if(typeof o!="number")throw new Error("implementation bug");return _.__comparisonResultToBool(_.__compareToNumber(n,o),f)}if(typeof n!="number")throw new Error("implementation bug");if(_.__isBigInt(o))return _.__comparisonResultToBool(_.__compareToNumber(o,n),2^f);if(typeof o!="number")throw new Error("implementation bug");return f===0?n<o:f===1?n<=o:f===2?n>o:f===3?n>=o:void 0}},{key:"__absoluteAdd",value:function(n,o,f){if(n.length<o.length)return _.__absoluteAdd(o,n,f);if(n.length===0)return n;if(o.length===0)return n.sign===f?n:_.unaryMinus(n);var s=n.length;(n.__clzmsd()===0||o.length===n.length&&o.__clzmsd()===0)&&s++;for(var a=new _(s,f),l=0,h=0;h<o.length;h++){var g=o.__digit(h),m=n.__digit(h),x=(65535&m)+(65535&g)+l,y=(m>>>16)+(g>>>16)+(x>>>16);l=y>>>16,a.__setDigit(h,65535&x|y<<16)}for(;h<n.length;h++){var v=n.__digit(h),B=(65535&v)+l,k=(v>>>16)+(B>>>16);l=k>>>16,a.__setDigit(h,65535&B|k<<16)}return h<a.length&&a.__setDigit(h,l),a.__trim()}},{key:"__absoluteSub",value:function(n,o,f){if(n.length===0)return n;if(o.length===0)return n.sign===f?n:_.unaryMinus(n);for(var s=new _(n.length,f),a=0,l=0;l<o.length;l++){var h=n.__digit(l),g=o.__digit(l),m=(65535&h)-(65535&g)-a;a=1&m>>>16;var x=(h>>>16)-(g>>>16)-a;a=1&x>>>16,s.__setDigit(l,65535&m|x<<16)}for(;l<n.length;l++){var y=n.__digit(l),v=(65535&y)-a;a=1&v>>>16;var B=(y>>>16)-a;a=1&B>>>16,s.__setDigit(l,65535&v|B<<16)}return s.__trim()}},{key:"__absoluteAddOne",value:function(n,o){var f=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null,s=n.length;f===null?f=new _(s,o):f.sign=o;for(var a,l=!0,h=0;h<s;h++){if(a=n.__digit(h),l){var g=a===-1;a=0|a+1,l=g}f.__setDigit(h,a)}return l&&f.__setDigitGrow(s,1),f}},{key:"__absoluteSubOne",value:function(n,o){var f=n.length;o=o||f;for(var s,a=new _(o,!1),l=!0,h=0;h<f;h++){if(s=n.__digit(h),l){var g=s===0;s=0|s-1,l=g}a.__setDigit(h,s)}if(l)throw new Error("implementation bug");for(var m=f;m<o;m++)a.__setDigit(m,0);return a}},{key:"__absoluteAnd",value:function(n,o){var f=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null,s=n.length,a=o.length,l=a;if(s<a){l=s;var h=n,g=s;n=o,s=a,o=h,a=g}var m=l;f===null?f=new _(m,!1):m=f.length;for(var x=0;x<l;x++)f.__setDigit(x,n.__digit(x)&o.__digit(x));for(;x<m;x++)f.__setDigit(x,0);return f}},{key:"__absoluteAndNot",value:function(n,o){var f=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null,s=n.length,a=o.length,l=a;s<a&&(l=s);var h=s;f===null?f=new _(h,!1):h=f.length;for(var g=0;g<l;g++)f.__setDigit(g,n.__digit(g)&~o.__digit(g));for(;g<s;g++)f.__setDigit(g,n.__digit(g));for(;g<h;g++)f.__setDigit(g,0);return f}},{key:"__absoluteOr",value:function(n,o){var f=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null,s=n.length,a=o.length,l=a;if(s<a){l=s;var h=n,g=s;n=o,s=a,o=h,a=g}var m=s;f===null?f=new _(m,!1):m=f.length;for(var x=0;x<l;x++)f.__setDigit(x,n.__digit(x)|o.__digit(x));for(;x<s;x++)f.__setDigit(x,n.__digit(x));for(;x<m;x++)f.__setDigit(x,0);return f}},{key:"__absoluteXor",value:function(n,o){var f=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null,s=n.length,a=o.length,l=a;if(s<a){l=s;var h=n,g=s;n=o,s=a,o=h,a=g}var m=s;f===null?f=new _(m,!1):m=f.length;for(var x=0;x<l;x++)f.__setDigit(x,n.__digit(x)^o.__digit(x));for(;x<s;x++)f.__setDigit(x,n.__digit(x));for(;x<m;x++)f.__setDigit(x,0);return f}},{key:"__absoluteCompare",value:function(n,o){var f=n.length-o.length;if(f!=0)return f;for(var s=n.length-1;0<=s&&n.__digit(s)===o.__digit(s);)s--;return 0>s?0:n.__unsignedDigit(s)>o.__unsignedDigit(s)?1:-1}},{key:"__multiplyAccumulate",value:function(n,o,f,s){if(o!==0){for(var a=65535&o,l=o>>>16,h=0,g=0,m=0,x=0;x<n.length;x++,s++){var y=f.__digit(s),v=65535&y,B=y>>>16,k=n.__digit(x),N=65535&k,R=k>>>16,F=_.__imul(N,a),M=_.__imul(N,l),z=_.__imul(R,a),V=_.__imul(R,l);v+=g+(65535&F),B+=m+h+(v>>>16)+(F>>>16)+(65535&M)+(65535&z),h=B>>>16,g=(M>>>16)+(z>>>16)+(65535&V)+h,h=g>>>16,g&=65535,m=V>>>16,y=65535&v|B<<16,f.__setDigit(s,y)}for(;h!==0||g!==0||m!==0;s++){var Z=f.__digit(s),fe=(65535&Z)+g,ne=(Z>>>16)+(fe>>>16)+m+h;g=0,m=0,h=ne>>>16,Z=65535&fe|ne<<16,f.__setDigit(s,Z)}}}},{key:"__internalMultiplyAdd",value:function(n,o,f,s,a){for(var l=f,h=0,g=0;g<s;g++){var m=n.__digit(g),x=_.__imul(65535&m,o),y=(65535&x)+h+l;l=y>>>16;var v=_.__imul(m>>>16,o),B=(65535&v)+(x>>>16)+l;l=B>>>16,h=v>>>16,a.__setDigit(g,B<<16|65535&y)}if(a.length>s)for(a.__setDigit(s++,l+h);s<a.length;)a.__setDigit(s++,0);else if(l+h!==0)throw new Error("implementation bug")}},{key:"__absoluteDivSmall",value:function(n,o,f){f===null&&(f=new _(n.length,!1));for(var s=0,a=2*n.length-1;0<=a;a-=2){var l=(s<<16|n.__halfDigit(a))>>>0,h=0|l/o;s=0|l%o,l=(s<<16|n.__halfDigit(a-1))>>>0;var g=0|l/o;s=0|l%o,f.__setDigit(a>>>1,h<<16|g)}return f}},{key:"__absoluteModSmall",value:function(n,o){for(var f,s=0,a=2*n.length-1;0<=a;a--)f=(s<<16|n.__halfDigit(a))>>>0,s=0|f%o;return s}},{key:"__absoluteDivLarge",value:function(n,o,f,s){var a=o.__halfDigitLength(),l=o.length,h=n.__halfDigitLength()-a,g=null;f&&(g=new _(h+2>>>1,!1),g.__initializeDigits());var m=new _(a+2>>>1,!1);m.__initializeDigits();var x=_.__clz16(o.__halfDigit(a-1));0<x&&(o=_.__specialLeftShift(o,x,0));for(var y=_.__specialLeftShift(n,x,1),v=o.__halfDigit(a-1),B=0,k=h;0<=k;k--){var N=65535,R=y.__halfDigit(k+a);if(R!==v){var F=(R<<16|y.__halfDigit(k+a-1))>>>0;N=0|F/v;for(var M=0|F%v,z=o.__halfDigit(a-2),V=y.__halfDigit(k+a-2);_.__imul(N,z)>>>0>(M<<16|V)>>>0&&(N--,M+=v,!(65535<M)););}_.__internalMultiplyAdd(o,N,0,l,m);var Z=y.__inplaceSub(m,k,a+1);Z!==0&&(Z=y.__inplaceAdd(o,k,a),y.__setHalfDigit(k+a,y.__halfDigit(k+a)+Z),N--),f&&(1&k?B=N<<16:g.__setDigit(k>>>1,B|N))}return s?(y.__inplaceRightShift(x),f?{quotient:g,remainder:y}:y):f?g:void 0}},{key:"__clz16",value:function(n){return _.__clz32(n)-16}},{key:"__specialLeftShift",value:function(n,o,f){var s=n.length,a=new _(s+f,!1);if(o===0){for(var l=0;l<s;l++)a.__setDigit(l,n.__digit(l));return 0<f&&a.__setDigit(s,0),a}for(var h,g=0,m=0;m<s;m++)h=n.__digit(m),a.__setDigit(m,h<<o|g),g=h>>>32-o;return 0<f&&a.__setDigit(s,g),a}},{key:"__leftShiftByAbsolute",value:function(n,o){var f=_.__toShiftAmount(o);if(0>f)throw new RangeError("BigInt too big");var s=f>>>5,a=31&f,l=n.length,h=a!==0&&n.__digit(l-1)>>>32-a!=0,g=l+s+(h?1:0),m=new _(g,n.sign);if(a===0){for(var x=0;x<s;x++)m.__setDigit(x,0);for(;x<g;x++)m.__setDigit(x,n.__digit(x-s))}else{for(var y=0,v=0;v<s;v++)m.__setDigit(v,0);for(var B,k=0;k<l;k++)B=n.__digit(k),m.__setDigit(k+s,B<<a|y),y=B>>>32-a;if(h)m.__setDigit(l+s,y);else if(y!==0)throw new Error("implementation bug")}return m.__trim()}},{key:"__rightShiftByAbsolute",value:function(n,o){var f=n.length,s=n.sign,a=_.__toShiftAmount(o);if(0>a)return _.__rightShiftByMaximum(s);var l=a>>>5,h=31&a,g=f-l;if(0>=g)return _.__rightShiftByMaximum(s);var m=!1;if(s){if(n.__digit(l)&(1<<h)-1)m=!0;else for(var x=0;x<l;x++)if(n.__digit(x)!==0){m=!0;break}}if(m&&h===0){var y=n.__digit(f-1);!~y&&g++}var v=new _(g,s);if(h===0)for(var B=l;B<f;B++)v.__setDigit(B-l,n.__digit(B));else{for(var k,N=n.__digit(l)>>>h,R=f-l-1,F=0;F<R;F++)k=n.__digit(F+l+1),v.__setDigit(F,k<<32-h|N),N=k>>>h;v.__setDigit(R,N)}return m&&(v=_.__absoluteAddOne(v,!0,v)),v.__trim()}},{key:"__rightShiftByMaximum",value:function(n){return n?_.__oneDigit(1,!0):_.__zero()}},{key:"__toShiftAmount",value:function(n){if(1<n.length)return-1;var o=n.__unsignedDigit(0);return o>_.__kMaxLengthBits?-1:o}},{key:"__toPrimitive",value:function(n){var o=1<arguments.length&&arguments[1]!==void 0?arguments[1]:"default";if(r(n)!=="object"||n.constructor===_)return n;var f=n[Symbol.toPrimitive];if(f){var s=f(o);if(r(s)!=="object")return s;throw new TypeError("Cannot convert object to primitive value")}var a=n.valueOf;if(a){var l=a.call(n);if(r(l)!=="object")return l}var h=n.toString;if(h){var g=h.call(n);if(r(g)!=="object")return g}throw new TypeError("Cannot convert object to primitive value")}},{key:"__toNumeric",value:function(n){return _.__isBigInt(n)?n:+n}},{key:"__isBigInt",value:function(n){return r(n)==="object"&&n!==null&&n.constructor===_}},{key:"__truncateToNBits",value:function(n,o){for(var f=n+31>>>5,s=new _(f,o.sign),a=f-1,l=0;l<a;l++)s.__setDigit(l,o.__digit(l));var h=o.__digit(a);if(31&n){var g=32-(31&n);h=h<<g>>>g}return s.__setDigit(a,h),s.__trim()}},{key:"__truncateAndSubFromPowerOfTwo",value:function(n,o,f){for(var s=Math.min,a=n+31>>>5,l=new _(a,f),h=0,g=a-1,m=0,x=s(g,o.length);h<x;h++){var y=o.__digit(h),v=0-(65535&y)-m;m=1&v>>>16;var B=0-(y>>>16)-m;m=1&B>>>16,l.__setDigit(h,65535&v|B<<16)}for(;h<g;h++)l.__setDigit(h,0|-m);var k,N=g<o.length?o.__digit(g):0,R=31&n;if(R===0){var F=0-(65535&N)-m;m=1&F>>>16;var M=0-(N>>>16)-m;k=65535&F|M<<16}else{var z=32-R;N=N<<z>>>z;var V=1<<32-z,Z=(65535&V)-(65535&N)-m;m=1&Z>>>16;var fe=(V>>>16)-(N>>>16)-m;k=65535&Z|fe<<16,k&=V-1}return l.__setDigit(g,k),l.__trim()}},{key:"__digitPow",value:function(n,o){for(var f=1;0<o;)1&o&&(f*=n),o>>>=1,n*=n;return f}}]),_}(G(Array));return K.__kMaxLength=33554432,K.__kMaxLengthBits=K.__kMaxLength<<5,K.__kMaxBitsPerChar=[0,0,32,51,64,75,83,90,96,102,107,111,115,119,122,126,128,131,134,136,139,141,143,145,147,149,151,153,154,156,158,159,160,162,163,165,166],K.__kBitsPerCharTableShift=5,K.__kBitsPerCharTableMultiplier=1<<K.__kBitsPerCharTableShift,K.__kConversionChars=["0","1","2","3","4","5","6","7","8","9","a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z"],K.__kBitConversionBuffer=new ArrayBuffer(8),K.__kBitConversionDouble=new Float64Array(K.__kBitConversionBuffer),K.__kBitConversionInts=new Int32Array(K.__kBitConversionBuffer),K.__clz32=e||function(O){var L=Math.LN2,D=Math.log;return O===0?32:0|31-(0|D(O>>>0)/L)},K.__imul=t||function(O,L){return 0|O*L},K})});var $i=ut((_f,Ri)=>{function vt(t,e,r){"use strict";this.alias=[],this.prob=[],this.outcomes=e||this.indexedOutcomes(t.length),this.rng=r||Math.random,this.precomputeAlias(t)}vt.prototype.next=function(t){"use strict";var e=t||1,r=[],i=0;do{var u=Math.floor(this.rng()*this.prob.length);r[i]=this.outcomes[this.rng()<this.prob[u]?u:this.alias[u]]}while(++i<e);return e>1?r:r[0]};vt.prototype.precomputeAlias=function(t){"use strict";var e=t.length,r=0,i=0,u=0,c=[],d=[],w=[],A,I,C;for(I=0;I<e;++I){if(t[I]<0)throw"Probability must be a positive: p["+I+"]="+t[I];r+=t[I]}if(r===0)throw"Probability cannot be zero.";for(I=0;I<e;++I)c[I]=t[I]*e/r;for(I=e-1;I>=0;--I)c[I]<1?d[i++]=I:w[u++]=I;for(;i&&u;)C=d[--i],A=w[--u],this.prob[C]=c[C],this.alias[C]=A,c[A]=c[A]+c[C]-1,c[A]<1?d[i++]=A:w[u++]=A;for(;u;)this.prob[w[--u]]=1;for(;i;)this.prob[d[--i]]=1};vt.prototype.indexedOutcomes=function(t){"use strict";for(var e=[],r=0;r<t;r++)e[r]=r;return e};vt.prototype.randomInt=function(t,e){"use strict";return Math.floor(this.rng()*(e-t))+t};Ri.exports=function(t,e,r){"use strict";return new vt(t,e,r)}});var st=function(){var t=function(e,r){return t=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(i,u){i.__proto__=u}||function(i,u){for(var c in u)Object.prototype.hasOwnProperty.call(u,c)&&(i[c]=u[c])},t(e,r)};return function(e,r){t(e,r);function i(){this.constructor=e}e.prototype=r===null?Object.create(r):(i.prototype=r.prototype,new i)}}(),sr=function(t){st(e,t);function e(){var r=t.call(this,"Invalid Scheme")||this;return r.name="InvalidSchemeError",r}return e}(Error);var Et=function(t){st(e,t);function e(){var r=t.call(this,"Invalid Path")||this;return r.name="InvalidPathLengthError",r}return e}(Error);var Bt=function(t){st(e,t);function e(){var r=t.call(this,"Invalid Type")||this;return r.name="InvalidTypeError",r}return e}(Error);var fr=function(t){st(e,t);function e(){var r=t.call(this,"Invalid Sequence Component")||this;return r.name="InvalidSequenceComponentError",r}return e}(Error);var Yr=function(t){st(e,t);function e(){var r=t.call(this,"Invalid Checksum")||this;return r.name="InvalidChecksumError",r}return e}(Error);var Nt=Ae(Fe());function Fo(t){return t instanceof Uint8Array||ArrayBuffer.isView(t)&&t.constructor.name==="Uint8Array"}function Ut(t,...e){if(!Fo(t))throw new Error("Uint8Array expected");if(e.length>0&&!e.includes(t.length))throw new Error("Uint8Array expected of length "+e+", got length="+t.length)}function yr(t,e=!0){if(t.destroyed)throw new Error("Hash instance has been destroyed");if(e&&t.finished)throw new Error("Hash#digest() has already been called")}function mn(t,e){Ut(t);let r=e.outputLen;if(t.length<r)throw new Error("digestInto() expects output buffer of length at least "+r)}function at(...t){for(let e=0;e<t.length;e++)t[e].fill(0)}function Tt(t){return new DataView(t.buffer,t.byteOffset,t.byteLength)}function we(t,e){return t<<32-e|t>>>e}function Po(t){if(typeof t!="string")throw new Error("string expected");return new Uint8Array(new TextEncoder().encode(t))}function wr(t){return typeof t=="string"&&(t=Po(t)),Ut(t),t}var St=class{};function xn(t){let e=i=>t().update(wr(i)).digest(),r=t();return e.outputLen=r.outputLen,e.blockLen=r.blockLen,e.create=()=>t(),e}function Oo(t,e,r,i){if(typeof t.setBigUint64=="function")return t.setBigUint64(e,r,i);let u=BigInt(32),c=BigInt(4294967295),d=Number(r>>u&c),w=Number(r&c),A=i?4:0,I=i?0:4;t.setUint32(e+A,d,i),t.setUint32(e+I,w,i)}function yn(t,e,r){return t&e^~t&r}function wn(t,e,r){return t&e^t&r^e&r}var Ct=class extends St{constructor(e,r,i,u){super(),this.finished=!1,this.length=0,this.pos=0,this.destroyed=!1,this.blockLen=e,this.outputLen=r,this.padOffset=i,this.isLE=u,this.buffer=new Uint8Array(e),this.view=Tt(this.buffer)}update(e){yr(this),e=wr(e),Ut(e);let{view:r,buffer:i,blockLen:u}=this,c=e.length;for(let d=0;d<c;){let w=Math.min(u-this.pos,c-d);if(w===u){let A=Tt(e);for(;u<=c-d;d+=u)this.process(A,d);continue}i.set(e.subarray(d,d+w),this.pos),this.pos+=w,d+=w,this.pos===u&&(this.process(r,0),this.pos=0)}return this.length+=e.length,this.roundClean(),this}digestInto(e){yr(this),mn(e,this),this.finished=!0;let{buffer:r,view:i,blockLen:u,isLE:c}=this,{pos:d}=this;r[d++]=128,at(this.buffer.subarray(d)),this.padOffset>u-d&&(this.process(i,0),d=0);for(let S=d;S<u;S++)r[S]=0;Oo(i,u-8,BigInt(this.length*8),c),this.process(i,0);let w=Tt(e),A=this.outputLen;if(A%4)throw new Error("_sha2: outputLen should be aligned to 32bit");let I=A/4,C=this.get();if(I>C.length)throw new Error("_sha2: outputLen bigger than state");for(let S=0;S<I;S++)w.setUint32(4*S,C[S],c)}digest(){let{buffer:e,outputLen:r}=this;this.digestInto(e);let i=e.slice(0,r);return this.destroy(),i}_cloneInto(e){e||(e=new this.constructor),e.set(...this.get());let{blockLen:r,buffer:i,length:u,finished:c,destroyed:d,pos:w}=this;return e.destroyed=d,e.finished=c,e.length=u,e.pos=w,u%r&&e.buffer.set(i),e}clone(){return this._cloneInto()}},Pe=Uint32Array.from([1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225]);var Lo=Uint32Array.from([1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298]),Re=new Uint32Array(64),Dt=class extends Ct{constructor(e=32){super(64,e,8,!1),this.A=Pe[0]|0,this.B=Pe[1]|0,this.C=Pe[2]|0,this.D=Pe[3]|0,this.E=Pe[4]|0,this.F=Pe[5]|0,this.G=Pe[6]|0,this.H=Pe[7]|0}get(){let{A:e,B:r,C:i,D:u,E:c,F:d,G:w,H:A}=this;return[e,r,i,u,c,d,w,A]}set(e,r,i,u,c,d,w,A){this.A=e|0,this.B=r|0,this.C=i|0,this.D=u|0,this.E=c|0,this.F=d|0,this.G=w|0,this.H=A|0}process(e,r){for(let S=0;S<16;S++,r+=4)Re[S]=e.getUint32(r,!1);for(let S=16;S<64;S++){let G=Re[S-15],W=Re[S-2],Q=we(G,7)^we(G,18)^G>>>3,ye=we(W,17)^we(W,19)^W>>>10;Re[S]=ye+Re[S-7]+Q+Re[S-16]|0}let{A:i,B:u,C:c,D:d,E:w,F:A,G:I,H:C}=this;for(let S=0;S<64;S++){let G=we(w,6)^we(w,11)^we(w,25),W=C+G+yn(w,A,I)+Lo[S]+Re[S]|0,ye=(we(i,2)^we(i,13)^we(i,22))+wn(i,u,c)|0;C=I,I=A,A=w,w=d+W|0,d=c,c=u,u=i,i=W+ye|0}i=i+this.A|0,u=u+this.B|0,c=c+this.C|0,d=d+this.D|0,w=w+this.E|0,A=A+this.F|0,I=I+this.G|0,C=C+this.H|0,this.set(i,u,c,d,w,A,I,C)}roundClean(){at(Re)}destroy(){this.set(0,0,0,0,0,0,0,0),at(this.buffer)}};var bn=xn(()=>new Dt);var vn=bn;var Mo=function(){for(var t,e=[],r=0;r<256;r++){t=r;for(var i=0;i<8;i++)t=t&1?3988292384^t>>>1:t>>>1;e[r]=t}return e}(),En=function(t){for(var e=-1,r=0;r<t.length;r++)e=e>>>8^Mo[(e^t[r])&255];return(e^-1)>>>0},Bn=function(t){return Nt.Buffer.from(vn(t))},An=function(t,e){return t.match(new RegExp(".{1,"+e+"}","g"))||[t]},Ft=function(t,e){return[t.slice(0,-e),t.slice(-e)]},Pt=function(t){return En(t)},br=function(t){return En(t).toString(16).padStart(8,"0")},ct=function(t){return t>>>0},vr=function(t){var e=new ArrayBuffer(4),r=new DataView(e);return r.setUint32(0,t,!1),Nt.Buffer.from(e)},Ze=function(t){return t.split("").every(function(e,r){var i=t.charCodeAt(r);return 97<=i&&i<=122||48<=i&&i<=57||i===45})};var Er=function(t,e){return t.length!==e.length?!1:t.every(function(r){return e.includes(r)})},In=function(t,e){return e.every(function(r){return t.includes(r)})},kn=function(t,e){return t.filter(function(r){return e.indexOf(r)<0})},Ot=function(t,e){for(var r=Math.max(t.length,e.length),i=Nt.Buffer.allocUnsafe(r),u=0;u<r;++u)i[u]=t[u]^e[u];return i};var Qt=Ae(Fe());var Ro=["Object","RegExp","Date","Error","Map","Set","WeakMap","WeakSet","ArrayBuffer","SharedArrayBuffer","DataView","Promise","URL","HTMLElement","Int8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float32Array","Float64Array","BigInt64Array","BigUint64Array"];function Br(t){if(t===null)return"null";if(t===void 0)return"undefined";if(t===!0||t===!1)return"boolean";let e=typeof t;if(e==="string"||e==="number"||e==="bigint"||e==="symbol")return e;if(e==="function")return"Function";if(Array.isArray(t))return"Array";if(t instanceof Uint8Array)return"Uint8Array";if(t.constructor===Object)return"Object";let r=$o(t);return r||"Object"}function $o(t){let e=Object.prototype.toString.call(t).slice(8,-1);if(Ro.includes(e))return e}var b=class{constructor(e,r,i){this.major=e,this.majorEncoded=e<<5,this.name=r,this.terminal=i}toString(){return`Type[${this.major}].${this.name}`}compare(e){return this.major<e.major?-1:this.major>e.major?1:0}static equals(e,r){return e===r||e.major===r.major&&e.name===r.name}};b.uint=new b(0,"uint",!0);b.negint=new b(1,"negint",!0);b.bytes=new b(2,"bytes",!0);b.string=new b(3,"string",!0);b.array=new b(4,"array",!1);b.map=new b(5,"map",!1);b.tag=new b(6,"tag",!1);b.float=new b(7,"float",!0);b.false=new b(7,"false",!0);b.true=new b(7,"true",!0);b.null=new b(7,"null",!0);b.undefined=new b(7,"undefined",!0);b.break=new b(7,"break",!0);var P=class{constructor(e,r,i){this.type=e,this.value=r,this.encodedLength=i,this.encodedBytes=void 0,this.byteValue=void 0}toString(){return`Token[${this.type}].${this.value}`}};var lt=globalThis.process&&!globalThis.process.browser&&globalThis.Buffer&&typeof globalThis.Buffer.isBuffer=="function",qo=new TextEncoder;function Lt(t){return lt&&globalThis.Buffer.isBuffer(t)}function ht(t){return t instanceof Uint8Array?Lt(t)?new Uint8Array(t.buffer,t.byteOffset,t.byteLength):t:Uint8Array.from(t)}var jo=24,zo=200,Mt=lt?t=>t.length>=jo?globalThis.Buffer.from(t):Sn(t):t=>t.length>=zo?qo.encode(t):Sn(t),Se=t=>Uint8Array.from(t),Un=lt?(t,e,r)=>Lt(t)?new Uint8Array(t.subarray(e,r)):t.slice(e,r):(t,e,r)=>t.slice(e,r),Tn=lt?(t,e)=>(t=t.map(r=>r instanceof Uint8Array?r:globalThis.Buffer.from(r)),ht(globalThis.Buffer.concat(t,e))):(t,e)=>{let r=new Uint8Array(e),i=0;for(let u of t)i+u.length>r.length&&(u=u.subarray(0,r.length-i)),r.set(u,i),i+=u.length;return r},Cn=lt?t=>globalThis.Buffer.allocUnsafe(t):t=>new Uint8Array(t);function Rt(t,e){if(Lt(t)&&Lt(e))return t.compare(e);for(let r=0;r<t.length;r++)if(t[r]!==e[r])return t[r]<e[r]?-1:1;return 0}function Sn(t){let e=[],r=0;for(let i=0;i<t.length;i++){let u=t.charCodeAt(i);u<128?e[r++]=u:u<2048?(e[r++]=u>>6|192,e[r++]=u&63|128):(u&64512)===55296&&i+1<t.length&&(t.charCodeAt(i+1)&64512)===56320?(u=65536+((u&1023)<<10)+(t.charCodeAt(++i)&1023),e[r++]=u>>18|240,e[r++]=u>>12&63|128,e[r++]=u>>6&63|128,e[r++]=u&63|128):(u>=55296&&u<=57343&&(u=65533),e[r++]=u>>12|224,e[r++]=u>>6&63|128,e[r++]=u&63|128)}return e}var Ho=256,dt=class{constructor(e=Ho){this.chunkSize=e,this.cursor=0,this.maxCursor=-1,this.chunks=[],this._initReuseChunk=null}reset(){this.cursor=0,this.maxCursor=-1,this.chunks.length&&(this.chunks=[]),this._initReuseChunk!==null&&(this.chunks.push(this._initReuseChunk),this.maxCursor=this._initReuseChunk.length-1)}push(e){let r=this.chunks[this.chunks.length-1];if(this.cursor+e.length<=this.maxCursor+1){let u=r.length-(this.maxCursor-this.cursor)-1;r.set(e,u)}else{if(r){let u=r.length-(this.maxCursor-this.cursor)-1;u<r.length&&(this.chunks[this.chunks.length-1]=r.subarray(0,u),this.maxCursor=this.cursor-1)}e.length<64&&e.length<this.chunkSize?(r=Cn(this.chunkSize),this.chunks.push(r),this.maxCursor+=r.length,this._initReuseChunk===null&&(this._initReuseChunk=r),r.set(e,0)):(this.chunks.push(e),this.maxCursor+=e.length)}this.cursor+=e.length}toBytes(e=!1){let r;if(this.chunks.length===1){let i=this.chunks[0];e&&this.cursor>i.length/2?(r=this.cursor===i.length?i:i.subarray(0,this.cursor),this._initReuseChunk=null,this.chunks=[]):r=Un(i,0,this.cursor)}else r=Tn(this.chunks,this.cursor);return e&&this.reset(),r}},$t=class{constructor(e){this.dest=e,this.cursor=0,this.chunks=[e]}reset(){this.cursor=0}push(e){if(this.cursor+e.length>this.dest.length)throw new Error("write out of bounds, destination buffer is too small");this.dest.set(e,this.cursor),this.cursor+=e.length}toBytes(e=!1){let r=this.dest.subarray(0,this.cursor);return e&&this.reset(),r}};var q="CBOR decode error:",qt="CBOR encode error:",pt=[];pt[23]=1;pt[24]=2;pt[25]=3;pt[26]=5;pt[27]=9;function Oe(t,e,r){if(t.length-e<r)throw new Error(`${q} not enough data for type`)}var te=[24,256,65536,4294967296,BigInt("18446744073709551616")];function ae(t,e,r){Oe(t,e,1);let i=t[e];if(r.strict===!0&&i<te[0])throw new Error(`${q} integer encoded in more bytes than necessary (strict decode)`);return i}function ce(t,e,r){Oe(t,e,2);let i=t[e]<<8|t[e+1];if(r.strict===!0&&i<te[1])throw new Error(`${q} integer encoded in more bytes than necessary (strict decode)`);return i}function le(t,e,r){Oe(t,e,4);let i=t[e]*16777216+(t[e+1]<<16)+(t[e+2]<<8)+t[e+3];if(r.strict===!0&&i<te[2])throw new Error(`${q} integer encoded in more bytes than necessary (strict decode)`);return i}function he(t,e,r){Oe(t,e,8);let i=t[e]*16777216+(t[e+1]<<16)+(t[e+2]<<8)+t[e+3],u=t[e+4]*16777216+(t[e+5]<<16)+(t[e+6]<<8)+t[e+7],c=(BigInt(i)<<BigInt(32))+BigInt(u);if(r.strict===!0&&c<te[3])throw new Error(`${q} integer encoded in more bytes than necessary (strict decode)`);if(c<=Number.MAX_SAFE_INTEGER)return Number(c);if(r.allowBigInt===!0)return c;throw new Error(`${q} integers outside of the safe integer range are not supported`)}function Dn(t,e,r,i){return new P(b.uint,ae(t,e+1,i),2)}function Nn(t,e,r,i){return new P(b.uint,ce(t,e+1,i),3)}function Fn(t,e,r,i){return new P(b.uint,le(t,e+1,i),5)}function Pn(t,e,r,i){return new P(b.uint,he(t,e+1,i),9)}function pe(t,e){return X(t,0,e.value)}function X(t,e,r){if(r<te[0]){let i=Number(r);t.push([e|i])}else if(r<te[1]){let i=Number(r);t.push([e|24,i])}else if(r<te[2]){let i=Number(r);t.push([e|25,i>>>8,i&255])}else if(r<te[3]){let i=Number(r);t.push([e|26,i>>>24&255,i>>>16&255,i>>>8&255,i&255])}else{let i=BigInt(r);if(i<te[4]){let u=[e|27,0,0,0,0,0,0,0],c=Number(i&BigInt(4294967295)),d=Number(i>>BigInt(32)&BigInt(4294967295));u[8]=c&255,c=c>>8,u[7]=c&255,c=c>>8,u[6]=c&255,c=c>>8,u[5]=c&255,u[4]=d&255,d=d>>8,u[3]=d&255,d=d>>8,u[2]=d&255,d=d>>8,u[1]=d&255,t.push(u)}else throw new Error(`${q} encountered BigInt larger than allowable range`)}}pe.encodedSize=function(e){return X.encodedSize(e.value)};X.encodedSize=function(e){return e<te[0]?1:e<te[1]?2:e<te[2]?3:e<te[3]?5:9};pe.compareTokens=function(e,r){return e.value<r.value?-1:e.value>r.value?1:0};function On(t,e,r,i){return new P(b.negint,-1-ae(t,e+1,i),2)}function Ln(t,e,r,i){return new P(b.negint,-1-ce(t,e+1,i),3)}function Mn(t,e,r,i){return new P(b.negint,-1-le(t,e+1,i),5)}var Ar=BigInt(-1),Rn=BigInt(1);function $n(t,e,r,i){let u=he(t,e+1,i);if(typeof u!="bigint"){let c=-1-u;if(c>=Number.MIN_SAFE_INTEGER)return new P(b.negint,c,9)}if(i.allowBigInt!==!0)throw new Error(`${q} integers outside of the safe integer range are not supported`);return new P(b.negint,Ar-BigInt(u),9)}function jt(t,e){let r=e.value,i=typeof r=="bigint"?r*Ar-Rn:r*-1-1;X(t,e.type.majorEncoded,i)}jt.encodedSize=function(e){let r=e.value,i=typeof r=="bigint"?r*Ar-Rn:r*-1-1;return i<te[0]?1:i<te[1]?2:i<te[2]?3:i<te[3]?5:9};jt.compareTokens=function(e,r){return e.value<r.value?1:e.value>r.value?-1:0};function gt(t,e,r,i){Oe(t,e,r+i);let u=t.slice(e+r,e+r+i);return new P(b.bytes,u,r+i)}function qn(t,e,r,i){return gt(t,e,1,r)}function jn(t,e,r,i){return gt(t,e,2,ae(t,e+1,i))}function zn(t,e,r,i){return gt(t,e,3,ce(t,e+1,i))}function Hn(t,e,r,i){return gt(t,e,5,le(t,e+1,i))}function Gn(t,e,r,i){let u=he(t,e+1,i);if(typeof u=="bigint")throw new Error(`${q} 64-bit integer bytes lengths not supported`);return gt(t,e,9,u)}function zt(t){return t.encodedBytes===void 0&&(t.encodedBytes=b.equals(t.type,b.string)?Mt(t.value):t.value),t.encodedBytes}function et(t,e){let r=zt(e);X(t,e.type.majorEncoded,r.length),t.push(r)}et.encodedSize=function(e){let r=zt(e);return X.encodedSize(r.length)+r.length};et.compareTokens=function(e,r){return Vo(zt(e),zt(r))};function Vo(t,e){return t.length<e.length?-1:t.length>e.length?1:Rt(t,e)}var Vn=new TextDecoder,Xo=32;function Yo(t,e,r){if(r-e<Xo){let u="";for(let c=e;c<r;c++){let d=t[c];if(d&128)return Vn.decode(t.subarray(e,r));u+=String.fromCharCode(d)}return u}return Vn.decode(t.subarray(e,r))}function _t(t,e,r,i,u){let c=r+i;Oe(t,e,c);let d=new P(b.string,Yo(t,e+r,e+c),c);return u.retainStringBytes===!0&&(d.byteValue=t.slice(e+r,e+c)),d}function Wn(t,e,r,i){return _t(t,e,1,r,i)}function Xn(t,e,r,i){return _t(t,e,2,ae(t,e+1,i),i)}function Yn(t,e,r,i){return _t(t,e,3,ce(t,e+1,i),i)}function Jn(t,e,r,i){return _t(t,e,5,le(t,e+1,i),i)}function Kn(t,e,r,i){let u=he(t,e+1,i);if(typeof u=="bigint")throw new Error(`${q} 64-bit integer string lengths not supported`);return _t(t,e,9,u,i)}var Qn=et;function tt(t,e,r,i){return new P(b.array,i,r)}function Zn(t,e,r,i){return tt(t,e,1,r)}function ei(t,e,r,i){return tt(t,e,2,ae(t,e+1,i))}function ti(t,e,r,i){return tt(t,e,3,ce(t,e+1,i))}function ri(t,e,r,i){return tt(t,e,5,le(t,e+1,i))}function ni(t,e,r,i){let u=he(t,e+1,i);if(typeof u=="bigint")throw new Error(`${q} 64-bit integer array lengths not supported`);return tt(t,e,9,u)}function ii(t,e,r,i){if(i.allowIndefinite===!1)throw new Error(`${q} indefinite length items not allowed`);return tt(t,e,1,1/0)}function Ht(t,e){X(t,b.array.majorEncoded,e.value)}Ht.compareTokens=pe.compareTokens;Ht.encodedSize=function(e){return X.encodedSize(e.value)};function rt(t,e,r,i){return new P(b.map,i,r)}function oi(t,e,r,i){return rt(t,e,1,r)}function ui(t,e,r,i){return rt(t,e,2,ae(t,e+1,i))}function si(t,e,r,i){return rt(t,e,3,ce(t,e+1,i))}function fi(t,e,r,i){return rt(t,e,5,le(t,e+1,i))}function ai(t,e,r,i){let u=he(t,e+1,i);if(typeof u=="bigint")throw new Error(`${q} 64-bit integer map lengths not supported`);return rt(t,e,9,u)}function ci(t,e,r,i){if(i.allowIndefinite===!1)throw new Error(`${q} indefinite length items not allowed`);return rt(t,e,1,1/0)}function Gt(t,e){X(t,b.map.majorEncoded,e.value)}Gt.compareTokens=pe.compareTokens;Gt.encodedSize=function(e){return X.encodedSize(e.value)};function li(t,e,r,i){return new P(b.tag,r,1)}function hi(t,e,r,i){return new P(b.tag,ae(t,e+1,i),2)}function di(t,e,r,i){return new P(b.tag,ce(t,e+1,i),3)}function pi(t,e,r,i){return new P(b.tag,le(t,e+1,i),5)}function gi(t,e,r,i){return new P(b.tag,he(t,e+1,i),9)}function Vt(t,e){X(t,b.tag.majorEncoded,e.value)}Vt.compareTokens=pe.compareTokens;Vt.encodedSize=function(e){return X.encodedSize(e.value)};var Ir=20,kr=21,Sr=22,Ur=23;function _i(t,e,r,i){if(i.allowUndefined===!1)throw new Error(`${q} undefined values are not supported`);return i.coerceUndefinedToNull===!0?new P(b.null,null,1):new P(b.undefined,void 0,1)}function mi(t,e,r,i){if(i.allowIndefinite===!1)throw new Error(`${q} indefinite length items not allowed`);return new P(b.break,void 0,1)}function Tr(t,e,r){if(r){if(r.allowNaN===!1&&Number.isNaN(t))throw new Error(`${q} NaN values are not supported`);if(r.allowInfinity===!1&&(t===1/0||t===-1/0))throw new Error(`${q} Infinity values are not supported`)}return new P(b.float,t,e)}function xi(t,e,r,i){return Tr(Cr(t,e+1),3,i)}function yi(t,e,r,i){return Tr(Dr(t,e+1),5,i)}function wi(t,e,r,i){return Tr(Bi(t,e+1),9,i)}function mt(t,e,r){let i=e.value;if(i===!1)t.push([b.float.majorEncoded|Ir]);else if(i===!0)t.push([b.float.majorEncoded|kr]);else if(i===null)t.push([b.float.majorEncoded|Sr]);else if(i===void 0)t.push([b.float.majorEncoded|Ur]);else{let u,c=!1;(!r||r.float64!==!0)&&(vi(i),u=Cr(be,1),i===u||Number.isNaN(i)?(be[0]=249,t.push(be.slice(0,3)),c=!0):(Ei(i),u=Dr(be,1),i===u&&(be[0]=250,t.push(be.slice(0,5)),c=!0))),c||(eu(i),u=Bi(be,1),be[0]=251,t.push(be.slice(0,9)))}}mt.encodedSize=function(e,r){let i=e.value;if(i===!1||i===!0||i===null||i===void 0)return 1;if(!r||r.float64!==!0){vi(i);let u=Cr(be,1);if(i===u||Number.isNaN(i))return 3;if(Ei(i),u=Dr(be,1),i===u)return 5}return 9};var bi=new ArrayBuffer(9),ge=new DataView(bi,1),be=new Uint8Array(bi,0);function vi(t){if(t===1/0)ge.setUint16(0,31744,!1);else if(t===-1/0)ge.setUint16(0,64512,!1);else if(Number.isNaN(t))ge.setUint16(0,32256,!1);else{ge.setFloat32(0,t);let e=ge.getUint32(0),r=(e&2139095040)>>23,i=e&8388607;if(r===255)ge.setUint16(0,31744,!1);else if(r===0)ge.setUint16(0,(t&2147483648)>>16|i>>13,!1);else{let u=r-127;u<-24?ge.setUint16(0,0):u<-14?ge.setUint16(0,(e&2147483648)>>16|1<<24+u,!1):ge.setUint16(0,(e&2147483648)>>16|u+15<<10|i>>13,!1)}}}function Cr(t,e){if(t.length-e<2)throw new Error(`${q} not enough data for float16`);let r=(t[e]<<8)+t[e+1];if(r===31744)return 1/0;if(r===64512)return-1/0;if(r===32256)return NaN;let i=r>>10&31,u=r&1023,c;return i===0?c=u*2**-24:i!==31?c=(u+1024)*2**(i-25):c=u===0?1/0:NaN,r&32768?-c:c}function Ei(t){ge.setFloat32(0,t,!1)}function Dr(t,e){if(t.length-e<4)throw new Error(`${q} not enough data for float32`);let r=(t.byteOffset||0)+e;return new DataView(t.buffer,r,4).getFloat32(0,!1)}function eu(t){ge.setFloat64(0,t,!1)}function Bi(t,e){if(t.length-e<8)throw new Error(`${q} not enough data for float64`);let r=(t.byteOffset||0)+e;return new DataView(t.buffer,r,8).getFloat64(0,!1)}mt.compareTokens=pe.compareTokens;function H(t,e,r){throw new Error(`${q} encountered invalid minor (${r}) for major ${t[e]>>>5}`)}function Wt(t){return()=>{throw new Error(`${q} ${t}`)}}var T=[];for(let t=0;t<=23;t++)T[t]=H;T[24]=Dn;T[25]=Nn;T[26]=Fn;T[27]=Pn;T[28]=H;T[29]=H;T[30]=H;T[31]=H;for(let t=32;t<=55;t++)T[t]=H;T[56]=On;T[57]=Ln;T[58]=Mn;T[59]=$n;T[60]=H;T[61]=H;T[62]=H;T[63]=H;for(let t=64;t<=87;t++)T[t]=qn;T[88]=jn;T[89]=zn;T[90]=Hn;T[91]=Gn;T[92]=H;T[93]=H;T[94]=H;T[95]=Wt("indefinite length bytes/strings are not supported");for(let t=96;t<=119;t++)T[t]=Wn;T[120]=Xn;T[121]=Yn;T[122]=Jn;T[123]=Kn;T[124]=H;T[125]=H;T[126]=H;T[127]=Wt("indefinite length bytes/strings are not supported");for(let t=128;t<=151;t++)T[t]=Zn;T[152]=ei;T[153]=ti;T[154]=ri;T[155]=ni;T[156]=H;T[157]=H;T[158]=H;T[159]=ii;for(let t=160;t<=183;t++)T[t]=oi;T[184]=ui;T[185]=si;T[186]=fi;T[187]=ai;T[188]=H;T[189]=H;T[190]=H;T[191]=ci;for(let t=192;t<=215;t++)T[t]=li;T[216]=hi;T[217]=di;T[218]=pi;T[219]=gi;T[220]=H;T[221]=H;T[222]=H;T[223]=H;for(let t=224;t<=243;t++)T[t]=Wt("simple values are not supported");T[244]=H;T[245]=H;T[246]=H;T[247]=_i;T[248]=Wt("simple values are not supported");T[249]=xi;T[250]=yi;T[251]=wi;T[252]=H;T[253]=H;T[254]=H;T[255]=mi;var ve=[];for(let t=0;t<24;t++)ve[t]=new P(b.uint,t,1);for(let t=-1;t>=-24;t--)ve[31-t]=new P(b.negint,t,1);ve[64]=new P(b.bytes,new Uint8Array(0),1);ve[96]=new P(b.string,"",1);ve[128]=new P(b.array,0,1);ve[160]=new P(b.map,0,1);ve[244]=new P(b.false,!1,1);ve[245]=new P(b.true,!0,1);ve[246]=new P(b.null,null,1);function Nr(t){switch(t.type){case b.false:return Se([244]);case b.true:return Se([245]);case b.null:return Se([246]);case b.bytes:return t.value.length?void 0:Se([64]);case b.string:return t.value===""?Se([96]):void 0;case b.array:return t.value===0?Se([128]):void 0;case b.map:return t.value===0?Se([160]):void 0;case b.uint:return t.value<24?Se([Number(t.value)]):void 0;case b.negint:if(t.value>=-24)return Se([31-Number(t.value)])}}var ru={float64:!1,mapSorter:ou,quickEncodeToken:Nr},Ui=Object.freeze({float64:!0,mapSorter:uu,quickEncodeToken:Nr});function nu(){let t=[];return t[b.uint.major]=pe,t[b.negint.major]=jt,t[b.bytes.major]=et,t[b.string.major]=Qn,t[b.array.major]=Ht,t[b.map.major]=Gt,t[b.tag.major]=Vt,t[b.float.major]=mt,t}var nt=nu(),Xt=new dt,yt=class t{constructor(e,r){this.obj=e,this.parent=r}includes(e){let r=this;do if(r.obj===e)return!0;while(r=r.parent);return!1}static createCheck(e,r){if(e&&e.includes(r))throw new Error(`${qt} object contains circular references`);return new t(r,e)}},$e={null:new P(b.null,null),undefined:new P(b.undefined,void 0),true:new P(b.true,!0),false:new P(b.false,!1),emptyArray:new P(b.array,0),emptyMap:new P(b.map,0)},Ue={number(t,e,r,i){return!Number.isInteger(t)||!Number.isSafeInteger(t)?new P(b.float,t):t>=0?new P(b.uint,t):new P(b.negint,t)},bigint(t,e,r,i){return t>=BigInt(0)?new P(b.uint,t):new P(b.negint,t)},Uint8Array(t,e,r,i){return new P(b.bytes,t)},string(t,e,r,i){return new P(b.string,t)},boolean(t,e,r,i){return t?$e.true:$e.false},null(t,e,r,i){return $e.null},undefined(t,e,r,i){return $e.undefined},ArrayBuffer(t,e,r,i){return new P(b.bytes,new Uint8Array(t))},DataView(t,e,r,i){return new P(b.bytes,new Uint8Array(t.buffer,t.byteOffset,t.byteLength))},Array(t,e,r,i){if(!t.length)return r.addBreakTokens===!0?[$e.emptyArray,new P(b.break)]:$e.emptyArray;i=yt.createCheck(i,t);let u=[],c=0;for(let d of t)u[c++]=Yt(d,r,i);return r.addBreakTokens?[new P(b.array,t.length),u,new P(b.break)]:[new P(b.array,t.length),u]},Object(t,e,r,i){let u=e!=="Object",c=u?t.keys():Object.keys(t),d=u?t.size:c.length,w;if(d){w=new Array(d),i=yt.createCheck(i,t);let A=!u&&r.ignoreUndefinedProperties,I=0;for(let C of c){let S=u?t.get(C):t[C];A&&S===void 0||(w[I++]=[Yt(C,r,i),Yt(S,r,i)])}I<d&&(w.length=I)}return w!=null&&w.length?(iu(w,r),r.addBreakTokens?[new P(b.map,w.length),w,new P(b.break)]:[new P(b.map,w.length),w]):r.addBreakTokens===!0?[$e.emptyMap,new P(b.break)]:$e.emptyMap}};Ue.Map=Ue.Object;Ue.Buffer=Ue.Uint8Array;for(let t of"Uint8Clamped Uint16 Uint32 Int8 Int16 Int32 BigUint64 BigInt64 Float32 Float64".split(" "))Ue[`${t}Array`]=Ue.DataView;function Yt(t,e={},r){let i=Br(t),u=e&&e.typeEncoders&&e.typeEncoders[i]||Ue[i];if(typeof u=="function"){let d=u(t,i,e,r);if(d!=null)return d}let c=Ue[i];if(!c)throw new Error(`${qt} unsupported type: ${i}`);return c(t,i,e,r)}function iu(t,e){e.mapSorter&&t.sort(e.mapSorter)}function ou(t,e){let r=Array.isArray(t[0])?t[0][0]:t[0],i=Array.isArray(e[0])?e[0][0]:e[0];if(r.type!==i.type)return r.type.compare(i.type);let u=r.type.major,c=nt[u].compareTokens(r,i);return c===0&&console.warn("WARNING: complex key types used, CBOR key sorting guarantees are gone"),c}function uu(t,e){if(t[0]instanceof P&&e[0]instanceof P){let r=t[0],i=e[0];return r._keyBytes||(r._keyBytes=Ai(r.value)),i._keyBytes||(i._keyBytes=Ai(i.value)),Rt(r._keyBytes,i._keyBytes)}throw new Error("rfc8949MapSorter: complex key types are not supported yet")}function Ai(t){return Ci(t,nt,Ui)}function xt(t,e,r,i){if(Array.isArray(e))for(let u of e)xt(t,u,r,i);else r[e.type.major](t,e,i)}var Ii=b.uint.majorEncoded,ki=b.negint.majorEncoded,su=b.bytes.majorEncoded,fu=b.string.majorEncoded,Si=b.array.majorEncoded,au=b.float.majorEncoded|Ir,cu=b.float.majorEncoded|kr,lu=b.float.majorEncoded|Sr,hu=b.float.majorEncoded|Ur,du=BigInt(-1),pu=BigInt(1);function gu(t){return t.addBreakTokens!==!0}function Ti(t,e,r,i){let u=Br(e),c=r.typeEncoders&&r.typeEncoders[u];if(c){let d=c(e,u,r,i);if(d!=null){xt(t,d,nt,r);return}}switch(u){case"null":t.push([lu]);return;case"undefined":t.push([hu]);return;case"boolean":t.push([e?cu:au]);return;case"number":!Number.isInteger(e)||!Number.isSafeInteger(e)?mt(t,new P(b.float,e),r):e>=0?X(t,Ii,e):X(t,ki,e*-1-1);return;case"bigint":e>=BigInt(0)?X(t,Ii,e):X(t,ki,e*du-pu);return;case"string":{let d=Mt(e);X(t,fu,d.length),t.push(d);return}case"Uint8Array":X(t,su,e.length),t.push(e);return;case"Array":if(!e.length){t.push([Si]);return}i=yt.createCheck(i,e),X(t,Si,e.length);for(let d of e)Ti(t,d,r,i);return;case"Object":case"Map":{let d=Ue.Object(e,u,r,i);xt(t,d,nt,r)}return;default:{let d=Ue[u];if(!d)throw new Error(`${qt} unsupported type: ${u}`);let w=d(e,u,r,i);xt(t,w,nt,r)}}}function Ci(t,e,r,i){let u=i instanceof Uint8Array,c=u?new $t(i):Xt,d=Yt(t,r);if(!Array.isArray(d)&&r.quickEncodeToken){let w=r.quickEncodeToken(d);if(w)return u?(c.push(w),c.toBytes()):w;let A=e[d.type.major];if(A.encodedSize){let I=A.encodedSize(d,r);if(u||(c=new dt(I)),A(c,d,r),c.chunks.length!==1)throw new Error(`Unexpected error: pre-calculated length for ${d} was wrong`);return u?c.toBytes():ht(c.chunks[0])}}return c.reset(),xt(c,d,e,r),c.toBytes(!0)}function Fr(t,e){return e=Object.assign({},ru,e),gu(e)?(Xt.reset(),Ti(Xt,t,e,void 0),Xt.toBytes(!0)):Ci(t,nt,e)}var _u={strict:!1,allowIndefinite:!0,allowUndefined:!0,allowBigInt:!0},Jt=class{constructor(e,r={}){this._pos=0,this.data=e,this.options=r}pos(){return this._pos}done(){return this._pos>=this.data.length}next(){let e=this.data[this._pos],r=ve[e];if(r===void 0){let i=T[e];if(!i)throw new Error(`${q} no decoder for major type ${e>>>5} (byte 0x${e.toString(16).padStart(2,"0")})`);let u=e&31;r=i(this.data,this._pos,u,this.options)}return this._pos+=r.encodedLength,r}},wt=Symbol.for("DONE"),Kt=Symbol.for("BREAK");function mu(t,e,r){let i=[];for(let u=0;u<t.value;u++){let c=it(e,r);if(c===Kt){if(t.value===1/0)break;throw new Error(`${q} got unexpected break to lengthed array`)}if(c===wt)throw new Error(`${q} found array but not enough entries (got ${u}, expected ${t.value})`);i[u]=c}return i}function xu(t,e,r){let i=r.useMaps===!0,u=r.rejectDuplicateMapKeys===!0,c=i?void 0:{},d=i?new Map:void 0;for(let w=0;w<t.value;w++){let A=it(e,r);if(A===Kt){if(t.value===1/0)break;throw new Error(`${q} got unexpected break to lengthed map`)}if(A===wt)throw new Error(`${q} found map but not enough entries (got ${w} [no key], expected ${t.value})`);if(!i&&typeof A!="string")throw new Error(`${q} non-string keys not supported (got ${typeof A})`);if(u&&(i&&d.has(A)||!i&&Object.hasOwn(c,A)))throw new Error(`${q} found repeat map key "${A}"`);let I=it(e,r);if(I===wt)throw new Error(`${q} found map but not enough entries (got ${w} [no value], expected ${t.value})`);i?d.set(A,I):c[A]=I}return i?d:c}function it(t,e){if(t.done())return wt;let r=t.next();if(b.equals(r.type,b.break))return Kt;if(r.type.terminal)return r.value;if(b.equals(r.type,b.array))return mu(r,t,e);if(b.equals(r.type,b.map))return xu(r,t,e);if(b.equals(r.type,b.tag)){if(e.tags&&typeof e.tags[r.value]=="function"){let i=it(t,e);return e.tags[r.value](i)}throw new Error(`${q} tag not supported (${r.value})`)}throw new Error("unsupported")}function Di(t,e){if(!(t instanceof Uint8Array))throw new Error(`${q} data to decode must be a Uint8Array`);e=Object.assign({},_u,e);let r=ht(t),i=e.tokenizer||new Jt(r,e),u=it(i,e);if(u===wt)throw new Error(`${q} did not find any content to decode`);if(u===Kt)throw new Error(`${q} got unexpected break`);return[u,t.subarray(i.pos())]}function Pr(t,e){let[r,i]=Di(t,e);if(i.length>0)throw new Error(`${q} too many terminals, data makes no sense`);return r}var Zt=function(t){return Qt.Buffer.from(Fr(t))},er=function(t){return Pr(Qt.Buffer.isBuffer(t)?t:Qt.Buffer.from(t,"hex"))};var Ni=Ae(Fe()),yu=function(){function t(e,r){if(r===void 0&&(r="bytes"),this._cborPayload=e,this._type=r,!Ze(this._type))throw new Bt}return t.fromBuffer=function(e){return new t(Zt(e))},t.from=function(e){return t.fromBuffer(Ni.Buffer.from(e))},t.prototype.decodeCBOR=function(){return er(this._cborPayload)},Object.defineProperty(t.prototype,"type",{get:function(){return this._type},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cbor",{get:function(){return this._cborPayload},enumerable:!1,configurable:!0}),t.prototype.equals=function(e){return this.type===e.type&&this.cbor.equals(e.cbor)},t}(),bt=yu;var wu=/^-?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?$/i,Or=Math.ceil,me=Math.floor,se="[BigNumber Error] ",Fi=se+"Number primitive has more than 15 significant digits: ",Ee=1e14,j=14,Lr=9007199254740991,Mr=[1,10,100,1e3,1e4,1e5,1e6,1e7,1e8,1e9,1e10,1e11,1e12,1e13],qe=1e7,re=1e9;function Pi(t){var e,r,i,u=U.prototype={constructor:U,toString:null,valueOf:null},c=new U(1),d=20,w=4,A=-7,I=21,C=-1e7,S=1e7,G=!1,W=1,Q=0,ye={prefix:"",groupSize:3,secondaryGroupSize:0,groupSeparator:",",decimalSeparator:".",fractionGroupSize:0,fractionGroupSeparator:"\xA0",suffix:""},Ce="0123456789abcdefghijklmnopqrstuvwxyz",Xe=!0;function U(p,n){var o,f,s,a,l,h,g,m,x=this;if(!(x instanceof U))return new U(p,n);if(n==null){if(p&&p._isBigNumber===!0){x.s=p.s,!p.c||p.e>S?x.c=x.e=null:p.e<C?x.c=[x.e=0]:(x.e=p.e,x.c=p.c.slice());return}if((h=typeof p=="number")&&p*0==0){if(x.s=1/p<0?(p=-p,-1):1,p===~~p){for(a=0,l=p;l>=10;l/=10,a++);a>S?x.c=x.e=null:(x.e=a,x.c=[p]);return}m=String(p)}else{if(!wu.test(m=String(p)))return i(x,m,h);x.s=m.charCodeAt(0)==45?(m=m.slice(1),-1):1}(a=m.indexOf("."))>-1&&(m=m.replace(".","")),(l=m.search(/e/i))>0?(a<0&&(a=l),a+=+m.slice(l+1),m=m.substring(0,l)):a<0&&(a=m.length)}else{if(Y(n,2,Ce.length,"Base"),n==10&&Xe)return x=new U(p),D(x,d+x.e+1,w);if(m=String(p),h=typeof p=="number"){if(p*0!=0)return i(x,m,h,n);if(x.s=1/p<0?(m=m.slice(1),-1):1,U.DEBUG&&m.replace(/^0\.0*|\./,"").length>15)throw Error(Fi+p)}else x.s=m.charCodeAt(0)===45?(m=m.slice(1),-1):1;for(o=Ce.slice(0,n),a=l=0,g=m.length;l<g;l++)if(o.indexOf(f=m.charAt(l))<0){if(f=="."){if(l>a){a=g;continue}}else if(!s&&(m==m.toUpperCase()&&(m=m.toLowerCase())||m==m.toLowerCase()&&(m=m.toUpperCase()))){s=!0,l=-1,a=0;continue}return i(x,String(p),h,n)}h=!1,m=r(m,n,10,x.s),(a=m.indexOf("."))>-1?m=m.replace(".",""):a=m.length}for(l=0;m.charCodeAt(l)===48;l++);for(g=m.length;m.charCodeAt(--g)===48;);if(m=m.slice(l,++g)){if(g-=l,h&&U.DEBUG&&g>15&&(p>Lr||p!==me(p)))throw Error(Fi+x.s*p);if((a=a-l-1)>S)x.c=x.e=null;else if(a<C)x.c=[x.e=0];else{if(x.e=a,x.c=[],l=(a+1)%j,a<0&&(l+=j),l<g){for(l&&x.c.push(+m.slice(0,l)),g-=j;l<g;)x.c.push(+m.slice(l,l+=j));l=j-(m=m.slice(l)).length}else l-=g;for(;l--;m+="0");x.c.push(+m)}}else x.c=[x.e=0]}U.clone=Pi,U.ROUND_UP=0,U.ROUND_DOWN=1,U.ROUND_CEIL=2,U.ROUND_FLOOR=3,U.ROUND_HALF_UP=4,U.ROUND_HALF_DOWN=5,U.ROUND_HALF_EVEN=6,U.ROUND_HALF_CEIL=7,U.ROUND_HALF_FLOOR=8,U.EUCLID=9,U.config=U.set=function(p){var n,o;if(p!=null)if(typeof p=="object"){if(p.hasOwnProperty(n="DECIMAL_PLACES")&&(o=p[n],Y(o,0,re,n),d=o),p.hasOwnProperty(n="ROUNDING_MODE")&&(o=p[n],Y(o,0,8,n),w=o),p.hasOwnProperty(n="EXPONENTIAL_AT")&&(o=p[n],o&&o.pop?(Y(o[0],-re,0,n),Y(o[1],0,re,n),A=o[0],I=o[1]):(Y(o,-re,re,n),A=-(I=o<0?-o:o))),p.hasOwnProperty(n="RANGE"))if(o=p[n],o&&o.pop)Y(o[0],-re,-1,n),Y(o[1],1,re,n),C=o[0],S=o[1];else if(Y(o,-re,re,n),o)C=-(S=o<0?-o:o);else throw Error(se+n+" cannot be zero: "+o);if(p.hasOwnProperty(n="CRYPTO"))if(o=p[n],o===!!o)if(o)if(typeof crypto!="undefined"&&crypto&&(crypto.getRandomValues||crypto.randomBytes))G=o;else throw G=!o,Error(se+"crypto unavailable");else G=o;else throw Error(se+n+" not true or false: "+o);if(p.hasOwnProperty(n="MODULO_MODE")&&(o=p[n],Y(o,0,9,n),W=o),p.hasOwnProperty(n="POW_PRECISION")&&(o=p[n],Y(o,0,re,n),Q=o),p.hasOwnProperty(n="FORMAT"))if(o=p[n],typeof o=="object")ye=o;else throw Error(se+n+" not an object: "+o);if(p.hasOwnProperty(n="ALPHABET"))if(o=p[n],typeof o=="string"&&!/^.?$|[+\-.\s]|(.).*\1/.test(o))Xe=o.slice(0,10)=="0123456789",Ce=o;else throw Error(se+n+" invalid: "+o)}else throw Error(se+"Object expected: "+p);return{DECIMAL_PLACES:d,ROUNDING_MODE:w,EXPONENTIAL_AT:[A,I],RANGE:[C,S],CRYPTO:G,MODULO_MODE:W,POW_PRECISION:Q,FORMAT:ye,ALPHABET:Ce}},U.isBigNumber=function(p){if(!p||p._isBigNumber!==!0)return!1;if(!U.DEBUG)return!0;var n,o,f=p.c,s=p.e,a=p.s;e:if({}.toString.call(f)=="[object Array]"){if((a===1||a===-1)&&s>=-re&&s<=re&&s===me(s)){if(f[0]===0){if(s===0&&f.length===1)return!0;break e}if(n=(s+1)%j,n<1&&(n+=j),String(f[0]).length==n){for(n=0;n<f.length;n++)if(o=f[n],o<0||o>=Ee||o!==me(o))break e;if(o!==0)return!0}}}else if(f===null&&s===null&&(a===null||a===1||a===-1))return!0;throw Error(se+"Invalid BigNumber: "+p)},U.maximum=U.max=function(){return O(arguments,-1)},U.minimum=U.min=function(){return O(arguments,1)},U.random=function(){var p=9007199254740992,n=Math.random()*p&2097151?function(){return me(Math.random()*p)}:function(){return(Math.random()*1073741824|0)*8388608+(Math.random()*8388608|0)};return function(o){var f,s,a,l,h,g=0,m=[],x=new U(c);if(o==null?o=d:Y(o,0,re),l=Or(o/j),G)if(crypto.getRandomValues){for(f=crypto.getRandomValues(new Uint32Array(l*=2));g<l;)h=f[g]*131072+(f[g+1]>>>11),h>=9e15?(s=crypto.getRandomValues(new Uint32Array(2)),f[g]=s[0],f[g+1]=s[1]):(m.push(h%1e14),g+=2);g=l/2}else if(crypto.randomBytes){for(f=crypto.randomBytes(l*=7);g<l;)h=(f[g]&31)*281474976710656+f[g+1]*1099511627776+f[g+2]*4294967296+f[g+3]*16777216+(f[g+4]<<16)+(f[g+5]<<8)+f[g+6],h>=9e15?crypto.randomBytes(7).copy(f,g):(m.push(h%1e14),g+=7);g=l/7}else throw G=!1,Error(se+"crypto unavailable");if(!G)for(;g<l;)h=n(),h<9e15&&(m[g++]=h%1e14);for(l=m[--g],o%=j,l&&o&&(h=Mr[j-o],m[g]=me(l/h)*h);m[g]===0;m.pop(),g--);if(g<0)m=[a=0];else{for(a=-1;m[0]===0;m.splice(0,1),a-=j);for(g=1,h=m[0];h>=10;h/=10,g++);g<j&&(a-=j-g)}return x.e=a,x.c=m,x}}(),U.sum=function(){for(var p=1,n=arguments,o=new U(n[0]);p<n.length;)o=o.plus(n[p++]);return o},r=function(){var p="0123456789";function n(o,f,s,a){for(var l,h=[0],g,m=0,x=o.length;m<x;){for(g=h.length;g--;h[g]*=f);for(h[0]+=a.indexOf(o.charAt(m++)),l=0;l<h.length;l++)h[l]>s-1&&(h[l+1]==null&&(h[l+1]=0),h[l+1]+=h[l]/s|0,h[l]%=s)}return h.reverse()}return function(o,f,s,a,l){var h,g,m,x,y,v,B,k,N=o.indexOf("."),R=d,F=w;for(N>=0&&(x=Q,Q=0,o=o.replace(".",""),k=new U(f),v=k.pow(o.length-N),Q=x,k.c=n(Le(_e(v.c),v.e,"0"),10,s,p),k.e=k.c.length),B=n(o,f,s,l?(h=Ce,p):(h=p,Ce)),m=x=B.length;B[--x]==0;B.pop());if(!B[0])return h.charAt(0);if(N<0?--m:(v.c=B,v.e=m,v.s=a,v=e(v,k,R,F,s),B=v.c,y=v.r,m=v.e),g=m+R+1,N=B[g],x=s/2,y=y||g<0||B[g+1]!=null,y=F<4?(N!=null||y)&&(F==0||F==(v.s<0?3:2)):N>x||N==x&&(F==4||y||F==6&&B[g-1]&1||F==(v.s<0?8:7)),g<1||!B[0])o=y?Le(h.charAt(1),-R,h.charAt(0)):h.charAt(0);else{if(B.length=g,y)for(--s;++B[--g]>s;)B[g]=0,g||(++m,B=[1].concat(B));for(x=B.length;!B[--x];);for(N=0,o="";N<=x;o+=h.charAt(B[N++]));o=Le(o,m,h.charAt(0))}return o}}(),e=function(){function p(f,s,a){var l,h,g,m,x=0,y=f.length,v=s%qe,B=s/qe|0;for(f=f.slice();y--;)g=f[y]%qe,m=f[y]/qe|0,l=B*g+m*v,h=v*g+l%qe*qe+x,x=(h/a|0)+(l/qe|0)+B*m,f[y]=h%a;return x&&(f=[x].concat(f)),f}function n(f,s,a,l){var h,g;if(a!=l)g=a>l?1:-1;else for(h=g=0;h<a;h++)if(f[h]!=s[h]){g=f[h]>s[h]?1:-1;break}return g}function o(f,s,a,l){for(var h=0;a--;)f[a]-=h,h=f[a]<s[a]?1:0,f[a]=h*l+f[a]-s[a];for(;!f[0]&&f.length>1;f.splice(0,1));}return function(f,s,a,l,h){var g,m,x,y,v,B,k,N,R,F,M,z,V,Z,fe,ne,De,oe=f.s==s.s?1:-1,ie=f.c,J=s.c;if(!ie||!ie[0]||!J||!J[0])return new U(!f.s||!s.s||(ie?J&&ie[0]==J[0]:!J)?NaN:ie&&ie[0]==0||!J?oe*0:oe/0);for(N=new U(oe),R=N.c=[],m=f.e-s.e,oe=a+m+1,h||(h=Ee,m=xe(f.e/j)-xe(s.e/j),oe=oe/j|0),x=0;J[x]==(ie[x]||0);x++);if(J[x]>(ie[x]||0)&&m--,oe<0)R.push(1),y=!0;else{for(Z=ie.length,ne=J.length,x=0,oe+=2,v=me(h/(J[0]+1)),v>1&&(J=p(J,v,h),ie=p(ie,v,h),ne=J.length,Z=ie.length),V=ne,F=ie.slice(0,ne),M=F.length;M<ne;F[M++]=0);De=J.slice(),De=[0].concat(De),fe=J[0],J[1]>=h/2&&fe++;do{if(v=0,g=n(J,F,ne,M),g<0){if(z=F[0],ne!=M&&(z=z*h+(F[1]||0)),v=me(z/fe),v>1)for(v>=h&&(v=h-1),B=p(J,v,h),k=B.length,M=F.length;n(B,F,k,M)==1;)v--,o(B,ne<k?De:J,k,h),k=B.length,g=1;else v==0&&(g=v=1),B=J.slice(),k=B.length;if(k<M&&(B=[0].concat(B)),o(F,B,M,h),M=F.length,g==-1)for(;n(J,F,ne,M)<1;)v++,o(F,ne<M?De:J,M,h),M=F.length}else g===0&&(v++,F=[0]);R[x++]=v,F[0]?F[M++]=ie[V]||0:(F=[ie[V]],M=1)}while((V++<Z||F[0]!=null)&&oe--);y=F[0]!=null,R[0]||R.splice(0,1)}if(h==Ee){for(x=1,oe=R[0];oe>=10;oe/=10,x++);D(N,a+(N.e=x+m*j-1)+1,l,y)}else N.e=m,N.r=+y;return N}}();function K(p,n,o,f){var s,a,l,h,g;if(o==null?o=w:Y(o,0,8),!p.c)return p.toString();if(s=p.c[0],l=p.e,n==null)g=_e(p.c),g=f==1||f==2&&(l<=A||l>=I)?rr(g,l):Le(g,l,"0");else if(p=D(new U(p),n,o),a=p.e,g=_e(p.c),h=g.length,f==1||f==2&&(n<=a||a<=A)){for(;h<n;g+="0",h++);g=rr(g,a)}else if(n-=l+(f===2&&a>l),g=Le(g,a,"0"),a+1>h){if(--n>0)for(g+=".";n--;g+="0");}else if(n+=a-h,n>0)for(a+1==h&&(g+=".");n--;g+="0");return p.s<0&&s?"-"+g:g}function O(p,n){for(var o,f,s=1,a=new U(p[0]);s<p.length;s++)f=new U(p[s]),(!f.s||(o=Ve(a,f))===n||o===0&&a.s===n)&&(a=f);return a}function L(p,n,o){for(var f=1,s=n.length;!n[--s];n.pop());for(s=n[0];s>=10;s/=10,f++);return(o=f+o*j-1)>S?p.c=p.e=null:o<C?p.c=[p.e=0]:(p.e=o,p.c=n),p}i=function(){var p=/^(-?)0([xbo])(?=\w[\w.]*$)/i,n=/^([^.]+)\.$/,o=/^\.([^.]+)$/,f=/^-?(Infinity|NaN)$/,s=/^\s*\+(?=[\w.])|^\s+|\s+$/g;return function(a,l,h,g){var m,x=h?l:l.replace(s,"");if(f.test(x))a.s=isNaN(x)?null:x<0?-1:1;else{if(!h&&(x=x.replace(p,function(y,v,B){return m=(B=B.toLowerCase())=="x"?16:B=="b"?2:8,!g||g==m?v:y}),g&&(m=g,x=x.replace(n,"$1").replace(o,"0.$1")),l!=x))return new U(x,m);if(U.DEBUG)throw Error(se+"Not a"+(g?" base "+g:"")+" number: "+l);a.s=null}a.c=a.e=null}}();function D(p,n,o,f){var s,a,l,h,g,m,x,y=p.c,v=Mr;if(y){e:{for(s=1,h=y[0];h>=10;h/=10,s++);if(a=n-s,a<0)a+=j,l=n,g=y[m=0],x=me(g/v[s-l-1]%10);else if(m=Or((a+1)/j),m>=y.length)if(f){for(;y.length<=m;y.push(0));g=x=0,s=1,a%=j,l=a-j+1}else break e;else{for(g=h=y[m],s=1;h>=10;h/=10,s++);a%=j,l=a-j+s,x=l<0?0:me(g/v[s-l-1]%10)}if(f=f||n<0||y[m+1]!=null||(l<0?g:g%v[s-l-1]),f=o<4?(x||f)&&(o==0||o==(p.s<0?3:2)):x>5||x==5&&(o==4||f||o==6&&(a>0?l>0?g/v[s-l]:0:y[m-1])%10&1||o==(p.s<0?8:7)),n<1||!y[0])return y.length=0,f?(n-=p.e+1,y[0]=v[(j-n%j)%j],p.e=-n||0):y[0]=p.e=0,p;if(a==0?(y.length=m,h=1,m--):(y.length=m+1,h=v[j-a],y[m]=l>0?me(g/v[s-l]%v[l])*h:0),f)for(;;)if(m==0){for(a=1,l=y[0];l>=10;l/=10,a++);for(l=y[0]+=h,h=1;l>=10;l/=10,h++);a!=h&&(p.e++,y[0]==Ee&&(y[0]=1));break}else{if(y[m]+=h,y[m]!=Ee)break;y[m--]=0,h=1}for(a=y.length;y[--a]===0;y.pop());}p.e>S?p.c=p.e=null:p.e<C&&(p.c=[p.e=0])}return p}function _(p){var n,o=p.e;return o===null?p.toString():(n=_e(p.c),n=o<=A||o>=I?rr(n,o):Le(n,o,"0"),p.s<0?"-"+n:n)}return u.absoluteValue=u.abs=function(){var p=new U(this);return p.s<0&&(p.s=1),p},u.comparedTo=function(p,n){return Ve(this,new U(p,n))},u.decimalPlaces=u.dp=function(p,n){var o,f,s,a=this;if(p!=null)return Y(p,0,re),n==null?n=w:Y(n,0,8),D(new U(a),p+a.e+1,n);if(!(o=a.c))return null;if(f=((s=o.length-1)-xe(this.e/j))*j,s=o[s])for(;s%10==0;s/=10,f--);return f<0&&(f=0),f},u.dividedBy=u.div=function(p,n){return e(this,new U(p,n),d,w)},u.dividedToIntegerBy=u.idiv=function(p,n){return e(this,new U(p,n),0,1)},u.exponentiatedBy=u.pow=function(p,n){var o,f,s,a,l,h,g,m,x,y=this;if(p=new U(p),p.c&&!p.isInteger())throw Error(se+"Exponent not an integer: "+_(p));if(n!=null&&(n=new U(n)),h=p.e>14,!y.c||!y.c[0]||y.c[0]==1&&!y.e&&y.c.length==1||!p.c||!p.c[0])return x=new U(Math.pow(+_(y),h?p.s*(2-tr(p)):+_(p))),n?x.mod(n):x;if(g=p.s<0,n){if(n.c?!n.c[0]:!n.s)return new U(NaN);f=!g&&y.isInteger()&&n.isInteger(),f&&(y=y.mod(n))}else{if(p.e>9&&(y.e>0||y.e<-1||(y.e==0?y.c[0]>1||h&&y.c[1]>=24e7:y.c[0]<8e13||h&&y.c[0]<=9999975e7)))return a=y.s<0&&tr(p)?-0:0,y.e>-1&&(a=1/a),new U(g?1/a:a);Q&&(a=Or(Q/j+2))}for(h?(o=new U(.5),g&&(p.s=1),m=tr(p)):(s=Math.abs(+_(p)),m=s%2),x=new U(c);;){if(m){if(x=x.times(y),!x.c)break;a?x.c.length>a&&(x.c.length=a):f&&(x=x.mod(n))}if(s){if(s=me(s/2),s===0)break;m=s%2}else if(p=p.times(o),D(p,p.e+1,1),p.e>14)m=tr(p);else{if(s=+_(p),s===0)break;m=s%2}y=y.times(y),a?y.c&&y.c.length>a&&(y.c.length=a):f&&(y=y.mod(n))}return f?x:(g&&(x=c.div(x)),n?x.mod(n):a?D(x,Q,w,l):x)},u.integerValue=function(p){var n=new U(this);return p==null?p=w:Y(p,0,8),D(n,n.e+1,p)},u.isEqualTo=u.eq=function(p,n){return Ve(this,new U(p,n))===0},u.isFinite=function(){return!!this.c},u.isGreaterThan=u.gt=function(p,n){return Ve(this,new U(p,n))>0},u.isGreaterThanOrEqualTo=u.gte=function(p,n){return(n=Ve(this,new U(p,n)))===1||n===0},u.isInteger=function(){return!!this.c&&xe(this.e/j)>this.c.length-2},u.isLessThan=u.lt=function(p,n){return Ve(this,new U(p,n))<0},u.isLessThanOrEqualTo=u.lte=function(p,n){return(n=Ve(this,new U(p,n)))===-1||n===0},u.isNaN=function(){return!this.s},u.isNegative=function(){return this.s<0},u.isPositive=function(){return this.s>0},u.isZero=function(){return!!this.c&&this.c[0]==0},u.minus=function(p,n){var o,f,s,a,l=this,h=l.s;if(p=new U(p,n),n=p.s,!h||!n)return new U(NaN);if(h!=n)return p.s=-n,l.plus(p);var g=l.e/j,m=p.e/j,x=l.c,y=p.c;if(!g||!m){if(!x||!y)return x?(p.s=-n,p):new U(y?l:NaN);if(!x[0]||!y[0])return y[0]?(p.s=-n,p):new U(x[0]?l:w==3?-0:0)}if(g=xe(g),m=xe(m),x=x.slice(),h=g-m){for((a=h<0)?(h=-h,s=x):(m=g,s=y),s.reverse(),n=h;n--;s.push(0));s.reverse()}else for(f=(a=(h=x.length)<(n=y.length))?h:n,h=n=0;n<f;n++)if(x[n]!=y[n]){a=x[n]<y[n];break}if(a&&(s=x,x=y,y=s,p.s=-p.s),n=(f=y.length)-(o=x.length),n>0)for(;n--;x[o++]=0);for(n=Ee-1;f>h;){if(x[--f]<y[f]){for(o=f;o&&!x[--o];x[o]=n);--x[o],x[f]+=Ee}x[f]-=y[f]}for(;x[0]==0;x.splice(0,1),--m);return x[0]?L(p,x,m):(p.s=w==3?-1:1,p.c=[p.e=0],p)},u.modulo=u.mod=function(p,n){var o,f,s=this;return p=new U(p,n),!s.c||!p.s||p.c&&!p.c[0]?new U(NaN):!p.c||s.c&&!s.c[0]?new U(s):(W==9?(f=p.s,p.s=1,o=e(s,p,0,3),p.s=f,o.s*=f):o=e(s,p,0,W),p=s.minus(o.times(p)),!p.c[0]&&W==1&&(p.s=s.s),p)},u.multipliedBy=u.times=function(p,n){var o,f,s,a,l,h,g,m,x,y,v,B,k,N,R,F=this,M=F.c,z=(p=new U(p,n)).c;if(!M||!z||!M[0]||!z[0])return!F.s||!p.s||M&&!M[0]&&!z||z&&!z[0]&&!M?p.c=p.e=p.s=null:(p.s*=F.s,!M||!z?p.c=p.e=null:(p.c=[0],p.e=0)),p;for(f=xe(F.e/j)+xe(p.e/j),p.s*=F.s,g=M.length,y=z.length,g<y&&(k=M,M=z,z=k,s=g,g=y,y=s),s=g+y,k=[];s--;k.push(0));for(N=Ee,R=qe,s=y;--s>=0;){for(o=0,v=z[s]%R,B=z[s]/R|0,l=g,a=s+l;a>s;)m=M[--l]%R,x=M[l]/R|0,h=B*m+x*v,m=v*m+h%R*R+k[a]+o,o=(m/N|0)+(h/R|0)+B*x,k[a--]=m%N;k[a]=o}return o?++f:k.splice(0,1),L(p,k,f)},u.negated=function(){var p=new U(this);return p.s=-p.s||null,p},u.plus=function(p,n){var o,f=this,s=f.s;if(p=new U(p,n),n=p.s,!s||!n)return new U(NaN);if(s!=n)return p.s=-n,f.minus(p);var a=f.e/j,l=p.e/j,h=f.c,g=p.c;if(!a||!l){if(!h||!g)return new U(s/0);if(!h[0]||!g[0])return g[0]?p:new U(h[0]?f:s*0)}if(a=xe(a),l=xe(l),h=h.slice(),s=a-l){for(s>0?(l=a,o=g):(s=-s,o=h),o.reverse();s--;o.push(0));o.reverse()}for(s=h.length,n=g.length,s-n<0&&(o=g,g=h,h=o,n=s),s=0;n;)s=(h[--n]=h[n]+g[n]+s)/Ee|0,h[n]=Ee===h[n]?0:h[n]%Ee;return s&&(h=[s].concat(h),++l),L(p,h,l)},u.precision=u.sd=function(p,n){var o,f,s,a=this;if(p!=null&&p!==!!p)return Y(p,1,re),n==null?n=w:Y(n,0,8),D(new U(a),p,n);if(!(o=a.c))return null;if(s=o.length-1,f=s*j+1,s=o[s]){for(;s%10==0;s/=10,f--);for(s=o[0];s>=10;s/=10,f++);}return p&&a.e+1>f&&(f=a.e+1),f},u.shiftedBy=function(p){return Y(p,-Lr,Lr),this.times("1e"+p)},u.squareRoot=u.sqrt=function(){var p,n,o,f,s,a=this,l=a.c,h=a.s,g=a.e,m=d+4,x=new U("0.5");if(h!==1||!l||!l[0])return new U(!h||h<0&&(!l||l[0])?NaN:l?a:1/0);if(h=Math.sqrt(+_(a)),h==0||h==1/0?(n=_e(l),(n.length+g)%2==0&&(n+="0"),h=Math.sqrt(+n),g=xe((g+1)/2)-(g<0||g%2),h==1/0?n="5e"+g:(n=h.toExponential(),n=n.slice(0,n.indexOf("e")+1)+g),o=new U(n)):o=new U(h+""),o.c[0]){for(g=o.e,h=g+m,h<3&&(h=0);;)if(s=o,o=x.times(s.plus(e(a,s,m,1))),_e(s.c).slice(0,h)===(n=_e(o.c)).slice(0,h))if(o.e<g&&--h,n=n.slice(h-3,h+1),n=="9999"||!f&&n=="4999"){if(!f&&(D(s,s.e+d+2,0),s.times(s).eq(a))){o=s;break}m+=4,h+=4,f=1}else{(!+n||!+n.slice(1)&&n.charAt(0)=="5")&&(D(o,o.e+d+2,1),p=!o.times(o).eq(a));break}}return D(o,o.e+d+1,w,p)},u.toExponential=function(p,n){return p!=null&&(Y(p,0,re),p++),K(this,p,n,1)},u.toFixed=function(p,n){return p!=null&&(Y(p,0,re),p=p+this.e+1),K(this,p,n)},u.toFormat=function(p,n,o){var f,s=this;if(o==null)p!=null&&n&&typeof n=="object"?(o=n,n=null):p&&typeof p=="object"?(o=p,p=n=null):o=ye;else if(typeof o!="object")throw Error(se+"Argument not an object: "+o);if(f=s.toFixed(p,n),s.c){var a,l=f.split("."),h=+o.groupSize,g=+o.secondaryGroupSize,m=o.groupSeparator||"",x=l[0],y=l[1],v=s.s<0,B=v?x.slice(1):x,k=B.length;if(g&&(a=h,h=g,g=a,k-=a),h>0&&k>0){for(a=k%h||h,x=B.substr(0,a);a<k;a+=h)x+=m+B.substr(a,h);g>0&&(x+=m+B.slice(a)),v&&(x="-"+x)}f=y?x+(o.decimalSeparator||"")+((g=+o.fractionGroupSize)?y.replace(new RegExp("\\d{"+g+"}\\B","g"),"$&"+(o.fractionGroupSeparator||"")):y):x}return(o.prefix||"")+f+(o.suffix||"")},u.toFraction=function(p){var n,o,f,s,a,l,h,g,m,x,y,v,B=this,k=B.c;if(p!=null&&(h=new U(p),!h.isInteger()&&(h.c||h.s!==1)||h.lt(c)))throw Error(se+"Argument "+(h.isInteger()?"out of range: ":"not an integer: ")+_(h));if(!k)return new U(B);for(n=new U(c),m=o=new U(c),f=g=new U(c),v=_e(k),a=n.e=v.length-B.e-1,n.c[0]=Mr[(l=a%j)<0?j+l:l],p=!p||h.comparedTo(n)>0?a>0?n:m:h,l=S,S=1/0,h=new U(v),g.c[0]=0;x=e(h,n,0,1),s=o.plus(x.times(f)),s.comparedTo(p)!=1;)o=f,f=s,m=g.plus(x.times(s=m)),g=s,n=h.minus(x.times(s=n)),h=s;return s=e(p.minus(o),f,0,1),g=g.plus(s.times(m)),o=o.plus(s.times(f)),g.s=m.s=B.s,a=a*2,y=e(m,f,a,w).minus(B).abs().comparedTo(e(g,o,a,w).minus(B).abs())<1?[m,f]:[g,o],S=l,y},u.toNumber=function(){return+_(this)},u.toPrecision=function(p,n){return p!=null&&Y(p,1,re),K(this,p,n,2)},u.toString=function(p){var n,o=this,f=o.s,s=o.e;return s===null?f?(n="Infinity",f<0&&(n="-"+n)):n="NaN":(p==null?n=s<=A||s>=I?rr(_e(o.c),s):Le(_e(o.c),s,"0"):p===10&&Xe?(o=D(new U(o),d+s+1,w),n=Le(_e(o.c),o.e,"0")):(Y(p,2,Ce.length,"Base"),n=r(Le(_e(o.c),s,"0"),10,p,f,!0)),f<0&&o.c[0]&&(n="-"+n)),n},u.valueOf=u.toJSON=function(){return _(this)},u._isBigNumber=!0,u[Symbol.toStringTag]="BigNumber",u[Symbol.for("nodejs.util.inspect.custom")]=u.valueOf,t!=null&&U.set(t),U}function xe(t){var e=t|0;return t>0||t===e?e:e-1}function _e(t){for(var e,r,i=1,u=t.length,c=t[0]+"";i<u;){for(e=t[i++]+"",r=j-e.length;r--;e="0"+e);c+=e}for(u=c.length;c.charCodeAt(--u)===48;);return c.slice(0,u+1||1)}function Ve(t,e){var r,i,u=t.c,c=e.c,d=t.s,w=e.s,A=t.e,I=e.e;if(!d||!w)return null;if(r=u&&!u[0],i=c&&!c[0],r||i)return r?i?0:-w:d;if(d!=w)return d;if(r=d<0,i=A==I,!u||!c)return i?0:!u^r?1:-1;if(!i)return A>I^r?1:-1;for(w=(A=u.length)<(I=c.length)?A:I,d=0;d<w;d++)if(u[d]!=c[d])return u[d]>c[d]^r?1:-1;return A==I?0:A>I^r?1:-1}function Y(t,e,r,i){if(t<e||t>r||t!==me(t))throw Error(se+(i||"Argument")+(typeof t=="number"?t<e||t>r?" out of range: ":" not an integer: ":" not a primitive number: ")+String(t))}function tr(t){var e=t.c.length-1;return xe(t.e/j)==e&&t.c[e]%2!=0}function rr(t,e){return(t.length>1?t.charAt(0)+"."+t.slice(1):t)+(e<0?"e":"e+")+e}function Le(t,e,r){var i,u;if(e<0){for(u=r+".";++e;u+=r);t=u+t}else if(i=t.length,++e>i){for(u=r,e-=i;--e;u+=r);t+=u}else e<i&&(t=t.slice(0,e)+"."+t.slice(e));return t}var bu=Pi(),Rr=bu;var $=Ae(Oi()),vu=function(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),u=0,e=0;e<r;e++)for(var c=arguments[e],d=0,w=c.length;d<w;d++,u++)i[u]=c[d];return i},Eu=18446744073709552e3,Li=function(t,e){return $.default.bitwiseXor($.default.asUintN(64,$.default.leftShift(t,$.default.BigInt(e))),$.default.BigInt($.default.asUintN(64,$.default.signedRightShift(t,$.default.subtract($.default.BigInt(64),$.default.BigInt(e))))))},Bu=function(){function t(e){var r=this;this.next=function(){return new Rr(r.roll().toString())},this.nextDouble=function(){return new Rr(r.roll().toString()).div(Eu+1)},this.nextInt=function(u,c){return Math.floor(r.nextDouble().toNumber()*(c-u+1)+u)},this.nextByte=function(){return r.nextInt(0,255)},this.nextData=function(u){return vu(new Array(u)).map(function(){return r.nextByte()})};var i=Bn(e);this.s=[$.default.BigInt(0),$.default.BigInt(0),$.default.BigInt(0),$.default.BigInt(0)],this.setS(i)}return t.prototype.setS=function(e){for(var r=0;r<4;r++){for(var i=r*8,u=$.default.BigInt(0),c=0;c<8;c++)u=$.default.asUintN(64,$.default.leftShift(u,$.default.BigInt(8))),u=$.default.asUintN(64,$.default.bitwiseOr(u,$.default.BigInt(e[i+c])));this.s[r]=$.default.asUintN(64,u)}},t.prototype.roll=function(){var e=$.default.asUintN(64,$.default.multiply(Li($.default.asUintN(64,$.default.multiply(this.s[1],$.default.BigInt(5))),7),$.default.BigInt(9))),r=$.default.asUintN(64,$.default.leftShift(this.s[1],$.default.BigInt(17)));return this.s[2]=$.default.asUintN(64,$.default.bitwiseXor(this.s[2],$.default.BigInt(this.s[0]))),this.s[3]=$.default.asUintN(64,$.default.bitwiseXor(this.s[3],$.default.BigInt(this.s[1]))),this.s[1]=$.default.asUintN(64,$.default.bitwiseXor(this.s[1],$.default.BigInt(this.s[2]))),this.s[0]=$.default.asUintN(64,$.default.bitwiseXor(this.s[0],$.default.BigInt(this.s[3]))),this.s[2]=$.default.asUintN(64,$.default.bitwiseXor(this.s[2],$.default.BigInt(r))),this.s[3]=$.default.asUintN(64,Li(this.s[3],45)),e},t}(),Mi=Bu;var qi=Ae($i()),ji=Ae(Fe()),jr=function(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),u=0,e=0;e<r;e++)for(var c=arguments[e],d=0,w=c.length;d<w;d++,u++)i[u]=c[d];return i},Au=function(t,e){var r=jr(new Array(t)).map(function(u,c){return 1/(c+1)}),i=(0,qi.default)(r,null,e.nextDouble);return i.next()+1},Iu=function(t,e){for(var r=jr(t),i=[];r.length>0;){var u=e.nextInt(0,r.length-1),c=r[u];r.splice(u,1),i.push(c)}return i},nr=function(t,e,r){if(t<=e)return[t-1];var i=ji.Buffer.concat([vr(t),vr(r)]),u=new Mi(i),c=Au(e,u),d=jr(new Array(e)).map(function(A,I){return I}),w=Iu(d,u);return w.slice(0,c)};var We=Ae(Fe()),zr=function(){function t(e,r,i,u,c){this._seqNum=e,this._seqLength=r,this._messageLength=i,this._checksum=u,this._fragment=c}return Object.defineProperty(t.prototype,"messageLength",{get:function(){return this._messageLength},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"fragment",{get:function(){return this._fragment},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"seqNum",{get:function(){return this._seqNum},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"seqLength",{get:function(){return this._seqLength},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"checksum",{get:function(){return this._checksum},enumerable:!1,configurable:!0}),t.prototype.cbor=function(){var e=Zt([this._seqNum,this._seqLength,this._messageLength,this._checksum,this._fragment]);return We.Buffer.from(e)},t.prototype.description=function(){return"seqNum:"+this._seqNum+", seqLen:"+this._seqLength+", messageLen:"+this._messageLength+", checksum:"+this._checksum+", data:"+this._fragment.toString("hex")},t.fromCBOR=function(e){var r=er(e),i=r[0],u=r[1],c=r[2],d=r[3],w=r[4];if(typeof i!="number"||typeof u!="number"||typeof c!="number"||typeof d!="number"||We.Buffer.isBuffer(w)&&w.length<=0)throw new Error("type error");return new t(i,u,c,d,We.Buffer.from(w))},t}();var ku=function(){function t(e,r,i,u){r===void 0&&(r=100),i===void 0&&(i=0),u===void 0&&(u=10);var c=t.findNominalFragmentLength(e.length,u,r);this._messageLength=e.length,this._fragments=t.partitionMessage(e,c),this.fragmentLength=c,this.seqNum=ct(i),this.checksum=Pt(e)}return Object.defineProperty(t.prototype,"fragmentsLength",{get:function(){return this._fragments.length},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"fragments",{get:function(){return this._fragments},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"messageLength",{get:function(){return this._messageLength},enumerable:!1,configurable:!0}),t.prototype.isComplete=function(){return this.seqNum>=this._fragments.length},t.prototype.isSinglePart=function(){return this._fragments.length===1},t.prototype.seqLength=function(){return this._fragments.length},t.prototype.mix=function(e){var r=this;return e.reduce(function(i,u){return Ot(r._fragments[u],i)},We.Buffer.alloc(this.fragmentLength,0))},t.prototype.nextPart=function(){this.seqNum=ct(this.seqNum+1);var e=nr(this.seqNum,this._fragments.length,this.checksum),r=this.mix(e);return new zr(this.seqNum,this._fragments.length,this._messageLength,this.checksum,r)},t.findNominalFragmentLength=function(e,r,i){if(e<=0||r<=0||i<r)throw new Error("invalid fragment or message length");for(var u=Math.ceil(e/r),c=0,d=1;d<=u&&(c=Math.ceil(e/d),!(c<=i));d++);return c},t.partitionMessage=function(e,r){for(var i,u=We.Buffer.from(e),c,d=[];u.length>0;)i=Ft(u,-r),c=i[0],u=i[1],c=We.Buffer.alloc(r,0).fill(c,0,c.length),d.push(c);return d},t}(),zi=ku;var ot=Ae(Fe());var Gi=function(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),u=0,e=0;e<r;e++)for(var c=arguments[e],d=0,w=c.length;d<w;d++,u++)i[u]=c[d];return i},Su="ableacidalsoapexaquaarchatomauntawayaxisbackbaldbarnbeltbetabiasbluebodybragbrewbulbbuzzcalmcashcatschefcityclawcodecolacookcostcruxcurlcuspcyandarkdatadaysdelidicedietdoordowndrawdropdrumdulldutyeacheasyechoedgeepicevenexamexiteyesfactfairfernfigsfilmfishfizzflapflewfluxfoxyfreefrogfuelfundgalagamegeargemsgiftgirlglowgoodgraygrimgurugushgyrohalfhanghardhawkheathelphighhillholyhopehornhutsicedideaidleinchinkyintoirisironitemjadejazzjoinjoltjowljudojugsjumpjunkjurykeepkenokeptkeyskickkilnkingkitekiwiknoblamblavalazyleaflegsliarlimplionlistlogoloudloveluaulucklungmainmanymathmazememomenumeowmildmintmissmonknailnavyneednewsnextnoonnotenumbobeyoboeomitonyxopenovalowlspaidpartpeckplaypluspoempoolposepuffpumapurrquadquizraceramprealredorichroadrockroofrubyruinrunsrustsafesagascarsetssilkskewslotsoapsolosongstubsurfswantacotasktaxitenttiedtimetinytoiltombtoystriptunatwinuglyundouniturgeuservastveryvetovialvibeviewvisavoidvowswallwandwarmwaspwavewaxywebswhatwhenwhizwolfworkyankyawnyellyogayurtzapszerozestzinczonezoom",ir=[],Uu=256,je=4,Tu=2,Be;(function(t){t.STANDARD="standard",t.URI="uri",t.MINIMAL="minimal"})(Be||(Be={}));var or=function(t){return Su.slice(t*je,t*je+je)},Cu=function(t){var e=or(t);return""+e[0]+e[je-1]},Vi=function(t){var e=br(ot.Buffer.from(t,"hex"));return""+t+e},Hi=function(t,e){var r=Vi(t),i=ot.Buffer.from(r,"hex"),u=i.reduce(function(c,d){return Gi(c,[or(d)])},[]);return u.join(e)},Du=function(t){var e=Vi(t),r=ot.Buffer.from(e,"hex"),i=r.reduce(function(u,c){return u+Cu(c)},"");return i},Nu=function(t,e){if(t.length!==e)throw new Error("'Invalid Bytewords: word.length does not match wordLength provided'");var r=26;if(ir.length===0){var i=r*r;ir=Gi(new Array(i)).map(function(){return-1});for(var u=0;u<Uu;u++){var c=or(u),d=c[0].charCodeAt(0)-97,w=c[3].charCodeAt(0)-97,A=w*r+d;ir[A]=u}}var I=t[0].toLowerCase().charCodeAt(0)-97,C=t[e==4?3:1].toLowerCase().charCodeAt(0)-97;if(!(0<=I&&I<r&&0<=C&&C<r))throw new Error("Invalid Bytewords: invalid word");var S=C*r+I,G=ir[S];if(G===-1)throw new Error("Invalid Bytewords: value not in lookup table");if(e==je){var c=or(G),W=t[1].toLowerCase(),Q=t[2].toLowerCase();if(!(W===c[1]&&Q===c[2]))throw new Error("Invalid Bytewords: invalid middle letters of word")}return ot.Buffer.from([G]).toString("hex")},Hr=function(t,e,r){var i=r==je?t.split(e):An(t,2),u=i.map(function(I){return Nu(I,r)}).join("");if(u.length<5)throw new Error("Invalid Bytewords: invalid decoded string length");var c=Ft(ot.Buffer.from(u,"hex"),4),d=c[0],w=c[1],A=br(d);if(A!==w.toString("hex"))throw new Error("Invalid Checksum");return d.toString("hex")},Fu=function(t,e){switch(e===void 0&&(e=Be.MINIMAL),e){case Be.STANDARD:return Hr(t," ",je);case Be.URI:return Hr(t,"-",je);case Be.MINIMAL:return Hr(t,"",Tu);default:throw new Error("Invalid style "+e)}},Pu=function(t,e){switch(e===void 0&&(e=Be.MINIMAL),e){case Be.STANDARD:return Hi(t," ");case Be.URI:return Hi(t,"-");case Be.MINIMAL:return Du(t);default:throw new Error("Invalid style "+e)}},Te={decode:Fu,encode:Pu,STYLES:Be};var Ou=function(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),u=0,e=0;e<r;e++)for(var c=arguments[e],d=0,w=c.length;d<w;d++,u++)i[u]=c[d];return i},Sf=function(){function t(e,r,i,u){this.ur=e,this.fountainEncoder=new zi(e.cbor,r,i,u)}return Object.defineProperty(t.prototype,"fragmentsLength",{get:function(){return this.fountainEncoder.fragmentsLength},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"fragments",{get:function(){return this.fountainEncoder.fragments},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"messageLength",{get:function(){return this.fountainEncoder.messageLength},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cbor",{get:function(){return this.ur.cbor},enumerable:!1,configurable:!0}),t.prototype.encodeWhole=function(){var e=this;return Ou(new Array(this.fragmentsLength)).map(function(){return e.nextPart()})},t.prototype.nextPart=function(){var e=this.fountainEncoder.nextPart();return this.fountainEncoder.isSinglePart()?t.encodeSinglePart(this.ur):t.encodePart(this.ur.type,e)},t.encodeUri=function(e,r){var i=r.join("/");return[e,i].join(":")},t.encodeUR=function(e){return t.encodeUri("ur",e)},t.encodePart=function(e,r){var i=r.seqNum+"-"+r.seqLength,u=Te.encode(r.cbor().toString("hex"),Te.STYLES.MINIMAL);return t.encodeUR([e,i,u])},t.encodeSinglePart=function(e){var r=Te.encode(e.cbor.toString("hex"),Te.STYLES.MINIMAL);return t.encodeUR([e.type,r])},t}();var Gr=Ae(Fe()),ur=function(){for(var t=0,e=0,r=arguments.length;e<r;e++)t+=arguments[e].length;for(var i=Array(t),u=0,e=0;e<r;e++)for(var c=arguments[e],d=0,w=c.length;d<w;d++,u++)i[u]=c[d];return i},Wi=function(){function t(e,r){this._indexes=e,this._fragment=r}return Object.defineProperty(t.prototype,"indexes",{get:function(){return this._indexes},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"fragment",{get:function(){return this._fragment},enumerable:!1,configurable:!0}),t.fromEncoderPart=function(e){var r=nr(e.seqNum,e.seqLength,e.checksum),i=e.fragment;return new t(r,i)},t.prototype.isSimple=function(){return this.indexes.length===1},t}();var Lu=function(){function t(){this.result=void 0,this.expectedMessageLength=0,this.expectedChecksum=0,this.expectedFragmentLength=0,this.processedPartsCount=0,this.expectedPartIndexes=[],this.lastPartIndexes=[],this.queuedParts=[],this.receivedPartIndexes=[],this.mixedParts=[],this.simpleParts=[]}return t.prototype.validatePart=function(e){var r=this;if(this.expectedPartIndexes.length===0)ur(new Array(e.seqLength)).forEach(function(i,u){return r.expectedPartIndexes.push(u)}),this.expectedMessageLength=e.messageLength,this.expectedChecksum=e.checksum,this.expectedFragmentLength=e.fragment.length;else if(this.expectedPartIndexes.length!==e.seqLength||this.expectedMessageLength!==e.messageLength||this.expectedChecksum!==e.checksum||this.expectedFragmentLength!==e.fragment.length)return!1;return!0},t.prototype.reducePartByPart=function(e,r){if(In(e.indexes,r.indexes)){var i=kn(e.indexes,r.indexes),u=Ot(e.fragment,r.fragment);return new Wi(i,u)}else return e},t.prototype.reduceMixedBy=function(e){var r=this,i=[];this.mixedParts.map(function(u){var c=u.value;return r.reducePartByPart(c,e)}).forEach(function(u){u.isSimple()?r.queuedParts.push(u):i.push({key:u.indexes,value:u})}),this.mixedParts=i},t.prototype.processSimplePart=function(e){var r=e.indexes[0];if(!this.receivedPartIndexes.includes(r))if(this.simpleParts.push({key:e.indexes,value:e}),this.receivedPartIndexes.push(r),Er(this.receivedPartIndexes,this.expectedPartIndexes)){var i=this.simpleParts.map(function(d){var w=d.value;return w}).sort(function(d,w){return d.indexes[0]-w.indexes[0]}),u=t.joinFragments(i.map(function(d){return d.fragment}),this.expectedMessageLength),c=Pt(u);c===this.expectedChecksum?this.result=u:this.error=new Yr}else this.reduceMixedBy(e)},t.prototype.processMixedPart=function(e){var r=this;if(!this.mixedParts.some(function(u){var c=u.key;return Er(c,e.indexes)})){var i=this.simpleParts.reduce(function(u,c){var d=c.value;return r.reducePartByPart(u,d)},e);i=this.mixedParts.reduce(function(u,c){var d=c.value;return r.reducePartByPart(u,d)},i),i.isSimple()?this.queuedParts.push(i):(this.reduceMixedBy(i),this.mixedParts.push({key:i.indexes,value:i}))}},t.prototype.processQueuedItem=function(){if(this.queuedParts.length!==0){var e=this.queuedParts.shift();e.isSimple()?this.processSimplePart(e):this.processMixedPart(e)}},t.prototype.receivePart=function(e){if(this.isComplete()||!this.validatePart(e))return!1;var r=Wi.fromEncoderPart(e);for(this.lastPartIndexes=r.indexes,this.queuedParts.push(r);!this.isComplete()&&this.queuedParts.length>0;)this.processQueuedItem();return this.processedPartsCount+=1,!0},t.prototype.isComplete=function(){return this.result!==void 0&&this.result.length>0},t.prototype.isSuccess=function(){return!!(this.error===void 0&&this.isComplete())},t.prototype.resultMessage=function(){return this.isSuccess()?this.result:Gr.Buffer.from([])},t.prototype.isFailure=function(){return this.error!==void 0},t.prototype.resultError=function(){return this.error?this.error.message:""},t.prototype.expectedPartCount=function(){return this.expectedPartIndexes.length},t.prototype.getExpectedPartIndexes=function(){return ur(this.expectedPartIndexes)},t.prototype.getReceivedPartIndexes=function(){return ur(this.receivedPartIndexes)},t.prototype.getLastPartIndexes=function(){return ur(this.lastPartIndexes)},t.prototype.estimatedPercentComplete=function(){if(this.isComplete())return 1;var e=this.expectedPartCount();return e===0?0:Math.min(.99,this.processedPartsCount/(e*1.75))},t.prototype.getProgress=function(){if(this.isComplete())return 1;var e=this.expectedPartCount();return e===0?0:this.receivedPartIndexes.length/e},t.joinFragments=function(e,r){return Gr.Buffer.concat(e).slice(0,r)},t}(),Xi=Lu;var Vr=Ae(Fe()),Mu=function(){function t(e,r){if(e===void 0&&(e=new Xi),r===void 0&&(r="bytes"),this.fountainDecoder=e,this.type=r,!Ze(r))throw new Error("Invalid UR type");this.expected_type=""}return t.decodeBody=function(e,r){var i=Te.decode(r,Te.STYLES.MINIMAL);return new bt(Vr.Buffer.from(i,"hex"),e)},t.prototype.validatePart=function(e){return this.expected_type?this.expected_type===e:Ze(e)?(this.expected_type=e,!0):!1},t.decode=function(e){var r=this.parse(e),i=r[0],u=r[1];if(u.length===0)throw new Et;var c=u[0];return t.decodeBody(i,c)},t.parse=function(e){var r=e.toLowerCase(),i=r.slice(0,3);if(i!=="ur:")throw new sr;var u=r.slice(3).split("/"),c=u[0];if(u.length<2)throw new Et;if(!Ze(c))throw new Bt;return[c,u.slice(1)]},t.parseSequenceComponent=function(e){var r=e.split("-");if(r.length!==2)throw new fr;var i=ct(Number(r[0])),u=Number(r[1]);if(i<1||u<1)throw new fr;return[i,u]},t.prototype.receivePart=function(e){if(this.result!==void 0)return!1;var r=t.parse(e),i=r[0],u=r[1];if(!this.validatePart(i))return!1;if(u.length===1)return this.result=t.decodeBody(i,u[0]),!0;if(u.length!==2)throw new Et;var c=u[0],d=u[1],w=t.parseSequenceComponent(c),A=w[0],I=w[1],C=Te.decode(d,Te.STYLES.MINIMAL),S=zr.fromCBOR(C);return A!==S.seqNum||I!==S.seqLength||!this.fountainDecoder.receivePart(S)?!1:(this.fountainDecoder.isSuccess()?this.result=new bt(this.fountainDecoder.resultMessage(),i):this.fountainDecoder.isFailure()&&(this.error=new sr),!0)},t.prototype.resultUR=function(){return this.result?this.result:new bt(Vr.Buffer.from([]))},t.prototype.isComplete=function(){return!!(this.result&&this.result.cbor.length>0)},t.prototype.isSuccess=function(){return!this.error&&this.isComplete()},t.prototype.isError=function(){return this.error!==void 0},t.prototype.resultError=function(){return this.error?this.error.message:""},t.prototype.expectedPartCount=function(){return this.fountainDecoder.expectedPartCount()},t.prototype.expectedPartIndexes=function(){return this.fountainDecoder.getExpectedPartIndexes()},t.prototype.receivedPartIndexes=function(){return this.fountainDecoder.getReceivedPartIndexes()},t.prototype.lastPartIndexes=function(){return this.fountainDecoder.getLastPartIndexes()},t.prototype.estimatedPercentComplete=function(){return this.fountainDecoder.estimatedPercentComplete()},t.prototype.getProgress=function(){return this.fountainDecoder.getProgress()},t}(),Wr=Mu;window.bcur={URDecoder:Wr};})();
@@ -0,0 +1,267 @@
+/**
+ * Cashu Token Parser
+ *
+ * Decodes serialized Cashu tokens client-side so they can be inspected before
+ * receiving or after exporting:
+ * - cashuA: base64 JSON (NUT-00 V3)
+ * - cashuB: base64url CBOR (NUT-00 V4)
+ *
+ * Also recognizes NUT-10 spending conditions (NUT-11 P2PK, NUT-14 HTLC)
+ * in proof secrets.
+ *
+ * No dependencies.
+ */
+class CashuToken {
+    /**
+     * Parse a serialized token
+     * @param {string} tokenString - cashuA... or cashuB... (optionally cashu: prefixed)
+     * @returns {object} Parsed token: version, mint, mints, unit, memo, amount, proofs, keysets, spendingConditions
+     * @throws {Error} If the token cannot be decoded
+     */
+    static parse(tokenString) {
+        const value = (tokenString || '').trim().replace(/^cashu:(\/\/)?/i, '');
+
+        let version;
+        let entries;
+        let unit;
+        let memo;
+
+        if (value.startsWith('cashuA')) {
+            version = 'A';
+            let json;
+            try {
+                json = JSON.parse(new TextDecoder().decode(CashuToken.decodeBase64(value.slice(6))));
+            } catch (e) {
+                throw new Error('Invalid cashuA token encoding');
+            }
+            if (!json || !Array.isArray(json.token)) {
+                throw new Error('Invalid cashuA token: missing token entries');
+            }
+            entries = json.token.map(entry => ({
+                mint: entry.mint,
+                proofs: (entry.proofs || []).map(p => ({
+                    amount: p.amount,
+                    id: p.id,
+                    secret: p.secret,
+                    C: p.C,
+                    witness: p.witness || null
+                }))
+            }));
+            unit = json.unit || 'sat';
+            memo = json.memo || null;
+        } else if (value.startsWith('cashuB')) {
+            version = 'B';
+            let data;
+            try {
+                data = CashuToken.decodeCbor(CashuToken.decodeBase64(value.slice(6)));
+            } catch (e) {
+                throw new Error('Invalid cashuB token encoding');
+            }
+            if (!data || typeof data.m !== 'string' || !Array.isArray(data.t)) {
+                throw new Error('Invalid cashuB token: missing mint or proofs');
+            }
+            entries = [{
+                mint: data.m,
+                proofs: data.t.flatMap(group => (group.p || []).map(p => ({
+                    amount: p.a,
+                    id: CashuToken.bytesToHex(group.i),
+                    secret: p.s,
+                    C: CashuToken.bytesToHex(p.c),
+                    witness: p.w || null
+                })))
+            }];
+            unit = data.u || 'sat';
+            memo = data.d || null;
+        } else {
+            throw new Error('Not a Cashu token (expected cashuA or cashuB prefix)');
+        }
+
+        const proofs = entries.flatMap(entry => entry.proofs.map(p => ({
+            ...p,
+            mint: entry.mint,
+            spendingCondition: CashuToken.parseSecret(p.secret)
+        })));
+
+        if (proofs.length === 0) {
+            throw new Error('Token contains no proofs');
+        }
+
+        const mints = [...new Set(entries.map(entry => entry.mint))];
+
+        return {
+            version,
+            mint: mints[0],
+            mints,
+            unit,
+            memo,
+            amount: proofs.reduce((sum, p) => sum + (Number(p.amount) || 0), 0),
+            proofs,
+            keysets: [...new Set(proofs.map(p => p.id))],
+            spendingConditions: proofs.map(p => p.spendingCondition).filter(Boolean)
+        };
+    }
+
+    /**
+     * Parse a NUT-10 well-known secret
+     * @param {string} secret - Proof secret
+     * @returns {object|null} { kind, data, nonce, sigflag, nSigs, locktime, pubkeys, refund } or null for plain secrets
+     */
+    static parseSecret(secret) {
+        if (typeof secret !== 'string' || !secret.startsWith('[')) {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(secret);
+        } catch (e) {
+            return null;
+        }
+
+        if (!Array.isArray(parsed) || parsed.length !== 2 || typeof parsed[0] !== 'string' || !parsed[1]) {
+            return null;
+        }
+
+        const body = parsed[1];
+        const tags = {};
+        for (const tag of body.tags || []) {
+            if (Array.isArray(tag) && tag.length > 0) {
+                tags[tag[0]] = tag.slice(1);
+            }
+        }
+
+        return {
+            kind: parsed[0],
+            data: body.data || null,
+            nonce: body.nonce || null,
+            sigflag: tags.sigflag?.[0] || 'SIG_INPUTS',
+            nSigs: tags.n_sigs ? parseInt(tags.n_sigs[0], 10) : null,
+            locktime: tags.locktime ? parseInt(tags.locktime[0], 10) : null,
+            pubkeys: tags.pubkeys || [],
+            refund: tags.refund || []
+        };
+    }
+
+    /**
+     * Decode base64 or base64url (padding optional)
+     * @param {string} str - Encoded string
+     * @returns {Uint8Array}
+     */
+    static decodeBase64(str) {
+        let b64 = str.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, '');
+        while (b64.length % 4 !== 0) {
+            b64 += '=';
+        }
+        const binary = atob(b64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert bytes to lowercase hex (strings are passed through)
+     */
+    static bytesToHex(bytes) {
+        if (typeof bytes === 'string') return bytes;
+        if (!bytes) return null;
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Minimal CBOR decoder (RFC 8949) covering the types used by cashuB tokens
+     * @param {Uint8Array} bytes - CBOR data
+     * @returns {*} Decoded value (byte strings as Uint8Array, maps as plain objects)
+     */
+    static decodeCbor(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        const readLength = (info) => {
+            if (info < 24) return info;
+            if (info === 24) return view.getUint8(offset++);
+            if (info === 25) { const v = view.getUint16(offset); offset += 2; return v; }
+            if (info === 26) { const v = view.getUint32(offset); offset += 4; return v; }
+            if (info === 27) {
+                const v = view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+                offset += 8;
+                return v;
+            }
+            throw new Error('Indefinite-length CBOR items are not supported');
+        };
+
+        const readItem = () => {
+            if (offset >= bytes.length) {
+                throw new Error('Unexpected end of CBOR data');
+            }
+            const initial = view.getUint8(offset++);
+            const major = initial >> 5;
+            const info = initial & 0x1F;
+
+            switch (major) {
+                case 0: // unsigned int
+                    return readLength(info);
+                case 1: // negative int
+                    return -1 - readLength(info);
+                case 2: { // byte string
+                    const len = readLength(info);
+                    if (offset + len > bytes.length) throw new Error('Truncated CBOR byte string');
+                    const value = bytes.slice(offset, offset + len);
+                    offset += len;
+                    return value;
+                }
+                case 3: { // text string
+                    const len = readLength(info);
+                    if (offset + len > bytes.length) throw new Error('Truncated CBOR text string');
+                    const value = new TextDecoder().decode(bytes.subarray(offset, offset + len));
+                    offset += len;
+                    return value;
+                }
+                case 4: { // array
+                    const len = readLength(info);
+                    const arr = [];
+                    for (let i = 0; i < len; i++) arr.push(readItem());
+                    return arr;
+                }
+                case 5: { // map
+                    const len = readLength(info);
+                    const obj = {};
+                    for (let i = 0; i < len; i++) {
+                        const key = readItem();
+                        obj[typeof key === 'string' ? key : String(key)] = readItem();
+                    }
+                    return obj;
+                }
+                case 6: // tag - return tagged value as-is
+                    readLength(info);
+                    return readItem();
+                case 7: // simple values and floats
+                    if (info === 20) return false;
+                    if (info === 21) return true;
+                    if (info === 22 || info === 23) return null;
+                    if (info === 25) {
+                        const half = view.getUint16(offset);
+                        offset += 2;
+                        const exp = (half >> 10) & 0x1F;
+                        const frac = half & 0x3FF;
+                        const sign = half & 0x8000 ? -1 : 1;
+                        if (exp === 0) return sign * Math.pow(2, -14) * (frac / 1024);
+                        if (exp === 31) return frac ? NaN : sign * Infinity;
+                        return sign * Math.pow(2, exp - 15) * (1 + frac / 1024);
+                    }
+                    if (info === 26) { const v = view.getFloat32(offset); offset += 4; return v; }
+                    if (info === 27) { const v = view.getFloat64(offset); offset += 8; return v; }
+                    throw new Error('Unsupported CBOR simple value');
+            }
+        };
+
+        return readItem();
+    }
+
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashuToken;
+}
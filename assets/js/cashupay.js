@@ -0,0 +1,248 @@
+/**
+ * CashuPay Checkout SDK
+ *
+ * Drop-in overlay checkout for merchant sites. Opens an invoice's checkoutLink
+ * (payment.php) in an iframe and relays its status via postMessage.
+ *
+ * Events: paid, processing, expired, closed
+ *
+ * Usage:
+ *   <script src="https://pay.example.com/assets/js/cashupay.js"></script>
+ *
+ *   // Invoice created server-side via POST /api/v1/stores/{storeId}/invoices
+ *   const checkout = new CashuPay();
+ *   checkout.on('paid', (e) => console.log('Paid', e.invoiceId));
+ *   checkout.open(invoice); // Greenfield invoice object or its checkoutLink
+ *
+ *   // Or create the invoice from the browser (use a key limited to
+ *   // btcpay.store.cancreateinvoice, it is visible to visitors)
+ *   const checkout = new CashuPay({ serverUrl, storeId, apiKey });
+ *   checkout.checkout({ amount: '10.00', currency: 'EUR' });
+ *
+ * No dependencies.
+ */
+class CashuPay {
+    constructor(options = {}) {
+        this.options = {
+            serverUrl: options.serverUrl ? options.serverUrl.replace(/\/+$/, '') : null,
+            storeId: options.storeId || null,
+            apiKey: options.apiKey || null,
+            closeOnPaid: options.closeOnPaid !== undefined ? options.closeOnPaid : 3000, // ms, false to keep open
+            zIndex: options.zIndex || 2147483000,
+            ...options
+        };
+
+        this.handlers = {};
+        this.overlay = null;
+        this.iframe = null;
+        this.checkoutOrigin = null;
+        this.invoiceId = null;
+        this.closeTimeout = null;
+        this.onMessage = this.handleMessage.bind(this);
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+
+        // Allow onPaid/onExpired/... callbacks in options
+        CashuPay.EVENTS.forEach(event => {
+            const key = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+            if (typeof options[key] === 'function') {
+                this.on(event, options[key]);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to a checkout event
+     * @param {string} event - paid | processing | expired | closed
+     * @param {Function} handler - Receives { event, invoiceId, status }
+     * @returns {CashuPay} this (chainable)
+     */
+    on(event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Unsubscribe from a checkout event
+     */
+    off(event, handler) {
+        this.handlers[event] = (this.handlers[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, detail) {
+        (this.handlers[event] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error('[CashuPay] Event handler failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Create an invoice via the Greenfield API
+     * @param {object} params - { amount, currency, metadata, checkout }
+     * @returns {Promise<object>} Greenfield invoice
+     */
+    async createInvoice(params) {
+        const { serverUrl, storeId, apiKey } = this.options;
+        if (!serverUrl || !storeId || !apiKey) {
+            throw new Error('serverUrl, storeId and apiKey are required to create invoices');
+        }
+
+        const response = await fetch(`${serverUrl}/api/v1/stores/${encodeURIComponent(storeId)}/invoices`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `token ${apiKey}`
+            },
+            body: JSON.stringify(params)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Invoice creation failed (HTTP ${response.status})`);
+        }
+        return data;
+    }
+
+    /**
+     * Create an invoice (if needed) and open its checkout
+     * @param {object|string} invoiceOrParams - Greenfield invoice, checkoutLink, or create params
+     * @returns {Promise<object|null>} The invoice when one was created
+     */
+    async checkout(invoiceOrParams) {
+        if (typeof invoiceOrParams === 'string' || invoiceOrParams?.checkoutLink) {
+            this.open(invoiceOrParams);
+            return typeof invoiceOrParams === 'string' ? null : invoiceOrParams;
+        }
+
+        const invoice = await this.createInvoice(invoiceOrParams);
+        this.open(invoice);
+        return invoice;
+    }
+
+    /**
+     * Open the checkout overlay
+     * @param {object|string} invoice - Greenfield invoice object or checkoutLink URL
+     */
+    open(invoice) {
+        const checkoutLink = typeof invoice === 'string' ? invoice : invoice?.checkoutLink;
+        if (!checkoutLink) {
+            throw new Error('Invoice checkoutLink required');
+        }
+
+        this.close(false);
+
+        const url = new URL(checkoutLink, window.location.href);
+        url.searchParams.set('embed', '1');
+        url.searchParams.set('parentOrigin', window.location.origin);
+
+        this.checkoutOrigin = url.origin;
+        this.invoiceId = typeof invoice === 'string' ? url.searchParams.get('id') : invoice.id;
+
+        this.createUI(url.toString());
+        window.addEventListener('message', this.onMessage);
+        document.addEventListener('keydown', this.onKeydown);
+    }
+
+    /**
+     * Close the checkout overlay
+     * @param {boolean} notify - Emit the closed event (default true)
+     */
+    close(notify = true) {
+        if (this.closeTimeout) {
+            clearTimeout(this.closeTimeout);
+            this.closeTimeout = null;
+        }
+        if (!this.overlay) return;
+
+        window.removeEventListener('message', this.onMessage);
+        document.removeEventListener('keydown', this.onKeydown);
+        this.overlay.remove();
+        this.overlay = null;
+        this.iframe = null;
+
+        if (notify) {
+            this.emit('closed', { event: 'closed', invoiceId: this.invoiceId, status: null });
+        }
+    }
+
+    /**
+     * Check if the overlay is open
+     */
+    isOpen() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Create the overlay and iframe
+     */
+    createUI(src) {
+        this.overlay = document.createElement('div');
+        this.overlay.style.cssText = `position: fixed; inset: 0; z-index: ${this.options.zIndex}; background: rgba(0, 0, 0, 0.6); display: flex; align-items: center; justify-content: center;`;
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        const frame = document.createElement('div');
+        frame.style.cssText = 'position: relative; width: 100%; max-width: 480px; height: 100%; max-height: 760px;';
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.src = src;
+        this.iframe.title = 'Checkout';
+        this.iframe.allow = 'clipboard-write';
+        this.iframe.style.cssText = 'width: 100%; height: 100%; border: none; border-radius: 16px; background: #0f0f23;';
+        frame.appendChild(this.iframe);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.setAttribute('aria-label', 'Close');
+        closeBtn.innerHTML = '&times;';
+        closeBtn.style.cssText = 'position: absolute; top: 0.5rem; right: 0.5rem; width: 2rem; height: 2rem; border: none; border-radius: 50%; background: rgba(255, 255, 255, 0.15); color: #fff; font-size: 1.25rem; line-height: 1; cursor: pointer;';
+        closeBtn.addEventListener('click', () => this.close());
+        frame.appendChild(closeBtn);
+
+        this.overlay.appendChild(frame);
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Relay status messages posted by the embedded checkout
+     */
+    handleMessage(e) {
+        if (!this.iframe || e.source !== this.iframe.contentWindow || e.origin !== this.checkoutOrigin) {
+            return;
+        }
+
+        const data = e.data;
+        if (!data || data.type !== 'cashupay' || !CashuPay.EVENTS.includes(data.event) || data.event === 'closed') {
+            return;
+        }
+
+        this.emit(data.event, {
+            event: data.event,
+            invoiceId: data.invoiceId || this.invoiceId,
+            status: data.status || null
+        });
+
+        if (data.event === 'paid' && this.options.closeOnPaid !== false) {
+            this.closeTimeout = setTimeout(() => this.close(false), this.options.closeOnPaid);
+        }
+    }
+
+}
+
+CashuPay.EVENTS = ['paid', 'processing', 'expired', 'closed'];
+
+// Expose globally for script-tag usage
+if (typeof window !== 'undefined') {
+    window.CashuPay = CashuPay;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashuPay;
+}
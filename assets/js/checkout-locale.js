@@ -0,0 +1,120 @@
+/**
+ * Checkout Localization
+ *
+ * Translated strings and Intl-based formatting for the customer-facing
+ * pages (payment.php, receive.php). The server picks the language and
+ * passes the locale plus the strings the page script needs.
+ *
+ * Usage:
+ *   const l10n = new CheckoutLocale('de-AT', { expires_in: 'Läuft ab in {time}' });
+ *   l10n.money(12.5, 'EUR');          // "€ 12,50"
+ *   l10n.minorMoney(1250, 'EUR');     // "€ 12,50" (mint amounts count cents)
+ *   l10n.t('expires_in', { time: '4:59' });
+ *   l10n.formatAmounts(document);     // formats every [data-amount] element
+ */
+class CheckoutLocale {
+    constructor(locale, strings = {}) {
+        this.locale = locale || 'en';
+        this.strings = strings;
+        try {
+            this.relativeFormat = new Intl.RelativeTimeFormat(this.locale, { numeric: 'always' });
+        } catch (e) {
+            this.relativeFormat = null;
+        }
+    }
+
+    /**
+     * Translated string with {placeholders} replaced
+     */
+    t(key, params = {}) {
+        let text = this.strings[key] ?? key;
+        Object.entries(params).forEach(([name, value]) => {
+            text = text.replace('{' + name + '}', value);
+        });
+        return text;
+    }
+
+    /**
+     * Format an amount in its currency or unit
+     * @param {number} amount - Main unit (euros, not cents); sats for SAT/SATS
+     * @param {string} currency - ISO currency code, BTC, SAT/SATS or MSAT
+     */
+    money(amount, currency) {
+        const code = String(currency || 'SAT').toUpperCase();
+        const value = Number(amount);
+
+        try {
+            if (code === 'SAT' || code === 'SATS' || code === 'MSAT') {
+                return new Intl.NumberFormat(this.locale, { maximumFractionDigits: 0 }).format(value)
+                    + (code === 'MSAT' ? ' msat' : ' sats');
+            }
+            if (code === 'BTC') {
+                return new Intl.NumberFormat(this.locale, { maximumFractionDigits: 8 }).format(value) + ' BTC';
+            }
+            return new Intl.NumberFormat(this.locale, { style: 'currency', currency: code }).format(value);
+        } catch (e) {
+            return value + ' ' + code;
+        }
+    }
+
+    /**
+     * Format an amount counted in the unit's smallest denomination, as mints
+     * count them (cents for EUR, yen for JPY, sats)
+     * @param {number} amount - Minor units
+     * @param {string} currency - ISO currency code, BTC, SAT/SATS or MSAT
+     */
+    minorMoney(amount, currency) {
+        const code = String(currency || 'SAT').toUpperCase();
+        if (code === 'SAT' || code === 'SATS' || code === 'MSAT') {
+            return this.money(amount, code);
+        }
+        return this.money(Number(amount) / Math.pow(10, this.decimals(code)), code);
+    }
+
+    /**
+     * Number of decimals of a currency's main unit (2 for EUR, 0 for JPY)
+     */
+    decimals(currency) {
+        const code = String(currency).toUpperCase();
+        if (code === 'BTC') {
+            return 8;
+        }
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+        } catch (e) {
+            return 2;
+        }
+    }
+
+    /**
+     * Relative time for a number of seconds from now (e.g. "in 12 minutes")
+     */
+    relative(seconds) {
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const [unit, size] = units.find(([, s]) => Math.abs(seconds) >= s) || units[units.length - 1];
+        const value = Math.floor(seconds / size);
+
+        if (this.relativeFormat) {
+            return this.relativeFormat.format(value, unit);
+        }
+        return `${value} ${unit}${value === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Replace the server-rendered text of [data-amount][data-currency] elements
+     * (data-minor marks amounts in minor units, see minorMoney())
+     */
+    formatAmounts(root) {
+        root.querySelectorAll('[data-amount][data-currency]').forEach(el => {
+            const formatted = 'minor' in el.dataset
+                ? this.minorMoney(el.dataset.amount, el.dataset.currency)
+                : this.money(el.dataset.amount, el.dataset.currency);
+            el.textContent = el.dataset.format ? el.dataset.format.replace('{amount}', formatted) : formatted;
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CheckoutLocale;
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal SVG Charts
+ *
+ * Dependency-free bar and line charts for the admin analytics view.
+ * Renders a scalable inline SVG into a container; colors default to the
+ * page's CSS variables.
+ *
+ * Usage:
+ *   const chart = new MiniChart('volume-chart', { type: 'bar', formatValue: v => v + ' sat' });
+ *   chart.render(['Jan', 'Feb'], [1200, 3400]);
+ */
+class MiniChart {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        this.options = {
+            type: options.type || 'bar', // bar | line
+            width: options.width || 600,
+            height: options.height || 200,
+            color: options.color || 'var(--accent, #f7931a)',
+            textColor: options.textColor || 'var(--text-secondary, #a0a0b0)',
+            gridColor: options.gridColor || 'var(--border, rgba(255, 255, 255, 0.1))',
+            max: options.max ?? null, // Fixed y-axis maximum (e.g. 100 for percentages)
+            maxLabels: options.maxLabels || 6,
+            formatValue: options.formatValue || (v => String(v)),
+            ...options
+        };
+    }
+
+    /**
+     * Render the chart
+     * @param {string[]} labels - X-axis labels
+     * @param {Array<number|null>} values - One value per label (null = no data)
+     */
+    render(labels, values) {
+        const { width, height } = this.options;
+        const pad = { top: 20, right: 8, bottom: 22, left: 8 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+
+        const numeric = values.filter(v => v !== null && v !== undefined);
+        const max = this.options.max ?? Math.max(1, ...numeric);
+        const step = plotW / Math.max(1, labels.length);
+        const y = (v) => pad.top + plotH - (Math.min(v, max) / max) * plotH;
+
+        const parts = [];
+
+        // Baseline and max gridline with label
+        parts.push(`<line x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}" style="stroke: ${this.options.gridColor};" />`);
+        parts.push(`<line x1="${pad.left}" y1="${pad.top}" x2="${width - pad.right}" y2="${pad.top}" style="stroke: ${this.options.gridColor}; stroke-dasharray: 4 4;" />`);
+        parts.push(`<text x="${pad.left}" y="${pad.top - 6}" style="fill: ${this.options.textColor}; font-size: 12px;">${MiniChart.escape(this.options.formatValue(max))}</text>`);
+
+        if (this.options.type === 'line') {
+            const points = [];
+            values.forEach((v, i) => {
+                if (v === null || v === undefined) return;
+                points.push([pad.left + step * (i + 0.5), y(v), labels[i], v]);
+            });
+            if (points.length > 1) {
+                parts.push(`<polyline points="${points.map(p => p[0].toFixed(1) + ',' + p[1].toFixed(1)).join(' ')}" style="fill: none; stroke: ${this.options.color}; stroke-width: 2;" />`);
+            }
+            points.forEach(([px, py, label, v]) => {
+                parts.push(`<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3.5" style="fill: ${this.options.color};"><title>${MiniChart.escape(label + ': ' + this.options.formatValue(v))}</title></circle>`);
+            });
+        } else {
+            const barW = Math.max(2, step * 0.7);
+            values.forEach((v, i) => {
+                const value = v || 0;
+                const barY = y(value);
+                const x = pad.left + step * i + (step - barW) / 2;
+                parts.push(`<rect x="${x.toFixed(1)}" y="${barY.toFixed(1)}" width="${barW.toFixed(1)}" height="${(pad.top + plotH - barY).toFixed(1)}" rx="2" style="fill: ${this.options.color};"><title>${MiniChart.escape(labels[i] + ': ' + this.options.formatValue(value))}</title></rect>`);
+            });
+        }
+
+        // Sparse x-axis labels
+        const every = Math.ceil(labels.length / this.options.maxLabels);
+        labels.forEach((label, i) => {
+            if (i % every !== 0) return;
+            const x = pad.left + step * (i + 0.5);
+            parts.push(`<text x="${x.toFixed(1)}" y="${height - 6}" text-anchor="middle" style="fill: ${this.options.textColor}; font-size: 12px;">${MiniChart.escape(label)}</text>`);
+        });
+
+        this.container.innerHTML = `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" style="display: block;">${parts.join('')}</svg>`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MiniChart;
+}
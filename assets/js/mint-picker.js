@@ -0,0 +1,933 @@
+/**
+ * <cashu-mint-picker> Web Component
+ *
+ * Embeddable mint browser shared by the setup wizard and the admin app.
+ * Shows the last discovery result from IndexedDB instantly, then streams
+ * fresh mints from Nostr in the background (via MintDiscoveryUI), sorts them
+ * by reviews and offers search and unit filtering. Mints that are not
+ * announced on Nostr can be probed by URL and added to the list. Each card shows which
+ * NUTs the mint supports and expands into its Nostr reviews, where merchants
+ * can publish their own (signed via NIP-07); 2-4 mints can be compared side
+ * by side. Selecting a mint is only possible after the audit disclaimer has
+ * been acknowledged.
+ *
+ * Requires mint-discovery.bundle.js and mint-ui.js to be loaded first.
+ * Renders into the light DOM so the host page's .btn and input styles apply.
+ *
+ * Attributes:
+ *   unit      - Preselected unit filter (e.g. "sat", "eur")
+ *   autostart - Start discovery as soon as the element is attached
+ *   relays    - Comma-separated relay URLs for discovery and publishing
+ *               (e.g. "ws://localhost:7777" for a local test relay)
+ *
+ * Events:
+ *   mint-selected - detail: { url, units, mint }
+ *
+ * Usage:
+ *   <cashu-mint-picker unit="sat"></cashu-mint-picker>
+ *   picker.addEventListener('mint-selected', e => input.value = e.detail.url);
+ *   picker.start();
+ */
+class CashuMintPicker extends HTMLElement {
+    static get observedAttributes() {
+        return ['unit', 'relays'];
+    }
+
+    constructor() {
+        super();
+        this.ui = new MintDiscoveryUI();
+        this.acknowledged = false;
+        this.runId = 0;
+        this.compared = new Set();
+        this.expanded = new Set();
+        this.drafts = new Map();
+        this.cardHtml = new WeakMap();
+    }
+
+    static get MAX_COMPARE() {
+        return 4;
+    }
+
+    connectedCallback() {
+        this.ui.relays = CashuMintPicker.parseRelays(this.getAttribute('relays'));
+        if (!this.listEl) {
+            CashuMintPicker.injectStyles();
+            this.renderShell();
+        }
+        if (this.hasAttribute('autostart')) {
+            this.start();
+        }
+    }
+
+    disconnectedCallback() {
+        this.stop();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'relays' && oldValue !== value) {
+            // A different relay set has its own cached snapshot
+            this.ui.relays = CashuMintPicker.parseRelays(value);
+            this.ui.mints = [];
+            this.ui.updatedAt = null;
+        }
+        if (name === 'unit' && this.listEl) {
+            this.addUnitOptions([value]);
+            this.unitEl.value = (value || '').toLowerCase();
+            this.renderList();
+        }
+    }
+
+    /**
+     * Build the static parts: disclaimer, status, filters, list
+     */
+    renderShell() {
+        this.innerHTML = `
+            <div class="cmp-disclaimer">
+                <p>
+                    Audit data is provided by independent third parties to help assess a mint's reliability over time. However, these results are informational only and do not guarantee the safety, solvency, or trustworthiness of any mint. Always conduct your own research and ensure you trust the mint operator before using their services. To be sure, run your own mint, this is the Bitcoin way!
+                </p>
+                <label class="cmp-disclaimer-label">
+                    <input type="checkbox" class="cmp-disclaimer-checkbox">
+                    <span>I understand the above</span>
+                </label>
+            </div>
+
+            <div class="cmp-status">Click Refresh to discover mints from the Nostr network.</div>
+            <div class="cmp-updated"></div>
+
+            <div class="cmp-filters">
+                <input type="text" class="form-input cmp-search" placeholder="Search mints...">
+                <select class="form-input cmp-unit">
+                    <option value="">All units</option>
+                </select>
+                <button type="button" class="btn btn-secondary cmp-compare" disabled>Compare</button>
+                <button type="button" class="btn btn-secondary cmp-refresh">Refresh</button>
+            </div>
+
+            <div class="cmp-add">
+                <input type="url" class="form-input cmp-add-url" placeholder="Mint not listed? Probe its URL (https://...)">
+                <button type="button" class="btn btn-secondary cmp-add-btn">Probe</button>
+            </div>
+
+            <div class="cmp-list"></div>
+            <div class="cmp-comparison" style="display: none;"></div>
+
+            <div class="cmp-loading" style="display: none;">
+                <div class="cmp-spinner"></div>
+                <p>Connecting to Nostr relays...</p>
+            </div>
+        `;
+
+        this.listEl = this.querySelector('.cmp-list');
+        this.statusEl = this.querySelector('.cmp-status');
+        this.updatedEl = this.querySelector('.cmp-updated');
+        this.addUrlEl = this.querySelector('.cmp-add-url');
+        this.addBtn = this.querySelector('.cmp-add-btn');
+        this.loadingEl = this.querySelector('.cmp-loading');
+        this.searchEl = this.querySelector('.cmp-search');
+        this.unitEl = this.querySelector('.cmp-unit');
+        this.disclaimerEl = this.querySelector('.cmp-disclaimer-label');
+        this.checkboxEl = this.querySelector('.cmp-disclaimer-checkbox');
+        this.compareBtn = this.querySelector('.cmp-compare');
+        this.comparisonEl = this.querySelector('.cmp-comparison');
+
+        this.addUnitOptions([this.getAttribute('unit')]);
+        this.unitEl.value = (this.getAttribute('unit') || '').toLowerCase();
+
+        this.checkboxEl.addEventListener('change', () => {
+            this.acknowledged = this.checkboxEl.checked;
+            this.highlightDisclaimer(false);
+            this.updateSelectButtons();
+        });
+        this.searchEl.addEventListener('input', () => this.renderList());
+        this.unitEl.addEventListener('change', () => this.renderList());
+        this.querySelector('.cmp-refresh').addEventListener('click', () => this.start());
+        this.compareBtn.addEventListener('click', () => this.showComparison());
+        this.addBtn.addEventListener('click', () => this.addMint());
+        this.addUrlEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addMint();
+            }
+        });
+
+        [this.listEl, this.comparisonEl].forEach(el => {
+            // Buttons stay clickable while locked so we can point at the disclaimer
+            el.addEventListener('click', (e) => {
+                const selectBtn = e.target.closest('.mint-select-btn');
+                const probeBtn = e.target.closest('.mint-probe-btn');
+                if (selectBtn) this.select(selectBtn.dataset.url);
+                if (probeBtn) this.probe(probeBtn.dataset.url);
+                const reviewsBtn = e.target.closest('.mint-reviews-toggle');
+                const publishBtn = e.target.closest('.mint-review-publish');
+                if (reviewsBtn) this.toggleReviews(reviewsBtn.dataset.url);
+                if (publishBtn) this.publishReview(publishBtn.dataset.url, publishBtn);
+                if (e.target.closest('.cmp-back')) this.hideComparison();
+            });
+            el.addEventListener('mouseover', (e) => {
+                if (!this.acknowledged && e.target.closest('.mint-select-btn')) {
+                    this.highlightDisclaimer(true);
+                }
+            });
+            el.addEventListener('mouseout', (e) => {
+                if (e.target.closest('.mint-select-btn')) {
+                    this.highlightDisclaimer(false);
+                }
+            });
+        });
+
+        this.listEl.addEventListener('change', (e) => {
+            if (e.target.classList.contains('mint-compare-checkbox')) {
+                this.toggleCompare(e.target.dataset.url, e.target.checked, e.target);
+            }
+        });
+
+        // Keep review drafts across re-renders while mints stream in
+        this.listEl.addEventListener('input', (e) => {
+            if (e.target.classList.contains('mint-review-comment')) {
+                this.getDraft(e.target.dataset.url).comment = e.target.value;
+            }
+            if (e.target.classList.contains('mint-review-rating-input')) {
+                this.getDraft(e.target.dataset.url).rating = parseInt(e.target.value, 10);
+            }
+        });
+    }
+
+    /**
+     * Start (or restart) discovery: show cached mints, then refresh from Nostr
+     */
+    async start() {
+        if (!this.listEl) return;
+        this.stop();
+        const runId = this.runId;
+
+        this.compared.clear();
+        this.expanded.clear();
+        this.ui.probes.clear();
+        this.hideComparison();
+
+        const cached = this.ui.mints.length > 0 || await this.ui.loadCache();
+        if (runId !== this.runId) return;
+
+        if (cached) {
+            this.renderList();
+        } else {
+            this.loadingEl.style.display = 'block';
+            this.listEl.innerHTML = '';
+            this.statusEl.textContent = 'Connecting to Nostr relays...';
+        }
+        this.renderUpdated(true);
+
+        this.ui.discoverStreaming({
+            onUpdate: (mints) => {
+                if (runId !== this.runId) return;
+                if (mints.length > 0) {
+                    this.loadingEl.style.display = 'none';
+                }
+                this.renderList();
+            },
+            onProgress: (progress) => {
+                if (runId !== this.runId) return;
+                const count = this.ui.mints.length;
+                if (progress.phase === 'nostr' && progress.step === 'subscribing') {
+                    this.statusEl.textContent = 'Subscribing to Nostr relays...';
+                } else if (progress.phase === 'nostr' && progress.step === 'mint-info-complete') {
+                    this.statusEl.textContent = 'Fetching reviews...';
+                } else if (progress.phase === 'http') {
+                    this.statusEl.textContent = `Checking mint status (${count} mints)...`;
+                }
+            }
+        }).then((mints) => {
+            if (runId !== this.runId) return;
+            this.loadingEl.style.display = 'none';
+            this.renderList();
+            this.statusEl.textContent = `Found ${mints.length} mints`;
+            this.renderUpdated(false);
+        }).catch((error) => {
+            if (runId !== this.runId) return;
+            this.loadingEl.style.display = 'none';
+            this.statusEl.textContent = 'Error: ' + error.message;
+            this.renderUpdated(false);
+        });
+    }
+
+    /**
+     * Show when the list was last refreshed
+     * @param {boolean} refreshing - Whether a background refresh is running
+     */
+    renderUpdated(refreshing) {
+        const parts = [];
+        if (this.ui.updatedAt) {
+            parts.push('Last updated ' + CashuMintPicker.timeAgo(this.ui.updatedAt));
+        }
+        if (refreshing) {
+            parts.push('Refreshing...');
+        }
+        this.updatedEl.textContent = parts.join(' \u2022 ');
+    }
+
+    static timeAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 1440) return `${Math.floor(minutes / 60)} h ago`;
+        return 'on ' + new Date(timestamp).toLocaleDateString();
+    }
+
+    /**
+     * Probe the URL typed into the "probe" field and add the mint to the list
+     */
+    async addMint() {
+        const url = this.addUrlEl.value;
+        if (!url.trim()) return;
+
+        this.addBtn.disabled = true;
+        this.statusEl.textContent = 'Probing mint...';
+
+        try {
+            const mint = await this.ui.addMintByUrl(url);
+            this.addUrlEl.value = '';
+            this.hideComparison();
+            this.searchEl.value = mint.url;
+            this.unitEl.value = '';
+            this.renderList();
+            this.statusEl.textContent = `Added ${mint.info?.name || mint.url}`;
+        } catch (error) {
+            this.statusEl.textContent = 'Error: ' + error.message;
+        } finally {
+            this.addBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Stop discovery and close relay connections
+     */
+    stop() {
+        this.runId++;
+        this.ui.close();
+        if (this.loadingEl) this.loadingEl.style.display = 'none';
+    }
+
+    /**
+     * Require the disclaimer again and clear the search (e.g. when a modal reopens)
+     */
+    reset() {
+        if (!this.listEl) return;
+        this.acknowledged = false;
+        this.checkboxEl.checked = false;
+        this.searchEl.value = '';
+        this.highlightDisclaimer(false);
+        this.renderList();
+    }
+
+    /**
+     * Parse a comma-separated relay list, keeping only ws:// and wss:// URLs
+     */
+    static parseRelays(value) {
+        return (value || '').split(',').map(r => r.trim()).filter(r => /^wss?:\/\//.test(r));
+    }
+
+    /**
+     * Render the mint list based on current filters
+     */
+    renderList() {
+        this.addUnitOptions(this.ui.mints.flatMap(m => this.ui.getUnitsFromInfo(m.info)));
+
+        const filtered = this.ui.filterMints({
+            unit: this.unitEl.value,
+            search: this.searchEl.value
+        });
+
+        if (this.ui.mints.length === 0) {
+            this.listEl.innerHTML = '';
+            return;
+        }
+
+        if (filtered.length === 0) {
+            this.listEl.innerHTML = '<p class="cmp-empty">No mints found matching your criteria</p>';
+        } else {
+            this.patchCards(filtered);
+        }
+
+        this.statusEl.textContent = `Showing ${filtered.length} of ${this.ui.mints.length} mints`;
+        this.updateSelectButtons();
+        this.updateCompareButton();
+    }
+
+    /**
+     * Update the mint cards in place, matched by URL: only cards whose markup
+     * changed are replaced, and the card with a review being typed is left
+     * alone so streaming updates don't steal its focus and caret
+     * @param {Array} mints - Mints in display order
+     */
+    patchCards(mints) {
+        const existing = new Map();
+        [...this.listEl.children].forEach(el => {
+            if (el.classList.contains('mint-card')) {
+                existing.set(el.dataset.url, el);
+            } else {
+                el.remove();
+            }
+        });
+
+        const active = document.activeElement;
+        const editing = active && this.listEl.contains(active) && active.matches('textarea, select')
+            ? active.closest('.mint-card')
+            : null;
+
+        const template = document.createElement('template');
+        let previous = null;
+        mints.forEach(m => {
+            const html = this.ui.renderMintCard(m, {
+                compared: this.compared.has(m.url),
+                expanded: this.expanded.has(m.url),
+                draft: this.drafts.get(m.url)
+            }).trim();
+
+            let card = existing.get(m.url);
+            existing.delete(m.url);
+            if (!card || (card !== editing && this.cardHtml.get(card) !== html)) {
+                template.innerHTML = html;
+                const fresh = template.content.firstElementChild;
+                this.cardHtml.set(fresh, html);
+                if (card) card.replaceWith(fresh);
+                card = fresh;
+            }
+
+            // Moving the edited card would blur it; the others are placed around it
+            const position = previous ? previous.nextElementSibling : this.listEl.firstElementChild;
+            if (card !== position && card !== editing) {
+                this.listEl.insertBefore(card, position);
+            }
+            previous = card;
+        });
+
+        existing.forEach(card => card.remove());
+    }
+
+    /**
+     * Measure fees and latency for a mint, then re-render
+     * @param {string} url - Mint URL
+     */
+    async probe(url) {
+        await this.ui.probeMint(url);
+        this.renderList();
+        if (this.comparisonEl.style.display !== 'none') {
+            this.renderComparison();
+        }
+    }
+
+    toggleReviews(url) {
+        if (this.expanded.has(url)) {
+            this.expanded.delete(url);
+        } else {
+            this.expanded.add(url);
+        }
+        this.renderList();
+    }
+
+    getDraft(url) {
+        if (!this.drafts.has(url)) {
+            this.drafts.set(url, { rating: 5, comment: '', status: '' });
+        }
+        return this.drafts.get(url);
+    }
+
+    /**
+     * Sign and publish the drafted review for a mint
+     * @param {string} url - Mint URL
+     * @param {HTMLElement} button - Publish button (disabled while sending)
+     */
+    async publishReview(url, button) {
+        const draft = this.getDraft(url);
+        const form = button.closest('.mint-review-form');
+        const statusEl = form.querySelector('.mint-review-status');
+        draft.rating = parseInt(form.querySelector('.mint-review-rating-input').value, 10);
+        draft.comment = form.querySelector('.mint-review-comment').value;
+
+        button.disabled = true;
+        statusEl.textContent = 'Waiting for your Nostr extension...';
+
+        try {
+            const result = await publishMintReview({
+                mintUrl: url,
+                rating: draft.rating,
+                comment: draft.comment,
+                relays: this.ui.getRelays()
+            });
+            if (result.accepted.length === 0) {
+                throw new Error(result.failed.map(f => f.message).filter(Boolean)[0] || 'No relay accepted the review');
+            }
+            draft.comment = '';
+            draft.status = `Published to ${result.accepted.length} of ${result.accepted.length + result.failed.length} relays`;
+        } catch (error) {
+            draft.status = 'Error: ' + error.message;
+        }
+
+        this.renderList();
+    }
+
+    toggleCompare(url, checked, checkbox) {
+        if (checked && this.compared.size >= CashuMintPicker.MAX_COMPARE) {
+            checkbox.checked = false;
+            this.statusEl.textContent = `You can compare up to ${CashuMintPicker.MAX_COMPARE} mints`;
+            return;
+        }
+        if (checked) {
+            this.compared.add(url);
+            this.probe(url);
+        } else {
+            this.compared.delete(url);
+        }
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        this.compareBtn.disabled = this.compared.size < 2;
+        this.compareBtn.textContent = this.compared.size > 0 ? `Compare (${this.compared.size})` : 'Compare';
+    }
+
+    async showComparison() {
+        if (this.compared.size < 2) return;
+        this.listEl.style.display = 'none';
+        this.comparisonEl.style.display = 'block';
+        this.renderComparison();
+
+        await Promise.all([...this.compared].map(url => this.ui.probeMint(url)));
+        if (this.comparisonEl.style.display !== 'none') {
+            this.renderComparison();
+        }
+    }
+
+    hideComparison() {
+        this.comparisonEl.style.display = 'none';
+        this.listEl.style.display = '';
+    }
+
+    /**
+     * Side-by-side table of the mints selected for comparison
+     */
+    renderComparison() {
+        const ui = this.ui;
+        const mints = [...this.compared].map(url => ui.mints.find(m => m.url === url)).filter(Boolean);
+        const cell = (html) => `<td>${html}</td>`;
+        const row = (label, render) => `<tr><th>${label}</th>${mints.map(m => cell(render(m))).join('')}</tr>`;
+        const probeValue = (m, render) => {
+            const probe = ui.probes.get(m.url);
+            if (!probe) return '<span class="cmp-muted">Checking...</span>';
+            return probe.error ? `<span class="cmp-muted">${ui.escapeHtml(probe.error)}</span>` : render(probe);
+        };
+
+        const capabilityRows = MINT_CAPABILITIES.map(cap => row(
+            `NUT-${String(cap.nut).padStart(2, '0')} ${cap.label}${cap.required ? ' *' : ''}`,
+            m => {
+                const supported = ui.supportsNut(m.info, cap.nut);
+                if (supported === null) return '<span class="cmp-muted">?</span>';
+                return supported ? '<span class="mint-cap yes">\u2713</span>' : '<span class="mint-cap no">\u2717</span>';
+            }
+        )).join('');
+
+        this.comparisonEl.innerHTML = `
+            <button type="button" class="btn btn-secondary cmp-back">&larr; Back to list</button>
+            <div class="cmp-table-wrap">
+                <table class="cmp-table">
+                    <thead>
+                        <tr><th></th>${mints.map(m => `<th>${ui.escapeHtml(m.info?.name || 'Unknown Mint')}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${row('URL', m => `<span class="cmp-url">${ui.escapeHtml(m.url)}</span>`)}
+                        ${row('Status', m => (!m.error && m.info) ? 'Online' : 'Offline')}
+                        ${row('Rating', m => ui.renderStars(m.averageRating))}
+                        ${row('Reviews', m => String(m.reviewsCount || 0))}
+                        ${row('Units', m => ui.escapeHtml(ui.getUnitsFromInfo(m.info).map(u => u.toUpperCase()).join(', ') || '?'))}
+                        ${capabilityRows}
+                        ${row('Input fees', m => probeValue(m, p => ui.escapeHtml(ui.formatFees(p.fees))))}
+                        ${row('Latency', m => probeValue(m, p => `${p.latencyMs} ms`))}
+                        <tr><th></th>${mints.map(m => cell(`<button type="button" class="btn mint-select-btn" data-url="${ui.escapeHtml(m.url)}">Select</button>`)).join('')}</tr>
+                    </tbody>
+                </table>
+            </div>
+            <p class="cmp-muted">* Required by CashuPayServer</p>
+        `;
+        this.updateSelectButtons();
+    }
+
+    updateSelectButtons() {
+        this.querySelectorAll('.mint-select-btn').forEach(btn => {
+            btn.classList.toggle('locked', !this.acknowledged);
+            btn.setAttribute('aria-disabled', this.acknowledged ? 'false' : 'true');
+        });
+    }
+
+    highlightDisclaimer(show) {
+        this.disclaimerEl.classList.toggle('highlight', show);
+    }
+
+    /**
+     * Add options for units not yet in the filter dropdown
+     * @param {string[]} units - Unit codes
+     */
+    addUnitOptions(units) {
+        units.forEach(unit => {
+            const u = (unit || '').toLowerCase();
+            if (!u || this.unitEl.querySelector(`option[value="${CSS.escape(u)}"]`)) return;
+            const option = document.createElement('option');
+            option.value = u;
+            option.textContent = u.toUpperCase();
+            this.unitEl.appendChild(option);
+        });
+    }
+
+    /**
+     * Emit mint-selected for a mint URL
+     * @param {string} url - Mint URL
+     */
+    select(url) {
+        if (!this.acknowledged) {
+            this.highlightDisclaimer(true);
+            this.checkboxEl.focus();
+            return;
+        }
+
+        const mint = this.ui.mints.find(m => m.url === url);
+        if (!mint) return;
+
+        this.dispatchEvent(new CustomEvent('mint-selected', {
+            bubbles: true,
+            detail: { url: mint.url, units: this.ui.getUnitsFromInfo(mint.info), mint }
+        }));
+    }
+
+    /**
+     * Add the component stylesheet to the document once
+     */
+    static injectStyles() {
+        if (document.getElementById('cashu-mint-picker-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'cashu-mint-picker-styles';
+        style.textContent = `
+            cashu-mint-picker {
+                display: flex;
+                flex-direction: column;
+                min-height: 0;
+            }
+            cashu-mint-picker .cmp-disclaimer {
+                background: rgba(237, 137, 54, 0.15);
+                border: 1px solid rgba(237, 137, 54, 0.4);
+                border-radius: 8px;
+                padding: 1rem;
+                margin-bottom: 1rem;
+                color: var(--warning, #fbd38d);
+                font-size: 0.85rem;
+            }
+            cashu-mint-picker .cmp-disclaimer p {
+                margin: 0 0 0.75rem 0;
+                line-height: 1.5;
+            }
+            cashu-mint-picker .cmp-disclaimer-label {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                cursor: pointer;
+                border-radius: 4px;
+                padding: 0.25rem 0.5rem;
+                margin: -0.25rem -0.5rem;
+                transition: background 0.2s, box-shadow 0.2s;
+            }
+            cashu-mint-picker .cmp-disclaimer-label input {
+                width: 18px;
+                height: 18px;
+            }
+            cashu-mint-picker .cmp-disclaimer-label.highlight {
+                background: rgba(247, 147, 26, 0.2);
+                animation: cmp-pulse 1s ease-in-out infinite;
+            }
+            cashu-mint-picker .cmp-status {
+                font-size: 0.85rem;
+                color: var(--text-secondary, #a0aec0);
+                margin-bottom: 1rem;
+            }
+            cashu-mint-picker .cmp-updated {
+                font-size: 0.75rem;
+                color: var(--text-secondary, #a0aec0);
+                margin: -0.75rem 0 1rem;
+            }
+            cashu-mint-picker .cmp-updated:empty {
+                display: none;
+            }
+            cashu-mint-picker .cmp-add {
+                display: flex;
+                gap: 0.5rem;
+                margin-bottom: 1rem;
+            }
+            cashu-mint-picker .cmp-add .cmp-add-url {
+                flex: 1;
+                min-width: 0;
+            }
+            cashu-mint-picker .mint-manual {
+                font-size: 0.7rem;
+                font-weight: normal;
+                color: var(--accent, #f7931a);
+                border: 1px solid currentColor;
+                border-radius: 4px;
+                padding: 0 0.3rem;
+                margin-left: 0.25rem;
+            }
+            cashu-mint-picker .cmp-filters {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.5rem;
+                margin-bottom: 1rem;
+            }
+            cashu-mint-picker .cmp-filters .cmp-search {
+                flex: 2;
+                min-width: 150px;
+            }
+            cashu-mint-picker .cmp-filters .cmp-unit {
+                width: auto;
+                flex: 0 0 auto;
+                max-width: 120px;
+            }
+            cashu-mint-picker .cmp-filters .btn {
+                white-space: nowrap;
+            }
+            cashu-mint-picker .cmp-list {
+                flex: 1;
+                overflow-y: auto;
+                max-height: 400px;
+            }
+            cashu-mint-picker .cmp-loading {
+                text-align: center;
+                padding: 2rem;
+                color: var(--text-secondary, #a0aec0);
+            }
+            cashu-mint-picker .cmp-spinner {
+                width: 40px;
+                height: 40px;
+                border: 3px solid var(--border, rgba(255, 255, 255, 0.2));
+                border-top-color: var(--accent, #f7931a);
+                border-radius: 50%;
+                animation: cmp-spin 1s linear infinite;
+                margin: 0 auto 1rem;
+            }
+            cashu-mint-picker .cmp-comparison {
+                overflow-y: auto;
+                max-height: 400px;
+            }
+            cashu-mint-picker .cmp-table-wrap {
+                overflow-x: auto;
+                margin: 1rem 0 0.5rem;
+            }
+            cashu-mint-picker .cmp-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.8rem;
+            }
+            cashu-mint-picker .cmp-table th,
+            cashu-mint-picker .cmp-table td {
+                padding: 0.4rem 0.5rem;
+                border-bottom: 1px solid var(--border, rgba(255, 255, 255, 0.1));
+                text-align: left;
+                vertical-align: top;
+            }
+            cashu-mint-picker .cmp-table tbody th {
+                color: var(--text-secondary, #a0aec0);
+                font-weight: normal;
+                white-space: nowrap;
+            }
+            cashu-mint-picker .cmp-url {
+                word-break: break-all;
+            }
+            cashu-mint-picker .cmp-muted {
+                color: var(--text-secondary, #a0aec0);
+                font-size: 0.8rem;
+            }
+            cashu-mint-picker .cmp-empty {
+                text-align: center;
+                color: var(--text-secondary, #a0aec0);
+                padding: 2rem;
+            }
+            cashu-mint-picker .mint-card {
+                background: var(--bg-card, rgba(0, 0, 0, 0.2));
+                border: 1px solid var(--border, rgba(255, 255, 255, 0.1));
+                border-radius: 8px;
+                padding: 1rem;
+                margin-bottom: 0.75rem;
+            }
+            cashu-mint-picker .mint-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 0.5rem;
+                font-size: 0.9rem;
+            }
+            cashu-mint-picker .review-count,
+            cashu-mint-picker .mint-url,
+            cashu-mint-picker .mint-units {
+                color: var(--text-secondary, #a0aec0);
+                font-size: 0.8rem;
+            }
+            cashu-mint-picker .mint-status {
+                font-size: 0.8rem;
+            }
+            cashu-mint-picker .mint-status.online {
+                color: var(--success, #48bb78);
+            }
+            cashu-mint-picker .mint-status.offline {
+                color: var(--error, #e53e3e);
+            }
+            cashu-mint-picker .mint-name {
+                margin: 0 0 0.25rem 0;
+                font-size: 1rem;
+            }
+            cashu-mint-picker .mint-url {
+                margin: 0 0 0.5rem 0;
+                word-break: break-all;
+            }
+            cashu-mint-picker .mint-units {
+                margin-bottom: 0.75rem;
+            }
+            cashu-mint-picker .mint-capabilities {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.25rem;
+                margin-bottom: 0.75rem;
+            }
+            cashu-mint-picker .mint-cap {
+                font-size: 0.75rem;
+                padding: 0.1rem 0.4rem;
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.05);
+                cursor: default;
+            }
+            cashu-mint-picker .mint-cap.yes {
+                color: var(--success, #48bb78);
+            }
+            cashu-mint-picker .mint-cap.no {
+                color: var(--text-secondary, #a0aec0);
+            }
+            cashu-mint-picker .mint-cap.no.required {
+                color: var(--error, #e53e3e);
+                background: rgba(229, 62, 62, 0.15);
+            }
+            cashu-mint-picker .mint-cap.unknown {
+                color: var(--text-secondary, #a0aec0);
+            }
+            cashu-mint-picker .mint-warning {
+                font-size: 0.8rem;
+                color: var(--error, #fc8181);
+                background: rgba(229, 62, 62, 0.1);
+                border: 1px solid rgba(229, 62, 62, 0.3);
+                border-radius: 4px;
+                padding: 0.5rem;
+                margin-bottom: 0.75rem;
+            }
+            cashu-mint-picker .mint-probe {
+                font-size: 0.8rem;
+                color: var(--text-secondary, #a0aec0);
+                margin-bottom: 0.5rem;
+            }
+            cashu-mint-picker .mint-probe-btn {
+                background: none;
+                border: none;
+                padding: 0;
+                font: inherit;
+                color: var(--accent, #f7931a);
+                cursor: pointer;
+            }
+            cashu-mint-picker .mint-reviews-toggle {
+                display: block;
+                background: none;
+                border: none;
+                padding: 0;
+                margin-bottom: 0.5rem;
+                font: inherit;
+                font-size: 0.8rem;
+                color: var(--accent, #f7931a);
+                cursor: pointer;
+            }
+            cashu-mint-picker .mint-reviews {
+                border-top: 1px solid var(--border, rgba(255, 255, 255, 0.1));
+                padding-top: 0.5rem;
+                margin-bottom: 0.75rem;
+            }
+            cashu-mint-picker .mint-review {
+                padding: 0.5rem 0;
+                border-bottom: 1px solid var(--border, rgba(255, 255, 255, 0.1));
+                font-size: 0.85rem;
+            }
+            cashu-mint-picker .mint-review-meta {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.75rem;
+                color: var(--text-secondary, #a0aec0);
+                margin-bottom: 0.25rem;
+            }
+            cashu-mint-picker .mint-review-author {
+                font-family: monospace;
+            }
+            cashu-mint-picker .mint-review-text {
+                margin: 0.25rem 0 0 0;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+            cashu-mint-picker .mint-reviews-empty,
+            cashu-mint-picker .mint-review-status {
+                font-size: 0.8rem;
+                color: var(--text-secondary, #a0aec0);
+            }
+            cashu-mint-picker .mint-review-form {
+                margin-top: 0.75rem;
+            }
+            cashu-mint-picker .mint-review-form-row {
+                display: flex;
+                gap: 0.5rem;
+                margin-bottom: 0.5rem;
+            }
+            cashu-mint-picker .mint-review-form-row select {
+                width: auto;
+                flex: 1;
+            }
+            cashu-mint-picker .mint-review-form textarea {
+                width: 100%;
+                box-sizing: border-box;
+                resize: vertical;
+                margin-bottom: 0.25rem;
+            }
+            cashu-mint-picker .mint-compare {
+                display: flex;
+                align-items: center;
+                gap: 0.4rem;
+                font-size: 0.8rem;
+                color: var(--text-secondary, #a0aec0);
+                margin-bottom: 0.75rem;
+                cursor: pointer;
+            }
+            cashu-mint-picker .mint-select-btn {
+                width: 100%;
+            }
+            cashu-mint-picker .mint-select-btn.locked {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            @keyframes cmp-spin {
+                to { transform: rotate(360deg); }
+            }
+            @keyframes cmp-pulse {
+                0%, 100% { box-shadow: 0 0 5px rgba(247, 147, 26, 0.3); }
+                50% { box-shadow: 0 0 15px rgba(247, 147, 26, 0.7); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('cashu-mint-picker')) {
+    customElements.define('cashu-mint-picker', CashuMintPicker);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashuMintPicker;
+}
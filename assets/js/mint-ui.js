@@ -5,16 +5,54 @@
  * and testing mint expiry times.
  */
 
+/**
+ * NUTs CashuPayServer relies on, shown as the capability matrix on mint cards.
+ * Required ones are needed for normal operation; the others degrade gracefully.
+ */
+const MINT_CAPABILITIES = [
+    { nut: 4, label: 'Mint', required: true, description: 'Receive Lightning payments' },
+    { nut: 5, label: 'Melt', required: true, description: 'Withdraw to Lightning' },
+    { nut: 7, label: 'State', required: true, description: 'Detect spent proofs' },
+    { nut: 8, label: 'Fee return', required: false, description: 'Get overpaid Lightning fees back' },
+    { nut: 9, label: 'Restore', required: true, description: 'Recover the wallet from its seed' },
+    { nut: 12, label: 'DLEQ', required: false, description: 'Verify mint signatures' },
+    { nut: 15, label: 'MPP', required: false, description: 'Multi-path Lightning payments' },
+    { nut: 17, label: 'WebSockets', required: false, description: 'Instant payment notifications' },
+];
+
+/** IndexedDB database holding the last discovery result per relay set */
+const MINT_CACHE_DB = 'cashupay-mint-picker';
+const MINT_CACHE_STORE = 'snapshots';
+
 /**
  * Mint Discovery UI Class
+ *
+ * Wraps the MintDiscovery library with the list handling shared by all mint
+ * pickers: streaming updates, sorting, filtering and card rendering. The
+ * last result is kept in IndexedDB so pickers can show it instantly and
+ * refresh in the background. The <cashu-mint-picker> element (mint-picker.js)
+ * builds its UI on top of this.
  */
 class MintDiscoveryUI {
     constructor(options = {}) {
-        this.onSelect = options.onSelect || (() => {});
         this.discovery = null;
         this.mints = [];
-        this.modalId = options.modalId || 'mint-discovery-modal';
-        this.csrf = options.csrf || null;
+        this.probes = new Map();
+        this.manualMints = [];
+        this.cachedReviews = {};
+        this.updatedAt = null;
+        this.relays = options.relays || null;
+        this.httpTimeout = options.httpTimeout || 8000;
+        this.nostrTimeout = options.nostrTimeout || 15000;
+    }
+
+    /**
+     * Relays used for discovery and publishing
+     * @returns {string[]}
+     */
+    getRelays() {
+        if (this.relays && this.relays.length > 0) return this.relays;
+        return typeof MintDiscovery !== 'undefined' ? MintDiscovery.DEFAULT_RELAYS : [];
     }
 
     /**
@@ -25,8 +63,9 @@ class MintDiscoveryUI {
             throw new Error('MintDiscovery library not loaded');
         }
         this.discovery = MintDiscovery.create({
-            httpTimeout: 8000,
-            nostrTimeout: 15000
+            relays: this.getRelays(),
+            httpTimeout: this.httpTimeout,
+            nostrTimeout: this.nostrTimeout
         });
     }
 
@@ -39,10 +78,193 @@ class MintDiscoveryUI {
         if (!this.discovery) {
             await this.init();
         }
-        this.mints = await this.discovery.discover({ onProgress });
+        this.mints = MintDiscoveryUI.sortMints(await this.discovery.discover({ onProgress }));
         return this.mints;
     }
 
+    /**
+     * Discover mints from Nostr, reporting each mint as soon as it is known
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onUpdate - Called with the sorted mint list after every change
+     * @param {Function} callbacks.onProgress - Progress callback
+     * @returns {Promise<Array>} Final array of mint recommendations
+     */
+    async discoverStreaming({ onUpdate, onProgress } = {}) {
+        if (!this.discovery) {
+            await this.init();
+        }
+
+        // Cached mints stay listed and are updated in place as fresh data arrives
+        const mints = await this.discovery.discoverStreaming({
+            onMint: (mint) => {
+                const index = this.mints.findIndex(m => m.url === mint.url);
+                if (index >= 0) {
+                    this.mints[index] = mint;
+                } else {
+                    this.mints.push(mint);
+                }
+                this.mints = MintDiscoveryUI.sortMints(this.mints);
+                if (onUpdate) onUpdate(this.mints);
+            },
+            onProgress
+        });
+
+        const manual = this.manualMints.filter(m => !mints.some(found => found.url === m.url));
+        this.mints = MintDiscoveryUI.sortMints([...mints, ...manual]);
+        this.updatedAt = Date.now();
+        await this.saveCache();
+        if (onUpdate) onUpdate(this.mints);
+        return this.mints;
+    }
+
+    /**
+     * Cache key: one snapshot per relay set
+     */
+    cacheKey() {
+        return [...this.getRelays()].sort().join(',');
+    }
+
+    openCache() {
+        return new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(MINT_CACHE_DB, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(MINT_CACHE_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Load the last discovery result for the current relays
+     * @returns {Promise<boolean>} true if cached mints were loaded
+     */
+    async loadCache() {
+        const db = await this.openCache();
+        if (!db) return false;
+
+        const snapshot = await new Promise((resolve) => {
+            const request = db.transaction(MINT_CACHE_STORE, 'readonly').objectStore(MINT_CACHE_STORE).get(this.cacheKey());
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+        db.close();
+
+        if (!snapshot) return false;
+        this.mints = MintDiscoveryUI.sortMints(snapshot.mints || []);
+        this.manualMints = snapshot.manualMints || [];
+        this.cachedReviews = snapshot.reviews || {};
+        this.updatedAt = snapshot.updatedAt || null;
+        return this.mints.length > 0;
+    }
+
+    /**
+     * Persist the current mints, their reviews and manually added mints
+     */
+    async saveCache() {
+        const db = await this.openCache();
+        if (!db) return;
+
+        const reviews = {};
+        this.mints.forEach(m => {
+            const list = this.getReviewsForMint(m.url);
+            if (list.length > 0) {
+                reviews[m.url] = list.map(({ eventId, pubkey, created_at, rating, comment }) => ({ eventId, pubkey, created_at, rating, comment }));
+            }
+        });
+        this.cachedReviews = reviews;
+
+        // Plain fields only; reviews above already drop their raw Nostr events
+        const snapshot = {
+            key: this.cacheKey(),
+            mints: this.mints.map(({ url, reviewsCount, averageRating, info, error, manual }) => ({ url, reviewsCount, averageRating, info, error, manual })),
+            manualMints: this.manualMints,
+            reviews,
+            updatedAt: this.updatedAt
+        };
+
+        await new Promise((resolve) => {
+            const tx = db.transaction(MINT_CACHE_STORE, 'readwrite');
+            tx.objectStore(MINT_CACHE_STORE).put(snapshot);
+            tx.oncomplete = resolve;
+            tx.onerror = resolve;
+        });
+        db.close();
+    }
+
+    /**
+     * Fetch an arbitrary mint's info and keysets, validate them and add the
+     * mint to the list (for mints not announced on Nostr)
+     * @param {string} rawUrl - Mint URL
+     * @returns {Promise<Object>} The added mint recommendation
+     */
+    async addMintByUrl(rawUrl) {
+        const url = (rawUrl || '').trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/[^\s/]+/.test(url)) {
+            throw new Error('Enter a valid mint URL (https://...)');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.httpTimeout);
+        let info;
+        try {
+            const response = await fetch(url + '/v1/info', { signal: controller.signal });
+            if (!response.ok) throw new Error('Mint returned HTTP ' + response.status);
+            info = await response.json();
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? 'Mint did not respond in time' : 'Could not reach mint: ' + error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!info || typeof info !== 'object' || !info.nuts) {
+            throw new Error('Not a Cashu mint (no NUT-06 info)');
+        }
+
+        this.probes.delete(url);
+        const probe = await this.probeMint(url);
+        if (probe.error) {
+            throw new Error('Could not load keysets: ' + probe.error);
+        }
+        if (Object.keys(probe.fees || {}).length === 0) {
+            throw new Error('Mint has no active keysets');
+        }
+
+        const existing = this.mints.find(m => m.url === url);
+        const mint = {
+            url,
+            reviewsCount: existing?.reviewsCount || 0,
+            averageRating: existing?.averageRating ?? null,
+            info,
+            error: false,
+            manual: !existing
+        };
+
+        this.mints = MintDiscoveryUI.sortMints([...this.mints.filter(m => m.url !== url), mint]);
+        if (mint.manual) {
+            this.manualMints = [...this.manualMints.filter(m => m.url !== url), mint];
+        }
+        await this.saveCache();
+        return mint;
+    }
+
+    /**
+     * Sort by review count, then average rating (both descending)
+     * @param {Array} mints - Mint recommendations
+     * @returns {Array} New sorted array
+     */
+    static sortMints(mints) {
+        return [...mints].sort((a, b) => {
+            const countDiff = (b.reviewsCount || 0) - (a.reviewsCount || 0);
+            if (countDiff !== 0) return countDiff;
+            return (b.averageRating || 0) - (a.averageRating || 0);
+        });
+    }
+
     /**
      * Filter mints by unit
      * @param {string} unit - Unit to filter by (e.g., 'sat', 'eur')
@@ -56,6 +278,20 @@ class MintDiscoveryUI {
         });
     }
 
+    /**
+     * Filter mints by unit and search text (name or URL)
+     * @param {Object} filters - { unit, search }
+     * @returns {Array} Filtered mints
+     */
+    filterMints({ unit = '', search = '' } = {}) {
+        const text = search.trim().toLowerCase();
+        return this.filterByUnit(unit).filter(m =>
+            !text ||
+            (m.info?.name || '').toLowerCase().includes(text) ||
+            m.url.toLowerCase().includes(text)
+        );
+    }
+
     /**
      * Extract units from mint info
      * @param {Object} info - Mint info object
@@ -66,14 +302,169 @@ class MintDiscoveryUI {
         return [...new Set(info.nuts[4].methods.map(m => m.unit).filter(Boolean))];
     }
 
+    /**
+     * Check whether a mint's info advertises a NUT
+     * @param {Object} info - Mint info object
+     * @param {number} nut - NUT number
+     * @returns {boolean|null} null if the mint info is unknown
+     */
+    supportsNut(info, nut) {
+        if (!info) return null;
+        const spec = info.nuts?.[nut] ?? info.nuts?.[String(nut)];
+        if (!spec) return false;
+
+        switch (nut) {
+            case 4:
+            case 5:
+                return !spec.disabled && Array.isArray(spec.methods) && spec.methods.length > 0;
+            case 15:
+                // Older mints publish an array, newer ones { methods: [...] }
+                return (Array.isArray(spec) ? spec : spec.methods || []).length > 0;
+            case 17:
+                return Array.isArray(spec.supported) ? spec.supported.length > 0 : spec.supported === true;
+            default:
+                return spec.supported === true;
+        }
+    }
+
+    /**
+     * Capability matrix for a mint
+     * @param {Object} info - Mint info object
+     * @returns {Array} MINT_CAPABILITIES entries with a `supported` flag
+     */
+    getCapabilities(info) {
+        return MINT_CAPABILITIES.map(cap => ({ ...cap, supported: this.supportsNut(info, cap.nut) }));
+    }
+
+    /**
+     * Required capabilities the mint does not advertise
+     * @param {Object} info - Mint info object
+     * @returns {Array} Missing capability entries (empty if info is unknown)
+     */
+    getMissingRequired(info) {
+        return this.getCapabilities(info).filter(cap => cap.required && cap.supported === false);
+    }
+
+    /**
+     * Measure response latency and read input fees from the mint's keysets
+     * @param {string} url - Mint URL
+     * @returns {Promise<Object>} { latencyMs, fees: { unit: input_fee_ppk }, error }
+     */
+    async probeMint(url) {
+        if (this.probes.has(url)) return this.probes.get(url);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.httpTimeout);
+        const started = performance.now();
+        let result;
+
+        try {
+            const response = await fetch(url.replace(/\/+$/, '') + '/v1/keysets', { signal: controller.signal });
+            const latencyMs = Math.round(performance.now() - started);
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+
+            const data = await response.json();
+            const fees = {};
+            (data.keysets || []).filter(k => k.active !== false).forEach(k => {
+                const ppk = k.input_fee_ppk || 0;
+                fees[k.unit] = Math.max(fees[k.unit] ?? 0, ppk);
+            });
+            result = { latencyMs, fees, error: null };
+        } catch (error) {
+            result = { latencyMs: null, fees: null, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+
+        this.probes.set(url, result);
+        return result;
+    }
+
+    /**
+     * Format probed input fees, e.g. "sat: 100 ppk"
+     * @param {Object|null} fees - Unit to input_fee_ppk map
+     * @returns {string}
+     */
+    formatFees(fees) {
+        if (!fees) return '?';
+        const entries = Object.entries(fees);
+        if (entries.length === 0) return '?';
+        if (entries.every(([, ppk]) => ppk === 0)) return 'None';
+        return entries.map(([unit, ppk]) => `${unit.toUpperCase()}: ${ppk} ppk`).join(', ');
+    }
+
+    /**
+     * Render the capability matrix badges for a mint
+     * @param {Object} info - Mint info object
+     * @returns {string} HTML string
+     */
+    renderCapabilities(info) {
+        return '<div class="mint-capabilities">' + this.getCapabilities(info).map(cap => {
+            const state = cap.supported === null ? 'unknown' : (cap.supported ? 'yes' : 'no');
+            const mark = cap.supported === null ? '?' : (cap.supported ? '\u2713' : '\u2717');
+            const title = `NUT-${String(cap.nut).padStart(2, '0')}: ${cap.description}${cap.required ? ' (required)' : ''}`;
+            return `<span class="mint-cap ${state}${cap.required ? ' required' : ''}" title="${this.escapeHtml(title)}">${mark} ${cap.label}</span>`;
+        }).join('') + '</div>';
+    }
+
     /**
      * Get reviews for a specific mint
      * @param {string} url - Mint URL
      * @returns {Array} Array of reviews
      */
     getReviewsForMint(url) {
-        if (!this.discovery) return [];
-        return this.discovery.getReviewsForMint(url);
+        const live = this.discovery ? this.discovery.getReviewsForMint(url) : [];
+        return live.length > 0 ? live : (this.cachedReviews[url] || []);
+    }
+
+    /**
+     * Render the reviews of a mint, newest first
+     * @param {string} url - Mint URL
+     * @returns {string} HTML string
+     */
+    renderReviews(url) {
+        const reviews = [...this.getReviewsForMint(url)].sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+        if (reviews.length === 0) {
+            return '<p class="mint-reviews-empty">No reviews yet</p>';
+        }
+
+        return reviews.map(review => {
+            const pubkey = review.pubkey || '';
+            const author = pubkey ? pubkey.slice(0, 8) + '\u2026' + pubkey.slice(-4) : 'Unknown';
+            const date = review.created_at ? new Date(review.created_at * 1000).toLocaleDateString() : '';
+            return `
+                <div class="mint-review">
+                    <div class="mint-review-meta">
+                        <span class="mint-review-author" title="${this.escapeHtml(pubkey)}">${this.escapeHtml(author)}</span>
+                        <span>${this.escapeHtml(date)}</span>
+                    </div>
+                    <div class="mint-review-rating">${review.rating ? this.renderStars(review.rating) : '<span class="review-count">No rating</span>'}</div>
+                    ${review.comment ? `<p class="mint-review-text">${this.escapeHtml(review.comment)}</p>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the form for publishing a review
+     * @param {string} url - Mint URL
+     * @param {Object} draft - { rating, comment, status } to restore after re-renders
+     * @returns {string} HTML string
+     */
+    renderReviewForm(url, draft = {}) {
+        const rating = draft.rating || 5;
+        return `
+            <div class="mint-review-form">
+                <div class="mint-review-form-row">
+                    <select class="form-input mint-review-rating-input" data-url="${this.escapeHtml(url)}">
+                        ${[5, 4, 3, 2, 1].map(n => `<option value="${n}"${n === rating ? ' selected' : ''}>${'\u2605'.repeat(n)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-secondary mint-review-publish" data-url="${this.escapeHtml(url)}">Publish review</button>
+                </div>
+                <textarea class="form-input mint-review-comment" data-url="${this.escapeHtml(url)}" rows="2" maxlength="1000" placeholder="How was your experience with this mint?">${this.escapeHtml(draft.comment || '')}</textarea>
+                <div class="mint-review-status">${this.escapeHtml(draft.status || 'Signed with your Nostr browser extension (NIP-07)')}</div>
+            </div>
+        `;
     }
 
     /**
@@ -106,18 +497,28 @@ class MintDiscoveryUI {
     /**
      * Render a single mint card
      * @param {Object} mint - Mint recommendation object
+     * @param {Object} options - { compared: bool, expanded: bool, draft: Object }
      * @returns {string} HTML string
      */
-    renderMintCard(mint) {
+    renderMintCard(mint, options = {}) {
         const name = mint.info?.name || 'Unknown Mint';
         const url = mint.url;
         const rating = mint.averageRating;
         const reviewCount = mint.reviewsCount || 0;
         const isOnline = !mint.error && mint.info != null;
         const units = this.getUnitsFromInfo(mint.info);
+        const missing = this.getMissingRequired(mint.info);
+        const probe = this.probes.get(url);
+
+        let probeHtml = `<button type="button" class="mint-probe-btn" data-url="${this.escapeHtml(url)}">Check fees &amp; latency</button>`;
+        if (probe && probe.error) {
+            probeHtml = `<span>Check failed: ${this.escapeHtml(probe.error)}</span>`;
+        } else if (probe) {
+            probeHtml = `<span>Input fees: ${this.escapeHtml(this.formatFees(probe.fees))} \u2022 Latency: ${probe.latencyMs} ms</span>`;
+        }
 
         return `
-            <div class="mint-card" data-url="${this.escapeHtml(url)}" data-units="${units.join(',')}">
+            <div class="mint-card${missing.length > 0 ? ' unsuitable' : ''}" data-url="${this.escapeHtml(url)}" data-units="${this.escapeHtml(units.join(','))}">
                 <div class="mint-header">
                     <div class="mint-rating">
                         ${this.renderStars(rating)}
@@ -127,132 +528,130 @@ class MintDiscoveryUI {
                         ${isOnline ? '\u25CF Online' : '\u25CB Offline'}
                     </span>
                 </div>
-                <h4 class="mint-name">${this.escapeHtml(name)}</h4>
+                <h4 class="mint-name">${this.escapeHtml(name)}${mint.manual ? ' <span class="mint-manual">Added manually</span>' : ''}</h4>
                 <p class="mint-url">${this.escapeHtml(url)}</p>
-                <div class="mint-units">${units.map(u => u.toUpperCase()).join(' \u2022 ') || 'Unknown units'}</div>
-                <button type="button" class="btn btn-sm mint-select-btn" onclick="window.mintDiscoveryUI.selectMint('${this.escapeHtml(url)}')">Select</button>
+                <div class="mint-units">${this.escapeHtml(units.map(u => u.toUpperCase()).join(' \u2022 ')) || 'Unknown units'}</div>
+                ${this.renderCapabilities(mint.info)}
+                ${missing.length > 0 ? `<div class="mint-warning">Missing ${missing.map(c => c.label).join(', ')}: CashuPayServer will not work fully with this mint.</div>` : ''}
+                <div class="mint-probe">${probeHtml}</div>
+                <button type="button" class="mint-reviews-toggle" data-url="${this.escapeHtml(url)}">
+                    ${options.expanded ? '\u25B4' : '\u25BE'} Reviews (${reviewCount})
+                </button>
+                ${options.expanded ? `<div class="mint-reviews">${this.renderReviews(url)}${this.renderReviewForm(url, options.draft)}</div>` : ''}
+                <label class="mint-compare">
+                    <input type="checkbox" class="mint-compare-checkbox" data-url="${this.escapeHtml(url)}"${options.compared ? ' checked' : ''}>
+                    Compare
+                </label>
+                <button type="button" class="btn mint-select-btn" data-url="${this.escapeHtml(url)}">Select</button>
             </div>
         `;
     }
 
     /**
-     * Select a mint and pass to callback
-     * @param {string} url - Mint URL
+     * Escape HTML entities
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
      */
-    selectMint(url) {
-        const mint = this.mints.find(m => m.url === url);
-        if (mint) {
-            this.onSelect(mint);
-        }
-        this.closeModal();
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
+}
 
-    /**
-     * Open the discovery modal
-     */
-    openModal() {
-        const modal = document.getElementById(this.modalId);
-        if (modal) {
-            modal.style.display = 'flex';
-            this.startDiscovery();
-        }
+/**
+ * Publish a mint review (NIP-87 kind 38000 recommendation)
+ *
+ * The event is signed by the merchant's NIP-07 browser extension
+ * (window.nostr) and sent to each relay over a plain WebSocket.
+ *
+ * @param {Object} review
+ * @param {string} review.mintUrl - Mint URL
+ * @param {number} review.rating - 1-5
+ * @param {string} review.comment - Review text
+ * @param {string[]} review.relays - Relay URLs (defaults to the discovery relays)
+ * @returns {Promise<Object>} { event, accepted: string[], failed: Array<{relay, message}> }
+ */
+async function publishMintReview({ mintUrl, rating, comment = '', relays = null }) {
+    if (typeof window === 'undefined' || !window.nostr) {
+        throw new Error('No Nostr extension found. Install a NIP-07 signer such as Alby or nos2x.');
     }
-
-    /**
-     * Close the discovery modal
-     */
-    closeModal() {
-        const modal = document.getElementById(this.modalId);
-        if (modal) {
-            modal.style.display = 'none';
-        }
+    if (!/^https?:\/\//.test(mintUrl || '')) {
+        throw new Error('Invalid mint URL');
     }
-
-    /**
-     * Start the discovery process
-     */
-    async startDiscovery() {
-        const listEl = document.getElementById('mint-discovery-list');
-        const loadingEl = document.getElementById('mint-discovery-loading');
-        const statusEl = document.getElementById('mint-discovery-status');
-
-        if (loadingEl) loadingEl.style.display = 'block';
-        if (listEl) listEl.innerHTML = '';
-        if (statusEl) statusEl.textContent = 'Connecting to Nostr relays...';
-
-        try {
-            await this.discover((progress) => {
-                if (statusEl) {
-                    if (progress.phase === 'nostr' && progress.step === 'mint-info') {
-                        statusEl.textContent = 'Fetching mint announcements...';
-                    } else if (progress.phase === 'nostr' && progress.step === 'reviews') {
-                        statusEl.textContent = 'Fetching reviews...';
-                    } else if (progress.phase === 'http') {
-                        statusEl.textContent = 'Checking mint status...';
-                    } else if (progress.phase === 'done') {
-                        statusEl.textContent = `Found ${this.mints.length} mints`;
-                    }
-                }
-            });
-
-            if (loadingEl) loadingEl.style.display = 'none';
-            this.renderMintList();
-        } catch (error) {
-            if (loadingEl) loadingEl.style.display = 'none';
-            if (statusEl) statusEl.textContent = 'Error: ' + error.message;
-        }
+    rating = parseInt(rating, 10);
+    if (!(rating >= 1 && rating <= 5)) {
+        throw new Error('Rating must be between 1 and 5');
     }
 
-    /**
-     * Render the mint list based on current filters
-     */
-    renderMintList() {
-        const listEl = document.getElementById('mint-discovery-list');
-        const filterEl = document.getElementById('mint-unit-filter');
-        const searchEl = document.getElementById('mint-search');
-
-        if (!listEl) return;
-
-        let filtered = this.mints;
+    const targets = relays && relays.length > 0
+        ? relays
+        : (typeof MintDiscovery !== 'undefined' ? MintDiscovery.DEFAULT_RELAYS : []);
+    if (targets.length === 0) {
+        throw new Error('No relays configured');
+    }
 
-        // Apply unit filter
-        if (filterEl && filterEl.value) {
-            filtered = this.filterByUnit(filterEl.value);
-        }
+    const event = await window.nostr.signEvent({
+        kind: 38000,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+            ['k', '38172'],
+            ['d', mintUrl],
+            ['u', mintUrl, 'cashu']
+        ],
+        content: `[${rating}/5] ${comment.trim()}`.trim()
+    });
 
-        // Apply search filter
-        if (searchEl && searchEl.value.trim()) {
-            const search = searchEl.value.trim().toLowerCase();
-            filtered = filtered.filter(m =>
-                (m.info?.name || '').toLowerCase().includes(search) ||
-                m.url.toLowerCase().includes(search)
-            );
-        }
+    const results = await Promise.all(targets.map(relay => publishToRelay(relay, event)));
+    return {
+        event,
+        accepted: results.filter(r => r.ok).map(r => r.relay),
+        failed: results.filter(r => !r.ok)
+    };
+}
 
-        if (filtered.length === 0) {
-            listEl.innerHTML = '<p class="no-results">No mints found matching your criteria</p>';
-        } else {
-            listEl.innerHTML = filtered.map(m => this.renderMintCard(m)).join('');
-        }
+/**
+ * Send a signed event to one relay and wait for its OK message
+ * @param {string} relay - Relay URL (wss://...)
+ * @param {Object} event - Signed Nostr event
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<Object>} { relay, ok, message }
+ */
+function publishToRelay(relay, event, timeout = 8000) {
+    return new Promise((resolve) => {
+        let socket;
+        let done = false;
+        const finish = (ok, message) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            try { socket.close(); } catch (e) { /* already closed */ }
+            resolve({ relay, ok, message });
+        };
+        const timer = setTimeout(() => finish(false, 'Timed out'), timeout);
 
-        // Update status
-        const statusEl = document.getElementById('mint-discovery-status');
-        if (statusEl) {
-            statusEl.textContent = `Showing ${filtered.length} of ${this.mints.length} mints`;
+        try {
+            socket = new WebSocket(relay);
+        } catch (e) {
+            finish(false, e.message);
+            return;
         }
-    }
 
-    /**
-     * Escape HTML entities
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+        socket.onopen = () => socket.send(JSON.stringify(['EVENT', event]));
+        socket.onerror = () => finish(false, 'Connection failed');
+        socket.onclose = () => finish(false, 'Connection closed');
+        socket.onmessage = (msg) => {
+            try {
+                const data = JSON.parse(msg.data);
+                if (data[0] === 'OK' && data[1] === event.id) {
+                    finish(data[2] === true, data[3] || '');
+                }
+            } catch (e) {
+                // Ignore malformed relay messages
+            }
+        };
+    });
 }
 
 /**
@@ -299,112 +698,6 @@ function showExpiryWarning(result, containerEl) {
     }
 }
 
-/**
- * Get discovery modal HTML
- * @returns {string} Modal HTML string
- */
-function getMintDiscoveryModalHtml() {
-    return `
-        <div id="mint-discovery-modal" class="modal" style="display: none;">
-            <div class="modal-content" style="max-width: 700px; max-height: 85vh;">
-                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
-                    <h3 style="margin: 0;">Discover Mints</h3>
-                    <button type="button" onclick="window.mintDiscoveryUI.closeModal()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: inherit;">&times;</button>
-                </div>
-                <div class="modal-body" style="overflow-y: auto;">
-                    <div id="mint-discovery-status" style="font-size: 0.85rem; color: var(--text-secondary, #a0aec0); margin-bottom: 1rem;">
-                        Click Refresh to load mints
-                    </div>
-
-                    <div id="mint-discovery-filters" style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
-                        <input type="text" id="mint-search" placeholder="Search mints..." style="flex: 1; padding: 0.5rem; border-radius: 4px; border: 1px solid var(--border, rgba(255,255,255,0.1)); background: var(--input-bg, rgba(0,0,0,0.2)); color: inherit;" onkeyup="window.mintDiscoveryUI.renderMintList()">
-                        <select id="mint-unit-filter" style="padding: 0.5rem; border-radius: 4px; border: 1px solid var(--border, rgba(255,255,255,0.1)); background: var(--input-bg, rgba(0,0,0,0.2)); color: inherit;" onchange="window.mintDiscoveryUI.renderMintList()">
-                            <option value="">All units</option>
-                            <option value="sat">SAT</option>
-                            <option value="eur">EUR</option>
-                            <option value="usd">USD</option>
-                        </select>
-                        <button type="button" class="btn btn-secondary" onclick="window.mintDiscoveryUI.startDiscovery()" style="white-space: nowrap;">Refresh</button>
-                    </div>
-
-                    <div id="mint-discovery-list" style="max-height: 400px; overflow-y: auto;">
-                        <p style="color: var(--text-secondary, #a0aec0); font-size: 0.9rem;">Click Refresh to discover mints from the Nostr network.</p>
-                    </div>
-
-                    <div id="mint-discovery-loading" style="display: none; text-align: center; padding: 2rem;">
-                        <div class="spinner" style="width: 40px; height: 40px; border: 3px solid var(--border, rgba(255,255,255,0.2)); border-top-color: var(--accent, #f7931a); border-radius: 50%; animation: spin 1s linear infinite; margin: 0 auto;"></div>
-                        <p style="margin-top: 1rem; color: var(--text-secondary, #a0aec0);">Connecting to Nostr relays...</p>
-                    </div>
-                </div>
-            </div>
-        </div>
-
-        <style>
-            .mint-card {
-                background: var(--card-bg, rgba(0,0,0,0.2));
-                border: 1px solid var(--border, rgba(255,255,255,0.1));
-                border-radius: 8px;
-                padding: 1rem;
-                margin-bottom: 0.75rem;
-                transition: box-shadow 150ms ease;
-            }
-            .mint-card:hover {
-                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-            }
-            .mint-header {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                margin-bottom: 0.5rem;
-            }
-            .mint-rating {
-                font-size: 0.9rem;
-            }
-            .review-count {
-                color: var(--text-secondary, #a0aec0);
-                font-size: 0.8rem;
-            }
-            .mint-status {
-                font-size: 0.8rem;
-                padding: 0.25rem 0.5rem;
-                border-radius: 4px;
-            }
-            .mint-status.online {
-                color: #48bb78;
-            }
-            .mint-status.offline {
-                color: #e53e3e;
-            }
-            .mint-name {
-                margin: 0 0 0.25rem 0;
-                font-size: 1rem;
-            }
-            .mint-url {
-                font-size: 0.8rem;
-                color: var(--text-secondary, #a0aec0);
-                margin: 0 0 0.5rem 0;
-                word-break: break-all;
-            }
-            .mint-units {
-                font-size: 0.8rem;
-                color: var(--text-secondary, #a0aec0);
-                margin-bottom: 0.75rem;
-            }
-            .mint-select-btn {
-                width: 100%;
-            }
-            .no-results {
-                text-align: center;
-                color: var(--text-secondary, #a0aec0);
-                padding: 2rem;
-            }
-            @keyframes spin {
-                to { transform: rotate(360deg); }
-            }
-        </style>
-    `;
-}
-
 /**
  * Get expiry warning HTML
  * @returns {string} Warning HTML string
@@ -425,8 +718,9 @@ function getExpiryWarningHtml() {
 // Export for use in both module and non-module contexts
 if (typeof window !== 'undefined') {
     window.MintDiscoveryUI = MintDiscoveryUI;
+    window.MINT_CAPABILITIES = MINT_CAPABILITIES;
+    window.publishMintReview = publishMintReview;
     window.testMintExpiry = testMintExpiry;
     window.showExpiryWarning = showExpiryWarning;
-    window.getMintDiscoveryModalHtml = getMintDiscoveryModalHtml;
     window.getExpiryWarningHtml = getExpiryWarningHtml;
 }
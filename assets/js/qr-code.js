@@ -0,0 +1,532 @@
+/**
+ * QR Code Encoder
+ *
+ * Self-contained QR code generator (ISO/IEC 18004, versions 1-40) with
+ * canvas and SVG rendering. Picks numeric, alphanumeric or byte mode for the
+ * whole text, so uppercase payloads (BOLT11 invoices, UR fragments) produce
+ * noticeably smaller codes.
+ *
+ * Usage:
+ *   const qr = QRCode.create('LIGHTNING:LNBC1...', { level: 'M' });
+ *   qr.drawCanvas(canvas, 280);
+ *   container.innerHTML = qr.toSvg();
+ *   QRCode.versionFor(text, 'L');   // version the text needs, null if too long
+ */
+class QRCode {
+    constructor(version, level, modules) {
+        this.version = version;
+        this.level = level;
+        this.size = modules.length;
+        this.modules = modules;
+    }
+
+    /**
+     * Encode text as a QR code
+     * @param {string} text - Payload (UTF-8 in byte mode)
+     * @param {Object} options - level ('L', 'M', 'Q', 'H'), minVersion
+     * @returns {QRCode}
+     */
+    static create(text, options = {}) {
+        const level = QRCode.checkLevel(options.level || 'M');
+        const segment = QRCode.makeSegment(String(text));
+        const version = QRCode.chooseVersion(segment, level, options.minVersion || 1);
+        if (version === null) {
+            throw new Error('Data too long for a QR code');
+        }
+
+        // Data bits: mode, character count, payload, terminator and padding
+        const capacity = QRCode.dataCodewords(version, level) * 8;
+        const bits = [];
+        QRCode.appendBits(bits, segment.mode.indicator, 4);
+        QRCode.appendBits(bits, segment.count, QRCode.countBits(segment.mode, version));
+        segment.bits.forEach(b => bits.push(b));
+        QRCode.appendBits(bits, 0, Math.min(4, capacity - bits.length));
+        QRCode.appendBits(bits, 0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            QRCode.appendBits(bits, pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        return new QRCode(version, level, QRCode.buildMatrix(version, level, QRCode.addEcc(data, version, level)));
+    }
+
+    /**
+     * Smallest version that holds the text, or null when no QR code can
+     * @param {string} text - Payload
+     * @param {string} level - Error correction level
+     * @returns {number|null}
+     */
+    static versionFor(text, level = 'M') {
+        return QRCode.chooseVersion(QRCode.makeSegment(String(text)), QRCode.checkLevel(level), 1);
+    }
+
+    isDark(x, y) {
+        return this.modules[y][x];
+    }
+
+    /**
+     * Draw onto a canvas (white background, dark modules)
+     * @param {HTMLCanvasElement} canvas - Target canvas, resized to size x size
+     * @param {number} size - Pixel size
+     * @param {Object} options - margin (modules of quiet zone), foreground, background
+     */
+    drawCanvas(canvas, size, options = {}) {
+        const margin = options.margin ?? 0;
+        const cell = size / (this.size + margin * 2);
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = options.background || '#ffffff';
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = options.foreground || '#000000';
+
+        // Snap module edges to whole pixels so neighbours leave no seams
+        for (let y = 0; y < this.size; y++) {
+            const top = Math.round((y + margin) * cell);
+            const bottom = Math.round((y + margin + 1) * cell);
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    const left = Math.round((x + margin) * cell);
+                    ctx.fillRect(left, top, Math.round((x + margin + 1) * cell) - left, bottom - top);
+                }
+            }
+        }
+    }
+
+    /**
+     * SVG markup scaling to its container (one path, runs of dark modules merged)
+     * @param {Object} options - margin, foreground, background, size (CSS width/height)
+     * @returns {string}
+     */
+    toSvg(options = {}) {
+        const margin = options.margin ?? 0;
+        const total = this.size + margin * 2;
+        let path = '';
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.modules[y][x]) continue;
+                let run = 1;
+                while (x + run < this.size && this.modules[y][x + run]) run++;
+                path += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+                x += run - 1;
+            }
+        }
+
+        const dimensions = options.size ? ` width="${options.size}" height="${options.size}"` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}"${dimensions} shape-rendering="crispEdges">`
+            + `<rect width="${total}" height="${total}" fill="${options.background || '#ffffff'}"/>`
+            + `<path d="${path}" fill="${options.foreground || '#000000'}"/></svg>`;
+    }
+
+    /**
+     * PNG data URL (for <img> tags and printing)
+     */
+    toDataURL(size, options = {}) {
+        const canvas = document.createElement('canvas');
+        this.drawCanvas(canvas, size, options);
+        return canvas.toDataURL('image/png');
+    }
+
+    // --- Encoding ---
+
+    static checkLevel(level) {
+        const key = String(level).toUpperCase();
+        if (!(key in QRCode.LEVELS)) {
+            throw new Error('Unknown error correction level: ' + level);
+        }
+        return key;
+    }
+
+    /**
+     * Encode the whole text in the most compact single mode
+     */
+    static makeSegment(text) {
+        const bits = [];
+
+        if (/^[0-9]*$/.test(text)) {
+            for (let i = 0; i < text.length; i += 3) {
+                const group = text.substring(i, i + 3);
+                QRCode.appendBits(bits, parseInt(group, 10), group.length * 3 + 1);
+            }
+            return { mode: QRCode.MODES.numeric, count: text.length, bits };
+        }
+
+        if ([...text].every(c => QRCode.ALPHANUMERIC.includes(c))) {
+            for (let i = 0; i + 1 < text.length; i += 2) {
+                QRCode.appendBits(bits, QRCode.ALPHANUMERIC.indexOf(text[i]) * 45 + QRCode.ALPHANUMERIC.indexOf(text[i + 1]), 11);
+            }
+            if (text.length % 2) {
+                QRCode.appendBits(bits, QRCode.ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+            }
+            return { mode: QRCode.MODES.alphanumeric, count: text.length, bits };
+        }
+
+        const bytes = new TextEncoder().encode(text);
+        bytes.forEach(b => QRCode.appendBits(bits, b, 8));
+        return { mode: QRCode.MODES.byte, count: bytes.length, bits };
+    }
+
+    static chooseVersion(segment, level, minVersion) {
+        for (let version = Math.max(1, minVersion); version <= 40; version++) {
+            const countBits = QRCode.countBits(segment.mode, version);
+            if (segment.count >= (1 << countBits)) continue;
+            if (4 + countBits + segment.bits.length <= QRCode.dataCodewords(version, level) * 8) {
+                return version;
+            }
+        }
+        return null;
+    }
+
+    static countBits(mode, version) {
+        return mode.countBits[version < 10 ? 0 : version < 27 ? 1 : 2];
+    }
+
+    static appendBits(bits, value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    }
+
+    // Modules available for data and error correction codewords
+    static rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const align = Math.floor(version / 7) + 2;
+            result -= (25 * align - 10) * align - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static dataCodewords(version, level) {
+        const { ecc, blocks } = QRCode.LEVELS[level];
+        return Math.floor(QRCode.rawDataModules(version) / 8) - ecc[version] * blocks[version];
+    }
+
+    /**
+     * Split into blocks, append Reed-Solomon codewords and interleave
+     */
+    static addEcc(data, version, level) {
+        const numBlocks = QRCode.LEVELS[level].blocks[version];
+        const eccLen = QRCode.LEVELS[level].ecc[version];
+        const rawCodewords = Math.floor(QRCode.rawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = QRCode.rsDivisor(eccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = QRCode.rsRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLen - eccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QRCode.gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QRCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static rsRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= QRCode.gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // --- Module placement ---
+
+    static buildMatrix(version, level, codewords) {
+        const size = version * 4 + 17;
+        const grid = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+            set(x, y, dark) {
+                this.modules[y][x] = dark;
+                this.reserved[y][x] = true;
+            }
+        };
+
+        QRCode.drawFunctionPatterns(grid, version);
+        QRCode.drawCodewords(grid, codewords);
+
+        // Keep the mask with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            QRCode.applyMask(grid, mask);
+            QRCode.drawFormatBits(grid, level, mask);
+            const penalty = QRCode.penalty(grid.modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            QRCode.applyMask(grid, mask); // XOR again to undo
+        }
+        QRCode.applyMask(grid, bestMask);
+        QRCode.drawFormatBits(grid, level, bestMask);
+
+        return grid.modules;
+    }
+
+    static drawFunctionPatterns(grid, version) {
+        const size = grid.size;
+
+        for (let i = 0; i < size; i++) {
+            grid.set(6, i, i % 2 === 0);
+            grid.set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                        grid.set(x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = QRCode.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        grid.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (real bits are drawn after masking)
+        QRCode.drawFormatBits(grid, 'M', 0);
+
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) {
+                rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            }
+            const bits = version << 12 | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                grid.set(a, b, dark);
+                grid.set(b, a, dark);
+            }
+        }
+    }
+
+    static alignmentPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = version * 4 + 10; result.length < count; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    static drawFormatBits(grid, level, mask) {
+        const data = QRCode.LEVELS[level].formatBits << 3 | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = grid.size;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) grid.set(8, i, bit(i));
+        grid.set(8, 7, bit(6));
+        grid.set(8, 8, bit(7));
+        grid.set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) grid.set(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) grid.set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) grid.set(8, size - 15 + i, bit(i));
+        grid.set(8, size - 8, true);
+    }
+
+    // Zigzag through the grid in two-column strips, skipping function modules
+    static drawCodewords(grid, codewords) {
+        const size = grid.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!grid.reserved[y][x] && i < codewords.length * 8) {
+                        grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    static applyMask(grid, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        for (let y = 0; y < grid.size; y++) {
+            for (let x = 0; x < grid.size; x++) {
+                if (!grid.reserved[y][x] && invert(x, y)) {
+                    grid.modules[y][x] = !grid.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Mask penalty: long runs, 2x2 blocks, finder look-alikes and dark/light balance
+     */
+    static penalty(modules) {
+        const size = modules.length;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let result = 0;
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) result += run - 2;
+                run = 1;
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(p => p.every((v, k) => line[i + k] === v))) {
+                    result += 40;
+                }
+            }
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+                        result += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+}
+
+QRCode.ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+QRCode.MODES = {
+    numeric: { indicator: 0x1, countBits: [10, 12, 14] },
+    alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+    byte: { indicator: 0x4, countBits: [8, 16, 16] }
+};
+
+// Error correction codewords per block and block count, indexed by version
+QRCode.LEVELS = {
+    L: {
+        formatBits: 1,
+        ecc: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    },
+    M: {
+        formatBits: 0,
+        ecc: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    Q: {
+        formatBits: 3,
+        ecc: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+    },
+    H: {
+        formatBits: 2,
+        ecc: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCode;
+}
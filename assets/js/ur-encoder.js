@@ -0,0 +1,309 @@
+/**
+ * Uniform Resources (UR) Encoder
+ *
+ * Self-contained implementation of Blockchain Commons UR encoding
+ * (BCR-2020-005) with multipart fountain codes (BCR-2020-012 bytewords,
+ * xoshiro256** fragment selection), compatible with the bc-ur reference
+ * decoders used by Cashu wallets.
+ *
+ * Strings are wrapped as a CBOR text string, binary payloads as a CBOR byte
+ * string, with any length.
+ *
+ * Usage:
+ *   const encoder = new UREncoder('cashuB...', { maxFragmentLen: 200 });
+ *   encoder.nextPart();   // "ur:bytes/1-12/lpad..." (single part: "ur:bytes/...")
+ *   encoder.fragmentCount;
+ */
+class UREncoder {
+    /**
+     * @param {string|Uint8Array} payload - Text or bytes to encode
+     * @param {Object} options - type ('bytes'), maxFragmentLen (200), minFragmentLen (10)
+     */
+    constructor(payload, options = {}) {
+        this.type = options.type || 'bytes';
+        this.cbor = typeof payload === 'string'
+            ? UREncoder.cborString(3, new TextEncoder().encode(payload))
+            : UREncoder.cborString(2, payload);
+
+        this.messageLength = this.cbor.length;
+        this.checksum = UREncoder.crc32(this.cbor);
+        this.fragmentLength = UREncoder.fragmentLength(
+            this.messageLength,
+            options.minFragmentLen || 10,
+            options.maxFragmentLen || 200
+        );
+
+        // Equal-sized fragments, the last one zero padded
+        this.fragmentCount = Math.ceil(this.messageLength / this.fragmentLength);
+        this.fragments = [];
+        for (let i = 0; i < this.fragmentCount; i++) {
+            const fragment = new Uint8Array(this.fragmentLength);
+            fragment.set(this.cbor.subarray(i * this.fragmentLength, (i + 1) * this.fragmentLength));
+            this.fragments.push(fragment);
+        }
+
+        this.seqNum = 0;
+    }
+
+    isSinglePart() {
+        return this.fragmentCount <= 1;
+    }
+
+    /**
+     * Next UR part. The first fragmentCount parts carry one fragment each,
+     * later ones XOR pseudo-random fragment sets so any sufficient subset
+     * decodes.
+     * @returns {string} Lowercase UR string
+     */
+    nextPart() {
+        if (this.isSinglePart()) {
+            return `ur:${this.type}/${UREncoder.bytewords(this.cbor)}`;
+        }
+
+        this.seqNum = (this.seqNum + 1) >>> 0;
+        const mixed = new Uint8Array(this.fragmentLength);
+        UREncoder.chooseFragments(this.seqNum, this.fragmentCount, this.checksum).forEach(index => {
+            this.fragments[index].forEach((b, i) => {
+                mixed[i] ^= b;
+            });
+        });
+
+        // CBOR array [seqNum, seqLen, messageLen, checksum, data]
+        const part = UREncoder.concat([
+            new Uint8Array([0x85]),
+            UREncoder.cborHead(0, this.seqNum),
+            UREncoder.cborHead(0, this.fragmentCount),
+            UREncoder.cborHead(0, this.messageLength),
+            UREncoder.cborHead(0, this.checksum),
+            UREncoder.cborString(2, mixed)
+        ]);
+        return `ur:${this.type}/${this.seqNum}-${this.fragmentCount}/${UREncoder.bytewords(part)}`;
+    }
+
+    // --- CBOR ---
+
+    /**
+     * CBOR major type header with the shortest length encoding
+     */
+    static cborHead(majorType, value) {
+        const type = majorType << 5;
+        if (value < 24) return new Uint8Array([type | value]);
+        if (value < 0x100) return new Uint8Array([type | 24, value]);
+        if (value < 0x10000) return new Uint8Array([type | 25, value >> 8, value & 0xFF]);
+        if (value < 0x100000000) {
+            return new Uint8Array([type | 26, value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]);
+        }
+        const head = new Uint8Array(9);
+        head[0] = type | 27;
+        new DataView(head.buffer).setBigUint64(1, BigInt(value));
+        return head;
+    }
+
+    // Text (major type 3) or byte (major type 2) string
+    static cborString(majorType, bytes) {
+        return UREncoder.concat([UREncoder.cborHead(majorType, bytes.length), bytes]);
+    }
+
+    static concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let offset = 0;
+        arrays.forEach(a => {
+            result.set(a, offset);
+            offset += a.length;
+        });
+        return result;
+    }
+
+    // --- Fountain code ---
+
+    /**
+     * Fragment length giving the fewest fragments not longer than maxLen
+     */
+    static fragmentLength(messageLength, minLen, maxLen) {
+        const maxCount = Math.max(1, Math.ceil(messageLength / minLen));
+        let length = messageLength;
+        for (let count = 1; count <= maxCount; count++) {
+            length = Math.ceil(messageLength / count);
+            if (length <= maxLen) break;
+        }
+        return length;
+    }
+
+    static chooseFragments(seqNum, seqLength, checksum) {
+        if (seqNum <= seqLength) {
+            return [seqNum - 1];
+        }
+
+        const seed = new Uint8Array(8);
+        const view = new DataView(seed.buffer);
+        view.setUint32(0, seqNum);
+        view.setUint32(4, checksum);
+        const random = UREncoder.xoshiro(UREncoder.sha256(seed));
+
+        // Degree d is chosen with probability proportional to 1/d
+        const degree = UREncoder.sampler(Array.from({ length: seqLength }, (_, i) => 1 / (i + 1)))(random) + 1;
+
+        const remaining = Array.from({ length: seqLength }, (_, i) => i);
+        const shuffled = [];
+        while (remaining.length > 0) {
+            const index = Math.floor(random() * remaining.length);
+            shuffled.push(remaining.splice(index, 1)[0]);
+        }
+        return shuffled.slice(0, degree);
+    }
+
+    /**
+     * Walker/Vose alias sampler over weights, drawing with two random numbers
+     */
+    static sampler(weights) {
+        const n = weights.length;
+        const sum = weights.reduce((a, b) => a + b, 0);
+        const scaled = weights.map(w => w * n / sum);
+        const probs = new Array(n).fill(0);
+        const aliases = new Array(n).fill(0);
+        const small = [];
+        const large = [];
+
+        for (let i = n - 1; i >= 0; i--) {
+            (scaled[i] < 1 ? small : large).push(i);
+        }
+        while (small.length > 0 && large.length > 0) {
+            const a = small.pop();
+            const g = large.pop();
+            probs[a] = scaled[a];
+            aliases[a] = g;
+            scaled[g] += scaled[a] - 1;
+            (scaled[g] < 1 ? small : large).push(g);
+        }
+        while (large.length > 0) probs[large.pop()] = 1;
+        while (small.length > 0) probs[small.pop()] = 1;
+
+        return (random) => {
+            const r1 = random();
+            const r2 = random();
+            const i = Math.floor(n * r1);
+            return r2 < probs[i] ? i : aliases[i];
+        };
+    }
+
+    /**
+     * xoshiro256** seeded with a 32-byte digest, as doubles in [0, 1)
+     */
+    static xoshiro(digest) {
+        const mask = (1n << 64n) - 1n;
+        const rotl = (x, k) => ((x << k) | (x >> (64n - k))) & mask;
+        const s = [0, 1, 2, 3].map(i => {
+            let v = 0n;
+            for (let n = 0; n < 8; n++) {
+                v = (v << 8n) | BigInt(digest[i * 8 + n]);
+            }
+            return v;
+        });
+
+        return () => {
+            const result = (rotl((s[1] * 5n) & mask, 7n) * 9n) & mask;
+            const t = (s[1] << 17n) & mask;
+            s[2] ^= s[0];
+            s[3] ^= s[1];
+            s[1] ^= s[2];
+            s[0] ^= s[3];
+            s[2] ^= t;
+            s[3] = rotl(s[3], 45n);
+            return Number(result) / 18446744073709551616;
+        };
+    }
+
+    // --- Bytewords and checksums ---
+
+    /**
+     * Minimal bytewords (first and last letter of each word) with CRC32 suffix
+     */
+    static bytewords(bytes) {
+        const crc = new Uint8Array(4);
+        new DataView(crc.buffer).setUint32(0, UREncoder.crc32(bytes));
+        let result = '';
+        UREncoder.concat([bytes, crc]).forEach(b => {
+            result += UREncoder.WORDS[b * 4] + UREncoder.WORDS[b * 4 + 3];
+        });
+        return result;
+    }
+
+    static crc32(bytes) {
+        if (!UREncoder.crcTable) {
+            UREncoder.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                UREncoder.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        bytes.forEach(b => {
+            crc = UREncoder.crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+        });
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Synchronous SHA-256 (crypto.subtle is async and missing on plain HTTP)
+     */
+    static sha256(bytes) {
+        const K = UREncoder.SHA256_K;
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const bitLength = bytes.length * 8;
+
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padded.length - 4, bitLength >>> 0);
+
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+            }
+            [a, b, c, d, e, f, g, h].forEach((v, i) => {
+                H[i] = (H[i] + v) >>> 0;
+            });
+        }
+
+        const digest = new Uint8Array(32);
+        H.forEach((v, i) => new DataView(digest.buffer).setUint32(i * 4, v));
+        return digest;
+    }
+}
+
+// The 256 bytewords, four letters each, in byte order
+UREncoder.WORDS =
+    'ableacidalsoapexaquaarchatomauntawayaxisbackbaldbarnbeltbetabiasbluebodybragbrewbulbbuzzcalmcashcatschefcityclawcodecolacookcostcruxcurlcuspcyandarkdatadaysdelidicedietdoordowndrawdropdrumdulldutyeacheasyechoedgeepicevenexamexiteyesfactfairfernfigsfilmfishfizzflapflewfluxfoxyfreefrogfuelfundgalagamegeargemsgiftgirlglowgoodgraygrimgurugushgyrohalfhanghardhawkheathelphighhillholyhopehornhutsicedideaidleinchinkyintoirisironitemjadejazzjoinjoltjowljudojugsjumpjunkjurykeepkenokeptkeyskickkilnkingkitekiwiknoblamblavalazyleaflegsliarlimplionlistlogoloudloveluaulucklungmainmanymathmazememomenumeowmildmintmissmonknailnavyneednewsnextnoonnotenumbobeyoboeomitonyxopenovalowlspaidpartpeckplaypluspoempoolposepuffpumapurrquadquizraceramprealredorichroadrockroofrubyruinrunsrustsafesagascarsetssilkskewslotsoapsolosongstubsurfswantacotasktaxitenttiedtimetinytoiltombtoystriptunatwinuglyundouniturgeuservastveryvetovialvibeviewvisavoidvowswallwandwarmwaspwavewaxywebswhatwhenwhizwolfworkyankyawnyellyogayurtzapszerozestzinczonezoom';
+
+UREncoder.SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UREncoder;
+}
@@ -15,9 +15,13 @@
 require_once __DIR__ . '/includes/database.php';
 require_once __DIR__ . '/includes/config.php';
 require_once __DIR__ . '/includes/invoice.php';
+require_once __DIR__ . '/includes/payment_requests.php';
+require_once __DIR__ . '/includes/refunds.php';
 require_once __DIR__ . '/includes/lightning_address.php';
 require_once __DIR__ . '/includes/security.php';
 require_once __DIR__ . '/includes/background.php';
+require_once __DIR__ . '/includes/mint_health.php';
+require_once __DIR__ . '/includes/nostr_notifier.php';
 
 // Check if setup is complete
 if (!Database::isInitialized() || !Config::isSetupComplete()) {
@@ -125,6 +129,14 @@ try {
     $results['tasks']['sync_proofs'] = 'error: ' . $e->getMessage();
 }
 
+// Task 5b: Settle Lightning refunds whose melt was still pending
+try {
+    $settled = Refunds::reconcileLightning();
+    $results['tasks']['reconcile_refunds'] = $settled > 0 ? "settled {$settled}" : 'none';
+} catch (Exception $e) {
+    $results['tasks']['reconcile_refunds'] = 'error: ' . $e->getMessage();
+}
+
 // Task 6: C2/H4 - Recover orphaned invoices stuck in Processing
 try {
     $recovered = Invoice::recoverOrphanedInvoices();
@@ -160,6 +172,19 @@ try {
     $results['tasks']['cleanup_invoices'] = 'error: ' . $e->getMessage();
 }
 
+// Task 8b: Clean old NUT-18 payment requests (older than 90 days)
+try {
+    $deleted = Database::query(
+        "DELETE FROM payment_requests WHERE created_at < ?",
+        [time() - 90 * 24 * 3600]
+    )->rowCount();
+    $stale = PaymentRequests::deleteStale();
+
+    $results['tasks']['cleanup_payment_requests'] = "deleted {$deleted} old and {$stale} unpaid payment requests";
+} catch (Exception $e) {
+    $results['tasks']['cleanup_payment_requests'] = 'error: ' . $e->getMessage();
+}
+
 // Task 9: L3 - Clean expired pending operations from wallet storage
 try {
     $stores = Database::fetchAll(
@@ -206,4 +231,27 @@ try {
     $results['tasks']['cleanup_webhooks'] = 'error: ' . $e->getMessage();
 }
 
+// Task 11: Mint health checks for primary and backup mints (if not checked recently)
+try {
+    if (MintHealth::shouldCheck()) {
+        // Mark first so overlapping cron runs don't probe the mints twice
+        MintHealth::markChecked();
+        $checked = MintHealth::checkAll();
+        $deleted = MintHealth::cleanup();
+        $results['tasks']['mint_health'] = "checked {$checked} mints, deleted {$deleted} old checks";
+    } else {
+        $results['tasks']['mint_health'] = 'skipped (recently checked)';
+    }
+} catch (Exception $e) {
+    $results['tasks']['mint_health'] = 'error: ' . $e->getMessage();
+}
+
+// Task 12: Send queued Nostr notifications (last, so this run's auto-melt and mint alerts go out too)
+try {
+    $sent = NostrNotifier::sendQueued();
+    $results['tasks']['nostr_notifications'] = "sent {$sent}";
+} catch (Exception $e) {
+    $results['tasks']['nostr_notifications'] = 'error: ' . $e->getMessage();
+}
+
 echo json_encode($results, JSON_PRETTY_PRINT);
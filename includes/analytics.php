@@ -0,0 +1,209 @@
+<?php
+/**
+ * CashuPayServer - Analytics Module
+ *
+ * Revenue statistics built from the invoices table: settled volume per
+ * time bucket, conversion rate and average ticket size, for one store or
+ * consolidated across all stores in a display currency.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/invoice.php';
+require_once __DIR__ . '/rates.php';
+
+class Analytics {
+    /** Number of buckets shown per granularity */
+    private const BUCKET_COUNTS = [
+        'day' => 30,
+        'week' => 12,
+        'month' => 12,
+    ];
+
+    /**
+     * Build a revenue report
+     *
+     * Volumes are in the display currency's smallest unit (sats, or cents for
+     * fiat). Invoices in the display currency are summed as-is; everything else
+     * goes through its sat value at invoice time and today's exchange rate.
+     *
+     * @param string|null $storeId Store ID, or null for all stores
+     * @param string $bucket day | week | month
+     * @param string $displayCurrency Currency for volumes (sat, eur, usd, ...)
+     * @param int $tzOffset Client timezone offset in minutes (JS getTimezoneOffset)
+     */
+    public static function getReport(?string $storeId, string $bucket, string $displayCurrency, int $tzOffset = 0): array {
+        if (!isset(self::BUCKET_COUNTS[$bucket])) {
+            throw new Exception('Invalid bucket');
+        }
+
+        $displayCurrency = strtolower($displayCurrency);
+        if ($displayCurrency === 'sats') {
+            $displayCurrency = 'sat';
+        }
+
+        $price = null;
+        if (!in_array($displayCurrency, ['sat', 'msat'])) {
+            $price = ExchangeRates::getBtcPrice($displayCurrency);
+            if ($price === null) {
+                throw new Exception('Cannot get exchange rate for ' . strtoupper($displayCurrency));
+            }
+        }
+
+        $tzOffset = max(-840, min(840, $tzOffset));
+        [$buckets, $startUtc] = self::buildBuckets($bucket, $tzOffset);
+
+        $sql = "SELECT i.store_id, i.status, i.amount, i.currency, i.exchange_rate, i.amount_sats, i.created_at, s.mint_unit
+                FROM invoices i JOIN stores s ON s.id = i.store_id
+                WHERE i.created_at >= ?";
+        $params = [$startUtc];
+        if ($storeId !== null) {
+            $sql .= " AND i.store_id = ?";
+            $params[] = $storeId;
+        }
+
+        $stores = [];
+        foreach (Database::fetchAll($sql, $params) as $invoice) {
+            $key = self::bucketKey($bucket, (int)$invoice['created_at'] - $tzOffset * 60);
+            if (!isset($buckets[$key])) {
+                continue;
+            }
+
+            $sid = $invoice['store_id'];
+            if (!isset($stores[$sid])) {
+                $stores[$sid] = ['settledCount' => 0, 'volumeMintUnit' => 0, 'volume' => 0];
+            }
+
+            if ($invoice['status'] === 'Settled') {
+                $volume = self::toDisplay($invoice, $displayCurrency, $price);
+                $buckets[$key]['settledCount']++;
+                $buckets[$key]['volume'] += $volume;
+                $stores[$sid]['settledCount']++;
+                $stores[$sid]['volumeMintUnit'] += (int)$invoice['amount_sats'];
+                $stores[$sid]['volume'] += $volume;
+            } elseif (in_array($invoice['status'], ['Expired', 'Invalid'])) {
+                $buckets[$key]['expiredCount']++;
+            }
+        }
+
+        $totals = ['settledCount' => 0, 'expiredCount' => 0, 'volume' => 0];
+        foreach ($buckets as &$b) {
+            $b['averageTicket'] = $b['settledCount'] > 0 ? (int)round($b['volume'] / $b['settledCount']) : null;
+            $b['conversionRate'] = self::conversionRate($b['settledCount'], $b['expiredCount']);
+            $totals['settledCount'] += $b['settledCount'];
+            $totals['expiredCount'] += $b['expiredCount'];
+            $totals['volume'] += $b['volume'];
+        }
+        unset($b);
+
+        $totals['averageTicket'] = $totals['settledCount'] > 0 ? (int)round($totals['volume'] / $totals['settledCount']) : null;
+        $totals['conversionRate'] = self::conversionRate($totals['settledCount'], $totals['expiredCount']);
+
+        // Per-store breakdown (names and units for the consolidated table)
+        $storeRows = [];
+        foreach (Database::fetchAll("SELECT id, name, mint_unit FROM stores ORDER BY created_at DESC") as $store) {
+            if ($storeId !== null && $store['id'] !== $storeId) {
+                continue;
+            }
+            $storeRows[] = [
+                'id' => $store['id'],
+                'name' => $store['name'],
+                'mintUnit' => $store['mint_unit'] ?? 'sat',
+            ] + ($stores[$store['id']] ?? ['settledCount' => 0, 'volumeMintUnit' => 0, 'volume' => 0]);
+        }
+
+        return [
+            'bucket' => $bucket,
+            'displayCurrency' => $displayCurrency,
+            'rateStale' => $price !== null && ExchangeRates::isStale($displayCurrency),
+            'buckets' => array_values($buckets),
+            'totals' => $totals,
+            'stores' => $storeRows,
+        ];
+    }
+
+    /**
+     * Create empty buckets covering the report range
+     *
+     * @return array [buckets keyed by bucket key, range start as UTC timestamp]
+     */
+    private static function buildBuckets(string $bucket, int $tzOffset): array {
+        $count = self::BUCKET_COUNTS[$bucket];
+        $nowLocal = time() - $tzOffset * 60;
+        $todayLocal = intdiv($nowLocal, 86400) * 86400;
+
+        $starts = [];
+        if ($bucket === 'day') {
+            for ($i = $count - 1; $i >= 0; $i--) {
+                $starts[] = $todayLocal - $i * 86400;
+            }
+        } elseif ($bucket === 'week') {
+            $monday = $todayLocal - ((int)gmdate('N', $todayLocal) - 1) * 86400;
+            for ($i = $count - 1; $i >= 0; $i--) {
+                $starts[] = $monday - $i * 7 * 86400;
+            }
+        } else {
+            $year = (int)gmdate('Y', $nowLocal);
+            $month = (int)gmdate('n', $nowLocal);
+            for ($i = $count - 1; $i >= 0; $i--) {
+                $starts[] = gmmktime(0, 0, 0, $month - $i, 1, $year);
+            }
+        }
+
+        $labelFormat = $bucket === 'month' ? 'M Y' : 'M j';
+        $buckets = [];
+        foreach ($starts as $start) {
+            $buckets[self::bucketKey($bucket, $start)] = [
+                'key' => self::bucketKey($bucket, $start),
+                'label' => gmdate($labelFormat, $start),
+                'settledCount' => 0,
+                'expiredCount' => 0,
+                'volume' => 0,
+            ];
+        }
+
+        return [$buckets, $starts[0] + $tzOffset * 60];
+    }
+
+    private static function bucketKey(string $bucket, int $localTime): string {
+        return match ($bucket) {
+            'day' => gmdate('Y-m-d', $localTime),
+            'week' => gmdate('o-\WW', $localTime),
+            'month' => gmdate('Y-m', $localTime),
+        };
+    }
+
+    /**
+     * Settled share of finished (settled + expired/invalid) invoices, in percent
+     */
+    private static function conversionRate(int $settled, int $expired): ?float {
+        $finished = $settled + $expired;
+        return $finished > 0 ? round($settled / $finished * 100, 1) : null;
+    }
+
+    /**
+     * Invoice value in the display currency's smallest unit
+     */
+    private static function toDisplay(array $invoice, string $displayCurrency, ?float $price): int {
+        $mintUnit = strtolower($invoice['mint_unit'] ?? 'sat');
+        if ($mintUnit === $displayCurrency) {
+            return (int)$invoice['amount_sats'];
+        }
+
+        $sats = Invoice::getAmountInSats($invoice);
+        if ($sats === null) {
+            if ($mintUnit !== 'sat') {
+                return 0; // No recorded rate to value it with
+            }
+            $sats = (int)$invoice['amount_sats'];
+        }
+
+        if ($displayCurrency === 'sat') {
+            return $sats;
+        }
+        if ($displayCurrency === 'msat') {
+            return $sats * 1000;
+        }
+        return (int)round($sats / 100000000 * $price * 100);
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 require_once __DIR__ . '/../invoice.php';
+require_once __DIR__ . '/../refunds.php';
 
 /**
  * Create a new invoice
@@ -47,13 +48,35 @@ function handleGetInvoices(array $auth, array $params, array $body): void {
     $storeId = $params['storeId'];
 
     // Parse query parameters
-    $status = $_GET['status'] ?? null;
-    $limit = min((int)($_GET['limit'] ?? 50), 100);
+    $limit = max(1, min((int)($_GET['limit'] ?? 50), 100));
     $offset = (int)($_GET['offset'] ?? 0);
 
-    $invoices = Invoice::getByStore($storeId, $status, $limit, $offset);
+    $filters = [];
+    if (!empty($_GET['status'])) {
+        $filters['status'] = (array)$_GET['status'];
+    }
+    if (isset($_GET['startDate']) && is_numeric($_GET['startDate'])) {
+        $filters['from'] = (int)$_GET['startDate'];
+    }
+    if (isset($_GET['endDate']) && is_numeric($_GET['endDate'])) {
+        $filters['to'] = (int)$_GET['endDate'];
+    }
+    if (!empty($_GET['textSearch'])) {
+        $filters['query'] = (string)$_GET['textSearch'];
+    }
+
+    try {
+        $page = Invoice::search($storeId, $filters, $limit, $_GET['cursor'] ?? null, $offset);
+    } catch (Exception $e) {
+        errorResponse('validation-error', $e->getMessage());
+    }
 
-    $result = array_map([Invoice::class, 'formatForApi'], $invoices);
+    // Cursor for the next page (body stays a plain array for BTCPay compatibility)
+    if ($page['nextCursor'] !== null) {
+        header('X-Next-Cursor: ' . $page['nextCursor']);
+    }
+
+    $result = array_map([Invoice::class, 'formatForApi'], $page['invoices']);
     jsonResponse($result);
 }
 
@@ -105,3 +128,50 @@ function handleUpdateInvoiceStatus(array $auth, array $params, array $body): voi
     $invoice = Invoice::getById($invoiceId);
     jsonResponse(Invoice::formatForApi($invoice));
 }
+
+/**
+ * Refund a settled invoice
+ *
+ * Body: method ("ecash" or "lightning"), amount (mint unit, optional - defaults
+ * to everything not refunded yet), destination (Lightning address, LNURL or
+ * BOLT-11, for lightning), description (optional). Ecash refunds return the
+ * token to hand to the customer.
+ */
+function handleRefundInvoice(array $auth, array $params, array $body): void {
+    $invoice = Invoice::getById($params['invoiceId']);
+
+    if ($invoice === null || $invoice['store_id'] !== $params['storeId']) {
+        errorResponse('not-found', 'Invoice not found', 404);
+    }
+
+    $amount = $body['amount'] ?? null;
+    if ($amount !== null && (!is_numeric($amount) || (int)$amount != $amount)) {
+        errorResponse('validation-error', 'Amount must be a whole number in the mint unit');
+    }
+
+    try {
+        $refund = Refunds::create(
+            $invoice['id'],
+            (string)($body['method'] ?? 'ecash'),
+            $amount !== null ? (int)$amount : null,
+            (string)($body['destination'] ?? ''),
+            (string)($body['description'] ?? '')
+        );
+        jsonResponse($refund);
+    } catch (Exception $e) {
+        errorResponse('refund-error', $e->getMessage());
+    }
+}
+
+/**
+ * List refunds of an invoice
+ */
+function handleGetInvoiceRefunds(array $auth, array $params, array $body): void {
+    $invoice = Invoice::getById($params['invoiceId']);
+
+    if ($invoice === null || $invoice['store_id'] !== $params['storeId']) {
+        errorResponse('not-found', 'Invoice not found', 404);
+    }
+
+    jsonResponse(Refunds::getForInvoice($invoice['id']));
+}
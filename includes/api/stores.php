@@ -4,12 +4,19 @@
  */
 
 /**
- * Get all stores
+ * Get all stores (scoped keys only see their own store)
  */
 function handleGetStores(array $auth, array $params, array $body): void {
-    $stores = Database::fetchAll(
-        "SELECT id, name, created_at FROM stores ORDER BY created_at DESC"
-    );
+    if ($auth['full_access']) {
+        $stores = Database::fetchAll(
+            "SELECT id, name, created_at FROM stores ORDER BY created_at DESC"
+        );
+    } else {
+        $stores = Database::fetchAll(
+            "SELECT id, name, created_at FROM stores WHERE id = ?",
+            [$auth['store_id']]
+        );
+    }
 
     $result = array_map(function ($store) {
         return [
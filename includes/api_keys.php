@@ -0,0 +1,395 @@
+<?php
+/**
+ * CashuPayServer - API Key Scopes, Restrictions and Usage
+ *
+ * Which Greenfield endpoints a key may call (BTCPay permission names), plus
+ * optional expiry and IP/origin restrictions set in the admin. Every
+ * accepted request updates the key's usage counters; rejected requests are
+ * kept for a while as an audit log.
+ *
+ * Keys holding '*' (full access) keep server-wide access; scoped keys only
+ * reach their own store.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/auth.php';
+require_once __DIR__ . '/security.php';
+
+class ApiKeys {
+    /** Permissions a key can be scoped to, with the admin's descriptions */
+    public const PERMISSIONS = [
+        'btcpay.store.cancreateinvoice' => 'Create invoices',
+        'btcpay.store.canviewinvoices' => 'View invoices',
+        'btcpay.store.canmodifyinvoices' => 'Modify invoices',
+        'cashupay.store.canrefundinvoices' => 'Refund invoices (pays out immediately)',
+        'btcpay.store.webhooks.canmodifywebhooks' => 'Manage webhooks',
+        'btcpay.store.canviewstoresettings' => 'View store settings',
+        'btcpay.store.canmodifystoresettings' => 'Modify store settings',
+    ];
+
+    /**
+     * Permissions that pay out of the store at once; never implied by another
+     * permission and never granted by the pairing flow without the admin ticking it
+     */
+    public const PAYOUT_PERMISSIONS = ['cashupay.store.canrefundinvoices'];
+
+    /** Broader permissions include narrower ones (as in BTCPay) */
+    private const IMPLIED = [
+        'btcpay.store.canmodifystoresettings' => [
+            'btcpay.store.cancreateinvoice',
+            'btcpay.store.canviewinvoices',
+            'btcpay.store.canmodifyinvoices',
+            'btcpay.store.webhooks.canmodifywebhooks',
+            'btcpay.store.canviewstoresettings',
+        ],
+        'btcpay.store.canmodifyinvoices' => ['btcpay.store.canviewinvoices', 'btcpay.store.cancreateinvoice'],
+        'btcpay.store.canviewstoresettings' => ['btcpay.store.canviewinvoices'],
+    ];
+
+    /** Days rejected requests are kept */
+    private const REJECTION_DAYS = 30;
+
+    /** Rejected requests recorded per IP address and minute; the rest are refused unrecorded */
+    private const REJECTIONS_PER_MINUTE = 10;
+
+    /** Label of the key the admin dashboard (POS, payment requests) uses */
+    public const INTERNAL_LABEL = 'Internal (Dashboard)';
+
+    /**
+     * Authenticate an API request and check it against the key's scope
+     *
+     * Sends a 401/403 error response and exits when the request is refused.
+     *
+     * @param array|null $anyOf Permissions of which the key needs one, null for any valid key,
+     *                          ['*'] for full-access keys only
+     * @param string|null $storeId Store the endpoint acts on, if any
+     * @return array Auth data (see Auth::validateApiKey())
+     */
+    public static function authorize(?array $anyOf, ?string $storeId): array {
+        $authHeader = $_SERVER['HTTP_AUTHORIZATION'] ?? '';
+        $auth = Auth::validateApiRequest();
+
+        if ($auth === null) {
+            // Only attempts with a key are worth auditing
+            if ($authHeader !== '') {
+                self::reject(null, $storeId, 'invalid_key', 401, 'Invalid API key');
+            }
+            self::respond(401, 'unauthenticated', 'Authentication required. Use Authorization: token YOUR_API_KEY');
+        }
+
+        $restrictions = self::getRestrictions($auth['key_id']);
+        $fullAccess = in_array('*', $auth['permissions'], true);
+
+        if ($restrictions['expiresAt'] !== null && $restrictions['expiresAt'] <= Database::timestamp()) {
+            self::reject($auth, $storeId, 'expired', 401, 'API key expired');
+        }
+        if (!empty($restrictions['allowedIps']) && !Security::ipInRanges(Security::getRemoteIp(), $restrictions['allowedIps'])) {
+            self::reject($auth, $storeId, 'ip_not_allowed', 403, 'API key not allowed from this IP address');
+        }
+        if (!empty($restrictions['allowedOrigins']) && !in_array(self::requestOrigin(), $restrictions['allowedOrigins'], true)) {
+            self::reject($auth, $storeId, 'origin_not_allowed', 403, 'API key not allowed from this origin');
+        }
+        if (!$fullAccess && $storeId !== null && $storeId !== $auth['store_id']) {
+            self::reject($auth, $storeId, 'wrong_store', 403, 'API key does not belong to this store');
+        }
+        if ($anyOf !== null && !$fullAccess && !self::grantsAny($auth['permissions'], $anyOf)) {
+            self::reject($auth, $storeId, 'missing_permission', 403, 'API key lacks permission: ' . implode(' or ', $anyOf));
+        }
+
+        Database::query(
+            "INSERT INTO api_key_usage (key_id, request_count, rejected_count, last_used_at, last_ip)
+             VALUES (?, 1, 0, ?, ?)
+             ON CONFLICT(key_id) DO UPDATE SET
+                request_count = request_count + 1,
+                last_used_at = excluded.last_used_at,
+                last_ip = excluded.last_ip",
+            [$auth['key_id'], Database::timestamp(), Security::getRemoteIp()]
+        );
+
+        return $auth + ['full_access' => $fullAccess];
+    }
+
+    /**
+     * Check whether permissions (including implied ones) grant any of the given ones
+     */
+    public static function grantsAny(array $permissions, array $anyOf): bool {
+        if (in_array('*', $permissions, true)) {
+            return true;
+        }
+        $granted = $permissions;
+        foreach ($permissions as $permission) {
+            $granted = array_merge($granted, self::IMPLIED[$permission] ?? []);
+        }
+        return (bool)array_intersect($anyOf, $granted);
+    }
+
+    /**
+     * API keys of a store with restrictions and usage, newest first
+     */
+    public static function getForStore(string $storeId): array {
+        $rows = Database::fetchAll(
+            "SELECT k.id, k.label, k.permissions, k.application_identifier, k.created_at,
+                    r.expires_at, r.allowed_ips, r.allowed_origins,
+                    u.request_count, u.rejected_count, u.last_used_at, u.last_ip
+             FROM api_keys k
+             LEFT JOIN api_key_restrictions r ON r.key_id = k.id
+             LEFT JOIN api_key_usage u ON u.key_id = k.id
+             WHERE k.store_id = ?
+             ORDER BY k.created_at DESC",
+            [$storeId]
+        );
+
+        return array_map(fn($row) => [
+            'id' => $row['id'],
+            'label' => $row['label'],
+            'permissions' => json_decode($row['permissions'], true) ?? [],
+            'application' => $row['application_identifier'],
+            'internal' => $row['label'] === self::INTERNAL_LABEL,
+            'createdTime' => (int)$row['created_at'],
+            'expiresAt' => $row['expires_at'] !== null ? (int)$row['expires_at'] : null,
+            'allowedIps' => json_decode($row['allowed_ips'] ?? '[]', true) ?? [],
+            'allowedOrigins' => json_decode($row['allowed_origins'] ?? '[]', true) ?? [],
+            'requestCount' => (int)($row['request_count'] ?? 0),
+            'rejectedCount' => (int)($row['rejected_count'] ?? 0),
+            'lastUsedAt' => $row['last_used_at'] !== null ? (int)$row['last_used_at'] : null,
+            'lastIp' => $row['last_ip'],
+        ], $rows);
+    }
+
+    /**
+     * Create a scoped API key
+     *
+     * @param array $settings See update()
+     * @return array Created key (see Auth::createApiKey()), the raw key is only returned here
+     */
+    public static function create(string $storeId, array $settings): array {
+        $permissions = self::normalizePermissions($settings['permissions'] ?? []);
+        $restrictions = self::parseRestrictions($settings);
+
+        $key = Auth::createApiKey($storeId, self::normalizeLabel($settings['label'] ?? ''), $permissions);
+        self::saveRestrictions($key['id'], $restrictions);
+        return $key;
+    }
+
+    /**
+     * Change a key's label, permissions and restrictions
+     *
+     * @param array $settings label, permissions (list, or ['*']), expiresAt (unix time or null),
+     *                        allowedIps, allowedOrigins (lists; empty means unrestricted)
+     */
+    public static function update(string $keyId, array $settings): void {
+        $key = Database::fetchOne("SELECT id, label FROM api_keys WHERE id = ?", [$keyId]);
+        if ($key === null) {
+            throw new Exception('API key not found');
+        }
+        if ($key['label'] === self::INTERNAL_LABEL) {
+            throw new Exception('The internal dashboard API key cannot be changed');
+        }
+
+        $permissions = self::normalizePermissions($settings['permissions'] ?? []);
+        $restrictions = self::parseRestrictions($settings);
+
+        Database::update('api_keys', [
+            'label' => self::normalizeLabel($settings['label'] ?? ''),
+            'permissions' => json_encode($permissions),
+        ], 'id = ?', [$keyId]);
+        self::saveRestrictions($keyId, $restrictions);
+    }
+
+    /**
+     * Recent rejected requests of a store, newest first
+     *
+     * @param string|null $keyId Only this key's rejections
+     */
+    public static function getRejections(string $storeId, ?string $keyId = null, int $limit = 50): array {
+        $sql = "SELECT r.*, k.label FROM api_request_rejections r
+                LEFT JOIN api_keys k ON k.id = r.key_id
+                WHERE r.store_id = ?";
+        $params = [$storeId];
+        if ($keyId !== null) {
+            $sql .= " AND r.key_id = ?";
+            $params[] = $keyId;
+        }
+        $sql .= " ORDER BY r.created_at DESC, r.id DESC LIMIT ?";
+        $params[] = max(1, min($limit, 200));
+
+        return array_map(fn($row) => [
+            'keyId' => $row['key_id'],
+            'keyLabel' => $row['label'],
+            'reason' => $row['reason'],
+            'method' => $row['method'],
+            'path' => $row['path'],
+            'ip' => $row['ip'],
+            'origin' => $row['origin'],
+            'time' => (int)$row['created_at'],
+        ], Database::fetchAll($sql, $params));
+    }
+
+    private static function getRestrictions(string $keyId): array {
+        $row = Database::fetchOne("SELECT * FROM api_key_restrictions WHERE key_id = ?", [$keyId]);
+        return [
+            'expiresAt' => isset($row['expires_at']) ? (int)$row['expires_at'] : null,
+            'allowedIps' => json_decode($row['allowed_ips'] ?? '[]', true) ?? [],
+            'allowedOrigins' => json_decode($row['allowed_origins'] ?? '[]', true) ?? [],
+        ];
+    }
+
+    /**
+     * Record a refused request and send the error response
+     *
+     * Anyone can send a made-up key, so the audit log only takes a few
+     * entries per IP address and minute.
+     */
+    private static function reject(?array $auth, ?string $storeId, string $reason, int $status, string $message): void {
+        $now = Database::timestamp();
+        $ip = Security::getRemoteIp();
+
+        // Requests with unknown keys are filed under the store they targeted (if it exists)
+        $recordStoreId = $auth['store_id'] ?? null;
+        if ($recordStoreId === null && $storeId !== null
+            && Database::fetchOne("SELECT id FROM stores WHERE id = ?", [$storeId]) !== null) {
+            $recordStoreId = $storeId;
+        }
+
+        if ($recordStoreId !== null && Security::checkRateLimit('api_rejection', $ip, self::REJECTIONS_PER_MINUTE)) {
+            Database::insert('api_request_rejections', [
+                'key_id' => $auth['key_id'] ?? null,
+                'store_id' => $recordStoreId,
+                'reason' => $reason,
+                'method' => $_SERVER['REQUEST_METHOD'] ?? '',
+                'path' => mb_substr(parse_url($_SERVER['REQUEST_URI'] ?? '', PHP_URL_PATH) ?? '', 0, 200),
+                'ip' => $ip,
+                'origin' => self::requestOrigin(),
+                'created_at' => $now,
+            ]);
+            Database::query(
+                "DELETE FROM api_request_rejections WHERE created_at < ?",
+                [$now - self::REJECTION_DAYS * 86400]
+            );
+        }
+
+        if ($auth !== null) {
+            Database::query(
+                "INSERT INTO api_key_usage (key_id, request_count, rejected_count, last_used_at, last_ip)
+                 VALUES (?, 0, 1, NULL, NULL)
+                 ON CONFLICT(key_id) DO UPDATE SET rejected_count = rejected_count + 1",
+                [$auth['key_id']]
+            );
+        }
+
+        $code = $status === 401 ? 'unauthenticated' : 'insufficient-permissions';
+        self::respond($status, $code, $message);
+    }
+
+    private static function respond(int $status, string $code, string $message): void {
+        http_response_code($status);
+        header('Content-Type: application/json');
+        echo json_encode(['code' => $code, 'message' => $message]);
+        exit;
+    }
+
+    /**
+     * Known permissions only; '*' stays on its own
+     */
+    private static function normalizePermissions(array $permissions): array {
+        if (in_array('*', $permissions, true)) {
+            return ['*'];
+        }
+        $permissions = array_values(array_intersect(array_keys(self::PERMISSIONS), $permissions));
+        if (empty($permissions)) {
+            throw new Exception('Select at least one permission');
+        }
+        return $permissions;
+    }
+
+    private static function normalizeLabel(string $label): string {
+        return mb_substr(trim($label), 0, 60) ?: 'API Key';
+    }
+
+    /**
+     * Validate expiry and IP/origin restrictions
+     */
+    private static function parseRestrictions(array $settings): array {
+        $expiresAt = $settings['expiresAt'] ?? null;
+        if ($expiresAt !== null && (!is_int($expiresAt) || $expiresAt <= Database::timestamp())) {
+            throw new Exception('Expiry must be in the future');
+        }
+
+        $allowedIps = [];
+        foreach ($settings['allowedIps'] ?? [] as $entry) {
+            $entry = trim((string)$entry);
+            if ($entry === '') {
+                continue;
+            }
+            if (!self::isValidIpRange($entry)) {
+                throw new Exception("Invalid IP address or range: {$entry}");
+            }
+            $allowedIps[] = $entry;
+        }
+
+        $allowedOrigins = [];
+        foreach ($settings['allowedOrigins'] ?? [] as $entry) {
+            $entry = trim((string)$entry);
+            if ($entry === '') {
+                continue;
+            }
+            $origin = self::normalizeOrigin($entry);
+            if ($origin === null) {
+                throw new Exception("Invalid origin: {$entry}");
+            }
+            $allowedOrigins[] = $origin;
+        }
+
+        return [
+            'expiresAt' => $expiresAt,
+            'allowedIps' => array_values(array_unique($allowedIps)),
+            'allowedOrigins' => array_values(array_unique($allowedOrigins)),
+        ];
+    }
+
+    private static function saveRestrictions(string $keyId, array $restrictions): void {
+        Database::query(
+            "INSERT OR REPLACE INTO api_key_restrictions (key_id, expires_at, allowed_ips, allowed_origins, updated_at)
+             VALUES (?, ?, ?, ?, ?)",
+            [
+                $keyId,
+                $restrictions['expiresAt'],
+                $restrictions['allowedIps'] ? json_encode($restrictions['allowedIps']) : null,
+                $restrictions['allowedOrigins'] ? json_encode($restrictions['allowedOrigins']) : null,
+                Database::timestamp(),
+            ]
+        );
+    }
+
+    /**
+     * Origin of a browser request (scheme://host[:port]), or null for server-to-server calls
+     */
+    private static function requestOrigin(): ?string {
+        $origin = $_SERVER['HTTP_ORIGIN'] ?? null;
+        if ($origin === null && !empty($_SERVER['HTTP_REFERER'])) {
+            $origin = $_SERVER['HTTP_REFERER'];
+        }
+        return $origin !== null ? self::normalizeOrigin($origin) : null;
+    }
+
+    private static function normalizeOrigin(string $url): ?string {
+        $parts = parse_url(trim($url));
+        if (empty($parts['scheme']) || empty($parts['host']) || !in_array(strtolower($parts['scheme']), ['http', 'https'], true)) {
+            return null;
+        }
+        $origin = strtolower($parts['scheme'] . '://' . $parts['host']);
+        return isset($parts['port']) ? $origin . ':' . $parts['port'] : $origin;
+    }
+
+    /**
+     * Single address or CIDR range (IPv4 or IPv6)
+     */
+    private static function isValidIpRange(string $range): bool {
+        [$ip, $bits] = array_pad(explode('/', $range, 2), 2, null);
+        $packed = @inet_pton($ip);
+        if ($packed === false) {
+            return false;
+        }
+        return $bits === null || (ctype_digit($bits) && (int)$bits <= strlen($packed) * 8);
+    }
+}
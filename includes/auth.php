@@ -110,6 +110,269 @@ class Auth {
         }
     }
 
+    // =========================================================================
+    // Passkeys (WebAuthn)
+    // =========================================================================
+    //
+    // Passkeys unlock the admin app in place of the password. Registration
+    // happens inside a logged-in session and uses "none" attestation: the
+    // browser hands over the credential's public key (SPKI) directly, so no
+    // CBOR parsing is needed. Assertions are verified with openssl.
+
+    private const WEBAUTHN_CHALLENGE = 'webauthn_challenge';
+    private const WEBAUTHN_TIMEOUT = 120; // seconds a challenge stays valid
+    private const WEBAUTHN_ALGORITHMS = [-7, -257]; // ES256, RS256
+
+    /**
+     * Relying party ID (host name of the admin URL)
+     */
+    private static function webauthnRpId(): string {
+        return parse_url(Config::getBaseUrl(), PHP_URL_HOST) ?: 'localhost';
+    }
+
+    /**
+     * Expected origin of WebAuthn responses
+     */
+    private static function webauthnOrigin(): string {
+        $parts = parse_url(Config::getBaseUrl());
+        $origin = ($parts['scheme'] ?? 'https') . '://' . ($parts['host'] ?? 'localhost');
+        return isset($parts['port']) ? $origin . ':' . $parts['port'] : $origin;
+    }
+
+    private static function base64UrlEncode(string $data): string {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    private static function base64UrlDecode(string $data): string {
+        $decoded = base64_decode(strtr($data, '-_', '+/'), true);
+        if ($decoded === false) {
+            throw new Exception('Invalid base64url data');
+        }
+        return $decoded;
+    }
+
+    /**
+     * Create a single-use challenge bound to this session
+     */
+    private static function createWebauthnChallenge(): string {
+        self::initSession();
+        $challenge = self::base64UrlEncode(random_bytes(32));
+        $_SESSION[self::WEBAUTHN_CHALLENGE] = ['value' => $challenge, 'time' => time()];
+        return $challenge;
+    }
+
+    /**
+     * Check clientDataJSON and authenticator data common to both ceremonies
+     *
+     * @return array Parsed authenticator data (rpIdHash, flags, signCount)
+     */
+    private static function verifyWebauthnResponse(string $clientDataJson, string $authData, string $expectedType): array {
+        self::initSession();
+        $stored = $_SESSION[self::WEBAUTHN_CHALLENGE] ?? null;
+        unset($_SESSION[self::WEBAUTHN_CHALLENGE]);
+
+        if (!$stored || time() - $stored['time'] > self::WEBAUTHN_TIMEOUT) {
+            throw new Exception('Passkey challenge expired, please try again');
+        }
+
+        $clientData = json_decode($clientDataJson, true);
+        if (!is_array($clientData)
+            || ($clientData['type'] ?? '') !== $expectedType
+            || !hash_equals($stored['value'], (string)($clientData['challenge'] ?? ''))
+        ) {
+            throw new Exception('Invalid passkey response');
+        }
+
+        if (($clientData['origin'] ?? '') !== self::webauthnOrigin()) {
+            throw new Exception('Passkey origin mismatch');
+        }
+
+        if (strlen($authData) < 37) {
+            throw new Exception('Invalid authenticator data');
+        }
+
+        $parsed = [
+            'rpIdHash' => substr($authData, 0, 32),
+            'flags' => ord($authData[32]),
+            'signCount' => unpack('N', substr($authData, 33, 4))[1],
+        ];
+
+        if (!hash_equals(hash('sha256', self::webauthnRpId(), true), $parsed['rpIdHash'])) {
+            throw new Exception('Passkey relying party mismatch');
+        }
+
+        // User present (bit 0) and user verified (bit 2)
+        if (($parsed['flags'] & 0x01) === 0 || ($parsed['flags'] & 0x04) === 0) {
+            throw new Exception('Passkey user verification required');
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Options for navigator.credentials.create()
+     */
+    public static function getWebauthnRegistrationOptions(): array {
+        $existing = Database::fetchAll("SELECT id FROM webauthn_credentials");
+
+        return [
+            'challenge' => self::createWebauthnChallenge(),
+            'rp' => ['id' => self::webauthnRpId(), 'name' => 'CashuPayServer'],
+            'user' => [
+                'id' => self::base64UrlEncode(hash('sha256', 'cashupay-admin:' . self::webauthnRpId(), true)),
+                'name' => 'admin',
+                'displayName' => 'CashuPayServer Admin',
+            ],
+            'pubKeyCredParams' => array_map(
+                fn($alg) => ['type' => 'public-key', 'alg' => $alg],
+                self::WEBAUTHN_ALGORITHMS
+            ),
+            'excludeCredentials' => array_map(
+                fn($row) => ['type' => 'public-key', 'id' => $row['id']],
+                $existing
+            ),
+            'authenticatorSelection' => [
+                'residentKey' => 'preferred',
+                'userVerification' => 'required',
+            ],
+            'attestation' => 'none',
+            'timeout' => self::WEBAUTHN_TIMEOUT * 1000,
+        ];
+    }
+
+    /**
+     * Verify and store a new passkey (requires a logged-in session)
+     *
+     * @param array $credential {id, clientDataJSON, authenticatorData, publicKey, publicKeyAlgorithm} (base64url)
+     */
+    public static function registerWebauthnCredential(array $credential, string $label = ''): array {
+        $clientDataJson = self::base64UrlDecode($credential['clientDataJSON'] ?? '');
+        $authData = self::base64UrlDecode($credential['authenticatorData'] ?? '');
+        self::verifyWebauthnResponse($clientDataJson, $authData, 'webauthn.create');
+
+        $algorithm = (int)($credential['publicKeyAlgorithm'] ?? 0);
+        if (!in_array($algorithm, self::WEBAUTHN_ALGORITHMS, true)) {
+            throw new Exception('Unsupported passkey algorithm');
+        }
+
+        $der = self::base64UrlDecode($credential['publicKey'] ?? '');
+        $pem = "-----BEGIN PUBLIC KEY-----\n" . chunk_split(base64_encode($der), 64, "\n") . "-----END PUBLIC KEY-----\n";
+        if (openssl_pkey_get_public($pem) === false) {
+            throw new Exception('Invalid passkey public key');
+        }
+
+        $id = $credential['id'] ?? '';
+        if (!preg_match('/^[A-Za-z0-9_-]{16,1366}$/', $id)) {
+            throw new Exception('Invalid passkey ID');
+        }
+
+        $label = trim($label) !== '' ? mb_substr(trim($label), 0, 64) : 'Passkey';
+
+        Database::insert('webauthn_credentials', [
+            'id' => $id,
+            'public_key' => $pem,
+            'algorithm' => $algorithm,
+            'sign_count' => 0,
+            'label' => $label,
+            'created_at' => Database::timestamp(),
+        ]);
+
+        error_log("CashuPayServer: Passkey registered from " . Security::getClientIp());
+
+        return ['id' => $id, 'label' => $label];
+    }
+
+    /**
+     * Options for navigator.credentials.get()
+     */
+    public static function getWebauthnLoginOptions(): array {
+        return [
+            'challenge' => self::createWebauthnChallenge(),
+            'rpId' => self::webauthnRpId(),
+            'allowCredentials' => array_map(
+                fn($row) => ['type' => 'public-key', 'id' => $row['id']],
+                Database::fetchAll("SELECT id FROM webauthn_credentials")
+            ),
+            'userVerification' => 'required',
+            'timeout' => self::WEBAUTHN_TIMEOUT * 1000,
+        ];
+    }
+
+    /**
+     * Log in with a passkey assertion
+     *
+     * @param array $assertion {id, clientDataJSON, authenticatorData, signature} (base64url)
+     */
+    public static function loginWithWebauthn(array $assertion): bool {
+        $clientIp = Security::getClientIp();
+
+        try {
+            $stored = Database::fetchOne(
+                "SELECT * FROM webauthn_credentials WHERE id = ?",
+                [$assertion['id'] ?? '']
+            );
+            if ($stored === null) {
+                throw new Exception('Unknown passkey');
+            }
+
+            $clientDataJson = self::base64UrlDecode($assertion['clientDataJSON'] ?? '');
+            $authData = self::base64UrlDecode($assertion['authenticatorData'] ?? '');
+            $signature = self::base64UrlDecode($assertion['signature'] ?? '');
+            $parsed = self::verifyWebauthnResponse($clientDataJson, $authData, 'webauthn.get');
+
+            $signed = $authData . hash('sha256', $clientDataJson, true);
+            if (openssl_verify($signed, $signature, $stored['public_key'], OPENSSL_ALGO_SHA256) !== 1) {
+                throw new Exception('Invalid passkey signature');
+            }
+
+            // A counter that does not increase indicates a cloned authenticator
+            // (authenticators that don't count always report 0)
+            $storedCount = (int)$stored['sign_count'];
+            if (($parsed['signCount'] > 0 || $storedCount > 0) && $parsed['signCount'] <= $storedCount) {
+                throw new Exception('Passkey counter mismatch');
+            }
+        } catch (Exception $e) {
+            error_log("CashuPayServer: Failed passkey login from {$clientIp}: " . $e->getMessage());
+            return false;
+        }
+
+        Database::update('webauthn_credentials', [
+            'sign_count' => $parsed['signCount'],
+            'last_used_at' => Database::timestamp(),
+        ], 'id = ?', [$stored['id']]);
+
+        error_log("CashuPayServer: Admin passkey login successful from {$clientIp}");
+
+        self::initSession();
+        $_SESSION['admin_logged_in'] = true;
+        $_SESSION['login_time'] = time();
+        session_regenerate_id(true);
+        return true;
+    }
+
+    /**
+     * Check if any passkey is registered
+     */
+    public static function hasWebauthnCredentials(): bool {
+        return Database::fetchOne("SELECT id FROM webauthn_credentials LIMIT 1") !== null;
+    }
+
+    /**
+     * List registered passkeys
+     */
+    public static function getWebauthnCredentials(): array {
+        return Database::fetchAll(
+            "SELECT id, label, created_at, last_used_at FROM webauthn_credentials ORDER BY created_at ASC"
+        );
+    }
+
+    /**
+     * Remove a passkey
+     */
+    public static function deleteWebauthnCredential(string $id): bool {
+        return Database::delete('webauthn_credentials', 'id = ?', [$id]) > 0;
+    }
+
     // =========================================================================
     // API Authentication
     // =========================================================================
@@ -0,0 +1,152 @@
+<?php
+/**
+ * CashuPayServer - Checkout Branding
+ *
+ * Per-store look of the customer-facing pages (payment.php, receive.php):
+ * logo, accent color, light or dark theme, footer text and support link.
+ * Stores without a row use the defaults.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/i18n.php';
+
+class Branding {
+    public const THEMES = ['dark', 'light'];
+
+    /** Largest accepted uploaded logo (the data URL is stored in the database) */
+    public const MAX_LOGO_BYTES = 150000;
+
+    private const DEFAULTS = [
+        'logo' => null,
+        'accentColor' => '#f7931a',
+        'theme' => 'dark',
+        'footerText' => null,
+        'supportUrl' => null,
+        'defaultLanguage' => null,
+    ];
+
+    /** Page colors per theme (the admin preview uses the same table) */
+    public const THEME_COLORS = [
+        'dark' => [
+            'bg-primary' => '#0f0f23',
+            'bg-secondary' => '#1a1a2e',
+            'bg-card' => 'rgba(255, 255, 255, 0.05)',
+            'text-primary' => '#ffffff',
+            'text-secondary' => '#a0aec0',
+            'border' => 'rgba(255, 255, 255, 0.1)',
+            'input-bg' => 'rgba(0, 0, 0, 0.3)',
+            'subtle' => 'rgba(255, 255, 255, 0.1)',
+        ],
+        'light' => [
+            'bg-primary' => '#f5f5f8',
+            'bg-secondary' => '#e8e8ef',
+            'bg-card' => '#ffffff',
+            'text-primary' => '#1a1a2e',
+            'text-secondary' => '#5a6478',
+            'border' => 'rgba(0, 0, 0, 0.1)',
+            'input-bg' => 'rgba(0, 0, 0, 0.04)',
+            'subtle' => 'rgba(0, 0, 0, 0.06)',
+        ],
+    ];
+
+    /**
+     * Branding of a store, defaults filled in
+     */
+    public static function get(string $storeId): array {
+        $row = Database::fetchOne("SELECT * FROM store_branding WHERE store_id = ?", [$storeId]);
+        if ($row === null) {
+            return self::DEFAULTS;
+        }
+
+        return [
+            'logo' => $row['logo'] ?: null,
+            'accentColor' => $row['accent_color'] ?: self::DEFAULTS['accentColor'],
+            'theme' => in_array($row['theme'], self::THEMES, true) ? $row['theme'] : self::DEFAULTS['theme'],
+            'footerText' => $row['footer_text'] ?: null,
+            'supportUrl' => $row['support_url'] ?: null,
+            'defaultLanguage' => $row['default_language'] ?: null,
+        ];
+    }
+
+    /**
+     * Validate and store a store's branding
+     *
+     * @param array $data Keys as returned by get(); empty values reset to the default
+     * @return array The saved branding
+     */
+    public static function save(string $storeId, array $data): array {
+        $logo = trim((string)($data['logo'] ?? ''));
+        if ($logo !== '') {
+            if (preg_match('#^data:image/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=]+$#', $logo)) {
+                if (strlen($logo) > self::MAX_LOGO_BYTES * 4 / 3 + 40) {
+                    throw new Exception('Logo is too large (max ' . (int)(self::MAX_LOGO_BYTES / 1000) . ' KB)');
+                }
+            } elseif (!preg_match('#^https://#i', $logo) || !filter_var($logo, FILTER_VALIDATE_URL)) {
+                throw new Exception('Logo must be an uploaded image or an https:// URL');
+            }
+        }
+
+        $accent = strtolower(trim((string)($data['accentColor'] ?? '')));
+        if ($accent !== '' && !preg_match('/^#[0-9a-f]{6}$/', $accent)) {
+            throw new Exception('Accent color must be a hex color like #f7931a');
+        }
+
+        $theme = $data['theme'] ?? self::DEFAULTS['theme'];
+        if (!in_array($theme, self::THEMES, true)) {
+            throw new Exception('Unknown theme');
+        }
+
+        $supportUrl = trim((string)($data['supportUrl'] ?? ''));
+        if ($supportUrl !== '') {
+            if (filter_var($supportUrl, FILTER_VALIDATE_EMAIL)) {
+                $supportUrl = 'mailto:' . $supportUrl;
+            } elseif (!preg_match('#^(https?://|mailto:)#i', $supportUrl) || (stripos($supportUrl, 'mailto:') !== 0 && !filter_var($supportUrl, FILTER_VALIDATE_URL))) {
+                throw new Exception('Support link must be a web address or an email address');
+            }
+        }
+
+        $language = $data['defaultLanguage'] ?? '';
+        if ($language !== '' && !in_array($language, I18n::SUPPORTED, true)) {
+            throw new Exception('Unsupported language');
+        }
+
+        $row = [
+            'logo' => $logo ?: null,
+            'accent_color' => $accent ?: null,
+            'theme' => $theme,
+            'footer_text' => mb_substr(trim((string)($data['footerText'] ?? '')), 0, 200) ?: null,
+            'support_url' => $supportUrl ?: null,
+            'default_language' => $language ?: null,
+            'updated_at' => Database::timestamp(),
+        ];
+
+        if (Database::fetchOne("SELECT store_id FROM store_branding WHERE store_id = ?", [$storeId])) {
+            Database::update('store_branding', $row, 'store_id = ?', [$storeId]);
+        } else {
+            Database::insert('store_branding', ['store_id' => $storeId] + $row);
+        }
+
+        return self::get($storeId);
+    }
+
+    /**
+     * CSS custom properties for a branding (contents of a :root rule)
+     */
+    public static function cssVariables(array $branding): string {
+        $accent = $branding['accentColor'] ?? self::DEFAULTS['accentColor'];
+        [$r, $g, $b] = sscanf($accent, '#%02x%02x%02x');
+
+        $vars = self::THEME_COLORS[$branding['theme'] ?? 'dark'] ?? self::THEME_COLORS['dark'];
+        $vars['accent'] = $accent;
+        $vars['accent-hover'] = sprintf('#%02x%02x%02x', (int)($r * 0.9), (int)($g * 0.9), (int)($b * 0.9));
+        $vars['accent-soft'] = "rgba({$r}, {$g}, {$b}, 0.2)";
+        // Dark text on light accents keeps buttons readable
+        $vars['accent-text'] = (0.299 * $r + 0.587 * $g + 0.114 * $b) > 170 ? '#1a1a2e' : '#ffffff';
+
+        $css = '';
+        foreach ($vars as $name => $value) {
+            $css .= "--{$name}: {$value}; ";
+        }
+        return $css;
+    }
+}
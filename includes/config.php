@@ -175,6 +175,15 @@ class Config {
         return rtrim($protocol . '://' . $host . $path, '/');
     }
 
+    /**
+     * Get Nostr relays used for mint discovery and reviews
+     *
+     * @return array Relay URLs; empty means the discovery library's defaults
+     */
+    public static function getNostrRelays(): array {
+        return self::get('nostr_relays', []);
+    }
+
     /**
      * Clear configuration cache
      */
@@ -24,6 +24,9 @@ if (file_exists(__DIR__ . '/config.local.php')) {
 use Cashu\WalletStorage;
 
 class Database {
+    /** Bump when initialize() gains tables/columns so existing installs pick them up */
+    private const SCHEMA_VERSION = 11;
+
     private static ?PDO $instance = null;
     private static ?string $dbPath = null;
     private static ?string $dataDir = null;
@@ -73,10 +76,28 @@ class Database {
     public static function getInstance(): PDO {
         if (self::$instance === null) {
             self::$instance = self::connect();
+            self::upgradeSchema();
         }
         return self::$instance;
     }
 
+    /**
+     * Re-run the (idempotent) schema on installs created by an older version
+     */
+    private static function upgradeSchema(): void {
+        $pdo = self::$instance;
+        $version = (int)$pdo->query('PRAGMA user_version')->fetchColumn();
+        if ($version >= self::SCHEMA_VERSION) {
+            return;
+        }
+
+        // Fresh databases are initialized by setup
+        $stmt = $pdo->query("SELECT name FROM sqlite_master WHERE type='table' AND name='config'");
+        if ($stmt->fetch() !== false) {
+            self::initialize();
+        }
+    }
+
     /**
      * Create database connection
      */
@@ -266,20 +287,224 @@ HTACCESS;
             UNIQUE(store_id, mint_url)
         );
 
+        -- NUT-18 payment requests created from receive.php (for payment detection)
+        CREATE TABLE IF NOT EXISTS payment_requests (
+            id TEXT PRIMARY KEY,
+            store_id TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            unit TEXT NOT NULL,
+            mint_url TEXT NOT NULL,
+            memo TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            amount_received INTEGER,
+            last_error TEXT,
+            created_at INTEGER NOT NULL,
+            paid_at INTEGER,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- Admin passkeys (WebAuthn credentials)
+        CREATE TABLE IF NOT EXISTS webauthn_credentials (
+            id TEXT PRIMARY KEY,
+            public_key TEXT NOT NULL,
+            algorithm INTEGER NOT NULL,
+            sign_count INTEGER NOT NULL DEFAULT 0,
+            label TEXT,
+            created_at INTEGER NOT NULL,
+            last_used_at INTEGER
+        );
+
+        -- Mint health checks (recorded by cron for primary and backup mints)
+        CREATE TABLE IF NOT EXISTS mint_health_checks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            store_id TEXT NOT NULL,
+            mint_url TEXT NOT NULL,
+            unit TEXT NOT NULL,
+            checked_at INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            latency_ms INTEGER,
+            info_hash TEXT,
+            keysets_hash TEXT,
+            input_fee_ppk INTEGER,
+            quote_expiry_seconds INTEGER,
+            mint_quote_ok INTEGER,
+            melt_quote_ok INTEGER,
+            changes TEXT,
+            error TEXT,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- Ecash voucher batches (printable giveaway tokens exported from a store)
+        CREATE TABLE IF NOT EXISTS voucher_batches (
+            id TEXT PRIMARY KEY,
+            store_id TEXT NOT NULL,
+            mint_url TEXT NOT NULL,
+            unit TEXT NOT NULL,
+            total_amount INTEGER NOT NULL,
+            memo TEXT,
+            expiry_note TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS vouchers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            token TEXT NOT NULL,
+            secrets TEXT NOT NULL,
+            reclaimed_at INTEGER,
+            FOREIGN KEY (batch_id) REFERENCES voucher_batches(id) ON DELETE CASCADE
+        );
+
+        -- Checkout page branding (one row per customized store)
+        CREATE TABLE IF NOT EXISTS store_branding (
+            store_id TEXT PRIMARY KEY,
+            logo TEXT,
+            accent_color TEXT,
+            theme TEXT NOT NULL DEFAULT 'dark',
+            footer_text TEXT,
+            support_url TEXT,
+            default_language TEXT,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- Refunds of settled invoices (ecash token or Lightning payout)
+        CREATE TABLE IF NOT EXISTS invoice_refunds (
+            id TEXT PRIMARY KEY,
+            invoice_id TEXT NOT NULL,
+            store_id TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            unit TEXT NOT NULL,
+            method TEXT NOT NULL,
+            destination TEXT,
+            token TEXT,
+            secrets TEXT,
+            fee INTEGER NOT NULL DEFAULT 0,
+            amount_paid INTEGER,
+            melt_quote TEXT,
+            status TEXT NOT NULL,
+            memo TEXT,
+            created_at INTEGER NOT NULL,
+            completed_at INTEGER,
+            FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+        );
+
+        -- API key expiry and IP/origin restrictions (JSON lists; NULL means unrestricted)
+        CREATE TABLE IF NOT EXISTS api_key_restrictions (
+            key_id TEXT PRIMARY KEY,
+            expires_at INTEGER,
+            allowed_ips TEXT,
+            allowed_origins TEXT,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+        );
+
+        -- API key usage counters
+        CREATE TABLE IF NOT EXISTS api_key_usage (
+            key_id TEXT PRIMARY KEY,
+            request_count INTEGER NOT NULL DEFAULT 0,
+            rejected_count INTEGER NOT NULL DEFAULT 0,
+            last_used_at INTEGER,
+            last_ip TEXT,
+            FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+        );
+
+        -- Rejected API requests (audit log, pruned after 30 days)
+        CREATE TABLE IF NOT EXISTS api_request_rejections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_id TEXT,
+            store_id TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            method TEXT NOT NULL,
+            path TEXT NOT NULL,
+            ip TEXT,
+            origin TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- Nostr DM notifications to the store owner (sender key generated per store)
+        CREATE TABLE IF NOT EXISTS store_nostr_notifications (
+            store_id TEXT PRIMARY KEY,
+            enabled INTEGER NOT NULL DEFAULT 0,
+            recipient_pubkey TEXT,
+            relays TEXT NOT NULL,
+            protocol TEXT NOT NULL DEFAULT 'nip17',
+            events TEXT NOT NULL,
+            sender_secret TEXT NOT NULL,
+            last_sent_at INTEGER,
+            last_message TEXT,
+            last_error TEXT,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- Nostr DMs waiting to be sent by cron
+        CREATE TABLE IF NOT EXISTS nostr_notification_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            store_id TEXT NOT NULL,
+            message TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+        );
+
+        -- NUT-18 payment request shown on an invoice's checkout page (created once)
+        CREATE TABLE IF NOT EXISTS invoice_payment_requests (
+            invoice_id TEXT PRIMARY KEY,
+            request TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+        );
+
+        -- Invoice status history (filled by triggers so every status write is captured)
+        CREATE TABLE IF NOT EXISTS invoice_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invoice_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            additional_status TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+        );
+
+        CREATE TRIGGER IF NOT EXISTS trg_invoice_created AFTER INSERT ON invoices
+        BEGIN
+            INSERT INTO invoice_status_history (invoice_id, status, additional_status, created_at)
+            VALUES (NEW.id, NEW.status, NEW.additional_status, NEW.created_at);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_invoice_status_changed AFTER UPDATE OF status, additional_status ON invoices
+        WHEN OLD.status IS NOT NEW.status OR OLD.additional_status IS NOT NEW.additional_status
+        BEGIN
+            INSERT INTO invoice_status_history (invoice_id, status, additional_status, created_at)
+            VALUES (NEW.id, NEW.status, NEW.additional_status, CAST(strftime('%s', 'now') AS INTEGER));
+        END;
+
         -- Indexes for performance
         CREATE INDEX IF NOT EXISTS idx_invoices_store ON invoices(store_id);
         CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+        CREATE INDEX IF NOT EXISTS idx_invoices_store_created ON invoices(store_id, created_at, id);
+        CREATE INDEX IF NOT EXISTS idx_invoice_status_history_invoice ON invoice_status_history(invoice_id);
         CREATE INDEX IF NOT EXISTS idx_invoices_quote ON invoices(quote_id);
         CREATE INDEX IF NOT EXISTS idx_api_keys_store ON api_keys(store_id);
         CREATE INDEX IF NOT EXISTS idx_webhooks_store ON webhooks(store_id);
         CREATE INDEX IF NOT EXISTS idx_store_mints_store ON store_mints(store_id);
         CREATE INDEX IF NOT EXISTS idx_store_mints_priority ON store_mints(store_id, priority);
+        CREATE INDEX IF NOT EXISTS idx_payment_requests_store ON payment_requests(store_id);
+        CREATE INDEX IF NOT EXISTS idx_mint_health_store_mint ON mint_health_checks(store_id, mint_url, checked_at);
+        CREATE INDEX IF NOT EXISTS idx_voucher_batches_store ON voucher_batches(store_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_vouchers_batch ON vouchers(batch_id);
+        CREATE INDEX IF NOT EXISTS idx_invoice_refunds_invoice ON invoice_refunds(invoice_id);
+        CREATE INDEX IF NOT EXISTS idx_api_request_rejections_store ON api_request_rejections(store_id, created_at);
         ";
 
         $pdo->exec($schema);
 
         // Initialize wallet storage schema (for cashu-wallet-php library)
         WalletStorage::initializeSchema($pdo);
+
+        $pdo->exec('PRAGMA user_version = ' . self::SCHEMA_VERSION);
     }
 
     /**
@@ -0,0 +1,118 @@
+<?php
+/**
+ * CashuPayServer - Customer Page Translations
+ *
+ * Strings for the checkout (payment.php) and payment request (receive.php)
+ * pages. Translations live in includes/lang/{code}.php; missing keys fall
+ * back to English. Number, currency and time formatting happens in the
+ * browser with Intl, using locale().
+ */
+
+class I18n {
+    /** Languages with a translation file, English first */
+    public const SUPPORTED = ['en', 'de', 'es', 'fr', 'cs', 'sk'];
+
+    public const NAMES = [
+        'en' => 'English',
+        'de' => 'Deutsch',
+        'es' => 'Español',
+        'fr' => 'Français',
+        'cs' => 'Čeština',
+        'sk' => 'Slovenčina',
+    ];
+
+    private static string $lang = 'en';
+    private static string $locale = 'en';
+    private static array $strings = [];
+    private static ?array $fallback = null;
+
+    /**
+     * Pick the page language
+     *
+     * The first candidate naming a supported language wins (e.g. the
+     * invoice's language, then the browser's Accept-Language, then the
+     * store default). Regional variants are kept as the Intl locale.
+     *
+     * @param array $candidates Language tags or Accept-Language header values, best first
+     */
+    public static function init(array $candidates): void {
+        foreach ($candidates as $candidate) {
+            foreach (self::parseAcceptLanguage((string)$candidate) as $tag) {
+                $lang = strtolower(explode('-', $tag)[0]);
+                if (in_array($lang, self::SUPPORTED, true)) {
+                    self::setLanguage($lang, $tag);
+                    return;
+                }
+            }
+        }
+        self::setLanguage('en', 'en');
+    }
+
+    /**
+     * Translate a string, replacing {placeholders}
+     */
+    public static function t(string $key, array $params = []): string {
+        $text = self::$strings[$key] ?? self::fallback()[$key] ?? $key;
+        foreach ($params as $name => $value) {
+            $text = str_replace('{' . $name . '}', (string)$value, $text);
+        }
+        return $text;
+    }
+
+    /**
+     * Translations of the given keys, for page scripts
+     */
+    public static function strings(array $keys): array {
+        $result = [];
+        foreach ($keys as $key) {
+            $result[$key] = self::t($key);
+        }
+        return $result;
+    }
+
+    /** Language code of the page (html lang) */
+    public static function lang(): string {
+        return self::$lang;
+    }
+
+    /** BCP 47 locale for Intl formatting */
+    public static function locale(): string {
+        return self::$locale;
+    }
+
+    private static function setLanguage(string $lang, string $locale): void {
+        self::$lang = $lang;
+        self::$locale = preg_match('/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i', $locale) ? $locale : $lang;
+        self::$strings = require __DIR__ . '/lang/' . $lang . '.php';
+    }
+
+    private static function fallback(): array {
+        return self::$fallback ??= require __DIR__ . '/lang/en.php';
+    }
+
+    /**
+     * Language tags of an Accept-Language style list, by descending quality
+     */
+    private static function parseAcceptLanguage(string $header): array {
+        $tags = [];
+        foreach (explode(',', $header) as $i => $part) {
+            $pieces = explode(';', trim($part));
+            $tag = str_replace('_', '-', trim($pieces[0]));
+            if ($tag === '' || $tag === '*') {
+                continue;
+            }
+            $quality = 1.0;
+            foreach (array_slice($pieces, 1) as $param) {
+                if (preg_match('/^\s*q=([0-9.]+)\s*$/', $param, $m)) {
+                    $quality = (float)$m[1];
+                }
+            }
+            if ($quality > 0) {
+                // Keep header order among equal qualities
+                $tags[] = [$quality, -$i, $tag];
+            }
+        }
+        rsort($tags);
+        return array_column($tags, 2);
+    }
+}
@@ -17,6 +17,7 @@ use Cashu\Wallet;
 use Cashu\WalletStorage;
 use Cashu\Proof;
 use Cashu\ProofState;
+use Cashu\TokenSerializer;
 
 class Invoice {
     /**
@@ -150,6 +151,124 @@ class Invoice {
         return Database::fetchAll($sql, $params);
     }
 
+    /**
+     * Search invoices for a store with filters and cursor pagination
+     *
+     * Filters: status (string|array), from/to (unix timestamps, inclusive),
+     * minAmount/maxAmount (smallest mint unit), query (id or metadata text).
+     *
+     * @param string|null $cursor Opaque cursor from a previous page's nextCursor
+     * @return array ['invoices' => array, 'nextCursor' => string|null]
+     */
+    public static function search(string $storeId, array $filters = [], int $limit = 50, ?string $cursor = null, int $offset = 0): array {
+        $conditions = ['store_id = ?'];
+        $params = [$storeId];
+
+        $statuses = array_filter((array)($filters['status'] ?? []));
+        if (!empty($statuses)) {
+            $conditions[] = 'status IN (' . implode(', ', array_fill(0, count($statuses), '?')) . ')';
+            array_push($params, ...array_values($statuses));
+        }
+
+        if (isset($filters['from'])) {
+            $conditions[] = 'created_at >= ?';
+            $params[] = (int)$filters['from'];
+        }
+        if (isset($filters['to'])) {
+            $conditions[] = 'created_at <= ?';
+            $params[] = (int)$filters['to'];
+        }
+        if (isset($filters['minAmount'])) {
+            $conditions[] = 'amount_sats >= ?';
+            $params[] = (int)$filters['minAmount'];
+        }
+        if (isset($filters['maxAmount'])) {
+            $conditions[] = 'amount_sats <= ?';
+            $params[] = (int)$filters['maxAmount'];
+        }
+
+        $query = trim($filters['query'] ?? '');
+        if ($query !== '') {
+            // Metadata is stored as JSON, so this matches orderId, itemDesc, buyer fields, ...
+            $like = '%' . addcslashes($query, '%_\\') . '%';
+            $conditions[] = "(id LIKE ? ESCAPE '\\' OR metadata LIKE ? ESCAPE '\\')";
+            $params[] = $like;
+            $params[] = $like;
+        }
+
+        if ($cursor !== null && $cursor !== '') {
+            [$cursorTime, $cursorId] = self::decodeCursor($cursor);
+            $conditions[] = '(created_at < ? OR (created_at = ? AND id < ?))';
+            array_push($params, $cursorTime, $cursorTime, $cursorId);
+        }
+
+        // Fetch one extra row to know whether another page exists
+        $sql = "SELECT * FROM invoices WHERE " . implode(' AND ', $conditions) .
+               " ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?";
+        $params[] = $limit + 1;
+        $params[] = $offset;
+
+        $invoices = Database::fetchAll($sql, $params);
+
+        $nextCursor = null;
+        if (count($invoices) > $limit) {
+            $invoices = array_slice($invoices, 0, $limit);
+            $last = end($invoices);
+            $nextCursor = self::encodeCursor((int)$last['created_at'], $last['id']);
+        }
+
+        return ['invoices' => $invoices, 'nextCursor' => $nextCursor];
+    }
+
+    private static function encodeCursor(int $createdAt, string $id): string {
+        return rtrim(strtr(base64_encode($createdAt . ':' . $id), '+/', '-_'), '=');
+    }
+
+    private static function decodeCursor(string $cursor): array {
+        $decoded = base64_decode(strtr($cursor, '-_', '+/'), true);
+        if ($decoded === false || !preg_match('/^(\d+):(.+)$/', $decoded, $m)) {
+            throw new Exception('Invalid cursor');
+        }
+        return [(int)$m[1], $m[2]];
+    }
+
+    /**
+     * Get status history of an invoice (oldest first)
+     */
+    public static function getStatusHistory(string $invoiceId): array {
+        return Database::fetchAll(
+            "SELECT status, additional_status, created_at FROM invoice_status_history
+             WHERE invoice_id = ? ORDER BY created_at ASC, id ASC",
+            [$invoiceId]
+        );
+    }
+
+    /**
+     * Invoice value in sats at the time it was created
+     *
+     * Uses the request currency and the exchange rate recorded with the invoice,
+     * so exports stay stable when rates move.
+     */
+    public static function getAmountInSats(array $invoice): ?int {
+        $currency = strtoupper($invoice['currency']);
+        $amount = (string)$invoice['amount'];
+
+        if ($currency === 'SAT' || $currency === 'SATS') {
+            return (int)$amount;
+        }
+        if ($currency === 'MSAT') {
+            return (int)ceil((float)$amount / 1000);
+        }
+        if ($currency === 'BTC') {
+            return (int)round((float)$amount * 100000000);
+        }
+        if (!empty($invoice['exchange_rate'])) {
+            return (int)round((float)$amount / (float)$invoice['exchange_rate'] * 100000000);
+        }
+
+        return null;
+    }
+
     /**
      * Update invoice status
      */
@@ -179,6 +298,29 @@ class Invoice {
         }
     }
 
+    /**
+     * Invalidate an unpaid invoice, e.g. when a point-of-sale sale is cancelled
+     *
+     * The quote is checked once more first, so a payment that just arrived
+     * settles the invoice instead; only invoices still New are invalidated.
+     *
+     * @return array Updated invoice
+     */
+    public static function cancel(string $invoiceId): array {
+        self::pollSingleQuote($invoiceId);
+
+        $cancelled = Database::query(
+            "UPDATE invoices SET status = 'Invalid', additional_status = 'Marked' WHERE id = ? AND status = 'New'",
+            [$invoiceId]
+        )->rowCount();
+
+        $invoice = self::getById($invoiceId);
+        if ($cancelled === 1) {
+            WebhookSender::fireEvent($invoice['store_id'], 'InvoiceInvalid', $invoice);
+        }
+        return $invoice;
+    }
+
     /**
      * Mark expired invoices without contacting the mint
      *
@@ -257,8 +399,15 @@ class Invoice {
     private static function mintAndStoreTokens(array $invoice, Wallet $wallet): void {
         self::clearWebhookQueue();
 
-        // Mark as Processing BEFORE minting
-        Database::update('invoices', ['status' => 'Processing'], 'id = ?', [$invoice['id']]);
+        // Mark as Processing BEFORE minting, unless a token payment settled or claimed it meanwhile
+        $claimed = Database::query(
+            "UPDATE invoices SET status = 'Processing' WHERE id = ? AND status IN ('New', 'Processing') AND quote_id = ?",
+            [$invoice['id'], $invoice['quote_id']]
+        )->rowCount();
+        if ($claimed !== 1) {
+            error_log("CashuPayServer: Quote {$invoice['quote_id']} paid, but invoice {$invoice['id']} is no longer awaiting Lightning");
+            return;
+        }
 
         // Mint tokens - library stores proofs in cashu_proofs with quote_id
         $proofs = $wallet->mint($invoice['quote_id'], $invoice['amount_sats']);
@@ -461,6 +610,185 @@ class Invoice {
         }
     }
 
+    // =========================================================================
+    // TOKEN PAYMENTS (NUT-18 / pasted ecash)
+    // =========================================================================
+
+    /**
+     * Pay an invoice directly with a Cashu token instead of Lightning
+     *
+     * Mint, unit and amount (after the mint's input fees) are checked before
+     * the proofs are swapped into the store wallet, so partial or foreign
+     * payments are rejected untouched. Should the swap still yield less than
+     * required, the invoice is marked Invalid/PaidPartial instead of Settled.
+     *
+     * The invoice's Lightning quote is detached once the token is taken, so
+     * the quote pollers stop watching it. A Lightning payment that landed
+     * before that is refused or, if it came during the swap, minted as PaidOver.
+     *
+     * @return array Updated invoice
+     */
+    public static function payWithToken(string $invoiceId, string $tokenString): array {
+        $invoice = self::getById($invoiceId);
+        if (!$invoice) {
+            throw new Exception('Invoice not found');
+        }
+
+        if ($invoice['status'] !== 'New') {
+            throw new Exception('Invoice is not awaiting payment');
+        }
+
+        if ($invoice['expiration_time'] < time()) {
+            self::updateStatus($invoice['id'], 'Expired');
+            throw new Exception('Invoice has expired');
+        }
+
+        $required = (int)$invoice['amount_sats'];
+        $mintUrl = self::checkTokenForStore($invoice['store_id'], $tokenString, $required);
+        $storeUnit = Config::getStoreMintUnit($invoice['store_id']);
+
+        // The customer may have paid the Lightning invoice already
+        self::pollSingleQuote($invoice['id']);
+
+        // Claim the invoice and detach its quote so concurrent payments (token or Lightning) can't both settle it
+        $claimed = Database::query(
+            "UPDATE invoices SET status = 'Processing', quote_id = NULL WHERE id = ? AND status = 'New'",
+            [$invoice['id']]
+        )->rowCount();
+        if ($claimed !== 1) {
+            throw new Exception('Invoice is already being paid');
+        }
+
+        try {
+            $wallet = self::getWalletForStore($invoice['store_id'], $mintUrl);
+
+            // The swap into the store wallet costs the mint's input fees
+            $token = TokenSerializer::deserialize(trim($tokenString));
+            $afterFees = Wallet::sumProofs($token->proofs) - $wallet->calculateFee($token->proofs);
+            if ($afterFees < $required) {
+                throw new Exception("Insufficient amount: token is worth {$afterFees} {$storeUnit} after mint fees, {$required} {$storeUnit} required");
+            }
+
+            $proofs = $wallet->receive(trim($tokenString));
+        } catch (Exception $e) {
+            Database::query(
+                "UPDATE invoices SET status = 'New', quote_id = ? WHERE id = ? AND status = 'Processing'",
+                [$invoice['quote_id'], $invoice['id']]
+            );
+            throw $e;
+        }
+
+        $received = Wallet::sumProofs($proofs);
+        error_log("CashuPayServer: Invoice {$invoice['id']} paid with token: {$received} {$storeUnit}");
+
+        if ($received < $required) {
+            self::updateStatus($invoice['id'], 'Invalid', 'PaidPartial');
+            throw new Exception("Payment incomplete: received {$received} {$storeUnit} after mint fees, {$required} {$storeUnit} required. Contact the merchant for a refund.");
+        }
+
+        self::updateStatus($invoice['id'], 'Settled', $received > $required ? 'PaidOver' : null);
+        self::collectDetachedQuote($invoice);
+
+        return self::getById($invoice['id']);
+    }
+
+    /**
+     * Mint a Lightning payment that reached a token-paid invoice's quote during the swap
+     *
+     * The mint can't cancel a quote, so one paid later is only logged.
+     */
+    private static function collectDetachedQuote(array $invoice): void {
+        if (!$invoice['quote_id']) {
+            return;
+        }
+
+        try {
+            $wallet = self::getWalletForStore($invoice['store_id']);
+            if (!$wallet->checkMintQuote($invoice['quote_id'])->isPaid()) {
+                error_log("CashuPayServer: Invoice {$invoice['id']} paid with token; Lightning quote {$invoice['quote_id']} is no longer watched");
+                return;
+            }
+
+            $wallet->mint($invoice['quote_id'], (int)$invoice['amount_sats']);
+            Database::update('invoices', ['additional_status' => 'PaidOver'], 'id = ?', [$invoice['id']]);
+            error_log("CashuPayServer: Invoice {$invoice['id']} was paid with token and over Lightning (quote {$invoice['quote_id']})");
+        } catch (Exception $e) {
+            error_log("CashuPayServer: Could not check Lightning quote {$invoice['quote_id']} of token-paid invoice {$invoice['id']}: " . $e->getMessage());
+        }
+    }
+
+    /**
+     * NUT-18 payment request for an invoice's checkout page
+     *
+     * The request id is the invoice id, so ecash sent to the receive endpoint
+     * settles this invoice. Created on first use and reused on later renders.
+     */
+    public static function getPaymentRequest(array $invoice, string $description): string {
+        $row = Database::fetchOne(
+            "SELECT request FROM invoice_payment_requests WHERE invoice_id = ?",
+            [$invoice['id']]
+        );
+        if ($row) {
+            return $row['request'];
+        }
+
+        $wallet = self::getWalletInstance($invoice['store_id']);
+        $pr = $wallet->createHttpPaymentRequest((int)$invoice['amount_sats'], Urls::receive(), $description);
+        $pr->id = $invoice['id'];
+        $request = $pr->serialize();
+
+        // A concurrent render may have stored one first; keep whichever came first
+        Database::query(
+            "INSERT OR IGNORE INTO invoice_payment_requests (invoice_id, request, created_at) VALUES (?, ?, ?)",
+            [$invoice['id'], $request, Database::timestamp()]
+        );
+        return Database::fetchOne(
+            "SELECT request FROM invoice_payment_requests WHERE invoice_id = ?",
+            [$invoice['id']]
+        )['request'];
+    }
+
+    /**
+     * Check that a token can pay a store: accepted mint, matching unit, enough value
+     *
+     * Does not contact the mint. Throws with a customer-readable message otherwise.
+     *
+     * @return string Store mint URL matching the token's mint
+     */
+    public static function checkTokenForStore(string $storeId, string $tokenString, int $required): string {
+        try {
+            $token = TokenSerializer::deserialize(trim($tokenString));
+        } catch (Exception $e) {
+            throw new Exception('Invalid token: ' . $e->getMessage());
+        }
+
+        // Token must come from one of the store's mints, in the store's unit
+        $tokenMint = rtrim($token->mint, '/');
+        $mintUrl = null;
+        foreach (Config::getStoreAllMintUrls($storeId) as $storeMint) {
+            if (strcasecmp(rtrim($storeMint, '/'), $tokenMint) === 0) {
+                $mintUrl = $storeMint;
+                break;
+            }
+        }
+        if ($mintUrl === null) {
+            throw new Exception("Token is from a mint this store does not accept: {$tokenMint}");
+        }
+
+        $storeUnit = Config::getStoreMintUnit($storeId);
+        $tokenUnit = $token->unit ?? 'sat';
+        if (strcasecmp($tokenUnit, $storeUnit) !== 0) {
+            throw new Exception("Token unit {$tokenUnit} does not match requested unit {$storeUnit}");
+        }
+
+        $tokenAmount = Wallet::sumProofs($token->proofs);
+        if ($tokenAmount < $required) {
+            throw new Exception("Insufficient amount: token has {$tokenAmount} {$storeUnit}, {$required} {$storeUnit} required");
+        }
+
+        return $mintUrl;
+    }
+
     // =========================================================================
     // ISSUED QUOTE HANDLING
     // =========================================================================
@@ -661,6 +989,11 @@ class Invoice {
             $client = new \Cashu\MintClient($store['mint_url']);
             $response = $client->post('checkstate', ['Ys' => $Ys]);
 
+            // Printed vouchers and ecash refunds stay pending until redeemed - never recover them into the balance
+            require_once __DIR__ . '/vouchers.php';
+            require_once __DIR__ . '/refunds.php';
+            $voucherSecrets = Vouchers::getOutstandingSecrets($storeId) + Refunds::getOutstandingSecrets($storeId);
+
             // Separate into spent and unspent
             $spentSecrets = [];
             $unspentSecrets = [];
@@ -671,7 +1004,7 @@ class Invoice {
 
                 if ($mintState === ProofState::SPENT) {
                     $spentSecrets[] = $proofMap[$YHex];
-                } else {
+                } elseif (!isset($voucherSecrets[$proofMap[$YHex]])) {
                     $unspentSecrets[] = $proofMap[$YHex];
                 }
             }
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Czech
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Zaplatit fakturu',
+    'waiting_for_payment' => 'Čeká se na platbu',
+    'open_in_wallet' => 'Otevřít v peněžence',
+    'copy_invoice' => 'Kopírovat fakturu',
+    'copy_payment_request' => 'Kopírovat platební požadavek',
+    'or_paste_token' => 'Nebo vložte Cashu token',
+    'pay_with_token' => 'Zaplatit tokenem',
+    'paying' => 'Platí se...',
+    'paste_token_required' => 'Vložte prosím Cashu token',
+    'payment_failed' => 'Platba se nezdařila',
+    'processing_payment' => 'Zpracování platby...',
+    'payment_detected' => 'Platba zjištěna. Čekejte prosím...',
+    'payment_complete' => 'Platba dokončena',
+    'continue_to_store' => 'Pokračovat do obchodu',
+    'invoice_expired' => 'Platnost faktury vypršela',
+    'invoice_expired_message' => 'Platnost této faktury vypršela. Vyžádejte si prosím novou.',
+    'return_to_shop' => 'Zpět do obchodu',
+    'expires_in' => 'Vyprší za {time}',
+    'expires_relative' => 'Vyprší {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Pokračujte ve skenování – peněženka snímky posbírá automaticky',
+    'anim_pause' => 'Pozastavit',
+    'anim_resume' => 'Pokračovat',
+    'anim_speed' => 'Rychlost',
+    'anim_density' => 'Hustota',
+    'anim_low' => 'Nízká',
+    'anim_medium' => 'Střední',
+    'anim_high' => 'Vysoká',
+
+    // Shared
+    'powered_by' => 'Běží na {name}',
+    'contact_support' => 'Potřebujete pomoc? Kontaktujte podporu',
+    'copied' => 'Zkopírováno do schránky!',
+    'qr_failed' => 'QR kód se nepodařilo načíst',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Vyžádat platbu',
+    'store' => 'Obchod',
+    'select_store' => 'Vyberte obchod...',
+    'amount' => 'Částka',
+    'amount_unit' => 'Částka ({unit})',
+    'memo_optional' => 'Poznámka (nepovinná)',
+    'memo_placeholder' => 'Platba za...',
+    'generate_request' => 'Vytvořit požadavek',
+    'no_stores' => 'Nenalezeny žádné nastavené obchody. Dokončete nastavení v administraci.',
+    'payment_request' => 'Platební požadavek',
+    'copy_request' => 'Kopírovat požadavek',
+    'scan_to_pay' => 'Naskenujte Cashu peněženkou a zaplaťte',
+    'payment_received' => 'Platba přijata',
+    'redirecting' => 'Přesměrování...',
+    'new_request' => 'Nový požadavek',
+    'payment_failed_retry' => 'Platba se nezdařila: {error}. Požádejte zákazníka, aby to zkusil znovu.',
+];
@@ -0,0 +1,61 @@
+<?php
+/**
+ * German
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Rechnung bezahlen',
+    'waiting_for_payment' => 'Warte auf Zahlung',
+    'open_in_wallet' => 'In Wallet öffnen',
+    'copy_invoice' => 'Rechnung kopieren',
+    'copy_payment_request' => 'Zahlungsanforderung kopieren',
+    'or_paste_token' => 'Oder Cashu-Token einfügen',
+    'pay_with_token' => 'Mit Token bezahlen',
+    'paying' => 'Zahlung läuft...',
+    'paste_token_required' => 'Bitte füge einen Cashu-Token ein',
+    'payment_failed' => 'Zahlung fehlgeschlagen',
+    'processing_payment' => 'Zahlung wird verarbeitet...',
+    'payment_detected' => 'Zahlung erkannt. Bitte warten...',
+    'payment_complete' => 'Zahlung abgeschlossen',
+    'continue_to_store' => 'Weiter zum Shop',
+    'invoice_expired' => 'Rechnung abgelaufen',
+    'invoice_expired_message' => 'Diese Rechnung ist abgelaufen. Bitte fordere eine neue an.',
+    'return_to_shop' => 'Zurück zum Shop',
+    'expires_in' => 'Läuft ab in {time}',
+    'expires_relative' => 'Läuft ab {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Weiter scannen – die Wallet sammelt die Bilder automatisch',
+    'anim_pause' => 'Pause',
+    'anim_resume' => 'Fortsetzen',
+    'anim_speed' => 'Tempo',
+    'anim_density' => 'Dichte',
+    'anim_low' => 'Niedrig',
+    'anim_medium' => 'Mittel',
+    'anim_high' => 'Hoch',
+
+    // Shared
+    'powered_by' => 'Bereitgestellt von {name}',
+    'contact_support' => 'Hilfe nötig? Support kontaktieren',
+    'copied' => 'In die Zwischenablage kopiert!',
+    'qr_failed' => 'QR-Code konnte nicht geladen werden',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Zahlung anfordern',
+    'store' => 'Shop',
+    'select_store' => 'Shop auswählen...',
+    'amount' => 'Betrag',
+    'amount_unit' => 'Betrag ({unit})',
+    'memo_optional' => 'Notiz (optional)',
+    'memo_placeholder' => 'Zahlung für...',
+    'generate_request' => 'Anforderung erstellen',
+    'no_stores' => 'Keine eingerichteten Shops gefunden. Bitte schließe die Einrichtung im Adminbereich ab.',
+    'payment_request' => 'Zahlungsanforderung',
+    'copy_request' => 'Anforderung kopieren',
+    'scan_to_pay' => 'Zum Bezahlen mit einer Cashu-Wallet scannen',
+    'payment_received' => 'Zahlung erhalten',
+    'redirecting' => 'Weiterleitung...',
+    'new_request' => 'Neue Anforderung',
+    'payment_failed_retry' => 'Zahlung fehlgeschlagen: {error}. Bitte den Kunden, es erneut zu versuchen.',
+];
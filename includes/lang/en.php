@@ -0,0 +1,61 @@
+<?php
+/**
+ * English (reference language, every key must exist here)
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Pay Invoice',
+    'waiting_for_payment' => 'Waiting for payment',
+    'open_in_wallet' => 'Open in Wallet',
+    'copy_invoice' => 'Copy Invoice',
+    'copy_payment_request' => 'Copy Payment Request',
+    'or_paste_token' => 'Or paste a Cashu token',
+    'pay_with_token' => 'Pay with Token',
+    'paying' => 'Paying...',
+    'paste_token_required' => 'Please paste a Cashu token',
+    'payment_failed' => 'Payment failed',
+    'processing_payment' => 'Processing payment...',
+    'payment_detected' => 'Payment detected. Please wait...',
+    'payment_complete' => 'Payment Complete',
+    'continue_to_store' => 'Continue to Store',
+    'invoice_expired' => 'Invoice Expired',
+    'invoice_expired_message' => 'This invoice has expired. Please request a new one.',
+    'return_to_shop' => 'Return to Shop',
+    'expires_in' => 'Expires in {time}',
+    'expires_relative' => 'Expires {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Keep scanning - wallet will collect frames automatically',
+    'anim_pause' => 'Pause',
+    'anim_resume' => 'Resume',
+    'anim_speed' => 'Speed',
+    'anim_density' => 'Density',
+    'anim_low' => 'Low',
+    'anim_medium' => 'Medium',
+    'anim_high' => 'High',
+
+    // Shared
+    'powered_by' => 'Powered by {name}',
+    'contact_support' => 'Need help? Contact support',
+    'copied' => 'Copied to clipboard!',
+    'qr_failed' => 'QR code failed to load',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Request Payment',
+    'store' => 'Store',
+    'select_store' => 'Select a store...',
+    'amount' => 'Amount',
+    'amount_unit' => 'Amount ({unit})',
+    'memo_optional' => 'Memo (optional)',
+    'memo_placeholder' => 'Payment for...',
+    'generate_request' => 'Generate Request',
+    'no_stores' => 'No configured stores found. Please complete setup in the admin panel.',
+    'payment_request' => 'Payment Request',
+    'copy_request' => 'Copy Request',
+    'scan_to_pay' => 'Scan with a Cashu wallet to pay',
+    'payment_received' => 'Payment Received',
+    'redirecting' => 'Redirecting...',
+    'new_request' => 'New Request',
+    'payment_failed_retry' => 'Payment failed: {error}. Ask the customer to try again.',
+];
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Spanish
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Pagar factura',
+    'waiting_for_payment' => 'Esperando el pago',
+    'open_in_wallet' => 'Abrir en la billetera',
+    'copy_invoice' => 'Copiar factura',
+    'copy_payment_request' => 'Copiar solicitud de pago',
+    'or_paste_token' => 'O pega un token Cashu',
+    'pay_with_token' => 'Pagar con token',
+    'paying' => 'Pagando...',
+    'paste_token_required' => 'Pega un token Cashu',
+    'payment_failed' => 'El pago ha fallado',
+    'processing_payment' => 'Procesando el pago...',
+    'payment_detected' => 'Pago detectado. Espera un momento...',
+    'payment_complete' => 'Pago completado',
+    'continue_to_store' => 'Continuar a la tienda',
+    'invoice_expired' => 'Factura caducada',
+    'invoice_expired_message' => 'Esta factura ha caducado. Solicita una nueva.',
+    'return_to_shop' => 'Volver a la tienda',
+    'expires_in' => 'Caduca en {time}',
+    'expires_relative' => 'Caduca {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Sigue escaneando: la billetera recoge los fotogramas automáticamente',
+    'anim_pause' => 'Pausar',
+    'anim_resume' => 'Reanudar',
+    'anim_speed' => 'Velocidad',
+    'anim_density' => 'Densidad',
+    'anim_low' => 'Baja',
+    'anim_medium' => 'Media',
+    'anim_high' => 'Alta',
+
+    // Shared
+    'powered_by' => 'Con la tecnología de {name}',
+    'contact_support' => '¿Necesitas ayuda? Contacta con soporte',
+    'copied' => '¡Copiado al portapapeles!',
+    'qr_failed' => 'No se pudo cargar el código QR',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Solicitar pago',
+    'store' => 'Tienda',
+    'select_store' => 'Selecciona una tienda...',
+    'amount' => 'Importe',
+    'amount_unit' => 'Importe ({unit})',
+    'memo_optional' => 'Nota (opcional)',
+    'memo_placeholder' => 'Pago por...',
+    'generate_request' => 'Generar solicitud',
+    'no_stores' => 'No hay tiendas configuradas. Completa la configuración en el panel de administración.',
+    'payment_request' => 'Solicitud de pago',
+    'copy_request' => 'Copiar solicitud',
+    'scan_to_pay' => 'Escanea con una billetera Cashu para pagar',
+    'payment_received' => 'Pago recibido',
+    'redirecting' => 'Redirigiendo...',
+    'new_request' => 'Nueva solicitud',
+    'payment_failed_retry' => 'El pago ha fallado: {error}. Pide al cliente que lo intente de nuevo.',
+];
@@ -0,0 +1,61 @@
+<?php
+/**
+ * French
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Payer la facture',
+    'waiting_for_payment' => 'En attente du paiement',
+    'open_in_wallet' => 'Ouvrir dans le portefeuille',
+    'copy_invoice' => 'Copier la facture',
+    'copy_payment_request' => 'Copier la demande de paiement',
+    'or_paste_token' => 'Ou collez un jeton Cashu',
+    'pay_with_token' => 'Payer avec le jeton',
+    'paying' => 'Paiement en cours...',
+    'paste_token_required' => 'Veuillez coller un jeton Cashu',
+    'payment_failed' => 'Échec du paiement',
+    'processing_payment' => 'Traitement du paiement...',
+    'payment_detected' => 'Paiement détecté. Veuillez patienter...',
+    'payment_complete' => 'Paiement effectué',
+    'continue_to_store' => 'Retourner à la boutique',
+    'invoice_expired' => 'Facture expirée',
+    'invoice_expired_message' => 'Cette facture a expiré. Veuillez en demander une nouvelle.',
+    'return_to_shop' => 'Retour à la boutique',
+    'expires_in' => 'Expire dans {time}',
+    'expires_relative' => 'Expire {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Continuez à scanner : le portefeuille collecte les images automatiquement',
+    'anim_pause' => 'Pause',
+    'anim_resume' => 'Reprendre',
+    'anim_speed' => 'Vitesse',
+    'anim_density' => 'Densité',
+    'anim_low' => 'Faible',
+    'anim_medium' => 'Moyenne',
+    'anim_high' => 'Élevée',
+
+    // Shared
+    'powered_by' => 'Propulsé par {name}',
+    'contact_support' => 'Besoin d\'aide ? Contactez le support',
+    'copied' => 'Copié dans le presse-papiers !',
+    'qr_failed' => 'Impossible de charger le code QR',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Demander un paiement',
+    'store' => 'Boutique',
+    'select_store' => 'Choisissez une boutique...',
+    'amount' => 'Montant',
+    'amount_unit' => 'Montant ({unit})',
+    'memo_optional' => 'Note (facultatif)',
+    'memo_placeholder' => 'Paiement pour...',
+    'generate_request' => 'Créer la demande',
+    'no_stores' => 'Aucune boutique configurée. Terminez la configuration dans l\'administration.',
+    'payment_request' => 'Demande de paiement',
+    'copy_request' => 'Copier la demande',
+    'scan_to_pay' => 'Scannez avec un portefeuille Cashu pour payer',
+    'payment_received' => 'Paiement reçu',
+    'redirecting' => 'Redirection...',
+    'new_request' => 'Nouvelle demande',
+    'payment_failed_retry' => 'Échec du paiement : {error}. Demandez au client de réessayer.',
+];
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Slovak
+ */
+
+return [
+    // Checkout (payment.php)
+    'pay_invoice' => 'Zaplatiť faktúru',
+    'waiting_for_payment' => 'Čaká sa na platbu',
+    'open_in_wallet' => 'Otvoriť v peňaženke',
+    'copy_invoice' => 'Kopírovať faktúru',
+    'copy_payment_request' => 'Kopírovať platobnú požiadavku',
+    'or_paste_token' => 'Alebo vložte Cashu token',
+    'pay_with_token' => 'Zaplatiť tokenom',
+    'paying' => 'Platí sa...',
+    'paste_token_required' => 'Vložte prosím Cashu token',
+    'payment_failed' => 'Platba zlyhala',
+    'processing_payment' => 'Spracúva sa platba...',
+    'payment_detected' => 'Platba zistená. Čakajte prosím...',
+    'payment_complete' => 'Platba dokončená',
+    'continue_to_store' => 'Pokračovať do obchodu',
+    'invoice_expired' => 'Platnosť faktúry vypršala',
+    'invoice_expired_message' => 'Platnosť tejto faktúry vypršala. Vyžiadajte si prosím novú.',
+    'return_to_shop' => 'Späť do obchodu',
+    'expires_in' => 'Vyprší o {time}',
+    'expires_relative' => 'Vyprší {relative}',
+
+    // Animated QR controls
+    'anim_hint' => 'Pokračujte v skenovaní – peňaženka snímky pozbiera automaticky',
+    'anim_pause' => 'Pozastaviť',
+    'anim_resume' => 'Pokračovať',
+    'anim_speed' => 'Rýchlosť',
+    'anim_density' => 'Hustota',
+    'anim_low' => 'Nízka',
+    'anim_medium' => 'Stredná',
+    'anim_high' => 'Vysoká',
+
+    // Shared
+    'powered_by' => 'Beží na {name}',
+    'contact_support' => 'Potrebujete pomoc? Kontaktujte podporu',
+    'copied' => 'Skopírované do schránky!',
+    'qr_failed' => 'QR kód sa nepodarilo načítať',
+
+    // Payment requests (receive.php)
+    'request_payment' => 'Vyžiadať platbu',
+    'store' => 'Obchod',
+    'select_store' => 'Vyberte obchod...',
+    'amount' => 'Suma',
+    'amount_unit' => 'Suma ({unit})',
+    'memo_optional' => 'Poznámka (nepovinná)',
+    'memo_placeholder' => 'Platba za...',
+    'generate_request' => 'Vytvoriť požiadavku',
+    'no_stores' => 'Nenašli sa žiadne nastavené obchody. Dokončite nastavenie v administrácii.',
+    'payment_request' => 'Platobná požiadavka',
+    'copy_request' => 'Kopírovať požiadavku',
+    'scan_to_pay' => 'Naskenujte Cashu peňaženkou a zaplaťte',
+    'payment_received' => 'Platba prijatá',
+    'redirecting' => 'Presmerovanie...',
+    'new_request' => 'Nová požiadavka',
+    'payment_failed_retry' => 'Platba zlyhala: {error}. Požiadajte zákazníka, aby to skúsil znova.',
+];
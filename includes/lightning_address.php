@@ -11,6 +11,7 @@ require_once __DIR__ . '/database.php';
 require_once __DIR__ . '/config.php';
 require_once __DIR__ . '/invoice.php';
 require_once __DIR__ . '/rates.php';
+require_once __DIR__ . '/nostr_notifier.php';
 require_once __DIR__ . '/../cashu-wallet-php/CashuWallet.php';
 
 use Cashu\Wallet;
@@ -34,10 +35,301 @@ class LightningAddress {
     }
 
     /**
-     * Get a BOLT11 invoice from a Lightning address
+     * Get a BOLT11 invoice from a Lightning address or LNURL-pay
+     *
+     * The comment is cut to what the service allows, and the invoice must
+     * match the requested amount and commit to the service's metadata (LUD-06).
      */
     public static function getInvoice(string $address, int $amountSats, ?string $comment = null): string {
-        return CashuLightningAddress::getInvoice($address, $amountSats, $comment);
+        $destination = self::parseDestination($address);
+        if ($destination['type'] !== 'address' && $destination['type'] !== 'lnurl') {
+            throw new Exception('Not a Lightning address or LNURL-pay');
+        }
+
+        $params = self::resolvePayDestination($destination);
+        $amountMsat = $amountSats * 1000;
+        if ($amountMsat < $params['minSendable'] || $amountMsat > $params['maxSendable']) {
+            throw new Exception(sprintf(
+                'Amount must be between %d and %d sats for %s',
+                (int)ceil($params['minSendable'] / 1000),
+                intdiv($params['maxSendable'], 1000),
+                $params['domain']
+            ));
+        }
+
+        $query = ['amount' => $amountMsat];
+        if ($comment !== null && $comment !== '' && $params['commentAllowed'] > 0) {
+            $query['comment'] = mb_substr($comment, 0, $params['commentAllowed']);
+        }
+        $separator = str_contains($params['callback'], '?') ? '&' : '?';
+        $response = self::fetchLnurlJson($params['callback'] . $separator . http_build_query($query));
+
+        $bolt11 = $response['pr'] ?? '';
+        if (!self::isBolt11Invoice($bolt11)) {
+            throw new Exception('LNURL service did not return an invoice');
+        }
+        if (self::parseBolt11Amount($bolt11) !== $amountSats) {
+            throw new Exception('LNURL service returned an invoice for the wrong amount');
+        }
+        if (self::getBolt11DescriptionHash($bolt11) !== hash('sha256', $params['metadata'])) {
+            throw new Exception('LNURL service returned an invoice that does not match its metadata');
+        }
+
+        return $bolt11;
+    }
+
+    /**
+     * Normalize a pasted or scanned withdrawal destination
+     *
+     * Accepts BOLT-11 invoices (any case, with whitespace or a lightning: prefix),
+     * BIP21 bitcoin: URIs carrying a lightning= parameter, bech32 LNURLs,
+     * LUD-17 lnurlp:// URLs and Lightning addresses.
+     *
+     * @return array ['type' => 'bolt11'|'lnurl'|'address', 'value' => normalized destination]
+     * @throws Exception If the input is not a supported Lightning destination
+     */
+    public static function parseDestination(string $input): array {
+        $value = preg_replace('/\s+/', '', $input);
+
+        if (preg_match('/^bitcoin:/i', $value)) {
+            parse_str((string)parse_url($value, PHP_URL_QUERY), $query);
+            $query = array_change_key_case($query, CASE_LOWER);
+            if (empty($query['lightning']) || !is_string($query['lightning'])) {
+                throw new Exception('On-chain addresses are not supported - the bitcoin: URI has no Lightning invoice');
+            }
+            $value = $query['lightning'];
+        }
+
+        $value = preg_replace('#^lightning:(//)?#i', '', $value);
+
+        if (self::isBolt11Invoice($value)) {
+            return ['type' => 'bolt11', 'value' => strtolower($value)];
+        }
+        if (preg_match('/^lnurl1[02-9ac-hj-np-z]+$/i', $value)) {
+            return ['type' => 'lnurl', 'value' => strtolower($value)];
+        }
+        if (preg_match('#^lnurlp://#i', $value)) {
+            return ['type' => 'lnurl', 'value' => $value];
+        }
+        if (preg_match('/^[a-z0-9._+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i', $value)) {
+            return ['type' => 'address', 'value' => strtolower($value)];
+        }
+
+        throw new Exception('Unsupported destination - use a Lightning address, LNURL or BOLT-11 invoice');
+    }
+
+    /**
+     * Fetch LNURL-pay parameters for a Lightning address or LNURL
+     *
+     * @param array $destination Result of parseDestination() (type address or lnurl)
+     * @return array callback, minSendable/maxSendable (msat), commentAllowed, description, metadata (raw), domain
+     */
+    public static function resolvePayDestination(array $destination): array {
+        if ($destination['type'] === 'address') {
+            [$user, $domain] = explode('@', $destination['value'], 2);
+            $url = 'https://' . $domain . '/.well-known/lnurlp/' . rawurlencode($user);
+        } elseif ($destination['type'] === 'lnurl') {
+            $url = self::decodeLnurl($destination['value']);
+        } else {
+            throw new Exception('Not a Lightning address or LNURL-pay');
+        }
+
+        $data = self::fetchLnurlJson($url);
+        if (($data['tag'] ?? '') !== 'payRequest') {
+            throw new Exception('LNURL is not a pay request');
+        }
+        if (empty($data['callback']) || !isset($data['minSendable'], $data['maxSendable'])) {
+            throw new Exception('Invalid LNURL-pay response');
+        }
+
+        // LUD-06 metadata is a JSON-encoded array of [mime, content] pairs
+        $description = '';
+        foreach (json_decode($data['metadata'] ?? '[]', true) ?: [] as $entry) {
+            if (is_array($entry) && ($entry[0] ?? '') === 'text/plain') {
+                $description = (string)($entry[1] ?? '');
+                break;
+            }
+        }
+
+        return [
+            'callback' => $data['callback'],
+            'minSendable' => (int)$data['minSendable'],
+            'maxSendable' => (int)$data['maxSendable'],
+            'commentAllowed' => (int)($data['commentAllowed'] ?? 0),
+            'description' => $description,
+            'metadata' => (string)($data['metadata'] ?? ''),
+            'domain' => (string)parse_url($data['callback'], PHP_URL_HOST),
+        ];
+    }
+
+    /**
+     * Decode a bech32 LNURL or LUD-17 lnurlp:// URL into its https URL
+     */
+    public static function decodeLnurl(string $lnurl): string {
+        if (preg_match('#^lnurlp://(.+)$#i', $lnurl, $matches)) {
+            // LUD-17: onion services are plain http, everything else https
+            $host = strtolower((string)parse_url('http://' . $matches[1], PHP_URL_HOST));
+            return (str_ends_with($host, '.onion') ? 'http://' : 'https://') . $matches[1];
+        }
+
+        $lnurl = strtolower($lnurl);
+        $charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+        $separator = strrpos($lnurl, '1');
+        if ($separator === false || substr($lnurl, 0, $separator) !== 'lnurl') {
+            throw new Exception('Invalid LNURL');
+        }
+
+        $data = [];
+        foreach (str_split(substr($lnurl, $separator + 1)) as $char) {
+            $pos = strpos($charset, $char);
+            if ($pos === false) {
+                throw new Exception('Invalid LNURL');
+            }
+            $data[] = $pos;
+        }
+        if (count($data) < 6 || self::bech32Polymod(array_merge(self::bech32HrpExpand('lnurl'), $data)) !== 1) {
+            throw new Exception('Invalid LNURL checksum');
+        }
+
+        // 5-bit groups without the 6 checksum groups
+        $url = self::wordsToBytes(array_slice($data, 0, -6));
+
+        if (!preg_match('#^https?://#i', $url)) {
+            throw new Exception('Invalid LNURL');
+        }
+        return $url;
+    }
+
+    /**
+     * Description hash (hex) of a BOLT-11 invoice, null if it has none
+     */
+    private static function getBolt11DescriptionHash(string $bolt11): ?string {
+        $bolt11 = strtolower(trim($bolt11));
+        $separator = strrpos($bolt11, '1');
+        if ($separator === false) {
+            return null;
+        }
+
+        $charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+        $words = [];
+        foreach (str_split(substr($bolt11, $separator + 1)) as $char) {
+            $pos = strpos($charset, $char);
+            if ($pos === false) {
+                return null;
+            }
+            $words[] = $pos;
+        }
+
+        // Timestamp (7 groups), tagged fields, signature (104 groups), checksum (6 groups)
+        $end = count($words) - 104 - 6;
+        $i = 7;
+        while ($i + 3 <= $end) {
+            $type = $words[$i];
+            $length = $words[$i + 1] * 32 + $words[$i + 2];
+            $i += 3;
+            // Field 'h' (23): SHA-256 of the description, 52 groups
+            if ($type === 23 && $length === 52 && $i + $length <= $end) {
+                return bin2hex(substr(self::wordsToBytes(array_slice($words, $i, 52)), 0, 32));
+            }
+            $i += $length;
+        }
+        return null;
+    }
+
+    /**
+     * Convert bech32 5-bit groups to bytes, dropping leftover padding bits
+     */
+    private static function wordsToBytes(array $words): string {
+        $acc = 0;
+        $bits = 0;
+        $bytes = '';
+        foreach ($words as $value) {
+            $acc = (($acc << 5) | $value) & 0xfff;
+            $bits += 5;
+            while ($bits >= 8) {
+                $bits -= 8;
+                $bytes .= chr(($acc >> $bits) & 0xff);
+            }
+        }
+        return $bytes;
+    }
+
+    private static function bech32Polymod(array $values): int {
+        $generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+        $chk = 1;
+        foreach ($values as $value) {
+            $top = $chk >> 25;
+            $chk = (($chk & 0x1ffffff) << 5) ^ $value;
+            for ($i = 0; $i < 5; $i++) {
+                if (($top >> $i) & 1) {
+                    $chk ^= $generator[$i];
+                }
+            }
+        }
+        return $chk;
+    }
+
+    private static function bech32HrpExpand(string $hrp): array {
+        $high = [];
+        $low = [];
+        foreach (str_split($hrp) as $char) {
+            $high[] = ord($char) >> 5;
+            $low[] = ord($char) & 31;
+        }
+        return array_merge($high, [0], $low);
+    }
+
+    /**
+     * GET an LNURL endpoint and decode its JSON, surfacing LNURL error responses
+     *
+     * Redirects are only followed on the same host (and never from https to
+     * http), so the service can't hand the payment over to someone else.
+     */
+    private static function fetchLnurlJson(string $url): array {
+        $host = strtolower((string)parse_url($url, PHP_URL_HOST));
+        $scheme = strtolower((string)parse_url($url, PHP_URL_SCHEME));
+
+        for ($redirects = 0; ; $redirects++) {
+            $ch = curl_init($url);
+            curl_setopt_array($ch, [
+                CURLOPT_RETURNTRANSFER => true,
+                CURLOPT_TIMEOUT => 10,
+                CURLOPT_CONNECTTIMEOUT => 5,
+                CURLOPT_FOLLOWLOCATION => false,
+                CURLOPT_HTTPHEADER => ['Accept: application/json'],
+            ]);
+
+            $response = curl_exec($ch);
+            $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+
+            if ($response === false) {
+                throw new Exception('LNURL request failed: ' . curl_error($ch));
+            }
+
+            $location = $httpCode >= 300 && $httpCode < 400 ? curl_getinfo($ch, CURLINFO_REDIRECT_URL) : false;
+            if (!$location) {
+                break;
+            }
+            $locationScheme = strtolower((string)parse_url($location, PHP_URL_SCHEME));
+            if (strtolower((string)parse_url($location, PHP_URL_HOST)) !== $host
+                || ($scheme === 'https' && $locationScheme !== 'https')) {
+                throw new Exception('LNURL service redirected to another host');
+            }
+            if ($redirects >= 3) {
+                throw new Exception('LNURL service redirected too often');
+            }
+            $url = $location;
+        }
+
+        $data = json_decode($response, true);
+        if (!is_array($data)) {
+            throw new Exception("LNURL service returned an invalid response (HTTP {$httpCode})");
+        }
+        if (strtoupper($data['status'] ?? '') === 'ERROR') {
+            throw new Exception('LNURL error: ' . ($data['reason'] ?? 'unknown'));
+        }
+
+        return $data;
     }
 
     /**
@@ -49,13 +341,13 @@ class LightningAddress {
      * which is then paid with fiat proofs.
      *
      * @param string $storeId Store ID for wallet access
-     * @param string $address Lightning address
+     * @param string $address Lightning address or LNURL-pay (see parseDestination())
      * @param int $amountSats Amount in SATOSHIS (Lightning is always sats)
      * @param string|null $comment Optional comment
      */
     public static function meltToAddress(string $storeId, string $address, int $amountSats, ?string $comment = null): array {
-        // Get invoice from Lightning address (via library)
-        $bolt11 = CashuLightningAddress::getInvoice($address, $amountSats, $comment);
+        // Get invoice from the Lightning address or LNURL-pay
+        $bolt11 = self::getInvoice($address, $amountSats, $comment);
 
         // Get wallet for this store
         $wallet = Invoice::getWalletInstance($storeId);
@@ -83,7 +375,7 @@ class LightningAddress {
 
         if (!$result['paid']) {
             if ($result['pending'] ?? false) {
-                throw new Exception("Lightning payment pending - proofs marked as pending for recovery");
+                throw new LightningPaymentPendingException($meltQuote->quote);
             }
             throw new Exception("Lightning payment failed");
         }
@@ -185,10 +477,12 @@ class LightningAddress {
                         ];
 
                         error_log("Auto-melt: Sent {$meltAmountSats} sats (~{$meltAmountInMintUnit} {$mintUnit}) from store {$store['name']} to {$store['auto_melt_address']}");
+                        NostrNotifier::autoMeltSent($store['id'], $meltAmountSats, $store['auto_melt_address']);
                     } catch (Exception $meltError) {
                         // Melt operation failed (mint unreachable, insufficient funds, etc.)
                         // Log and continue - don't crash the entire admin page load
                         error_log("Auto-melt operation failed for store {$store['id']}: " . $meltError->getMessage());
+                        NostrNotifier::withdrawalFailed($store['id'], $store['auto_melt_address'], $meltError->getMessage());
                         $results[] = [
                             'store_id' => $store['id'],
                             'store_name' => $store['name'],
@@ -366,6 +660,19 @@ class LightningAddress {
     }
 }
 
+/**
+ * Melt accepted by the mint but not settled yet; its proofs stay PENDING
+ * and the quote can be checked later to see how it ended
+ */
+class LightningPaymentPendingException extends Exception {
+    public string $quoteId;
+
+    public function __construct(string $quoteId) {
+        parent::__construct("Lightning payment pending - proofs marked as pending for recovery");
+        $this->quoteId = $quoteId;
+    }
+}
+
 /**
  * Donation Class - Send tokens to the donation sink
  */
@@ -0,0 +1,366 @@
+<?php
+/**
+ * CashuPayServer - Mint Health Monitor
+ *
+ * Periodically probes each store's primary and backup mints (run from cron):
+ * info latency, keyset and info changes, mint quote expiry, and whether mint
+ * and melt quotes can still be created. Results are kept as a history for
+ * the admin health panel and dashboard alerts.
+ *
+ * Quote probes create a real (never paid) Lightning invoice at the mint, so
+ * scheduled checks only run them once a day; "Check Now" always does.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/nostr_notifier.php';
+
+class MintHealth {
+    /** Minimum seconds between scheduled health checks */
+    public const CHECK_INTERVAL = 900;
+
+    /** Days of check history to keep */
+    private const HISTORY_DAYS = 14;
+
+    /** Info responses slower than this (ms) count as degraded */
+    private const SLOW_MS = 3000;
+
+    /** Minimum seconds between scheduled quote probes of a mint */
+    private const QUOTE_PROBE_INTERVAL = 86400;
+
+    /** Quote expiry below this (seconds) counts as degraded */
+    private const SHORT_EXPIRY = 300;
+
+    /** NUTs a mint must support for the store to work */
+    private const REQUIRED_NUTS = ['4', '5', '7'];
+
+    /**
+     * Check if the scheduled health check is due
+     */
+    public static function shouldCheck(): bool {
+        $lastCheck = Config::get('last_mint_health_check', 0);
+        return (time() - $lastCheck) >= self::CHECK_INTERVAL;
+    }
+
+    /**
+     * Mark the scheduled health check as completed
+     */
+    public static function markChecked(): void {
+        Config::set('last_mint_health_check', time());
+    }
+
+    /**
+     * Check primary and backup mints of every configured store
+     *
+     * @return int Number of mints checked
+     */
+    public static function checkAll(): int {
+        $stores = Database::fetchAll("SELECT id FROM stores WHERE mint_url IS NOT NULL");
+        $count = 0;
+        foreach ($stores as $store) {
+            try {
+                $count += count(self::checkStore($store['id']));
+            } catch (Throwable $e) {
+                error_log("CashuPayServer: Mint health check failed for store {$store['id']}: " . $e->getMessage());
+            }
+        }
+        return $count;
+    }
+
+    /**
+     * Check all mints of one store
+     *
+     * @param bool $probeQuotes Probe mint and melt quotes even if done recently
+     * @return array Check results, primary mint first
+     */
+    public static function checkStore(string $storeId, bool $probeQuotes = false): array {
+        $unit = Config::getStoreMintUnit($storeId);
+        $results = [];
+        foreach (Config::getStoreAllMintUrls($storeId) as $mintUrl) {
+            $results[] = self::checkMint($storeId, $mintUrl, $unit, $probeQuotes);
+        }
+        return $results;
+    }
+
+    /**
+     * Probe a single mint and record the result
+     *
+     * Compares info and keysets against the previous check so rotations
+     * and fee changes show up in the history. Any error, including malformed
+     * mint responses, marks the mint as down instead of aborting the run.
+     *
+     * @param bool $probeQuotes Probe quotes even if the last probe is recent
+     */
+    public static function checkMint(string $storeId, string $mintUrl, string $unit, bool $probeQuotes = false): array {
+        require_once __DIR__ . '/../cashu-wallet-php/CashuWallet.php';
+
+        $mintUrl = rtrim($mintUrl, '/');
+        $previous = self::getLatest($storeId, $mintUrl);
+
+        $check = [
+            'store_id' => $storeId,
+            'mint_url' => $mintUrl,
+            'unit' => $unit,
+            'checked_at' => Database::timestamp(),
+            'status' => 'ok',
+            'latency_ms' => null,
+            'info_hash' => null,
+            'keysets_hash' => null,
+            'input_fee_ppk' => null,
+            'quote_expiry_seconds' => null,
+            'mint_quote_ok' => null,
+            'melt_quote_ok' => null,
+            'changes' => null,
+            'error' => null,
+        ];
+        $problems = [];
+        $changes = [];
+
+        try {
+            $client = new \Cashu\MintClient($mintUrl);
+
+            $start = microtime(true);
+            $info = $client->get('info');
+            $check['latency_ms'] = (int)round((microtime(true) - $start) * 1000);
+            $check['info_hash'] = hash('sha256', json_encode(self::stableInfo($info)));
+
+            if ($check['latency_ms'] > self::SLOW_MS) {
+                $problems[] = "slow response ({$check['latency_ms']} ms)";
+            }
+            foreach (self::REQUIRED_NUTS as $nut) {
+                if (empty($info['nuts'][$nut]) || !empty($info['nuts'][$nut]['disabled'])) {
+                    $problems[] = "NUT-{$nut} not available";
+                }
+            }
+
+            $keysets = $client->get('keysets')['keysets'] ?? [];
+            $active = array_values(array_filter($keysets, fn($k) => ($k['unit'] ?? '') === $unit && !empty($k['active'])));
+            $activeIds = array_map(fn($k) => $k['id'], $active);
+            sort($activeIds);
+            $check['keysets_hash'] = hash('sha256', implode(',', $activeIds));
+            $check['input_fee_ppk'] = $active ? max(array_map(fn($k) => (int)($k['input_fee_ppk'] ?? 0), $active)) : null;
+
+            if (empty($active)) {
+                $problems[] = "no active {$unit} keyset";
+            }
+
+            if ($previous) {
+                if ($previous['info_hash'] && $previous['info_hash'] !== $check['info_hash']) {
+                    $changes[] = 'Mint info changed';
+                }
+                if ($previous['keysets_hash'] && $previous['keysets_hash'] !== $check['keysets_hash']) {
+                    $changes[] = 'Active keyset rotated';
+                }
+                if ($previous['input_fee_ppk'] !== null && $check['input_fee_ppk'] !== null
+                    && $check['input_fee_ppk'] > (int)$previous['input_fee_ppk']) {
+                    $changes[] = "Input fee raised from {$previous['input_fee_ppk']} to {$check['input_fee_ppk']} ppk";
+                    $problems[] = 'input fee raised';
+                }
+            }
+
+            // Quote probes: a mint quote for the minimum amount, then a melt quote paying it back
+            $lastProbe = self::getLastQuoteProbe($storeId, $mintUrl);
+            if (!$probeQuotes && $lastProbe && Database::timestamp() - (int)$lastProbe['checked_at'] < self::QUOTE_PROBE_INTERVAL) {
+                // Keep reporting a failed probe until the next one, so the status doesn't flap
+                if (!(int)$lastProbe['mint_quote_ok']) {
+                    $problems[] = 'mint quote failed at last test';
+                } elseif ($lastProbe['melt_quote_ok'] !== null && !(int)$lastProbe['melt_quote_ok']) {
+                    $problems[] = 'melt quote failed at last test';
+                }
+            } else {
+                $minAmount = 1;
+                foreach ($info['nuts']['4']['methods'] ?? [] as $method) {
+                    if (($method['unit'] ?? '') === $unit && ($method['method'] ?? '') === 'bolt11') {
+                        $minAmount = max(1, (int)($method['min_amount'] ?? 1));
+                        break;
+                    }
+                }
+
+                $mintQuote = null;
+                try {
+                    $wallet = new \Cashu\Wallet($mintUrl, $unit);
+                    $wallet->loadMint();
+                    $mintQuote = $wallet->requestMintQuote($minAmount);
+                    $check['mint_quote_ok'] = 1;
+                    // Mints that don't state an expiry leave it unknown
+                    if (!empty($mintQuote->expiry)) {
+                        $check['quote_expiry_seconds'] = (int)$mintQuote->expiry - time();
+                        if ($check['quote_expiry_seconds'] < self::SHORT_EXPIRY) {
+                            $problems[] = "short quote expiry ({$check['quote_expiry_seconds']} s)";
+                        }
+                    }
+                } catch (Throwable $e) {
+                    $check['mint_quote_ok'] = 0;
+                    $problems[] = 'mint quote failed: ' . $e->getMessage();
+                }
+
+                if ($mintQuote !== null) {
+                    try {
+                        $wallet->requestMeltQuote($mintQuote->request);
+                        $check['melt_quote_ok'] = 1;
+                    } catch (Throwable $e) {
+                        $check['melt_quote_ok'] = 0;
+                        $problems[] = 'melt quote failed: ' . $e->getMessage();
+                    }
+                }
+            }
+
+            if ($problems) {
+                $check['status'] = 'degraded';
+                $check['error'] = implode('; ', $problems);
+            }
+        } catch (Throwable $e) {
+            $check['status'] = 'down';
+            $check['error'] = $e->getMessage();
+        }
+
+        if ($previous && $previous['status'] !== $check['status']) {
+            $changes[] = "Status changed from {$previous['status']} to {$check['status']}";
+        }
+        $check['changes'] = $changes ? json_encode($changes) : null;
+
+        Database::insert('mint_health_checks', $check);
+
+        // Tell the owner when the mint goes down or comes back
+        $isDown = $check['status'] === 'down';
+        if ($isDown !== ($previous && $previous['status'] === 'down')) {
+            NostrNotifier::mintStatusChanged($storeId, $mintUrl, $isDown, $check['error']);
+        }
+
+        return self::format($check);
+    }
+
+    /**
+     * Check history of a store's mints, oldest first per mint
+     *
+     * @param string $storeId Store ID
+     * @param int $days How many days back to include
+     * @return array List of mints with their checks, primary mint first
+     */
+    public static function getHistory(string $storeId, int $days = 7): array {
+        $since = Database::timestamp() - max(1, min(self::HISTORY_DAYS, $days)) * 86400;
+        $rows = Database::fetchAll(
+            "SELECT * FROM mint_health_checks WHERE store_id = ? AND checked_at >= ? ORDER BY checked_at ASC",
+            [$storeId, $since]
+        );
+
+        $mints = [];
+        foreach (Config::getStoreAllMintUrls($storeId) as $i => $mintUrl) {
+            $mintUrl = rtrim($mintUrl, '/');
+            $mints[$mintUrl] = ['url' => $mintUrl, 'primary' => $i === 0, 'latest' => null, 'checks' => []];
+        }
+        foreach ($rows as $row) {
+            // Mints removed from the store since are left out
+            if (!isset($mints[$row['mint_url']])) {
+                continue;
+            }
+            $mints[$row['mint_url']]['checks'][] = self::format($row);
+        }
+        foreach ($mints as &$mint) {
+            $mint['latest'] = $mint['checks'] ? end($mint['checks']) : null;
+        }
+        unset($mint);
+
+        return array_values($mints);
+    }
+
+    /**
+     * Degraded or unreachable mints, based on each mint's latest check
+     *
+     * Only checks from the last two intervals count, so a mint that was
+     * removed or stopped being checked doesn't alert forever.
+     *
+     * @param string|null $storeId Store ID, or null for all stores
+     */
+    public static function getAlerts(?string $storeId = null): array {
+        $sql = "SELECT h.*, s.name AS store_name FROM mint_health_checks h
+                JOIN stores s ON s.id = h.store_id
+                WHERE h.checked_at = (
+                    SELECT MAX(checked_at) FROM mint_health_checks
+                    WHERE store_id = h.store_id AND mint_url = h.mint_url
+                )
+                AND h.checked_at >= ? AND h.status != 'ok'";
+        $params = [Database::timestamp() - self::CHECK_INTERVAL * 2];
+        if ($storeId !== null) {
+            $sql .= " AND h.store_id = ?";
+            $params[] = $storeId;
+        }
+
+        $alerts = [];
+        foreach (Database::fetchAll($sql . " ORDER BY h.status DESC, s.name ASC", $params) as $row) {
+            $mintUrls = array_map(fn($u) => rtrim($u, '/'), Config::getStoreAllMintUrls($row['store_id']));
+            if (!in_array($row['mint_url'], $mintUrls, true)) {
+                continue;
+            }
+            $alerts[] = self::format($row) + [
+                'storeId' => $row['store_id'],
+                'storeName' => $row['store_name'],
+                'primary' => $mintUrls[0] === $row['mint_url'],
+            ];
+        }
+        return $alerts;
+    }
+
+    /**
+     * Delete checks older than the history window
+     *
+     * @return int Number of deleted checks
+     */
+    public static function cleanup(): int {
+        return Database::delete(
+            'mint_health_checks',
+            'checked_at < ?',
+            [Database::timestamp() - self::HISTORY_DAYS * 86400]
+        );
+    }
+
+    /**
+     * Latest check of a store's mint that probed quotes
+     */
+    private static function getLastQuoteProbe(string $storeId, string $mintUrl): ?array {
+        return Database::fetchOne(
+            "SELECT checked_at, mint_quote_ok, melt_quote_ok FROM mint_health_checks
+             WHERE store_id = ? AND mint_url = ? AND mint_quote_ok IS NOT NULL
+             ORDER BY checked_at DESC, id DESC LIMIT 1",
+            [$storeId, $mintUrl]
+        );
+    }
+
+    /**
+     * Latest recorded check for a store's mint
+     */
+    private static function getLatest(string $storeId, string $mintUrl): ?array {
+        return Database::fetchOne(
+            "SELECT * FROM mint_health_checks WHERE store_id = ? AND mint_url = ? ORDER BY checked_at DESC, id DESC LIMIT 1",
+            [$storeId, $mintUrl]
+        );
+    }
+
+    /**
+     * Mint info without fields that change on every request
+     */
+    private static function stableInfo(array $info): array {
+        unset($info['time']);
+        ksort($info);
+        return $info;
+    }
+
+    /**
+     * Convert a check row to its API representation
+     */
+    private static function format(array $row): array {
+        return [
+            'mintUrl' => $row['mint_url'],
+            'unit' => $row['unit'],
+            'checkedAt' => (int)$row['checked_at'],
+            'status' => $row['status'],
+            'latencyMs' => $row['latency_ms'] !== null ? (int)$row['latency_ms'] : null,
+            'inputFeePpk' => $row['input_fee_ppk'] !== null ? (int)$row['input_fee_ppk'] : null,
+            'quoteExpirySeconds' => $row['quote_expiry_seconds'] !== null ? (int)$row['quote_expiry_seconds'] : null,
+            'mintQuoteOk' => $row['mint_quote_ok'] !== null ? (bool)$row['mint_quote_ok'] : null,
+            'meltQuoteOk' => $row['melt_quote_ok'] !== null ? (bool)$row['melt_quote_ok'] : null,
+            'changes' => $row['changes'] ? json_decode($row['changes'], true) : [],
+            'error' => $row['error'],
+        ];
+    }
+}
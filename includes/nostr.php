@@ -0,0 +1,608 @@
+<?php
+/**
+ * CashuPayServer - Nostr Protocol
+ *
+ * The parts of Nostr the server needs to send direct messages: secp256k1
+ * keys and BIP-340 signatures (GMP), npub encoding (NIP-19), NIP-04 and
+ * NIP-44 v2 encryption, NIP-17 gift wraps, and publishing an event to
+ * relays over a minimal WebSocket client.
+ *
+ * The curve arithmetic is not constant-time; it is only used for the
+ * server's own notification keys.
+ */
+
+class Nostr {
+    private const P = 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F';
+    private const N = 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141';
+    private const GX = '79BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798';
+    private const GY = '483ADA7726A3C4655DA4FBFC0E1108A8FD17B448A68554199C47D08FFB10D4B8';
+
+    private const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+    /** Event kinds */
+    public const KIND_ENCRYPTED_DM = 4;
+    public const KIND_SEAL = 13;
+    public const KIND_CHAT_MESSAGE = 14;
+    public const KIND_GIFT_WRAP = 1059;
+
+    private const JSON_FLAGS = JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_LINE_TERMINATORS;
+
+    // =========================================================================
+    // KEYS
+    // =========================================================================
+
+    /**
+     * New random secret key (hex)
+     */
+    public static function generateSecretKey(): string {
+        self::requireGmp();
+        do {
+            $key = random_bytes(32);
+            $d = self::toInt($key);
+        } while (gmp_cmp($d, 0) === 0 || gmp_cmp($d, gmp_init(self::N, 16)) >= 0);
+        return bin2hex($key);
+    }
+
+    /**
+     * X-only public key (hex) of a secret key
+     */
+    public static function getPublicKey(string $secretHex): string {
+        self::requireGmp();
+        return bin2hex(self::toBytes(self::multiply(self::secretToInt($secretHex), self::generator())[0]));
+    }
+
+    /**
+     * Public key (hex) from an npub or hex key
+     *
+     * @throws Exception If the input is not a valid public key
+     */
+    public static function parsePublicKey(string $input): string {
+        self::requireGmp();
+        $input = trim($input);
+        if (preg_match('/^[0-9a-f]{64}$/i', $input)) {
+            $hex = strtolower($input);
+        } else {
+            [$hrp, $bytes] = self::bech32Decode($input);
+            if ($hrp !== 'npub' || strlen($bytes) !== 32) {
+                throw new Exception('Enter an npub or a hex public key');
+            }
+            $hex = bin2hex($bytes);
+        }
+
+        // Must be the x coordinate of a curve point
+        self::liftX(gmp_init($hex, 16));
+        return $hex;
+    }
+
+    public static function npubEncode(string $pubkeyHex): string {
+        return self::bech32Encode('npub', hex2bin($pubkeyHex));
+    }
+
+    // =========================================================================
+    // EVENTS
+    // =========================================================================
+
+    /**
+     * Fill in pubkey, id and signature of an event
+     *
+     * @param array $event created_at, kind, tags and content
+     */
+    public static function signEvent(array $event, string $secretHex): array {
+        $event['pubkey'] = self::getPublicKey($secretHex);
+        $event['id'] = self::eventId($event);
+        $event['sig'] = bin2hex(self::schnorrSign(hex2bin($event['id']), $secretHex));
+        return $event;
+    }
+
+    /**
+     * NIP-04 encrypted direct message (kind 4)
+     */
+    public static function createDirectMessage(string $senderSecret, string $recipientPubkey, string $message): array {
+        return self::signEvent([
+            'created_at' => time(),
+            'kind' => self::KIND_ENCRYPTED_DM,
+            'tags' => [['p', $recipientPubkey]],
+            'content' => self::nip04Encrypt($senderSecret, $recipientPubkey, $message),
+        ], $senderSecret);
+    }
+
+    /**
+     * NIP-17 private direct message: a chat message (kind 14) sealed by the
+     * sender (kind 13) and gift-wrapped with a throwaway key (kind 1059)
+     */
+    public static function createGiftWrap(string $senderSecret, string $recipientPubkey, string $message): array {
+        $rumor = [
+            'pubkey' => self::getPublicKey($senderSecret),
+            'created_at' => time(),
+            'kind' => self::KIND_CHAT_MESSAGE,
+            'tags' => [['p', $recipientPubkey]],
+            'content' => $message,
+        ];
+        $rumor['id'] = self::eventId($rumor);
+
+        // Seal and wrap timestamps are randomized up to two days back (NIP-59)
+        $seal = self::signEvent([
+            'created_at' => time() - random_int(0, 2 * 86400),
+            'kind' => self::KIND_SEAL,
+            'tags' => [],
+            'content' => self::nip44Encrypt($senderSecret, $recipientPubkey, json_encode($rumor, self::JSON_FLAGS)),
+        ], $senderSecret);
+
+        $wrapSecret = self::generateSecretKey();
+        return self::signEvent([
+            'created_at' => time() - random_int(0, 2 * 86400),
+            'kind' => self::KIND_GIFT_WRAP,
+            'tags' => [['p', $recipientPubkey]],
+            'content' => self::nip44Encrypt($wrapSecret, $recipientPubkey, json_encode($seal, self::JSON_FLAGS)),
+        ], $wrapSecret);
+    }
+
+    private static function eventId(array $event): string {
+        return hash('sha256', json_encode([
+            0,
+            $event['pubkey'],
+            $event['created_at'],
+            $event['kind'],
+            $event['tags'],
+            $event['content'],
+        ], self::JSON_FLAGS));
+    }
+
+    // =========================================================================
+    // ENCRYPTION
+    // =========================================================================
+
+    /**
+     * NIP-04: AES-256-CBC with the ECDH shared x coordinate as key
+     */
+    public static function nip04Encrypt(string $secretHex, string $pubkeyHex, string $plaintext): string {
+        $iv = random_bytes(16);
+        $ciphertext = openssl_encrypt($plaintext, 'aes-256-cbc', self::sharedX($secretHex, $pubkeyHex), OPENSSL_RAW_DATA, $iv);
+        if ($ciphertext === false) {
+            throw new Exception('NIP-04 encryption failed');
+        }
+        return base64_encode($ciphertext) . '?iv=' . base64_encode($iv);
+    }
+
+    /**
+     * NIP-44 v2: padded ChaCha20 with HMAC-SHA256, keys derived via HKDF
+     *
+     * @param string|null $nonce 32 bytes; random unless given (test vectors only)
+     */
+    public static function nip44Encrypt(string $secretHex, string $pubkeyHex, string $plaintext, ?string $nonce = null): string {
+        $length = strlen($plaintext);
+        if ($length < 1 || $length > 65535) {
+            throw new Exception('NIP-44 messages must be 1 to 65535 bytes');
+        }
+
+        $conversationKey = self::nip44ConversationKey($secretHex, $pubkeyHex);
+        $nonce = $nonce ?? random_bytes(32);
+        $keys = self::hkdfExpand($conversationKey, $nonce, 76);
+        $chachaKey = substr($keys, 0, 32);
+        $chachaNonce = substr($keys, 32, 12);
+        $hmacKey = substr($keys, 44, 32);
+
+        $padded = pack('n', $length) . $plaintext . str_repeat("\0", self::nip44PaddedLength($length) - $length);
+
+        // OpenSSL's ChaCha20 IV is a little-endian block counter (0) followed by the 96-bit nonce
+        $ciphertext = openssl_encrypt($padded, 'chacha20', $chachaKey, OPENSSL_RAW_DATA, "\0\0\0\0" . $chachaNonce);
+        if ($ciphertext === false) {
+            throw new Exception('NIP-44 encryption failed (ChaCha20 not available in OpenSSL)');
+        }
+
+        $mac = hash_hmac('sha256', $nonce . $ciphertext, $hmacKey, true);
+        return base64_encode("\x02" . $nonce . $ciphertext . $mac);
+    }
+
+    /**
+     * NIP-44 v2 conversation key (HKDF-extract of the ECDH shared x coordinate)
+     */
+    public static function nip44ConversationKey(string $secretHex, string $pubkeyHex): string {
+        return hash_hmac('sha256', self::sharedX($secretHex, $pubkeyHex), 'nip44-v2', true);
+    }
+
+    private static function nip44PaddedLength(int $length): int {
+        if ($length <= 32) {
+            return 32;
+        }
+        $nextPower = 1;
+        while ($nextPower <= $length - 1) {
+            $nextPower <<= 1;
+        }
+        $chunk = $nextPower <= 256 ? 32 : intdiv($nextPower, 8);
+        return $chunk * (intdiv($length - 1, $chunk) + 1);
+    }
+
+    private static function hkdfExpand(string $prk, string $info, int $length): string {
+        $output = '';
+        $block = '';
+        for ($i = 1; strlen($output) < $length; $i++) {
+            $block = hash_hmac('sha256', $block . $info . chr($i), $prk, true);
+            $output .= $block;
+        }
+        return substr($output, 0, $length);
+    }
+
+    private static function sharedX(string $secretHex, string $pubkeyHex): string {
+        self::requireGmp();
+        $point = self::multiply(self::secretToInt($secretHex), self::liftX(gmp_init($pubkeyHex, 16)));
+        return self::toBytes($point[0]);
+    }
+
+    // =========================================================================
+    // RELAYS
+    // =========================================================================
+
+    /**
+     * Publish an event to relays, one after another
+     *
+     * @return array relay URL => ['ok' => bool, 'message' => relay response or error]
+     */
+    public static function publish(array $event, array $relays, int $timeout = 5): array {
+        $results = [];
+        foreach ($relays as $relay) {
+            try {
+                $results[$relay] = ['ok' => true, 'message' => self::publishToRelay($relay, $event, $timeout)];
+            } catch (Exception $e) {
+                $results[$relay] = ['ok' => false, 'message' => $e->getMessage()];
+            }
+        }
+        return $results;
+    }
+
+    /**
+     * Send ["EVENT", event] and wait for the relay's OK
+     *
+     * @return string The relay's OK message (often empty)
+     */
+    private static function publishToRelay(string $url, array $event, int $timeout): string {
+        $parts = parse_url($url);
+        $scheme = strtolower($parts['scheme'] ?? '');
+        if (!in_array($scheme, ['ws', 'wss'], true) || empty($parts['host'])) {
+            throw new Exception('Invalid relay URL');
+        }
+        $host = $parts['host'];
+        $port = $parts['port'] ?? ($scheme === 'wss' ? 443 : 80);
+        $path = ($parts['path'] ?? '/') . (isset($parts['query']) ? '?' . $parts['query'] : '');
+
+        $context = stream_context_create(['ssl' => ['peer_name' => $host, 'SNI_enabled' => true]]);
+        $socket = @stream_socket_client(
+            ($scheme === 'wss' ? 'ssl' : 'tcp') . "://{$host}:{$port}",
+            $errno,
+            $errstr,
+            $timeout,
+            STREAM_CLIENT_CONNECT,
+            $context
+        );
+        if ($socket === false) {
+            throw new Exception("Connection failed: {$errstr}");
+        }
+        stream_set_timeout($socket, $timeout);
+        $deadline = time() + $timeout;
+
+        try {
+            $hostHeader = isset($parts['port']) ? "{$host}:{$port}" : $host;
+            self::write($socket, "GET {$path} HTTP/1.1\r\n"
+                . "Host: {$hostHeader}\r\n"
+                . "Upgrade: websocket\r\n"
+                . "Connection: Upgrade\r\n"
+                . "Sec-WebSocket-Key: " . base64_encode(random_bytes(16)) . "\r\n"
+                . "Sec-WebSocket-Version: 13\r\n"
+                . "User-Agent: CashuPayServer\r\n\r\n");
+
+            $status = fgets($socket);
+            if ($status === false || !preg_match('#^HTTP/\d(\.\d)? 101#', $status)) {
+                throw new Exception('WebSocket handshake failed' . ($status ? ': ' . trim($status) : ''));
+            }
+            while (($line = fgets($socket)) !== false && rtrim($line, "\r\n") !== '') {
+                // Skip the remaining response headers
+            }
+
+            self::sendFrame($socket, 0x1, json_encode(['EVENT', $event], self::JSON_FLAGS));
+
+            while (time() < $deadline) {
+                [$opcode, $payload] = self::readFrame($socket);
+                if ($opcode === 0x8) {
+                    throw new Exception('Relay closed the connection');
+                }
+                if ($opcode === 0x9) {
+                    self::sendFrame($socket, 0xA, $payload);
+                    continue;
+                }
+                $message = json_decode($payload, true);
+                if (is_array($message) && ($message[0] ?? null) === 'OK' && ($message[1] ?? null) === $event['id']) {
+                    self::sendFrame($socket, 0x8, '');
+                    if (empty($message[2])) {
+                        throw new Exception('Rejected: ' . ($message[3] ?? 'no reason given'));
+                    }
+                    return (string)($message[3] ?? '');
+                }
+            }
+            throw new Exception('No response from relay');
+        } finally {
+            fclose($socket);
+        }
+    }
+
+    /**
+     * Send a masked WebSocket frame (clients must mask)
+     */
+    private static function sendFrame($socket, int $opcode, string $payload): void {
+        $length = strlen($payload);
+        $frame = chr(0x80 | $opcode);
+        if ($length < 126) {
+            $frame .= chr(0x80 | $length);
+        } elseif ($length < 65536) {
+            $frame .= chr(0x80 | 126) . pack('n', $length);
+        } else {
+            $frame .= chr(0x80 | 127) . pack('J', $length);
+        }
+        $mask = random_bytes(4);
+        $frame .= $mask . ($payload ^ substr(str_repeat($mask, intdiv($length, 4) + 1), 0, $length));
+        self::write($socket, $frame);
+    }
+
+    /**
+     * Read one WebSocket frame
+     *
+     * @return array [opcode, payload]
+     */
+    private static function readFrame($socket): array {
+        $header = self::read($socket, 2);
+        $opcode = ord($header[0]) & 0x0F;
+        $masked = (ord($header[1]) & 0x80) !== 0;
+        $length = ord($header[1]) & 0x7F;
+        if ($length === 126) {
+            $length = unpack('n', self::read($socket, 2))[1];
+        } elseif ($length === 127) {
+            $length = unpack('J', self::read($socket, 8))[1];
+        }
+        if ($length > 1048576) {
+            throw new Exception('Relay message too large');
+        }
+
+        $mask = $masked ? self::read($socket, 4) : '';
+        $payload = $length > 0 ? self::read($socket, $length) : '';
+        if ($masked) {
+            $payload ^= substr(str_repeat($mask, intdiv($length, 4) + 1), 0, $length);
+        }
+        return [$opcode, $payload];
+    }
+
+    private static function read($socket, int $length): string {
+        $data = '';
+        while (strlen($data) < $length) {
+            $chunk = fread($socket, $length - strlen($data));
+            if ($chunk === false || $chunk === '') {
+                if (stream_get_meta_data($socket)['timed_out']) {
+                    throw new Exception('Relay timed out');
+                }
+                if (feof($socket)) {
+                    throw new Exception('Relay closed the connection');
+                }
+                continue;
+            }
+            $data .= $chunk;
+        }
+        return $data;
+    }
+
+    private static function write($socket, string $data): void {
+        while ($data !== '') {
+            $written = fwrite($socket, $data);
+            if ($written === false || $written === 0) {
+                throw new Exception('Could not write to relay');
+            }
+            $data = substr($data, $written);
+        }
+    }
+
+    // =========================================================================
+    // SECP256K1 / BIP-340
+    // =========================================================================
+
+    /**
+     * BIP-340 signature (64 bytes) of a 32-byte message
+     *
+     * @param string|null $auxRand 32 bytes of auxiliary randomness; random unless given (test vectors only)
+     */
+    public static function schnorrSign(string $message, string $secretHex, ?string $auxRand = null): string {
+        self::requireGmp();
+        $n = gmp_init(self::N, 16);
+        $d0 = self::secretToInt($secretHex);
+        $point = self::multiply($d0, self::generator());
+        $d = self::isEven($point[1]) ? $d0 : gmp_sub($n, $d0);
+        $px = self::toBytes($point[0]);
+
+        $t = self::toBytes($d) ^ self::taggedHash('BIP0340/aux', $auxRand ?? random_bytes(32));
+        $k0 = gmp_mod(self::toInt(self::taggedHash('BIP0340/nonce', $t . $px . $message)), $n);
+        if (gmp_cmp($k0, 0) === 0) {
+            throw new Exception('Signing failed, try again');
+        }
+        $r = self::multiply($k0, self::generator());
+        $k = self::isEven($r[1]) ? $k0 : gmp_sub($n, $k0);
+        $rx = self::toBytes($r[0]);
+
+        $e = gmp_mod(self::toInt(self::taggedHash('BIP0340/challenge', $rx . $px . $message)), $n);
+        return $rx . self::toBytes(gmp_mod(gmp_add($k, gmp_mul($e, $d)), $n));
+    }
+
+    private static function taggedHash(string $tag, string $data): string {
+        $tagHash = hash('sha256', $tag, true);
+        return hash('sha256', $tagHash . $tagHash . $data, true);
+    }
+
+    private static function generator(): array {
+        return [gmp_init(self::GX, 16), gmp_init(self::GY, 16)];
+    }
+
+    /**
+     * Point with the given x coordinate and even y
+     */
+    private static function liftX(\GMP $x): array {
+        $p = gmp_init(self::P, 16);
+        if (gmp_cmp($x, $p) >= 0) {
+            throw new Exception('Invalid public key');
+        }
+        $c = gmp_mod(gmp_add(gmp_powm($x, 3, $p), 7), $p);
+        $y = gmp_powm($c, gmp_div_q(gmp_add($p, 1), 4), $p);
+        if (gmp_cmp(gmp_powm($y, 2, $p), $c) !== 0) {
+            throw new Exception('Invalid public key');
+        }
+        return [$x, self::isEven($y) ? $y : gmp_sub($p, $y)];
+    }
+
+    /**
+     * Scalar multiplication (double-and-add, affine coordinates)
+     */
+    private static function multiply(\GMP $k, array $point): array {
+        $result = null;
+        foreach (str_split(gmp_strval($k, 2)) as $bit) {
+            $result = self::add($result, $result);
+            if ($bit === '1') {
+                $result = self::add($result, $point);
+            }
+        }
+        if ($result === null) {
+            throw new Exception('Invalid scalar');
+        }
+        return $result;
+    }
+
+    /**
+     * Point addition; null is the point at infinity
+     */
+    private static function add(?array $a, ?array $b): ?array {
+        if ($a === null) {
+            return $b;
+        }
+        if ($b === null) {
+            return $a;
+        }
+        $p = gmp_init(self::P, 16);
+
+        if (gmp_cmp($a[0], $b[0]) === 0) {
+            if (gmp_cmp(gmp_mod(gmp_add($a[1], $b[1]), $p), 0) === 0) {
+                return null;
+            }
+            $lambda = gmp_mod(gmp_mul(gmp_mul(3, gmp_pow($a[0], 2)), gmp_invert(gmp_mul(2, $a[1]), $p)), $p);
+        } else {
+            $lambda = gmp_mod(gmp_mul(gmp_sub($b[1], $a[1]), gmp_invert(gmp_sub($b[0], $a[0]), $p)), $p);
+        }
+
+        $x = gmp_mod(gmp_sub(gmp_sub(gmp_pow($lambda, 2), $a[0]), $b[0]), $p);
+        $y = gmp_mod(gmp_sub(gmp_mul($lambda, gmp_sub($a[0], $x)), $a[1]), $p);
+        return [$x, $y];
+    }
+
+    private static function isEven(\GMP $n): bool {
+        return gmp_cmp(gmp_mod($n, 2), 0) === 0;
+    }
+
+    private static function secretToInt(string $secretHex): \GMP {
+        if (!preg_match('/^[0-9a-f]{64}$/i', $secretHex)) {
+            throw new Exception('Invalid secret key');
+        }
+        $d = gmp_init($secretHex, 16);
+        if (gmp_cmp($d, 0) === 0 || gmp_cmp($d, gmp_init(self::N, 16)) >= 0) {
+            throw new Exception('Invalid secret key');
+        }
+        return $d;
+    }
+
+    private static function toInt(string $bytes): \GMP {
+        return gmp_init(bin2hex($bytes), 16);
+    }
+
+    private static function toBytes(\GMP $n): string {
+        return hex2bin(str_pad(gmp_strval($n, 16), 64, '0', STR_PAD_LEFT));
+    }
+
+    private static function requireGmp(): void {
+        if (!extension_loaded('gmp')) {
+            throw new Exception('Nostr notifications need the PHP GMP extension');
+        }
+    }
+
+    // =========================================================================
+    // BECH32 (NIP-19)
+    // =========================================================================
+
+    private static function bech32Encode(string $hrp, string $bytes): string {
+        $data = self::convertBits(array_values(unpack('C*', $bytes)), 8, 5, true);
+        $polymod = self::bech32Polymod(array_merge(self::hrpExpand($hrp), $data, [0, 0, 0, 0, 0, 0])) ^ 1;
+        for ($i = 0; $i < 6; $i++) {
+            $data[] = ($polymod >> (5 * (5 - $i))) & 31;
+        }
+        return $hrp . '1' . implode('', array_map(fn($v) => self::BECH32_CHARSET[$v], $data));
+    }
+
+    /**
+     * @return array [hrp, bytes]
+     */
+    private static function bech32Decode(string $input): array {
+        $input = strtolower($input);
+        $separator = strrpos($input, '1');
+        if ($separator === false || $separator < 1 || strlen($input) - $separator < 7) {
+            throw new Exception('Enter an npub or a hex public key');
+        }
+
+        $hrp = substr($input, 0, $separator);
+        $data = [];
+        foreach (str_split(substr($input, $separator + 1)) as $char) {
+            $value = strpos(self::BECH32_CHARSET, $char);
+            if ($value === false) {
+                throw new Exception('Enter an npub or a hex public key');
+            }
+            $data[] = $value;
+        }
+        if (self::bech32Polymod(array_merge(self::hrpExpand($hrp), $data)) !== 1) {
+            throw new Exception('Invalid npub checksum');
+        }
+
+        $bytes = self::convertBits(array_slice($data, 0, -6), 5, 8, false);
+        return [$hrp, pack('C*', ...$bytes)];
+    }
+
+    private static function bech32Polymod(array $values): int {
+        $generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+        $chk = 1;
+        foreach ($values as $value) {
+            $top = $chk >> 25;
+            $chk = (($chk & 0x1ffffff) << 5) ^ $value;
+            for ($i = 0; $i < 5; $i++) {
+                if (($top >> $i) & 1) {
+                    $chk ^= $generator[$i];
+                }
+            }
+        }
+        return $chk;
+    }
+
+    private static function hrpExpand(string $hrp): array {
+        $chars = array_map('ord', str_split($hrp));
+        return array_merge(array_map(fn($c) => $c >> 5, $chars), [0], array_map(fn($c) => $c & 31, $chars));
+    }
+
+    private static function convertBits(array $data, int $from, int $to, bool $pad): array {
+        $acc = 0;
+        $bits = 0;
+        $result = [];
+        $maxValue = (1 << $to) - 1;
+        $maxAcc = (1 << ($from + $to - 1)) - 1;
+        foreach ($data as $value) {
+            $acc = (($acc << $from) | $value) & $maxAcc;
+            $bits += $from;
+            while ($bits >= $to) {
+                $bits -= $to;
+                $result[] = ($acc >> $bits) & $maxValue;
+            }
+        }
+        if ($pad && $bits > 0) {
+            $result[] = ($acc << ($to - $bits)) & $maxValue;
+        } elseif (!$pad && ($bits >= $from || (($acc << ($to - $bits)) & $maxValue))) {
+            throw new Exception('Invalid bech32 padding');
+        }
+        return $result;
+    }
+}
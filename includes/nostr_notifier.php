@@ -0,0 +1,287 @@
+<?php
+/**
+ * CashuPayServer - Nostr DM Notifications
+ *
+ * Per-store encrypted direct messages to the shop owner's Nostr account:
+ * settled invoices, auto-withdrawals, failed withdrawals and mints going
+ * down. Messages are NIP-17 gift wraps (or NIP-04 for older clients),
+ * signed with a key the server generates for each store.
+ *
+ * Notifications are queued and sent by cron.php, so a slow relay never
+ * holds up the request that triggered them. Sending never throws into the
+ * code that triggered it; the last error is kept for the admin instead.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/nostr.php';
+
+class NostrNotifier {
+    /** Events the owner can be notified about */
+    public const EVENTS = [
+        'invoice_settled' => 'Invoice settled',
+        'auto_melt' => 'Auto-withdrawal sent',
+        'withdrawal_sent' => 'Manual withdrawal sent',
+        'withdrawal_failed' => 'Withdrawal failed',
+        'mint_unreachable' => 'Mint unreachable or back',
+    ];
+
+    public const PROTOCOLS = ['nip17', 'nip04'];
+
+    /** Seconds to wait for each relay */
+    private const RELAY_TIMEOUT = 5;
+
+    /** An identical message is not repeated within this many seconds (e.g. auto-melt failing every cron run) */
+    private const REPEAT_INTERVAL = 3600;
+
+    /** Queued messages older than this many seconds are dropped unsent */
+    private const QUEUE_MAX_AGE = 86400;
+
+    /**
+     * Notification settings of a store (disabled defaults if never saved)
+     */
+    public static function get(string $storeId): array {
+        $row = self::getRow($storeId);
+        if ($row === null) {
+            return [
+                'enabled' => false,
+                'recipient' => '',
+                'relays' => Config::getNostrRelays(),
+                'protocol' => 'nip17',
+                'events' => array_keys(self::EVENTS),
+                'senderNpub' => null,
+                'lastSentAt' => null,
+                'lastError' => null,
+            ];
+        }
+
+        return [
+            'enabled' => (bool)$row['enabled'],
+            'recipient' => $row['recipient_pubkey'] ? Nostr::npubEncode($row['recipient_pubkey']) : '',
+            'relays' => json_decode($row['relays'], true) ?? [],
+            'protocol' => $row['protocol'],
+            'events' => json_decode($row['events'], true) ?? [],
+            'senderNpub' => Nostr::npubEncode(Nostr::getPublicKey($row['sender_secret'])),
+            'lastSentAt' => $row['last_sent_at'] !== null ? (int)$row['last_sent_at'] : null,
+            'lastError' => $row['last_error'],
+        ];
+    }
+
+    /**
+     * Validate and store a store's notification settings
+     *
+     * The store's sender key is created on first save and kept afterwards.
+     *
+     * @param array $data Keys as returned by get()
+     * @return array The saved settings
+     */
+    public static function save(string $storeId, array $data): array {
+        $enabled = !empty($data['enabled']);
+
+        $recipient = trim((string)($data['recipient'] ?? ''));
+        $recipientPubkey = $recipient !== '' ? Nostr::parsePublicKey($recipient) : null;
+        if ($enabled && $recipientPubkey === null) {
+            throw new Exception('Enter the npub that should receive the notifications');
+        }
+
+        $relays = [];
+        foreach ((array)($data['relays'] ?? []) as $relay) {
+            $relay = trim((string)$relay);
+            if ($relay === '') {
+                continue;
+            }
+            if (!preg_match('#^wss?://#i', $relay) || filter_var($relay, FILTER_VALIDATE_URL) === false) {
+                throw new Exception("Invalid relay URL: {$relay}");
+            }
+            $relays[] = $relay;
+        }
+        $relays = array_values(array_unique($relays));
+        if ($enabled && empty($relays)) {
+            throw new Exception('Add at least one relay');
+        }
+
+        $protocol = $data['protocol'] ?? 'nip17';
+        if (!in_array($protocol, self::PROTOCOLS, true)) {
+            throw new Exception('Unknown message format');
+        }
+
+        $events = array_values(array_intersect(array_keys(self::EVENTS), (array)($data['events'] ?? [])));
+
+        $row = [
+            'enabled' => $enabled ? 1 : 0,
+            'recipient_pubkey' => $recipientPubkey,
+            'relays' => json_encode($relays),
+            'protocol' => $protocol,
+            'events' => json_encode($events),
+            'updated_at' => Database::timestamp(),
+        ];
+
+        if (self::getRow($storeId)) {
+            Database::update('store_nostr_notifications', $row, 'store_id = ?', [$storeId]);
+        } else {
+            Database::insert('store_nostr_notifications', $row + [
+                'store_id' => $storeId,
+                'sender_secret' => Nostr::generateSecretKey(),
+            ]);
+        }
+
+        return self::get($storeId);
+    }
+
+    /**
+     * Send a test message with the saved settings, whether enabled or not
+     *
+     * @return array relay URL => ['ok' => bool, 'message' => string]
+     * @throws Exception If no relay accepted the message
+     */
+    public static function sendTest(string $storeId): array {
+        $row = self::getRow($storeId);
+        if ($row === null || !$row['recipient_pubkey']) {
+            throw new Exception('Save a recipient npub first');
+        }
+
+        $store = Config::getStore($storeId);
+        return self::send($row, "Test notification from CashuPayServer store \"{$store['name']}\". Notifications are working.");
+    }
+
+    /**
+     * An invoice of the store was settled
+     */
+    public static function invoiceSettled(string $storeId, array $invoice): void {
+        $metadata = !empty($invoice['metadata']) ? json_decode($invoice['metadata'], true) : [];
+        $message = "Invoice settled: {$invoice['amount']} {$invoice['currency']}";
+        if (!empty($metadata['orderId'])) {
+            $message .= " (order {$metadata['orderId']})";
+        }
+        if (!empty($metadata['itemDesc'])) {
+            $message .= " - {$metadata['itemDesc']}";
+        }
+        self::notify($storeId, 'invoice_settled', $message . "\nInvoice {$invoice['id']}");
+    }
+
+    /**
+     * Auto-withdrawal paid out (amount in sats)
+     */
+    public static function autoMeltSent(string $storeId, int $amountSats, string $address): void {
+        self::notify($storeId, 'auto_melt', "Auto-withdrawal sent: {$amountSats} sats to {$address}");
+    }
+
+    /**
+     * Manual withdrawal paid out from the admin (amount in the mint unit)
+     */
+    public static function withdrawalSent(string $storeId, int $amount, string $unit, string $destination): void {
+        $to = strlen($destination) > 40 ? substr($destination, 0, 37) . '...' : $destination;
+        self::notify($storeId, 'withdrawal_sent', "Withdrawal sent: {$amount} {$unit} to {$to}");
+    }
+
+    /**
+     * A manual or automatic withdrawal failed
+     */
+    public static function withdrawalFailed(string $storeId, string $destination, string $error): void {
+        $to = $destination !== '' ? ' to ' . (strlen($destination) > 40 ? substr($destination, 0, 37) . '...' : $destination) : '';
+        self::notify($storeId, 'withdrawal_failed', "Withdrawal{$to} failed: {$error}");
+    }
+
+    /**
+     * A mint's health check status changed to or from down
+     */
+    public static function mintStatusChanged(string $storeId, string $mintUrl, bool $down, ?string $error = null): void {
+        $message = $down
+            ? "Mint unreachable: {$mintUrl}" . ($error ? "\n{$error}" : '')
+            : "Mint reachable again: {$mintUrl}";
+        self::notify($storeId, 'mint_unreachable', $message);
+    }
+
+    /**
+     * Send the queued messages (called from cron.php)
+     *
+     * @return int Number of messages sent
+     */
+    public static function sendQueued(): int {
+        Database::query(
+            "DELETE FROM nostr_notification_queue WHERE created_at < ?",
+            [Database::timestamp() - self::QUEUE_MAX_AGE]
+        );
+
+        $sent = 0;
+        $queued = Database::fetchAll("SELECT * FROM nostr_notification_queue ORDER BY id ASC");
+        foreach ($queued as $item) {
+            // Taking the message off the queue claims it, so overlapping cron runs don't send it twice
+            $claimed = Database::query("DELETE FROM nostr_notification_queue WHERE id = ?", [$item['id']])->rowCount();
+            if ($claimed !== 1) {
+                continue;
+            }
+
+            $row = self::getRow($item['store_id']);
+            if ($row === null || !$row['enabled']) {
+                continue;
+            }
+            if ($item['message'] === $row['last_message'] && Database::timestamp() - (int)$row['last_sent_at'] < self::REPEAT_INTERVAL) {
+                continue;
+            }
+
+            try {
+                self::send($row, $item['message']);
+                $sent++;
+            } catch (Exception $e) {
+                error_log("Nostr notification failed for store {$item['store_id']}: " . $e->getMessage());
+            }
+        }
+        return $sent;
+    }
+
+    /**
+     * Queue a message if the store has the event enabled
+     */
+    private static function notify(string $storeId, string $event, string $message): void {
+        $row = self::getRow($storeId);
+        if ($row === null || !$row['enabled'] || !in_array($event, json_decode($row['events'], true) ?? [], true)) {
+            return;
+        }
+
+        $store = Config::getStore($storeId);
+        try {
+            Database::insert('nostr_notification_queue', [
+                'store_id' => $storeId,
+                'message' => "[{$store['name']}] {$message}",
+                'created_at' => Database::timestamp(),
+            ]);
+        } catch (Exception $e) {
+            error_log("Nostr notification could not be queued for store {$storeId}: " . $e->getMessage());
+        }
+    }
+
+    /**
+     * Encrypt, sign and publish a message; records the outcome on the store
+     */
+    private static function send(array $row, string $message): array {
+        try {
+            $event = $row['protocol'] === 'nip04'
+                ? Nostr::createDirectMessage($row['sender_secret'], $row['recipient_pubkey'], $message)
+                : Nostr::createGiftWrap($row['sender_secret'], $row['recipient_pubkey'], $message);
+
+            $results = Nostr::publish($event, json_decode($row['relays'], true) ?? [], self::RELAY_TIMEOUT);
+            if (empty(array_filter($results, fn($r) => $r['ok']))) {
+                $errors = [];
+                foreach ($results as $relay => $result) {
+                    $errors[] = "{$relay}: {$result['message']}";
+                }
+                throw new Exception($errors ? 'No relay accepted the message (' . implode('; ', $errors) . ')' : 'No relays configured');
+            }
+        } catch (Exception $e) {
+            Database::update('store_nostr_notifications', ['last_error' => $e->getMessage()], 'store_id = ?', [$row['store_id']]);
+            throw $e;
+        }
+
+        Database::update('store_nostr_notifications', [
+            'last_sent_at' => Database::timestamp(),
+            'last_message' => $message,
+            'last_error' => null,
+        ], 'store_id = ?', [$row['store_id']]);
+        return $results;
+    }
+
+    private static function getRow(string $storeId): ?array {
+        return Database::fetchOne("SELECT * FROM store_nostr_notifications WHERE store_id = ?", [$storeId]);
+    }
+}
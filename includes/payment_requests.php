@@ -0,0 +1,170 @@
+<?php
+/**
+ * CashuPayServer - Payment Request Module
+ *
+ * Tracks NUT-18 payment requests created on receive.php so the request
+ * page can detect when the customer's wallet delivers the token.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/invoice.php';
+
+use Cashu\TokenSerializer;
+use Cashu\Wallet;
+
+class PaymentRequests {
+    /** Seconds an unpaid request is reused for identical page loads */
+    private const REUSE_WINDOW = 3600;
+
+    /** Unpaid requests older than this many seconds are deleted by cron */
+    private const STALE_AFTER = 86400;
+
+    /**
+     * Record a newly generated payment request
+     */
+    public static function create(string $id, string $storeId, int $amount, string $unit, string $mintUrl, ?string $memo = null): void {
+        Database::insert('payment_requests', [
+            'id' => $id,
+            'store_id' => $storeId,
+            'amount' => $amount,
+            'unit' => $unit,
+            'mint_url' => $mintUrl,
+            'memo' => $memo,
+            'status' => 'pending',
+            'created_at' => Database::timestamp(),
+        ]);
+    }
+
+    /**
+     * Unpaid request with the same parameters created recently, so reloading
+     * a request page doesn't add a row per view
+     *
+     * @return string|null Request ID
+     */
+    public static function findOpen(string $storeId, int $amount, string $unit, string $mintUrl, ?string $memo): ?string {
+        $row = Database::fetchOne(
+            "SELECT id FROM payment_requests
+             WHERE store_id = ? AND amount = ? AND unit = ? AND mint_url = ? AND memo IS ?
+               AND status = 'pending' AND created_at > ?
+             ORDER BY created_at DESC LIMIT 1",
+            [$storeId, $amount, $unit, $mintUrl, $memo, Database::timestamp() - self::REUSE_WINDOW]
+        );
+        return $row['id'] ?? null;
+    }
+
+    /**
+     * Delete requests that were never paid (called from cron.php)
+     *
+     * @return int Number of deleted requests
+     */
+    public static function deleteStale(): int {
+        return Database::query(
+            "DELETE FROM payment_requests WHERE status = 'pending' AND created_at < ?",
+            [Database::timestamp() - self::STALE_AFTER]
+        )->rowCount();
+    }
+
+    /**
+     * Get payment request by ID
+     */
+    public static function getById(string $id): ?array {
+        return Database::fetchOne(
+            "SELECT * FROM payment_requests WHERE id = ?",
+            [$id]
+        );
+    }
+
+    /**
+     * Pay a request with a token
+     *
+     * Partial, wrong-unit and foreign-mint tokens are rejected before the
+     * mint is contacted, tokens that don't cover the mint's fees before the
+     * swap; the reason is kept on the request for the status page. A swap
+     * that still yields less than requested leaves the request 'partial'.
+     *
+     * @return array Updated payment request
+     */
+    public static function pay(string $id, string $tokenString): array {
+        $request = self::getById($id);
+        if (!$request) {
+            throw new Exception('Payment request not found');
+        }
+
+        if ($request['status'] === 'paid' || $request['status'] === 'partial') {
+            throw new Exception('Payment request has already been paid');
+        }
+
+        try {
+            $mintUrl = Invoice::checkTokenForStore($request['store_id'], $tokenString, (int)$request['amount']);
+        } catch (Exception $e) {
+            Database::update('payment_requests', ['last_error' => $e->getMessage()], 'id = ?', [$id]);
+            throw $e;
+        }
+
+        // Claim the request so a concurrent payment can't be collected as well
+        $claimed = Database::query(
+            "UPDATE payment_requests SET status = 'processing' WHERE id = ? AND status = 'pending'",
+            [$id]
+        )->rowCount();
+        if ($claimed !== 1) {
+            throw new Exception('Payment request is already being paid');
+        }
+
+        $required = (int)$request['amount'];
+        try {
+            $wallet = Invoice::getWalletForStore($request['store_id'], $mintUrl);
+
+            // The swap into the store wallet costs the mint's input fees
+            $token = TokenSerializer::deserialize(trim($tokenString));
+            $afterFees = Wallet::sumProofs($token->proofs) - $wallet->calculateFee($token->proofs);
+            if ($afterFees < $required) {
+                throw new Exception("Insufficient amount: token is worth {$afterFees} {$request['unit']} after mint fees, {$required} {$request['unit']} required");
+            }
+
+            $proofs = $wallet->receive(trim($tokenString));
+        } catch (Exception $e) {
+            Database::update('payment_requests', [
+                'status' => 'pending',
+                'last_error' => $e->getMessage(),
+            ], 'id = ?', [$id]);
+            throw $e;
+        }
+
+        $received = Wallet::sumProofs($proofs);
+        if ($received < $required) {
+            $error = "Payment incomplete: received {$received} {$request['unit']} after mint fees, {$required} {$request['unit']} required. Contact the merchant for a refund.";
+            Database::update('payment_requests', [
+                'status' => 'partial',
+                'amount_received' => $received,
+                'last_error' => $error,
+                'paid_at' => Database::timestamp(),
+            ], 'id = ?', [$id]);
+            throw new Exception($error);
+        }
+
+        Database::update('payment_requests', [
+            'status' => 'paid',
+            'amount_received' => $received,
+            'last_error' => null,
+            'paid_at' => Database::timestamp(),
+        ], 'id = ?', [$id]);
+
+        return self::getById($id);
+    }
+
+    /**
+     * Format payment request status for the request page
+     */
+    public static function formatStatus(array $request): array {
+        return [
+            'id' => $request['id'],
+            'status' => $request['status'],
+            'amount' => (int)$request['amount'],
+            'amountReceived' => $request['amount_received'] !== null ? (int)$request['amount_received'] : null,
+            'unit' => $request['unit'],
+            'error' => $request['last_error'],
+            'paidAt' => $request['paid_at'] !== null ? (int)$request['paid_at'] : null,
+        ];
+    }
+}
@@ -0,0 +1,332 @@
+<?php
+/**
+ * CashuPayServer - Proof Inventory
+ *
+ * What a store wallet actually holds: unspent proofs per mint, keyset and
+ * denomination, with the keyset status and input fee reported by the mint.
+ * Wallets that only receive end up with many small proofs (higher input
+ * fees) or gaps (no exact change offline); consolidation swaps a mint's
+ * proofs into a spread with a couple of proofs of every denomination.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/invoice.php';
+require_once __DIR__ . '/../cashu-wallet-php/CashuWallet.php';
+
+use Cashu\ProofState;
+use Cashu\WalletStorage;
+
+class ProofInventory {
+    /** Proofs of each denomination a healthy spread keeps for exact change */
+    private const PER_DENOMINATION = 2;
+
+    /** More proofs than this multiple of the healthy spread counts as fragmented */
+    private const FRAGMENTED_FACTOR = 2;
+
+    /**
+     * Unspent proofs of a store grouped by mint, keyset and denomination
+     *
+     * Covers the primary mint and every backup mint of the store's unit,
+     * including disabled ones that still hold proofs. Keyset status comes
+     * from the mint; unreachable mints are listed with unknown status.
+     *
+     * @return array List of mints, primary first
+     */
+    public static function getInventory(string $storeId): array {
+        if (!Config::isStoreConfigured($storeId)) {
+            throw new Exception('Store not configured');
+        }
+
+        $unit = Config::getStoreMintUnit($storeId);
+        $mints = [];
+        foreach (self::getMintUrls($storeId) as $i => $mintUrl) {
+            $storage = new WalletStorage(Database::getDbPath(), $mintUrl, $unit);
+            $proofs = $storage->getProofsAsObjects(ProofState::UNSPENT);
+            $isPrimary = $i === 0;
+
+            // Backup mints without proofs have nothing to show
+            if (!$isPrimary && empty($proofs)) {
+                continue;
+            }
+
+            $keysets = self::fetchKeysets($mintUrl, $unit);
+            $mint = [
+                'url' => $mintUrl,
+                'primary' => $isPrimary,
+                'reachable' => $keysets !== null,
+                'balance' => 0,
+                'proofCount' => count($proofs),
+                'fee' => 0,
+                'keysets' => [],
+                'flags' => [],
+            ];
+
+            $byKeyset = [];
+            foreach ($proofs as $proof) {
+                $byKeyset[$proof->id][] = $proof;
+            }
+
+            foreach ($byKeyset as $keysetId => $keysetProofs) {
+                $info = $keysets[$keysetId] ?? null;
+                $feePpk = $info !== null ? (int)($info['input_fee_ppk'] ?? 0) : null;
+                $balance = \Cashu\Wallet::sumProofs($keysetProofs);
+                $keyset = [
+                    'id' => $keysetId,
+                    'active' => $info !== null ? !empty($info['active']) : null,
+                    'inputFeePpk' => $feePpk,
+                    'balance' => $balance,
+                    'proofCount' => count($keysetProofs),
+                    'fee' => $feePpk !== null ? (int)ceil(count($keysetProofs) * $feePpk / 1000) : null,
+                    'denominations' => self::countDenominations($keysetProofs),
+                    'flags' => [],
+                ];
+
+                if ($keysets !== null && $info === null) {
+                    $keyset['flags'][] = 'Keyset unknown to the mint - these proofs may not be redeemable';
+                } elseif ($keyset['active'] === false) {
+                    $keyset['flags'][] = 'Inactive keyset - consolidate to move these proofs to the active keyset';
+                }
+
+                $mint['balance'] += $balance;
+                $mint['fee'] += $keyset['fee'] ?? 0;
+                $mint['keysets'][] = $keyset;
+            }
+
+            // Active keysets first, largest balance first
+            usort($mint['keysets'], fn($a, $b) => [$b['active'] === true, $b['balance']] <=> [$a['active'] === true, $a['balance']]);
+
+            $mint['denominations'] = self::countDenominations($proofs);
+            $mint['healthy'] = self::countDenominations(self::targetAmounts($mint['balance']));
+
+            if (!$mint['reachable']) {
+                $mint['flags'][] = 'Mint unreachable - keyset status and fees unknown';
+            }
+            if (!$isPrimary && $mint['balance'] > 0) {
+                $mint['flags'][] = 'Funds on a backup mint - not included in exports from the primary mint';
+            }
+            $mint['flags'] = array_merge($mint['flags'], self::spreadProblems($proofs));
+
+            $mints[] = $mint;
+        }
+
+        return $mints;
+    }
+
+    /**
+     * Preview consolidating one mint's proofs (contacts the mint)
+     *
+     * Drops proofs the mint reports spent, then works out the swap toward a
+     * healthy spread. The fee is the mint's input fee for all proofs.
+     *
+     * @return array Plan with inputs, fee, target denominations and whether it is worth doing
+     */
+    public static function planConsolidation(string $storeId, string $mintUrl): array {
+        $mintUrl = self::requireMintUrl($storeId, $mintUrl);
+        $wallet = Invoice::getWalletForStore($storeId, $mintUrl);
+        $proofs = self::verifiedProofs($wallet);
+
+        return self::buildPlan($wallet, $mintUrl, Config::getStoreMintUnit($storeId), $proofs);
+    }
+
+    /**
+     * Swap one mint's proofs into a healthy denomination spread
+     *
+     * @param int $expectedFee Fee shown in the preview; the swap is refused if it changed
+     * @return array Executed plan plus the new denomination counts
+     */
+    public static function consolidate(string $storeId, string $mintUrl, int $expectedFee): array {
+        $mintUrl = self::requireMintUrl($storeId, $mintUrl);
+        $wallet = Invoice::getWalletForStore($storeId, $mintUrl);
+        $proofs = self::verifiedProofs($wallet);
+        $plan = self::buildPlan($wallet, $mintUrl, Config::getStoreMintUnit($storeId), $proofs);
+
+        if (empty($proofs)) {
+            throw new Exception('No proofs to consolidate');
+        }
+        if ($plan['fee'] !== $expectedFee) {
+            throw new Exception("Fee changed from {$expectedFee} to {$plan['fee']} since the preview - please review again");
+        }
+        if ($plan['outputAmount'] < 1) {
+            throw new Exception('Balance does not cover the swap fee');
+        }
+
+        $newProofs = $wallet->swap($proofs, $plan['outputs']);
+
+        $plan['denominations'] = self::countDenominations($newProofs);
+        $plan['proofCount'] = count($newProofs);
+        return $plan;
+    }
+
+    /**
+     * Denominations of a healthy spread for a total
+     *
+     * Up to PER_DENOMINATION proofs of each power of two, smallest first,
+     * then the remainder split into the fewest proofs.
+     *
+     * @return int[] Amounts, ascending
+     */
+    public static function targetAmounts(int $total): array {
+        $amounts = [];
+        $remaining = $total;
+        for ($denomination = 1; $denomination <= $remaining; $denomination *= 2) {
+            for ($i = 0; $i < self::PER_DENOMINATION && $remaining >= $denomination; $i++) {
+                $amounts[] = $denomination;
+                $remaining -= $denomination;
+            }
+        }
+        if ($remaining > 0) {
+            $amounts = array_merge($amounts, \Cashu\Wallet::splitAmount($remaining));
+        }
+        sort($amounts);
+        return $amounts;
+    }
+
+    private static function buildPlan($wallet, string $mintUrl, string $unit, array $proofs): array {
+        $balance = \Cashu\Wallet::sumProofs($proofs);
+        $fee = empty($proofs) ? 0 : $wallet->calculateFee($proofs);
+        $outputAmount = max(0, $balance - $fee);
+        $outputs = self::targetAmounts($outputAmount);
+
+        $reasons = self::spreadProblems($proofs);
+        $keysets = self::fetchKeysets($mintUrl, $unit);
+        $inactive = 0;
+        foreach ($proofs as $proof) {
+            if ($keysets !== null && empty($keysets[$proof->id]['active'])) {
+                $inactive++;
+            }
+        }
+        if ($inactive > 0) {
+            array_unshift($reasons, "{$inactive} proof(s) on inactive or unknown keysets");
+        }
+
+        return [
+            'mintUrl' => $mintUrl,
+            'inputCount' => count($proofs),
+            'inputAmount' => $balance,
+            'fee' => $fee,
+            'outputAmount' => $outputAmount,
+            'outputs' => $outputs,
+            'before' => self::countDenominations($proofs),
+            'after' => self::countDenominations($outputs),
+            'reasons' => $reasons,
+            'recommended' => !empty($reasons) && $outputAmount > 0,
+        ];
+    }
+
+    /**
+     * Unspent proofs of the wallet's mint, after asking the mint which are spent
+     */
+    private static function verifiedProofs($wallet): array {
+        $storage = $wallet->getStorage();
+        $proofs = $storage->getProofsAsObjects(ProofState::UNSPENT);
+        if (empty($proofs)) {
+            return [];
+        }
+
+        $states = $wallet->checkProofState($proofs);
+        $validProofs = [];
+        $spentSecrets = [];
+        foreach ($states as $i => $state) {
+            $mintState = strtoupper($state['state'] ?? ProofState::UNSPENT);
+            if ($mintState === ProofState::SPENT) {
+                $spentSecrets[] = $proofs[$i]->secret;
+            } elseif ($mintState === ProofState::UNSPENT) {
+                $validProofs[] = $proofs[$i];
+            }
+        }
+        if (!empty($spentSecrets)) {
+            $storage->updateProofsState($spentSecrets, ProofState::SPENT);
+        }
+        return $validProofs;
+    }
+
+    /**
+     * Why a set of proofs is not a healthy spread (empty if it is)
+     */
+    private static function spreadProblems(array $proofs): array {
+        if (empty($proofs)) {
+            return [];
+        }
+
+        $problems = [];
+        $balance = \Cashu\Wallet::sumProofs($proofs);
+        $have = self::countDenominations($proofs);
+        $target = self::targetAmounts($balance);
+
+        $missing = [];
+        foreach (self::countDenominations($target) as $denomination => $count) {
+            if (($have[$denomination] ?? 0) === 0) {
+                $missing[] = $denomination;
+            }
+        }
+        if ($missing) {
+            $problems[] = 'No ' . implode(', ', $missing) . ' proofs - exact change needs a swap';
+        }
+        if (count($proofs) > count($target) * self::FRAGMENTED_FACTOR) {
+            $problems[] = count($proofs) . ' proofs where ' . count($target) . ' would do - spending them costs more input fees';
+        }
+        return $problems;
+    }
+
+    /**
+     * Proof count per denomination, ascending
+     *
+     * @param array $items Proof objects or plain amounts
+     */
+    private static function countDenominations(array $items): array {
+        $counts = [];
+        foreach ($items as $item) {
+            $amount = is_object($item) ? $item->amount : $item;
+            $counts[$amount] = ($counts[$amount] ?? 0) + 1;
+        }
+        ksort($counts);
+        return $counts;
+    }
+
+    /**
+     * Keysets of the unit by id, or null if the mint is unreachable
+     */
+    private static function fetchKeysets(string $mintUrl, string $unit): ?array {
+        try {
+            $client = new \Cashu\MintClient($mintUrl);
+            $keysets = [];
+            foreach ($client->get('keysets')['keysets'] ?? [] as $keyset) {
+                if (($keyset['unit'] ?? '') === $unit) {
+                    $keysets[$keyset['id']] = $keyset;
+                }
+            }
+            return $keysets;
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Primary mint plus every backup mint of the store's unit
+     */
+    private static function getMintUrls(string $storeId): array {
+        $primary = Config::getStoreMintUrl($storeId);
+        $unit = Config::getStoreMintUnit($storeId);
+
+        $urls = [$primary];
+        foreach (Config::getStoreBackupMints($storeId) as $backup) {
+            if ($backup['unit'] === $unit && rtrim($backup['mint_url'], '/') !== rtrim($primary, '/')) {
+                $urls[] = $backup['mint_url'];
+            }
+        }
+        return $urls;
+    }
+
+    private static function requireMintUrl(string $storeId, string $mintUrl): string {
+        if (!Config::isStoreConfigured($storeId)) {
+            throw new Exception('Store not configured');
+        }
+        foreach (self::getMintUrls($storeId) as $url) {
+            if (rtrim($url, '/') === rtrim($mintUrl, '/')) {
+                return $url;
+            }
+        }
+        throw new Exception('Mint is not configured for this store');
+    }
+}
@@ -0,0 +1,420 @@
+<?php
+/**
+ * CashuPayServer - Invoice Refunds
+ *
+ * Full or partial refunds of settled invoices, paid from the store balance
+ * either as a Cashu token handed to the customer or as a Lightning payment
+ * to an address, LNURL or BOLT-11 invoice the customer supplies. Every
+ * refund is recorded against its invoice; ecash refunds stay pending until
+ * the mint reports the token's proofs spent, Lightning refunds until the
+ * mint settles their melt quote (see reconcileLightning()).
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/invoice.php';
+require_once __DIR__ . '/lightning_address.php';
+require_once __DIR__ . '/rates.php';
+require_once __DIR__ . '/webhook_sender.php';
+require_once __DIR__ . '/../cashu-wallet-php/CashuWallet.php';
+
+use Cashu\ProofState;
+
+class Refunds {
+    public const METHODS = ['ecash', 'lightning'];
+
+    /**
+     * Refund a settled invoice
+     *
+     * @param string $invoiceId Invoice ID
+     * @param string $method 'ecash' or 'lightning'
+     * @param int|null $amount Amount in the store's mint unit, null for everything not yet refunded
+     *                         (ignored for BOLT-11 invoices with an amount)
+     * @param string $destination Lightning address, LNURL or BOLT-11 invoice (lightning only)
+     * @param string $memo Optional note, also used as the Lightning payment comment
+     * @return array The recorded refund (see format()); ecash refunds include the token
+     */
+    public static function create(string $invoiceId, string $method, ?int $amount = null, string $destination = '', string $memo = ''): array {
+        $invoice = Invoice::getById($invoiceId);
+        if ($invoice === null) {
+            throw new Exception('Invoice not found');
+        }
+        if ($invoice['status'] !== 'Settled') {
+            throw new Exception('Only settled invoices can be refunded');
+        }
+        if (!in_array($method, self::METHODS, true)) {
+            throw new Exception('Refund method must be ecash or lightning');
+        }
+
+        $storeId = $invoice['store_id'];
+        if (!Config::isStoreConfigured($storeId)) {
+            throw new Exception('Store not configured');
+        }
+
+        $refundable = self::getRefundable($invoice);
+        if ($refundable < 1) {
+            throw new Exception('Invoice is already fully refunded');
+        }
+        $amount = $amount ?? $refundable;
+        if ($amount < 1) {
+            throw new Exception('Refund amount must be positive');
+        }
+
+        $memo = mb_substr(trim($memo), 0, 120);
+        $payment = null;
+        if ($method === 'lightning') {
+            $payment = self::prepareLightning($storeId, $amount, $destination, $memo ?: "Refund for invoice {$invoiceId}");
+            $amount = $payment['amount'];
+        }
+        if ($amount > $refundable) {
+            throw new Exception("Refund exceeds the refundable amount ({$refundable})");
+        }
+
+        $refund = [
+            'id' => Database::generateId('rfd'),
+            'invoice_id' => $invoiceId,
+            'store_id' => $storeId,
+            'amount' => $amount,
+            'unit' => Config::getStoreMintUnit($storeId),
+            'method' => $method,
+            'destination' => $payment['destination'] ?? null,
+            'token' => null,
+            'secrets' => null,
+            'fee' => 0,
+            'amount_paid' => null,
+            'melt_quote' => null,
+            'status' => 'processing',
+            'memo' => $memo ?: null,
+            'created_at' => Database::timestamp(),
+            'completed_at' => null,
+        ];
+        self::reserve($refund);
+
+        try {
+            $result = $method === 'ecash'
+                ? self::payEcash($storeId, $amount, $refund['id'])
+                : self::payLightning($storeId, $payment['bolt11']);
+        } catch (Exception $e) {
+            Database::delete('invoice_refunds', 'id = ?', [$refund['id']]);
+            throw $e;
+        }
+
+        $refund = array_merge($refund, $result);
+        Database::update('invoice_refunds', $result, 'id = ?', [$refund['id']]);
+
+        $formatted = self::format($refund);
+        WebhookSender::fireEvent($storeId, 'InvoiceRefunded', $invoice + ['refund' => $formatted]);
+
+        return $formatted;
+    }
+
+    /**
+     * Refunds of an invoice, oldest first
+     */
+    public static function getForInvoice(string $invoiceId): array {
+        $rows = Database::fetchAll(
+            "SELECT * FROM invoice_refunds WHERE invoice_id = ? ORDER BY created_at ASC",
+            [$invoiceId]
+        );
+        return array_map([self::class, 'format'], $rows);
+    }
+
+    public static function getById(string $refundId): ?array {
+        $row = Database::fetchOne("SELECT * FROM invoice_refunds WHERE id = ?", [$refundId]);
+        return $row ? self::format($row) : null;
+    }
+
+    /**
+     * Refunded amount per invoice (mint unit), for invoice lists
+     *
+     * @param string[] $invoiceIds
+     * @return array invoice ID => amount; invoices without refunds are left out
+     */
+    public static function getTotals(array $invoiceIds): array {
+        if (empty($invoiceIds)) {
+            return [];
+        }
+        $rows = Database::fetchAll(
+            "SELECT invoice_id, SUM(amount) AS total FROM invoice_refunds
+             WHERE invoice_id IN (" . implode(', ', array_fill(0, count($invoiceIds), '?')) . ")
+             GROUP BY invoice_id",
+            array_values($invoiceIds)
+        );
+        return array_map('intval', array_column($rows, 'total', 'invoice_id'));
+    }
+
+    /**
+     * Amount of an invoice (mint unit) not refunded yet
+     */
+    public static function getRefundable(array $invoice): int {
+        $refunded = self::getTotals([$invoice['id']])[$invoice['id']] ?? 0;
+        return max(0, (int)$invoice['amount_sats'] - $refunded);
+    }
+
+    /**
+     * Mark an ecash refund completed once its token has been claimed
+     *
+     * @return array|null The updated refund, or null if it doesn't exist
+     */
+    public static function markClaimed(string $refundId): ?array {
+        Database::update(
+            'invoice_refunds',
+            ['status' => 'completed', 'completed_at' => Database::timestamp()],
+            "id = ? AND method = 'ecash' AND status = 'pending'",
+            [$refundId]
+        );
+        return self::getById($refundId);
+    }
+
+    /**
+     * Settle Lightning refunds whose payment was still pending (called from cron.php)
+     *
+     * A paid melt quote completes the refund; one the mint gave up on
+     * deletes it, which releases its reservation on the invoice.
+     *
+     * @return int Number of refunds settled either way
+     */
+    public static function reconcileLightning(): int {
+        $rows = Database::fetchAll(
+            "SELECT * FROM invoice_refunds
+             WHERE method = 'lightning' AND status = 'pending' AND melt_quote IS NOT NULL"
+        );
+
+        $settled = 0;
+        foreach ($rows as $row) {
+            try {
+                $quote = Invoice::getWalletInstance($row['store_id'])->checkMeltQuote($row['melt_quote']);
+            } catch (Exception $e) {
+                error_log("CashuPayServer: Melt quote check failed for refund {$row['id']}: " . $e->getMessage());
+                continue;
+            }
+
+            if ($quote->isPaid()) {
+                // Change from a melt finished later isn't collected, so the whole reserve counts as fee
+                Database::update('invoice_refunds', [
+                    'amount_paid' => (int)$quote->amount,
+                    'fee' => max(0, (int)$quote->feeReserve),
+                    'status' => 'completed',
+                    'completed_at' => Database::timestamp(),
+                ], "id = ? AND status = 'pending'", [$row['id']]);
+                $settled++;
+            } elseif (!$quote->isPending()) {
+                error_log("CashuPayServer: Lightning refund {$row['id']} failed at the mint, releasing it");
+                Database::delete('invoice_refunds', "id = ? AND status = 'pending'", [$row['id']]);
+                $settled++;
+            }
+        }
+
+        return $settled;
+    }
+
+    /**
+     * Secrets of ecash refund tokens not claimed yet
+     *
+     * Their proofs stay PENDING until the customer redeems the token; the
+     * pending-proof check must not recover them into the balance.
+     *
+     * @return array secret => true
+     */
+    public static function getOutstandingSecrets(string $storeId): array {
+        $rows = Database::fetchAll(
+            "SELECT secrets FROM invoice_refunds
+             WHERE store_id = ? AND method = 'ecash' AND status IN ('processing', 'pending') AND secrets IS NOT NULL",
+            [$storeId]
+        );
+
+        $secrets = [];
+        foreach ($rows as $row) {
+            foreach (json_decode($row['secrets'], true) ?: [] as $secret) {
+                $secrets[$secret] = true;
+            }
+        }
+        return $secrets;
+    }
+
+    /**
+     * Format a refund row for the admin UI and the API
+     */
+    public static function format(array $refund): array {
+        $result = [
+            'id' => $refund['id'],
+            'invoiceId' => $refund['invoice_id'],
+            'amount' => (int)$refund['amount'],
+            'unit' => $refund['unit'],
+            'method' => $refund['method'],
+            'status' => $refund['status'],
+            'fee' => (int)$refund['fee'],
+            'amountPaid' => $refund['amount_paid'] !== null ? (int)$refund['amount_paid'] : null,
+            'destination' => $refund['destination'],
+            'memo' => $refund['memo'],
+            'createdTime' => (int)$refund['created_at'],
+            'completedTime' => $refund['completed_at'] !== null ? (int)$refund['completed_at'] : null,
+        ];
+        if ($refund['method'] === 'ecash') {
+            $result['token'] = $refund['token'];
+            $result['secrets'] = json_decode($refund['secrets'] ?? '[]', true);
+        }
+        return $result;
+    }
+
+    /**
+     * Record a refund before it is paid, only if the invoice still covers it
+     *
+     * The check and the insert are one statement, so concurrent refunds of
+     * the same invoice can't both pass the refundable check.
+     *
+     * @throws Exception If the amount exceeds what is left to refund
+     */
+    private static function reserve(array $refund): void {
+        $columns = array_keys($refund);
+        $inserted = Database::query(
+            "INSERT INTO invoice_refunds (" . implode(', ', $columns) . ")
+             SELECT " . implode(', ', array_fill(0, count($columns), '?')) . "
+             FROM invoices i
+             WHERE i.id = ?
+               AND i.amount_sats - (SELECT COALESCE(SUM(r.amount), 0) FROM invoice_refunds r WHERE r.invoice_id = i.id) >= ?",
+            array_merge(array_values($refund), [$refund['invoice_id'], $refund['amount']])
+        )->rowCount();
+
+        if ($inserted !== 1) {
+            $refundable = self::getRefundable(Invoice::getById($refund['invoice_id']));
+            throw new Exception("Refund exceeds the refundable amount ({$refundable})");
+        }
+    }
+
+    /**
+     * Cut a token for the refund amount
+     *
+     * Exact change is taken from local proofs without the mint; otherwise
+     * the mint splits off the amount. The token is stored on the refund
+     * before its proofs turn PENDING; they stay so until claimed.
+     */
+    private static function payEcash(string $storeId, int $amount, string $refundId): array {
+        Invoice::checkPendingProofs($storeId);
+        $proofs = Invoice::getUnspentProofs($storeId);
+        $selected = \Cashu\Wallet::selectProofs($proofs, $amount);
+
+        if (\Cashu\Wallet::sumProofs($selected) === $amount) {
+            $sendProofs = $selected;
+            $token = self::serializeOffline($storeId, $sendProofs);
+        } else {
+            $wallet = Invoice::getWalletInstance($storeId);
+
+            // Drop proofs the mint already considers spent or pending
+            if (!empty($proofs)) {
+                $states = $wallet->checkProofState($proofs);
+                $validProofs = [];
+                $spentSecrets = [];
+                foreach ($states as $i => $state) {
+                    $mintState = strtoupper($state['state'] ?? ProofState::UNSPENT);
+                    if ($mintState === ProofState::SPENT) {
+                        $spentSecrets[] = $proofs[$i]->secret;
+                    } elseif ($mintState === ProofState::UNSPENT) {
+                        $validProofs[] = $proofs[$i];
+                    }
+                }
+                Invoice::markProofsSpent($storeId, $spentSecrets);
+                $proofs = $validProofs;
+            }
+
+            $balance = \Cashu\Wallet::sumProofs($proofs);
+            $fee = $wallet->calculateFee($proofs);
+            if ($balance < $amount + $fee) {
+                $unit = Config::getStoreMintUnit($storeId);
+                throw new Exception("Insufficient balance. Have: {$balance} {$unit}, Need: " . ($amount + $fee) . " {$unit}");
+            }
+
+            $sendProofs = $wallet->split($proofs, $amount)['send'];
+            $token = $wallet->serializeToken($sendProofs);
+        }
+
+        $secrets = array_map(fn($p) => $p->secret, $sendProofs);
+        $result = [
+            'token' => $token,
+            'secrets' => json_encode($secrets),
+            'status' => 'pending',
+        ];
+        Database::update('invoice_refunds', $result, 'id = ?', [$refundId]);
+        Invoice::markProofsPending($storeId, $secrets);
+
+        return $result;
+    }
+
+    /**
+     * Resolve the Lightning destination of a refund before anything is paid
+     *
+     * @return array bolt11, destination and amount (mint unit; a BOLT-11
+     *               invoice with an amount fixes it)
+     */
+    private static function prepareLightning(string $storeId, int $amount, string $destination, string $comment): array {
+        if (trim($destination) === '') {
+            throw new Exception('Lightning address, LNURL or BOLT-11 invoice required');
+        }
+        $parsed = LightningAddress::parseDestination($destination);
+
+        if ($parsed['type'] === 'bolt11') {
+            // The customer's invoice fixes the amount
+            $bolt11 = $parsed['value'];
+            $info = LightningAddress::getBolt11Amount($bolt11, $storeId);
+            if ($info === null || $info['amountSats'] < 1) {
+                throw new Exception('BOLT-11 invoice must include an amount');
+            }
+            if ($info['amountMintUnit'] === null) {
+                throw new Exception('Could not get a quote for the invoice: ' . ($info['meltError'] ?? 'mint unreachable'));
+            }
+            $amount = (int)$info['amountMintUnit'];
+        } else {
+            $store = Config::getStore($storeId);
+            $amountSats = ExchangeRates::convertMintUnitToSats(
+                $amount,
+                Config::getStoreMintUnit($storeId),
+                $store['price_provider_primary'] ?? null,
+                $store['price_provider_secondary'] ?? null
+            );
+            $bolt11 = LightningAddress::getInvoice($parsed['value'], $amountSats, $comment);
+        }
+
+        return [
+            'bolt11' => $bolt11,
+            'destination' => $parsed['value'],
+            'amount' => $amount,
+        ];
+    }
+
+    /**
+     * Pay the refund to a Lightning invoice (melt from the store balance)
+     *
+     * The reserved amount stays as recorded; what the mint paid out goes to
+     * amount_paid.
+     */
+    private static function payLightning(string $storeId, string $bolt11): array {
+        try {
+            $result = LightningAddress::meltToBolt11($storeId, $bolt11);
+        } catch (LightningPaymentPendingException $e) {
+            // The payment may still go through; keep it reserved until the quote settles
+            return ['status' => 'pending', 'melt_quote' => $e->quoteId];
+        }
+
+        return [
+            'amount_paid' => (int)$result['amountPaid'],
+            'fee' => max(0, (int)$result['fee']),
+            'status' => 'completed',
+            'completed_at' => Database::timestamp(),
+        ];
+    }
+
+    /**
+     * Serialize proofs without the mint (V4 unless a keyset ID is not hex)
+     */
+    private static function serializeOffline(string $storeId, array $proofs): string {
+        $store = Config::getStore($storeId);
+        $mintUnit = $store['mint_unit'] ?? 'sat';
+
+        foreach ($proofs as $proof) {
+            if (!\Cashu\TokenSerializer::isHexKeysetId($proof->id)) {
+                return \Cashu\TokenSerializer::serializeV3($store['mint_url'], $proofs, $mintUnit);
+            }
+        }
+        return \Cashu\TokenSerializer::serializeV4($store['mint_url'], $proofs, $mintUnit);
+    }
+}
@@ -164,6 +164,76 @@ class Security {
         return '0.0.0.0';
     }
 
+    /**
+     * Get the address of the connecting client for access checks and audit logs
+     *
+     * Unlike getClientIp(), forwarding headers are only honoured when the
+     * request arrives from a proxy listed in CASHUPAY_TRUSTED_PROXIES
+     * (comma-separated addresses or CIDR ranges, see includes/config.local.php).
+     */
+    public static function getRemoteIp(): string {
+        $remote = $_SERVER['REMOTE_ADDR'] ?? '0.0.0.0';
+        $proxies = defined('CASHUPAY_TRUSTED_PROXIES')
+            ? array_values(array_filter(array_map('trim', explode(',', CASHUPAY_TRUSTED_PROXIES))))
+            : [];
+        if (empty($proxies) || !self::ipInRanges($remote, $proxies)) {
+            return $remote;
+        }
+
+        // Walk X-Forwarded-For back from our proxy; the first hop that isn't a trusted proxy is the client
+        if (!empty($_SERVER['HTTP_X_FORWARDED_FOR'])) {
+            foreach (array_reverse(array_map('trim', explode(',', $_SERVER['HTTP_X_FORWARDED_FOR']))) as $hop) {
+                if (!filter_var($hop, FILTER_VALIDATE_IP)) {
+                    break;
+                }
+                if (!self::ipInRanges($hop, $proxies)) {
+                    return $hop;
+                }
+            }
+        }
+
+        foreach (['HTTP_CF_CONNECTING_IP', 'HTTP_X_REAL_IP'] as $header) {
+            if (!empty($_SERVER[$header]) && filter_var($_SERVER[$header], FILTER_VALIDATE_IP)) {
+                return $_SERVER[$header];
+            }
+        }
+
+        return $remote;
+    }
+
+    /**
+     * Check an address against single addresses and CIDR ranges (IPv4 or IPv6)
+     */
+    public static function ipInRanges(string $ip, array $ranges): bool {
+        $packedIp = @inet_pton($ip);
+        if ($packedIp === false) {
+            return false;
+        }
+
+        foreach ($ranges as $range) {
+            [$network, $bits] = array_pad(explode('/', $range, 2), 2, null);
+            $packedNetwork = @inet_pton($network);
+            if ($packedNetwork === false || strlen($packedNetwork) !== strlen($packedIp)) {
+                continue;
+            }
+
+            $bits = $bits === null ? strlen($packedIp) * 8 : (int)$bits;
+            $bytes = intdiv($bits, 8);
+            if (substr($packedIp, 0, $bytes) !== substr($packedNetwork, 0, $bytes)) {
+                continue;
+            }
+            $remaining = $bits % 8;
+            if ($remaining === 0) {
+                return true;
+            }
+            $mask = (0xFF << (8 - $remaining)) & 0xFF;
+            if ((ord($packedIp[$bytes]) & $mask) === (ord($packedNetwork[$bytes]) & $mask)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Set security headers
      */
@@ -181,7 +251,7 @@ class Security {
         header('Referrer-Policy: strict-origin-when-cross-origin');
 
         // Content Security Policy (adjust as needed)
-        header("Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self'");
+        header("Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; connect-src 'self'");
     }
 
     // Simple file-based cache for rate limiting
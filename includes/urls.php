@@ -68,12 +68,21 @@ class Urls {
      * @return string Base URL for assets
      */
     public static function assets(string $subpath = ''): string {
-        if (self::isWordPress()) {
-            // Use the plugin file if set, otherwise fallback to constant
-            $pluginFile = self::$pluginFile ?? (defined('CASHUPAY_PLUGIN_DIR') ? CASHUPAY_PLUGIN_DIR . '/cashupay.php' : __FILE__);
-            return plugins_url('assets/' . $subpath, $pluginFile);
-        }
-        return 'assets/' . $subpath;
+        return self::pluginPath('assets/' . $subpath);
+    }
+
+    /**
+     * Get the URL of an image in the images/ directory
+     */
+    public static function images(string $file = ''): string {
+        return self::pluginPath('images/' . $file);
+    }
+
+    /**
+     * Get the URL of the admin service worker script
+     */
+    public static function serviceWorker(): string {
+        return self::pluginPath('sw.js');
     }
 
     /**
@@ -180,4 +189,17 @@ class Urls {
         }
         return rtrim(Config::getBaseUrl(), '/');
     }
+
+    /**
+     * URL of a file shipped with CashuPayServer (relative to the plugin
+     * directory in WordPress, to the installation otherwise)
+     */
+    private static function pluginPath(string $path): string {
+        if (self::isWordPress()) {
+            // Use the plugin file if set, otherwise fallback to constant
+            $pluginFile = self::$pluginFile ?? (defined('CASHUPAY_PLUGIN_DIR') ? CASHUPAY_PLUGIN_DIR . '/cashupay.php' : __FILE__);
+            return plugins_url($path, $pluginFile);
+        }
+        return $path;
+    }
 }
@@ -0,0 +1,287 @@
+<?php
+/**
+ * CashuPayServer - Ecash Vouchers
+ *
+ * Batch export of many small tokens from a store's balance (promotions,
+ * giveaways). Each voucher is its own token; the proofs stay PENDING in the
+ * wallet until the mint reports them spent, so printed vouchers are never
+ * recovered into the balance by accident. Unredeemed vouchers can be
+ * reclaimed, which swaps them back into the wallet and voids the printout.
+ */
+
+require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/invoice.php';
+require_once __DIR__ . '/../cashu-wallet-php/CashuWallet.php';
+
+use Cashu\ProofState;
+
+class Vouchers {
+    /** Maximum vouchers per batch (one print run) */
+    public const MAX_VOUCHERS = 100;
+
+    /**
+     * Create a batch of vouchers from the store balance
+     *
+     * Needs the mint: one swap produces exact proofs for every voucher plus
+     * the change that stays in the wallet.
+     *
+     * @param string $storeId Store ID
+     * @param int[] $amounts One amount per voucher, in the store's mint unit
+     * @param string $memo Optional note printed on every voucher
+     * @param string $expiryNote Optional expiry text printed on every voucher (informational)
+     * @return array The created batch (see getBatches())
+     */
+    public static function createBatch(string $storeId, array $amounts, string $memo = '', string $expiryNote = ''): array {
+        if (!Config::isStoreConfigured($storeId)) {
+            throw new Exception('Store not configured');
+        }
+        if (empty($amounts)) {
+            throw new Exception('At least one voucher required');
+        }
+        if (count($amounts) > self::MAX_VOUCHERS) {
+            throw new Exception('At most ' . self::MAX_VOUCHERS . ' vouchers per batch');
+        }
+        foreach ($amounts as $amount) {
+            if (!is_int($amount) || $amount < 1) {
+                throw new Exception('Voucher amounts must be positive whole numbers');
+            }
+        }
+
+        $store = Config::getStore($storeId);
+        $mintUnit = $store['mint_unit'] ?? 'sat';
+        $total = array_sum($amounts);
+
+        Invoice::checkPendingProofs($storeId);
+        $wallet = Invoice::getWalletInstance($storeId);
+        $proofs = Invoice::getUnspentProofs($storeId);
+
+        // Drop proofs the mint already considers spent or pending
+        if (!empty($proofs)) {
+            $states = $wallet->checkProofState($proofs);
+            $validProofs = [];
+            $spentSecrets = [];
+            foreach ($states as $i => $state) {
+                $mintState = strtoupper($state['state'] ?? ProofState::UNSPENT);
+                if ($mintState === ProofState::SPENT) {
+                    $spentSecrets[] = $proofs[$i]->secret;
+                } elseif ($mintState === ProofState::UNSPENT) {
+                    $validProofs[] = $proofs[$i];
+                }
+            }
+            if (!empty($spentSecrets)) {
+                Invoice::markProofsSpent($storeId, $spentSecrets);
+            }
+            $proofs = $validProofs;
+        }
+
+        // Only swap as many proofs as the batch needs: every input proof costs a fee
+        $balance = \Cashu\Wallet::sumProofs($proofs);
+        $target = $total;
+        for ($attempt = 0; $attempt < 5; $attempt++) {
+            $selected = $balance > $target ? \Cashu\Wallet::selectProofs($proofs, $target) : $proofs;
+            $fee = $wallet->calculateFee($selected);
+            if (\Cashu\Wallet::sumProofs($selected) >= $total + $fee || $selected === $proofs) {
+                break;
+            }
+            $target = $total + $fee;
+        }
+        if (\Cashu\Wallet::sumProofs($selected) < $total + $fee) {
+            throw new Exception("Insufficient balance. Have: {$balance} {$mintUnit}, Need: " . ($total + $fee) . " {$mintUnit}");
+        }
+
+        // One swap: exact denominations for each voucher, the rest is kept
+        $voucherDenominations = array_map(fn($amount) => \Cashu\Wallet::splitAmount($amount), $amounts);
+        $keepAmount = \Cashu\Wallet::sumProofs($selected) - $total - $fee;
+        $allAmounts = array_merge(...$voucherDenominations);
+        if ($keepAmount > 0) {
+            $allAmounts = array_merge($allAmounts, \Cashu\Wallet::splitAmount($keepAmount));
+        }
+
+        $pool = $wallet->swap($selected, $allAmounts);
+
+        // Hand out proofs by denomination; leftovers are the kept change (already in storage)
+        $voucherProofs = [];
+        foreach ($voucherDenominations as $i => $denominations) {
+            $picked = [];
+            foreach ($denominations as $denomination) {
+                foreach ($pool as $key => $proof) {
+                    if ($proof->amount === $denomination) {
+                        $picked[] = $proof;
+                        unset($pool[$key]);
+                        break;
+                    }
+                }
+            }
+            if (\Cashu\Wallet::sumProofs($picked) !== $amounts[$i]) {
+                throw new Exception('Mint returned unexpected denominations - no vouchers were created');
+            }
+            $voucherProofs[] = $picked;
+        }
+
+        // The vouchers are recorded before their proofs turn PENDING, so a
+        // concurrent pending-proof check already sees them as outstanding and
+        // never recovers them. The wallet storage has its own connection and
+        // can't join this transaction: if marking fails, the batch is removed
+        // again and the proofs simply stay in the balance.
+        $batchId = Database::generateId('vch');
+        Database::beginTransaction();
+        try {
+            Database::insert('voucher_batches', [
+                'id' => $batchId,
+                'store_id' => $storeId,
+                'mint_url' => $store['mint_url'],
+                'unit' => $mintUnit,
+                'total_amount' => $total,
+                'memo' => mb_substr(trim($memo), 0, 120) ?: null,
+                'expiry_note' => mb_substr(trim($expiryNote), 0, 60) ?: null,
+                'created_at' => Database::timestamp(),
+            ]);
+            foreach ($voucherProofs as $i => $picked) {
+                Database::insert('vouchers', [
+                    'batch_id' => $batchId,
+                    'amount' => $amounts[$i],
+                    'token' => $wallet->serializeToken($picked),
+                    'secrets' => json_encode(array_map(fn($p) => $p->secret, $picked)),
+                ]);
+            }
+            Database::commit();
+        } catch (Exception $e) {
+            Database::rollback();
+            throw $e;
+        }
+
+        $allSecrets = [];
+        foreach ($voucherProofs as $picked) {
+            foreach ($picked as $proof) {
+                $allSecrets[] = $proof->secret;
+            }
+        }
+        try {
+            Invoice::markProofsPending($storeId, $allSecrets);
+        } catch (Exception $e) {
+            Database::delete('voucher_batches', 'id = ?', [$batchId]);
+            throw $e;
+        }
+
+        return self::getBatches($storeId, $batchId)[0];
+    }
+
+    /**
+     * Voucher batches of a store, newest first
+     *
+     * Redemption comes from the wallet's proof states (updated by
+     * check_proofs_spent and the pending-proof check).
+     *
+     * @param string $storeId Store ID
+     * @param string|null $batchId Only this batch
+     */
+    public static function getBatches(string $storeId, ?string $batchId = null): array {
+        $sql = "SELECT * FROM voucher_batches WHERE store_id = ?";
+        $params = [$storeId];
+        if ($batchId !== null) {
+            $sql .= " AND id = ?";
+            $params[] = $batchId;
+        }
+        $batches = Database::fetchAll($sql . " ORDER BY created_at DESC LIMIT 50", $params);
+        if (empty($batches)) {
+            return [];
+        }
+
+        $spent = array_flip(array_column(
+            Invoice::getWalletInstance($storeId)->getStorage()->getProofs(ProofState::SPENT),
+            'secret'
+        ));
+
+        $result = [];
+        foreach ($batches as $batch) {
+            $vouchers = [];
+            foreach (Database::fetchAll("SELECT * FROM vouchers WHERE batch_id = ? ORDER BY id ASC", [$batch['id']]) as $row) {
+                $secrets = json_decode($row['secrets'], true) ?: [];
+                $redeemed = !$row['reclaimed_at'] && !array_diff_key(array_flip($secrets), $spent);
+                $vouchers[] = [
+                    'id' => (int)$row['id'],
+                    'amount' => (int)$row['amount'],
+                    'token' => $row['token'],
+                    'secrets' => $secrets,
+                    'redeemed' => $redeemed,
+                    'reclaimed' => (bool)$row['reclaimed_at'],
+                ];
+            }
+
+            $result[] = [
+                'id' => $batch['id'],
+                'mintUrl' => $batch['mint_url'],
+                'unit' => $batch['unit'],
+                'totalAmount' => (int)$batch['total_amount'],
+                'memo' => $batch['memo'],
+                'expiryNote' => $batch['expiry_note'],
+                'createdAt' => (int)$batch['created_at'],
+                'redeemedCount' => count(array_filter($vouchers, fn($v) => $v['redeemed'])),
+                'reclaimedCount' => count(array_filter($vouchers, fn($v) => $v['reclaimed'])),
+                'vouchers' => $vouchers,
+            ];
+        }
+        return $result;
+    }
+
+    /**
+     * Swap unredeemed vouchers of a batch back into the wallet
+     *
+     * Printed copies become worthless. Vouchers redeemed in the meantime
+     * are marked as redeemed instead.
+     *
+     * @return array ['reclaimed' => count, 'amount' => total, 'redeemed' => count]
+     */
+    public static function reclaimBatch(string $batchId): array {
+        $batch = Database::fetchOne("SELECT * FROM voucher_batches WHERE id = ?", [$batchId]);
+        if (!$batch) {
+            throw new Exception('Voucher batch not found');
+        }
+
+        $wallet = Invoice::getWalletInstance($batch['store_id']);
+        $result = ['reclaimed' => 0, 'amount' => 0, 'redeemed' => 0];
+
+        foreach (self::getBatches($batch['store_id'], $batchId)[0]['vouchers'] as $voucher) {
+            if ($voucher['redeemed'] || $voucher['reclaimed']) {
+                continue;
+            }
+
+            try {
+                $wallet->receive($voucher['token']);
+                Database::update('vouchers', ['reclaimed_at' => Database::timestamp()], 'id = ?', [$voucher['id']]);
+                $result['reclaimed']++;
+                $result['amount'] += $voucher['amount'];
+            } catch (Exception $e) {
+                if (stripos($e->getMessage(), 'already spent') === false) {
+                    throw $e;
+                }
+                Invoice::markProofsSpent($batch['store_id'], $voucher['secrets']);
+                $result['redeemed']++;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Secrets of vouchers that are still out there (not reclaimed)
+     *
+     * @return array Secrets as keys, for isset() lookups
+     */
+    public static function getOutstandingSecrets(string $storeId): array {
+        $rows = Database::fetchAll(
+            "SELECT v.secrets FROM vouchers v JOIN voucher_batches b ON b.id = v.batch_id
+             WHERE b.store_id = ? AND v.reclaimed_at IS NULL",
+            [$storeId]
+        );
+
+        $secrets = [];
+        foreach ($rows as $row) {
+            foreach (json_decode($row['secrets'], true) ?: [] as $secret) {
+                $secrets[$secret] = true;
+            }
+        }
+        return $secrets;
+    }
+}
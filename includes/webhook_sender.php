@@ -6,15 +6,32 @@
  */
 
 require_once __DIR__ . '/database.php';
+require_once __DIR__ . '/nostr_notifier.php';
 
 class WebhookSender {
     private const MAX_RETRIES = 3;
     private const TIMEOUT = 10;
 
+    /** Event types a webhook can subscribe to (BTCPay names) */
+    public const EVENTS = [
+        'InvoiceCreated',
+        'InvoiceReceivedPayment',
+        'InvoiceProcessing',
+        'InvoiceSettled',
+        'InvoiceExpired',
+        'InvoiceInvalid',
+        'InvoiceRefunded',
+    ];
+
     /**
      * Fire webhook event
      */
     public static function fireEvent(string $storeId, string $eventType, array $invoiceData): void {
+        // The store owner's Nostr DM rides on the same event
+        if ($eventType === 'InvoiceSettled') {
+            NostrNotifier::invoiceSettled($storeId, $invoiceData);
+        }
+
         // Get all enabled webhooks for this store that subscribe to this event
         $webhooks = Database::fetchAll(
             "SELECT * FROM webhooks WHERE store_id = ? AND enabled = 1",
@@ -33,10 +50,68 @@ class WebhookSender {
         }
     }
 
+    /**
+     * Send a test event with a made-up invoice, regardless of the webhook's
+     * event selection and enabled flag
+     *
+     * @return string Delivery ID
+     */
+    public static function sendTest(string $webhookId, string $eventType): string {
+        $webhook = Database::fetchOne("SELECT * FROM webhooks WHERE id = ?", [$webhookId]);
+        if ($webhook === null) {
+            throw new Exception('Webhook not found');
+        }
+        if (!in_array($eventType, self::EVENTS, true)) {
+            throw new Exception('Unknown event type');
+        }
+
+        $now = Database::timestamp();
+        $status = match ($eventType) {
+            'InvoiceProcessing', 'InvoiceReceivedPayment' => 'Processing',
+            'InvoiceSettled', 'InvoiceRefunded' => 'Settled',
+            'InvoiceExpired' => 'Expired',
+            'InvoiceInvalid' => 'Invalid',
+            default => 'New',
+        };
+
+        return self::deliverWebhook($webhook, $eventType, [
+            'id' => '__test__' . bin2hex(random_bytes(8)) . '__test__',
+            'store_id' => $webhook['store_id'],
+            'status' => $status,
+            'additional_status' => 'None',
+            'amount' => '1000',
+            'currency' => 'SATS',
+            'amount_sats' => 1000,
+            'created_at' => $now,
+            'expiration_time' => $now + 900,
+            'metadata' => ['orderId' => '__test__', 'itemDesc' => 'Test webhook'],
+        ] + ($eventType === 'InvoiceRefunded' ? ['refund' => [
+            'id' => '__test__',
+            'amount' => 500,
+            'unit' => 'sat',
+            'method' => 'lightning',
+            'status' => 'completed',
+            'createdTime' => $now,
+        ]] : []));
+    }
+
+    /**
+     * Replace a webhook's signing secret
+     *
+     * @return string The new secret
+     */
+    public static function rotateSecret(string $webhookId): string {
+        $secret = bin2hex(random_bytes(32));
+        Database::update('webhooks', ['secret' => $secret], 'id = ?', [$webhookId]);
+        return $secret;
+    }
+
     /**
      * Deliver webhook to endpoint
+     *
+     * @return string Delivery ID
      */
-    private static function deliverWebhook(array $webhook, string $eventType, array $invoiceData): void {
+    private static function deliverWebhook(array $webhook, string $eventType, array $invoiceData): string {
         $deliveryId = Database::generateId('del');
         $now = Database::timestamp();
 
@@ -77,6 +152,11 @@ class WebhookSender {
             }
         }
 
+        // Refund events carry the refund (without the ecash token)
+        if (isset($invoiceData['refund'])) {
+            $payload['refund'] = array_diff_key($invoiceData['refund'], ['token' => true, 'secrets' => true]);
+        }
+
         $payloadJson = json_encode($payload);
 
         // Calculate HMAC signature
@@ -96,6 +176,8 @@ class WebhookSender {
             'response' => $result['response'],
             'created_at' => $now,
         ]);
+
+        return $deliveryId;
     }
 
     /**
@@ -189,11 +271,32 @@ class WebhookSender {
      */
     public static function getDeliveries(string $webhookId, int $limit = 20): array {
         return Database::fetchAll(
-            "SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?",
+            "SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?",
             [$webhookId, $limit]
         );
     }
 
+    /**
+     * Convert a delivery row for the admin delivery log
+     */
+    public static function formatDelivery(array $delivery): array {
+        $payload = json_decode($delivery['payload'], true) ?? [];
+        $statusCode = $delivery['status_code'] !== null ? (int)$delivery['status_code'] : null;
+
+        return [
+            'id' => $delivery['id'],
+            'eventType' => $delivery['event_type'],
+            'invoiceId' => $delivery['invoice_id'],
+            'isRedelivery' => (bool)($payload['isRedelivery'] ?? false),
+            'isTest' => str_starts_with((string)$delivery['invoice_id'], '__test__'),
+            'statusCode' => $statusCode,
+            'success' => $statusCode !== null && $statusCode >= 200 && $statusCode < 300,
+            'request' => $delivery['payload'],
+            'response' => $delivery['response'],
+            'createdAt' => (int)$delivery['created_at'],
+        ];
+    }
+
     /**
      * Verify webhook signature (for testing)
      */
@@ -2,13 +2,17 @@
 /**
  * CashuPayServer - Payment Page
  *
- * Customer-facing payment page with Lightning QR code.
+ * Customer-facing payment page with Lightning QR code, NUT-18 payment
+ * request and direct token payment.
  */
 
 require_once __DIR__ . '/includes/database.php';
 require_once __DIR__ . '/includes/config.php';
 require_once __DIR__ . '/includes/invoice.php';
 require_once __DIR__ . '/includes/background.php';
+require_once __DIR__ . '/includes/urls.php';
+require_once __DIR__ . '/includes/branding.php';
+require_once __DIR__ . '/includes/i18n.php';
 
 // Check setup
 if (!Database::isInitialized() || !Config::isSetupComplete()) {
@@ -56,40 +60,150 @@ if (isset($_GET['json'])) {
     exit;
 }
 
+// Handle server-sent events (live status stream)
+// The connection is kept short so shared hosts don't tie up a PHP worker;
+// EventSource reconnects automatically after the retry interval.
+// Each stream holds a worker, so only a few run at once: when all slots are
+// taken (and always on PHP's single-threaded built-in server) the page gets
+// 204, which makes EventSource give up and the client fall back to polling.
+if (isset($_GET['stream'])) {
+    $maxStreams = 4;
+    $streamSlot = null;
+    if (PHP_SAPI !== 'cli-server') {
+        for ($i = 0; $i < $maxStreams && $streamSlot === null; $i++) {
+            $handle = @fopen(Database::getDataDir() . "/sse-slot-{$i}.lock", 'c');
+            if ($handle && flock($handle, LOCK_EX | LOCK_NB)) {
+                $streamSlot = $handle; // Released when the request ends
+            } elseif ($handle) {
+                fclose($handle);
+            }
+        }
+    }
+    if ($streamSlot === null) {
+        http_response_code(204);
+        exit;
+    }
+
+    header('Content-Type: text/event-stream');
+    header('Cache-Control: no-cache');
+    header('X-Accel-Buffering: no'); // Disable nginx proxy buffering
+    ignore_user_abort(false);
+    set_time_limit(60);
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+
+    $deadline = time() + 25;
+    $lastStatus = null;
+
+    echo "retry: 2000\n\n";
+    flush();
+
+    while (true) {
+        $statusKey = $invoice['status'] . '|' . $invoice['additional_status'];
+        if ($statusKey !== $lastStatus) {
+            $lastStatus = $statusKey;
+            echo "event: status\n";
+            echo 'data: ' . json_encode([
+                'status' => $invoice['status'],
+                'additionalStatus' => $invoice['additional_status'],
+            ]) . "\n\n";
+            flush();
+        }
+
+        if (!in_array($invoice['status'], ['New', 'Processing']) || time() >= $deadline) {
+            break;
+        }
+
+        sleep(2);
+
+        // Comment line keeps proxies from timing out and lets PHP notice disconnects
+        echo ": ping\n\n";
+        flush();
+        if (connection_aborted()) {
+            break;
+        }
+
+        Invoice::pollSingleQuote($invoiceId);
+        $invoice = Invoice::getById($invoiceId) ?? $invoice;
+    }
+    exit;
+}
+
 // Get checkout config
 $checkoutConfig = $invoice['checkout_config'] ? json_decode($invoice['checkout_config'], true) : [];
 $redirectUrl = $checkoutConfig['redirectURL'] ?? null;
 $redirectAuto = $checkoutConfig['redirectAutomatically'] ?? true;
 
+// Branding and language: the invoice's language wins, then the browser's, then the store default
+$branding = Branding::get($invoice['store_id']);
+$metadata = $invoice['metadata'] ? (json_decode($invoice['metadata'], true) ?: []) : [];
+I18n::init([
+    $checkoutConfig['defaultLanguage'] ?? '',
+    $metadata['language'] ?? $metadata['lang'] ?? '',
+    $_SERVER['HTTP_ACCEPT_LANGUAGE'] ?? '',
+    $branding['defaultLanguage'] ?? '',
+]);
+
+// Embedded mode (cashupay.js overlay): report status to the parent page instead of redirecting
+$embedded = isset($_GET['embed']) && $_GET['embed'] === '1';
+$parentOrigin = null;
+if ($embedded) {
+    $origin = $_GET['parentOrigin'] ?? '';
+    if (preg_match('#^https?://[a-z0-9.\-]+(:\d+)?$#i', $origin)) {
+        $parentOrigin = $origin;
+    }
+}
+// Only embedded checkouts may be framed by other sites
+header('Content-Security-Policy: frame-ancestors ' . ($embedded ? ($parentOrigin ?? '*') : "'self'"));
+
 // Format amount for display - use store's mint unit
+// Rendered as plain text here and formatted for the customer's locale in the browser
 $mintUnit = Config::getStoreMintUnit($invoice['store_id']);
-$displayAmount = $invoice['amount'] . ' ' . strtoupper($invoice['currency']);
-
-// Show secondary amount info based on currency relationships
 $requestCurrency = strtoupper($invoice['currency']);
 $mintUnitUpper = strtoupper($mintUnit);
+$primaryAmount = ['amount' => $invoice['amount'], 'currency' => $requestCurrency];
 
+// Show secondary amount info based on currency relationships
+$secondaryAmount = null;
 if ($invoice['amount_sats'] && $requestCurrency !== 'SAT' && $requestCurrency !== 'SATS') {
     if ($mintUnitUpper === 'SAT') {
         // Mint uses sats - show sat equivalent
-        $displayAmount .= ' (' . number_format($invoice['amount_sats']) . ' sats)';
+        $secondaryAmount = ['amount' => (int)$invoice['amount_sats'], 'currency' => 'SATS'];
     } elseif ($requestCurrency !== $mintUnitUpper) {
         // Different currency than mint unit - show mint unit equivalent
         // For fiat mints (EUR, USD), amount_sats is actually in cents
-        $mintAmount = $invoice['amount_sats'] / 100; // Convert cents to main unit
-        $displayAmount .= ' (' . number_format($mintAmount, 2) . ' ' . $mintUnitUpper . ')';
+        $secondaryAmount = ['amount' => number_format($invoice['amount_sats'] / 100, 2, '.', ''), 'currency' => $mintUnitUpper];
     }
     // If request currency matches mint unit, no secondary display needed
 }
 
+$renderAmount = fn(array $a) => sprintf(
+    '<span data-amount="%s" data-currency="%s">%s</span>',
+    htmlspecialchars((string)$a['amount']),
+    htmlspecialchars($a['currency']),
+    htmlspecialchars($a['amount'] . ' ' . $a['currency'])
+);
+
+// NUT-18 payment request tied to this invoice (request id = invoice id),
+// so ecash sent to the receive endpoint settles this invoice
+$paymentRequest = null;
+if ($invoice['status'] === 'New') {
+    try {
+        $paymentRequest = Invoice::getPaymentRequest($invoice, $storeName);
+    } catch (Exception $e) {
+        error_log("CashuPayServer: Failed to create payment request for {$invoice['id']}: " . $e->getMessage());
+    }
+}
+
 $baseUrl = Config::getBaseUrl();
 ?>
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(I18n::lang()) ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-    <title>Pay Invoice - <?= htmlspecialchars($storeName) ?></title>
+    <title><?= htmlspecialchars(I18n::t('pay_invoice')) ?> - <?= htmlspecialchars($storeName) ?></title>
     <link rel="icon" type="image/svg+xml" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='.9em' font-size='90'>⚡</text></svg>">
     <style>
         * {
@@ -99,13 +213,8 @@ $baseUrl = Config::getBaseUrl();
         }
 
         :root {
-            --bg-primary: #0f0f23;
-            --bg-secondary: #1a1a2e;
-            --bg-card: rgba(255, 255, 255, 0.05);
-            --text-primary: #ffffff;
-            --text-secondary: #a0aec0;
-            --accent: #f7931a;
-            --accent-hover: #e8820a;
+            <?= Branding::cssVariables($branding) ?>
+
             --success: #48bb78;
             --error: #e53e3e;
             --warning: #ed8936;
@@ -139,7 +248,7 @@ $baseUrl = Config::getBaseUrl();
             padding: 2rem;
             width: 100%;
             backdrop-filter: blur(20px);
-            border: 1px solid rgba(255, 255, 255, 0.1);
+            border: 1px solid var(--border);
             text-align: center;
         }
 
@@ -148,6 +257,13 @@ $baseUrl = Config::getBaseUrl();
             margin-bottom: 0.5rem;
         }
 
+        .logo img {
+            display: block;
+            max-width: 180px;
+            max-height: 72px;
+            margin: 0 auto;
+        }
+
         .merchant-name {
             font-size: 0.875rem;
             color: var(--text-secondary);
@@ -175,18 +291,10 @@ $baseUrl = Config::getBaseUrl();
         }
 
         .qr-container svg,
-        .qr-container canvas {
+        .qr-container canvas,
+        .qr-container img {
             display: block;
-            width: 220px;
-            height: 220px;
-        }
-
-        @media (max-width: 360px) {
-            .qr-container svg,
-            .qr-container canvas {
-                width: 180px;
-                height: 180px;
-            }
+            max-width: 100%;
         }
 
         .status-badge {
@@ -201,7 +309,7 @@ $baseUrl = Config::getBaseUrl();
         }
 
         .status-badge.new {
-            background: rgba(247, 147, 26, 0.2);
+            background: var(--accent-soft);
             color: var(--accent);
         }
 
@@ -240,8 +348,8 @@ $baseUrl = Config::getBaseUrl();
 
         .invoice-input {
             width: 100%;
-            background: rgba(0, 0, 0, 0.3);
-            border: 1px solid rgba(255, 255, 255, 0.1);
+            background: var(--input-bg);
+            border: 1px solid var(--border);
             border-radius: 12px;
             padding: 0.75rem 1rem;
             color: var(--text-primary);
@@ -265,7 +373,7 @@ $baseUrl = Config::getBaseUrl();
             width: 100%;
             padding: 1rem 1.5rem;
             background: var(--accent);
-            color: var(--text-primary);
+            color: var(--accent-text);
             border: none;
             border-radius: 12px;
             font-size: 1rem;
@@ -285,12 +393,13 @@ $baseUrl = Config::getBaseUrl();
         }
 
         .btn-secondary {
-            background: rgba(255, 255, 255, 0.1);
+            background: var(--subtle);
+            color: var(--text-primary);
             margin-top: 0.5rem;
         }
 
         .btn-secondary:hover {
-            background: rgba(255, 255, 255, 0.15);
+            background: var(--border);
         }
 
         .timer {
@@ -358,6 +467,62 @@ $baseUrl = Config::getBaseUrl();
             text-decoration: none;
         }
 
+        .pay-tabs {
+            display: flex;
+            gap: 0.25rem;
+            padding: 0.25rem;
+            background: var(--input-bg);
+            border-radius: 12px;
+            margin-bottom: 1.5rem;
+        }
+
+        .pay-tab {
+            flex: 1;
+            padding: 0.6rem;
+            background: none;
+            border: none;
+            border-radius: 10px;
+            color: var(--text-secondary);
+            font-size: 0.875rem;
+            font-weight: 500;
+            cursor: pointer;
+        }
+
+        .pay-tab.active {
+            background: var(--subtle);
+            color: var(--text-primary);
+        }
+
+        .token-input {
+            width: 100%;
+            background: var(--input-bg);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            padding: 0.75rem 1rem;
+            color: var(--text-primary);
+            font-size: 0.75rem;
+            font-family: monospace;
+            resize: vertical;
+        }
+
+        .token-input:focus {
+            outline: none;
+            border-color: var(--accent);
+        }
+
+        .section-label {
+            font-size: 0.875rem;
+            color: var(--text-secondary);
+            margin: 1.5rem 0 0.5rem;
+            text-align: left;
+        }
+
+        .token-error {
+            font-size: 0.875rem;
+            color: var(--error);
+            margin-top: 0.75rem;
+        }
+
         .copy-toast {
             position: fixed;
             bottom: 2rem;
@@ -380,37 +545,80 @@ $baseUrl = Config::getBaseUrl();
 <body>
     <div class="container">
         <div class="payment-card">
-            <div class="logo">&#9889;</div>
+            <div class="logo">
+                <?php if ($branding['logo']): ?>
+                    <img src="<?= htmlspecialchars($branding['logo']) ?>" alt="<?= htmlspecialchars($storeName) ?>">
+                <?php else: ?>
+                    &#9889;
+                <?php endif; ?>
+            </div>
             <div class="merchant-name"><?= htmlspecialchars($storeName) ?></div>
 
             <div id="payment-pending" class="<?= $invoice['status'] !== 'New' ? 'hidden' : '' ?>">
-                <div class="amount"><?= htmlspecialchars($displayAmount) ?></div>
+                <div class="amount"><?= $renderAmount($primaryAmount) ?></div>
+                <?php if ($secondaryAmount): ?>
+                    <div class="amount-secondary"><?= $renderAmount($secondaryAmount) ?></div>
+                <?php endif; ?>
 
                 <div class="status-badge new">
                     <div class="spinner"></div>
-                    Waiting for payment
+                    <?= htmlspecialchars(I18n::t('waiting_for_payment')) ?>
                 </div>
 
-                <div class="qr-container" id="qr-code"></div>
-
-                <div class="invoice-input" id="invoice-text" onclick="copyInvoice()">
-                    <?= htmlspecialchars(substr($invoice['bolt11'], 0, 40) . '...' . substr($invoice['bolt11'], -10)) ?>
+                <div class="pay-tabs">
+                    <button class="pay-tab active" data-tab="lightning" onclick="switchPayTab('lightning')">Lightning</button>
+                    <button class="pay-tab" data-tab="ecash" onclick="switchPayTab('ecash')">Cashu</button>
                 </div>
 
-                <a href="lightning:<?= htmlspecialchars($invoice['bolt11']) ?>" class="btn">
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
-                    </svg>
-                    Open in Wallet
-                </a>
+                <div id="tab-lightning">
+                    <div class="qr-container" id="qr-code"></div>
 
-                <button class="btn btn-secondary" onclick="copyInvoice()">
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-                    </svg>
-                    Copy Invoice
-                </button>
+                    <div class="invoice-input" id="invoice-text" onclick="copyInvoice()">
+                        <?= htmlspecialchars(substr($invoice['bolt11'], 0, 40) . '...' . substr($invoice['bolt11'], -10)) ?>
+                    </div>
+
+                    <a href="lightning:<?= htmlspecialchars($invoice['bolt11']) ?>" class="btn">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>
+                        </svg>
+                        <?= htmlspecialchars(I18n::t('open_in_wallet')) ?>
+                    </a>
+
+                    <button class="btn btn-secondary" onclick="copyInvoice()">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                        <?= htmlspecialchars(I18n::t('copy_invoice')) ?>
+                    </button>
+                </div>
+
+                <div id="tab-ecash" class="hidden">
+                    <?php if ($paymentRequest): ?>
+                        <div class="qr-container" id="ecash-qr"></div>
+
+                        <div class="invoice-input" onclick="copyPaymentRequest()">
+                            <?= htmlspecialchars(substr($paymentRequest, 0, 40) . '...' . substr($paymentRequest, -10)) ?>
+                        </div>
+
+                        <a href="cashu:<?= htmlspecialchars($paymentRequest) ?>" class="btn">
+                            <?= htmlspecialchars(I18n::t('open_in_wallet')) ?>
+                        </a>
+
+                        <button class="btn btn-secondary" onclick="copyPaymentRequest()">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                            </svg>
+                            <?= htmlspecialchars(I18n::t('copy_payment_request')) ?>
+                        </button>
+                    <?php endif; ?>
+
+                    <div class="section-label"><?= htmlspecialchars(I18n::t('or_paste_token')) ?></div>
+                    <textarea class="token-input" id="token-input" rows="3" placeholder="cashuA... / cashuB..."></textarea>
+                    <button class="btn" id="btn-pay-token" onclick="payWithToken()"><?= htmlspecialchars(I18n::t('pay_with_token')) ?></button>
+                    <div class="token-error hidden" id="token-error"></div>
+                </div>
 
                 <div class="timer" id="timer"></div>
             </div>
@@ -418,10 +626,10 @@ $baseUrl = Config::getBaseUrl();
             <div id="payment-processing" class="<?= $invoice['status'] !== 'Processing' ? 'hidden' : '' ?>">
                 <div class="status-badge processing">
                     <div class="spinner"></div>
-                    Processing payment...
+                    <?= htmlspecialchars(I18n::t('processing_payment')) ?>
                 </div>
                 <p style="color: var(--text-secondary); margin-top: 1rem;">
-                    Payment detected. Please wait...
+                    <?= htmlspecialchars(I18n::t('payment_detected')) ?>
                 </p>
             </div>
 
@@ -431,27 +639,27 @@ $baseUrl = Config::getBaseUrl();
                         <polyline points="20 6 9 17 4 12"></polyline>
                     </svg>
                 </div>
-                <div class="amount"><?= htmlspecialchars($displayAmount) ?></div>
+                <div class="amount"><?= $renderAmount($primaryAmount) ?></div>
                 <div class="status-badge settled">
-                    Payment Complete
+                    <?= htmlspecialchars(I18n::t('payment_complete')) ?>
                 </div>
-                <?php if ($redirectUrl): ?>
+                <?php if ($redirectUrl && !$embedded): ?>
                     <a href="<?= htmlspecialchars($redirectUrl) ?>" class="btn" id="redirect-btn">
-                        Continue to Store
+                        <?= htmlspecialchars(I18n::t('continue_to_store')) ?>
                     </a>
                 <?php endif; ?>
             </div>
 
             <div id="payment-expired" class="<?= $invoice['status'] === 'Expired' ? '' : 'hidden' ?>">
                 <div class="status-badge expired">
-                    Invoice Expired
+                    <?= htmlspecialchars(I18n::t('invoice_expired')) ?>
                 </div>
                 <p style="color: var(--text-secondary); margin-top: 1rem;">
-                    This invoice has expired. Please request a new one.
+                    <?= htmlspecialchars(I18n::t('invoice_expired_message')) ?>
                 </p>
-                <?php if ($redirectUrl): ?>
+                <?php if ($redirectUrl && !$embedded): ?>
                     <a href="<?= htmlspecialchars($redirectUrl) ?>" class="btn" style="margin-top: 1.5rem;">
-                        Return to Shop
+                        <?= htmlspecialchars(I18n::t('return_to_shop')) ?>
                     </a>
                 <?php endif; ?>
             </div>
@@ -459,41 +667,68 @@ $baseUrl = Config::getBaseUrl();
     </div>
 
     <div class="footer">
-        Powered by <a href="#">CashuPayServer</a>
+        <?php if ($branding['supportUrl']): ?>
+            <a href="<?= htmlspecialchars($branding['supportUrl']) ?>" target="_blank" rel="noopener"><?= htmlspecialchars(I18n::t('contact_support')) ?></a><br>
+        <?php endif; ?>
+        <?php if ($branding['footerText']): ?>
+            <?= htmlspecialchars($branding['footerText']) ?>
+        <?php else: ?>
+            <?= str_replace('{name}', '<a href="https://github.com/jooray/cashupayserver" target="_blank" rel="noopener">CashuPayServer</a>', htmlspecialchars(I18n::t('powered_by'))) ?>
+        <?php endif; ?>
     </div>
 
-    <div class="copy-toast" id="copy-toast">Copied to clipboard!</div>
+    <div class="copy-toast" id="copy-toast"><?= htmlspecialchars(I18n::t('copied')) ?></div>
 
-    <script src="https://cdn.jsdelivr.net/npm/qrious@4.0.2/dist/qrious.min.js"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>qr-code.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>ur-encoder.js?v=1"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>animated-qr.js?v=5"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>checkout-locale.js?v=1"></script>
     <script>
+        const l10n = new CheckoutLocale(<?= json_encode(I18n::locale()) ?>, <?= json_encode(I18n::strings([
+            'paste_token_required', 'paying', 'payment_failed', 'pay_with_token',
+            'invoice_expired', 'expires_in', 'expires_relative', 'qr_failed',
+            'anim_hint', 'anim_pause', 'anim_resume', 'anim_speed', 'anim_density',
+            'anim_low', 'anim_medium', 'anim_high',
+        ])) ?>);
+        l10n.formatAmounts(document);
+
         const invoice = <?= json_encode($invoice['bolt11']) ?>;
         const invoiceId = <?= json_encode($invoiceId) ?>;
+        const paymentRequest = <?= json_encode($paymentRequest) ?>;
+        const receiveUrl = <?= json_encode(Urls::receive()) ?>;
         const expirationTime = <?= (int)$invoice['expiration_time'] ?>;
-        const redirectUrl = <?= json_encode($redirectUrl) ?>;
+        const embedded = <?= json_encode($embedded) ?>;
+        const parentOrigin = <?= json_encode($parentOrigin ?? '*') ?>;
+        // Embedded checkouts never navigate away; the parent page decides what happens next
+        const redirectUrl = embedded ? null : <?= json_encode($redirectUrl) ?>;
         const redirectAuto = <?= json_encode($redirectAuto) ?>;
         let currentStatus = <?= json_encode($invoice['status']) ?>;
 
-        // Generate QR code with lightning: prefix
-        if (invoice && currentStatus === 'New') {
-            const qrData = 'lightning:' + invoice.toUpperCase();
-            if (typeof QRious !== 'undefined') {
+        // QR size follows the card width (crisp on high-DPI screens)
+        function qrSize() {
+            const card = document.querySelector('.payment-card');
+            return Math.max(160, Math.min(300, card.clientWidth - 96));
+        }
+
+        function renderQr(container, value, level) {
+            const size = qrSize();
+            try {
                 const canvas = document.createElement('canvas');
-                document.getElementById('qr-code').appendChild(canvas);
-                new QRious({
-                    element: canvas,
-                    value: qrData,
-                    size: 220,
-                    backgroundAlpha: 1,
-                    foreground: '#000000',
-                    background: '#ffffff',
-                    level: 'M'
-                });
-            } else {
-                console.error('QRious library not loaded');
-                document.getElementById('qr-code').innerHTML = '<p style="color:#666;padding:2rem;">QR code failed to load</p>';
+                QRCode.create(value, { level }).drawCanvas(canvas, Math.round(size * (window.devicePixelRatio || 1)));
+                canvas.style.width = size + 'px';
+                canvas.style.height = size + 'px';
+                container.appendChild(canvas);
+            } catch (e) {
+                console.error('QR generation failed:', e);
+                container.innerHTML = `<p style="color:#666;padding:2rem;">${l10n.t('qr_failed')}</p>`;
             }
         }
 
+        // Generate QR code with lightning: prefix (all uppercase for a compact alphanumeric QR)
+        if (invoice && currentStatus === 'New') {
+            renderQr(document.getElementById('qr-code'), 'LIGHTNING:' + invoice.toUpperCase(), 'M');
+        }
+
         // Copy invoice to clipboard
         function copyInvoice() {
             navigator.clipboard.writeText(invoice).then(() => {
@@ -503,62 +738,247 @@ $baseUrl = Config::getBaseUrl();
             });
         }
 
+        // Switch between Lightning and Cashu payment options
+        let ecashQr = null;
+
+        function switchPayTab(tab) {
+            document.querySelectorAll('.pay-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+            document.getElementById('tab-lightning').classList.toggle('hidden', tab !== 'lightning');
+            document.getElementById('tab-ecash').classList.toggle('hidden', tab !== 'ecash');
+
+            if (tab === 'ecash') {
+                renderEcashQr();
+            } else if (ecashQr) {
+                ecashQr.stop();
+            }
+        }
+
+        // Payment request QR (NUT-16 animated when too large for a single frame)
+        function renderEcashQr() {
+            const container = document.getElementById('ecash-qr');
+            if (!paymentRequest || !container) return;
+
+            if (ecashQr) {
+                if (!ecashQr.paused) ecashQr.start();
+                return;
+            }
+            if (container.hasChildNodes()) return;
+
+            if (AnimatedQR.needsAnimation(paymentRequest, { qrSize: qrSize(), errorCorrection: 'L' })) {
+                ecashQr = new AnimatedQR(container, {
+                    frameRate: 200,
+                    maxFragmentLen: 200,
+                    qrSize: qrSize(),
+                    errorCorrection: 'M',
+                    labels: {
+                        hint: l10n.t('anim_hint'),
+                        pause: l10n.t('anim_pause'),
+                        resume: l10n.t('anim_resume'),
+                        speed: l10n.t('anim_speed'),
+                        density: l10n.t('anim_density'),
+                        low: l10n.t('anim_low'),
+                        medium: l10n.t('anim_medium'),
+                        high: l10n.t('anim_high')
+                    }
+                });
+                if (ecashQr.encode(paymentRequest)) {
+                    return;
+                }
+                ecashQr = null;
+            }
+
+            renderQr(container, paymentRequest, 'L');
+        }
+
+        function copyPaymentRequest() {
+            navigator.clipboard.writeText(paymentRequest).then(() => {
+                const toast = document.getElementById('copy-toast');
+                toast.classList.add('show');
+                setTimeout(() => toast.classList.remove('show'), 2000);
+            });
+        }
+
+        // Pay directly with a pasted token (settles via the receive endpoint)
+        async function payWithToken() {
+            const token = document.getElementById('token-input').value.trim();
+            const errorEl = document.getElementById('token-error');
+            const btn = document.getElementById('btn-pay-token');
+
+            errorEl.classList.add('hidden');
+            if (!token) {
+                errorEl.textContent = l10n.t('paste_token_required');
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            btn.disabled = true;
+            btn.textContent = l10n.t('paying');
+
+            try {
+                const response = await fetch(receiveUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ id: invoiceId, token })
+                });
+                const data = await response.json();
+
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || l10n.t('payment_failed'));
+                }
+
+                if (ecashQr) ecashQr.stop();
+                handleStatus({ status: data.status });
+            } catch (e) {
+                errorEl.textContent = e.message;
+                errorEl.classList.remove('hidden');
+                btn.disabled = false;
+                btn.textContent = l10n.t('pay_with_token');
+            }
+        }
+
         // Update timer
         function updateTimer() {
             const now = Math.floor(Date.now() / 1000);
             const remaining = expirationTime - now;
 
             if (remaining <= 0) {
-                document.getElementById('timer').textContent = 'Invoice expired';
+                document.getElementById('timer').textContent = l10n.t('invoice_expired');
                 document.getElementById('timer').className = 'timer expired';
                 return;
             }
 
             const timerEl = document.getElementById('timer');
-            const hours = Math.floor(remaining / 3600);
-            const minutes = Math.floor((remaining % 3600) / 60);
-            const seconds = remaining % 60;
 
-            let timeStr;
             if (remaining < 600) {
-                // Less than 10 minutes: show minutes:seconds
-                timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-            } else if (hours > 0) {
-                // 1+ hours: show Xh Ym
-                timeStr = `${hours}h ${minutes}m`;
+                // Less than 10 minutes: count down minutes:seconds
+                const minutes = Math.floor(remaining / 60);
+                const seconds = remaining % 60;
+                timerEl.textContent = l10n.t('expires_in', { time: `${minutes}:${seconds.toString().padStart(2, '0')}` });
             } else {
-                // 10-59 minutes: show just minutes
-                timeStr = `${minutes} min`;
+                // Longer: relative time in the largest unit ("in 2 hours")
+                timerEl.textContent = l10n.t('expires_relative', { relative: l10n.relative(remaining) });
             }
-
-            timerEl.textContent = `Expires in ${timeStr}`;
             timerEl.className = remaining < 300 ? 'timer urgent' : 'timer';
         }
 
-        // Poll for status
+        // Live status updates: server-sent events, falling back to polling
+        const POLL_INTERVAL = 2000;
+        const POLL_MAX_INTERVAL = 60000;
+        let eventSource = null;
+        let sseFailures = 0;
+        let sseUnavailable = typeof EventSource === 'undefined';
+        let pollTimeout = null;
+        let pollDelay = POLL_INTERVAL;
+        // Bumped on every stop so a fetch still in flight can't start a second poll loop
+        let pollGeneration = 0;
+
+        function isFinalStatus(status) {
+            return status === 'Settled' || status === 'Expired' || status === 'Invalid';
+        }
+
+        function statusUrl(param) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('id', invoiceId);
+            url.searchParams.set(param, '1');
+            return url.toString();
+        }
+
+        function handleStatus(data) {
+            if (data.status !== currentStatus) {
+                currentStatus = data.status;
+                updateUI(data.status);
+            }
+            if (isFinalStatus(currentStatus)) {
+                stopStatusUpdates();
+            }
+        }
+
+        function startStatusUpdates() {
+            stopStatusUpdates();
+            if (isFinalStatus(currentStatus) || document.hidden) {
+                return;
+            }
+
+            if (sseUnavailable) {
+                pollStatus();
+                return;
+            }
+
+            eventSource = new EventSource(statusUrl('stream'));
+            eventSource.addEventListener('open', () => {
+                sseFailures = 0;
+            });
+            eventSource.addEventListener('status', (e) => {
+                handleStatus(JSON.parse(e.data));
+            });
+            eventSource.addEventListener('error', () => {
+                // The server closes the stream periodically and EventSource reconnects on its own;
+                // repeated failures without a successful open mean SSE isn't getting through
+                sseFailures++;
+                if (sseFailures >= 3 || eventSource.readyState === EventSource.CLOSED) {
+                    console.warn('Status stream unavailable, falling back to polling');
+                    sseUnavailable = true;
+                    startStatusUpdates();
+                }
+            });
+        }
+
+        function stopStatusUpdates() {
+            pollGeneration++;
+            if (eventSource) {
+                eventSource.close();
+                eventSource = null;
+            }
+            if (pollTimeout) {
+                clearTimeout(pollTimeout);
+                pollTimeout = null;
+            }
+        }
+
+        // Poll for status (backs off exponentially on errors)
         async function pollStatus() {
-            if (currentStatus === 'Settled' || currentStatus === 'Expired' || currentStatus === 'Invalid') {
+            pollTimeout = null;
+            if (isFinalStatus(currentStatus) || document.hidden) {
                 return;
             }
 
+            const generation = pollGeneration;
+            let data = null;
             try {
-                const pollUrl = new URL(window.location.href);
-                pollUrl.searchParams.set('id', invoiceId);
-                pollUrl.searchParams.set('json', '1');
-                const response = await fetch(pollUrl.toString());
-                const data = await response.json();
-
-                if (data.status !== currentStatus) {
-                    currentStatus = data.status;
-                    updateUI(data.status);
+                const response = await fetch(statusUrl('json'));
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
                 }
+                data = await response.json();
+                pollDelay = POLL_INTERVAL;
             } catch (e) {
                 console.error('Poll error:', e);
+                pollDelay = Math.min(pollDelay * 2, POLL_MAX_INTERVAL);
             }
 
-            setTimeout(pollStatus, 2000);
+            // Updates were stopped or restarted meanwhile: that loop owns polling now
+            if (generation !== pollGeneration) {
+                return;
+            }
+            if (data) {
+                handleStatus(data);
+            }
+
+            if (!isFinalStatus(currentStatus) && !document.hidden && !pollTimeout) {
+                pollTimeout = setTimeout(pollStatus, pollDelay);
+            }
         }
 
+        // Pause updates in background tabs, resume immediately when visible
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                stopStatusUpdates();
+            } else {
+                pollDelay = POLL_INTERVAL;
+                startStatusUpdates();
+            }
+        });
+
         // Update UI based on status
         function updateUI(status) {
             document.getElementById('payment-pending').classList.add('hidden');
@@ -566,6 +986,10 @@ $baseUrl = Config::getBaseUrl();
             document.getElementById('payment-success').classList.remove('show');
             document.getElementById('payment-expired').classList.add('hidden');
 
+            if (ecashQr && status !== 'New') {
+                ecashQr.stop();
+            }
+
             switch (status) {
                 case 'New':
                     document.getElementById('payment-pending').classList.remove('hidden');
@@ -586,17 +1010,37 @@ $baseUrl = Config::getBaseUrl();
                     document.getElementById('payment-expired').classList.remove('hidden');
                     break;
             }
+
+            notifyParent(status);
         }
 
-        // Start polling and timer
+        // Post status events to the merchant page hosting the embedded checkout
+        function notifyParent(status) {
+            if (!embedded || window.parent === window) return;
+
+            const event = {
+                'Processing': 'processing',
+                'Settled': 'paid',
+                'Expired': 'expired',
+                'Invalid': 'expired'
+            }[status];
+            if (!event) return;
+
+            window.parent.postMessage({ type: 'cashupay', event, invoiceId, status }, parentOrigin);
+        }
+
+        // Start status updates and timer
         if (currentStatus === 'New' || currentStatus === 'Processing') {
-            pollStatus();
+            startStatusUpdates();
             if (currentStatus === 'New') {
                 updateTimer();
                 setInterval(updateTimer, 1000);
             }
         }
 
+        // Report non-pending state on load (e.g. checkout reopened after payment)
+        notifyParent(currentStatus);
+
         // Handle settled state on load with redirect
         if (currentStatus === 'Settled' && redirectUrl && redirectAuto) {
             setTimeout(() => {
@@ -5,13 +5,21 @@
  * This endpoint:
  * - Generates payment request QR codes (GET with ?store_id=X&amount=X)
  * - Receives token payments (POST with {store_id, token})
+ * - Pays invoices when the request id is an invoice id (POST with {id, token})
+ * - Reports payment request status for the request page (GET with ?status=ID)
  * - Can be used as the transport target for payment requests
+ *   (accepts NUT-18 payloads {id, mint, unit, proofs})
  */
 
 require_once __DIR__ . '/includes/database.php';
 require_once __DIR__ . '/includes/config.php';
 require_once __DIR__ . '/includes/auth.php';
 require_once __DIR__ . '/includes/urls.php';
+require_once __DIR__ . '/includes/invoice.php';
+require_once __DIR__ . '/includes/payment_requests.php';
+require_once __DIR__ . '/includes/security.php';
+require_once __DIR__ . '/includes/branding.php';
+require_once __DIR__ . '/includes/i18n.php';
 require_once __DIR__ . '/cashu-wallet-php/CashuWallet.php';
 
 use Cashu\Wallet;
@@ -56,7 +64,62 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
 
     $requestId = $data['id'] ?? null;
     $tokenString = $data['token'] ?? null;
-    $storeId = $data['store_id'] ?? null;
+    $storeId = $data['store_id'] ?? $_GET['store_id'] ?? null;
+
+    // NUT-18 transport payload: wrap the proofs in a V3 token for Wallet::receive()
+    if (!$tokenString && !empty($data['proofs']) && !empty($data['mint'])) {
+        $tokenString = 'cashuA' . rtrim(strtr(base64_encode(json_encode([
+            'token' => [['mint' => $data['mint'], 'proofs' => $data['proofs']]],
+            'unit' => $data['unit'] ?? 'sat',
+            'memo' => $data['memo'] ?? null,
+        ], JSON_UNESCAPED_SLASHES)), '+/', '-_'), '=');
+    }
+
+    // Request ids issued by the checkout page are invoice ids
+    if ($requestId && Invoice::getById($requestId)) {
+        if (!$tokenString) {
+            http_response_code(400);
+            echo json_encode(['error' => 'Missing token']);
+            exit;
+        }
+
+        try {
+            $invoice = Invoice::payWithToken($requestId, $tokenString);
+            echo json_encode([
+                'success' => true,
+                'invoice_id' => $invoice['id'],
+                'status' => $invoice['status'],
+                'amount' => (int)$invoice['amount_sats'],
+                'unit' => Config::getStoreMintUnit($invoice['store_id']),
+            ]);
+        } catch (Exception $e) {
+            http_response_code(400);
+            echo json_encode(['error' => $e->getMessage()]);
+        }
+        exit;
+    }
+
+    // Requests generated by this page are tracked so the page can show the result
+    if ($requestId && PaymentRequests::getById($requestId)) {
+        if (!$tokenString) {
+            http_response_code(400);
+            echo json_encode(['error' => 'Missing token']);
+            exit;
+        }
+
+        try {
+            $request = PaymentRequests::pay($requestId, $tokenString);
+            echo json_encode([
+                'success' => true,
+                'amount' => (int)$request['amount_received'],
+                'unit' => $request['unit'],
+            ]);
+        } catch (Exception $e) {
+            http_response_code(400);
+            echo json_encode(['error' => $e->getMessage()]);
+        }
+        exit;
+    }
 
     if (!$storeId) {
         http_response_code(400);
@@ -115,14 +178,37 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
  * Handle GET - Generate payment request
  */
 if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    // Payment request status (polled by the request page)
+    if (isset($_GET['status'])) {
+        header('Content-Type: application/json');
+        $request = PaymentRequests::getById((string)$_GET['status']);
+        if (!$request) {
+            http_response_code(404);
+            echo json_encode(['error' => 'Payment request not found']);
+            exit;
+        }
+        echo json_encode(PaymentRequests::formatStatus($request));
+        exit;
+    }
+
     $storeId = $_GET['store_id'] ?? null;
     $amount = (int)($_GET['amount'] ?? 0);
     $memo = $_GET['memo'] ?? null;
     $format = $_GET['format'] ?? 'html';
+    // Optional redirect after payment (e.g. back to a POS or shop page)
+    $redirectUrl = Security::sanitizeUrl($_GET['redirect'] ?? '');
 
     // Get list of stores for selector
     $stores = Database::fetchAll("SELECT id, name, mint_unit FROM stores WHERE mint_url IS NOT NULL AND seed_phrase IS NOT NULL ORDER BY created_at DESC");
 
+    // Store branding (defaults on the store selector) and page language
+    $branding = Branding::get((string)$storeId);
+    I18n::init([
+        $_GET['lang'] ?? '',
+        $_SERVER['HTTP_ACCEPT_LANGUAGE'] ?? '',
+        $branding['defaultLanguage'] ?? '',
+    ]);
+
     // If no store_id provided, show store selector
     if (!$storeId) {
         if ($format === 'json') {
@@ -135,17 +221,18 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         // Show store selector form
         ?>
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(I18n::lang()) ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Request Payment - CashuPayServer</title>
+    <title><?= htmlspecialchars(I18n::t('request_payment')) ?> - CashuPayServer</title>
     <style>
+        :root { <?= Branding::cssVariables($branding) ?>}
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-            color: #e2e8f0;
+            background: linear-gradient(135deg, var(--bg-primary) 0%, var(--bg-secondary) 100%);
+            color: var(--text-primary);
             min-height: 100vh;
             display: flex;
             align-items: center;
@@ -153,7 +240,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             padding: 1rem;
         }
         .card {
-            background: rgba(30, 41, 59, 0.8);
+            background: var(--bg-card);
+            border: 1px solid var(--border);
             border-radius: 24px;
             padding: 2rem;
             width: 100%;
@@ -166,40 +254,40 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         input, select {
             width: 100%;
             padding: 0.75rem 1rem;
-            border: 1px solid rgba(255,255,255,0.1);
-            background: rgba(0,0,0,0.2);
+            border: 1px solid var(--border);
+            background: var(--input-bg);
             border-radius: 12px;
             color: inherit;
             font-size: 1rem;
         }
-        input:focus, select:focus { outline: none; border-color: #f7931a; }
+        input:focus, select:focus { outline: none; border-color: var(--accent); }
         .btn {
             width: 100%;
             padding: 0.875rem 1.5rem;
-            background: linear-gradient(135deg, #f7931a 0%, #ff6b00 100%);
+            background: var(--accent);
             border: none;
             border-radius: 12px;
-            color: white;
+            color: var(--accent-text);
             font-weight: 600;
             font-size: 1rem;
             cursor: pointer;
             margin-top: 1rem;
         }
-        .btn:hover { transform: translateY(-1px); }
-        .help-text { font-size: 0.85rem; color: #a0aec0; margin-top: 0.25rem; }
+        .btn:hover { background: var(--accent-hover); transform: translateY(-1px); }
+        .help-text { font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.25rem; }
     </style>
 </head>
 <body>
     <div class="card">
-        <h1>Request Payment</h1>
+        <h1><?= htmlspecialchars(I18n::t('request_payment')) ?></h1>
         <?php if (empty($stores)): ?>
-            <p style="color: #a0aec0; text-align: center;">No configured stores found. Please complete setup in the admin panel.</p>
+            <p style="color: var(--text-secondary); text-align: center;"><?= htmlspecialchars(I18n::t('no_stores')) ?></p>
         <?php else: ?>
         <form method="GET" id="request-form">
             <div class="form-group">
-                <label>Store</label>
+                <label><?= htmlspecialchars(I18n::t('store')) ?></label>
                 <select name="store_id" id="store-select" required onchange="updateAmountLabel()">
-                    <option value="">Select a store...</option>
+                    <option value=""><?= htmlspecialchars(I18n::t('select_store')) ?></option>
                     <?php foreach ($stores as $store): ?>
                         <option value="<?= htmlspecialchars($store['id']) ?>" data-unit="<?= htmlspecialchars($store['mint_unit'] ?? 'sat') ?>">
                             <?= htmlspecialchars($store['name']) ?>
@@ -208,21 +296,23 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
                 </select>
             </div>
             <div class="form-group">
-                <label id="amount-label">Amount</label>
+                <label id="amount-label"><?= htmlspecialchars(I18n::t('amount')) ?></label>
                 <input type="number" name="amount" id="amount-input" placeholder="100" min="1" required>
             </div>
             <div class="form-group">
-                <label>Memo (optional)</label>
-                <input type="text" name="memo" placeholder="Payment for...">
+                <label><?= htmlspecialchars(I18n::t('memo_optional')) ?></label>
+                <input type="text" name="memo" placeholder="<?= htmlspecialchars(I18n::t('memo_placeholder')) ?>">
             </div>
-            <button type="submit" class="btn">Generate Request</button>
+            <button type="submit" class="btn"><?= htmlspecialchars(I18n::t('generate_request')) ?></button>
         </form>
         <script>
+            const AMOUNT_LABEL = <?= json_encode(I18n::t('amount_unit')) ?>;
+
             function updateAmountLabel() {
                 const select = document.getElementById('store-select');
                 const selectedOption = select.options[select.selectedIndex];
                 const unit = selectedOption?.dataset?.unit || 'sat';
-                document.getElementById('amount-label').textContent = 'Amount (' + unit.toUpperCase() + ')';
+                document.getElementById('amount-label').textContent = AMOUNT_LABEL.replace('{unit}', unit.toUpperCase());
 
                 const amountInput = document.getElementById('amount-input');
                 if (unit === 'sat' || unit === 'msat') {
@@ -273,17 +363,18 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         // Show simple form with store pre-selected
         ?>
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(I18n::lang()) ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Request Payment - CashuPayServer</title>
+    <title><?= htmlspecialchars(I18n::t('request_payment')) ?> - CashuPayServer</title>
     <style>
+        :root { <?= Branding::cssVariables($branding) ?>}
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-            color: #e2e8f0;
+            background: linear-gradient(135deg, var(--bg-primary) 0%, var(--bg-secondary) 100%);
+            color: var(--text-primary);
             min-height: 100vh;
             display: flex;
             align-items: center;
@@ -291,7 +382,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             padding: 1rem;
         }
         .card {
-            background: rgba(30, 41, 59, 0.8);
+            background: var(--bg-card);
+            border: 1px solid var(--border);
             border-radius: 24px;
             padding: 2rem;
             width: 100%;
@@ -304,35 +396,41 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         input {
             width: 100%;
             padding: 0.75rem 1rem;
-            border: 1px solid rgba(255,255,255,0.1);
-            background: rgba(0,0,0,0.2);
+            border: 1px solid var(--border);
+            background: var(--input-bg);
             border-radius: 12px;
             color: inherit;
             font-size: 1rem;
         }
-        input:focus { outline: none; border-color: #f7931a; }
+        input:focus { outline: none; border-color: var(--accent); }
         .btn {
             width: 100%;
             padding: 0.875rem 1.5rem;
-            background: linear-gradient(135deg, #f7931a 0%, #ff6b00 100%);
+            background: var(--accent);
             border: none;
             border-radius: 12px;
-            color: white;
+            color: var(--accent-text);
             font-weight: 600;
             font-size: 1rem;
             cursor: pointer;
             margin-top: 1rem;
         }
-        .btn:hover { transform: translateY(-1px); }
+        .btn:hover { background: var(--accent-hover); transform: translateY(-1px); }
     </style>
 </head>
 <body>
     <div class="card">
-        <h1>Request Payment</h1>
+        <h1><?= htmlspecialchars(I18n::t('request_payment')) ?></h1>
         <form method="GET">
             <input type="hidden" name="store_id" value="<?= htmlspecialchars($storeId) ?>">
+            <?php if ($redirectUrl): ?>
+            <input type="hidden" name="redirect" value="<?= htmlspecialchars($redirectUrl) ?>">
+            <?php endif; ?>
+            <?php if (isset($_GET['lang'])): ?>
+            <input type="hidden" name="lang" value="<?= htmlspecialchars(I18n::lang()) ?>">
+            <?php endif; ?>
             <div class="form-group">
-                <label>Amount (<?= htmlspecialchars(strtoupper($unit)) ?>)</label>
+                <label><?= htmlspecialchars(I18n::t('amount_unit', ['unit' => strtoupper($unit)])) ?></label>
                 <input type="number" name="amount"
                        placeholder="<?= $unit === 'sat' || $unit === 'msat' ? '100' : '1.00' ?>"
                        min="<?= $unit === 'sat' || $unit === 'msat' ? '1' : '0.01' ?>"
@@ -340,10 +438,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
                        required>
             </div>
             <div class="form-group">
-                <label>Memo (optional)</label>
-                <input type="text" name="memo" placeholder="Payment for...">
+                <label><?= htmlspecialchars(I18n::t('memo_optional')) ?></label>
+                <input type="text" name="memo" placeholder="<?= htmlspecialchars(I18n::t('memo_placeholder')) ?>">
             </div>
-            <button type="submit" class="btn">Generate Request</button>
+            <button type="submit" class="btn"><?= htmlspecialchars(I18n::t('generate_request')) ?></button>
         </form>
     </div>
 </body>
@@ -361,6 +459,23 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         $wallet->loadMint();
 
         $pr = $wallet->createHttpPaymentRequest($amount, $receiveUrl, $memo);
+
+        // Reloads reuse the open request; new ones are rate-limited so page views can't fill the database
+        $openId = PaymentRequests::findOpen($storeId, $amount, $unit, $mintUrl, $memo);
+        if ($openId !== null) {
+            $pr->id = $openId;
+        } elseif (!Security::checkRateLimit('payment_request', Security::getRemoteIp(), 20)) {
+            http_response_code(429);
+            if ($format === 'json') {
+                header('Content-Type: application/json');
+                echo json_encode(['error' => 'Too many payment requests. Please wait.']);
+            } else {
+                echo 'Too many payment requests. Please wait.';
+            }
+            exit;
+        } else {
+            PaymentRequests::create($pr->id, $storeId, $amount, $unit, $mintUrl, $memo);
+        }
         $prString = $pr->serialize();
 
         // Return based on format
@@ -381,20 +496,26 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         // HTML format - show QR code
         $unitHelper = $wallet->getUnitHelper();
         $formattedAmount = $unitHelper->format($amount);
+        $newRequestUrl = '?' . http_build_query(array_filter([
+            'store_id' => $storeId,
+            'redirect' => $redirectUrl,
+            'lang' => isset($_GET['lang']) ? I18n::lang() : null,
+        ]));
         ?>
 <!DOCTYPE html>
-<html lang="en">
+<html lang="<?= htmlspecialchars(I18n::lang()) ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Payment Request - <?= htmlspecialchars($formattedAmount) ?></title>
-    <script src="https://cdn.jsdelivr.net/npm/qrious@4.0.2/dist/qrious.min.js"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>qr-code.js?v=1"></script>
     <style>
+        :root { <?= Branding::cssVariables($branding) ?>}
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-            color: #e2e8f0;
+            background: linear-gradient(135deg, var(--bg-primary) 0%, var(--bg-secondary) 100%);
+            color: var(--text-primary);
             min-height: 100vh;
             display: flex;
             align-items: center;
@@ -402,7 +523,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             padding: 1rem;
         }
         .card {
-            background: rgba(30, 41, 59, 0.8);
+            background: var(--bg-card);
+            border: 1px solid var(--border);
             border-radius: 24px;
             padding: 2rem;
             width: 100%;
@@ -411,8 +533,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             text-align: center;
         }
         h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
-        .amount { font-size: 2rem; font-weight: 700; color: #f7931a; margin-bottom: 0.5rem; }
-        .memo { color: #a0aec0; margin-bottom: 1.5rem; }
+        .logo img { display: block; max-width: 180px; max-height: 72px; margin: 0 auto 1rem; }
+        .amount { font-size: 2rem; font-weight: 700; color: var(--accent); margin-bottom: 0.5rem; }
+        .memo { color: var(--text-secondary); margin-bottom: 1.5rem; }
         .qr-container {
             background: white;
             padding: 1rem;
@@ -421,75 +544,240 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             margin-bottom: 1.5rem;
         }
         .request-string {
-            background: rgba(0,0,0,0.2);
+            background: var(--input-bg);
             padding: 0.75rem;
             border-radius: 8px;
             font-size: 0.75rem;
             word-break: break-all;
-            color: #a0aec0;
+            color: var(--text-secondary);
             margin-bottom: 1rem;
             max-height: 80px;
             overflow-y: auto;
         }
         .btn {
             padding: 0.75rem 1.5rem;
-            background: rgba(255,255,255,0.1);
-            border: 1px solid rgba(255,255,255,0.2);
+            background: var(--subtle);
+            border: 1px solid var(--border);
             border-radius: 12px;
-            color: white;
+            color: var(--text-primary);
             font-weight: 500;
             cursor: pointer;
         }
-        .btn:hover { background: rgba(255,255,255,0.15); }
-        .status { margin-top: 1rem; font-size: 0.9rem; color: #a0aec0; }
+        .btn:hover { background: var(--border); }
+        .btn-primary {
+            display: block;
+            width: 100%;
+            margin-top: 1.5rem;
+            background: var(--accent);
+            color: var(--accent-text);
+            border: none;
+            text-decoration: none;
+        }
+        .btn-primary:hover { background: var(--accent-hover); transform: translateY(-1px); }
+        .status { margin-top: 1rem; font-size: 0.9rem; color: var(--text-secondary); }
+        .status.error {
+            color: #fc8181;
+            background: rgba(229, 62, 62, 0.15);
+            border-radius: 12px;
+            padding: 0.75rem;
+        }
+        .hidden { display: none; }
+        .success-icon {
+            width: 80px;
+            height: 80px;
+            background: #48bb78;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin: 1rem auto 1.5rem;
+            animation: popIn 0.5s ease;
+        }
+        .success-icon svg { width: 40px; height: 40px; color: white; }
+        @keyframes popIn {
+            0% { transform: scale(0); opacity: 0; }
+            50% { transform: scale(1.2); }
+            100% { transform: scale(1); opacity: 1; }
+        }
+        .received-label { color: #48bb78; font-weight: 600; margin-bottom: 0.5rem; }
+        .footer { margin-top: 1.5rem; font-size: 0.8rem; color: var(--text-secondary); }
+        .footer a { color: var(--accent); text-decoration: none; }
     </style>
 </head>
 <body>
     <div class="card">
-        <h1>Payment Request</h1>
-        <div class="amount"><?= htmlspecialchars($formattedAmount) ?></div>
-        <?php if ($memo): ?>
-        <div class="memo"><?= htmlspecialchars($memo) ?></div>
+        <?php if ($branding['logo']): ?>
+        <div class="logo"><img src="<?= htmlspecialchars($branding['logo']) ?>" alt=""></div>
         <?php endif; ?>
+        <div id="request-pending">
+            <h1><?= htmlspecialchars(I18n::t('payment_request')) ?></h1>
+            <div class="amount" data-amount="<?= (int)$amount ?>" data-minor data-currency="<?= htmlspecialchars(strtoupper($unit)) ?>"><?= htmlspecialchars($formattedAmount) ?></div>
+            <?php if ($memo): ?>
+            <div class="memo"><?= htmlspecialchars($memo) ?></div>
+            <?php endif; ?>
 
-        <div class="qr-container" id="qr-container"></div>
+            <div class="qr-container" id="qr-container"></div>
 
-        <div class="request-string"><?= htmlspecialchars($prString) ?></div>
+            <div class="request-string"><?= htmlspecialchars($prString) ?></div>
 
-        <button class="btn" onclick="copyRequest()">Copy Request</button>
+            <button class="btn" onclick="copyRequest()"><?= htmlspecialchars(I18n::t('copy_request')) ?></button>
 
-        <div class="status" id="status">Scan with a Cashu wallet to pay</div>
+            <div class="status" id="status"><?= htmlspecialchars(I18n::t('scan_to_pay')) ?></div>
+        </div>
+
+        <div id="request-success" class="hidden">
+            <div class="success-icon">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <polyline points="20 6 9 17 4 12"></polyline>
+                </svg>
+            </div>
+            <div class="received-label"><?= htmlspecialchars(I18n::t('payment_received')) ?></div>
+            <div class="amount" id="received-amount"><?= htmlspecialchars($formattedAmount) ?></div>
+            <?php if ($memo): ?>
+            <div class="memo"><?= htmlspecialchars($memo) ?></div>
+            <?php endif; ?>
+            <?php if ($redirectUrl): ?>
+            <div class="status" id="redirect-status"><?= htmlspecialchars(I18n::t('redirecting')) ?></div>
+            <?php endif; ?>
+            <a href="<?= htmlspecialchars($newRequestUrl) ?>" class="btn btn-primary"><?= htmlspecialchars(I18n::t('new_request')) ?></a>
+        </div>
+
+        <?php if ($branding['supportUrl'] || $branding['footerText']): ?>
+        <div class="footer">
+            <?php if ($branding['supportUrl']): ?>
+            <a href="<?= htmlspecialchars($branding['supportUrl']) ?>" target="_blank" rel="noopener"><?= htmlspecialchars(I18n::t('contact_support')) ?></a><br>
+            <?php endif; ?>
+            <?= htmlspecialchars($branding['footerText'] ?? '') ?>
+        </div>
+        <?php endif; ?>
     </div>
 
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>checkout-locale.js?v=1"></script>
     <script>
+        const l10n = new CheckoutLocale(<?= json_encode(I18n::locale()) ?>, <?= json_encode(I18n::strings([
+            'scan_to_pay', 'copied', 'payment_failed_retry', 'qr_failed',
+        ])) ?>);
+        l10n.formatAmounts(document);
+
         const prString = <?= json_encode($prString) ?>;
+        const requestId = <?= json_encode($pr->id) ?>;
+        const requestUnit = <?= json_encode($unit) ?>;
+        const redirectUrl = <?= json_encode($redirectUrl) ?>;
+        const PENDING_TEXT = l10n.t('scan_to_pay');
 
         // Generate QR code
-        if (typeof QRious !== 'undefined') {
+        try {
             const canvas = document.createElement('canvas');
+            QRCode.create(prString, { level: 'L' }).drawCanvas(canvas, Math.round(200 * (window.devicePixelRatio || 1)));
+            canvas.style.cssText = 'display: block; width: 200px; height: 200px;';
             document.getElementById('qr-container').appendChild(canvas);
-            new QRious({
-                element: canvas,
-                value: prString,
-                size: 200,
-                backgroundAlpha: 1,
-                foreground: '#000000',
-                background: '#ffffff',
-                level: 'L'
-            });
-        } else {
-            document.getElementById('qr-container').innerHTML = '<p style="color:#666;padding:2rem;">QR code failed to load</p>';
+        } catch (e) {
+            document.getElementById('qr-container').innerHTML = `<p style="color:#666;padding:2rem;">${l10n.t('qr_failed')}</p>`;
         }
 
         // Copy to clipboard
         function copyRequest() {
             navigator.clipboard.writeText(prString).then(() => {
-                document.getElementById('status').textContent = 'Copied to clipboard!';
+                const statusEl = document.getElementById('status');
+                if (statusEl.classList.contains('error')) return;
+                statusEl.textContent = l10n.t('copied');
                 setTimeout(() => {
-                    document.getElementById('status').textContent = 'Scan with a Cashu wallet to pay';
+                    if (!statusEl.classList.contains('error')) {
+                        statusEl.textContent = PENDING_TEXT;
+                    }
                 }, 2000);
             });
         }
+
+        function formatReceived(amount, unit) {
+            return l10n.minorMoney(amount, unit || 'sat');
+        }
+
+        // Render request status (single place that updates the page)
+        function updateUI(data) {
+            const statusEl = document.getElementById('status');
+
+            if (data.status === 'paid') {
+                document.getElementById('request-pending').classList.add('hidden');
+                document.getElementById('request-success').classList.remove('hidden');
+                document.getElementById('received-amount').textContent =
+                    formatReceived(data.amountReceived ?? data.amount, data.unit || requestUnit);
+                if (redirectUrl) {
+                    setTimeout(() => {
+                        window.location.href = redirectUrl;
+                    }, 2000);
+                }
+                return;
+            }
+
+            // A swap that came up short is final; there's nothing to retry
+            if (data.status === 'partial') {
+                statusEl.classList.add('error');
+                statusEl.textContent = data.error;
+                return;
+            }
+
+            // Rejected payment attempts (partial, wrong mint, invalid token) stay pending
+            if (data.error) {
+                statusEl.classList.add('error');
+                statusEl.textContent = l10n.t('payment_failed_retry', { error: data.error });
+            } else {
+                statusEl.classList.remove('error');
+                statusEl.textContent = PENDING_TEXT;
+            }
+        }
+
+        // Watch the request for incoming tokens (backs off on errors, pauses in background tabs)
+        const POLL_INTERVAL = 2000;
+        const POLL_MAX_INTERVAL = 60000;
+        let pollDelay = POLL_INTERVAL;
+        let pollTimeout = null;
+        let lastError = null;
+        let paid = false;
+
+        async function pollStatus() {
+            pollTimeout = null;
+            if (paid || document.hidden) return;
+
+            try {
+                const url = new URL(window.location.href);
+                url.search = '';
+                url.searchParams.set('status', requestId);
+                const response = await fetch(url.toString());
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const data = await response.json();
+
+                if (data.status === 'paid' || data.error !== lastError) {
+                    lastError = data.error;
+                    updateUI(data);
+                }
+                // A partial payment ends the request; the error stays on screen
+                paid = data.status === 'paid' || data.status === 'partial';
+                pollDelay = POLL_INTERVAL;
+            } catch (e) {
+                console.error('Poll error:', e);
+                pollDelay = Math.min(pollDelay * 2, POLL_MAX_INTERVAL);
+            }
+
+            if (!paid && !document.hidden && !pollTimeout) {
+                pollTimeout = setTimeout(pollStatus, pollDelay);
+            }
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (pollTimeout) {
+                clearTimeout(pollTimeout);
+                pollTimeout = null;
+            }
+            if (!document.hidden) {
+                pollDelay = POLL_INTERVAL;
+                pollStatus();
+            }
+        });
+
+        pollStatus();
     </script>
 </body>
 </html>
@@ -21,7 +21,7 @@ cp -r includes/ "$BUILD_DIR/includes/"
 cp -r assets/ "$BUILD_DIR/assets/"
 cp -r api-keys/ "$BUILD_DIR/api-keys/"
 cp admin.php setup.php api.php payment.php receive.php cron.php router.php index.php "$BUILD_DIR/"
-cp .htaccess manifest.json favicon.ico "$BUILD_DIR/"
+cp .htaccess manifest.json sw.js favicon.ico "$BUILD_DIR/"
 cp -r images/ "$BUILD_DIR/images/"
 
 # Copy cashu-wallet-php (clean, no .git)
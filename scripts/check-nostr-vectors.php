@@ -0,0 +1,122 @@
+<?php
+/**
+ * Check includes/nostr.php against published test vectors
+ *
+ * - BIP-340: the signing vectors (0-3) of bip-0340/test-vectors.csv; the
+ *   other rows are verification-only and the server never verifies.
+ * - NIP-44 v2: conversation keys, padded lengths and encryptions with a
+ *   fixed nonce from nip44.vectors.json.
+ *
+ * Usage: php scripts/check-nostr-vectors.php (exits 1 on a mismatch)
+ */
+
+if (PHP_SAPI !== 'cli') {
+    exit;
+}
+
+require_once __DIR__ . '/../includes/nostr.php';
+
+$failures = 0;
+$check = function (string $name, string $expected, string $actual) use (&$failures): void {
+    if (strtolower($expected) === strtolower($actual)) {
+        echo "ok    {$name}\n";
+    } else {
+        $failures++;
+        echo "FAIL  {$name}\n      expected {$expected}\n      got      {$actual}\n";
+    }
+};
+
+// BIP-340: secret key, public key, aux_rand, message, signature
+$bip340 = [
+    [
+        '0000000000000000000000000000000000000000000000000000000000000003',
+        'F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+        '0000000000000000000000000000000000000000000000000000000000000000',
+        '0000000000000000000000000000000000000000000000000000000000000000',
+        'E907831F80848D1069A5371B402410364BDF1C5F8307B0084C55F1CE2DCA821525F66A4A85EA8B71E482A74F382D2CE5EBEEE8FDB2172F477DF4900D310536C0',
+    ],
+    [
+        'B7E151628AED2A6ABF7158809CF4F3C762E7160F38B4DA56A784D9045190CFEF',
+        'DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659',
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        '243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89',
+        '6896BD60EEAE296DB48A229FF71DFE071BDE413E6D43F917DC8DCF8C78DE33418906D11AC976ABCCB20B091292BFF4EA897EFCB639EA871CFA95F6DE339E4B0A',
+    ],
+    [
+        'C90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74020BBEA63B14E5C9',
+        'DD308AFEC5777E13121FA72B9CC1B7CC0139715309B086C960E18FD969774EB8',
+        'C87AA53824B4D7AE2EB035A2B5BBBCCC080E76CDC6D1692C4B0B62D798E6D906',
+        '7E2D58D8B3BCDF1ABADEC7829054F90DDA9805AAB56C77333024B9D0A508B75C',
+        '5831AAEED7B44BB74E5EAB94BA9D4294C49BCF2A60728D8B4C200F50DD313C1BAB745879A5AD954A72C45A91C3A51D3C7ADEA98D82F8481E0E1E03674A6F3FB7',
+    ],
+    [
+        '0B432B2677937381AEF05BB02A66ECD012773062CF3FA2549E44F58ED2401710',
+        '25D1DFF95105F5253C4022F628A996AD3A0D95FBF21D468A1B33F8C160D8F517',
+        'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF',
+        'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF',
+        '7EB0509757E246F19449885651611CB965ECC1A187DD51B64FDA1EDC9637D5EC97582B9CB13DB3933705B32BA982AF5AF25FD78881EBB32771FC5922EFC66EA3',
+    ],
+];
+
+foreach ($bip340 as $i => [$secret, $pubkey, $aux, $message, $signature]) {
+    $check("BIP-340 #{$i} public key", $pubkey, Nostr::getPublicKey($secret));
+    $check("BIP-340 #{$i} signature", $signature, bin2hex(Nostr::schnorrSign(hex2bin($message), $secret, hex2bin($aux))));
+}
+
+// NIP-44 get_conversation_key: sec1, pub2, conversation key
+$conversationKeys = [
+    [
+        '315e59ff51cb9209768cf7da80791ddcaae56ac9775eb25b6dee1234bc5d2268',
+        'c2f9d9948dc8c7c38321e4b85c8558872eafa0641cd269db76848a6073e69133',
+        '3dfef0ce2a4d80a25e7a328accf73448ef67096f65f79588e358d9a0eb9013f1',
+    ],
+];
+
+foreach ($conversationKeys as $i => [$secret, $pubkey, $key]) {
+    $check("NIP-44 conversation key #{$i}", $key, bin2hex(Nostr::nip44ConversationKey($secret, $pubkey)));
+}
+
+// NIP-44 calc_padded_len: unpadded => padded
+$paddedLengths = [
+    16 => 32, 32 => 32, 33 => 64, 37 => 64, 45 => 64, 49 => 64, 64 => 64, 65 => 96,
+    100 => 128, 111 => 128, 200 => 224, 250 => 256, 320 => 320, 383 => 384, 384 => 384,
+    400 => 448, 500 => 512, 512 => 512, 515 => 640, 700 => 768, 800 => 896, 900 => 1024,
+    1020 => 1024, 65536 => 65536,
+];
+
+$paddedLength = new ReflectionMethod(Nostr::class, 'nip44PaddedLength');
+$paddedLength->setAccessible(true);
+foreach ($paddedLengths as $length => $padded) {
+    $check("NIP-44 padded length {$length}", (string)$padded, (string)$paddedLength->invoke(null, $length));
+}
+
+// NIP-44 encrypt_decrypt: sec1, sec2, nonce, plaintext, payload
+$encryptions = [
+    [
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        'a',
+        'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb',
+    ],
+    [
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        'f00000000000000000000000000000f00000000000000000000000000000000f',
+        "\u{1F355}\u{1FAC3}",
+        'AvAAAAAAAAAAAAAAAAAAAPAAAAAAAAAAAAAAAAAAAAAPSKSK6is9ngkX2+cSq85Th16oRTISAOfhStnixqZziKMDvB0QQzgFZdjLTPicCJaV8nDITO+QfaQ61+KbWQIOO2Yj',
+    ],
+];
+
+foreach ($encryptions as $i => [$secret1, $secret2, $nonce, $plaintext, $payload]) {
+    $actual = Nostr::nip44Encrypt($secret1, Nostr::getPublicKey($secret2), $plaintext, hex2bin($nonce));
+    if ($actual === $payload) {
+        echo "ok    NIP-44 encryption #{$i}\n";
+    } else {
+        $failures++;
+        echo "FAIL  NIP-44 encryption #{$i}\n      expected {$payload}\n      got      {$actual}\n";
+    }
+}
+
+echo $failures === 0 ? "All vectors passed\n" : "{$failures} vector(s) failed\n";
+exit($failures === 0 ? 0 : 1);
@@ -575,38 +575,6 @@ function getDataDirHttpPath(): ?string {
             margin-top: 0.5rem;
         }
 
-        /* Mint discovery filter row */
-        .mint-filter-row {
-            display: flex;
-            gap: 0.5rem;
-            margin-bottom: 1rem;
-        }
-        .mint-filter-row input[type="text"] {
-            flex: 2;
-            min-width: 150px;
-        }
-        .mint-filter-row select {
-            width: auto;
-            flex: 0 0 auto;
-            max-width: 120px;
-        }
-
-        /* Disclaimer label highlight */
-        .disclaimer-label {
-            transition: background 0.2s, box-shadow 0.2s;
-            border-radius: 4px;
-            padding: 0.25rem 0.5rem;
-            margin: -0.25rem -0.5rem;
-        }
-        .disclaimer-label.highlight {
-            background: rgba(247, 147, 26, 0.2);
-            animation: pulse-highlight 1s ease-in-out infinite;
-        }
-        @keyframes pulse-highlight {
-            0%, 100% { box-shadow: 0 0 5px rgba(247, 147, 26, 0.3); }
-            50% { box-shadow: 0 0 15px rgba(247, 147, 26, 0.7); }
-        }
-
         @media (max-width: 640px) {
             .container {
                 padding: 1rem;
@@ -1514,201 +1482,31 @@ define('CASHUPAY_DATA_DIR', '/home/youruser/cashupay-data');</pre>
                 <button type="button" onclick="closeMintDiscovery()" style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: #e2e8f0;">&times;</button>
             </div>
 
-            <div style="background: rgba(237, 137, 54, 0.15); border: 1px solid rgba(237, 137, 54, 0.4); border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
-                <p style="font-size: 0.85rem; color: #fbd38d; margin: 0 0 0.75rem 0; line-height: 1.5;">
-                    Audit data is provided by independent third parties to help assess a mint's reliability over time. However, these results are informational only and do not guarantee the safety, solvency, or trustworthiness of any mint. Always conduct your own research and ensure you trust the mint operator before using their services. To be sure, run your own mint, this is the Bitcoin way!
-                </p>
-                <label id="disclaimer-label" class="disclaimer-label" style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
-                    <input type="checkbox" id="mint-disclaimer-checkbox" onchange="onDisclaimerChange(this)" style="width: 18px; height: 18px;">
-                    <span style="font-size: 0.85rem; color: #fbd38d;">I understand the above</span>
-                </label>
-            </div>
-
-            <div id="mint-discovery-status" style="font-size: 0.85rem; color: #a0aec0; margin-bottom: 1rem;">
-                Loading mints from Nostr...
-            </div>
-
-            <div class="mint-filter-row">
-                <input type="text" id="mint-search" placeholder="Search mints..." onkeyup="filterMintList()">
-                <select id="mint-unit-filter" onchange="filterMintList()">
-                    <option value="">All units</option>
-                    <option value="sat">SAT</option>
-                    <option value="eur">EUR</option>
-                    <option value="usd">USD</option>
-                </select>
-                <button type="button" class="btn btn-secondary" onclick="startMintDiscovery()" style="white-space: nowrap;">Refresh</button>
-            </div>
-
-            <div id="mint-discovery-list" style="flex: 1; overflow-y: auto; max-height: 400px;">
-                <p style="color: #a0aec0; font-size: 0.9rem; text-align: center; padding: 2rem;">
-                    Loading...
-                </p>
-            </div>
-
-            <div id="mint-discovery-loading" style="display: none; text-align: center; padding: 2rem;">
-                <div class="spinner"></div>
-                <p style="margin-top: 1rem; color: #a0aec0;">Connecting to Nostr relays...</p>
-            </div>
+            <cashu-mint-picker id="mint-picker" relays="<?= htmlspecialchars(implode(',', Config::getNostrRelays())) ?>" style="flex: 1; min-height: 0;"></cashu-mint-picker>
         </div>
     </div>
 
     <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-discovery.bundle.js"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-ui.js?v=5"></script>
+    <script src="<?= htmlspecialchars(Urls::assets('js/')) ?>mint-picker.js?v=5"></script>
     <script>
-    // Mint Discovery state
-    var mintDiscoveryInstance = null;
-    var discoveredMints = [];
-    var disclaimerAcknowledged = false;
-
+    // Mint Discovery
     function openMintDiscovery() {
         document.getElementById('mint-discovery-modal').style.display = 'flex';
-        // Reset disclaimer checkbox state when opening
-        var checkbox = document.getElementById('mint-disclaimer-checkbox');
-        if (checkbox) {
-            checkbox.checked = false;
-            disclaimerAcknowledged = false;
-        }
-        // Setup hover listeners for disabled buttons
-        setupDisabledButtonHover();
-        // Auto-start discovery
-        startMintDiscovery();
-    }
-
-    function onDisclaimerChange(checkbox) {
-        disclaimerAcknowledged = checkbox.checked;
-        // Remove highlight when checkbox is checked
-        if (checkbox.checked) {
-            highlightDisclaimer(false);
-        }
-        updateSelectButtons();
-    }
-
-    function highlightDisclaimer(show) {
-        var label = document.getElementById('disclaimer-label');
-        if (label) {
-            if (show) {
-                label.classList.add('highlight');
-            } else {
-                label.classList.remove('highlight');
-            }
-        }
-    }
-
-    function setupDisabledButtonHover() {
-        var listEl = document.getElementById('mint-discovery-list');
-        if (!listEl) return;
-
-        listEl.addEventListener('mouseenter', function(e) {
-            if (e.target.tagName === 'BUTTON' && e.target.disabled) {
-                highlightDisclaimer(true);
-            }
-        }, true);
-
-        listEl.addEventListener('mouseleave', function(e) {
-            if (e.target.tagName === 'BUTTON') {
-                highlightDisclaimer(false);
-            }
-        }, true);
-    }
-
-    function updateSelectButtons() {
-        var buttons = document.querySelectorAll('#mint-discovery-list button');
-        buttons.forEach(function(btn) {
-            btn.disabled = !disclaimerAcknowledged;
-            btn.style.opacity = disclaimerAcknowledged ? '1' : '0.5';
-            btn.style.cursor = disclaimerAcknowledged ? 'pointer' : 'not-allowed';
-        });
+        var picker = document.getElementById('mint-picker');
+        picker.reset();
+        picker.start();
     }
 
     function closeMintDiscovery() {
         document.getElementById('mint-discovery-modal').style.display = 'none';
-        if (mintDiscoveryInstance) {
-            mintDiscoveryInstance.close();
-            mintDiscoveryInstance = null;
-        }
-    }
-
-    function startMintDiscovery() {
-        var listEl = document.getElementById('mint-discovery-list');
-        var loadingEl = document.getElementById('mint-discovery-loading');
-        var statusEl = document.getElementById('mint-discovery-status');
-
-        loadingEl.style.display = 'block';
-        listEl.innerHTML = '';
-        discoveredMints = [];
-        statusEl.textContent = 'Connecting to Nostr relays...';
-
-        if (typeof MintDiscovery === 'undefined') {
-            statusEl.textContent = 'Error: MintDiscovery library not loaded';
-            loadingEl.style.display = 'none';
-            return;
-        }
-
-        mintDiscoveryInstance = MintDiscovery.create({
-            httpTimeout: 8000,
-            nostrTimeout: 15000
-        });
-
-        // Use streaming discovery for progressive updates
-        mintDiscoveryInstance.discoverStreaming({
-            onMint: function(mint) {
-                // Update or add mint to the list
-                var existingIndex = discoveredMints.findIndex(function(m) { return m.url === mint.url; });
-                if (existingIndex >= 0) {
-                    discoveredMints[existingIndex] = mint;
-                } else {
-                    discoveredMints.push(mint);
-                }
-                // Sort by reviewsCount desc, then averageRating desc
-                discoveredMints.sort(function(a, b) {
-                    var countDiff = (b.reviewsCount || 0) - (a.reviewsCount || 0);
-                    if (countDiff !== 0) return countDiff;
-                    return (b.averageRating || 0) - (a.averageRating || 0);
-                });
-                // Hide loading spinner once we have mints
-                if (discoveredMints.length > 0) {
-                    loadingEl.style.display = 'none';
-                }
-                statusEl.textContent = 'Found ' + discoveredMints.length + ' mints...';
-                renderMintList();
-            },
-            onProgress: function(progress) {
-                if (progress.phase === 'nostr' && progress.step === 'subscribing') {
-                    statusEl.textContent = 'Subscribing to Nostr relays...';
-                } else if (progress.phase === 'nostr' && progress.step === 'mint-info-complete') {
-                    statusEl.textContent = 'Fetching reviews...';
-                } else if (progress.phase === 'http') {
-                    statusEl.textContent = 'Checking mint status (' + discoveredMints.length + ' mints)...';
-                } else if (progress.phase === 'done') {
-                    statusEl.textContent = 'Found ' + discoveredMints.length + ' mints';
-                }
-            },
-            onComplete: function(mints) {
-                discoveredMints = mints;
-                loadingEl.style.display = 'none';
-                statusEl.textContent = 'Found ' + mints.length + ' mints';
-                renderMintList();
-            }
-        }).catch(function(error) {
-            loadingEl.style.display = 'none';
-            statusEl.textContent = 'Error: ' + error.message;
-        });
+        document.getElementById('mint-picker').stop();
     }
 
-    function getUnitsFromInfo(info) {
-        if (!info || !info.nuts || !info.nuts[4] || !info.nuts[4].methods) return [];
-        var units = info.nuts[4].methods.map(function(m) { return m.unit; }).filter(Boolean);
-        return units.filter(function(u, i, arr) { return arr.indexOf(u) === i; });
-    }
-
-    function renderStars(rating) {
-        if (rating === null || rating === undefined) return '---';
-        var full = Math.floor(rating);
-        var html = '<span style="color: #FFC107;">';
-        for (var i = 0; i < full; i++) html += '\u2605';
-        for (var i = full; i < 5; i++) html += '\u2606';
-        html += '</span> ' + rating.toFixed(1);
-        return html;
-    }
+    document.getElementById('mint-picker').addEventListener('mint-selected', function(e) {
+        document.getElementById('mint_url').value = e.detail.url;
+        closeMintDiscovery();
+    });
 
     function escapeHtml(text) {
         if (!text) return '';
@@ -1717,68 +1515,6 @@ define('CASHUPAY_DATA_DIR', '/home/youruser/cashupay-data');</pre>
         return div.innerHTML;
     }
 
-    function filterMintList() {
-        renderMintList();
-    }
-
-    function renderMintList() {
-        var listEl = document.getElementById('mint-discovery-list');
-        var filterUnit = document.getElementById('mint-unit-filter').value;
-        var searchText = document.getElementById('mint-search').value.toLowerCase().trim();
-
-        var filtered = discoveredMints.filter(function(m) {
-            if (filterUnit) {
-                var units = getUnitsFromInfo(m.info);
-                if (units.indexOf(filterUnit) === -1) return false;
-            }
-            if (searchText) {
-                var name = (m.info && m.info.name) ? m.info.name.toLowerCase() : '';
-                var url = m.url.toLowerCase();
-                if (name.indexOf(searchText) === -1 && url.indexOf(searchText) === -1) return false;
-            }
-            return true;
-        });
-
-        if (filtered.length === 0) {
-            listEl.innerHTML = '<p style="color: #a0aec0; text-align: center; padding: 2rem;">No mints found matching your criteria</p>';
-            return;
-        }
-
-        var html = filtered.map(function(m) {
-            var name = (m.info && m.info.name) ? m.info.name : 'Unknown Mint';
-            var isOnline = !m.error && m.info;
-            var units = getUnitsFromInfo(m.info);
-
-            return '<div style="background: rgba(0,0,0,0.2); border: 1px solid rgba(255,255,255,0.1); border-radius: 8px; padding: 1rem; margin-bottom: 0.75rem;">' +
-                '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">' +
-                    '<div style="font-size: 0.9rem;">' + renderStars(m.averageRating) +
-                        ' <span style="color: #a0aec0; font-size: 0.8rem;">(' + (m.reviewsCount || 0) + ' reviews)</span></div>' +
-                    '<span style="font-size: 0.8rem; color: ' + (isOnline ? '#48bb78' : '#e53e3e') + ';">' +
-                        (isOnline ? '\u25CF Online' : '\u25CB Offline') + '</span>' +
-                '</div>' +
-                '<h4 style="margin: 0 0 0.25rem 0; font-size: 1rem;">' + escapeHtml(name) + '</h4>' +
-                '<p style="font-size: 0.8rem; color: #a0aec0; margin: 0 0 0.5rem 0; word-break: break-all;">' + escapeHtml(m.url) + '</p>' +
-                '<div style="font-size: 0.8rem; color: #a0aec0; margin-bottom: 0.75rem;">' +
-                    (units.length > 0 ? units.map(function(u) { return u.toUpperCase(); }).join(' \u2022 ') : 'Unknown units') +
-                '</div>' +
-                '<button type="button" class="btn" style="width: 100%;" onclick="selectDiscoveredMint(\'' + escapeHtml(m.url) + '\')">Select</button>' +
-            '</div>';
-        }).join('');
-
-        listEl.innerHTML = html;
-
-        var statusEl = document.getElementById('mint-discovery-status');
-        statusEl.textContent = 'Showing ' + filtered.length + ' of ' + discoveredMints.length + ' mints';
-
-        // Update button states based on disclaimer checkbox
-        updateSelectButtons();
-    }
-
-    function selectDiscoveredMint(url) {
-        document.getElementById('mint_url').value = url;
-        closeMintDiscovery();
-    }
-
     // Expiry testing
     var expiryTestTimeout = null;
 
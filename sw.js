@@ -0,0 +1,163 @@
+/**
+ * CashuPayServer Admin Service Worker
+ *
+ * Keeps the installed admin app usable without a connection:
+ * - The admin page is fetched from the network first, the last copy is
+ *   served when offline.
+ * - Scripts, styles and images are served from cache and refreshed in the
+ *   background (the page hands over its script URLs after registering).
+ * - Dashboard and invoice data is fetched from the network first; the last
+ *   response is served when offline, marked with an X-Offline-Cache header
+ *   holding the time it was stored (ms). Store API keys are left out of
+ *   the stored dashboard copy.
+ *
+ * POST requests (all actions) are never cached or answered from cache.
+ * Also shows invoice notifications for the page and focuses the app when
+ * one is clicked.
+ */
+
+const SHELL_CACHE = 'cashupay-shell-v1';
+const DATA_CACHE = 'cashupay-data-v2';
+
+// Admin API reads kept for offline viewing
+const CACHED_APIS = ['dashboard', 'invoices', 'invoice'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(['admin.php', 'manifest.json']))
+            .catch(() => {})
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('cashupay-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    // Page assets loaded before this worker took control
+    if (message.type === 'cache-urls' && Array.isArray(message.urls)) {
+        event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all(
+            message.urls.map(url => cache.match(url).then(hit => hit || cache.add(url)).catch(() => {}))
+        )));
+    }
+
+    // Logout: drop cached store data
+    if (message.type === 'clear-data') {
+        event.waitUntil(caches.delete(DATA_CACHE));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        if (url.origin === self.location.origin && /\/admin(\.php)?$/.test(url.pathname)) {
+            event.respondWith(networkFirstPage(request));
+        }
+        return;
+    }
+
+    if (url.origin === self.location.origin && CACHED_APIS.includes(url.searchParams.get('api'))) {
+        event.respondWith(networkFirstData(request));
+        return;
+    }
+
+    if (['script', 'style', 'image', 'font', 'manifest'].includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = event.notification.data?.url || 'admin.php';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients.find(c => new URL(c.url).pathname === new URL(target, self.location.href).pathname);
+            return client ? client.focus() : self.clients.openWindow(target);
+        })
+    );
+});
+
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Redirects (e.g. to setup) and errors are not worth keeping
+        if (response.ok && !response.redirected) {
+            await cache.put(request.url.split('?')[0], response.clone());
+        }
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const api = new URL(request.url).searchParams.get('api');
+            await cache.put(request, await stamp(response.clone(), api === 'dashboard' ? withoutApiKeys : null));
+        }
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+// Copy of a response carrying the time it was cached, optionally with its JSON body reduced
+async function stamp(response, project = null) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Offline-Cache', String(Date.now()));
+    const body = project ? JSON.stringify(project(await response.json())) : await response.blob();
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Dashboard data without the stores' internal API keys (not needed offline)
+function withoutApiKeys(data) {
+    if (Array.isArray(data.stores)) {
+        data.stores = data.stores.map(({ internalApiKey, ...store }) => store);
+    }
+    return data;
+}